@@ -7,6 +7,13 @@ import { AuthModule } from './presentation/modules/auth.module';
 import { ChatModule } from './presentation/modules/chat.module';
 import { StableDiffusionModule } from './presentation/modules/stable-diffusion.module';
 import { WhatsAppModule } from './presentation/modules/whatsapp.module';
+import { PersonaModule } from './presentation/modules/persona.module';
+import { KnowledgeBaseModule } from './presentation/modules/knowledge-base.module';
+import { SystemSettingsModule } from './presentation/modules/system-settings.module';
+import { AdminModule } from './presentation/modules/admin.module';
+import { QuotaModule } from './presentation/modules/quota.module';
+import { ApiKeyModule } from './presentation/modules/api-key.module';
+import { OpenAICompatModule } from './presentation/modules/openai-compat.module';
 
 /**
  * Módulo principal da aplicação
@@ -32,6 +39,13 @@ import { WhatsAppModule } from './presentation/modules/whatsapp.module';
     ChatModule,
     StableDiffusionModule,
     WhatsAppModule,
+    PersonaModule,
+    KnowledgeBaseModule,
+    SystemSettingsModule,
+    AdminModule,
+    QuotaModule,
+    ApiKeyModule,
+    OpenAICompatModule,
   ],
   controllers: [],
   providers: [],
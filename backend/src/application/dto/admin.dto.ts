@@ -0,0 +1,105 @@
+import { IsOptional, IsString, IsIn, IsArray, ArrayMaxSize, MaxLength, MinLength, IsEnum, ValidateNested } from 'class-validator';
+import { Type } from 'class-transformer';
+
+import { ProviderType } from './chat.dto';
+import { QuotaLimitsDto, RoleQuotasDto } from './quota.dto';
+
+/**
+ * Uso acumulado de um usuário
+ */
+export class AdminUserUsageDto {
+  /** Mensagens enviadas pelo usuário */
+  messageCount: number;
+  /** Tokens gerados nas respostas */
+  tokens: number;
+  /** Imagens na galeria (as apagadas pela limpeza automática não contam) */
+  imageCount: number;
+}
+
+/**
+ * DTO de resposta para um usuário no painel do administrador
+ */
+export class AdminUserResponseDto {
+  id: string;
+  email: string;
+  firstName: string;
+  lastName: string;
+  role: 'user' | 'admin';
+  isActive: boolean;
+  lastLoginAt?: Date;
+  createdAt: Date;
+  /** Exceções aos limites do papel definidas para este usuário */
+  quotaLimits?: QuotaLimitsDto | null;
+  /** Presente apenas na listagem */
+  usage?: AdminUserUsageDto;
+}
+
+/**
+ * DTO de resposta para a listagem paginada de usuários
+ */
+export class AdminUserListResponseDto {
+  users: AdminUserResponseDto[];
+  total: number;
+  page: number;
+  limit: number;
+}
+
+/**
+ * DTO para alterar o papel de um usuário
+ */
+export class UpdateUserRoleDto {
+  @IsIn(['user', 'admin'])
+  role: 'user' | 'admin';
+}
+
+/**
+ * DTO para redefinir a senha de um usuário. Sem newPassword, uma senha temporária é gerada
+ */
+export class ResetUserPasswordDto {
+  @IsOptional()
+  @IsString()
+  @MinLength(8, { message: 'Nova senha deve ter pelo menos 8 caracteres' })
+  @MaxLength(100, { message: 'Nova senha deve ter no máximo 100 caracteres' })
+  newPassword?: string;
+}
+
+/**
+ * DTO de resposta da redefinição de senha
+ */
+export class ResetUserPasswordResponseDto {
+  /** Presente apenas quando a senha foi gerada pelo servidor */
+  temporaryPassword?: string;
+}
+
+/**
+ * Configurações globais definidas pelo administrador
+ */
+export class SystemSettingsDto {
+  /** Modelos que os usuários podem usar; vazio libera todos */
+  allowedModels: string[];
+  /** Provedor usado por quem ainda não escolheu um */
+  defaultProvider: ProviderType;
+  /** Limites diários de cada papel */
+  quotas: RoleQuotasDto;
+}
+
+/**
+ * DTO para atualizar as configurações globais
+ */
+export class UpdateSystemSettingsDto {
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(200)
+  @IsString({ each: true })
+  @MaxLength(255, { each: true })
+  allowedModels?: string[];
+
+  @IsOptional()
+  @IsEnum(ProviderType)
+  defaultProvider?: ProviderType;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => RoleQuotasDto)
+  quotas?: RoleQuotasDto;
+}
@@ -0,0 +1,53 @@
+import { IsString, IsNotEmpty, MaxLength, IsOptional, IsArray, ArrayNotEmpty, IsIn, IsInt, Min, Max } from 'class-validator';
+
+import { API_KEY_SCOPES, ApiKeyScope } from '../../domain/entities/api-key.entity';
+
+/**
+ * DTO para criar uma chave de API
+ */
+export class CreateApiKeyDto {
+  @IsString()
+  @IsNotEmpty({ message: 'Nome da chave é obrigatório' })
+  @MaxLength(100)
+  name: string;
+
+  /** Permissões da chave; sem informar, a chave pode tudo */
+  @IsOptional()
+  @IsArray()
+  @ArrayNotEmpty()
+  @IsIn(API_KEY_SCOPES, { each: true })
+  scopes?: ApiKeyScope[];
+
+  /** Validade em dias; sem informar, a chave não expira */
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(3650)
+  expiresInDays?: number;
+}
+
+/**
+ * Chave de API como exibida ao usuário (nunca inclui a chave)
+ */
+export class ApiKeyResponseDto {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  usage: {
+    requests: number;
+    promptTokens: number;
+    completionTokens: number;
+  };
+  lastUsedAt?: Date;
+  expiresAt?: Date;
+  expired: boolean;
+  createdAt: Date;
+}
+
+/**
+ * Resposta da criação: a única vez em que a chave aparece
+ */
+export class CreatedApiKeyResponseDto extends ApiKeyResponseDto {
+  key: string;
+}
@@ -1,4 +1,4 @@
-﻿import { IsEmail, IsString, MinLength, MaxLength, IsOptional, IsIn } from 'class-validator';
+﻿import { IsEmail, IsString, MinLength, MaxLength, IsOptional, IsIn, IsNotEmpty } from 'class-validator';
 
 /**
  * DTO para registro de usuÃ¡rio
@@ -131,5 +131,44 @@ export class AuthResponseDto {
   
   accessToken: string;
   refreshToken?: string;
+  // Validade do access token e do refresh token, em segundos
   expiresIn: number;
+  refreshExpiresIn?: number;
+}
+
+/**
+ * DTO para renovar o access token (e para encerrar a sessão no logout)
+ */
+export class RefreshTokenDto {
+  @IsString({ message: 'Refresh token é obrigatório' })
+  @IsNotEmpty({ message: 'Refresh token é obrigatório' })
+  refreshToken: string;
+}
+
+/**
+ * Retorno do provedor OIDC repassado pelo frontend para concluir o login por SSO
+ */
+export class OidcCallbackDto {
+  @IsString()
+  @IsNotEmpty({ message: 'code é obrigatório' })
+  @MaxLength(2048)
+  code: string;
+
+  @IsString()
+  @IsNotEmpty({ message: 'state é obrigatório' })
+  @MaxLength(256)
+  state: string;
+}
+
+/**
+ * Sessão de login (dispositivo) do usuário; current marca a sessão da requisição
+ */
+export class AuthSessionResponseDto {
+  id: string;
+  userAgent?: string;
+  ipAddress?: string;
+  createdAt: Date;
+  lastUsedAt: Date;
+  expiresAt: Date;
+  current: boolean;
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
-import { IsString, IsOptional, IsUUID, IsIn, IsObject, IsNumber, Min, Max, IsEnum, ValidateNested } from 'class-validator';
+import { IsString, IsOptional, IsUUID, IsIn, IsObject, IsNumber, Min, Max, IsEnum, ValidateNested, IsArray, ArrayMaxSize, IsNotEmpty, MaxLength, IsDateString, IsUrl, IsInt, IsBoolean } from 'class-validator';
 import { Type } from 'class-transformer';
+import { ChatImageSettingsDto } from './image-generation.dto';
 
 /**
  * Provider types for LLM
@@ -48,6 +49,22 @@ export class DynamicLLMConfigDto {
   n_ctx?: number;
 }
 
+/**
+ * Referência a um arquivo previamente enviado via upload
+ */
+export class ChatFileAttachmentDto {
+  @IsString({ message: 'Nome do arquivo é obrigatório' })
+  filename: string;
+
+  @IsOptional()
+  @IsString()
+  originalName?: string;
+
+  @IsOptional()
+  @IsString()
+  mimeType?: string;
+}
+
 /**
  * DTO para criação de sessão de chat
  */
@@ -96,6 +113,123 @@ export class UpdateChatSessionDto {
   };
 }
 
+/**
+ * DTO para edição do resumo da sessão
+ */
+export class UpdateSessionSummaryDto {
+  @IsString()
+  @IsNotEmpty({ message: 'O resumo não pode ficar vazio' })
+  @MaxLength(20000)
+  content: string;
+}
+
+/**
+ * Parâmetros de geração de uma sessão
+ */
+export class SessionLlmConfigDto {
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(2)
+  temperature?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(32768)
+  maxTokens?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  topK?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  topP?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(-2)
+  @Max(2)
+  frequencyPenalty?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(-2)
+  @Max(2)
+  presencePenalty?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(2)
+  repeatPenalty?: number;
+
+  @IsOptional()
+  @IsInt()
+  seed?: number;
+}
+
+/**
+ * DTO para editar o modelo, os parâmetros e o system prompt de uma sessão
+ * (substitui a configuração inteira da sessão)
+ */
+export class UpdateSessionSettingsDto {
+  @IsEnum(ProviderType)
+  provider: ProviderType;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  model?: string;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => DynamicLLMConfigDto)
+  dynamicLLMConfig?: DynamicLLMConfigDto;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(20000)
+  systemPrompt?: string;
+
+  /**
+   * Persona da biblioteca usada no lugar do system prompt
+   */
+  @IsOptional()
+  @IsUUID(4, { message: 'ID da persona deve ser um UUID válido' })
+  personaId?: string;
+
+  @IsOptional()
+  @IsObject()
+  personaVariables?: Record<string, string>;
+
+  /**
+   * Bases de conhecimento consultadas antes de responder
+   */
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(10)
+  @IsUUID(4, { each: true, message: 'ID da base de conhecimento deve ser um UUID válido' })
+  knowledgeBaseIds?: string[];
+
+  /**
+   * Permite que o modelo chame ferramentas nesta sessão
+   */
+  @IsOptional()
+  @IsBoolean()
+  toolsEnabled?: boolean;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => SessionLlmConfigDto)
+  llmConfig?: SessionLlmConfigDto;
+}
+
 /**
  * DTO para criação de mensagem
  */
@@ -122,6 +256,13 @@ export class SendMessageDto {
   @IsString({ message: 'Conteúdo da mensagem é obrigatório' })
   content: string;
 
+  /**
+   * Ignora o roteador de intenção: 'image' gera uma imagem, 'chat' responde com o modelo
+   */
+  @IsOptional()
+  @IsIn(['image', 'chat'])
+  intent?: 'image' | 'chat';
+
   @IsOptional()
   @IsUUID(4)
   sessionId?: string;
@@ -173,22 +314,102 @@ export class SendMessageDto {
   @IsString({ each: true })
   stop?: string[];
 
+  /**
+   * Context window of the selected model in tokens (overrides the value detected by the backend)
+   */
+  @IsOptional()
+  @IsNumber()
+  @Min(512)
+  @Max(1048576)
+  contextLength?: number;
+
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(10)
+  @ValidateNested({ each: true })
+  @Type(() => ChatFileAttachmentDto)
+  attachments?: ChatFileAttachmentDto[];
+
+  /**
+   * LoRAs, embeddings e ControlNet usados quando a mensagem gera uma imagem
+   */
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ChatImageSettingsDto)
+  imageSettings?: ChatImageSettingsDto;
+
+  /**
+   * Persona escolhida antes da primeira mensagem (gravada na configuração da sessão)
+   */
+  @IsOptional()
+  @IsUUID(4, { message: 'ID da persona deve ser um UUID válido' })
+  personaId?: string;
+
+  @IsOptional()
+  @IsObject()
+  personaVariables?: Record<string, string>;
+
+  /**
+   * Bases de conhecimento escolhidas antes da primeira mensagem (gravadas na configuração da sessão)
+   */
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(10)
+  @IsUUID(4, { each: true, message: 'ID da base de conhecimento deve ser um UUID válido' })
+  knowledgeBaseIds?: string[];
+
   @IsOptional()
   @IsObject()
   metadata?: Record<string, any>;
 }
 
+/**
+ * DTO para regenerar uma resposta: as mesmas opções de envio, sem conteúdo
+ * (a pergunta original é reutilizada)
+ */
+export class RegenerateMessageDto extends SendMessageDto {
+  @IsOptional()
+  @IsString()
+  content: string;
+}
+
+/**
+ * DTO para trocar o ramo exibido de uma sessão
+ */
+export class SwitchBranchDto {
+  @IsUUID(4, { message: 'ID da mensagem deve ser um UUID válido' })
+  messageId: string;
+}
+
 /**
  * DTO para busca de mensagens
  */
 export class SearchMessagesDto {
   @IsString({ message: 'Termo de busca é obrigatório' })
+  @IsNotEmpty({ message: 'Termo de busca é obrigatório' })
+  @MaxLength(200)
   query: string;
 
   @IsOptional()
   @IsUUID(4)
   sessionId?: string;
 
+  @IsOptional()
+  @IsIn(['user', 'assistant'])
+  role?: 'user' | 'assistant';
+
+  @IsOptional()
+  @IsString()
+  model?: string;
+
+  @IsOptional()
+  @IsDateString()
+  dateFrom?: string;
+
+  @IsOptional()
+  @IsDateString()
+  dateTo?: string;
+
   @IsOptional()
   @IsNumber()
   @Min(1)
@@ -201,6 +422,30 @@ export class SearchMessagesDto {
   limit?: number;
 }
 
+/**
+ * Mensagem encontrada na busca; snippet traz os termos entre <mark></mark>
+ */
+export class MessageSearchResultDto {
+  messageId: string;
+  sessionId: string;
+  sessionTitle?: string;
+  role: 'user' | 'assistant' | 'system';
+  model?: string;
+  snippet: string;
+  rank: number;
+  createdAt: Date;
+}
+
+/**
+ * DTO de resposta da busca de mensagens
+ */
+export class SearchMessagesResponseDto {
+  results: MessageSearchResultDto[];
+  total: number;
+  page: number;
+  limit: number;
+}
+
 /**
  * DTO de resposta para mensagem de chat
  */
@@ -217,6 +462,9 @@ export class ChatMessageResponseDto {
     originalPrompt?: string;
     metadata?: any;
   }[];
+  parentMessageId?: string | null;
+  /** Alternativas desta mensagem (incluindo ela), do mais antigo ao mais novo; presente ao carregar uma sessão */
+  siblingIds?: string[];
   createdAt: Date;
   updatedAt: Date;
 }
@@ -230,6 +478,7 @@ export class ChatSessionResponseDto {
   description?: string;
   status: string;
   metadata?: Record<string, any>;
+  activeMessageId?: string | null;
   messageCount: number;
   lastActivityAt?: Date;
   createdAt: Date;
@@ -280,3 +529,45 @@ export class SendMessageResponseDto {
   assistantMessage: ChatMessageResponseDto;
   session: ChatSessionResponseDto;
 }
+
+/**
+ * DTO para transcrição de áudio (campos do multipart além do arquivo "audio")
+ */
+export class TranscribeAudioDto {
+  @IsOptional()
+  @IsString()
+  @MaxLength(10, { message: 'Idioma deve ser um código ISO-639-1 (ex: pt, en)' })
+  language?: string;
+}
+
+/**
+ * DTO para síntese de voz em um servidor TTS local (Piper, Coqui ou compatível com OpenAI)
+ */
+export class SynthesizeSpeechDto {
+  @IsString({ message: 'Texto é obrigatório' })
+  @IsNotEmpty({ message: 'Texto é obrigatório' })
+  @MaxLength(5000, { message: 'Texto deve ter no máximo 5000 caracteres' })
+  text: string;
+
+  @IsIn(['piper', 'coqui', 'openai'], { message: 'Servidor deve ser piper, coqui ou openai' })
+  engine: 'piper' | 'coqui' | 'openai';
+
+  @IsUrl({ require_tld: false, require_protocol: true, protocols: ['http', 'https'] }, { message: 'URL do servidor TTS inválida' })
+  baseUrl: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(200)
+  voice?: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(200)
+  model?: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0.25)
+  @Max(4)
+  speed?: number;
+}
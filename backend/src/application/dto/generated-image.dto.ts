@@ -0,0 +1,45 @@
+import { IsOptional, IsBoolean, IsArray, ArrayMaxSize, IsString, MaxLength } from 'class-validator';
+
+/**
+ * DTO para atualizar uma imagem da galeria (favorita e tags)
+ */
+export class UpdateGeneratedImageDto {
+  @IsOptional()
+  @IsBoolean()
+  isFavorite?: boolean;
+
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(20)
+  @IsString({ each: true })
+  @MaxLength(40, { each: true })
+  tags?: string[];
+}
+
+/**
+ * DTO de resposta para imagem da galeria
+ */
+export class GeneratedImageResponseDto {
+  id: string;
+  filename: string;
+  url: string;
+  prompt?: string;
+  negativePrompt?: string;
+  tags: string[];
+  isFavorite: boolean;
+  metadata: Record<string, any>;
+  /** Mensagem e conversa onde a imagem está anexada (ausentes se a mensagem foi excluída) */
+  messageId?: string;
+  sessionId?: string;
+  createdAt: Date;
+}
+
+/**
+ * DTO de resposta para a listagem paginada da galeria
+ */
+export class GeneratedImageListResponseDto {
+  images: GeneratedImageResponseDto[];
+  total: number;
+  page: number;
+  limit: number;
+}
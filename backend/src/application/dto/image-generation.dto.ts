@@ -0,0 +1,97 @@
+import { IsString, IsOptional, IsNumber, IsBoolean, IsIn, IsArray, ArrayMaxSize, ValidateNested, Min, Max } from 'class-validator';
+import { Type } from 'class-transformer';
+
+/**
+ * LoRA aplicada à geração (peso negativo inverte o efeito)
+ */
+export class LoraSelectionDto {
+  @IsString()
+  name: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(-2)
+  @Max(2)
+  weight?: number;
+}
+
+/**
+ * Textual inversion (embedding); negative a coloca no prompt negativo
+ */
+export class EmbeddingSelectionDto {
+  @IsString()
+  name: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(2)
+  weight?: number;
+
+  @IsOptional()
+  @IsBoolean()
+  negative?: boolean;
+}
+
+/**
+ * Ajustes de uma unidade de ControlNet, sem a imagem de referência
+ */
+export class ControlNetSettingsDto {
+  @IsString()
+  model: string;
+
+  @IsOptional()
+  @IsString()
+  module?: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(2)
+  weight?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  guidanceStart?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  guidanceEnd?: number;
+
+  @IsOptional()
+  @IsIn(['balanced', 'prompt', 'controlnet'])
+  controlMode?: 'balanced' | 'prompt' | 'controlnet';
+
+  @IsOptional()
+  @IsBoolean()
+  pixelPerfect?: boolean;
+}
+
+/**
+ * Recursos extras das imagens geradas pelo chat. O ControlNet usa como referência
+ * a primeira imagem anexada à mensagem
+ */
+export class ChatImageSettingsDto {
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(10)
+  @ValidateNested({ each: true })
+  @Type(() => LoraSelectionDto)
+  loras?: LoraSelectionDto[];
+
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(20)
+  @ValidateNested({ each: true })
+  @Type(() => EmbeddingSelectionDto)
+  embeddings?: EmbeddingSelectionDto[];
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ControlNetSettingsDto)
+  controlNet?: ControlNetSettingsDto;
+}
@@ -0,0 +1,108 @@
+import { IsString, IsOptional, IsNotEmpty, MaxLength, IsInt, Min, Max, IsNumber } from 'class-validator';
+import { Type } from 'class-transformer';
+import { KnowledgeDocumentStatus } from '../../domain/entities/knowledge-document.entity';
+
+/**
+ * DTO para criação de base de conhecimento
+ */
+export class CreateKnowledgeBaseDto {
+  @IsString({ message: 'Nome da base é obrigatório' })
+  @IsNotEmpty({ message: 'Nome da base é obrigatório' })
+  @MaxLength(100, { message: 'Nome deve ter no máximo 100 caracteres' })
+  name: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  description?: string;
+
+  /**
+   * Modelo de embeddings do Ollama (padrão: OLLAMA_EMBEDDING_MODEL).
+   * Não pode ser alterado depois, pois os vetores já gerados deixariam de ser comparáveis.
+   */
+  @IsOptional()
+  @IsString()
+  @MaxLength(200)
+  embeddingModel?: string;
+}
+
+/**
+ * DTO para atualização de base de conhecimento
+ */
+export class UpdateKnowledgeBaseDto {
+  @IsOptional()
+  @IsString()
+  @IsNotEmpty({ message: 'Nome da base não pode ser vazio' })
+  @MaxLength(100, { message: 'Nome deve ter no máximo 100 caracteres' })
+  name?: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  description?: string;
+}
+
+/**
+ * DTO para testar a busca em uma base de conhecimento
+ */
+export class SearchKnowledgeBaseDto {
+  @IsString({ message: 'Consulta é obrigatória' })
+  @IsNotEmpty({ message: 'Consulta é obrigatória' })
+  @MaxLength(2000)
+  query: string;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(20)
+  topK?: number;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsNumber()
+  @Min(-1)
+  @Max(1)
+  minScore?: number;
+}
+
+/**
+ * DTO de resposta para documento de uma base
+ */
+export class KnowledgeDocumentResponseDto {
+  id: string;
+  knowledgeBaseId: string;
+  originalName: string;
+  mimeType?: string;
+  size: number;
+  status: KnowledgeDocumentStatus;
+  error?: string | null;
+  chunkCount: number;
+  createdAt: Date;
+}
+
+/**
+ * DTO de resposta para base de conhecimento
+ */
+export class KnowledgeBaseResponseDto {
+  id: string;
+  name: string;
+  description?: string;
+  embeddingModel: string;
+  documents: KnowledgeDocumentResponseDto[];
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Trecho recuperado de uma base, citado na resposta como [index]
+ */
+export class KnowledgeSourceDto {
+  index: number;
+  knowledgeBaseId: string;
+  knowledgeBaseName: string;
+  documentId: string;
+  documentName: string;
+  content: string;
+  score: number;
+}
@@ -0,0 +1,121 @@
+import {
+  IsString,
+  IsNotEmpty,
+  IsOptional,
+  IsArray,
+  ArrayNotEmpty,
+  IsIn,
+  IsBoolean,
+  IsNumber,
+  IsInt,
+  IsObject,
+  IsDefined,
+  Min,
+  Max,
+  ValidateNested,
+} from 'class-validator';
+import { Type } from 'class-transformer';
+
+/**
+ * Parte de uma mensagem multimodal (formato da OpenAI)
+ */
+export interface ChatCompletionContentPart {
+  type: 'text' | 'image_url';
+  text?: string;
+  image_url?: { url: string } | string;
+}
+
+/**
+ * Mensagem do pedido de chat completion
+ */
+export class ChatCompletionMessageDto {
+  @IsIn(['system', 'developer', 'user', 'assistant'])
+  role: 'system' | 'developer' | 'user' | 'assistant';
+
+  /** Texto ou lista de partes (texto e imagens em data URL) */
+  @IsDefined()
+  content: string | ChatCompletionContentPart[] | null;
+}
+
+/**
+ * Pedido de POST /v1/chat/completions. Só os campos usados são lidos;
+ * os demais campos da API da OpenAI são aceitos e ignorados
+ */
+export class ChatCompletionRequestDto {
+  /** Modelo do Ollama ou "dynamic:<caminho>" para o Dynamic LLM (ver GET /v1/models) */
+  @IsString()
+  @IsNotEmpty()
+  model: string;
+
+  @IsArray()
+  @ArrayNotEmpty()
+  @ValidateNested({ each: true })
+  @Type(() => ChatCompletionMessageDto)
+  messages: ChatCompletionMessageDto[];
+
+  @IsOptional()
+  @IsBoolean()
+  stream?: boolean;
+
+  @IsOptional()
+  @IsObject()
+  stream_options?: { include_usage?: boolean };
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(2)
+  temperature?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  top_p?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  max_tokens?: number;
+
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  max_completion_tokens?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(-2)
+  @Max(2)
+  presence_penalty?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(-2)
+  @Max(2)
+  frequency_penalty?: number;
+
+  @IsOptional()
+  @IsInt()
+  seed?: number;
+
+  /** Uma sequência de parada ou uma lista delas */
+  @IsOptional()
+  stop?: string | string[];
+}
+
+/**
+ * Resultado de uma geração, antes de ser formatado como resposta da OpenAI
+ */
+export interface ChatCompletionResult {
+  id: string;
+  created: number;
+  model: string;
+  content: string;
+  finishReason: 'stop' | 'length';
+  usage: {
+    prompt_tokens: number;
+    completion_tokens: number;
+    total_tokens: number;
+  };
+}
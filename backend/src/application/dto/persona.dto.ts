@@ -0,0 +1,104 @@
+import { IsString, IsOptional, IsBoolean, IsArray, ArrayMaxSize, IsObject, IsNotEmpty, MaxLength } from 'class-validator';
+
+/**
+ * DTO para criação de persona
+ */
+export class CreatePersonaDto {
+  @IsString({ message: 'Nome da persona é obrigatório' })
+  @IsNotEmpty({ message: 'Nome da persona é obrigatório' })
+  @MaxLength(100, { message: 'Nome deve ter no máximo 100 caracteres' })
+  name: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  description?: string;
+
+  @IsString({ message: 'Conteúdo da persona é obrigatório' })
+  @IsNotEmpty({ message: 'Conteúdo da persona é obrigatório' })
+  @MaxLength(20000)
+  content: string;
+
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(20)
+  @IsString({ each: true })
+  @MaxLength(40, { each: true })
+  tags?: string[];
+
+  /**
+   * Valores padrão das variáveis personalizadas usadas no conteúdo
+   */
+  @IsOptional()
+  @IsObject()
+  variables?: Record<string, string>;
+
+  @IsOptional()
+  @IsBoolean()
+  isShared?: boolean;
+}
+
+/**
+ * DTO para atualização de persona
+ */
+export class UpdatePersonaDto {
+  @IsOptional()
+  @IsString()
+  @IsNotEmpty({ message: 'Nome da persona não pode ser vazio' })
+  @MaxLength(100, { message: 'Nome deve ter no máximo 100 caracteres' })
+  name?: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(500)
+  description?: string;
+
+  @IsOptional()
+  @IsString()
+  @IsNotEmpty({ message: 'Conteúdo da persona não pode ser vazio' })
+  @MaxLength(20000)
+  content?: string;
+
+  @IsOptional()
+  @IsArray()
+  @ArrayMaxSize(20)
+  @IsString({ each: true })
+  @MaxLength(40, { each: true })
+  tags?: string[];
+
+  @IsOptional()
+  @IsObject()
+  variables?: Record<string, string>;
+
+  @IsOptional()
+  @IsBoolean()
+  isShared?: boolean;
+}
+
+/**
+ * DTO para pré-visualizar o prompt de uma persona com as variáveis preenchidas
+ */
+export class RenderPersonaDto {
+  @IsOptional()
+  @IsObject()
+  variables?: Record<string, string>;
+}
+
+/**
+ * DTO de resposta para persona
+ */
+export class PersonaResponseDto {
+  id: string;
+  name: string;
+  description?: string;
+  content: string;
+  tags: string[];
+  variables: Record<string, string>;
+  /** Variáveis personalizadas encontradas no conteúdo (as automáticas não aparecem) */
+  customVariables: string[];
+  isShared: boolean;
+  /** false para personas compartilhadas por outros usuários (somente leitura) */
+  isOwner: boolean;
+  createdAt: Date;
+  updatedAt: Date;
+}
@@ -0,0 +1,66 @@
+import { IsOptional, IsInt, Min, Max, ValidateNested, IsDefined } from 'class-validator';
+import { Type } from 'class-transformer';
+
+/**
+ * Limites diários de uso. null (ou ausente) significa sem limite
+ */
+export class QuotaLimitsDto {
+  /** Tokens gerados nas respostas por dia */
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  tokensPerDay?: number | null;
+
+  /** Imagens geradas por dia (cada imagem de um lote conta) */
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  imagesPerDay?: number | null;
+
+  /** Respostas com streaming abertas ao mesmo tempo */
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  @Max(100)
+  concurrentStreams?: number | null;
+}
+
+/**
+ * Limites padrão de cada papel
+ */
+export class RoleQuotasDto {
+  @IsDefined()
+  @ValidateNested()
+  @Type(() => QuotaLimitsDto)
+  user: QuotaLimitsDto;
+
+  @IsDefined()
+  @ValidateNested()
+  @Type(() => QuotaLimitsDto)
+  admin: QuotaLimitsDto;
+}
+
+/**
+ * Uso do dia de um usuário
+ */
+export class QuotaUsageDto {
+  tokens: number;
+  images: number;
+  activeStreams: number;
+}
+
+/**
+ * Situação da cota de um usuário: limites efetivos (papel + exceções do usuário), uso e saldo
+ */
+export class QuotaStatusDto {
+  limits: QuotaLimitsDto;
+  usage: QuotaUsageDto;
+  /** Saldo de cada limite; null quando não há limite */
+  remaining: {
+    tokens: number | null;
+    images: number | null;
+    streams: number | null;
+  };
+  /** Quando o uso diário é zerado (meia-noite UTC) */
+  resetsAt: Date;
+}
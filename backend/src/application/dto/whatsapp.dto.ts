@@ -164,6 +164,10 @@ export class WhatsAppConfigDto {
   @IsBoolean()
   ignoreMedia?: boolean;
 
+  @IsOptional()
+  @IsBoolean()
+  transcribeVoiceNotes?: boolean;
+
   @IsOptional()
   @IsNumber()
   maxMessagesPerHour?: number;
@@ -211,6 +215,7 @@ export class WhatsAppConfigResponseDto {
   blockedKeywords: string[];
   ignoreGroups: boolean;
   ignoreMedia: boolean;
+  transcribeVoiceNotes: boolean;
   maxMessagesPerHour: number;
   maxMessagesPerChatPerHour: number;
   defaultModel: string;
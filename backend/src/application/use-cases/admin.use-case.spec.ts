@@ -0,0 +1,162 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { BadRequestException } from '@nestjs/common';
+import * as bcrypt from 'bcryptjs';
+import { AdminUseCase } from './admin.use-case';
+import { AuthUseCase } from './auth.use-case';
+import { SystemSettingsUseCase } from './system-settings.use-case';
+import { User } from '../../domain/entities/user.entity';
+import { ProviderType } from '../dto/chat.dto';
+
+describe('AdminUseCase', () => {
+  let useCase: AdminUseCase;
+  let userRepository: Record<string, jest.Mock>;
+  let authUseCase: { revokeAllSessions: jest.Mock };
+  let whatsAppConfigRepository: Record<string, jest.Mock>;
+
+  const user = (data: Partial<User>): User =>
+    Object.assign(new User(), { firstName: 'Ana', lastName: 'Silva', role: 'user', isActive: true, ...data });
+
+  beforeEach(async () => {
+    userRepository = {
+      findById: jest.fn(async (id: string) => user({ id, email: `${id}@example.com` })),
+      findAll: jest.fn(),
+      update: jest.fn(async (id: string, data: Partial<User>) => user({ id, email: `${id}@example.com`, ...data })),
+      delete: jest.fn(),
+      changePassword: jest.fn(),
+    };
+    authUseCase = { revokeAllSessions: jest.fn().mockResolvedValue({ revokedCount: 2 }) };
+    whatsAppConfigRepository = {
+      findByUserId: jest.fn().mockResolvedValue({ id: 'wa1' }),
+      delete: jest.fn(),
+    };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AdminUseCase,
+        { provide: 'IUserRepository', useValue: userRepository },
+        {
+          provide: 'IChatMessageRepository',
+          useValue: {
+            getUsageByUsers: jest.fn().mockResolvedValue([{ userId: 'u1', messageCount: 12, tokens: 3400 }]),
+          },
+        },
+        {
+          provide: 'IGeneratedImageRepository',
+          useValue: { countByUsers: jest.fn().mockResolvedValue([{ userId: 'u2', count: 5 }]) },
+        },
+        { provide: 'IWhatsAppConfigRepository', useValue: whatsAppConfigRepository },
+        { provide: AuthUseCase, useValue: authUseCase },
+      ],
+    }).compile();
+
+    useCase = module.get<AdminUseCase>(AdminUseCase);
+  });
+
+  it('lists users with their message, token and image usage', async () => {
+    userRepository.findAll.mockResolvedValue({
+      users: [user({ id: 'u1', email: 'a@example.com' }), user({ id: 'u2', email: 'b@example.com' })],
+      total: 2,
+    });
+
+    const result = await useCase.listUsers(1, 500);
+
+    expect(userRepository.findAll).toHaveBeenCalledWith(1, 100);
+    expect(result.users.map(item => item.usage)).toEqual([
+      { messageCount: 12, tokens: 3400, imageCount: 0 },
+      { messageCount: 0, tokens: 0, imageCount: 5 },
+    ]);
+    expect(result.users[0]).not.toHaveProperty('password');
+  });
+
+  it('revokes every session of a disabled user', async () => {
+    const result = await useCase.setUserActive('admin', 'u1', false);
+
+    expect(result.isActive).toBe(false);
+    expect(authUseCase.revokeAllSessions).toHaveBeenCalledWith('u1');
+  });
+
+  it('does not let admins disable, demote or delete themselves', async () => {
+    await expect(useCase.setUserActive('admin', 'admin', false)).rejects.toThrow(BadRequestException);
+    await expect(useCase.updateUserRole('admin', 'admin', 'user')).rejects.toThrow(BadRequestException);
+    await expect(useCase.deleteUser('admin', 'admin')).rejects.toThrow(BadRequestException);
+    expect(userRepository.delete).not.toHaveBeenCalled();
+  });
+
+  it('removes the WhatsApp config before deleting a user', async () => {
+    await useCase.deleteUser('admin', 'u1');
+
+    expect(whatsAppConfigRepository.delete).toHaveBeenCalledWith('wa1');
+    expect(userRepository.delete).toHaveBeenCalledWith('u1');
+  });
+
+  it('generates a temporary password when none is given and signs the user out', async () => {
+    const { temporaryPassword } = await useCase.resetPassword('u1', {});
+
+    expect(temporaryPassword).toHaveLength(12);
+    const [, hashed] = userRepository.changePassword.mock.calls[0];
+    await expect(bcrypt.compare(temporaryPassword, hashed)).resolves.toBe(true);
+    expect(authUseCase.revokeAllSessions).toHaveBeenCalledWith('u1');
+
+    await expect(useCase.resetPassword('u1', { newPassword: 'nova-senha-123' })).resolves.toEqual({ temporaryPassword: undefined });
+  });
+
+  it('keeps only the quota limits that were given and clears empty overrides', async () => {
+    const result = await useCase.updateUserQuota('u1', { tokensPerDay: 5000, imagesPerDay: null });
+
+    expect(userRepository.update).toHaveBeenCalledWith('u1', { quotaLimits: { tokensPerDay: 5000 } });
+    expect(result.quotaLimits).toEqual({ tokensPerDay: 5000 });
+
+    await useCase.updateUserQuota('u1', {});
+    expect(userRepository.update).toHaveBeenLastCalledWith('u1', { quotaLimits: null });
+  });
+});
+
+describe('SystemSettingsUseCase', () => {
+  let useCase: SystemSettingsUseCase;
+  let stored: Record<string, any>;
+
+  beforeEach(() => {
+    stored = {};
+    useCase = new SystemSettingsUseCase({
+      findAll: jest.fn(async () => Object.entries(stored).map(([key, value]) => ({ key, value, updatedAt: new Date() }))),
+      upsert: jest.fn(async (key: string, value: any) => {
+        stored[key] = value;
+      }),
+    }, {
+      get: jest.fn((key: string, defaultValue?: any) => ({ OLLAMA_DEFAULT_MODEL: 'qwen2.5:7b' })[key] ?? defaultValue),
+    } as any);
+  });
+
+  it('allows every model until the admin restricts the list', async () => {
+    await expect(useCase.getSettings()).resolves.toMatchObject({ allowedModels: [], defaultProvider: ProviderType.OLLAMA });
+    await expect(useCase.assertModelAllowed('qwen2.5:7b')).resolves.toBeUndefined();
+  });
+
+  it('rejects models outside the allowed list, ignoring ":latest" and file paths', async () => {
+    await useCase.updateSettings({ allowedModels: [' llama3.2 ', 'mistral-7b.gguf', 'llama3.2'] });
+
+    expect(stored.allowedModels).toEqual(['llama3.2', 'mistral-7b.gguf']);
+    await expect(useCase.assertModelAllowed('llama3.2:latest')).resolves.toBeUndefined();
+    await expect(useCase.assertModelAllowed('/models/mistral-7b.gguf')).resolves.toBeUndefined();
+    await expect(useCase.assertModelAllowed('qwen2.5:7b')).rejects.toThrow('não está liberado');
+  });
+
+  it('checks the default Ollama model when no model is given', async () => {
+    await expect(useCase.assertModelAllowed()).resolves.toBeUndefined();
+
+    await useCase.updateSettings({ allowedModels: ['llama3.2'] });
+    await expect(useCase.assertModelAllowed('')).rejects.toThrow('"qwen2.5:7b" não está liberado');
+
+    await useCase.updateSettings({ allowedModels: ['llama3.2', 'qwen2.5:7b'] });
+    await expect(useCase.assertModelAllowed(undefined)).resolves.toBeUndefined();
+  });
+
+  it('stores role quotas with missing limits as unlimited', async () => {
+    const settings = await useCase.updateSettings({ quotas: { user: { tokensPerDay: 20000 }, admin: {} } });
+
+    expect(settings.quotas).toEqual({
+      user: { tokensPerDay: 20000, imagesPerDay: null, concurrentStreams: null },
+      admin: { tokensPerDay: null, imagesPerDay: null, concurrentStreams: null },
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { Injectable, Inject, NotFoundException, BadRequestException, Logger } from '@nestjs/common';
+import * as bcrypt from 'bcryptjs';
+import * as crypto from 'crypto';
+
+import { IUserRepository } from '../../domain/repositories/user.repository.interface';
+import { IChatMessageRepository } from '../../domain/repositories/chat-message.repository.interface';
+import { IGeneratedImageRepository } from '../../domain/repositories/generated-image.repository.interface';
+import { IWhatsAppConfigRepository } from '../../domain/repositories/whatsapp-config.repository.interface';
+import { User } from '../../domain/entities/user.entity';
+import { AuthUseCase } from './auth.use-case';
+import {
+  AdminUserListResponseDto,
+  AdminUserResponseDto,
+  ResetUserPasswordDto,
+  ResetUserPasswordResponseDto,
+} from '../dto/admin.dto';
+import { QuotaLimitsDto } from '../dto/quota.dto';
+
+/**
+ * Use Case do painel do administrador: gestão de usuários e uso por usuário
+ */
+@Injectable()
+export class AdminUseCase {
+  private readonly logger = new Logger(AdminUseCase.name);
+
+  constructor(
+    @Inject('IUserRepository')
+    private readonly userRepository: IUserRepository,
+    @Inject('IChatMessageRepository')
+    private readonly chatMessageRepository: IChatMessageRepository,
+    @Inject('IGeneratedImageRepository')
+    private readonly generatedImageRepository: IGeneratedImageRepository,
+    @Inject('IWhatsAppConfigRepository')
+    private readonly whatsAppConfigRepository: IWhatsAppConfigRepository,
+    private readonly authUseCase: AuthUseCase,
+  ) {}
+
+  /**
+   * Lista os usuários com o uso de cada um
+   */
+  async listUsers(page: number = 1, limit: number = 20): Promise<AdminUserListResponseDto> {
+    const safeLimit = Math.min(Math.max(limit, 1), 100);
+    const safePage = Math.max(page, 1);
+    const { users, total } = await this.userRepository.findAll(safePage, safeLimit);
+
+    const userIds = users.map(user => user.id);
+    const [messageUsage, imageCounts] = await Promise.all([
+      this.chatMessageRepository.getUsageByUsers(userIds),
+      this.generatedImageRepository.countByUsers(userIds),
+    ]);
+
+    return {
+      users: users.map(user => {
+        const usage = messageUsage.find(item => item.userId === user.id);
+        const images = imageCounts.find(item => item.userId === user.id);
+        return this.mapToResponseDto(user, {
+          messageCount: usage?.messageCount || 0,
+          tokens: usage?.tokens || 0,
+          imageCount: images?.count || 0,
+        });
+      }),
+      total,
+      page: safePage,
+      limit: safeLimit,
+    };
+  }
+
+  /**
+   * Ativa ou desativa um usuário. Desativar encerra todas as sessões dele na hora
+   */
+  async setUserActive(adminId: string, userId: string, isActive: boolean): Promise<AdminUserResponseDto> {
+    const user = await this.findUserOrFail(userId);
+    if (!isActive && user.id === adminId) {
+      throw new BadRequestException('Você não pode desativar a própria conta');
+    }
+
+    const updated = await this.userRepository.update(user.id, { isActive });
+    if (!isActive) {
+      await this.authUseCase.revokeAllSessions(user.id);
+    }
+
+    this.logger.log(`👤 Usuário ${user.email} ${isActive ? 'ativado' : 'desativado'} pelo administrador ${adminId}`);
+    return this.mapToResponseDto(updated);
+  }
+
+  /**
+   * Altera o papel de um usuário
+   */
+  async updateUserRole(adminId: string, userId: string, role: User['role']): Promise<AdminUserResponseDto> {
+    const user = await this.findUserOrFail(userId);
+    if (user.id === adminId && role !== 'admin') {
+      throw new BadRequestException('Você não pode remover o próprio acesso de administrador');
+    }
+
+    const updated = await this.userRepository.update(user.id, { role });
+    this.logger.log(`👤 Usuário ${user.email} agora é ${role}`);
+    return this.mapToResponseDto(updated);
+  }
+
+  /**
+   * Define as exceções do usuário aos limites do seu papel. Só os limites informados
+   * são guardados; sem nenhum, o usuário volta a seguir o papel
+   */
+  async updateUserQuota(userId: string, quotaDto: QuotaLimitsDto): Promise<AdminUserResponseDto> {
+    const user = await this.findUserOrFail(userId);
+
+    const quotaLimits = Object.fromEntries(
+      Object.entries({
+        tokensPerDay: quotaDto.tokensPerDay,
+        imagesPerDay: quotaDto.imagesPerDay,
+        concurrentStreams: quotaDto.concurrentStreams,
+      }).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    const updated = await this.userRepository.update(user.id, {
+      quotaLimits: Object.keys(quotaLimits).length > 0 ? quotaLimits : null,
+    });
+    this.logger.log(`📊 Cotas do usuário ${user.email} atualizadas: ${JSON.stringify(updated.quotaLimits ?? 'padrão do papel')}`);
+    return this.mapToResponseDto(updated);
+  }
+
+  /**
+   * Exclui um usuário e tudo o que é dele (conversas, imagens, personas, sessões...)
+   */
+  async deleteUser(adminId: string, userId: string): Promise<void> {
+    const user = await this.findUserOrFail(userId);
+    if (user.id === adminId) {
+      throw new BadRequestException('Você não pode excluir a própria conta');
+    }
+
+    // A configuração do WhatsApp é a única relação sem ON DELETE CASCADE
+    const whatsAppConfig = await this.whatsAppConfigRepository.findByUserId(user.id);
+    if (whatsAppConfig) {
+      await this.whatsAppConfigRepository.delete(whatsAppConfig.id);
+    }
+
+    await this.userRepository.delete(user.id);
+    this.logger.log(`🗑️ Usuário ${user.email} excluído pelo administrador ${adminId}`);
+  }
+
+  /**
+   * Redefine a senha de um usuário e encerra as sessões dele.
+   * Sem senha informada, gera uma temporária e a devolve uma única vez
+   */
+  async resetPassword(userId: string, resetDto: ResetUserPasswordDto): Promise<ResetUserPasswordResponseDto> {
+    const user = await this.findUserOrFail(userId);
+
+    const temporaryPassword = resetDto.newPassword ? undefined : crypto.randomBytes(9).toString('base64url');
+    const hashedPassword = await bcrypt.hash(resetDto.newPassword || temporaryPassword, 12);
+    await this.userRepository.changePassword(user.id, hashedPassword);
+    await this.authUseCase.revokeAllSessions(user.id);
+
+    this.logger.log(`🔑 Senha do usuário ${user.email} redefinida pelo administrador`);
+    return { temporaryPassword };
+  }
+
+  private async findUserOrFail(userId: string): Promise<User> {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundException('Usuário não encontrado');
+    }
+    return user;
+  }
+
+  private mapToResponseDto(user: User, usage?: AdminUserResponseDto['usage']): AdminUserResponseDto {
+    return {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      isActive: user.isActive,
+      lastLoginAt: user.lastLoginAt,
+      createdAt: user.createdAt,
+      quotaLimits: user.quotaLimits ?? null,
+      ...(usage && { usage }),
+    };
+  }
+}
@@ -0,0 +1,86 @@
+import { BadRequestException, NotFoundException, UnauthorizedException } from '@nestjs/common';
+import { ApiKeyUseCase, API_KEY_PREFIX } from './api-key.use-case';
+import { ApiKey } from '../../domain/entities/api-key.entity';
+
+describe('ApiKeyUseCase', () => {
+  let useCase: ApiKeyUseCase;
+  let keys: ApiKey[];
+  let apiKeyRepository: Record<string, jest.Mock>;
+  let userRepository: { findById: jest.Mock };
+
+  const owner = { id: 'u1', email: 'ana@acme.com', password: 'hash', isActive: true, role: 'user' };
+
+  beforeEach(() => {
+    keys = [];
+    apiKeyRepository = {
+      findById: jest.fn(async (id: string) => keys.find(key => key.id === id) || null),
+      findByKeyHash: jest.fn(async (keyHash: string) => keys.find(key => key.keyHash === keyHash) || null),
+      findByUser: jest.fn(async (userId: string) => keys.filter(key => key.userId === userId && !key.revokedAt)),
+      create: jest.fn(async (data: Partial<ApiKey>) => {
+        const apiKey = Object.assign(new ApiKey(), { id: `k${keys.length + 1}`, createdAt: new Date(), ...data });
+        keys.push(apiKey);
+        return apiKey;
+      }),
+      update: jest.fn(async (id: string, data: Partial<ApiKey>) => Object.assign(keys.find(key => key.id === id), data)),
+      recordUsage: jest.fn(),
+    };
+    userRepository = { findById: jest.fn(async () => ({ ...owner })) };
+
+    useCase = new ApiKeyUseCase(apiKeyRepository as any, userRepository as any);
+  });
+
+  it('returns the key only once and stores just its hash', async () => {
+    const created = await useCase.createKey('u1', { name: ' CI ', scopes: ['chat'], expiresInDays: 30 });
+
+    expect(created.key.startsWith(API_KEY_PREFIX)).toBe(true);
+    expect(created.prefix).toBe(created.key.substring(0, 12));
+    expect(created).toMatchObject({ name: 'CI', scopes: ['chat'], expired: false });
+    expect(keys[0].keyHash).not.toContain(created.key);
+    expect(keys[0].expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+    const [listed] = await useCase.listKeys('u1');
+    expect(listed).not.toHaveProperty('key');
+    expect(listed.usage).toEqual({ requests: 0, promptTokens: 0, completionTokens: 0 });
+  });
+
+  it('authenticates a valid key and rejects unknown, revoked or expired keys', async () => {
+    const { key, id } = await useCase.createKey('u1', { name: 'script' });
+
+    const { user, apiKey } = await useCase.authenticate(key);
+    expect(user).not.toHaveProperty('password');
+    expect(apiKey.hasScope('models')).toBe(true);
+
+    await expect(useCase.authenticate(`${API_KEY_PREFIX}forged`)).rejects.toThrow(UnauthorizedException);
+    await expect(useCase.authenticate('eyJhbGciOi.jwt.token')).rejects.toThrow(UnauthorizedException);
+
+    keys[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(useCase.authenticate(key)).rejects.toThrow(UnauthorizedException);
+
+    keys[0].expiresAt = null;
+    await useCase.revokeKey('u1', id);
+    await expect(useCase.authenticate(key)).rejects.toThrow(UnauthorizedException);
+  });
+
+  it('rejects keys of inactive users', async () => {
+    const { key } = await useCase.createKey('u1', { name: 'script' });
+    userRepository.findById.mockResolvedValue({ ...owner, isActive: false });
+
+    await expect(useCase.authenticate(key)).rejects.toThrow('Usuário inativo');
+  });
+
+  it('only lets the owner revoke a key', async () => {
+    const { id } = await useCase.createKey('u1', { name: 'script' });
+
+    await expect(useCase.revokeKey('u2', id)).rejects.toThrow(NotFoundException);
+    await useCase.revokeKey('u1', id);
+    await expect(useCase.listKeys('u1')).resolves.toEqual([]);
+  });
+
+  it('caps the number of active keys per user', async () => {
+    for (let i = 0; i < 20; i++) {
+      await useCase.createKey('u1', { name: `key ${i}` });
+    }
+
+    await expect(useCase.createKey('u1', { name: 'one more' })).rejects.toThrow(BadRequestException);
+  });
+});
@@ -0,0 +1,133 @@
+import { Injectable, Inject, NotFoundException, BadRequestException, UnauthorizedException, Logger } from '@nestjs/common';
+import * as crypto from 'crypto';
+
+import { IApiKeyRepository } from '../../domain/repositories/api-key.repository.interface';
+import { IUserRepository } from '../../domain/repositories/user.repository.interface';
+import { ApiKey, API_KEY_SCOPES } from '../../domain/entities/api-key.entity';
+import { User } from '../../domain/entities/user.entity';
+import { CreateApiKeyDto, ApiKeyResponseDto, CreatedApiKeyResponseDto } from '../dto/api-key.dto';
+
+/**
+ * Prefixo das chaves; também distingue uma chave de API de um access token no header Authorization
+ */
+export const API_KEY_PREFIX = 'xai_';
+
+/**
+ * Chaves ativas por usuário
+ */
+const MAX_KEYS_PER_USER = 20;
+
+/**
+ * Use Case das chaves pessoais de API (usadas pela API compatível com OpenAI em /v1)
+ */
+@Injectable()
+export class ApiKeyUseCase {
+  private readonly logger = new Logger(ApiKeyUseCase.name);
+
+  constructor(
+    @Inject('IApiKeyRepository')
+    private readonly apiKeyRepository: IApiKeyRepository,
+    @Inject('IUserRepository')
+    private readonly userRepository: IUserRepository,
+  ) {}
+
+  /**
+   * Cria uma chave. A chave só é devolvida aqui; depois fica apenas o hash
+   */
+  async createKey(userId: string, createDto: CreateApiKeyDto): Promise<CreatedApiKeyResponseDto> {
+    const existing = await this.apiKeyRepository.findByUser(userId);
+    if (existing.length >= MAX_KEYS_PER_USER) {
+      throw new BadRequestException(`Limite de ${MAX_KEYS_PER_USER} chaves de API atingido. Revogue uma chave antes de criar outra`);
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await this.apiKeyRepository.create({
+      userId,
+      name: createDto.name.trim(),
+      prefix: key.substring(0, 12),
+      keyHash: ApiKeyUseCase.hashKey(key),
+      scopes: [...new Set(createDto.scopes?.length ? createDto.scopes : API_KEY_SCOPES)],
+      expiresAt: createDto.expiresInDays ? new Date(Date.now() + createDto.expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+    });
+
+    this.logger.log(`🔑 API key "${apiKey.name}" (${apiKey.prefix}…) created for user ${userId}`);
+    return { ...this.mapToResponseDto(apiKey), key };
+  }
+
+  /**
+   * Lista as chaves não revogadas do usuário, com o uso de cada uma
+   */
+  async listKeys(userId: string): Promise<ApiKeyResponseDto[]> {
+    const apiKeys = await this.apiKeyRepository.findByUser(userId);
+    return apiKeys.map(apiKey => this.mapToResponseDto(apiKey));
+  }
+
+  /**
+   * Revoga uma chave do usuário; ela deixa de funcionar na hora
+   */
+  async revokeKey(userId: string, apiKeyId: string): Promise<void> {
+    const apiKey = await this.apiKeyRepository.findById(apiKeyId);
+    if (!apiKey || !apiKey.isOwnedBy(userId)) {
+      throw new NotFoundException('Chave de API não encontrada');
+    }
+
+    if (!apiKey.revokedAt) {
+      await this.apiKeyRepository.update(apiKey.id, { revokedAt: new Date() });
+      this.logger.log(`🔑 API key ${apiKey.prefix}… revoked by user ${userId}`);
+    }
+  }
+
+  /**
+   * Confere a chave e devolve o dono (sem a senha) e a própria chave
+   */
+  async authenticate(key: string): Promise<{ user: User; apiKey: ApiKey }> {
+    const apiKey = key?.startsWith(API_KEY_PREFIX)
+      ? await this.apiKeyRepository.findByKeyHash(ApiKeyUseCase.hashKey(key))
+      : null;
+
+    if (!apiKey || !apiKey.isActive()) {
+      throw new UnauthorizedException('Chave de API inválida, revogada ou expirada');
+    }
+
+    const user = await this.userRepository.findById(apiKey.userId);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedException('Usuário inativo');
+    }
+
+    const { password, ...sanitizedUser } = user;
+    return { user: sanitizedUser as User, apiKey };
+  }
+
+  /**
+   * Soma uma requisição e os tokens ao uso da chave. Falhas só são registradas no log
+   */
+  async recordUsage(apiKeyId: string, usage: { promptTokens: number; completionTokens: number }): Promise<void> {
+    try {
+      await this.apiKeyRepository.recordUsage(apiKeyId, usage);
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to record usage for API key ${apiKeyId}: ${error.message}`);
+    }
+  }
+
+  private mapToResponseDto(apiKey: ApiKey): ApiKeyResponseDto {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      usage: {
+        requests: apiKey.requestCount ?? 0,
+        promptTokens: apiKey.promptTokens ?? 0,
+        completionTokens: apiKey.completionTokens ?? 0,
+      },
+      lastUsedAt: apiKey.lastUsedAt,
+      expiresAt: apiKey.expiresAt,
+      expired: !apiKey.isActive(),
+      createdAt: apiKey.createdAt,
+    };
+  }
+
+  private static hashKey(key: string): string {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
@@ -0,0 +1,249 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { ConflictException, NotFoundException, UnauthorizedException } from '@nestjs/common';
+import * as bcrypt from 'bcryptjs';
+import { AuthUseCase } from './auth.use-case';
+import { AuthSession } from '../../domain/entities/auth-session.entity';
+import { User } from '../../domain/entities/user.entity';
+import { OidcIdentity } from '../../infrastructure/services/oidc.service';
+
+describe('AuthUseCase - refresh tokens and sessions', () => {
+  let useCase: AuthUseCase;
+  let jwtService: JwtService;
+  let sessions: Map<string, AuthSession>;
+  let user: User;
+
+  const credentials = { email: 'ana@example.com', password: 'correct-horse' };
+  const client = { userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/130.0', ipAddress: '10.0.0.5' };
+
+  // Repositório de sessões em memória
+  const sessionRepository = {
+    findById: jest.fn(async (id: string) => sessions.get(id) ?? null),
+    findByTokenHash: jest.fn(async (hash: string) =>
+      [...sessions.values()].find(session => session.refreshTokenHash === hash || session.previousTokenHash === hash) ?? null),
+    create: jest.fn(async (data: Partial<AuthSession>) => {
+      const session = Object.assign(new AuthSession(), { id: `s${sessions.size + 1}`, createdAt: new Date(), ...data });
+      sessions.set(session.id, session);
+      return session;
+    }),
+    update: jest.fn(async (id: string, data: Partial<AuthSession>) => Object.assign(sessions.get(id), data)),
+    findActiveByUser: jest.fn(async (userId: string) =>
+      [...sessions.values()].filter(session => session.userId === userId && session.isActive())),
+    revokeAllByUser: jest.fn(async (userId: string, exceptId?: string) => {
+      const revoked = [...sessions.values()].filter(session => session.userId === userId && !session.revokedAt && session.id !== exceptId);
+      revoked.forEach(session => { session.revokedAt = new Date(); });
+      return revoked.length;
+    }),
+    deleteStale: jest.fn().mockResolvedValue(0),
+  };
+
+  beforeEach(async () => {
+    sessions = new Map();
+    user = Object.assign(new User(), {
+      id: 'u1',
+      email: credentials.email,
+      password: await bcrypt.hash(credentials.password, 4),
+      role: 'user',
+      isActive: true,
+    });
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AuthUseCase,
+        { provide: JwtService, useValue: new JwtService({ secret: 'test-secret' }) },
+        {
+          provide: 'IUserRepository',
+          useValue: {
+            findByEmail: jest.fn(async (email: string) => (email === user.email ? user : null)),
+            findById: jest.fn(async (id: string) => (id === user.id ? user : null)),
+            updateLastLogin: jest.fn(),
+            changePassword: jest.fn(),
+          },
+        },
+        { provide: 'IAuthSessionRepository', useValue: sessionRepository },
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => ({ JWT_EXPIRES_IN: '10m' })[key] ?? defaultValue),
+          },
+        },
+      ],
+    }).compile();
+
+    useCase = module.get<AuthUseCase>(AuthUseCase);
+    jwtService = module.get<JwtService>(JwtService);
+  });
+
+  it('should issue a short-lived access token bound to a new session', async () => {
+    const result = await useCase.login(credentials, client);
+
+    expect(result.expiresIn).toBe(600);
+    expect(result.refreshToken).toBeDefined();
+    const payload = jwtService.verify(result.accessToken);
+    const session = sessions.get(payload.sid);
+    expect(session).toMatchObject({ userId: 'u1', userAgent: client.userAgent, ipAddress: client.ipAddress });
+    expect(session.refreshTokenHash).not.toBe(result.refreshToken);
+    expect(await useCase.validateToken(result.accessToken)).toMatchObject({ id: 'u1', sessionId: payload.sid });
+  });
+
+  it('should rotate the refresh token and revoke the session when an old one is reused', async () => {
+    const login = await useCase.login(credentials, client);
+    const refreshed = await useCase.refresh(login.refreshToken);
+
+    expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+    expect(jwtService.verify(refreshed.accessToken).sid).toBe(jwtService.verify(login.accessToken).sid);
+
+    // Reuso depois da janela de tolerância: o token vazou
+    const [session] = sessions.values();
+    session.lastUsedAt = new Date(Date.now() - 60 * 1000);
+    await expect(useCase.refresh(login.refreshToken)).rejects.toThrow(UnauthorizedException);
+
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    await expect(useCase.refresh(refreshed.refreshToken)).rejects.toThrow(UnauthorizedException);
+    expect(await useCase.validateToken(refreshed.accessToken)).toBeNull();
+  });
+
+  it('should accept the previous refresh token right after a rotation (concurrent tabs)', async () => {
+    const login = await useCase.login(credentials, client);
+    await useCase.refresh(login.refreshToken);
+
+    const again = await useCase.refresh(login.refreshToken);
+
+    expect(again.accessToken).toBeDefined();
+    expect([...sessions.values()][0].revokedAt).toBeUndefined();
+  });
+
+  it('should revoke one session or every session but the current one', async () => {
+    const laptop = await useCase.login(credentials, client);
+    const phone = await useCase.login(credentials, { userAgent: 'Mobile Safari' });
+    const laptopSession = jwtService.verify(laptop.accessToken).sid;
+    const phoneSession = jwtService.verify(phone.accessToken).sid;
+
+    await expect(useCase.revokeSession('u2', phoneSession)).rejects.toThrow(NotFoundException);
+    await useCase.revokeSession('u1', phoneSession);
+    expect(await useCase.validateToken(phone.accessToken)).toBeNull();
+
+    const tablet = await useCase.login(credentials, { userAgent: 'Tablet' });
+    expect(await useCase.revokeAllSessions('u1', laptopSession)).toEqual({ revokedCount: 1 });
+    expect(await useCase.validateToken(tablet.accessToken)).toBeNull();
+
+    const list = await useCase.listSessions('u1', laptopSession);
+    expect(list).toEqual([expect.objectContaining({ id: laptopSession, current: true })]);
+  });
+
+  it('should reject access tokens without a session', async () => {
+    const legacyToken = jwtService.sign({ sub: 'u1', email: user.email, role: 'user' });
+
+    expect(await useCase.validateToken(legacyToken)).toBeNull();
+  });
+});
+
+describe('AuthUseCase - OIDC login', () => {
+  let useCase: AuthUseCase;
+  let users: User[];
+
+  const identity = (data: Partial<OidcIdentity> = {}): OidcIdentity => ({
+    subject: 'idp-1',
+    email: 'ana@acme.com',
+    emailVerified: true,
+    firstName: 'Ana',
+    lastName: 'Silva',
+    groups: [],
+    role: null,
+    ...data,
+  });
+
+  // Repositório de usuários em memória
+  const userRepository = {
+    findByOidcSubject: jest.fn(async (subject: string) => users.find(user => user.oidcSubject === subject) ?? null),
+    findByEmail: jest.fn(async (email: string) => users.find(user => user.email === email) ?? null),
+    create: jest.fn(async (data: Partial<User>) => {
+      const user = Object.assign(new User(), { id: `u${users.length + 1}`, ...data });
+      users.push(user);
+      return user;
+    }),
+    update: jest.fn(async (id: string, data: Partial<User>) => Object.assign(users.find(user => user.id === id), data)),
+    updateLastLogin: jest.fn(),
+  };
+
+  beforeEach(async () => {
+    users = [];
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AuthUseCase,
+        { provide: JwtService, useValue: new JwtService({ secret: 'test-secret' }) },
+        { provide: 'IUserRepository', useValue: userRepository },
+        {
+          provide: 'IAuthSessionRepository',
+          useValue: {
+            create: jest.fn(async (data: Partial<AuthSession>) => Object.assign(new AuthSession(), { id: 's1', ...data })),
+            deleteStale: jest.fn().mockResolvedValue(0),
+          },
+        },
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => ({ ADMIN_EMAILS: 'boss@acme.com' })[key] ?? defaultValue),
+          },
+        },
+      ],
+    }).compile();
+
+    useCase = module.get<AuthUseCase>(AuthUseCase);
+  });
+
+  it('should provision a user on the first SSO login and find it by subject afterwards', async () => {
+    const first = await useCase.loginWithOidc(identity({ role: 'admin' }));
+
+    expect(first.accessToken).toBeDefined();
+    expect(first.user).toMatchObject({ email: 'ana@acme.com', firstName: 'Ana', role: 'admin', oidcSubject: 'idp-1' });
+    expect(first.user).not.toHaveProperty('password');
+
+    // O e-mail mudou no provedor, mas o subject continua o mesmo
+    await useCase.loginWithOidc(identity({ email: 'ana.silva@acme.com' }));
+    expect(users).toHaveLength(1);
+  });
+
+  it('should link an existing account only when the provider verified the e-mail', async () => {
+    users.push(Object.assign(new User(), { id: 'u1', email: 'ana@acme.com', role: 'user', isActive: true }));
+
+    await expect(useCase.loginWithOidc(identity({ emailVerified: false }))).rejects.toThrow(UnauthorizedException);
+    expect(users[0].oidcSubject).toBeUndefined();
+
+    const result = await useCase.loginWithOidc(identity());
+    expect(result.user).toMatchObject({ id: 'u1', oidcSubject: 'idp-1' });
+
+    await expect(useCase.loginWithOidc(identity({ subject: 'idp-2' }))).rejects.toThrow(ConflictException);
+  });
+
+  it('should not create an account nor apply ADMIN_EMAILS for an unverified e-mail', async () => {
+    await expect(useCase.loginWithOidc(identity({ subject: 'idp-boss', email: 'boss@acme.com', emailVerified: false })))
+      .rejects.toThrow(UnauthorizedException);
+    expect(users).toHaveLength(0);
+
+    // Conta já vinculada: o login segue, mas o e-mail deixou de ser verificado no provedor
+    await useCase.loginWithOidc(identity({ subject: 'idp-boss', email: 'boss@acme.com' }));
+    const unverified = await useCase.loginWithOidc(identity({ subject: 'idp-boss', email: 'boss@acme.com', emailVerified: false, role: 'user' }));
+    expect(unverified.user.role).toBe('user');
+  });
+
+  it('should sync the role with the provider groups, keeping ADMIN_EMAILS as admins', async () => {
+    await useCase.loginWithOidc(identity({ role: 'admin' }));
+    const demoted = await useCase.loginWithOidc(identity({ role: 'user' }));
+    expect(demoted.user.role).toBe('user');
+
+    const unmapped = await useCase.loginWithOidc(identity({ role: null }));
+    expect(unmapped.user.role).toBe('user');
+
+    const boss = await useCase.loginWithOidc(identity({ subject: 'idp-boss', email: 'boss@acme.com', role: 'user' }));
+    expect(boss.user.role).toBe('admin');
+  });
+
+  it('should refuse inactive users', async () => {
+    await useCase.loginWithOidc(identity());
+    users[0].isActive = false;
+
+    await expect(useCase.loginWithOidc(identity())).rejects.toThrow('Usuário inativo');
+  });
+});
@@ -1,26 +1,74 @@
-import { Injectable, UnauthorizedException, ConflictException, NotFoundException, Inject } from '@nestjs/common';
+import { Injectable, UnauthorizedException, ConflictException, NotFoundException, Inject, Logger } from '@nestjs/common';
 import { JwtService } from '@nestjs/jwt';
+import { ConfigService } from '@nestjs/config';
 import * as bcrypt from 'bcryptjs';
+import * as crypto from 'crypto';
 
 import { IUserRepository } from '../../domain/repositories/user.repository.interface';
+import { IAuthSessionRepository } from '../../domain/repositories/auth-session.repository.interface';
 import { User } from '../../domain/entities/user.entity';
-import { RegisterUserDto, LoginUserDto, AuthResponseDto, ChangePasswordDto, UpdateProfileDto } from '../dto/auth.dto';
+import { AuthSession } from '../../domain/entities/auth-session.entity';
+import { OidcIdentity } from '../../infrastructure/services/oidc.service';
+import {
+  RegisterUserDto,
+  LoginUserDto,
+  AuthResponseDto,
+  ChangePasswordDto,
+  UpdateProfileDto,
+  AuthSessionResponseDto,
+} from '../dto/auth.dto';
+
+/**
+ * Dispositivo que fez o login/renovação (exibido na lista de sessões)
+ */
+export interface ClientInfo {
+  userAgent?: string;
+  ipAddress?: string;
+}
+
+/**
+ * Dentro desta janela após uma rotação, o refresh token anterior ainda é aceito
+ * (duas abas renovando ao mesmo tempo); depois disso, reutilizá-lo revoga a sessão
+ */
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Sessões expiradas ou revogadas há mais que isso são apagadas no login
+ */
+const STALE_SESSION_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
 
 /**
  * Use Case para operações de autenticação
  */
 @Injectable()
 export class AuthUseCase {
+  private readonly logger = new Logger(AuthUseCase.name);
+  private readonly accessTokenTtlSeconds: number;
+  private readonly refreshTokenTtlSeconds: number;
+  private readonly adminEmails: Set<string>;
+
   constructor(
     @Inject('IUserRepository')
     private readonly userRepository: IUserRepository,
+    @Inject('IAuthSessionRepository')
+    private readonly authSessionRepository: IAuthSessionRepository,
     private readonly jwtService: JwtService,
-  ) {}
+    private readonly configService: ConfigService,
+  ) {
+    this.accessTokenTtlSeconds = AuthUseCase.parseDuration(this.configService.get('JWT_EXPIRES_IN', '15m'), 15 * 60);
+    this.refreshTokenTtlSeconds = AuthUseCase.parseDuration(this.configService.get('JWT_REFRESH_EXPIRES_IN', '30d'), 30 * 24 * 60 * 60);
+    this.adminEmails = new Set(
+      String(this.configService.get('ADMIN_EMAILS', ''))
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean),
+    );
+  }
 
   /**
    * Registra um novo usuário
    */
-  async register(registerDto: RegisterUserDto): Promise<AuthResponseDto> {
+  async register(registerDto: RegisterUserDto, client: ClientInfo = {}): Promise<AuthResponseDto> {
     const { email, password, firstName, lastName, preferredLanguage, theme } = registerDto;
 
     // Verifica se o email já existe
@@ -40,26 +88,25 @@ export class AuthUseCase {
       lastName,
       preferredLanguage,
       theme: theme || 'light',
-      role: 'user',
+      role: this.adminEmails.has(email.toLowerCase()) ? 'admin' : 'user',
       isActive: true,
     };
 
     const user = await this.userRepository.create(userData);
 
-    // Gera tokens
-    const { accessToken, expiresIn } = await this.generateTokens(user);
+    // Abre a sessão e gera os tokens
+    const tokens = await this.startSession(user, client);
 
     return {
       user: this.sanitizeUser(user),
-      accessToken,
-      expiresIn,
+      ...tokens,
     };
   }
 
   /**
    * Realiza login do usuário
    */
-  async login(loginDto: LoginUserDto): Promise<AuthResponseDto> {
+  async login(loginDto: LoginUserDto, client: ClientInfo = {}): Promise<AuthResponseDto> {
     const { email, password } = loginDto;
 
     // Busca o usuário pelo email
@@ -79,19 +126,160 @@ export class AuthUseCase {
       throw new UnauthorizedException('Credenciais inválidas');
     }
 
-    // Atualiza último login
-    await this.userRepository.updateLastLogin(user.id);
+    // E-mails de ADMIN_EMAILS viram administradores (é assim que o primeiro admin é criado)
+    if (user.role !== 'admin' && this.adminEmails.has(user.email.toLowerCase())) {
+      await this.userRepository.update(user.id, { role: 'admin' });
+      user.role = 'admin';
+      this.logger.log(`Usuário ${user.email} promovido a administrador (ADMIN_EMAILS)`);
+    }
 
-    // Gera tokens
-    const { accessToken, expiresIn } = await this.generateTokens(user);
+    return this.completeLogin(user, client);
+  }
+
+  /**
+   * Login por SSO (OIDC). O usuário é encontrado pelo subject do provedor; no primeiro login,
+   * que exige o e-mail verificado pelo provedor, uma conta com o mesmo e-mail é vinculada ou uma nova é criada.
+   * Com OIDC_ADMIN_GROUPS configurado, o papel segue os grupos do provedor a cada login
+   */
+  async loginWithOidc(identity: OidcIdentity, client: ClientInfo = {}): Promise<AuthResponseDto> {
+    let user = await this.userRepository.findByOidcSubject(identity.subject);
+
+    if (!user) {
+      const existingUser = await this.userRepository.findByEmail(identity.email);
+      if (existingUser?.oidcSubject) {
+        throw new ConflictException('Este e-mail já está vinculado a outra conta do provedor de identidade');
+      }
+      // Sem a verificação, qualquer um poderia assumir o e-mail de outra pessoa (inclusive de ADMIN_EMAILS)
+      if (identity.emailVerified !== true) {
+        throw new UnauthorizedException('E-mail não verificado no provedor de identidade');
+      }
+
+      if (existingUser) {
+        user = await this.userRepository.update(existingUser.id, { oidcSubject: identity.subject });
+        this.logger.log(`Usuário ${user.email} vinculado ao provedor de identidade`);
+      } else {
+        // A conta não tem senha utilizável; o acesso é só pelo SSO (ou após o admin redefinir a senha)
+        user = await this.userRepository.create({
+          email: identity.email,
+          password: await bcrypt.hash(crypto.randomBytes(32).toString('base64url'), 12),
+          firstName: identity.firstName,
+          lastName: identity.lastName,
+          oidcSubject: identity.subject,
+          theme: 'light',
+          role: identity.role ?? 'user',
+          isActive: true,
+        });
+        this.logger.log(`Usuário ${user.email} criado pelo login por SSO`);
+      }
+    }
+
+    if (!user.isActive) {
+      throw new UnauthorizedException('Usuário inativo');
+    }
+
+    // ADMIN_EMAILS continua valendo por cima dos grupos, mas só com o e-mail verificado pelo provedor
+    const role = identity.emailVerified === true && this.adminEmails.has(user.email.toLowerCase()) ? 'admin' : identity.role;
+    if (role && user.role !== role) {
+      await this.userRepository.update(user.id, { role });
+      this.logger.log(`Usuário ${user.email} agora é ${role} (grupos do provedor de identidade)`);
+      user.role = role;
+    }
+
+    return this.completeLogin(user, client);
+  }
+
+  /**
+   * Troca um refresh token por um novo par de tokens (rotação).
+   * Reutilizar um refresh token já trocado indica vazamento: a sessão é revogada
+   */
+  async refresh(refreshToken: string, client: ClientInfo = {}): Promise<AuthResponseDto> {
+    const tokenHash = AuthUseCase.hashToken(refreshToken);
+    const session = await this.authSessionRepository.findByTokenHash(tokenHash);
+
+    if (!session || !session.isActive()) {
+      throw new UnauthorizedException('Sessão expirada ou encerrada');
+    }
+
+    if (session.previousTokenHash === tokenHash) {
+      const rotatedAgo = Date.now() - new Date(session.lastUsedAt).getTime();
+      if (rotatedAgo > REFRESH_REUSE_GRACE_MS) {
+        await this.authSessionRepository.update(session.id, { revokedAt: new Date() });
+        this.logger.warn(`Refresh token reutilizado na sessão ${session.id}; sessão revogada`);
+        throw new UnauthorizedException('Sessão encerrada por segurança');
+      }
+    }
+
+    const user = await this.userRepository.findById(session.userId);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedException('Usuário inativo');
+    }
+
+    const newRefreshToken = AuthUseCase.generateRefreshToken();
+    const rotatedSession = await this.authSessionRepository.update(session.id, {
+      refreshTokenHash: AuthUseCase.hashToken(newRefreshToken),
+      previousTokenHash: session.refreshTokenHash,
+      lastUsedAt: new Date(),
+      expiresAt: this.refreshExpiry(),
+      ...(client.userAgent && { userAgent: client.userAgent.substring(0, 500) }),
+      ...(client.ipAddress && { ipAddress: client.ipAddress }),
+    });
 
     return {
       user: this.sanitizeUser(user),
-      accessToken,
-      expiresIn,
+      ...this.generateTokens(user, rotatedSession, newRefreshToken),
     };
   }
 
+  /**
+   * Encerra a sessão do refresh token informado (logout deste dispositivo)
+   */
+  async logout(refreshToken: string): Promise<void> {
+    const session = await this.authSessionRepository.findByTokenHash(AuthUseCase.hashToken(refreshToken));
+    if (session && !session.revokedAt) {
+      await this.authSessionRepository.update(session.id, { revokedAt: new Date() });
+    }
+  }
+
+  /**
+   * Lista as sessões ativas do usuário (dispositivos logados)
+   */
+  async listSessions(userId: string, currentSessionId?: string): Promise<AuthSessionResponseDto[]> {
+    const sessions = await this.authSessionRepository.findActiveByUser(userId);
+    return sessions.map(session => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoga uma sessão do usuário; o access token dela deixa de valer na hora
+   */
+  async revokeSession(userId: string, sessionId: string): Promise<void> {
+    const session = await this.authSessionRepository.findById(sessionId);
+    if (!session || !session.isOwnedBy(userId)) {
+      throw new NotFoundException('Sessão não encontrada');
+    }
+
+    if (!session.revokedAt) {
+      await this.authSessionRepository.update(session.id, { revokedAt: new Date() });
+    }
+  }
+
+  /**
+   * Revoga todas as sessões do usuário ("sair de todos os dispositivos"),
+   * opcionalmente mantendo a atual
+   */
+  async revokeAllSessions(userId: string, exceptSessionId?: string): Promise<{ revokedCount: number }> {
+    const revokedCount = await this.authSessionRepository.revokeAllByUser(userId, exceptSessionId);
+    this.logger.log(`${revokedCount} sessão(ões) revogada(s) do usuário ${userId}`);
+    return { revokedCount };
+  }
+
   /**
    * Obtém perfil do usuário
    */
@@ -118,9 +306,9 @@ export class AuthUseCase {
   }
 
   /**
-   * Altera senha do usuário
+   * Altera senha do usuário e encerra as outras sessões
    */
-  async changePassword(userId: string, changePasswordDto: ChangePasswordDto): Promise<void> {
+  async changePassword(userId: string, changePasswordDto: ChangePasswordDto, currentSessionId?: string): Promise<void> {
     const { currentPassword, newPassword } = changePasswordDto;
 
     const user = await this.userRepository.findById(userId);
@@ -139,48 +327,119 @@ export class AuthUseCase {
 
     // Atualiza a senha
     await this.userRepository.changePassword(userId, hashedNewPassword);
+    await this.revokeAllSessions(userId, currentSessionId);
   }
 
   /**
-   * Valida token JWT
+   * Valida token JWT; a sessão do token (sid) precisa continuar ativa.
+   * O usuário retornado traz sessionId
    */
-  async validateToken(token: string): Promise<User | null> {
+  async validateToken(token: string): Promise<(User & { sessionId: string }) | null> {
     try {
       const payload = this.jwtService.verify(token);
-      const user = await this.userRepository.findById(payload.sub);
+      if (!payload.sid) {
+        return null;
+      }
+
+      const [user, session] = await Promise.all([
+        this.userRepository.findById(payload.sub),
+        this.authSessionRepository.findById(payload.sid),
+      ]);
       
-      if (!user || !user.isActive) {
+      if (!user || !user.isActive || !session?.isActive() || !session.isOwnedBy(user.id)) {
         return null;
       }
 
-      return this.sanitizeUser(user);
+      return { ...this.sanitizeUser(user), sessionId: session.id };
     } catch (error) {
       return null;
     }
   }
 
   /**
-   * Gera tokens de acesso
+   * Etapas comuns a todo login: registra o acesso, limpa sessões antigas e abre a sessão
    */
-  private async generateTokens(user: User): Promise<{ accessToken: string; expiresIn: number }> {
+  private async completeLogin(user: User, client: ClientInfo): Promise<AuthResponseDto> {
+    // Atualiza último login
+    await this.userRepository.updateLastLogin(user.id);
+
+    await this.authSessionRepository
+      .deleteStale(new Date(Date.now() - STALE_SESSION_RETENTION_MS))
+      .catch(error => this.logger.warn(`Falha ao limpar sessões antigas: ${error.message}`));
+
+    // Abre a sessão e gera os tokens
+    const tokens = await this.startSession(user, client);
+
+    return {
+      user: this.sanitizeUser(user),
+      ...tokens,
+    };
+  }
+
+  /**
+   * Abre uma sessão para o dispositivo e gera o primeiro par de tokens
+   */
+  private async startSession(user: User, client: ClientInfo): Promise<Omit<AuthResponseDto, 'user'>> {
+    const refreshToken = AuthUseCase.generateRefreshToken();
+    const session = await this.authSessionRepository.create({
+      userId: user.id,
+      refreshTokenHash: AuthUseCase.hashToken(refreshToken),
+      userAgent: client.userAgent?.substring(0, 500),
+      ipAddress: client.ipAddress,
+      lastUsedAt: new Date(),
+      expiresAt: this.refreshExpiry(),
+    });
+
+    return this.generateTokens(user, session, refreshToken);
+  }
+
+  /**
+   * Gera o access token (curto, ligado à sessão) e devolve junto o refresh token
+   */
+  private generateTokens(user: User, session: AuthSession, refreshToken: string): Omit<AuthResponseDto, 'user'> {
     const payload = {
       sub: user.id,
+      sid: session.id,
       email: user.email,
       role: user.role,
     };
 
-    const expiresIn = 24 * 60 * 60; // 24 horas
-
     const accessToken = this.jwtService.sign(payload, {
-      expiresIn: `${expiresIn}s`,
+      expiresIn: `${this.accessTokenTtlSeconds}s`,
     });
 
     return {
       accessToken,
-      expiresIn,
+      refreshToken,
+      expiresIn: this.accessTokenTtlSeconds,
+      refreshExpiresIn: this.refreshTokenTtlSeconds,
     };
   }
 
+  private refreshExpiry(): Date {
+    return new Date(Date.now() + this.refreshTokenTtlSeconds * 1000);
+  }
+
+  private static generateRefreshToken(): string {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  private static hashToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Converte durações como "15m", "24h", "30d" ou segundos ("900") em segundos
+   */
+  private static parseDuration(value: string | number, fallback: number): number {
+    const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/i);
+    if (!match) {
+      return fallback;
+    }
+    const units = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+    return Number(match[1]) * units[match[2].toLowerCase()];
+  }
+
   /**
    * Remove dados sensíveis do usuário
    */
@@ -1,13 +1,37 @@
-import { Injectable, NotFoundException, ForbiddenException, BadRequestException, Inject, Logger } from '@nestjs/common';
+import { Injectable, NotFoundException, ForbiddenException, BadRequestException, PayloadTooLargeException, Inject, Logger, OnModuleInit } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { randomUUID } from 'crypto';
 
 import { IChatSessionRepository } from '../../domain/repositories/chat-session.repository.interface';
 import { IChatMessageRepository } from '../../domain/repositories/chat-message.repository.interface';
 import { IUserRepository } from '../../domain/repositories/user.repository.interface';
-import { ChatSession } from '../../domain/entities/chat-session.entity';
+import { ChatSession, ConversationSummary, SessionSettings, SessionLlmConfig } from '../../domain/entities/chat-session.entity';
+import { User } from '../../domain/entities/user.entity';
 import { ChatMessage } from '../../domain/entities/chat-message.entity';
 import { OllamaService } from '../../infrastructure/services/ollama.service';
 import { StableDiffusionService } from '../../infrastructure/services/stable-diffusion.service';
+import { ImageGenerationQueueService } from '../../infrastructure/services/image-generation-queue.service';
 import { DynamicLLMService } from '../../infrastructure/services/dynamic-llm.service';
+import { FileAttachmentService, StoredFileAttachment } from '../../infrastructure/services/file-attachment.service';
+import { ContextUsage } from '../../infrastructure/services/context-window.service';
+import { ConversationContextService, ContextMessage, VisionImages } from '../../infrastructure/services/conversation-context.service';
+import { MessageTreeService } from '../../infrastructure/services/message-tree.service';
+import { PromptTemplateService } from '../../infrastructure/services/prompt-template.service';
+import { IntentRouterService, IntentDecision, ImageOptions } from '../../infrastructure/services/intent-router.service';
+import {
+  ToolRegistryService,
+  ToolExecutionContext,
+  ToolCallRecord,
+  ToolCallRequest,
+  ToolDefinition,
+  ToolMessageFormat,
+} from '../../infrastructure/services/tool-registry.service';
+import {
+  ConversationTransferService,
+  ConversationExportFormat,
+  ConversationExportFile,
+  ImportedConversation,
+} from '../../infrastructure/services/conversation-transfer.service';
 import { 
   CreateChatSessionDto, 
   UpdateChatSessionDto, 
@@ -17,16 +41,103 @@ import {
   ChatSessionResponseDto,
   ChatMessageResponseDto,
   SearchMessagesDto,
+  SearchMessagesResponseDto,
+  ChatFileAttachmentDto,
+  UpdateSessionSummaryDto,
+  UpdateSessionSettingsDto,
+  RegenerateMessageDto,
   ProviderType,
   DynamicLLMBackend,
 } from '../dto/chat.dto';
+import { PersonaUseCase } from './persona.use-case';
+import { ConversationSummaryUseCase } from './conversation-summary.use-case';
+import { KnowledgeBaseUseCase } from './knowledge-base.use-case';
+import { GeneratedImageUseCase } from './generated-image.use-case';
+import { SystemSettingsUseCase } from './system-settings.use-case';
+import { QuotaUseCase } from './quota.use-case';
+import { KnowledgeSourceDto } from '../dto/knowledge-base.dto';
+import { ChatImageSettingsDto } from '../dto/image-generation.dto';
+
+/**
+ * Maximum number of messages of the active branch considered when filling the context window
+ */
+const CONTEXT_HISTORY_LIMIT = 200;
+
+/**
+ * Characters of each retrieved excerpt kept in the message metadata for the citation tooltips
+ */
+const SOURCE_EXCERPT_MAX_CHARS = 300;
+
+/**
+ * Model calls per answer when tools are enabled; the last call is made without tools so the model has to answer
+ */
+const MAX_TOOL_ROUNDS = 4;
+
+interface StreamOptions {
+  signal?: AbortSignal;
+  onSession?: (sessionId: string) => void;
+  /** Chamada de ferramenta iniciada ('running') ou concluída */
+  onToolCall?: (toolCall: ToolCallRecord) => void;
+}
+
+interface StreamTurnResult {
+  sessionId: string;
+  isImageGeneration?: boolean;
+  content?: string;
+  attachments?: any[];
+  cancelled?: boolean;
+  userMessageId?: string;
+  assistantMessageId?: string;
+  metadata?: {
+    tokens?: number;
+    processingTime?: number;
+    tokensPerSecond?: number;
+    model?: string;
+    context?: ContextUsage;
+    sources?: MessageSource[];
+    toolCalls?: ToolCallRecord[];
+    intent?: Omit<IntentDecision, 'prompt'>;
+  };
+}
+
+/**
+ * Ferramentas liberadas para uma resposta
+ */
+interface ToolSession {
+  context: ToolExecutionContext;
+  onToolCall?: (toolCall: ToolCallRecord) => void;
+}
+
+/**
+ * Resposta de uma chamada ao modelo dentro do ciclo de ferramentas
+ */
+interface ModelTurn {
+  content: string;
+  toolCalls?: ToolCallRequest[];
+  cancelled?: boolean;
+}
+
+/**
+ * Trecho de base de conhecimento citado na resposta como [index]
+ */
+interface MessageSource {
+  index: number;
+  knowledgeBaseId: string;
+  knowledgeBaseName: string;
+  documentId: string;
+  documentName: string;
+  excerpt: string;
+  score: number;
+}
 
 /**
  * Use Case para operações de chat
  */
 @Injectable()
-export class ChatUseCase {
+export class ChatUseCase implements OnModuleInit {
   private readonly logger = new Logger(ChatUseCase.name);
+  private readonly toolsEnabledByDefault: boolean;
+  private readonly importMaxFileSizeBytes: number;
 
   constructor(
     @Inject('IChatSessionRepository')
@@ -37,8 +148,30 @@ export class ChatUseCase {
     private readonly userRepository: IUserRepository,
     private readonly ollamaService: OllamaService,
     private readonly stableDiffusionService: StableDiffusionService,
+    private readonly imageQueue: ImageGenerationQueueService,
+    private readonly generatedImageUseCase: GeneratedImageUseCase,
     private readonly dynamicLLMService: DynamicLLMService,
-  ) {}
+    private readonly fileAttachmentService: FileAttachmentService,
+    private readonly conversationContextService: ConversationContextService,
+    private readonly conversationSummaryUseCase: ConversationSummaryUseCase,
+    private readonly messageTreeService: MessageTreeService,
+    private readonly conversationTransferService: ConversationTransferService,
+    private readonly promptTemplateService: PromptTemplateService,
+    private readonly personaUseCase: PersonaUseCase,
+    private readonly knowledgeBaseUseCase: KnowledgeBaseUseCase,
+    private readonly toolRegistry: ToolRegistryService,
+    private readonly intentRouterService: IntentRouterService,
+    private readonly systemSettingsUseCase: SystemSettingsUseCase,
+    private readonly quotaUseCase: QuotaUseCase,
+    private readonly configService: ConfigService,
+  ) {
+    this.toolsEnabledByDefault = this.configService.get('CHAT_TOOLS_ENABLED', 'true') !== 'false';
+    this.importMaxFileSizeBytes = Number(this.configService.get('IMPORT_MAX_FILE_SIZE_MB', 50)) * 1024 * 1024;
+  }
+
+  onModuleInit(): void {
+    this.registerChatTools();
+  }
 
   /**
    * Cria uma nova sessão de chat
@@ -94,14 +227,11 @@ export class ChatUseCase {
       throw new ForbiddenException('Acesso negado à sessão');
     }
 
-    // Garantir que as mensagens estejam ordenadas cronologicamente (ASC)
-    if (session.messages && session.messages.length > 0) {
-      session.messages.sort((a, b) => 
-        new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
-      );
-    }
+    // Apenas o ramo ativo é exibido, em ordem cronológica; as alternativas aparecem como irmãs
+    const tree = await this.loadMessageTree(session);
+    session.messages = this.messageTreeService.getBranch(tree, session.activeMessageId);
 
-    return this.mapSessionToDto(session, true);
+    return this.mapSessionToDto(session, true, tree);
   }
 
   /**
@@ -164,19 +294,158 @@ export class ChatUseCase {
 
     this.logger.log(`🧹 Clearing all messages from session: ${sessionId}`);
     await this.chatMessageRepository.deleteBySessionId(sessionId);
+    await this.chatSessionRepository.update(sessionId, { activeMessageId: null });
+    await this.conversationSummaryUseCase.saveSummary(sessionId, undefined);
     this.logger.log(`✅ All messages cleared from session: ${sessionId}`);
   }
 
+  /**
+   * Obtém o resumo das mensagens antigas da sessão (null se ainda não existe)
+   */
+  async getSessionSummary(userId: string, sessionId: string): Promise<{ summary: ConversationSummary | null }> {
+    const session = await this.findUserSession(userId, sessionId);
+    return { summary: session.metadata?.summary || null };
+  }
+
+  /**
+   * Substitui o conteúdo do resumo da sessão por um texto editado pelo usuário
+   */
+  async updateSessionSummary(
+    userId: string,
+    sessionId: string,
+    updateSummaryDto: UpdateSessionSummaryDto
+  ): Promise<{ summary: ConversationSummary }> {
+    const session = await this.findUserSession(userId, sessionId);
+    const current = session.metadata?.summary;
+
+    const summary: ConversationSummary = {
+      summarizedMessageCount: 0,
+      ...current,
+      content: updateSummaryDto.content.trim(),
+      updatedAt: new Date().toISOString(),
+      editedByUser: true,
+    };
+
+    await this.conversationSummaryUseCase.saveSummary(sessionId, summary);
+    this.logger.log(`🧾 Summary of session ${sessionId} edited by user`);
+    return { summary };
+  }
+
+  /**
+   * Remove o resumo; as mensagens resumidas voltam a ser consideradas no histórico
+   */
+  async clearSessionSummary(userId: string, sessionId: string): Promise<void> {
+    await this.findUserSession(userId, sessionId);
+    await this.conversationSummaryUseCase.saveSummary(sessionId, undefined);
+    this.logger.log(`🧾 Summary of session ${sessionId} removed`);
+  }
+
+  /**
+   * Obtém o modelo, os parâmetros e o system prompt da sessão (null até a primeira resposta)
+   */
+  async getSessionSettings(userId: string, sessionId: string): Promise<{ settings: SessionSettings | null }> {
+    const session = await this.findUserSession(userId, sessionId);
+    return { settings: session.metadata?.settings || null };
+  }
+
+  /**
+   * Substitui o modelo, os parâmetros e o system prompt usados nas próximas respostas da sessão
+   */
+  async updateSessionSettings(
+    userId: string,
+    sessionId: string,
+    updateSettingsDto: UpdateSessionSettingsDto
+  ): Promise<{ settings: SessionSettings }> {
+    await this.findUserSession(userId, sessionId);
+
+    if (updateSettingsDto.provider === ProviderType.DYNAMIC_LLM && !updateSettingsDto.dynamicLLMConfig) {
+      throw new BadRequestException('Informe a configuração do Dynamic LLM para usar este provedor');
+    }
+
+    const { provider, model, dynamicLLMConfig, systemPrompt, personaId, personaVariables, knowledgeBaseIds, toolsEnabled, llmConfig } = updateSettingsDto;
+    if (personaId) {
+      // Garante que a persona existe e é visível ao usuário
+      await this.personaUseCase.getPersona(userId, personaId);
+    }
+    if (knowledgeBaseIds?.length) {
+      await this.knowledgeBaseUseCase.assertKnowledgeBasesOwned(userId, knowledgeBaseIds);
+    }
+    await this.systemSettingsUseCase.assertModelAllowed(model?.trim() || dynamicLLMConfig?.model);
+
+    const settings: SessionSettings = {
+      provider,
+      model: model?.trim() || dynamicLLMConfig?.model,
+      ...(provider === ProviderType.DYNAMIC_LLM && { dynamicLLMConfig: { ...dynamicLLMConfig } }),
+      ...(systemPrompt !== undefined && { systemPrompt }),
+      ...(personaId && { personaId, personaVariables: { ...personaVariables } }),
+      ...(knowledgeBaseIds?.length && { knowledgeBaseIds: [...new Set(knowledgeBaseIds)] }),
+      ...(toolsEnabled !== undefined && { toolsEnabled }),
+      ...(llmConfig && { llmConfig: { ...llmConfig } }),
+    };
+
+    await this.saveSessionSettings(sessionId, settings);
+    this.logger.log(`⚙️ Settings of session ${sessionId} updated (${settings.provider}/${settings.model || 'default'})`);
+    return { settings };
+  }
+
+  /**
+   * Exporta uma sessão em JSON (árvore completa), Markdown ou HTML (ramo ativo)
+   */
+  async exportSession(
+    userId: string,
+    sessionId: string,
+    format: ConversationExportFormat
+  ): Promise<ConversationExportFile> {
+    const session = await this.findUserSession(userId, sessionId);
+    const tree = await this.loadMessageTree(session);
+    const branch = this.messageTreeService.getBranch(tree, session.activeMessageId);
+
+    this.logger.log(`📤 Exporting session ${sessionId} as ${format} (${tree.length} messages)`);
+    return this.conversationTransferService.export(session, tree, branch, format);
+  }
+
+  /**
+   * Importa conversas de uma exportação do XandAI ou do ChatGPT, criando novas sessões
+   */
+  async importSessions(userId: string, file: Express.Multer.File): Promise<ChatSessionResponseDto[]> {
+    if (!file || !file.buffer) {
+      throw new BadRequestException('Nenhum arquivo enviado');
+    }
+    if (file.size > this.importMaxFileSizeBytes) {
+      throw new PayloadTooLargeException(`Arquivo excede o limite de ${Math.round(this.importMaxFileSizeBytes / 1024 / 1024)}MB`);
+    }
+
+    let payload: any;
+    try {
+      payload = JSON.parse(file.buffer.toString('utf8'));
+    } catch {
+      throw new BadRequestException('O arquivo de importação não é um JSON válido');
+    }
+
+    const conversations = this.conversationTransferService.parseImport(payload);
+    if (conversations.length === 0) {
+      throw new BadRequestException('Nenhuma conversa encontrada no arquivo');
+    }
+
+    const sessions: ChatSessionResponseDto[] = [];
+    for (const conversation of conversations) {
+      sessions.push(await this.createImportedSession(userId, conversation));
+    }
+
+    this.logger.log(`📥 Imported ${sessions.length} conversation(s) for user ${userId}`);
+    return sessions;
+  }
+
   /**
    * Envia uma mensagem e obtém resposta da IA
    */
-  async sendMessage(userId: string, sendMessageDto: SendMessageDto): Promise<SendMessageResponseDto> {
+  async sendMessage(userId: string, requestDto: SendMessageDto): Promise<SendMessageResponseDto> {
     // Busca o usuário para obter o system prompt e configurações LLM
     const user = await this.userRepository.findById(userId);
-    const systemPrompt = user?.systemPrompt;
-    const userLlmConfig = user?.llmConfig || {};
+    await this.quotaUseCase.assertTokensAvailable(user);
     
     let session: ChatSession;
+    let sendMessageDto = requestDto;
 
     // Se não foi fornecido sessionId, cria uma nova sessão
     if (!sendMessageDto.sessionId) {
@@ -190,6 +459,7 @@ export class ChatUseCase {
           temperature: sendMessageDto.temperature,
           maxTokens: sendMessageDto.maxTokens,
           ...sendMessageDto.metadata,
+          settings: await this.captureSessionSettings(userId, sendMessageDto, user),
         },
       };
 
@@ -211,20 +481,58 @@ export class ChatUseCase {
       await this.chatSessionRepository.update(session.id, { lastActivityAt: session.lastActivityAt });
     }
 
-    // IMPORTANTE: Busca o histórico ANTES de salvar a nova mensagem do usuário
+    const sessionSettings = await this.applySessionSettings(session, sendMessageDto, user);
+    sendMessageDto = sessionSettings.sendMessageDto;
+    const { systemPrompt, llmConfig: userLlmConfig, knowledgeBaseIds, toolsEnabled } = sessionSettings;
+
+    // IMPORTANTE: Busca o histórico (ramo ativo) ANTES de salvar a nova mensagem do usuário
     // para evitar duplicação no contexto enviado ao Ollama
-    const messageHistory = await this.chatMessageRepository.findBySessionId(session.id, 1, 50);
+    const activeBranch = await this.loadActiveBranch(session);
+    const { history: messageHistory, systemPrompt: contextSystemPrompt } = this.conversationSummaryUseCase.applySummary(
+      session,
+      activeBranch.slice(-CONTEXT_HISTORY_LIMIT),
+      systemPrompt
+    );
     
-    this.logger.log(`📚 Found ${messageHistory.messages.length} messages in history for session ${session.id}`);
+    this.logger.log(`📚 Found ${messageHistory.length} messages in history for session ${session.id}`);
     
+    const fileAttachments = await this.resolveFileAttachments(userId, sendMessageDto.attachments);
+
+    // Imagens são geradas antes de salvar a pergunta: pedidos além da cota são recusados sem deixá-la sem resposta
+    const intent = await this.routeIntent(sendMessageDto);
+    const isImageRequest = intent.intent === 'image';
+    const imageResponse = isImageRequest
+      ? await this.handleImageGenerationRequest(user, intent.prompt, intent.imageOptions, sendMessageDto.imageSettings,
+        this.loadControlNetReference(userId, fileAttachments, sendMessageDto.imageSettings))
+      : null;
+
     // Agora cria e salva a mensagem do usuário DEPOIS de buscar o histórico
     const userMessageData = ChatMessage.createUserMessage(sendMessageDto.content, session.id);
-    const userMessage = await this.chatMessageRepository.create(userMessageData);
+    if (fileAttachments.length > 0) {
+      userMessageData.attachments = fileAttachments;
+    }
+    const userMessage = await this.appendMessage(session, userMessageData, session.activeMessageId ?? null);
     
     this.logger.log(`💬 User message saved: "${sendMessageDto.content.substring(0, 50)}..."`);
     
+    // Pedidos de imagem não consultam as bases de conhecimento
+    const knowledgeSources = isImageRequest
+      ? []
+      : await this.retrieveKnowledgeSources(userId, knowledgeBaseIds, sendMessageDto);
+
     // Integra com o serviço de IA (Ollama) incluindo histórico (sem a mensagem atual)
-    const aiResponse = await this.generateAIResponse(sendMessageDto.content, sendMessageDto, messageHistory.messages, systemPrompt, userLlmConfig);
+    const tooling = toolsEnabled ? this.createToolSession(userId, knowledgeBaseIds, sendMessageDto) : undefined;
+    const aiResponse = imageResponse
+      ?? await this.generateAIResponse(sendMessageDto.content, sendMessageDto, messageHistory, contextSystemPrompt, userLlmConfig, fileAttachments, knowledgeSources, tooling,
+        this.conversationContextService.loadVisionImages(userId, messageHistory, fileAttachments));
+    this.conversationSummaryUseCase.markSummaryUsage(session, aiResponse.metadata?.context);
+    if (knowledgeSources.length > 0 && !aiResponse.metadata?.error) {
+      aiResponse.metadata = { ...aiResponse.metadata, sources: this.mapKnowledgeSources(knowledgeSources) };
+    }
+    const intentMetadata = this.mapIntent(intent);
+    if (intentMetadata) {
+      aiResponse.metadata = { ...aiResponse.metadata, intent: intentMetadata };
+    }
     
     const assistantMessageData = ChatMessage.createAssistantMessage(
       aiResponse.content, 
@@ -237,10 +545,15 @@ export class ChatUseCase {
       assistantMessageData.attachments = aiResponse.attachments;
     }
     
-    const assistantMessage = await this.chatMessageRepository.create(assistantMessageData);
+    const assistantMessage = await this.appendMessage(session, assistantMessageData, userMessage.id);
+    if (!isImageRequest && !aiResponse.metadata?.error) {
+      await this.recordTokenUsage(userId, aiResponse.content, aiResponse.metadata?.tokens);
+    }
+
+    this.conversationSummaryUseCase.scheduleUpdate(session.id, messageHistory, sendMessageDto, aiResponse.metadata?.context);
 
     return {
-      userMessage: this.mapMessageToDto(userMessage),
+      userMessage: this.mapMessageWithAttachmentsToDto(userMessage),
       assistantMessage: this.mapMessageWithAttachmentsToDto(assistantMessage),
       session: this.mapSessionToDto(session),
     };
@@ -249,28 +562,15 @@ export class ChatUseCase {
   /**
    * Envia uma mensagem com streaming
    * Always returns session ID so frontend can track the conversation
+   * When options.signal is aborted the upstream request is cancelled and the partial
+   * answer is saved with status 'cancelled'
    */
   async sendMessageWithStreaming(
     userId: string,
     sendMessageDto: SendMessageDto,
-    onToken: (token: string, fullText: string) => void
-  ): Promise<{ 
-    sessionId: string; 
-    isImageGeneration?: boolean; 
-    content?: string; 
-    attachments?: any[];
-    metadata?: {
-      tokens?: number;
-      processingTime?: number;
-      tokensPerSecond?: number;
-      model?: string;
-    };
-  }> {
-    // Busca o usuário para obter o system prompt e configurações LLM
-    const user = await this.userRepository.findById(userId);
-    const systemPrompt = user?.systemPrompt;
-    const userLlmConfig = user?.llmConfig || {};
-    
+    onToken: (token: string, fullText: string) => void,
+    streamOptions: StreamOptions = {}
+  ): Promise<StreamTurnResult> {
     let session: ChatSession;
 
     // Se não foi fornecido sessionId, cria uma nova sessão
@@ -291,112 +591,317 @@ export class ChatUseCase {
       this.logger.log(`📝 Using existing session: ${session.id}`);
     }
 
-    const provider = sendMessageDto.provider || ProviderType.OLLAMA;
+    // Let the client know the session right away, so a cancelled stream still belongs to it
+    streamOptions.onSession?.(session.id);
+
+    const fileAttachments = await this.resolveFileAttachments(userId, sendMessageDto.attachments);
+
+    // IMPORTANTE: Busca histórico (ramo ativo) ANTES de salvar a nova mensagem do usuário
+    // para evitar duplicação no contexto enviado ao Ollama
+    const activeBranch = await this.loadActiveBranch(session);
+
+    return this.streamConversationTurn(userId, session, sendMessageDto, {
+      history: activeBranch,
+      parentMessageId: session.activeMessageId ?? null,
+      fileAttachments,
+    }, onToken, streamOptions);
+  }
+
+  /**
+   * Gera uma nova resposta para a mesma pergunta, como alternativa (irmã) da resposta informada
+   */
+  async regenerateMessageWithStreaming(
+    userId: string,
+    messageId: string,
+    regenerateDto: RegenerateMessageDto,
+    onToken: (token: string, fullText: string) => void,
+    streamOptions: StreamOptions = {}
+  ): Promise<StreamTurnResult> {
+    const { session, message } = await this.findUserMessage(userId, messageId);
+
+    if (message.role !== 'assistant') {
+      throw new BadRequestException('Apenas respostas do assistente podem ser regeneradas');
+    }
+
+    const tree = await this.loadMessageTree(session);
+    const userMessage = tree.find(msg => msg.id === message.parentMessageId);
+
+    if (!userMessage || userMessage.role !== 'user') {
+      throw new BadRequestException('A pergunta que originou esta resposta não foi encontrada');
+    }
+
+    streamOptions.onSession?.(session.id);
+    await this.conversationSummaryUseCase.discardAfterBranchPoint(session, tree, userMessage.id);
+
+    this.logger.log(`🔁 Regenerating answer ${messageId} of session ${session.id}`);
+
+    return this.streamConversationTurn(userId, session, {
+      ...regenerateDto,
+      sessionId: session.id,
+      content: userMessage.content,
+    }, {
+      history: this.messageTreeService.getBranch(tree, userMessage.parentMessageId),
+      userMessage,
+      fileAttachments: (userMessage.attachments || []).filter(att => att.type === 'file') as StoredFileAttachment[],
+    }, onToken, streamOptions);
+  }
+
+  /**
+   * Cria um novo ramo a partir de uma pergunta editada: a nova versão vira irmã da original
+   * e a resposta é gerada com o histórico anterior a ela
+   */
+  async editMessageWithStreaming(
+    userId: string,
+    messageId: string,
+    sendMessageDto: SendMessageDto,
+    onToken: (token: string, fullText: string) => void,
+    streamOptions: StreamOptions = {}
+  ): Promise<StreamTurnResult> {
+    const { session, message } = await this.findUserMessage(userId, messageId);
+
+    if (message.role !== 'user') {
+      throw new BadRequestException('Apenas mensagens do usuário podem ser editadas');
+    }
+
+    const tree = await this.loadMessageTree(session);
+    const parentMessageId = message.parentMessageId ?? null;
+
+    streamOptions.onSession?.(session.id);
+    await this.conversationSummaryUseCase.discardAfterBranchPoint(session, tree, parentMessageId);
+
+    // Mantém os documentos da pergunta original, a menos que a edição envie outros
+    const fileAttachments = sendMessageDto.attachments
+      ? await this.resolveFileAttachments(userId, sendMessageDto.attachments)
+      : (message.attachments || []).filter(att => att.type === 'file') as StoredFileAttachment[];
+
+    this.logger.log(`✏️ Forking session ${session.id} from edited message ${messageId}`);
+
+    return this.streamConversationTurn(userId, session, { ...sendMessageDto, sessionId: session.id }, {
+      history: this.messageTreeService.getBranch(tree, parentMessageId),
+      parentMessageId,
+      fileAttachments,
+    }, onToken, streamOptions);
+  }
+
+  /**
+   * Gera e salva uma resposta com streaming no ramo informado
+   * @param turn.history - Ramo anterior à pergunta (ordem cronológica)
+   * @param turn.userMessage - Pergunta já salva (regeneração); quando ausente uma nova é criada como filha de parentMessageId
+   */
+  private async streamConversationTurn(
+    userId: string,
+    session: ChatSession,
+    requestDto: SendMessageDto,
+    turn: {
+      history: ChatMessage[];
+      parentMessageId?: string | null;
+      userMessage?: ChatMessage;
+      fileAttachments: StoredFileAttachment[];
+    },
+    onToken: (token: string, fullText: string) => void,
+    streamOptions: StreamOptions = {}
+  ): Promise<StreamTurnResult> {
+    const { signal } = streamOptions;
+
+    // Busca o usuário para obter o system prompt e configurações LLM (a sessão pode sobrescrevê-los)
+    const user = await this.userRepository.findById(userId);
+    const { sendMessageDto, systemPrompt, llmConfig: userLlmConfig, knowledgeBaseIds, toolsEnabled } = await this.applySessionSettings(session, requestDto, user);
+
+    const fileAttachments = turn.fileAttachments;
+
+    const saveUserMessage = async (): Promise<ChatMessage> => {
+      if (turn.userMessage) {
+        return turn.userMessage;
+      }
+      const userMessageData = ChatMessage.createUserMessage(sendMessageDto.content, session.id);
+      if (fileAttachments.length > 0) {
+        userMessageData.attachments = fileAttachments;
+      }
+      return this.appendMessage(session, userMessageData, turn.parentMessageId ?? null);
+    };
 
-    // Check if this is an image generation request (can't be streamed, Ollama only)
-    const isImageRequest = provider === ProviderType.OLLAMA && this.ollamaService.isImageGenerationRequest(sendMessageDto.content);
+    // Check if this is an image generation request (can't be streamed)
+    const intent = await this.routeIntent(sendMessageDto);
+    const intentMetadata = this.mapIntent(intent);
     
-    if (isImageRequest) {
+    if (intent.intent === 'image') {
       this.logger.log('🎨 Image generation detected in streaming endpoint - using non-streaming flow');
       
-      // IMPORTANTE: Busca histórico ANTES de salvar a nova mensagem do usuário
-      // para evitar duplicação no contexto enviado ao Ollama
-      const messageHistory = await this.chatMessageRepository.findBySessionId(session.id, 1, 50);
-      
-      // Agora salva a mensagem do usuário
-      const userMessageData = ChatMessage.createUserMessage(sendMessageDto.content, session.id);
-      await this.chatMessageRepository.create(userMessageData);
-      
-      // Handle image generation without streaming
-      const aiResponse = await this.generateAIResponse(sendMessageDto.content, sendMessageDto, messageHistory.messages, systemPrompt, userLlmConfig);
+      // Handle image generation without streaming (before saving the question, so the image quota can refuse it)
+      const aiResponse = await this.handleImageGenerationRequest(user, intent.prompt, intent.imageOptions, sendMessageDto.imageSettings,
+        this.loadControlNetReference(userId, fileAttachments, sendMessageDto.imageSettings));
+      const userMessage = await saveUserMessage();
       
       const assistantMessageData = ChatMessage.createAssistantMessage(
         aiResponse.content,
         session.id,
-        aiResponse.metadata
+        { ...aiResponse.metadata, intent: intentMetadata }
       );
       
       if (aiResponse.attachments && aiResponse.attachments.length > 0) {
         assistantMessageData.attachments = aiResponse.attachments;
       }
       
-      await this.chatMessageRepository.create(assistantMessageData);
+      const assistantMessage = await this.appendMessage(session, assistantMessageData, userMessage.id);
       
       // Return image data + session ID so frontend can track conversation
       return {
         sessionId: session.id,
         isImageGeneration: true,
         content: aiResponse.content,
-        attachments: aiResponse.attachments
+        attachments: aiResponse.attachments,
+        userMessageId: userMessage.id,
+        assistantMessageId: assistantMessage.id,
       };
     }
 
-    // IMPORTANTE: Busca histórico ANTES de salvar a nova mensagem do usuário
-    // para evitar duplicação no contexto enviado ao Ollama
-    const messageHistory = await this.chatMessageRepository.findBySessionId(session.id, 1, 50);
+    const { history: messageHistory, systemPrompt: contextSystemPrompt } = this.conversationSummaryUseCase.applySummary(
+      session,
+      turn.history.slice(-CONTEXT_HISTORY_LIMIT),
+      systemPrompt
+    );
     
-    this.logger.log(`📚 [STREAMING] Found ${messageHistory.messages.length} messages in history for session ${session.id}`);
+    this.logger.log(`📚 [STREAMING] Found ${messageHistory.length} messages in history for session ${session.id}`);
+
+    const knowledgeSources = await this.retrieveKnowledgeSources(userId, knowledgeBaseIds, sendMessageDto);
     
     // Agora salva a mensagem do usuário DEPOIS de buscar o histórico
-    const userMessageData = ChatMessage.createUserMessage(sendMessageDto.content, session.id);
-    await this.chatMessageRepository.create(userMessageData);
+    const userMessage = await saveUserMessage();
     
     this.logger.log(`💬 [STREAMING] User message saved: "${sendMessageDto.content.substring(0, 50)}..."`);
     
+    const tooling = toolsEnabled
+      ? this.createToolSession(userId, knowledgeBaseIds, sendMessageDto, streamOptions.onToolCall)
+      : undefined;
+    const images = this.conversationContextService.loadVisionImages(userId, messageHistory, fileAttachments);
     let aiResponse: any;
+    let contextUsage: ContextUsage | undefined;
 
     // Route to appropriate provider for streaming
-    if (provider === ProviderType.DYNAMIC_LLM && sendMessageDto.dynamicLLMConfig) {
+    if (this.usesDynamicLLM(sendMessageDto)) {
       this.logger.log(`🚀 [STREAMING] Using Dynamic LLM with backend: ${sendMessageDto.dynamicLLMConfig.backend}`);
-      aiResponse = await this.streamDynamicLLMResponse(sendMessageDto, onToken, messageHistory.messages, systemPrompt, userLlmConfig);
+      aiResponse = await this.streamDynamicLLMResponse(sendMessageDto, onToken, messageHistory, contextSystemPrompt, userLlmConfig, fileAttachments, knowledgeSources, signal, tooling, images);
+      contextUsage = aiResponse.metadata?.context;
     } else {
       // Ollama streaming
-      const context = this.buildConversationContext(messageHistory.messages, sendMessageDto.content, systemPrompt);
-
-      // Gera resposta com streaming
-      aiResponse = await this.ollamaService.generateResponseWithStreaming(
-        context,
-        {
-          model: sendMessageDto.model,
-          temperature: userLlmConfig.temperature ?? sendMessageDto.temperature,
-          maxTokens: userLlmConfig.maxTokens ?? sendMessageDto.maxTokens,
-          topK: userLlmConfig.topK,
-          topP: userLlmConfig.topP,
-          frequencyPenalty: userLlmConfig.frequencyPenalty,
-          presencePenalty: userLlmConfig.presencePenalty,
-          repeatPenalty: userLlmConfig.repeatPenalty,
-          seed: userLlmConfig.seed,
-          ollamaConfig: sendMessageDto.metadata?.ollamaConfig,
-        },
-        onToken
+      const contextLength = await this.conversationContextService.resolveContextLength(
+        sendMessageDto.model,
+        sendMessageDto.metadata?.ollamaConfig?.baseUrl,
+        sendMessageDto.contextLength
       );
+      const { messages: context, usage } = this.conversationContextService.buildContext(
+        messageHistory,
+        sendMessageDto.content,
+        contextSystemPrompt,
+        fileAttachments,
+        contextLength,
+        userLlmConfig.maxTokens ?? sendMessageDto.maxTokens,
+        knowledgeSources,
+        images
+      );
+      contextUsage = usage;
+
+      // Gera resposta com streaming (repetindo enquanto o modelo chamar ferramentas)
+      const { response, toolCalls, attachments } = await this.runToolLoop(context, 'ollama', tooling, async (messages, tools) => {
+        const turnResponse = await this.ollamaService.generateResponseWithStreaming(
+          messages,
+          {
+            model: sendMessageDto.model,
+            temperature: userLlmConfig.temperature ?? sendMessageDto.temperature,
+            maxTokens: userLlmConfig.maxTokens ?? sendMessageDto.maxTokens,
+            topK: userLlmConfig.topK,
+            topP: userLlmConfig.topP,
+            frequencyPenalty: userLlmConfig.frequencyPenalty,
+            presencePenalty: userLlmConfig.presencePenalty,
+            repeatPenalty: userLlmConfig.repeatPenalty,
+            seed: userLlmConfig.seed,
+            numCtx: contextLength,
+            ollamaConfig: sendMessageDto.metadata?.ollamaConfig,
+            tools,
+          },
+          onToken,
+          signal
+        );
+        return { ...turnResponse, toolCalls: this.toolRegistry.parseToolCalls(turnResponse.toolCalls) };
+      });
+      aiResponse = { ...response, toolCalls, attachments };
     }
 
-    // Salva resposta do assistente
-    const assistantMessageData = ChatMessage.createAssistantMessage(
-      aiResponse.content,
-      session.id,
-      { 
-        model: aiResponse.model, 
-        tokens: aiResponse.tokens,
-        processingTime: aiResponse.processingTime,
-        tokensPerSecond: aiResponse.tokensPerSecond
+    this.conversationSummaryUseCase.markSummaryUsage(session, contextUsage);
+
+    const cancelled = !!aiResponse.cancelled;
+    const toolCalls: ToolCallRecord[] = aiResponse.toolCalls ?? [];
+    const attachments: any[] = aiResponse.attachments ?? [];
+    const responseMetadata = {
+      model: aiResponse.model ?? aiResponse.metadata?.model,
+      tokens: aiResponse.tokens,
+      processingTime: aiResponse.processingTime,
+      tokensPerSecond: aiResponse.tokensPerSecond,
+      ...(contextUsage && { context: contextUsage }),
+      ...(knowledgeSources.length > 0 && { sources: this.mapKnowledgeSources(knowledgeSources) }),
+      ...(toolCalls.length > 0 && { toolCalls }),
+      ...(intentMetadata && { intent: intentMetadata }),
+      ...(cancelled && { cancelled: true }),
+    };
+
+    // Salva resposta do assistente (a resposta parcial é mantida quando cancelada)
+    let assistantMessage: ChatMessage | undefined;
+    if (!cancelled || aiResponse.content) {
+      const assistantMessageData = ChatMessage.createAssistantMessage(
+        aiResponse.content,
+        session.id,
+        responseMetadata
+      );
+      // Imagens geradas por ferramentas
+      if (attachments.length > 0) {
+        assistantMessageData.attachments = attachments;
       }
-    );
-    await this.chatMessageRepository.create(assistantMessageData);
+      if (cancelled) {
+        assistantMessageData.markAsCancelled();
+        this.logger.log(`⏹️ [STREAMING] Partial response saved as cancelled (${aiResponse.content.length} chars)`);
+      }
+      assistantMessage = await this.appendMessage(session, assistantMessageData, userMessage.id);
+    }
+    await this.recordTokenUsage(userId, aiResponse.content, aiResponse.tokens);
+
+    this.conversationSummaryUseCase.scheduleUpdate(session.id, messageHistory, sendMessageDto, contextUsage);
 
     // Return session ID and metadata with metrics
     return { 
       sessionId: session.id,
-      metadata: {
-        tokens: aiResponse.tokens,
-        processingTime: aiResponse.processingTime,
-        tokensPerSecond: aiResponse.tokensPerSecond,
-        model: aiResponse.model
-      }
+      cancelled,
+      ...(attachments.length > 0 && { attachments }),
+      metadata: responseMetadata,
+      userMessageId: userMessage.id,
+      assistantMessageId: assistantMessage?.id,
     };
   }
 
+  /**
+   * Mostra outro ramo da conversa: o ramo ativo passa a terminar na resposta mais recente
+   * abaixo da mensagem escolhida
+   */
+  async switchBranch(userId: string, sessionId: string, messageId: string): Promise<ChatSessionResponseDto> {
+    const session = await this.findUserSession(userId, sessionId);
+    const tree = await this.loadMessageTree(session);
+    const message = tree.find(msg => msg.id === messageId);
+
+    if (!message) {
+      throw new NotFoundException('Mensagem não encontrada nesta sessão');
+    }
+
+    const leaf = this.messageTreeService.findLatestLeaf(tree, message.id);
+    await this.conversationSummaryUseCase.discardAfterBranchPoint(session, tree, message.parentMessageId ?? null);
+
+    session.activeMessageId = leaf.id;
+    await this.chatSessionRepository.update(session.id, { activeMessageId: leaf.id });
+
+    this.logger.log(`🌳 Session ${session.id} now shows the branch ending at ${leaf.id}`);
+
+    session.messages = this.messageTreeService.getBranch(tree, leaf.id);
+    return this.mapSessionToDto(session, true, tree);
+  }
+
   /**
    * Obtém mensagens de uma sessão
    */
@@ -435,7 +940,7 @@ export class ChatUseCase {
   /**
    * Busca mensagens
    */
-  async searchMessages(userId: string, searchDto: SearchMessagesDto): Promise<ChatMessageResponseDto[]> {
+  async searchMessages(userId: string, searchDto: SearchMessagesDto): Promise<SearchMessagesResponseDto> {
     if (searchDto.sessionId) {
       // Verifica se a sessão pertence ao usuário
       const belongsToUser = await this.chatSessionRepository.belongsToUser(searchDto.sessionId, userId);
@@ -443,56 +948,87 @@ export class ChatUseCase {
       if (!belongsToUser) {
         throw new ForbiddenException('Acesso negado à sessão');
       }
+    }
 
-      const messages = await this.chatMessageRepository.searchInSession(searchDto.sessionId, searchDto.query);
-      return messages.map(message => this.mapMessageToDto(message));
+    const page = searchDto.page || 1;
+    const limit = searchDto.limit || 20;
+
+    // dateTo sem horário ("2025-01-31") inclui o dia inteiro
+    const dateTo = searchDto.dateTo ? new Date(searchDto.dateTo) : undefined;
+    if (dateTo && /^\d{4}-\d{2}-\d{2}$/.test(searchDto.dateTo)) {
+      dateTo.setUTCHours(23, 59, 59, 999);
     }
 
-    // TODO: Implementar busca geral nas sessões do usuário
-    throw new BadRequestException('Busca geral ainda não implementada');
+    const { hits, total } = await this.chatMessageRepository.searchByUser(userId, {
+      query: searchDto.query,
+      sessionId: searchDto.sessionId,
+      role: searchDto.role,
+      model: searchDto.model,
+      dateFrom: searchDto.dateFrom ? new Date(searchDto.dateFrom) : undefined,
+      dateTo,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return { results: hits, total, page, limit };
   }
 
   /**
-   * Gera resposta da IA, incluindo detecção de pedidos de imagem
+   * Gera resposta da IA com o provedor da conversa (pedidos de imagem já foram desviados pelo roteador de intenção)
    */
   private async generateAIResponse(
     userMessage: string, 
     options: SendMessageDto,
     messageHistory: ChatMessage[] = [],
     systemPrompt?: string,
-    userLlmConfig: any = {}
+    userLlmConfig: any = {},
+    fileAttachments: StoredFileAttachment[] = [],
+    knowledgeSources: KnowledgeSourceDto[] = [],
+    tooling?: ToolSession,
+    images: VisionImages = new Map()
   ): Promise<{ content: string; metadata: any; attachments?: any[] }> {
     try {
-      // Check if this is an image generation request (only for Ollama)
-      const provider = options.provider || ProviderType.OLLAMA;
-      const isImageRequest = provider === ProviderType.OLLAMA && this.ollamaService.isImageGenerationRequest(userMessage);
-      
-      if (isImageRequest) {
-        return await this.handleImageGenerationRequest(userMessage, options);
-      }
-
       // Route to appropriate provider
-      if (provider === ProviderType.DYNAMIC_LLM && options.dynamicLLMConfig) {
-        return await this.generateDynamicLLMResponse(userMessage, options, messageHistory, systemPrompt, userLlmConfig);
+      if (this.usesDynamicLLM(options)) {
+        return await this.generateDynamicLLMResponse(userMessage, options, messageHistory, systemPrompt, userLlmConfig, fileAttachments, knowledgeSources, tooling, images);
       }
 
       // Default: Ollama provider
-      // Prepara o contexto da conversa incluindo histórico
-      const context = this.buildConversationContext(messageHistory, userMessage, systemPrompt);
+      // Prepara o contexto da conversa incluindo histórico, limitado à janela de contexto do modelo
+      const contextLength = await this.conversationContextService.resolveContextLength(
+        options.model,
+        options.metadata?.ollamaConfig?.baseUrl,
+        options.contextLength
+      );
+      const { messages: context, usage } = this.conversationContextService.buildContext(
+        messageHistory,
+        userMessage,
+        systemPrompt,
+        fileAttachments,
+        contextLength,
+        userLlmConfig.maxTokens ?? options.maxTokens,
+        knowledgeSources,
+        images
+      );
       
       // Chama o serviço Ollama com configuração dinâmica (user config tem prioridade)
-      const response = await this.ollamaService.generateResponse(context, {
-        model: options.model,
-        temperature: userLlmConfig.temperature ?? options.temperature,
-        maxTokens: userLlmConfig.maxTokens ?? options.maxTokens,
-        topK: userLlmConfig.topK,
-        topP: userLlmConfig.topP,
-        frequencyPenalty: userLlmConfig.frequencyPenalty,
-        presencePenalty: userLlmConfig.presencePenalty,
-        repeatPenalty: userLlmConfig.repeatPenalty,
-        seed: userLlmConfig.seed,
-        ollamaConfig: options.metadata?.ollamaConfig,
-        ...options.metadata
+      const { response, toolCalls, attachments } = await this.runToolLoop(context, 'ollama', tooling, async (messages, tools) => {
+        const turnResponse = await this.ollamaService.generateResponse(messages, {
+          model: options.model,
+          temperature: userLlmConfig.temperature ?? options.temperature,
+          maxTokens: userLlmConfig.maxTokens ?? options.maxTokens,
+          topK: userLlmConfig.topK,
+          topP: userLlmConfig.topP,
+          frequencyPenalty: userLlmConfig.frequencyPenalty,
+          presencePenalty: userLlmConfig.presencePenalty,
+          repeatPenalty: userLlmConfig.repeatPenalty,
+          seed: userLlmConfig.seed,
+          numCtx: contextLength,
+          ollamaConfig: options.metadata?.ollamaConfig,
+          ...options.metadata,
+          tools,
+        });
+        return { ...turnResponse, toolCalls: this.toolRegistry.parseToolCalls(turnResponse.toolCalls) };
       });
 
       return {
@@ -503,8 +1039,11 @@ export class ChatUseCase {
           tokens: response.tokens || 0,
           processingTime: response.processingTime || 0,
           tokensPerSecond: response.tokensPerSecond || 0,
-          usedHistory: messageHistory.length > 0
-        }
+          usedHistory: messageHistory.length > 0,
+          context: usage,
+          ...(toolCalls.length > 0 && { toolCalls }),
+        },
+        ...(attachments.length > 0 && { attachments }),
       };
     } catch (error) {
       console.error('Erro ao gerar resposta da IA:', error);
@@ -536,75 +1075,38 @@ export class ChatUseCase {
     options: SendMessageDto,
     messageHistory: ChatMessage[] = [],
     systemPrompt?: string,
-    userLlmConfig: any = {}
+    userLlmConfig: any = {},
+    fileAttachments: StoredFileAttachment[] = [],
+    knowledgeSources: KnowledgeSourceDto[] = [],
+    tooling?: ToolSession,
+    images: VisionImages = new Map()
   ): Promise<{ content: string; metadata: any; attachments?: any[] }> {
     this.logger.log(`🚀 Using Dynamic LLM with backend: ${options.dynamicLLMConfig.backend}`);
 
-    // Build messages array for Dynamic LLM API
-    const messages = [];
-    
-    // Add system prompt if provided
-    if (systemPrompt) {
-      messages.push({ role: 'system', content: systemPrompt });
-    }
-
-    // Add message history
-    for (const msg of messageHistory) {
-      messages.push({
-        role: msg.role as 'user' | 'assistant',
-        content: msg.content,
-      });
-    }
-
-    // Add current user message
-    messages.push({ role: 'user', content: userMessage });
-
-    // Build request for Dynamic LLM API
-    const request: any = {
-      model: options.dynamicLLMConfig.model,
-      backend: options.dynamicLLMConfig.backend,
-      messages,
-      device: options.dynamicLLMConfig.device || 'cuda',
-      ttl: options.dynamicLLMConfig.ttl || 600,
-      temperature: userLlmConfig.temperature ?? options.temperature ?? 0.7,
-      max_tokens: userLlmConfig.maxTokens ?? options.maxTokens ?? 2048,
-    };
-
-    // Add optional parameters
-    if (options.top_p !== undefined) request.top_p = options.top_p;
-    if (options.presence_penalty !== undefined) request.presence_penalty = options.presence_penalty;
-    if (options.frequency_penalty !== undefined) request.frequency_penalty = options.frequency_penalty;
-    if (options.stop) request.stop = options.stop;
-
-    // Add backend-specific parameters
-    if (options.dynamicLLMConfig.backend === DynamicLLMBackend.VLLM && options.dynamicLLMConfig.gpu_memory_utilization) {
-      request.gpu_memory_utilization = options.dynamicLLMConfig.gpu_memory_utilization;
-    }
-
-    if (options.dynamicLLMConfig.backend === DynamicLLMBackend.LLAMACPP) {
-      if (options.dynamicLLMConfig.n_gpu_layers !== undefined) {
-        request.n_gpu_layers = options.dynamicLLMConfig.n_gpu_layers;
-      }
-      if (options.dynamicLLMConfig.n_ctx) {
-        request.n_ctx = options.dynamicLLMConfig.n_ctx;
-      }
-    }
+    const { messages, metadata, turnRequest } = this.prepareDynamicLLMRequest(
+      userMessage, options, messageHistory, systemPrompt, userLlmConfig, fileAttachments, knowledgeSources, images
+    );
 
-    // Send request to Dynamic LLM API
-    const response = await this.dynamicLLMService.chatCompletion(request);
+    // Send request to Dynamic LLM API, repeating while the model calls tools
+    const { response, toolCalls, attachments } = await this.runToolLoop(messages, 'openai', tooling, async (turnMessages, tools) => {
+      const completion = await this.dynamicLLMService.chatCompletion(turnRequest(turnMessages, tools));
 
-    // Parse response (OpenAI-compatible format)
-    const content = response.choices?.[0]?.message?.content || response.content || '';
-    const model = response.model || options.dynamicLLMConfig.model;
+      // Parse response (OpenAI-compatible format)
+      return {
+        content: completion.choices?.[0]?.message?.content || completion.content || '',
+        model: completion.model,
+        toolCalls: this.toolRegistry.parseToolCalls(completion.choices?.[0]?.message?.tool_calls),
+      };
+    });
 
     return {
-      content,
+      content: response.content,
       metadata: {
-        model,
-        backend: options.dynamicLLMConfig.backend,
-        temperature: request.temperature,
-        usedHistory: messageHistory.length > 0,
+        ...metadata,
+        model: response.model || metadata.model,
+        ...(toolCalls.length > 0 && { toolCalls }),
       },
+      ...(attachments.length > 0 && { attachments }),
     };
   }
 
@@ -616,37 +1118,77 @@ export class ChatUseCase {
     onToken: (token: string, fullText: string) => void,
     messageHistory: ChatMessage[] = [],
     systemPrompt?: string,
-    userLlmConfig: any = {}
-  ): Promise<{ content: string; metadata: any }> {
-    // Build messages array for Dynamic LLM API
-    const messages = [];
-    
-    // Add system prompt if provided
-    if (systemPrompt) {
-      messages.push({ role: 'system', content: systemPrompt });
-    }
+    userLlmConfig: any = {},
+    fileAttachments: StoredFileAttachment[] = [],
+    knowledgeSources: KnowledgeSourceDto[] = [],
+    signal?: AbortSignal,
+    tooling?: ToolSession,
+    images: VisionImages = new Map()
+  ): Promise<{ content: string; metadata: any; cancelled?: boolean; toolCalls?: ToolCallRecord[]; attachments?: any[] }> {
+    const { messages, metadata, turnRequest } = this.prepareDynamicLLMRequest(
+      options.content, options, messageHistory, systemPrompt, userLlmConfig, fileAttachments, knowledgeSources, images
+    );
 
-    // Add message history
-    for (const msg of messageHistory) {
-      messages.push({
-        role: msg.role as 'user' | 'assistant',
-        content: msg.content,
-      });
-    }
+    const { response, toolCalls, attachments } = await this.runToolLoop(messages, 'openai', tooling, (turnMessages, tools) =>
+      this.streamDynamicLLMTurn({ ...turnRequest(turnMessages, tools), stream: true }, onToken, signal)
+    );
 
-    // Add current user message
-    messages.push({ role: 'user', content: options.content });
+    return {
+      content: response.content,
+      cancelled: response.cancelled,
+      toolCalls,
+      attachments,
+      metadata,
+    };
+  }
+
+  /**
+   * O Dynamic LLM só atende quando o pedido traz a configuração dele; sem ela a resposta vem do Ollama
+   */
+  private usesDynamicLLM(options: SendMessageDto): boolean {
+    return options.provider === ProviderType.DYNAMIC_LLM && !!options.dynamicLLMConfig;
+  }
+
+  /**
+   * Contexto, corpo da requisição e metadata da resposta do Dynamic LLM, iguais com e sem streaming.
+   * turnRequest monta a requisição de cada rodada do loop de ferramentas (mensagens no formato OpenAI)
+   */
+  private prepareDynamicLLMRequest(
+    userMessage: string,
+    options: SendMessageDto,
+    messageHistory: ChatMessage[],
+    systemPrompt: string | undefined,
+    userLlmConfig: any,
+    fileAttachments: StoredFileAttachment[],
+    knowledgeSources: KnowledgeSourceDto[],
+    images: VisionImages
+  ): {
+    messages: ContextMessage[];
+    metadata: Record<string, any>;
+    turnRequest: (turnMessages: ContextMessage[], tools?: ToolDefinition[]) => Record<string, any>;
+  } {
+    const config = options.dynamicLLMConfig;
+
+    // Build messages array for Dynamic LLM API, limited to the configured n_ctx
+    const { messages, usage } = this.conversationContextService.buildContext(
+      messageHistory,
+      userMessage,
+      systemPrompt,
+      fileAttachments,
+      options.contextLength ?? config.n_ctx,
+      userLlmConfig.maxTokens ?? options.maxTokens ?? 2048,
+      knowledgeSources,
+      images
+    );
 
     // Build request for Dynamic LLM API
     const request: any = {
-      model: options.dynamicLLMConfig.model,
-      backend: options.dynamicLLMConfig.backend,
-      messages,
-      device: options.dynamicLLMConfig.device || 'cuda',
-      ttl: options.dynamicLLMConfig.ttl || 600,
+      model: config.model,
+      backend: config.backend,
+      device: config.device || 'cuda',
+      ttl: config.ttl || 600,
       temperature: userLlmConfig.temperature ?? options.temperature ?? 0.7,
       max_tokens: userLlmConfig.maxTokens ?? options.maxTokens ?? 2048,
-      stream: true,
     };
 
     // Add optional parameters
@@ -656,28 +1198,56 @@ export class ChatUseCase {
     if (options.stop) request.stop = options.stop;
 
     // Add backend-specific parameters
-    if (options.dynamicLLMConfig.backend === DynamicLLMBackend.VLLM && options.dynamicLLMConfig.gpu_memory_utilization) {
-      request.gpu_memory_utilization = options.dynamicLLMConfig.gpu_memory_utilization;
+    if (config.backend === DynamicLLMBackend.VLLM && config.gpu_memory_utilization) {
+      request.gpu_memory_utilization = config.gpu_memory_utilization;
     }
 
-    if (options.dynamicLLMConfig.backend === DynamicLLMBackend.LLAMACPP) {
-      if (options.dynamicLLMConfig.n_gpu_layers !== undefined) {
-        request.n_gpu_layers = options.dynamicLLMConfig.n_gpu_layers;
+    if (config.backend === DynamicLLMBackend.LLAMACPP) {
+      if (config.n_gpu_layers !== undefined) {
+        request.n_gpu_layers = config.n_gpu_layers;
       }
-      if (options.dynamicLLMConfig.n_ctx) {
-        request.n_ctx = options.dynamicLLMConfig.n_ctx;
+      if (config.n_ctx) {
+        request.n_ctx = config.n_ctx;
       }
     }
 
-    // Get streaming response from Dynamic LLM API
-    const stream = await this.dynamicLLMService.chatCompletionStream(request);
-    const reader = stream.getReader();
-    const decoder = new TextDecoder();
-    
-    let fullText = '';
+    return {
+      messages,
+      metadata: {
+        model: config.model,
+        backend: config.backend,
+        temperature: request.temperature,
+        usedHistory: messageHistory.length > 0,
+        context: usage,
+      },
+      turnRequest: (turnMessages, tools) => ({
+        ...request,
+        messages: this.conversationContextService.toOpenAIMessages(turnMessages),
+        ...(tools && { tools }),
+      }),
+    };
+  }
+
+  /**
+   * Streams one completion of the Dynamic LLM API, collecting the tool calls sent in fragments
+   * (delta.tool_calls[].index identifies the call, the arguments arrive as pieces of a JSON string)
+   */
+  private async streamDynamicLLMTurn(
+    request: any,
+    onToken: (token: string, fullText: string) => void,
+    signal?: AbortSignal
+  ): Promise<ModelTurn> {
+    let fullText = '';
     let buffer = '';
+    let cancelled = false;
+    const toolCallParts: Array<{ id?: string; function: { name: string; arguments: string } }> = [];
 
     try {
+      // Get streaming response from Dynamic LLM API
+      const stream = await this.dynamicLLMService.chatCompletionStream(request, signal);
+      const reader = stream.getReader();
+      const decoder = new TextDecoder();
+
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
@@ -700,6 +1270,13 @@ export class ChatUseCase {
                 onToken(token, fullText);
               }
 
+              for (const part of data.choices?.[0]?.delta?.tool_calls || []) {
+                const call = toolCallParts[part.index ?? 0] ??= { function: { name: '', arguments: '' } };
+                if (part.id) call.id = part.id;
+                if (part.function?.name) call.function.name += part.function.name;
+                if (part.function?.arguments) call.function.arguments += part.function.arguments;
+              }
+
               // Check if streaming is done
               if (data.choices && data.choices[0]?.finish_reason) {
                 break;
@@ -711,29 +1288,37 @@ export class ChatUseCase {
         }
       }
     } catch (error) {
-      this.logger.error(`Error in Dynamic LLM streaming: ${error.message}`);
-      throw error;
+      if (!signal?.aborted) {
+        this.logger.error(`Error in Dynamic LLM streaming: ${error.message}`);
+        throw error;
+      }
+      cancelled = true;
+      this.logger.log(`⏹️ Dynamic LLM streaming cancelled by client (${fullText.length} chars)`);
     }
 
     return {
       content: fullText,
-      metadata: {
-        model: options.dynamicLLMConfig.model,
-        backend: options.dynamicLLMConfig.backend,
-        temperature: request.temperature,
-        usedHistory: messageHistory.length > 0,
-      },
+      cancelled,
+      toolCalls: this.toolRegistry.parseToolCalls(toolCallParts.filter(Boolean)),
     };
   }
 
   /**
    * Handles image generation requests
+   * @param imageOptions - Seed and batch size given with /imagine (--seed, --batch)
+   * @param imageSettings - LoRAs, embeddings and ControlNet chosen in the Stable Diffusion settings
+   * @param controlNetReference - Image attached to the message, used as the ControlNet reference
    */
   private async handleImageGenerationRequest(
+    user: User,
     userMessage: string,
-    options: SendMessageDto
+    imageOptions: ImageOptions = {},
+    imageSettings: ChatImageSettingsDto = {},
+    controlNetReference: { filename: string; image: string } | null = null
   ): Promise<{ content: string; metadata: any; attachments?: any[] }> {
     this.logger.log(`Processing image generation request: "${userMessage.substring(0, 50)}..."`);
+    // Único ponto de conferência da cota de imagens (chat, streaming e ferramenta generate_image)
+    await this.quotaUseCase.assertImagesAvailable(user, imageOptions.batchSize ?? 1);
 
     // Try multiple Forge URLs (internal Docker network, then localhost)
     const forgeUrls = [
@@ -795,9 +1380,14 @@ export class ChatUseCase {
 
       // Generate image with Stable Diffusion using the working URL
       this.logger.log(`Calling Stable Diffusion at ${workingUrl}...`);
-      const result = await this.stableDiffusionService.generateImage({
+      const result = await this.imageQueue.run(user.id, 'txt2img', (signal) => this.stableDiffusionService.generateImage({
         prompt: promptData.prompt,
         negativePrompt: promptData.negativePrompt,
+        seed: imageOptions.seed,
+        batchSize: imageOptions.batchSize,
+        controlNet: controlNetReference
+          ? { ...imageSettings.controlNet, image: controlNetReference.image }
+          : undefined,
         config: {
           baseUrl: workingUrl,
           model: 'sd_xl_base_1.0.safetensors',
@@ -806,29 +1396,35 @@ export class ChatUseCase {
           height: 1024,
           steps: 25,
           cfgScale: 7,
+          loras: imageSettings.loras,
+          embeddings: imageSettings.embeddings,
         }
-      });
+      }, signal), { baseUrl: workingUrl });
 
       if (result.success && result.imageUrl) {
-        this.logger.log(`✅ Image generated successfully: ${result.filename}`);
+        const images = result.images?.length ? result.images : [{ imageUrl: result.imageUrl, filename: result.filename, metadata: result.metadata }];
+        this.logger.log(`✅ Image generated successfully: ${images.map(image => image.filename).join(', ')}`);
+        await this.quotaUseCase.recordUsage(user.id, { images: images.length });
         
         return {
-          content: `🎨 Here's the image I generated for you!\n\n**Prompt used:** ${promptData.prompt.substring(0, 200)}${promptData.prompt.length > 200 ? '...' : ''}`,
+          content: `🎨 ${images.length > 1 ? `Here are the ${images.length} images` : "Here's the image"} I generated for you!\n\n**Prompt used:** ${promptData.prompt.substring(0, 200)}${promptData.prompt.length > 200 ? '...' : ''}`,
           metadata: {
             model: 'stable-diffusion',
             imageGeneration: true,
             sdModel: 'sd_xl_base_1.0.safetensors',
             prompt: promptData.prompt,
             negativePrompt: promptData.negativePrompt,
+            seeds: result.metadata?.seeds,
+            ...(controlNetReference && { controlNetReference: controlNetReference.filename }),
             processingTime: result.metadata?.processingTime || 0,
           },
-          attachments: [{
+          attachments: images.map(image => ({
             type: 'image',
-            url: result.imageUrl,
-            filename: result.filename,
+            url: image.imageUrl,
+            filename: image.filename,
             originalPrompt: promptData.prompt,
-            metadata: result.metadata
-          }]
+            metadata: image.metadata
+          }))
         };
       } else {
         throw new Error(result.error || 'Unknown image generation error');
@@ -850,55 +1446,498 @@ export class ChatUseCase {
   }
 
   /**
-   * Builds conversation context including history as an array of messages for Ollama API
+   * Decide se a mensagem gera uma imagem ou segue para o modelo de chat.
+   * O classificador usa o Ollama, então só é consultado em conversas com esse provedor;
+   * /imagine e o pedido explícito (intent) valem para qualquer provedor.
    */
-  private buildConversationContext(messageHistory: ChatMessage[], currentMessage: string, systemPrompt?: string): Array<{ role: string; content: string }> {
-    const messages: Array<{ role: string; content: string }> = [];
-    
-    // Add system prompt if provided
-    if (systemPrompt && systemPrompt.trim()) {
-      messages.push({
-        role: 'system',
-        content: systemPrompt
-      });
-      this.logger.log(`📋 Added system prompt to context`);
+  private async routeIntent(sendMessageDto: SendMessageDto): Promise<IntentDecision> {
+    const provider = sendMessageDto.provider || ProviderType.OLLAMA;
+    return this.intentRouterService.route(sendMessageDto.content, {
+      override: sendMessageDto.intent,
+      classify: provider === ProviderType.OLLAMA,
+      model: sendMessageDto.model,
+      baseUrl: sendMessageDto.metadata?.ollamaConfig?.baseUrl,
+    });
+  }
+
+  /**
+   * Decisão do roteador salva na resposta (permite ao chat oferecer "gerar imagem em vez disso");
+   * nada é salvo quando o roteador não foi consultado
+   */
+  private mapIntent(decision: IntentDecision): Omit<IntentDecision, 'prompt'> | undefined {
+    if (decision.source === 'default') {
+      return undefined;
     }
-    
-    // If there's history, include previous messages (excluding current to avoid duplication)
-    if (messageHistory.length > 0) {
-      // Sort messages by date (oldest first)
-      const sortedHistory = messageHistory.sort((a, b) => 
-        new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
-      );
-      
-      // Filter out the current message if it's already in history (avoid duplication)
-      const filteredHistory = sortedHistory.filter(msg => 
-        !(msg.role === 'user' && msg.content === currentMessage)
-      );
-      
-      // Include only the last 20 messages to avoid context overload (10 exchanges)
-      const recentMessages = filteredHistory.slice(-20);
-      
-      // Build messages array in Ollama format
-      recentMessages.forEach(msg => {
-        messages.push({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content
+    const { intent, confidence, source, suggestion } = decision;
+    return { intent, confidence, source, ...(suggestion && { suggestion }) };
+  }
+
+  /**
+   * Registers the tools that depend on this use case (knowledge base search and image generation)
+   */
+  private registerChatTools(): void {
+    this.toolRegistry.register({
+      name: 'search_knowledge_base',
+      description: 'Searches the knowledge bases attached to this conversation and returns the most relevant excerpts. Use it when the excerpts already provided do not answer the question.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to look for, phrased as a question or keywords' },
+        },
+        required: ['query'],
+      },
+      isAvailable: context => context.knowledgeBaseIds.length > 0,
+      execute: async ({ query }, context) => {
+        const sources = await this.knowledgeBaseUseCase.retrieveContext(context.userId, context.knowledgeBaseIds, String(query ?? ''), {
+          baseUrl: context.ollamaBaseUrl,
         });
+        if (!sources.length) {
+          return { content: 'No relevant excerpts found.' };
+        }
+        return {
+          content: sources
+            .map(source => `"${source.documentName}" (${source.knowledgeBaseName}):\n${source.content}`)
+            .join('\n\n---\n\n'),
+        };
+      },
+    });
+
+    this.toolRegistry.register({
+      name: 'generate_image',
+      description: 'Generates an image with Stable Diffusion and shows it to the user. Use it only when the user asks for a picture, drawing or illustration.',
+      parameters: {
+        type: 'object',
+        properties: {
+          description: { type: 'string', description: 'Detailed description of the image to generate' },
+        },
+        required: ['description'],
+      },
+      execute: async ({ description }, context) => {
+        const user = await this.userRepository.findById(context.userId);
+        const result = await this.handleImageGenerationRequest(user, String(description ?? ''));
+        if (!result.attachments?.length) {
+          throw new Error(result.metadata?.errorMessage || result.metadata?.reason || 'Image generation failed');
+        }
+        return {
+          content: `The image was generated and is already displayed to the user. Prompt used: ${result.metadata.prompt}`,
+          attachments: result.attachments,
+        };
+      },
+    });
+  }
+
+  /**
+   * Context handed to the tools of one answer
+   */
+  private createToolSession(
+    userId: string,
+    knowledgeBaseIds: string[],
+    sendMessageDto: SendMessageDto,
+    onToolCall?: (toolCall: ToolCallRecord) => void
+  ): ToolSession {
+    return {
+      context: {
+        userId,
+        knowledgeBaseIds,
+        ollamaBaseUrl: sendMessageDto.metadata?.ollamaConfig?.baseUrl,
+      },
+      onToolCall,
+    };
+  }
+
+  /**
+   * Calls the model and runs the tools it asks for, feeding the results back until it answers
+   * with text (or MAX_TOOL_ROUNDS is reached). Without tooling this is a single call.
+   * A backend that rejects the tool definitions is called again without them.
+   * @param messages - Conversation context; the tool messages of each round are appended to it
+   */
+  private async runToolLoop<T extends ModelTurn>(
+    messages: ContextMessage[],
+    format: ToolMessageFormat,
+    tooling: ToolSession | undefined,
+    callModel: (messages: ContextMessage[], tools?: ToolDefinition[]) => Promise<T>
+  ): Promise<{ response: T; toolCalls: ToolCallRecord[]; attachments: any[] }> {
+    let definitions = tooling ? this.toolRegistry.getDefinitions(tooling.context) : [];
+    const toolCalls: ToolCallRecord[] = [];
+    const attachments: any[] = [];
+
+    for (let round = 1; ; round++) {
+      const tools = definitions.length > 0 && round < MAX_TOOL_ROUNDS ? definitions : undefined;
+      let response: T;
+
+      try {
+        response = await callModel(messages, tools);
+      } catch (error) {
+        if (!tools) {
+          throw error;
+        }
+        this.logger.warn(`🛠️ Model call with tools failed, retrying without tools: ${error.message}`);
+        definitions = [];
+        response = await callModel(messages);
+      }
+
+      if (!tools || response.cancelled || !response.toolCalls?.length) {
+        return { response, toolCalls, attachments };
+      }
+
+      this.logger.log(`🛠️ Round ${round}: model called ${response.toolCalls.map(call => call.name).join(', ')}`);
+      messages.push(this.toolRegistry.buildAssistantMessage(format, response.content, response.toolCalls));
+
+      for (const call of response.toolCalls) {
+        tooling.onToolCall?.({ ...call, status: 'running' });
+        const { record, attachments: produced } = await this.toolRegistry.execute(call, tooling.context);
+        toolCalls.push(record);
+        attachments.push(...produced);
+        tooling.onToolCall?.(record);
+        messages.push(this.toolRegistry.buildToolMessage(format, record));
+      }
+    }
+  }
+
+  /**
+   * Busca nas bases de conhecimento da sessão os trechos relacionados à pergunta.
+   * Falhas (ex: modelo de embeddings ausente) não impedem a resposta.
+   */
+  private async retrieveKnowledgeSources(
+    userId: string,
+    knowledgeBaseIds: string[] | undefined,
+    sendMessageDto: SendMessageDto
+  ): Promise<KnowledgeSourceDto[]> {
+    if (!knowledgeBaseIds?.length) {
+      return [];
+    }
+
+    try {
+      const sources = await this.knowledgeBaseUseCase.retrieveContext(userId, knowledgeBaseIds, sendMessageDto.content, {
+        baseUrl: sendMessageDto.metadata?.ollamaConfig?.baseUrl,
       });
+      this.logger.log(`📚 Retrieved ${sources.length} knowledge excerpts from ${knowledgeBaseIds.length} base(s)`);
+      return sources;
+    } catch (error) {
+      this.logger.warn(`Não foi possível consultar as bases de conhecimento: ${error.message}`);
+      return [];
     }
-    
-    // Add the current message
-    messages.push({
-      role: 'user',
-      content: currentMessage
+  }
+
+  /**
+   * Fontes salvas no metadata da resposta (trecho resumido para as citações da interface)
+   */
+  private mapKnowledgeSources(knowledgeSources: KnowledgeSourceDto[]): MessageSource[] {
+    return knowledgeSources.map(({ content, ...source }) => ({
+      ...source,
+      excerpt: content.length > SOURCE_EXCERPT_MAX_CHARS
+        ? `${content.substring(0, SOURCE_EXCERPT_MAX_CHARS).trimEnd()}…`
+        : content,
+    }));
+  }
+
+  /**
+   * Conta os tokens da resposta na cota diária do usuário. O Dynamic LLM não informa
+   * os tokens gerados, então o total é estimado pelo tamanho do texto
+   */
+  private async recordTokenUsage(userId: string, content: string, tokens?: number): Promise<void> {
+    await this.quotaUseCase.recordUsage(userId, {
+      tokens: tokens || this.conversationContextService.estimateTokens(content),
     });
-    
-    this.logger.log(`📝 Built context with ${messages.length} messages (${messages.filter(m => m.role === 'user').length} user, ${messages.filter(m => m.role === 'assistant').length} assistant, ${systemPrompt ? '1 system' : '0 system'})`);
-    
+  }
+
+  /**
+   * Configuração da sessão a partir do que o cliente selecionou e das configurações globais do usuário
+   */
+  private async captureSessionSettings(userId: string, sendMessageDto: SendMessageDto, user: User | null): Promise<SessionSettings> {
+    if (sendMessageDto.personaId) {
+      // Garante que a persona existe e é visível ao usuário
+      await this.personaUseCase.getPersona(userId, sendMessageDto.personaId);
+    }
+    if (sendMessageDto.knowledgeBaseIds?.length) {
+      await this.knowledgeBaseUseCase.assertKnowledgeBasesOwned(userId, sendMessageDto.knowledgeBaseIds);
+    }
+
+    const userLlmConfig = user?.llmConfig || {};
+    // Sem provedor no pedido vale o padrão do administrador; o Dynamic LLM ainda depende da configuração enviada
+    const provider = sendMessageDto.provider ?? (await this.systemSettingsUseCase.getSettings()).defaultProvider;
+    const isDynamicLLM = provider === ProviderType.DYNAMIC_LLM && !!sendMessageDto.dynamicLLMConfig;
+
+    const llmConfig: SessionLlmConfig = {
+      temperature: userLlmConfig.temperature ?? sendMessageDto.temperature,
+      maxTokens: userLlmConfig.maxTokens ?? sendMessageDto.maxTokens,
+      topK: userLlmConfig.topK,
+      topP: userLlmConfig.topP ?? sendMessageDto.top_p,
+      frequencyPenalty: userLlmConfig.frequencyPenalty ?? sendMessageDto.frequency_penalty,
+      presencePenalty: userLlmConfig.presencePenalty ?? sendMessageDto.presence_penalty,
+      repeatPenalty: userLlmConfig.repeatPenalty,
+      seed: userLlmConfig.seed,
+    };
+    Object.keys(llmConfig).forEach(key => llmConfig[key] === undefined && delete llmConfig[key]);
+
+    return {
+      provider: isDynamicLLM ? ProviderType.DYNAMIC_LLM : ProviderType.OLLAMA,
+      model: isDynamicLLM ? sendMessageDto.dynamicLLMConfig.model : sendMessageDto.model,
+      ...(isDynamicLLM && { dynamicLLMConfig: { ...sendMessageDto.dynamicLLMConfig } }),
+      systemPrompt: user?.systemPrompt || '',
+      ...(sendMessageDto.personaId && {
+        personaId: sendMessageDto.personaId,
+        personaVariables: { ...sendMessageDto.personaVariables },
+      }),
+      ...(sendMessageDto.knowledgeBaseIds?.length && { knowledgeBaseIds: [...new Set(sendMessageDto.knowledgeBaseIds)] }),
+      toolsEnabled: this.toolsEnabledByDefault,
+      llmConfig,
+    };
+  }
+
+  /**
+   * Aplica a configuração da sessão sobre o pedido do cliente e as configurações globais.
+   * Sessões ainda sem configuração (novas ou anteriores a este recurso) gravam a usada agora,
+   * para que reabrir a conversa depois não troque de modelo.
+   */
+  private async applySessionSettings(
+    session: ChatSession,
+    sendMessageDto: SendMessageDto,
+    user: User | null
+  ): Promise<{ sendMessageDto: SendMessageDto; systemPrompt?: string; llmConfig: SessionLlmConfig; knowledgeBaseIds: string[]; toolsEnabled: boolean }> {
+    let settings = session.metadata?.settings;
+    if (!settings) {
+      settings = await this.captureSessionSettings(session.userId, sendMessageDto, user);
+      await this.saveSessionSettings(session.id, settings);
+      session.metadata = { ...session.metadata, settings };
+    }
+
+    const llmConfig: SessionLlmConfig = { ...(user?.llmConfig || {}), ...settings.llmConfig };
+    const isDynamicLLM = settings.provider === ProviderType.DYNAMIC_LLM && !!settings.dynamicLLMConfig;
+
+    // Conversas antigas também deixam de usar modelos que o administrador retirou da lista
+    await this.systemSettingsUseCase.assertModelAllowed(
+      isDynamicLLM ? settings.model || settings.dynamicLLMConfig.model : settings.model || sendMessageDto.model
+    );
+
+    return {
+      sendMessageDto: {
+        ...sendMessageDto,
+        provider: isDynamicLLM ? ProviderType.DYNAMIC_LLM : ProviderType.OLLAMA,
+        model: isDynamicLLM ? sendMessageDto.model : settings.model || sendMessageDto.model,
+        dynamicLLMConfig: isDynamicLLM
+          ? { ...settings.dynamicLLMConfig, model: settings.model || settings.dynamicLLMConfig.model } as SendMessageDto['dynamicLLMConfig']
+          : undefined,
+        top_p: llmConfig.topP ?? sendMessageDto.top_p,
+        frequency_penalty: llmConfig.frequencyPenalty ?? sendMessageDto.frequency_penalty,
+        presence_penalty: llmConfig.presencePenalty ?? sendMessageDto.presence_penalty,
+      },
+      systemPrompt: await this.renderSessionSystemPrompt(settings, user),
+      llmConfig,
+      knowledgeBaseIds: settings.knowledgeBaseIds || [],
+      toolsEnabled: settings.toolsEnabled ?? this.toolsEnabledByDefault,
+    };
+  }
+
+  /**
+   * System prompt da sessão com as {{variáveis}} preenchidas. A persona escolhida tem prioridade;
+   * se ela foi excluída ou deixou de ser compartilhada, volta ao prompt gravado na sessão.
+   */
+  private async renderSessionSystemPrompt(settings: SessionSettings, user: User | null): Promise<string | undefined> {
+    if (settings.personaId) {
+      const personaPrompt = await this.personaUseCase.renderSystemPrompt(user, settings.personaId, settings.personaVariables);
+      if (personaPrompt !== null) {
+        return personaPrompt;
+      }
+      this.logger.warn(`🎭 Persona ${settings.personaId} is no longer available, using the session prompt`);
+    }
+
+    const systemPrompt = settings.systemPrompt ?? user?.systemPrompt;
+    return systemPrompt ? this.promptTemplateService.render(systemPrompt, { user }) : systemPrompt;
+  }
+
+  /**
+   * Grava a configuração da sessão sem sobrescrever o restante do metadata (ex: resumo gerado em paralelo)
+   */
+  private async saveSessionSettings(sessionId: string, settings: SessionSettings): Promise<void> {
+    const session = await this.chatSessionRepository.findById(sessionId);
+    if (!session) {
+      return;
+    }
+
+    await this.chatSessionRepository.update(sessionId, { metadata: { ...session.metadata, settings } });
+  }
+
+  /**
+   * Carrega todas as mensagens da sessão (todos os ramos).
+   * Sessões anteriores aos ramos são convertidas uma única vez em um ramo linear.
+   */
+  private async loadMessageTree(session: ChatSession): Promise<ChatMessage[]> {
+    const messages = await this.chatMessageRepository.findAllBySessionId(session.id);
+
+    if (!session.activeMessageId && messages.length > 0) {
+      const links = this.messageTreeService.linkFlatHistory(messages);
+      for (const link of links) {
+        await this.chatMessageRepository.update(link.id, { parentMessageId: link.parentMessageId });
+        messages.find(msg => msg.id === link.id).parentMessageId = link.parentMessageId;
+      }
+
+      session.activeMessageId = messages[messages.length - 1].id;
+      await this.chatSessionRepository.update(session.id, { activeMessageId: session.activeMessageId });
+      this.logger.log(`🌳 Linked ${links.length} message(s) of session ${session.id} into a single branch`);
+    }
+
     return messages;
   }
 
+  /**
+   * Mensagens do ramo ativo da sessão, da raiz até a última
+   */
+  private async loadActiveBranch(session: ChatSession): Promise<ChatMessage[]> {
+    const tree = await this.loadMessageTree(session);
+    return this.messageTreeService.getBranch(tree, session.activeMessageId);
+  }
+
+  /**
+   * Salva a mensagem como filha de parentMessageId e a torna o fim do ramo ativo
+   */
+  private async appendMessage(
+    session: ChatSession,
+    messageData: Partial<ChatMessage>,
+    parentMessageId: string | null
+  ): Promise<ChatMessage> {
+    messageData.parentMessageId = parentMessageId;
+    const message = await this.chatMessageRepository.create(messageData);
+
+    session.activeMessageId = message.id;
+    await this.chatSessionRepository.update(session.id, { activeMessageId: message.id });
+
+    // Imagens geradas na resposta entram na galeria do usuário
+    if (message.attachments?.length) {
+      await this.generatedImageUseCase.registerMessageImages(session.userId, message);
+    }
+
+    return message;
+  }
+
+  /**
+   * Recria uma conversa importada. A configuração da sessão de origem (modelo, persona, bases
+   * de conhecimento) não é importada, e só ficam os anexos de imagem que estão na galeria do usuário
+   */
+  private async createImportedSession(
+    userId: string,
+    conversation: ImportedConversation
+  ): Promise<ChatSessionResponseDto> {
+    const { settings, ...metadata } = conversation.metadata || {};
+    const session = await this.chatSessionRepository.create({
+      userId,
+      title: conversation.title.slice(0, 255),
+      description: conversation.description,
+      metadata: { ...metadata, importedAt: new Date().toISOString() },
+      status: 'active',
+      lastActivityAt: new Date(),
+    });
+
+    const ownedImages = await this.generatedImageUseCase.findOwnedFilenames(
+      userId,
+      conversation.messages.flatMap(message =>
+        (message.attachments || []).filter(att => att.type === 'image').map(att => att.filename)
+      )
+    );
+
+    // IDs gerados aqui para ligar cada mensagem ao pai e salvar a conversa inteira de uma vez
+    const savedIds = new Map(conversation.messages.map(message => [message.sourceId, randomUUID()]));
+    const saved = await this.chatMessageRepository.createMany(
+      this.conversationTransferService.orderForInsert(conversation.messages).map(message => ({
+        id: savedIds.get(message.sourceId),
+        chatSessionId: session.id,
+        role: message.role,
+        content: message.content,
+        metadata: message.metadata,
+        attachments: message.attachments?.filter(att => att.type !== 'image' || ownedImages.has(att.filename)),
+        status: message.role === 'user' ? 'sent' : 'delivered',
+        parentMessageId: message.parentSourceId ? savedIds.get(message.parentSourceId) : null,
+        ...(message.createdAt && { createdAt: message.createdAt }),
+      }))
+    );
+
+    const activeId = savedIds.get(conversation.activeSourceId)
+      || this.messageTreeService.findLatestLeaf(saved, this.messageTreeService.getChildren(saved, null).pop()?.id)?.id
+      || null;
+    session.activeMessageId = activeId;
+    await this.chatSessionRepository.update(session.id, { activeMessageId: activeId });
+
+    session.messages = this.messageTreeService.getBranch(saved, activeId);
+    return this.mapSessionToDto(session);
+  }
+
+  /**
+   * Busca uma mensagem garantindo que a sessão dela pertence ao usuário
+   */
+  private async findUserMessage(userId: string, messageId: string): Promise<{ session: ChatSession; message: ChatMessage }> {
+    const message = await this.chatMessageRepository.findById(messageId);
+
+    if (!message) {
+      throw new NotFoundException('Mensagem não encontrada');
+    }
+
+    const session = await this.findUserSession(userId, message.chatSessionId);
+    return { session, message };
+  }
+
+  /**
+   * Busca a sessão garantindo que pertence ao usuário
+   */
+  private async findUserSession(userId: string, sessionId: string): Promise<ChatSession> {
+    const session = await this.chatSessionRepository.findById(sessionId);
+
+    if (!session) {
+      throw new NotFoundException('Sessão não encontrada');
+    }
+
+    if (session.userId !== userId) {
+      throw new ForbiddenException('Acesso negado à sessão');
+    }
+
+    return session;
+  }
+
+  /**
+   * Carrega os arquivos referenciados na mensagem a partir do armazenamento do usuário
+   */
+  private async resolveFileAttachments(
+    userId: string,
+    attachments?: ChatFileAttachmentDto[]
+  ): Promise<StoredFileAttachment[]> {
+    if (!attachments || attachments.length === 0) {
+      return [];
+    }
+
+    const resolved = await Promise.all(
+      attachments.map(attachment => this.fileAttachmentService.loadAttachment(userId, attachment))
+    );
+
+    this.logger.log(`📎 Resolved ${resolved.length} file attachment(s) for message`);
+    return resolved;
+  }
+
+  /**
+   * Primeira imagem anexada à mensagem, usada como referência do ControlNet.
+   * Sem ControlNet configurado (ou sem imagem anexada) a geração segue só com o prompt
+   */
+  private loadControlNetReference(
+    userId: string,
+    attachments: StoredFileAttachment[],
+    imageSettings?: ChatImageSettingsDto
+  ): { filename: string; image: string } | null {
+    if (!imageSettings?.controlNet?.model) {
+      return null;
+    }
+
+    const attachment = attachments.find(att => att.type === 'file' && att.mimeType?.startsWith('image/'));
+    if (!attachment) {
+      this.logger.log('ControlNet configurado, mas a mensagem não tem imagem anexada; gerando só com o prompt');
+      return null;
+    }
+
+    try {
+      return { filename: attachment.filename, image: this.fileAttachmentService.readImageBase64(userId, attachment.filename) };
+    } catch (error) {
+      this.logger.warn(`Imagem de referência ${attachment.filename} indisponível: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Gera título para a sessão baseado na primeira mensagem
    */
@@ -910,13 +1949,18 @@ export class ChatUseCase {
   /**
    * Mapeia sessão para DTO
    */
-  private mapSessionToDto(session: ChatSession, includeMessages: boolean = false): ChatSessionResponseDto {
+  private mapSessionToDto(
+    session: ChatSession,
+    includeMessages: boolean = false,
+    tree?: ChatMessage[]
+  ): ChatSessionResponseDto {
     const dto: ChatSessionResponseDto = {
       id: session.id,
       title: session.title,
       description: session.description,
       status: session.status,
       metadata: session.metadata,
+      activeMessageId: session.activeMessageId,
       messageCount: session.getMessageCount(),
       lastActivityAt: session.lastActivityAt,
       createdAt: session.createdAt,
@@ -924,7 +1968,10 @@ export class ChatUseCase {
     };
 
     if (includeMessages && session.messages) {
-      dto.messages = session.messages.map(message => this.mapMessageToDto(message));
+      dto.messages = session.messages.map(message => ({
+        ...this.mapMessageWithAttachmentsToDto(message),
+        ...(tree && { siblingIds: this.messageTreeService.getSiblingIds(tree, message) }),
+      }));
     }
 
     return dto;
@@ -940,6 +1987,7 @@ export class ChatUseCase {
       role: message.role,
       status: message.status,
       metadata: message.metadata,
+      parentMessageId: message.parentMessageId ?? null,
       createdAt: message.createdAt,
       updatedAt: message.updatedAt,
     };
@@ -975,7 +2023,9 @@ export class ChatUseCase {
       updatedAt: new Date(),
     };
 
-    const message = await this.chatMessageRepository.create(messageData);
+    // A mensagem continua o ramo ativo
+    await this.loadMessageTree(session);
+    const message = await this.appendMessage(session, messageData, session.activeMessageId ?? null);
 
     // Se é a primeira mensagem do usuário e a sessão tem título padrão, gera um novo título
     if (role === 'user' && (session.title === 'Nova Conversa' || !session.title)) {
@@ -1034,14 +2084,19 @@ export class ChatUseCase {
         role: messageData.role as 'user' | 'assistant' | 'system'
       });
     } else {
-      // Cria nova mensagem
-      message = await this.chatMessageRepository.create({
+      // Cria nova mensagem no fim do ramo ativo
+      const session = await this.chatSessionRepository.findById(sessionId);
+      if (!session) {
+        throw new NotFoundException('Sessão não encontrada');
+      }
+      await this.loadMessageTree(session);
+      message = await this.appendMessage(session, {
         id: messageId,
         content: messageData.content,
         role: messageData.role as 'user' | 'assistant' | 'system',
         chatSessionId: sessionId,
         status: 'delivered'
-      });
+      }, session.activeMessageId ?? null);
     }
 
     return this.mapMessageWithAttachmentsToDto(message);
@@ -1107,10 +2162,66 @@ export class ChatUseCase {
     const updatedMessage = await this.chatMessageRepository.update(messageId, {
       attachments: message.attachments
     });
+    await this.generatedImageUseCase.registerMessageImages(userId, updatedMessage);
 
     return this.mapMessageWithAttachmentsToDto(updatedMessage);
   }
 
+  /**
+   * Armazena um documento enviado pelo usuário para uso em uma próxima mensagem
+   */
+  async uploadFileAttachment(userId: string, file: Express.Multer.File): Promise<StoredFileAttachment> {
+    const attachment = await this.fileAttachmentService.saveUpload(userId, file);
+    return this.stripExtractedText(attachment);
+  }
+
+  /**
+   * Anexa um documento a uma mensagem específica
+   */
+  async attachFileToMessage(
+    userId: string,
+    messageId: string,
+    file: Express.Multer.File
+  ): Promise<ChatMessageResponseDto> {
+    const message = await this.chatMessageRepository.findById(messageId);
+    if (!message) {
+      throw new NotFoundException('Mensagem não encontrada');
+    }
+
+    // Verifica se a mensagem pertence a uma sessão do usuário
+    const session = await this.chatSessionRepository.findByIdAndUserId(message.chatSessionId, userId);
+    if (!session) {
+      throw new ForbiddenException('Você não tem permissão para anexar arquivos nesta mensagem');
+    }
+
+    const attachment = await this.fileAttachmentService.saveUpload(userId, file);
+    message.addAttachment(attachment);
+
+    const updatedMessage = await this.chatMessageRepository.update(messageId, {
+      attachments: message.attachments
+    });
+
+    return this.mapMessageWithAttachmentsToDto(updatedMessage);
+  }
+
+  /**
+   * Obtém o caminho de um documento enviado pelo usuário
+   */
+  getFileAttachmentPath(userId: string, filename: string): string {
+    return this.fileAttachmentService.getFilePath(userId, filename);
+  }
+
+  /**
+   * Remove o texto extraído dos anexos antes de enviá-los ao cliente
+   */
+  private stripExtractedText<T extends { metadata?: any }>(attachment: T): T {
+    if (!attachment.metadata?.extractedText) {
+      return attachment;
+    }
+    const { extractedText, ...metadata } = attachment.metadata;
+    return { ...attachment, metadata };
+  }
+
   /**
    * Mapeia entidade para DTO (incluindo anexos)
    */
@@ -1121,7 +2232,8 @@ export class ChatUseCase {
       role: message.role,
       status: message.status,
       metadata: message.metadata,
-      attachments: message.attachments,
+      parentMessageId: message.parentMessageId ?? null,
+      attachments: message.attachments?.map(attachment => this.stripExtractedText(attachment)),
       createdAt: message.createdAt,
       updatedAt: message.updatedAt,
     };
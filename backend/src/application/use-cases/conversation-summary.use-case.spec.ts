@@ -0,0 +1,99 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConversationSummaryUseCase } from './conversation-summary.use-case';
+import { OllamaService } from '../../infrastructure/services/ollama.service';
+import { ConversationContextService } from '../../infrastructure/services/conversation-context.service';
+import { ProviderType } from '../dto/chat.dto';
+
+describe('ConversationSummaryUseCase', () => {
+  let useCase: ConversationSummaryUseCase;
+  let sessions: Map<string, any>;
+  let chatSessionRepository: { findById: jest.Mock; update: jest.Mock };
+  let ollamaService: { generateConversationSummary: jest.Mock };
+
+  const at = (minute: number) => new Date(Date.UTC(2025, 0, 1, 12, minute));
+  const history: any[] = [
+    { id: 'u1', role: 'user', content: 'q1', createdAt: at(0) },
+    { id: 'a1', role: 'assistant', content: 'a1', createdAt: at(1) },
+    { id: 'u2', role: 'user', content: 'q2', createdAt: at(2) },
+    { id: 'a2', role: 'assistant', content: 'a2', createdAt: at(3) },
+  ];
+
+  // Espera o resumo gerado em background
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(async () => {
+    sessions = new Map([['session-1', { id: 'session-1', metadata: { settings: { model: 'llama3' } } }]]);
+    chatSessionRepository = {
+      findById: jest.fn(async (id: string) => sessions.get(id) ?? null),
+      update: jest.fn(async (id: string, data: any) => sessions.set(id, { ...sessions.get(id), ...data })),
+    };
+    ollamaService = { generateConversationSummary: jest.fn().mockResolvedValue('They talked about q1.') };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        ConversationSummaryUseCase,
+        { provide: 'IChatSessionRepository', useValue: chatSessionRepository },
+        { provide: OllamaService, useValue: ollamaService },
+        { provide: ConversationContextService, useValue: { prepareHistory: (messages: any[]) => messages } },
+      ],
+    }).compile();
+
+    useCase = module.get<ConversationSummaryUseCase>(ConversationSummaryUseCase);
+  });
+
+  it('should replace the summarized messages with the summary in the system prompt', () => {
+    const session: any = { metadata: { summary: { content: 'Earlier talk.', summarizedUntil: at(1).toISOString() } } };
+
+    const { history: remaining, systemPrompt } = useCase.applySummary(session, history, 'Be brief.');
+
+    expect(remaining.map(msg => msg.id)).toEqual(['u2', 'a2']);
+    expect(systemPrompt).toMatch(/^Be brief\.\n\nSummary of the earlier part of this conversation.*\nEarlier talk\.$/s);
+    expect(useCase.applySummary({ metadata: {} } as any, history, 'Be brief.')).toEqual({ history, systemPrompt: 'Be brief.' });
+  });
+
+  it('should summarize the evicted messages in the background and keep the other metadata', async () => {
+    useCase.scheduleUpdate('session-1', history, { content: 'q3', model: 'llama3', provider: ProviderType.OLLAMA } as any, {
+      droppedMessages: 2,
+    } as any);
+    await flush();
+
+    expect(ollamaService.generateConversationSummary).toHaveBeenCalledWith(
+      undefined,
+      [{ role: 'user', content: 'q1' }, { role: 'assistant', content: 'a1' }],
+      { model: 'llama3', baseUrl: undefined },
+    );
+    expect(sessions.get('session-1').metadata).toEqual({
+      settings: { model: 'llama3' },
+      summary: expect.objectContaining({
+        content: 'They talked about q1.',
+        summarizedUntil: at(1).toISOString(),
+        summarizedMessageCount: 2,
+      }),
+    });
+  });
+
+  it('should not overwrite a summary edited while the new one was generated', async () => {
+    ollamaService.generateConversationSummary.mockImplementationOnce(async () => {
+      await useCase.saveSummary('session-1', { content: 'Edited.', summarizedMessageCount: 0, updatedAt: 'now', editedByUser: true });
+      return 'Generated.';
+    });
+
+    useCase.scheduleUpdate('session-1', history, { content: 'q3' } as any, { droppedMessages: 1 } as any);
+    await flush();
+
+    expect(sessions.get('session-1').metadata.summary.content).toBe('Edited.');
+  });
+
+  it('should discard the summary when a branch starts before its end', async () => {
+    const summary = { content: 'Earlier talk.', summarizedUntil: at(1).toISOString(), summarizedMessageCount: 2, updatedAt: 'now' };
+    sessions.get('session-1').metadata.summary = summary;
+    const session = sessions.get('session-1');
+
+    await useCase.discardAfterBranchPoint(session, history, 'u2');
+    expect(sessions.get('session-1').metadata.summary).toBe(summary);
+
+    await useCase.discardAfterBranchPoint(session, history, 'u1');
+    expect(sessions.get('session-1').metadata.summary).toBeUndefined();
+    expect(session.metadata.summary).toBeUndefined();
+  });
+});
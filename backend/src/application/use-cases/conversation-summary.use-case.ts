@@ -0,0 +1,195 @@
+import { Injectable, Inject, Logger } from '@nestjs/common';
+
+import { IChatSessionRepository } from '../../domain/repositories/chat-session.repository.interface';
+import { ChatSession, ConversationSummary } from '../../domain/entities/chat-session.entity';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+import { OllamaService } from '../../infrastructure/services/ollama.service';
+import { ContextUsage } from '../../infrastructure/services/context-window.service';
+import { ConversationContextService } from '../../infrastructure/services/conversation-context.service';
+import { SendMessageDto, ProviderType } from '../dto/chat.dto';
+
+/**
+ * Maximum characters of each evicted message sent to the summarizer
+ */
+const SUMMARY_MESSAGE_MAX_CHARS = 4000;
+
+/**
+ * Use Case do resumo das conversas longas. As mensagens que deixam de caber na janela de
+ * contexto são resumidas em background pelo Ollama; o resumo fica no metadata da sessão
+ * e substitui essas mensagens no system prompt das próximas respostas
+ */
+@Injectable()
+export class ConversationSummaryUseCase {
+  private readonly logger = new Logger(ConversationSummaryUseCase.name);
+
+  // Sessões com resumo sendo gerado em background (evita gerações concorrentes)
+  private readonly summarizingSessions = new Set<string>();
+
+  constructor(
+    @Inject('IChatSessionRepository')
+    private readonly chatSessionRepository: IChatSessionRepository,
+    private readonly ollamaService: OllamaService,
+    private readonly conversationContextService: ConversationContextService,
+  ) {}
+
+  /**
+   * Remove do histórico as mensagens já resumidas e junta o resumo ao system prompt
+   * (uma única mensagem de sistema, já que alguns templates não aceitam várias)
+   */
+  applySummary(
+    session: ChatSession,
+    messageHistory: ChatMessage[],
+    systemPrompt?: string
+  ): { history: ChatMessage[]; systemPrompt?: string } {
+    const summary = session.metadata?.summary;
+
+    if (!summary?.content?.trim()) {
+      return { history: messageHistory, systemPrompt };
+    }
+
+    const summarizedUntil = summary.summarizedUntil ? new Date(summary.summarizedUntil).getTime() : null;
+    const history = summarizedUntil === null
+      ? messageHistory
+      : messageHistory.filter(msg => new Date(msg.createdAt).getTime() > summarizedUntil);
+
+    const summarySection = `Summary of the earlier part of this conversation (those messages are no longer shown):\n${summary.content.trim()}`;
+
+    this.logger.log(`🧾 Using conversation summary (${messageHistory.length - history.length} message(s) replaced)`);
+
+    return {
+      history,
+      systemPrompt: systemPrompt?.trim() ? `${systemPrompt}\n\n${summarySection}` : summarySection,
+    };
+  }
+
+  /**
+   * Marca no uso de contexto da resposta que o resumo da sessão foi enviado ao modelo
+   */
+  markSummaryUsage(session: ChatSession, usage?: ContextUsage): void {
+    if (usage && session.metadata?.summary?.content?.trim()) {
+      usage.summaryIncluded = true;
+    }
+  }
+
+  /**
+   * Resume em background as mensagens que não couberam na janela de contexto
+   * @param messageHistory - Histórico enviado ao montar o contexto (já sem as mensagens resumidas)
+   */
+  scheduleUpdate(
+    sessionId: string,
+    messageHistory: ChatMessage[],
+    options: SendMessageDto,
+    usage?: ContextUsage
+  ): void {
+    if (!usage?.droppedMessages) {
+      return;
+    }
+
+    // fitToWindow descarta sempre as mensagens mais antigas
+    const evictedMessages = this.conversationContextService
+      .prepareHistory(messageHistory, options.content)
+      .slice(0, usage.droppedMessages);
+
+    this.updateSummary(sessionId, evictedMessages, options).catch(error => {
+      this.logger.error(`❌ Error updating summary for session ${sessionId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Salva (ou remove, quando undefined) o resumo preservando o restante do metadata da sessão
+   */
+  async saveSummary(sessionId: string, summary?: ConversationSummary): Promise<void> {
+    const session = await this.chatSessionRepository.findById(sessionId);
+
+    if (!session || (!summary && !session.metadata?.summary)) {
+      return;
+    }
+
+    const metadata = { ...session.metadata };
+    delete metadata.summary;
+    if (summary) {
+      metadata.summary = summary;
+    }
+
+    await this.chatSessionRepository.update(sessionId, { metadata });
+  }
+
+  /**
+   * O resumo cobre o ramo em que foi gerado; ao ramificar antes do fim dele, o resumo
+   * descreveria mensagens que não estão no novo ramo e é descartado
+   * @param branchPointId - Mensagem a partir da qual o novo ramo continua (null = início da conversa)
+   */
+  async discardAfterBranchPoint(
+    session: ChatSession,
+    tree: ChatMessage[],
+    branchPointId: string | null
+  ): Promise<void> {
+    const summarizedUntil = session.metadata?.summary?.summarizedUntil;
+    if (!summarizedUntil) {
+      return;
+    }
+
+    const branchPoint = branchPointId ? tree.find(msg => msg.id === branchPointId) : null;
+    if (branchPoint && new Date(branchPoint.createdAt).getTime() >= new Date(summarizedUntil).getTime()) {
+      return;
+    }
+
+    await this.saveSummary(session.id, undefined);
+    session.metadata = { ...session.metadata };
+    delete session.metadata.summary;
+    this.logger.log(`🧾 Summary of session ${session.id} discarded: the new branch starts before its end`);
+  }
+
+  /**
+   * Gera o novo resumo com o Ollama e salva no metadata da sessão
+   */
+  private async updateSummary(
+    sessionId: string,
+    evictedMessages: ChatMessage[],
+    options: SendMessageDto
+  ): Promise<void> {
+    if (evictedMessages.length === 0 || this.summarizingSessions.has(sessionId)) {
+      return;
+    }
+
+    this.summarizingSessions.add(sessionId);
+    try {
+      const session = await this.chatSessionRepository.findById(sessionId);
+      const previous = session?.metadata?.summary;
+
+      const content = await this.ollamaService.generateConversationSummary(
+        previous?.content,
+        evictedMessages.map(msg => ({
+          role: msg.role,
+          content: msg.content.length > SUMMARY_MESSAGE_MAX_CHARS
+            ? `${msg.content.substring(0, SUMMARY_MESSAGE_MAX_CHARS)}...`
+            : msg.content,
+        })),
+        {
+          // Dynamic LLM sessions fall back to the default Ollama model
+          model: (options.provider || ProviderType.OLLAMA) === ProviderType.OLLAMA ? options.model : undefined,
+          baseUrl: options.metadata?.ollamaConfig?.baseUrl,
+        }
+      );
+
+      // Não sobrescreve um resumo editado ou removido pelo usuário enquanto este era gerado
+      const latest = await this.chatSessionRepository.findById(sessionId);
+      if (!latest || latest.metadata?.summary?.updatedAt !== previous?.updatedAt) {
+        this.logger.log(`🧾 Summary of session ${sessionId} changed meanwhile, discarding generated summary`);
+        return;
+      }
+
+      const lastEvicted = evictedMessages[evictedMessages.length - 1];
+      await this.saveSummary(sessionId, {
+        content,
+        summarizedUntil: new Date(lastEvicted.createdAt).toISOString(),
+        summarizedMessageCount: (previous?.summarizedMessageCount || 0) + evictedMessages.length,
+        updatedAt: new Date().toISOString(),
+      });
+
+      this.logger.log(`🧾 Summary of session ${sessionId} now covers ${(previous?.summarizedMessageCount || 0) + evictedMessages.length} message(s)`);
+    } finally {
+      this.summarizingSessions.delete(sessionId);
+    }
+  }
+}
@@ -0,0 +1,154 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { NotFoundException } from '@nestjs/common';
+import { GeneratedImageUseCase } from './generated-image.use-case';
+import { GeneratedImage } from '../../domain/entities/generated-image.entity';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+import { StableDiffusionService } from '../../infrastructure/services/stable-diffusion.service';
+
+describe('GeneratedImageUseCase', () => {
+  let useCase: GeneratedImageUseCase;
+  let imageRepository: Record<string, jest.Mock>;
+  let messageRepository: Record<string, jest.Mock>;
+  let stableDiffusionService: { listSavedImages: jest.Mock; deleteSavedImage: jest.Mock };
+
+  const hoursAgo = (hours: number) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const galleryImage = (data: Partial<GeneratedImage>): GeneratedImage =>
+    Object.assign(new GeneratedImage(), { userId: 'u1', isFavorite: false, tags: [], ...data });
+
+  beforeEach(async () => {
+    imageRepository = {
+      findById: jest.fn(),
+      findByFilename: jest.fn().mockResolvedValue(null),
+      findByFilenames: jest.fn().mockResolvedValue([]),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      findByUser: jest.fn(),
+    };
+    messageRepository = {
+      findById: jest.fn(),
+      update: jest.fn(),
+      findImageAttachmentFilenames: jest.fn().mockResolvedValue([]),
+    };
+    stableDiffusionService = {
+      listSavedImages: jest.fn().mockReturnValue([]),
+      deleteSavedImage: jest.fn().mockReturnValue(true),
+    };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        GeneratedImageUseCase,
+        { provide: 'IGeneratedImageRepository', useValue: imageRepository },
+        { provide: 'IChatMessageRepository', useValue: messageRepository },
+        { provide: StableDiffusionService, useValue: stableDiffusionService },
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => ({
+              SD_ORPHAN_IMAGE_RETENTION_HOURS: '24',
+              SD_GALLERY_RETENTION_DAYS: '7',
+              SD_IMAGE_CLEANUP_INTERVAL_MINUTES: '0',
+            })[key] ?? defaultValue),
+          },
+        },
+      ],
+    }).compile();
+
+    useCase = module.get<GeneratedImageUseCase>(GeneratedImageUseCase);
+  });
+
+  it('should never remove images referenced by messages or marked as favorite', async () => {
+    stableDiffusionService.listSavedImages.mockReturnValue([
+      { filename: 'sd_referenced.png', modifiedAt: hoursAgo(24 * 365) },
+      { filename: 'sd_favorite.png', modifiedAt: hoursAgo(24 * 365) },
+      { filename: 'sd_orphan.png', modifiedAt: hoursAgo(48) },
+    ]);
+    messageRepository.findImageAttachmentFilenames.mockResolvedValue(['sd_referenced.png']);
+    imageRepository.findByFilenames.mockResolvedValue([
+      galleryImage({ id: 'i1', filename: 'sd_referenced.png' }),
+      galleryImage({ id: 'i2', filename: 'sd_favorite.png', isFavorite: true }),
+    ]);
+
+    const result = await useCase.cleanupImages();
+
+    expect(result).toEqual({ removedCount: 1, protectedCount: 2 });
+    expect(stableDiffusionService.deleteSavedImage).toHaveBeenCalledTimes(1);
+    expect(stableDiffusionService.deleteSavedImage).toHaveBeenCalledWith('sd_orphan.png');
+    expect(imageRepository.delete).not.toHaveBeenCalled();
+  });
+
+  it('should keep recent orphans and remove gallery images only after the gallery retention', async () => {
+    stableDiffusionService.listSavedImages.mockReturnValue([
+      { filename: 'sd_recent.png', modifiedAt: hoursAgo(2) },
+      { filename: 'sd_gallery_new.png', modifiedAt: hoursAgo(48) },
+      { filename: 'sd_gallery_old.png', modifiedAt: hoursAgo(24 * 8) },
+    ]);
+    imageRepository.findByFilenames.mockResolvedValue([
+      galleryImage({ id: 'new', filename: 'sd_gallery_new.png' }),
+      galleryImage({ id: 'old', filename: 'sd_gallery_old.png' }),
+    ]);
+
+    const result = await useCase.cleanupImages();
+
+    expect(result.removedCount).toBe(1);
+    expect(imageRepository.delete).toHaveBeenCalledWith('old');
+    expect(stableDiffusionService.deleteSavedImage).toHaveBeenCalledWith('sd_gallery_old.png');
+  });
+
+  it('should register generated image attachments in the owner gallery', async () => {
+    const message = Object.assign(new ChatMessage(), {
+      id: 'm1',
+      attachments: [
+        { type: 'image', url: '/api/v1/stable-diffusion/images/sd_1.png', filename: 'sd_1.png', originalPrompt: 'a red fox', metadata: { negativePrompt: 'blurry' } },
+        { type: 'image', url: '/uploads/photo.png', filename: 'photo.png' },
+      ],
+    });
+
+    await useCase.registerMessageImages('u1', message);
+
+    expect(imageRepository.create).toHaveBeenCalledTimes(1);
+    expect(imageRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'u1',
+      messageId: 'm1',
+      filename: 'sd_1.png',
+      prompt: 'a red fox',
+      negativePrompt: 'blurry',
+    }));
+  });
+
+  it('should report only the files in the user gallery', async () => {
+    imageRepository.findByFilenames.mockResolvedValue([
+      galleryImage({ filename: 'sd_mine.png' }),
+      galleryImage({ filename: 'sd_other.png', userId: 'u2' }),
+    ]);
+
+    const owned = await useCase.findOwnedFilenames('u1', ['sd_mine.png', 'sd_other.png', 'sd_mine.png', 'sd_missing.png']);
+
+    expect(imageRepository.findByFilenames).toHaveBeenCalledWith(['sd_mine.png', 'sd_other.png', 'sd_missing.png']);
+    expect([...owned]).toEqual(['sd_mine.png']);
+  });
+
+  it('should remove the attachment and keep the file while another message still uses it', async () => {
+    imageRepository.findById.mockResolvedValue(galleryImage({ id: 'i1', filename: 'sd_1.png', messageId: 'm1' }));
+    messageRepository.findById.mockResolvedValue(Object.assign(new ChatMessage(), {
+      id: 'm1',
+      attachments: [{ type: 'image', url: '/api/v1/stable-diffusion/images/sd_1.png', filename: 'sd_1.png' }],
+    }));
+    messageRepository.findImageAttachmentFilenames.mockResolvedValue(['sd_1.png']);
+
+    await useCase.deleteImage('u1', 'i1');
+
+    expect(messageRepository.update).toHaveBeenCalledWith('m1', { attachments: [] });
+    expect(imageRepository.delete).toHaveBeenCalledWith('i1');
+    expect(stableDiffusionService.deleteSavedImage).not.toHaveBeenCalled();
+  });
+
+  it('should not let a user change images from another gallery', async () => {
+    imageRepository.findById.mockResolvedValue(galleryImage({ id: 'i1', userId: 'u2', filename: 'sd_1.png' }));
+
+    await expect(useCase.updateImage('u1', 'i1', { isFavorite: true })).rejects.toThrow(NotFoundException);
+    expect(imageRepository.update).not.toHaveBeenCalled();
+  });
+});
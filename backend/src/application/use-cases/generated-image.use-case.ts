@@ -0,0 +1,246 @@
+import { Injectable, Inject, Logger, NotFoundException, OnModuleInit, OnModuleDestroy } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+import { IGeneratedImageRepository } from '../../domain/repositories/generated-image.repository.interface';
+import { IChatMessageRepository } from '../../domain/repositories/chat-message.repository.interface';
+import { GeneratedImage } from '../../domain/entities/generated-image.entity';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+import { StableDiffusionService } from '../../infrastructure/services/stable-diffusion.service';
+import {
+  UpdateGeneratedImageDto,
+  GeneratedImageResponseDto,
+  GeneratedImageListResponseDto,
+} from '../dto/generated-image.dto';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Use Case para a galeria de imagens geradas e a retenção dos arquivos em public/images.
+ *
+ * Retenção (executada a cada SD_IMAGE_CLEANUP_INTERVAL_MINUTES):
+ * - imagens anexadas a alguma mensagem ou marcadas como favoritas nunca são removidas;
+ * - imagens da galeria que não estão mais em nenhuma mensagem saem após SD_GALLERY_RETENTION_DAYS (0 = nunca);
+ * - arquivos sem dono (gerados e nunca anexados) saem após SD_ORPHAN_IMAGE_RETENTION_HOURS.
+ */
+@Injectable()
+export class GeneratedImageUseCase implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(GeneratedImageUseCase.name);
+  private readonly orphanRetentionHours: number;
+  private readonly galleryRetentionDays: number;
+  private readonly cleanupIntervalMinutes: number;
+  private cleanupTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    @Inject('IGeneratedImageRepository')
+    private readonly generatedImageRepository: IGeneratedImageRepository,
+    @Inject('IChatMessageRepository')
+    private readonly chatMessageRepository: IChatMessageRepository,
+    private readonly stableDiffusionService: StableDiffusionService,
+    private readonly configService: ConfigService,
+  ) {
+    this.orphanRetentionHours = Number(this.configService.get('SD_ORPHAN_IMAGE_RETENTION_HOURS', 24));
+    this.galleryRetentionDays = Number(this.configService.get('SD_GALLERY_RETENTION_DAYS', 30));
+    this.cleanupIntervalMinutes = Number(this.configService.get('SD_IMAGE_CLEANUP_INTERVAL_MINUTES', 60));
+  }
+
+  onModuleInit(): void {
+    if (this.cleanupIntervalMinutes > 0) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanupImages().catch(error => this.logger.error(`Erro na limpeza de imagens: ${error.message}`));
+      }, this.cleanupIntervalMinutes * 60 * 1000);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  onModuleDestroy(): void {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * Lista a galeria do usuário com busca pelo prompt, filtro por tag e por favoritas
+   */
+  async listImages(
+    userId: string,
+    filters: { search?: string; tag?: string; favoritesOnly?: boolean; page?: number; limit?: number } = {},
+  ): Promise<GeneratedImageListResponseDto> {
+    const page = Math.max(1, filters.page || 1);
+    const limit = Math.min(Math.max(1, filters.limit || 30), 100);
+
+    const { images, total } = await this.generatedImageRepository.findByUser(userId, {
+      search: filters.search,
+      tag: filters.tag,
+      favoritesOnly: filters.favoritesOnly,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return { images: images.map(image => this.mapImageToDto(image)), total, page, limit };
+  }
+
+  /**
+   * Marca/desmarca como favorita e altera as tags
+   */
+  async updateImage(userId: string, imageId: string, updateImageDto: UpdateGeneratedImageDto): Promise<GeneratedImageResponseDto> {
+    await this.findOwnedImage(userId, imageId);
+
+    const updateData: Partial<GeneratedImage> = {};
+    if (updateImageDto.isFavorite !== undefined) updateData.isFavorite = updateImageDto.isFavorite;
+    if (updateImageDto.tags !== undefined) updateData.tags = this.normalizeTags(updateImageDto.tags);
+
+    const image = await this.generatedImageRepository.update(imageId, updateData);
+    return this.mapImageToDto(image);
+  }
+
+  /**
+   * Exclui a imagem da galeria e o anexo da mensagem onde ela aparece.
+   * O arquivo só é apagado se nenhuma outra mensagem ainda o usa.
+   */
+  async deleteImage(userId: string, imageId: string): Promise<void> {
+    const image = await this.findOwnedImage(userId, imageId);
+
+    if (image.messageId) {
+      const message = await this.chatMessageRepository.findById(image.messageId);
+      if (message) {
+        message.removeAttachment(image.filename);
+        await this.chatMessageRepository.update(message.id, { attachments: message.attachments });
+      }
+    }
+
+    await this.generatedImageRepository.delete(image.id);
+
+    const referenced = await this.chatMessageRepository.findImageAttachmentFilenames();
+    if (!referenced.includes(image.filename)) {
+      this.stableDiffusionService.deleteSavedImage(image.filename);
+    }
+  }
+
+  /**
+   * Registra na galeria do usuário as imagens do Stable Diffusion anexadas à mensagem.
+   * Falhas só são logadas: a galeria não deve impedir que a mensagem seja salva.
+   */
+  async registerMessageImages(userId: string, message: ChatMessage): Promise<void> {
+    const images = (message.attachments || []).filter(attachment =>
+      attachment.type === 'image' && attachment.url === GeneratedImage.urlFor(attachment.filename),
+    );
+
+    for (const attachment of images) {
+      try {
+        const existing = await this.generatedImageRepository.findByFilename(attachment.filename);
+        if (existing) {
+          // A imagem continua do primeiro dono; só acompanha a mensagem mais recente onde foi anexada
+          if (existing.isOwnedBy(userId) && existing.messageId !== message.id) {
+            await this.generatedImageRepository.update(existing.id, { messageId: message.id });
+          }
+          continue;
+        }
+
+        await this.generatedImageRepository.create({
+          userId,
+          messageId: message.id,
+          filename: attachment.filename,
+          prompt: attachment.originalPrompt ?? attachment.metadata?.prompt,
+          negativePrompt: attachment.metadata?.negativePrompt,
+          metadata: attachment.metadata || {},
+          tags: [],
+          isFavorite: false,
+        });
+      } catch (error) {
+        this.logger.error(`Erro ao registrar a imagem ${attachment.filename} na galeria: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Filtra os arquivos que estão na galeria do usuário (ex: ao importar conversas com imagens)
+   */
+  async findOwnedFilenames(userId: string, filenames: string[]): Promise<Set<string>> {
+    if (filenames.length === 0) {
+      return new Set();
+    }
+
+    const images = await this.generatedImageRepository.findByFilenames([...new Set(filenames)]);
+    return new Set(images.filter(image => image.isOwnedBy(userId)).map(image => image.filename));
+  }
+
+  /**
+   * Aplica a política de retenção aos arquivos em public/images
+   * @param orphanMaxAgeHours - Sobrescreve SD_ORPHAN_IMAGE_RETENTION_HOURS nesta execução
+   */
+  async cleanupImages(orphanMaxAgeHours = this.orphanRetentionHours): Promise<{ removedCount: number; protectedCount: number }> {
+    const files = this.stableDiffusionService.listSavedImages();
+    if (files.length === 0) {
+      return { removedCount: 0, protectedCount: 0 };
+    }
+
+    const referenced = new Set(await this.chatMessageRepository.findImageAttachmentFilenames());
+    const galleryImages = new Map(
+      (await this.generatedImageRepository.findByFilenames(files.map(file => file.filename)))
+        .map(image => [image.filename, image] as const),
+    );
+
+    const now = Date.now();
+    let removedCount = 0;
+    let protectedCount = 0;
+
+    for (const file of files) {
+      const image = galleryImages.get(file.filename);
+      if (referenced.has(file.filename) || image?.isFavorite) {
+        protectedCount++;
+        continue;
+      }
+
+      const ageHours = (now - file.modifiedAt.getTime()) / HOUR_MS;
+      const expired = image
+        ? this.galleryRetentionDays > 0 && ageHours > this.galleryRetentionDays * 24
+        : ageHours > orphanMaxAgeHours;
+      if (!expired) {
+        continue;
+      }
+
+      if (image) {
+        await this.generatedImageRepository.delete(image.id);
+      }
+      if (this.stableDiffusionService.deleteSavedImage(file.filename)) {
+        removedCount++;
+      }
+    }
+
+    if (removedCount > 0) {
+      this.logger.log(`🧹 Removidas ${removedCount} imagens (${protectedCount} protegidas por mensagens ou favoritas)`);
+    }
+
+    return { removedCount, protectedCount };
+  }
+
+  private async findOwnedImage(userId: string, imageId: string): Promise<GeneratedImage> {
+    const image = await this.generatedImageRepository.findById(imageId);
+    if (!image || !image.isOwnedBy(userId)) {
+      throw new NotFoundException('Imagem não encontrada');
+    }
+    return image;
+  }
+
+  private normalizeTags(tags?: string[]): string[] {
+    const normalized = (tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    return [...new Set(normalized)];
+  }
+
+  private mapImageToDto(image: GeneratedImage): GeneratedImageResponseDto {
+    return {
+      id: image.id,
+      filename: image.filename,
+      url: image.getUrl(),
+      prompt: image.prompt,
+      negativePrompt: image.negativePrompt,
+      tags: image.tags || [],
+      isFavorite: image.isFavorite,
+      metadata: image.metadata || {},
+      messageId: image.messageId ?? undefined,
+      sessionId: image.message?.chatSessionId,
+      createdAt: image.createdAt,
+    };
+  }
+}
@@ -0,0 +1,351 @@
+import { Injectable, Inject, Logger, NotFoundException, BadRequestException, PayloadTooLargeException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import * as path from 'path';
+
+import {
+  IKnowledgeBaseRepository,
+  IKnowledgeDocumentRepository,
+  IKnowledgeChunkRepository,
+} from '../../domain/repositories/knowledge-base.repository.interface';
+import { KnowledgeBase } from '../../domain/entities/knowledge-base.entity';
+import { KnowledgeDocument } from '../../domain/entities/knowledge-document.entity';
+import { KnowledgeChunk } from '../../domain/entities/knowledge-chunk.entity';
+import { OllamaService } from '../../infrastructure/services/ollama.service';
+import { FileAttachmentService } from '../../infrastructure/services/file-attachment.service';
+import { TextChunkerService } from '../../infrastructure/services/text-chunker.service';
+import { VectorIndexService } from '../../infrastructure/services/vector-index.service';
+import {
+  CreateKnowledgeBaseDto,
+  UpdateKnowledgeBaseDto,
+  KnowledgeBaseResponseDto,
+  KnowledgeDocumentResponseDto,
+  KnowledgeSourceDto,
+} from '../dto/knowledge-base.dto';
+
+/**
+ * Quantidade de trechos enviados por requisição de embeddings
+ */
+const EMBEDDING_BATCH_SIZE = 32;
+
+/**
+ * Dados do trecho guardados no índice vetorial
+ */
+interface IndexedChunk {
+  documentId: string;
+  content: string;
+}
+
+/**
+ * Use Case para bases de conhecimento (RAG): documentos, embeddings e recuperação de trechos
+ */
+@Injectable()
+export class KnowledgeBaseUseCase {
+  private readonly logger = new Logger(KnowledgeBaseUseCase.name);
+  private readonly topK: number;
+  private readonly minScore: number;
+  private readonly maxFileSizeBytes: number;
+
+  constructor(
+    @Inject('IKnowledgeBaseRepository')
+    private readonly knowledgeBaseRepository: IKnowledgeBaseRepository,
+    @Inject('IKnowledgeDocumentRepository')
+    private readonly documentRepository: IKnowledgeDocumentRepository,
+    @Inject('IKnowledgeChunkRepository')
+    private readonly chunkRepository: IKnowledgeChunkRepository,
+    private readonly ollamaService: OllamaService,
+    private readonly fileAttachmentService: FileAttachmentService,
+    private readonly textChunkerService: TextChunkerService,
+    private readonly vectorIndexService: VectorIndexService,
+    private readonly configService: ConfigService,
+  ) {
+    this.topK = Number(this.configService.get('RAG_TOP_K', 4));
+    this.minScore = Number(this.configService.get('RAG_MIN_SCORE', 0.35));
+    this.maxFileSizeBytes = Number(this.configService.get('RAG_MAX_FILE_SIZE_MB', 20)) * 1024 * 1024;
+  }
+
+  /**
+   * Lista as bases do usuário com os seus documentos
+   */
+  async listKnowledgeBases(userId: string): Promise<KnowledgeBaseResponseDto[]> {
+    const knowledgeBases = await this.knowledgeBaseRepository.findByUserId(userId);
+    return knowledgeBases.map(knowledgeBase => this.mapKnowledgeBaseToDto(knowledgeBase, knowledgeBase.documents || []));
+  }
+
+  /**
+   * Obtém uma base do usuário com os seus documentos
+   */
+  async getKnowledgeBase(userId: string, knowledgeBaseId: string): Promise<KnowledgeBaseResponseDto> {
+    const knowledgeBase = await this.findOwnedKnowledgeBase(userId, knowledgeBaseId);
+    const documents = await this.documentRepository.findByKnowledgeBaseId(knowledgeBaseId);
+    return this.mapKnowledgeBaseToDto(knowledgeBase, documents);
+  }
+
+  /**
+   * Cria uma base de conhecimento vazia
+   */
+  async createKnowledgeBase(userId: string, createDto: CreateKnowledgeBaseDto): Promise<KnowledgeBaseResponseDto> {
+    const knowledgeBase = await this.knowledgeBaseRepository.create({
+      userId,
+      name: createDto.name.trim(),
+      description: createDto.description,
+      embeddingModel: createDto.embeddingModel?.trim() || this.ollamaService.getDefaultEmbeddingModel(),
+    });
+
+    return this.mapKnowledgeBaseToDto(knowledgeBase, []);
+  }
+
+  /**
+   * Atualiza nome e descrição de uma base
+   */
+  async updateKnowledgeBase(
+    userId: string,
+    knowledgeBaseId: string,
+    updateDto: UpdateKnowledgeBaseDto,
+  ): Promise<KnowledgeBaseResponseDto> {
+    await this.findOwnedKnowledgeBase(userId, knowledgeBaseId);
+
+    const updateData: Partial<KnowledgeBase> = {};
+    if (updateDto.name !== undefined) updateData.name = updateDto.name.trim();
+    if (updateDto.description !== undefined) updateData.description = updateDto.description;
+
+    const knowledgeBase = await this.knowledgeBaseRepository.update(knowledgeBaseId, updateData);
+    const documents = await this.documentRepository.findByKnowledgeBaseId(knowledgeBaseId);
+    return this.mapKnowledgeBaseToDto(knowledgeBase, documents);
+  }
+
+  /**
+   * Exclui uma base com os seus documentos e trechos
+   */
+  async deleteKnowledgeBase(userId: string, knowledgeBaseId: string): Promise<void> {
+    await this.findOwnedKnowledgeBase(userId, knowledgeBaseId);
+    await this.knowledgeBaseRepository.delete(knowledgeBaseId);
+    this.vectorIndexService.invalidate(knowledgeBaseId);
+  }
+
+  /**
+   * Recebe um documento e o indexa em segundo plano.
+   * O documento volta com status "processing"; o cliente acompanha até "ready" ou "error".
+   */
+  async addDocument(
+    userId: string,
+    knowledgeBaseId: string,
+    file: Express.Multer.File,
+  ): Promise<KnowledgeDocumentResponseDto> {
+    const knowledgeBase = await this.findOwnedKnowledgeBase(userId, knowledgeBaseId);
+
+    if (!file || !file.buffer) {
+      throw new BadRequestException('Nenhum arquivo enviado');
+    }
+
+    if (file.size > this.maxFileSizeBytes) {
+      throw new PayloadTooLargeException(`Arquivo excede o limite de ${Math.round(this.maxFileSizeBytes / 1024 / 1024)}MB`);
+    }
+
+    const originalName = path.basename(file.originalname || 'documento');
+    const extension = path.extname(originalName).toLowerCase();
+
+    if (!this.fileAttachmentService.isSupported(file.mimetype, extension)) {
+      throw new BadRequestException(`Tipo de arquivo não suportado: ${originalName}`);
+    }
+
+    const document = await this.documentRepository.create({
+      knowledgeBaseId,
+      originalName,
+      mimeType: file.mimetype,
+      size: file.size,
+      status: 'processing',
+    });
+
+    // Não aguarda: embeddings de documentos grandes podem levar minutos
+    this.indexDocument(knowledgeBase, document, file.buffer, extension).catch(error =>
+      this.logger.error(`Erro inesperado ao indexar ${originalName}: ${error.message}`),
+    );
+
+    return this.mapDocumentToDto(document);
+  }
+
+  /**
+   * Remove um documento e os seus trechos
+   */
+  async deleteDocument(userId: string, knowledgeBaseId: string, documentId: string): Promise<void> {
+    await this.findOwnedKnowledgeBase(userId, knowledgeBaseId);
+
+    const document = await this.documentRepository.findById(documentId);
+    if (!document || document.knowledgeBaseId !== knowledgeBaseId) {
+      throw new NotFoundException('Documento não encontrado');
+    }
+
+    await this.chunkRepository.deleteByDocumentId(documentId);
+    await this.documentRepository.delete(documentId);
+    this.vectorIndexService.invalidate(knowledgeBaseId);
+  }
+
+  /**
+   * Busca os trechos mais relevantes de uma base (para testar a base nas configurações)
+   */
+  async search(
+    userId: string,
+    knowledgeBaseId: string,
+    query: string,
+    options: { topK?: number; minScore?: number } = {},
+  ): Promise<KnowledgeSourceDto[]> {
+    await this.findOwnedKnowledgeBase(userId, knowledgeBaseId);
+    return await this.retrieveContext(userId, [knowledgeBaseId], query, options);
+  }
+
+  /**
+   * Verifica se as bases existem e pertencem ao usuário (usado ao salvar as configurações da sessão)
+   */
+  async assertKnowledgeBasesOwned(userId: string, knowledgeBaseIds: string[]): Promise<void> {
+    const uniqueIds = [...new Set(knowledgeBaseIds)];
+    const knowledgeBases = await this.knowledgeBaseRepository.findByIds(uniqueIds);
+    if (knowledgeBases.length !== uniqueIds.length || knowledgeBases.some(kb => !kb.isOwnedBy(userId))) {
+      throw new NotFoundException('Base de conhecimento não encontrada');
+    }
+  }
+
+  /**
+   * Recupera os trechos das bases mais parecidos com a consulta, numerados para citação.
+   * Bases excluídas ou de outros usuários são ignoradas.
+   */
+  async retrieveContext(
+    userId: string,
+    knowledgeBaseIds: string[],
+    query: string,
+    options: { topK?: number; minScore?: number; baseUrl?: string } = {},
+  ): Promise<KnowledgeSourceDto[]> {
+    if (!knowledgeBaseIds?.length || !query?.trim()) {
+      return [];
+    }
+
+    const topK = options.topK ?? this.topK;
+    const minScore = options.minScore ?? this.minScore;
+    const knowledgeBases = (await this.knowledgeBaseRepository.findByIds([...new Set(knowledgeBaseIds)]))
+      .filter(knowledgeBase => knowledgeBase.isOwnedBy(userId));
+
+    // A consulta é convertida uma vez por modelo de embeddings
+    const queryEmbeddings = new Map<string, number[]>();
+    const results: Omit<KnowledgeSourceDto, 'index'>[] = [];
+
+    for (const knowledgeBase of knowledgeBases) {
+      const index = await this.vectorIndexService.getIndex<IndexedChunk>(knowledgeBase.id, async () =>
+        (await this.chunkRepository.findByKnowledgeBaseId(knowledgeBase.id)).map(chunk => ({
+          embedding: chunk.embedding,
+          item: { documentId: chunk.documentId, content: chunk.content },
+        })),
+      );
+      if (!index.length) {
+        continue;
+      }
+
+      if (!queryEmbeddings.has(knowledgeBase.embeddingModel)) {
+        const [embedding] = await this.ollamaService.generateEmbeddings([query], {
+          model: knowledgeBase.embeddingModel,
+          baseUrl: options.baseUrl,
+        });
+        queryEmbeddings.set(knowledgeBase.embeddingModel, embedding);
+      }
+
+      const documents = new Map(
+        (await this.documentRepository.findByKnowledgeBaseId(knowledgeBase.id)).map(document => [document.id, document]),
+      );
+
+      for (const match of this.vectorIndexService.search(index, queryEmbeddings.get(knowledgeBase.embeddingModel), topK, minScore)) {
+        results.push({
+          knowledgeBaseId: knowledgeBase.id,
+          knowledgeBaseName: knowledgeBase.name,
+          documentId: match.item.documentId,
+          documentName: documents.get(match.item.documentId)?.originalName || 'Documento',
+          content: match.item.content,
+          score: Number(match.score.toFixed(4)),
+        });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map((result, position) => ({ index: position + 1, ...result }));
+  }
+
+  /**
+   * Extrai o texto, divide em trechos, gera os embeddings em lotes e salva os trechos
+   */
+  private async indexDocument(
+    knowledgeBase: KnowledgeBase,
+    document: KnowledgeDocument,
+    buffer: Buffer,
+    extension: string,
+  ): Promise<void> {
+    try {
+      const text = await this.fileAttachmentService.extractText(buffer, document.mimeType, extension);
+      const chunks = this.textChunkerService.split(text);
+
+      if (!chunks.length) {
+        throw new Error('Nenhum texto encontrado no documento');
+      }
+
+      const records: Partial<KnowledgeChunk>[] = [];
+      for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+        const embeddings = await this.ollamaService.generateEmbeddings(
+          batch.map(chunk => chunk.content),
+          { model: knowledgeBase.embeddingModel },
+        );
+
+        batch.forEach((chunk, i) => records.push({
+          knowledgeBaseId: knowledgeBase.id,
+          documentId: document.id,
+          position: chunk.position,
+          content: chunk.content,
+          embedding: embeddings[i],
+        }));
+      }
+
+      await this.chunkRepository.createMany(records);
+      await this.documentRepository.update(document.id, { status: 'ready', chunkCount: records.length, error: null });
+      this.vectorIndexService.invalidate(knowledgeBase.id);
+
+      this.logger.log(`📚 Documento indexado: ${document.originalName} (${records.length} trechos)`);
+    } catch (error) {
+      this.logger.warn(`Falha ao indexar ${document.originalName}: ${error.message}`);
+      // Remove trechos parciais e registra o erro para o usuário
+      await this.chunkRepository.deleteByDocumentId(document.id);
+      await this.documentRepository.update(document.id, { status: 'error', error: error.message });
+    }
+  }
+
+  private async findOwnedKnowledgeBase(userId: string, knowledgeBaseId: string): Promise<KnowledgeBase> {
+    const knowledgeBase = await this.knowledgeBaseRepository.findById(knowledgeBaseId);
+    if (!knowledgeBase || !knowledgeBase.isOwnedBy(userId)) {
+      throw new NotFoundException('Base de conhecimento não encontrada');
+    }
+    return knowledgeBase;
+  }
+
+  private mapKnowledgeBaseToDto(knowledgeBase: KnowledgeBase, documents: KnowledgeDocument[]): KnowledgeBaseResponseDto {
+    return {
+      id: knowledgeBase.id,
+      name: knowledgeBase.name,
+      description: knowledgeBase.description,
+      embeddingModel: knowledgeBase.embeddingModel,
+      documents: documents.map(document => this.mapDocumentToDto(document)),
+      createdAt: knowledgeBase.createdAt,
+      updatedAt: knowledgeBase.updatedAt,
+    };
+  }
+
+  private mapDocumentToDto(document: KnowledgeDocument): KnowledgeDocumentResponseDto {
+    return {
+      id: document.id,
+      knowledgeBaseId: document.knowledgeBaseId,
+      originalName: document.originalName,
+      mimeType: document.mimeType,
+      size: document.size,
+      status: document.status,
+      error: document.error,
+      chunkCount: document.chunkCount,
+      createdAt: document.createdAt,
+    };
+  }
+}
@@ -0,0 +1,180 @@
+import { BadGatewayException, BadRequestException, ForbiddenException } from '@nestjs/common';
+import { OpenAICompatUseCase } from './openai-compat.use-case';
+import { SystemSettingsUseCase } from './system-settings.use-case';
+import { ApiKey } from '../../domain/entities/api-key.entity';
+import { ChatCompletionRequestDto } from '../dto/openai.dto';
+
+describe('OpenAICompatUseCase', () => {
+  let useCase: OpenAICompatUseCase;
+  let ollamaService: Record<string, jest.Mock>;
+  let dynamicLLMService: Record<string, jest.Mock>;
+  let systemSettingsUseCase: Record<string, jest.Mock>;
+  let quotaUseCase: Record<string, jest.Mock>;
+  let apiKeyUseCase: { recordUsage: jest.Mock };
+  let releaseStream: jest.Mock;
+
+  const user = { id: 'u1', role: 'user' as const, quotaLimits: null };
+  const apiKey = Object.assign(new ApiKey(), { id: 'k1', scopes: ['chat', 'models'] });
+  const contextWindowService = { estimateTokens: (text: string) => Math.ceil(text.length / 4), estimateMessageTokens: () => 10 };
+
+  const request = (data: Partial<ChatCompletionRequestDto> = {}): ChatCompletionRequestDto => ({
+    model: 'llama3:8b',
+    messages: [{ role: 'user', content: 'Olá' }],
+    ...data,
+  });
+
+  // Corpo SSE como o Dynamic LLM envia
+  const sseStream = (events: any[]) => new ReadableStream({
+    start(controller) {
+      const body = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+      controller.enqueue(new TextEncoder().encode(body));
+      controller.close();
+    },
+  });
+
+  beforeEach(() => {
+    releaseStream = jest.fn();
+    ollamaService = {
+      getAvailableModels: jest.fn().mockResolvedValue(['llama3:8b', 'qwen2.5:7b']),
+      generateResponse: jest.fn().mockResolvedValue({ content: 'Oi!', tokens: 3 }),
+      generateResponseWithStreaming: jest.fn(async (_messages, _options, onToken) => {
+        onToken('Oi', 'Oi');
+        onToken('!', 'Oi!');
+        return { content: 'Oi!', tokens: 2 };
+      }),
+    };
+    dynamicLLMService = {
+      getModelInventory: jest.fn().mockResolvedValue({ models: [{ path: '/models/mistral.gguf', type: 'gguf' }] }),
+      chatCompletion: jest.fn().mockResolvedValue({
+        choices: [{ message: { role: 'assistant', content: 'Resposta' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 5 },
+      }),
+      chatCompletionStream: jest.fn(),
+    };
+    systemSettingsUseCase = {
+      getSettings: jest.fn().mockResolvedValue({ allowedModels: [] }),
+      assertModelAllowed: jest.fn(),
+    };
+    quotaUseCase = {
+      assertTokensAvailable: jest.fn(),
+      acquireStream: jest.fn().mockResolvedValue(releaseStream),
+      recordUsage: jest.fn(),
+    };
+    apiKeyUseCase = { recordUsage: jest.fn() };
+
+    useCase = new OpenAICompatUseCase(
+      ollamaService as any,
+      dynamicLLMService as any,
+      contextWindowService as any,
+      systemSettingsUseCase as unknown as SystemSettingsUseCase,
+      quotaUseCase as any,
+      apiKeyUseCase as any,
+    );
+  });
+
+  it('lists the Ollama and Dynamic LLM models allowed by the administrator', async () => {
+    systemSettingsUseCase.getSettings.mockResolvedValue({ allowedModels: ['llama3:8b', '/models/mistral.gguf'] });
+
+    const { data } = await useCase.listModels();
+
+    expect(data.map(model => [model.id, model.owned_by])).toEqual([
+      ['llama3:8b', 'ollama'],
+      ['dynamic:/models/mistral.gguf', 'dynamic-llm'],
+    ]);
+  });
+
+  it('still lists the Ollama models when the Dynamic LLM is down', async () => {
+    dynamicLLMService.getModelInventory.mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const { data } = await useCase.listModels();
+
+    expect(data.map(model => model.id)).toEqual(['llama3:8b', 'qwen2.5:7b']);
+  });
+
+  it('answers with Ollama and records the usage on the quota and the key', async () => {
+    const result = await useCase.createChatCompletion(user, apiKey, request({
+      messages: [
+        { role: 'developer', content: 'Seja breve' },
+        { role: 'user', content: [{ type: 'text', text: 'O que é isto?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,aGVsbG8=' } }] },
+      ],
+      temperature: 0.2,
+      max_tokens: 64,
+    }));
+
+    expect(systemSettingsUseCase.assertModelAllowed).toHaveBeenCalledWith('llama3:8b');
+    expect(ollamaService.generateResponse).toHaveBeenCalledWith(
+      [{ role: 'system', content: 'Seja breve' }, { role: 'user', content: 'O que é isto?', images: ['aGVsbG8='] }],
+      expect.objectContaining({ model: 'llama3:8b', temperature: 0.2, maxTokens: 64 }),
+    );
+    expect(result).toMatchObject({
+      model: 'llama3:8b',
+      content: 'Oi!',
+      finishReason: 'stop',
+      usage: { prompt_tokens: 20, completion_tokens: 3, total_tokens: 23 },
+    });
+    expect(quotaUseCase.recordUsage).toHaveBeenCalledWith('u1', { tokens: 3 });
+    expect(apiKeyUseCase.recordUsage).toHaveBeenCalledWith('k1', { promptTokens: 20, completionTokens: 3 });
+    expect(quotaUseCase.acquireStream).not.toHaveBeenCalled();
+  });
+
+  it('routes dynamic: models to the Dynamic LLM with the backend picked from the file', async () => {
+    const result = await useCase.createChatCompletion(user, apiKey, request({ model: 'dynamic:/models/mistral.gguf' }));
+
+    expect(systemSettingsUseCase.assertModelAllowed).toHaveBeenCalledWith('/models/mistral.gguf');
+    expect(dynamicLLMService.chatCompletion).toHaveBeenCalledWith(expect.objectContaining({
+      model: '/models/mistral.gguf',
+      backend: 'llamacpp',
+      messages: [{ role: 'user', content: 'Olá' }],
+    }));
+    expect(result.usage).toEqual({ prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 });
+    expect(result.model).toBe('dynamic:/models/mistral.gguf');
+  });
+
+  it('streams tokens holding one of the concurrent streams of the user', async () => {
+    const tokens: string[] = [];
+
+    const result = await useCase.createChatCompletion(user, apiKey, request({ max_tokens: 2 }), token => tokens.push(token));
+
+    expect(tokens).toEqual(['Oi', '!']);
+    expect(result.finishReason).toBe('length');
+    expect(quotaUseCase.acquireStream).toHaveBeenCalledWith(user);
+    expect(releaseStream).toHaveBeenCalled();
+  });
+
+  it('streams from the Dynamic LLM using the usage it reports', async () => {
+    dynamicLLMService.chatCompletionStream.mockResolvedValue(sseStream([
+      { choices: [{ delta: { content: 'Res' } }] },
+      { choices: [{ delta: { content: 'posta' } }] },
+      { choices: [], usage: { prompt_tokens: 9, completion_tokens: 2 } },
+    ]));
+    const tokens: string[] = [];
+
+    const result = await useCase.createChatCompletion(user, apiKey, request({ model: 'dynamic:meta-llama/Llama-3-8B' }), token => tokens.push(token));
+
+    expect(dynamicLLMService.chatCompletionStream).toHaveBeenCalledWith(
+      expect.objectContaining({ backend: 'vllm', stream_options: { include_usage: true } }),
+      undefined,
+    );
+    expect(tokens.join('')).toBe('Resposta');
+    expect(result.usage).toEqual({ prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 });
+  });
+
+  it('checks the model and the quota before calling the provider', async () => {
+    systemSettingsUseCase.assertModelAllowed.mockRejectedValue(new ForbiddenException('Modelo não liberado'));
+
+    await expect(useCase.createChatCompletion(user, apiKey, request())).rejects.toThrow(ForbiddenException);
+    expect(ollamaService.generateResponse).not.toHaveBeenCalled();
+  });
+
+  it('rejects remote image URLs and reports provider failures as 502', async () => {
+    const remoteImage = request({
+      messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }] }],
+    });
+    await expect(useCase.createChatCompletion(user, apiKey, remoteImage)).rejects.toThrow(BadRequestException);
+
+    ollamaService.generateResponseWithStreaming.mockRejectedValue(new Error('model not found'));
+    await expect(useCase.createChatCompletion(user, apiKey, request(), jest.fn())).rejects.toThrow(BadGatewayException);
+    expect(releaseStream).toHaveBeenCalled();
+    expect(apiKeyUseCase.recordUsage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,304 @@
+import { Injectable, BadRequestException, BadGatewayException, Logger } from '@nestjs/common';
+import * as crypto from 'crypto';
+
+import { OllamaService } from '../../infrastructure/services/ollama.service';
+import { DynamicLLMService } from '../../infrastructure/services/dynamic-llm.service';
+import { ContextWindowService } from '../../infrastructure/services/context-window.service';
+import { ApiKey } from '../../domain/entities/api-key.entity';
+import { User } from '../../domain/entities/user.entity';
+import { SystemSettingsUseCase } from './system-settings.use-case';
+import { QuotaUseCase } from './quota.use-case';
+import { ApiKeyUseCase } from './api-key.use-case';
+import { DynamicLLMBackend } from '../dto/chat.dto';
+import { ChatCompletionRequestDto, ChatCompletionMessageDto, ChatCompletionResult } from '../dto/openai.dto';
+
+/**
+ * Modelos do Dynamic LLM aparecem em /v1/models como "dynamic:<caminho do arquivo>";
+ * os demais nomes são modelos do Ollama
+ */
+export const DYNAMIC_MODEL_PREFIX = 'dynamic:';
+
+/**
+ * Dono da requisição como chega do ApiKeyGuard
+ */
+type CompletionSubject = Pick<User, 'id' | 'role' | 'quotaLimits'>;
+
+/**
+ * Mensagem no formato do Ollama (imagens em base64 sem o prefixo data:)
+ */
+interface ProviderMessage {
+  role: string;
+  content: string;
+  images?: string[];
+}
+
+/**
+ * Use Case da API compatível com OpenAI (/v1): lista de modelos e chat completions.
+ * Escolhe o provedor como o chat (Ollama por padrão, Dynamic LLM para os modelos "dynamic:"),
+ * respeita os modelos liberados e as cotas do dono da chave e registra o uso na chave.
+ * É uma API sem estado: nada é salvo no histórico de conversas.
+ */
+@Injectable()
+export class OpenAICompatUseCase {
+  private readonly logger = new Logger(OpenAICompatUseCase.name);
+
+  constructor(
+    private readonly ollamaService: OllamaService,
+    private readonly dynamicLLMService: DynamicLLMService,
+    private readonly contextWindowService: ContextWindowService,
+    private readonly systemSettingsUseCase: SystemSettingsUseCase,
+    private readonly quotaUseCase: QuotaUseCase,
+    private readonly apiKeyUseCase: ApiKeyUseCase,
+  ) {}
+
+  /**
+   * Modelos do Ollama e do Dynamic LLM liberados pelo administrador.
+   * Um provedor fora do ar só deixa de contribuir com a lista
+   */
+  async listModels(): Promise<{ object: 'list'; data: Array<{ id: string; object: 'model'; created: number; owned_by: string }> }> {
+    const [ollamaModels, inventory, { allowedModels }] = await Promise.all([
+      this.ollamaService.getAvailableModels(),
+      this.dynamicLLMService.getModelInventory().catch(() => ({ models: [] })),
+      this.systemSettingsUseCase.getSettings(),
+    ]);
+
+    const allowed = new Set(allowedModels.map(model => SystemSettingsUseCase.normalizeModelName(model)));
+    const isAllowed = (model: string) => allowed.size === 0 || allowed.has(SystemSettingsUseCase.normalizeModelName(model));
+    const created = Math.floor(Date.now() / 1000);
+
+    const data = [
+      ...ollamaModels
+        .filter(isAllowed)
+        .map(model => ({ id: model, object: 'model' as const, created, owned_by: 'ollama' })),
+      ...(inventory.models || [])
+        .map((model: any) => model.path)
+        .filter((path: string) => path && isAllowed(path))
+        .map((path: string) => ({ id: `${DYNAMIC_MODEL_PREFIX}${path}`, object: 'model' as const, created, owned_by: 'dynamic-llm' })),
+    ];
+
+    return { object: 'list', data };
+  }
+
+  /**
+   * Gera uma resposta. Com onToken a resposta é transmitida token a token (stream: true),
+   * ocupando uma das respostas simultâneas do usuário enquanto durar
+   */
+  async createChatCompletion(
+    user: CompletionSubject,
+    apiKey: ApiKey,
+    request: ChatCompletionRequestDto,
+    onToken?: (token: string) => void,
+    signal?: AbortSignal,
+  ): Promise<ChatCompletionResult> {
+    const isDynamic = request.model.startsWith(DYNAMIC_MODEL_PREFIX);
+    const model = isDynamic ? request.model.slice(DYNAMIC_MODEL_PREFIX.length) : request.model;
+    const maxTokens = request.max_completion_tokens ?? request.max_tokens;
+
+    await this.systemSettingsUseCase.assertModelAllowed(model);
+    await this.quotaUseCase.assertTokensAvailable(user);
+    const messages = request.messages.map(message => this.toProviderMessage(message));
+    const releaseStream = onToken ? await this.quotaUseCase.acquireStream(user) : undefined;
+
+    try {
+      const response = isDynamic
+        ? await this.generateWithDynamicLLM(model, messages, request, maxTokens, onToken, signal)
+        : await this.generateWithOllama(model, messages, request, maxTokens, onToken, signal);
+
+      const promptTokens = response.promptTokens
+        || messages.reduce((total, message) => total + this.contextWindowService.estimateMessageTokens(message), 0);
+      const completionTokens = response.completionTokens || this.contextWindowService.estimateTokens(response.content);
+
+      await this.quotaUseCase.recordUsage(user.id, { tokens: completionTokens });
+      await this.apiKeyUseCase.recordUsage(apiKey.id, { promptTokens, completionTokens });
+
+      return {
+        id: `chatcmpl-${crypto.randomBytes(12).toString('hex')}`,
+        created: Math.floor(Date.now() / 1000),
+        model: request.model,
+        content: response.content,
+        finishReason: maxTokens && completionTokens >= maxTokens ? 'length' : 'stop',
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    } finally {
+      releaseStream?.();
+    }
+  }
+
+  private async generateWithOllama(
+    model: string,
+    messages: ProviderMessage[],
+    request: ChatCompletionRequestDto,
+    maxTokens: number | undefined,
+    onToken?: (token: string) => void,
+    signal?: AbortSignal,
+  ): Promise<{ content: string; promptTokens?: number; completionTokens?: number }> {
+    const options = {
+      model,
+      temperature: request.temperature,
+      maxTokens,
+      topP: request.top_p,
+      frequencyPenalty: request.frequency_penalty,
+      presencePenalty: request.presence_penalty,
+      seed: request.seed,
+    };
+
+    try {
+      const response = onToken
+        ? await this.ollamaService.generateResponseWithStreaming(messages, options, token => onToken(token), signal)
+        : await this.ollamaService.generateResponse(messages, options);
+      return { content: response.content, completionTokens: response.tokens };
+    } catch (error) {
+      this.logger.error(`❌ Ollama completion failed for ${model}: ${error.message}`);
+      throw new BadGatewayException(`Falha ao gerar a resposta com o Ollama: ${error.message}`);
+    }
+  }
+
+  private async generateWithDynamicLLM(
+    model: string,
+    messages: ProviderMessage[],
+    request: ChatCompletionRequestDto,
+    maxTokens: number | undefined,
+    onToken?: (token: string) => void,
+    signal?: AbortSignal,
+  ): Promise<{ content: string; promptTokens?: number; completionTokens?: number }> {
+    const upstreamRequest = {
+      model,
+      backend: /\.gguf$/i.test(model) ? DynamicLLMBackend.LLAMACPP : DynamicLLMBackend.VLLM,
+      messages: messages.map(message => this.toOpenAIMessage(message)),
+      temperature: request.temperature ?? 0.7,
+      max_tokens: maxTokens ?? 2048,
+      ...(request.top_p !== undefined && { top_p: request.top_p }),
+      ...(request.presence_penalty !== undefined && { presence_penalty: request.presence_penalty }),
+      ...(request.frequency_penalty !== undefined && { frequency_penalty: request.frequency_penalty }),
+      ...(request.seed !== undefined && { seed: request.seed }),
+      ...(request.stop && { stop: request.stop }),
+    };
+
+    try {
+      if (!onToken) {
+        const completion = await this.dynamicLLMService.chatCompletion(upstreamRequest);
+        return {
+          content: completion.choices?.[0]?.message?.content || '',
+          promptTokens: completion.usage?.prompt_tokens,
+          completionTokens: completion.usage?.completion_tokens,
+        };
+      }
+
+      return await this.streamDynamicLLM({ ...upstreamRequest, stream_options: { include_usage: true } }, onToken, signal);
+    } catch (error) {
+      this.logger.error(`❌ Dynamic LLM completion failed for ${model}: ${error.message}`);
+      throw new BadGatewayException(`Falha ao gerar a resposta com o Dynamic LLM: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lê o SSE do Dynamic LLM repassando o texto; a contagem de tokens vem no último evento, quando o backend a envia
+   */
+  private async streamDynamicLLM(
+    upstreamRequest: any,
+    onToken: (token: string) => void,
+    signal?: AbortSignal,
+  ): Promise<{ content: string; promptTokens?: number; completionTokens?: number }> {
+    let content = '';
+    let buffer = '';
+    let usage: { prompt_tokens?: number; completion_tokens?: number } = {};
+
+    try {
+      const stream = await this.dynamicLLMService.chatCompletionStream(upstreamRequest, signal);
+      const reader = stream.getReader();
+      const decoder = new TextDecoder();
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.startsWith('data: ') || line.trim() === 'data: [DONE]') {
+            continue;
+          }
+          try {
+            const data = JSON.parse(line.slice(6));
+            const token = data.choices?.[0]?.delta?.content;
+            if (token) {
+              content += token;
+              onToken(token);
+            }
+            if (data.usage) {
+              usage = data.usage;
+            }
+          } catch {
+            // Ignore JSON parsing errors for incomplete chunks
+          }
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        throw error;
+      }
+      this.logger.log(`⏹️ Dynamic LLM streaming cancelled by API client (${content.length} chars)`);
+    }
+
+    return { content, promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens };
+  }
+
+  /**
+   * Converte uma mensagem da OpenAI para o formato do Ollama: partes de texto viram um só texto
+   * e imagens em data URL vão para images
+   */
+  private toProviderMessage(message: ChatCompletionMessageDto): ProviderMessage {
+    const role = message.role === 'developer' ? 'system' : message.role;
+    if (message.content === null) {
+      return { role, content: '' };
+    }
+    if (typeof message.content === 'string') {
+      return { role, content: message.content };
+    }
+    if (!Array.isArray(message.content)) {
+      throw new BadRequestException('content deve ser um texto ou uma lista de partes');
+    }
+
+    const texts: string[] = [];
+    const images: string[] = [];
+    for (const part of message.content) {
+      if (part?.type === 'text') {
+        texts.push(String(part.text ?? ''));
+      } else if (part?.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+        const match = /^data:image\/[\w.+-]+;base64,(.+)$/.exec(url || '');
+        if (!match) {
+          throw new BadRequestException('Só imagens enviadas como data URL (base64) são suportadas');
+        }
+        images.push(match[1]);
+      } else {
+        throw new BadRequestException(`Tipo de conteúdo não suportado: ${part?.type}`);
+      }
+    }
+
+    return { role, content: texts.join('\n'), ...(images.length > 0 && { images }) };
+  }
+
+  /**
+   * Volta ao formato da OpenAI para o Dynamic LLM (imagens como partes image_url)
+   */
+  private toOpenAIMessage(message: ProviderMessage): { role: string; content: any } {
+    if (!message.images?.length) {
+      return { role: message.role, content: message.content };
+    }
+
+    return {
+      role: message.role,
+      content: [
+        { type: 'text', text: message.content },
+        ...message.images.map(image => ({ type: 'image_url', image_url: { url: `data:image/jpeg;base64,${image}` } })),
+      ],
+    };
+  }
+}
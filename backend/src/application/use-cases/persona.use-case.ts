@@ -0,0 +1,205 @@
+import { Injectable, NotFoundException, ForbiddenException, Inject } from '@nestjs/common';
+
+import { IPersonaRepository } from '../../domain/repositories/persona.repository.interface';
+import { IUserRepository } from '../../domain/repositories/user.repository.interface';
+import { Persona } from '../../domain/entities/persona.entity';
+import { User } from '../../domain/entities/user.entity';
+import { PromptTemplateService } from '../../infrastructure/services/prompt-template.service';
+import { CreatePersonaDto, UpdatePersonaDto, PersonaResponseDto } from '../dto/persona.dto';
+
+/**
+ * Use Case para a biblioteca de personas (system prompts nomeados)
+ */
+@Injectable()
+export class PersonaUseCase {
+  constructor(
+    @Inject('IPersonaRepository')
+    private readonly personaRepository: IPersonaRepository,
+    @Inject('IUserRepository')
+    private readonly userRepository: IUserRepository,
+    private readonly promptTemplateService: PromptTemplateService,
+  ) {}
+
+  /**
+   * Lista as personas do usuário e as compartilhadas, com filtro opcional por tag e texto
+   */
+  async listPersonas(userId: string, filters: { tag?: string; search?: string } = {}): Promise<PersonaResponseDto[]> {
+    const tag = filters.tag?.trim().toLowerCase();
+    const search = filters.search?.trim().toLowerCase();
+
+    const personas = (await this.personaRepository.findVisibleToUser(userId)).filter(persona => {
+      if (tag && !(persona.tags || []).some(personaTag => personaTag.toLowerCase() === tag)) {
+        return false;
+      }
+      if (search) {
+        const text = [persona.name, persona.description, ...(persona.tags || [])].join(' ').toLowerCase();
+        return text.includes(search);
+      }
+      return true;
+    });
+
+    return personas.map(persona => this.mapPersonaToDto(persona, userId));
+  }
+
+  /**
+   * Obtém uma persona visível ao usuário
+   */
+  async getPersona(userId: string, personaId: string): Promise<PersonaResponseDto> {
+    const persona = await this.findVisiblePersona(userId, personaId);
+    return this.mapPersonaToDto(persona, userId);
+  }
+
+  /**
+   * Cria uma persona na biblioteca do usuário
+   */
+  async createPersona(userId: string, createPersonaDto: CreatePersonaDto): Promise<PersonaResponseDto> {
+    const persona = await this.personaRepository.create({
+      userId,
+      name: createPersonaDto.name.trim(),
+      description: createPersonaDto.description,
+      content: createPersonaDto.content,
+      tags: this.normalizeTags(createPersonaDto.tags),
+      variables: createPersonaDto.variables || {},
+      isShared: createPersonaDto.isShared ?? false,
+    });
+
+    return this.mapPersonaToDto(persona, userId);
+  }
+
+  /**
+   * Atualiza uma persona (somente o dono pode editar)
+   */
+  async updatePersona(userId: string, personaId: string, updatePersonaDto: UpdatePersonaDto): Promise<PersonaResponseDto> {
+    await this.findOwnedPersona(userId, personaId);
+
+    const updateData: Partial<Persona> = {};
+    if (updatePersonaDto.name !== undefined) updateData.name = updatePersonaDto.name.trim();
+    if (updatePersonaDto.description !== undefined) updateData.description = updatePersonaDto.description;
+    if (updatePersonaDto.content !== undefined) updateData.content = updatePersonaDto.content;
+    if (updatePersonaDto.tags !== undefined) updateData.tags = this.normalizeTags(updatePersonaDto.tags);
+    if (updatePersonaDto.variables !== undefined) updateData.variables = updatePersonaDto.variables;
+    if (updatePersonaDto.isShared !== undefined) updateData.isShared = updatePersonaDto.isShared;
+
+    const persona = await this.personaRepository.update(personaId, updateData);
+    return this.mapPersonaToDto(persona, userId);
+  }
+
+  /**
+   * Exclui uma persona (somente o dono pode excluir)
+   */
+  async deletePersona(userId: string, personaId: string): Promise<void> {
+    await this.findOwnedPersona(userId, personaId);
+    await this.personaRepository.delete(personaId);
+  }
+
+  /**
+   * Pré-visualiza o prompt da persona com as variáveis preenchidas
+   */
+  async renderPersona(
+    userId: string,
+    personaId: string,
+    variables?: Record<string, string>,
+  ): Promise<{ content: string; missingVariables: string[] }> {
+    const persona = await this.findVisiblePersona(userId, personaId);
+    const user = await this.userRepository.findById(userId);
+    const values = { ...persona.variables, ...variables };
+
+    return {
+      content: this.promptTemplateService.render(persona.content, { user, variables: values }),
+      missingVariables: this.promptTemplateService
+        .getCustomVariables(persona.content)
+        .filter(name => !values[name]),
+    };
+  }
+
+  /**
+   * System prompt de uma persona para o envio de mensagens.
+   * Retorna null quando a persona foi excluída ou deixou de ser compartilhada.
+   */
+  async renderSystemPrompt(
+    user: User | null,
+    personaId: string,
+    variables?: Record<string, string>,
+  ): Promise<string | null> {
+    const persona = await this.personaRepository.findById(personaId);
+    if (!persona || !user || !persona.isVisibleTo(user.id)) {
+      return null;
+    }
+
+    return this.promptTemplateService.render(persona.content, {
+      user,
+      variables: { ...persona.variables, ...variables },
+    });
+  }
+
+  /**
+   * Busca uma persona visível pelo nome (ignorando maiúsculas e acentos).
+   * As personas do próprio usuário têm prioridade sobre as compartilhadas.
+   */
+  async findPersonaByName(userId: string, name: string): Promise<PersonaResponseDto | null> {
+    const persona = this.pickByName(await this.personaRepository.findVisibleToUser(userId), userId, name);
+    return persona ? this.mapPersonaToDto(persona, userId) : null;
+  }
+
+  /**
+   * Substitui as referências {{persona:nome}} do texto pelo prompt das personas,
+   * usando os valores padrão de cada uma. Referências desconhecidas são removidas.
+   */
+  async resolvePersonaReferences(userId: string, text: string): Promise<string> {
+    if (!this.promptTemplateService.extractPersonaReferences(text).length) {
+      return text;
+    }
+
+    const personas = await this.personaRepository.findVisibleToUser(userId);
+    const user = await this.userRepository.findById(userId);
+
+    return this.promptTemplateService.replacePersonaReferences(text, name => {
+      const persona = this.pickByName(personas, userId, name);
+      return persona
+        ? this.promptTemplateService.render(persona.content, { user, variables: persona.variables })
+        : undefined;
+    });
+  }
+
+  private pickByName(personas: Persona[], userId: string, name: string): Persona | undefined {
+    const matches = personas.filter(persona => persona.matchesName(name));
+    return matches.find(persona => persona.isOwnedBy(userId)) || matches[0];
+  }
+
+  private async findVisiblePersona(userId: string, personaId: string): Promise<Persona> {
+    const persona = await this.personaRepository.findById(personaId);
+    if (!persona || !persona.isVisibleTo(userId)) {
+      throw new NotFoundException('Persona não encontrada');
+    }
+    return persona;
+  }
+
+  private async findOwnedPersona(userId: string, personaId: string): Promise<Persona> {
+    const persona = await this.findVisiblePersona(userId, personaId);
+    if (!persona.isOwnedBy(userId)) {
+      throw new ForbiddenException('Somente o autor pode alterar esta persona');
+    }
+    return persona;
+  }
+
+  private normalizeTags(tags?: string[]): string[] {
+    const normalized = (tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    return [...new Set(normalized)];
+  }
+
+  private mapPersonaToDto(persona: Persona, userId: string): PersonaResponseDto {
+    return {
+      id: persona.id,
+      name: persona.name,
+      description: persona.description,
+      content: persona.content,
+      tags: persona.tags || [],
+      variables: persona.variables || {},
+      customVariables: this.promptTemplateService.getCustomVariables(persona.content),
+      isShared: persona.isShared,
+      isOwner: persona.isOwnedBy(userId),
+      createdAt: persona.createdAt,
+      updatedAt: persona.updatedAt,
+    };
+  }
+}
@@ -0,0 +1,86 @@
+import { HttpStatus } from '@nestjs/common';
+import { QuotaUseCase, QuotaExceededException } from './quota.use-case';
+import { SystemSettingsUseCase } from './system-settings.use-case';
+import { User } from '../../domain/entities/user.entity';
+
+describe('QuotaUseCase', () => {
+  let useCase: QuotaUseCase;
+  let usage: { tokens: number; images: number } | null;
+  let dailyUsageRepository: { findByUserAndDay: jest.Mock; increment: jest.Mock };
+
+  const user = (data: Partial<User> = {}) => ({ id: 'u1', role: 'user' as const, quotaLimits: null, ...data });
+
+  beforeEach(() => {
+    usage = null;
+    dailyUsageRepository = {
+      findByUserAndDay: jest.fn(async () => usage),
+      increment: jest.fn(),
+    };
+    const systemSettingsUseCase = {
+      getSettings: jest.fn().mockResolvedValue({
+        quotas: {
+          user: { tokensPerDay: 1000, imagesPerDay: 3, concurrentStreams: 1 },
+          admin: { tokensPerDay: null, imagesPerDay: null, concurrentStreams: null },
+        },
+      }),
+    } as unknown as SystemSettingsUseCase;
+
+    useCase = new QuotaUseCase(dailyUsageRepository, systemSettingsUseCase);
+  });
+
+  it('applies the user overrides on top of the role limits', async () => {
+    await expect(useCase.getLimits(user({ quotaLimits: { imagesPerDay: 10 } }))).resolves.toEqual({
+      tokensPerDay: 1000,
+      imagesPerDay: 10,
+      concurrentStreams: 1,
+    });
+    await expect(useCase.getLimits(user({ role: 'admin' }))).resolves.toEqual({
+      tokensPerDay: null,
+      imagesPerDay: null,
+      concurrentStreams: null,
+    });
+  });
+
+  it('reports the usage of the day and what is left', async () => {
+    usage = { tokens: 400, images: 3 };
+
+    const status = await useCase.getStatus(user());
+
+    expect(status.usage).toEqual({ tokens: 400, images: 3, activeStreams: 0 });
+    expect(status.remaining).toEqual({ tokens: 600, images: 0, streams: 1 });
+    expect(status.resetsAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('answers 429 once the tokens or images of the day are used up', async () => {
+    usage = { tokens: 1000, images: 2 };
+
+    const tokensError = await useCase.assertTokensAvailable(user()).catch(error => error);
+    expect(tokensError).toBeInstanceOf(QuotaExceededException);
+    expect(tokensError.getStatus()).toBe(HttpStatus.TOO_MANY_REQUESTS);
+
+    await expect(useCase.assertImagesAvailable(user())).resolves.toBeUndefined();
+    await expect(useCase.assertImagesAvailable(user(), 2)).rejects.toThrow(QuotaExceededException);
+    await expect(useCase.assertTokensAvailable(user({ role: 'admin' }))).resolves.toBeUndefined();
+  });
+
+  it('limits concurrent streams until the running one is released', async () => {
+    const release = await useCase.acquireStream(user());
+    await expect(useCase.acquireStream(user())).rejects.toThrow(QuotaExceededException);
+
+    release();
+    release();
+
+    const next = await useCase.acquireStream(user());
+    await expect(useCase.acquireStream(user())).rejects.toThrow(QuotaExceededException);
+    next();
+    expect((await useCase.getStatus(user())).usage.activeStreams).toBe(0);
+  });
+
+  it('records rounded usage and skips empty answers', async () => {
+    await useCase.recordUsage('u1', { tokens: 12.6, images: 0 });
+    await useCase.recordUsage('u1', { tokens: 0 });
+
+    expect(dailyUsageRepository.increment).toHaveBeenCalledTimes(1);
+    expect(dailyUsageRepository.increment).toHaveBeenCalledWith('u1', expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/), { tokens: 13, images: 0 });
+  });
+});
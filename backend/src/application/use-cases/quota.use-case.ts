@@ -0,0 +1,176 @@
+import { Injectable, Inject, HttpException, HttpStatus, Logger } from '@nestjs/common';
+
+import { IDailyUsageRepository } from '../../domain/repositories/daily-usage.repository.interface';
+import { User } from '../../domain/entities/user.entity';
+import { SystemSettingsUseCase } from './system-settings.use-case';
+import { QuotaLimitsDto, QuotaStatusDto } from '../dto/quota.dto';
+
+/**
+ * Usuário como chega em request.user ou do repositório
+ */
+type QuotaSubject = Pick<User, 'id' | 'role' | 'quotaLimits'>;
+
+/**
+ * Cota esgotada: responde 429 (Too Many Requests)
+ */
+export class QuotaExceededException extends HttpException {
+  constructor(message: string) {
+    super({ statusCode: HttpStatus.TOO_MANY_REQUESTS, message, error: 'Too Many Requests' }, HttpStatus.TOO_MANY_REQUESTS);
+  }
+}
+
+/**
+ * Use Case das cotas: tokens e imagens por dia (UTC) e respostas simultâneas.
+ * Os limites vêm do papel (configurações globais) com as exceções definidas para o usuário.
+ * O uso diário fica no banco; as respostas simultâneas são contadas em memória,
+ * então com várias instâncias do backend o limite vale por instância.
+ */
+@Injectable()
+export class QuotaUseCase {
+  private readonly logger = new Logger(QuotaUseCase.name);
+  private readonly activeStreams = new Map<string, number>();
+
+  constructor(
+    @Inject('IDailyUsageRepository')
+    private readonly dailyUsageRepository: IDailyUsageRepository,
+    private readonly systemSettingsUseCase: SystemSettingsUseCase,
+  ) {}
+
+  /**
+   * Limites efetivos do usuário: os do papel, sobrescritos pelas exceções do usuário
+   */
+  async getLimits(user: QuotaSubject): Promise<QuotaLimitsDto> {
+    const { quotas } = await this.systemSettingsUseCase.getSettings();
+    const roleLimits = quotas[user.role] ?? quotas.user;
+    const overrides = user.quotaLimits ?? {};
+
+    return {
+      tokensPerDay: overrides.tokensPerDay ?? roleLimits.tokensPerDay ?? null,
+      imagesPerDay: overrides.imagesPerDay ?? roleLimits.imagesPerDay ?? null,
+      concurrentStreams: overrides.concurrentStreams ?? roleLimits.concurrentStreams ?? null,
+    };
+  }
+
+  /**
+   * Limites, uso de hoje e saldo do usuário
+   */
+  async getStatus(user: QuotaSubject): Promise<QuotaStatusDto> {
+    const [limits, usage] = await Promise.all([this.getLimits(user), this.getTodayUsage(user.id)]);
+    const activeStreams = this.activeStreams.get(user.id) ?? 0;
+
+    return {
+      limits,
+      usage: { ...usage, activeStreams },
+      remaining: {
+        tokens: this.remaining(limits.tokensPerDay, usage.tokens),
+        images: this.remaining(limits.imagesPerDay, usage.images),
+        streams: this.remaining(limits.concurrentStreams, activeStreams),
+      },
+      resetsAt: this.nextReset(),
+    };
+  }
+
+  /**
+   * Recusa novas mensagens quando os tokens do dia acabaram.
+   * O tamanho da resposta só é conhecido no fim, então a última resposta do dia pode passar do limite
+   */
+  async assertTokensAvailable(user: QuotaSubject): Promise<void> {
+    const { tokensPerDay } = await this.getLimits(user);
+    if (tokensPerDay === null) {
+      return;
+    }
+
+    const { tokens } = await this.getTodayUsage(user.id);
+    if (tokens >= tokensPerDay) {
+      throw new QuotaExceededException(
+        `Limite diário de ${tokensPerDay} tokens atingido. A cota é renovada em ${this.nextReset().toISOString()}`
+      );
+    }
+  }
+
+  /**
+   * Recusa a geração quando ela passaria do limite diário de imagens
+   */
+  async assertImagesAvailable(user: QuotaSubject, count: number = 1): Promise<void> {
+    const { imagesPerDay } = await this.getLimits(user);
+    if (imagesPerDay === null) {
+      return;
+    }
+
+    const { images } = await this.getTodayUsage(user.id);
+    if (images + count > imagesPerDay) {
+      const left = Math.max(imagesPerDay - images, 0);
+      throw new QuotaExceededException(
+        `Limite diário de ${imagesPerDay} imagens atingido (restam ${left}). A cota é renovada em ${this.nextReset().toISOString()}`
+      );
+    }
+  }
+
+  /**
+   * Ocupa uma das respostas simultâneas do usuário. Devolve a função que libera a vaga
+   * (pode ser chamada mais de uma vez)
+   */
+  async acquireStream(user: QuotaSubject): Promise<() => void> {
+    const { concurrentStreams } = await this.getLimits(user);
+    const active = this.activeStreams.get(user.id) ?? 0;
+
+    if (concurrentStreams !== null && active >= concurrentStreams) {
+      throw new QuotaExceededException(
+        `Limite de ${concurrentStreams} resposta(s) simultânea(s) atingido. Aguarde a resposta em andamento terminar`
+      );
+    }
+
+    this.activeStreams.set(user.id, active + 1);
+
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      const remaining = (this.activeStreams.get(user.id) ?? 1) - 1;
+      if (remaining > 0) {
+        this.activeStreams.set(user.id, remaining);
+      } else {
+        this.activeStreams.delete(user.id);
+      }
+    };
+  }
+
+  /**
+   * Soma tokens e imagens ao uso de hoje. Falhas só são registradas no log:
+   * a resposta já foi gerada e não deve se perder por causa da contagem
+   */
+  async recordUsage(userId: string, usage: { tokens?: number; images?: number }): Promise<void> {
+    const tokens = Math.max(Math.round(usage.tokens || 0), 0);
+    const images = Math.max(Math.round(usage.images || 0), 0);
+    if (!tokens && !images) {
+      return;
+    }
+
+    try {
+      await this.dailyUsageRepository.increment(userId, this.today(), { tokens, images });
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to record usage for user ${userId}: ${error.message}`);
+    }
+  }
+
+  private async getTodayUsage(userId: string): Promise<{ tokens: number; images: number }> {
+    const usage = await this.dailyUsageRepository.findByUserAndDay(userId, this.today());
+    return { tokens: usage?.tokens ?? 0, images: usage?.images ?? 0 };
+  }
+
+  private remaining(limit: number | null, used: number): number | null {
+    return limit === null ? null : Math.max(limit - used, 0);
+  }
+
+  private today(): string {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  private nextReset(): Date {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+}
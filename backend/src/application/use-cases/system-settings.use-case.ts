@@ -0,0 +1,122 @@
+import { Injectable, Inject, ForbiddenException, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+import { ISystemSettingRepository } from '../../domain/repositories/system-setting.repository.interface';
+import { SystemSettingsDto, UpdateSystemSettingsDto } from '../dto/admin.dto';
+import { ProviderType } from '../dto/chat.dto';
+import { QuotaLimitsDto } from '../dto/quota.dto';
+
+const UNLIMITED: QuotaLimitsDto = {
+  tokensPerDay: null,
+  imagesPerDay: null,
+  concurrentStreams: null,
+};
+
+const DEFAULT_SETTINGS: SystemSettingsDto = {
+  allowedModels: [],
+  defaultProvider: ProviderType.OLLAMA,
+  quotas: { user: UNLIMITED, admin: UNLIMITED },
+};
+
+/**
+ * Use Case das configurações globais (modelos liberados, provedor padrão, cotas por papel).
+ * Lidas a cada mensagem, por isso ficam em memória e só são recarregadas ao salvar.
+ */
+@Injectable()
+export class SystemSettingsUseCase {
+  private readonly logger = new Logger(SystemSettingsUseCase.name);
+  private readonly defaultModel: string;
+  private cachedSettings: SystemSettingsDto | null = null;
+
+  constructor(
+    @Inject('ISystemSettingRepository')
+    private readonly settingRepository: ISystemSettingRepository,
+    private readonly configService: ConfigService,
+  ) {
+    // Modelo que o OllamaService usa quando o pedido não informa nenhum
+    this.defaultModel = this.configService.get<string>('OLLAMA_DEFAULT_MODEL', 'llama2');
+  }
+
+  /**
+   * Configurações atuais, com os valores padrão para as chaves nunca salvas
+   */
+  async getSettings(): Promise<SystemSettingsDto> {
+    if (!this.cachedSettings) {
+      const stored = await this.settingRepository.findAll();
+      const settings = { ...DEFAULT_SETTINGS };
+      for (const setting of stored) {
+        if (setting.key in settings && setting.value !== null && setting.value !== undefined) {
+          settings[setting.key] = setting.value;
+        }
+      }
+      this.cachedSettings = settings;
+    }
+
+    const { allowedModels, quotas } = this.cachedSettings;
+    return {
+      ...this.cachedSettings,
+      allowedModels: [...allowedModels],
+      quotas: { user: { ...quotas.user }, admin: { ...quotas.admin } },
+    };
+  }
+
+  /**
+   * Atualiza as configurações informadas
+   */
+  async updateSettings(updateDto: UpdateSystemSettingsDto): Promise<SystemSettingsDto> {
+    if (updateDto.allowedModels !== undefined) {
+      const allowedModels = [...new Set(updateDto.allowedModels.map(model => model.trim()).filter(Boolean))];
+      await this.settingRepository.upsert('allowedModels', allowedModels);
+    }
+    if (updateDto.defaultProvider !== undefined) {
+      await this.settingRepository.upsert('defaultProvider', updateDto.defaultProvider);
+    }
+    if (updateDto.quotas !== undefined) {
+      await this.settingRepository.upsert('quotas', {
+        user: SystemSettingsUseCase.normalizeLimits(updateDto.quotas.user),
+        admin: SystemSettingsUseCase.normalizeLimits(updateDto.quotas.admin),
+      });
+    }
+
+    this.cachedSettings = null;
+    const settings = await this.getSettings();
+    this.logger.log(`⚙️ Configurações globais atualizadas (${settings.allowedModels.length || 'todos os'} modelos liberados, provedor padrão ${settings.defaultProvider})`);
+    return settings;
+  }
+
+  /**
+   * Recusa modelos fora da lista liberada pelo administrador (lista vazia libera todos).
+   * Sem modelo informado, confere o modelo padrão do Ollama, que é o que vai responder
+   */
+  async assertModelAllowed(model?: string): Promise<void> {
+    const { allowedModels } = await this.getSettings();
+    if (allowedModels.length === 0) {
+      return;
+    }
+
+    const effectiveModel = model?.trim() || this.defaultModel;
+    const normalized = SystemSettingsUseCase.normalizeModelName(effectiveModel);
+    if (!allowedModels.some(allowed => SystemSettingsUseCase.normalizeModelName(allowed) === normalized)) {
+      throw new ForbiddenException(`O modelo "${effectiveModel}" não está liberado pelo administrador`);
+    }
+  }
+
+  /**
+   * "llama3.2" e "llama3.2:latest" são o mesmo modelo no Ollama;
+   * modelos do Dynamic LLM são caminhos de arquivo e valem pelo nome
+   */
+  static normalizeModelName(model: string): string {
+    return model.trim().split(/[\\/]/).pop().replace(/:latest$/i, '').toLowerCase();
+  }
+
+  /**
+   * Guarda só os limites conhecidos; os não informados ficam sem limite
+   */
+  private static normalizeLimits(limits: QuotaLimitsDto): QuotaLimitsDto {
+    return {
+      tokensPerDay: limits.tokensPerDay ?? null,
+      imagesPerDay: limits.imagesPerDay ?? null,
+      concurrentStreams: limits.concurrentStreams ?? null,
+    };
+  }
+}
@@ -9,6 +9,8 @@ import {
 import { Message as WAMessage } from 'whatsapp-web.js';
 import { WhatsAppService } from '../../infrastructure/services/whatsapp.service';
 import { OllamaService } from '../../infrastructure/services/ollama.service';
+import { SpeechToTextService } from '../../infrastructure/services/speech-to-text.service';
+import { PersonaUseCase } from './persona.use-case';
 import { IWhatsAppSessionRepository } from '../../domain/repositories/whatsapp-session.repository.interface';
 import { IWhatsAppMessageRepository } from '../../domain/repositories/whatsapp-message.repository.interface';
 import { IWhatsAppConfigRepository } from '../../domain/repositories/whatsapp-config.repository.interface';
@@ -44,6 +46,8 @@ export class WhatsAppUseCase {
     private readonly configRepository: IWhatsAppConfigRepository,
     private readonly whatsappService: WhatsAppService,
     private readonly ollamaService: OllamaService,
+    private readonly speechToTextService: SpeechToTextService,
+    private readonly personaUseCase: PersonaUseCase,
   ) {}
 
   /**
@@ -298,8 +302,15 @@ export class WhatsAppUseCase {
       const contactNumber = contact.number || chatId.replace('@c.us', '');
       const contactName = contact.pushname || contact.name || 'Desconhecido';
 
+      // Áudios de voz são transcritos e seguem como mensagem de texto
+      const transcript = this.isTranscribableVoiceNote(waMessage, config) && config.isContactAllowed(contactNumber)
+        ? await this.transcribeVoiceNote(waMessage)
+        : null;
+      const messageText = transcript ?? waMessage.body;
+      const messageMetadata = transcript !== null ? { voiceNote: true, transcribed: true } : undefined;
+
       // Aplicar filtros de segurança
-      if (!this.shouldProcessMessage(waMessage, config, contactNumber)) {
+      if (!this.shouldProcessMessage(waMessage, config, contactNumber, messageText, transcript !== null)) {
         this.logger.log(`🚫 Mensagem filtrada de ${contactName}`);
         
         // Salvar como ignorada
@@ -307,9 +318,10 @@ export class WhatsAppUseCase {
           session.id,
           chatId,
           waMessage.id._serialized,
-          waMessage.body,
+          messageText,
           contactName
         );
+        ignoredMessage.metadata = messageMetadata;
         
         await this.messageRepository.create(ignoredMessage);
         
@@ -333,9 +345,10 @@ export class WhatsAppUseCase {
         session.id,
         chatId,
         waMessage.id._serialized,
-        waMessage.body,
+        messageText,
         contactName
       );
+      incomingMessageData.metadata = messageMetadata;
 
       const savedIncoming = await this.messageRepository.create(incomingMessageData);
 
@@ -348,7 +361,7 @@ export class WhatsAppUseCase {
 
       // Gerar resposta da IA
       const aiResponse = await this.generateAIResponse(
-        waMessage.body,
+        messageText,
         conversationHistory.reverse(), // Ordem cronológica
         config
       );
@@ -413,7 +426,11 @@ export class WhatsAppUseCase {
       const messages: Array<{ role: string; content: string }> = [];
       
       // Adicionar instruções de persona como mensagem de sistema (se houver)
-      const personaInstructions = config.getPersonaInstructions();
+      // As instruções personalizadas podem referenciar personas da biblioteca com {{persona:nome}}
+      const personaInstructions = await this.personaUseCase.resolvePersonaReferences(
+        config.userId,
+        config.getPersonaInstructions()
+      );
       if (personaInstructions) {
         messages.push({
           role: 'system',
@@ -468,21 +485,62 @@ export class WhatsAppUseCase {
     }
   }
 
+  /**
+   * Verifica se a mensagem é um áudio que pode ser transcrito
+   */
+  private isTranscribableVoiceNote(waMessage: WAMessage, config: WhatsAppConfig): boolean {
+    return (
+      config.transcribeVoiceNotes &&
+      this.speechToTextService.isEnabled() &&
+      waMessage.hasMedia &&
+      (waMessage.type === 'ptt' || waMessage.type === 'audio')
+    );
+  }
+
+  /**
+   * Baixa e transcreve um áudio de voz
+   * @returns Texto transcrito ou null se não foi possível transcrever
+   */
+  private async transcribeVoiceNote(waMessage: WAMessage): Promise<string | null> {
+    try {
+      const media = await waMessage.downloadMedia();
+      if (!media?.data) {
+        this.logger.warn(`🎙️ Áudio indisponível para download: ${waMessage.id._serialized}`);
+        return null;
+      }
+
+      const { text } = await this.speechToTextService.transcribe(Buffer.from(media.data, 'base64'), {
+        mimeType: media.mimetype,
+        filename: media.filename || undefined,
+      });
+
+      this.logger.log(`🎙️ Áudio transcrito (${text.length} caracteres): "${text.substring(0, 50)}..."`);
+      return text || null;
+    } catch (error) {
+      this.logger.error(`Erro ao transcrever áudio: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Verifica se deve processar a mensagem (filtros de segurança)
+   * @param messageText - Texto da mensagem (ou a transcrição, para áudios de voz)
+   * @param isTranscribed - Se a mensagem é um áudio já transcrito
    */
   private shouldProcessMessage(
     waMessage: WAMessage,
     config: WhatsAppConfig,
-    contactNumber: string
+    contactNumber: string,
+    messageText: string,
+    isTranscribed = false
   ): boolean {
     // Ignorar mensagens de grupos
     if (config.ignoreGroups && waMessage.from.includes('@g.us')) {
       return false;
     }
 
-    // Ignorar mensagens com mídia
-    if (config.ignoreMedia && waMessage.hasMedia) {
+    // Ignorar mensagens com mídia (áudios transcritos são tratados como texto)
+    if (config.ignoreMedia && waMessage.hasMedia && !isTranscribed) {
       return false;
     }
 
@@ -492,12 +550,12 @@ export class WhatsAppUseCase {
     }
 
     // Verificar palavras-chave bloqueadas
-    if (config.containsBlockedKeyword(waMessage.body)) {
+    if (config.containsBlockedKeyword(messageText)) {
       return false;
     }
 
     // Apenas processar mensagens de texto
-    if (waMessage.type !== 'chat') {
+    if (waMessage.type !== 'chat' && !isTranscribed) {
       return false;
     }
 
@@ -582,7 +640,7 @@ export class WhatsAppUseCase {
       contactName: message.senderName,
       contactNumber: message.chatId?.replace('@c.us', ''),
       direction: message.direction,
-      type: 'text',
+      type: message.metadata?.voiceNote ? 'audio' : 'text',
       content: message.content,
       status: 'sent',
       isAIGenerated: message.isAIGenerated,
@@ -616,6 +674,7 @@ export class WhatsAppUseCase {
       blockedKeywords: config.blockedKeywords,
       ignoreGroups: config.ignoreGroups,
       ignoreMedia: config.ignoreMedia,
+      transcribeVoiceNotes: config.transcribeVoiceNotes,
       maxMessagesPerHour: config.maxMessagesPerHour,
       maxMessagesPerChatPerHour: config.maxMessagesPerChatPerHour,
       defaultModel: config.defaultModel,
@@ -0,0 +1,78 @@
+import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, ManyToOne, JoinColumn, Index } from 'typeorm';
+import { User } from './user.entity';
+
+/**
+ * Permissões de uma chave de API
+ * - chat: POST /v1/chat/completions
+ * - models: GET /v1/models
+ */
+export const API_KEY_SCOPES = ['chat', 'models'] as const;
+export type ApiKeyScope = (typeof API_KEY_SCOPES)[number];
+
+/**
+ * Entidade ApiKey - Chave pessoal de API para scripts e plugins de IDE (API compatível com OpenAI).
+ * Só o hash da chave é salvo; a chave aparece uma única vez, na criação.
+ * Os contadores acumulam o uso feito com a chave.
+ */
+@Entity('api_keys')
+@Index(['userId', 'revokedAt'])
+export class ApiKey {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ length: 100 })
+  name: string;
+
+  // Início da chave (ex.: "xai_3f9a1c2b"), exibido para o usuário reconhecê-la
+  @Column({ length: 16 })
+  prefix: string;
+
+  // SHA-256 da chave
+  @Column({ length: 64, unique: true })
+  keyHash: string;
+
+  @Column({ type: 'json' })
+  scopes: ApiKeyScope[];
+
+  @Column({ type: 'int', default: 0 })
+  requestCount: number;
+
+  @Column({ type: 'int', default: 0 })
+  promptTokens: number;
+
+  @Column({ type: 'int', default: 0 })
+  completionTokens: number;
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastUsedAt?: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  expiresAt?: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  revokedAt?: Date;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  // Relacionamentos
+  @Column({ type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'userId' })
+  user: User;
+
+  // Métodos de negócio
+  isActive(now: Date = new Date()): boolean {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+  }
+
+  hasScope(scope: ApiKeyScope): boolean {
+    return this.scopes.includes(scope);
+  }
+
+  isOwnedBy(userId: string): boolean {
+    return this.userId === userId;
+  }
+}
@@ -0,0 +1,58 @@
+import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, ManyToOne, JoinColumn, Index } from 'typeorm';
+import { User } from './user.entity';
+
+/**
+ * Entidade AuthSession - Login de um usuário em um dispositivo.
+ * Guarda o hash do refresh token atual, que muda a cada renovação (rotação);
+ * o access token carrega o id da sessão, então revogá-la derruba o acesso na hora.
+ */
+@Entity('auth_sessions')
+@Index(['userId', 'revokedAt'])
+export class AuthSession {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  // SHA-256 do refresh token em uso (o token em si nunca é salvo)
+  @Column({ length: 64, unique: true })
+  refreshTokenHash: string;
+
+  // Hash do token anterior: se ele voltar a ser usado, o token vazou e a sessão é revogada
+  @Index()
+  @Column({ type: 'varchar', length: 64, nullable: true })
+  previousTokenHash?: string;
+
+  @Column({ type: 'varchar', length: 500, nullable: true })
+  userAgent?: string;
+
+  @Column({ type: 'varchar', length: 64, nullable: true })
+  ipAddress?: string;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @Column({ type: 'timestamp' })
+  lastUsedAt: Date;
+
+  @Column({ type: 'timestamp' })
+  expiresAt: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  revokedAt?: Date;
+
+  // Relacionamentos
+  @Column({ type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'userId' })
+  user: User;
+
+  // Métodos de negócio
+  isActive(now: Date = new Date()): boolean {
+    return !this.revokedAt && this.expiresAt > now;
+  }
+
+  isOwnedBy(userId: string): boolean {
+    return this.userId === userId;
+  }
+}
@@ -1,4 +1,4 @@
-import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, ManyToOne, JoinColumn } from 'typeorm';
+import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, ManyToOne, JoinColumn, Index } from 'typeorm';
 import { ChatSession } from './chat-session.entity';
 
 /**
@@ -9,6 +9,8 @@ export class ChatMessage {
   @PrimaryGeneratedColumn('uuid')
   id: string;
 
+  // Índice de texto completo (GIN no PostgreSQL, FTS5 no SQLite) criado pelo repositório
+  @Index('IDX_chat_messages_content_fts', { synchronize: false })
   @Column({ type: 'text' })
   content: string;
 
@@ -35,7 +37,7 @@ export class ChatMessage {
   }[];
 
   @Column({ type: 'varchar', length: 20, default: 'sent' })
-  status: 'sent' | 'delivered' | 'error' | 'processing';
+  status: 'sent' | 'delivered' | 'error' | 'processing' | 'cancelled';
 
   @Column({ type: 'text', nullable: true })
   error?: string;
@@ -57,6 +59,12 @@ export class ChatMessage {
   @JoinColumn({ name: 'chatSessionId' })
   chatSession: ChatSession;
 
+  // Mensagem anterior no mesmo ramo da conversa (null na primeira mensagem).
+  // Respostas regeneradas e perguntas editadas são irmãs da mensagem original.
+  @Index()
+  @Column({ type: 'uuid', nullable: true })
+  parentMessageId?: string | null;
+
   // Métodos de negócio
   isUserMessage(): boolean {
     return this.role === 'user';
@@ -86,6 +94,11 @@ export class ChatMessage {
     this.processedAt = new Date();
   }
 
+  markAsCancelled(): void {
+    this.status = 'cancelled';
+    this.processedAt = new Date();
+  }
+
   getWordCount(): number {
     return this.content.split(/\s+/).filter(word => word.length > 0).length;
   }
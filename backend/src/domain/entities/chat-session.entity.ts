@@ -2,6 +2,45 @@ import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateCol
 import { User } from './user.entity';
 import { ChatMessage } from './chat-message.entity';
 
+/**
+ * Resumo das mensagens antigas que não cabem mais na janela de contexto
+ */
+export interface ConversationSummary {
+  content: string;
+  /** createdAt da última mensagem incluída no resumo; mensagens até essa data saem do histórico */
+  summarizedUntil?: string;
+  summarizedMessageCount: number;
+  updatedAt: string;
+  editedByUser?: boolean;
+}
+
+/**
+ * Parâmetros de geração (mesmo formato do llmConfig do usuário)
+ */
+export type SessionLlmConfig = NonNullable<User['llmConfig']>;
+
+/**
+ * Modelo, parâmetros e system prompt próprios da sessão.
+ * São gravados na primeira resposta, a partir do que estava selecionado, e passam a valer
+ * para a conversa inteira; campos ausentes usam as configurações globais do usuário.
+ */
+export interface SessionSettings {
+  provider: 'ollama' | 'dynamic_llm';
+  model?: string;
+  /** Backend, device etc. do Dynamic LLM (o modelo fica em `model`) */
+  dynamicLLMConfig?: { backend: string; [key: string]: any };
+  systemPrompt?: string;
+  /** Persona da biblioteca usada no lugar do system prompt (renderizada a cada envio) */
+  personaId?: string;
+  /** Valores das variáveis personalizadas da persona nesta sessão */
+  personaVariables?: Record<string, string>;
+  /** Bases de conhecimento consultadas a cada pergunta (trechos citados na resposta) */
+  knowledgeBaseIds?: string[];
+  /** Permite que o modelo chame ferramentas (calculadora, busca, imagens); padrão em CHAT_TOOLS_ENABLED */
+  toolsEnabled?: boolean;
+  llmConfig?: SessionLlmConfig;
+}
+
 /**
  * Entidade ChatSession - Representa uma sessão de chat
  */
@@ -24,12 +63,18 @@ export class ChatSession {
     model?: string;
     temperature?: number;
     maxTokens?: number;
+    summary?: ConversationSummary;
+    settings?: SessionSettings;
     [key: string]: any;
   };
 
   @Column({ type: 'timestamp', nullable: true })
   lastActivityAt?: Date;
 
+  // Última mensagem do ramo exibido; o contexto enviado ao modelo segue apenas esse ramo
+  @Column({ type: 'uuid', nullable: true })
+  activeMessageId?: string | null;
+
   @CreateDateColumn()
   createdAt: Date;
 
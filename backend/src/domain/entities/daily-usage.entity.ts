@@ -0,0 +1,34 @@
+import { Column, Entity, PrimaryGeneratedColumn, UpdateDateColumn, ManyToOne, JoinColumn, Unique } from 'typeorm';
+import { User } from './user.entity';
+
+/**
+ * Entidade DailyUsage - Uso de um usuário em um dia (UTC), conferido contra as cotas.
+ * É um contador próprio: apagar conversas ou imagens não devolve a cota do dia.
+ */
+@Entity('daily_usage')
+@Unique(['userId', 'day'])
+export class DailyUsage {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  // Dia no formato YYYY-MM-DD (UTC)
+  @Column({ length: 10 })
+  day: string;
+
+  @Column({ type: 'int', default: 0 })
+  tokens: number;
+
+  @Column({ type: 'int', default: 0 })
+  images: number;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+
+  // Relacionamentos
+  @Column({ type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'userId' })
+  user: User;
+}
@@ -0,0 +1,71 @@
+import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, ManyToOne, JoinColumn, Index } from 'typeorm';
+import { User } from './user.entity';
+import { ChatMessage } from './chat-message.entity';
+
+/**
+ * Entidade GeneratedImage - Imagem do Stable Diffusion na galeria do usuário.
+ * O arquivo fica em public/images; a linha guarda o dono, a mensagem onde a imagem
+ * foi anexada e o que o usuário marcou (favorita, tags).
+ */
+@Entity('generated_images')
+@Index(['userId', 'createdAt'])
+export class GeneratedImage {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  // Nome do arquivo em public/images (sd_<timestamp>_<aleatório>.png)
+  @Column({ length: 255, unique: true })
+  filename: string;
+
+  @Column({ type: 'text', nullable: true })
+  prompt?: string;
+
+  @Column({ type: 'text', nullable: true })
+  negativePrompt?: string;
+
+  @Column({ type: 'json', nullable: true })
+  tags?: string[];
+
+  // Favoritas nunca são removidas pela retenção
+  @Column({ default: false })
+  isFavorite: boolean;
+
+  // Parâmetros da geração (modelo, seed, modo...)
+  @Column({ type: 'json', nullable: true })
+  metadata?: Record<string, any>;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+
+  // Relacionamentos
+  @Column({ type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'userId' })
+  user: User;
+
+  // Mensagem em que a imagem foi anexada (nula se a mensagem foi excluída)
+  @Column({ type: 'uuid', nullable: true })
+  messageId?: string;
+
+  @ManyToOne(() => ChatMessage, { onDelete: 'SET NULL', nullable: true })
+  @JoinColumn({ name: 'messageId' })
+  message?: ChatMessage;
+
+  // Métodos de negócio
+  isOwnedBy(userId: string): boolean {
+    return this.userId === userId;
+  }
+
+  getUrl(): string {
+    return GeneratedImage.urlFor(this.filename);
+  }
+
+  static urlFor(filename: string): string {
+    return `/api/v1/stable-diffusion/images/${filename}`;
+  }
+}
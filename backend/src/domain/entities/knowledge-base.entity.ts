@@ -0,0 +1,44 @@
+import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, ManyToOne, OneToMany, JoinColumn } from 'typeorm';
+import { User } from './user.entity';
+import { KnowledgeDocument } from './knowledge-document.entity';
+
+/**
+ * Entidade KnowledgeBase - Conjunto de documentos do usuário consultados pelo chat (RAG)
+ */
+@Entity('knowledge_bases')
+export class KnowledgeBase {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ length: 100 })
+  name: string;
+
+  @Column({ type: 'text', nullable: true })
+  description?: string;
+
+  // Modelo do Ollama usado nos documentos e nas buscas (vetores de modelos diferentes não são comparáveis)
+  @Column({ length: 200 })
+  embeddingModel: string;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+
+  // Relacionamentos
+  @Column({ type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'userId' })
+  user: User;
+
+  @OneToMany(() => KnowledgeDocument, document => document.knowledgeBase)
+  documents: KnowledgeDocument[];
+
+  // Métodos de negócio
+  isOwnedBy(userId: string): boolean {
+    return this.userId === userId;
+  }
+}
@@ -0,0 +1,35 @@
+import { Column, Entity, PrimaryGeneratedColumn, ManyToOne, JoinColumn, Index } from 'typeorm';
+import { KnowledgeDocument } from './knowledge-document.entity';
+
+/**
+ * Entidade KnowledgeChunk - Trecho de um documento com o seu embedding.
+ * Os vetores ficam em JSON e a busca por similaridade é feita em memória
+ * (funciona igual no SQLite e no PostgreSQL, sem depender do pgvector).
+ */
+@Entity('knowledge_chunks')
+export class KnowledgeChunk {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  // Ordem do trecho no documento
+  @Column({ type: 'integer' })
+  position: number;
+
+  @Column({ type: 'text' })
+  content: string;
+
+  @Column({ type: 'json' })
+  embedding: number[];
+
+  // Relacionamentos
+  @Index()
+  @Column({ type: 'uuid' })
+  knowledgeBaseId: string;
+
+  @Column({ type: 'uuid' })
+  documentId: string;
+
+  @ManyToOne(() => KnowledgeDocument, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'documentId' })
+  document: KnowledgeDocument;
+}
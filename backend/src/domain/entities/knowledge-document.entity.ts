@@ -0,0 +1,46 @@
+import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, ManyToOne, JoinColumn } from 'typeorm';
+import { KnowledgeBase } from './knowledge-base.entity';
+
+export type KnowledgeDocumentStatus = 'processing' | 'ready' | 'error';
+
+/**
+ * Entidade KnowledgeDocument - Documento enviado a uma base de conhecimento.
+ * O texto é dividido em trechos (KnowledgeChunk) com embeddings; o arquivo original não é guardado.
+ */
+@Entity('knowledge_documents')
+export class KnowledgeDocument {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ length: 255 })
+  originalName: string;
+
+  @Column({ type: 'varchar', length: 100, nullable: true })
+  mimeType?: string;
+
+  @Column({ type: 'integer', default: 0 })
+  size: number;
+
+  @Column({ type: 'varchar', length: 20, default: 'processing' })
+  status: KnowledgeDocumentStatus;
+
+  @Column({ type: 'text', nullable: true })
+  error?: string | null;
+
+  @Column({ type: 'integer', default: 0 })
+  chunkCount: number;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+
+  // Relacionamentos
+  @Column({ type: 'uuid' })
+  knowledgeBaseId: string;
+
+  @ManyToOne(() => KnowledgeBase, knowledgeBase => knowledgeBase.documents, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'knowledgeBaseId' })
+  knowledgeBase: KnowledgeBase;
+}
@@ -0,0 +1,72 @@
+import { Column, Entity, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, ManyToOne, JoinColumn } from 'typeorm';
+import { User } from './user.entity';
+
+/**
+ * Entidade Persona - System prompt nomeado e reutilizável da biblioteca do usuário.
+ * O conteúdo aceita {{variáveis}} preenchidas no momento do envio.
+ */
+@Entity('personas')
+export class Persona {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ length: 100 })
+  name: string;
+
+  @Column({ type: 'text', nullable: true })
+  description?: string;
+
+  @Column({ type: 'text' })
+  content: string;
+
+  @Column({ type: 'json', nullable: true })
+  tags?: string[];
+
+  // Valores padrão das variáveis personalizadas (ex: { empresa: 'XandAI' })
+  @Column({ type: 'json', nullable: true })
+  variables?: Record<string, string>;
+
+  // Personas compartilhadas aparecem (somente leitura) para todos os usuários
+  @Column({ default: false })
+  isShared: boolean;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+
+  // Relacionamentos
+  @Column({ type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'userId' })
+  user: User;
+
+  // Métodos de negócio
+  isOwnedBy(userId: string): boolean {
+    return this.userId === userId;
+  }
+
+  isVisibleTo(userId: string): boolean {
+    return this.isOwnedBy(userId) || this.isShared;
+  }
+
+  /**
+   * Compara com o nome digitado em comandos e referências ({{persona:nome}}, /persona nome),
+   * ignorando maiúsculas, acentos e espaços extras
+   */
+  matchesName(name: string): boolean {
+    return Persona.normalizeName(this.name) === Persona.normalizeName(name);
+  }
+
+  static normalizeName(name: string): string {
+    return (name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_-]+/g, '-');
+  }
+}
@@ -0,0 +1,17 @@
+import { Column, Entity, PrimaryColumn, UpdateDateColumn } from 'typeorm';
+
+/**
+ * Entidade SystemSetting - Configuração global definida pelo administrador
+ * (ex: modelos liberados, provedor padrão), guardada como chave/valor
+ */
+@Entity('system_settings')
+export class SystemSetting {
+  @PrimaryColumn({ length: 100 })
+  key: string;
+
+  @Column({ type: 'json', nullable: true })
+  value: any;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
@@ -21,6 +21,10 @@ export class User {
   @Column({ length: 255 })
   password: string;
 
+  // Identificador (sub) do usuário no provedor OIDC; preenchido no primeiro login por SSO
+  @Column({ type: 'varchar', length: 255, unique: true, nullable: true })
+  oidcSubject?: string | null;
+
   @Column({ default: true })
   isActive: boolean;
 
@@ -51,6 +55,14 @@ export class User {
     seed?: number;                 // For reproducibility
   };
 
+  // Exceções aos limites diários do papel (ver QuotaUseCase); null segue o papel
+  @Column({ type: 'json', nullable: true })
+  quotaLimits?: {
+    tokensPerDay?: number;
+    imagesPerDay?: number;
+    concurrentStreams?: number;
+  } | null;
+
   @Column({ type: 'timestamp', nullable: true })
   lastLoginAt?: Date;
 
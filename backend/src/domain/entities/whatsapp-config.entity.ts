@@ -69,6 +69,9 @@ export class WhatsAppConfig {
   @Column({ type: 'boolean', default: true })
   ignoreMedia: boolean; // Ignorar mensagens com mídia (v1)
 
+  @Column({ type: 'boolean', default: true })
+  transcribeVoiceNotes: boolean; // Transcrever áudios de voz e responder ao texto (requer STT_ENABLED)
+
   // Rate Limiting
   @Column({ type: 'integer', default: 30 })
   maxMessagesPerHour: number;
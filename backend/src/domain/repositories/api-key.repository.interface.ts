@@ -0,0 +1,17 @@
+import { ApiKey } from '../entities/api-key.entity';
+
+/**
+ * Interface do repositório de chaves de API
+ */
+export interface IApiKeyRepository {
+  findById(id: string): Promise<ApiKey | null>;
+  findByKeyHash(keyHash: string): Promise<ApiKey | null>;
+  create(apiKeyData: Partial<ApiKey>): Promise<ApiKey>;
+  update(id: string, apiKeyData: Partial<ApiKey>): Promise<ApiKey>;
+
+  // Chaves não revogadas do usuário, mais recentes primeiro (inclui as expiradas)
+  findByUser(userId: string): Promise<ApiKey[]>;
+
+  // Soma uma requisição e os tokens ao uso da chave e atualiza lastUsedAt
+  recordUsage(id: string, usage: { promptTokens: number; completionTokens: number }): Promise<void>;
+}
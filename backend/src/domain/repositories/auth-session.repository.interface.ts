@@ -0,0 +1,20 @@
+import { AuthSession } from '../entities/auth-session.entity';
+
+/**
+ * Interface do repositório de sessões de login
+ */
+export interface IAuthSessionRepository {
+  findById(id: string): Promise<AuthSession | null>;
+  findByTokenHash(tokenHash: string): Promise<AuthSession | null>;
+  create(sessionData: Partial<AuthSession>): Promise<AuthSession>;
+  update(id: string, sessionData: Partial<AuthSession>): Promise<AuthSession>;
+
+  // Sessões não revogadas e não expiradas, usadas mais recentemente primeiro
+  findActiveByUser(userId: string): Promise<AuthSession[]>;
+
+  // Revoga todas as sessões ativas do usuário, menos exceptId; retorna quantas foram revogadas
+  revokeAllByUser(userId: string, exceptId?: string): Promise<number>;
+
+  // Remove sessões expiradas ou revogadas antes de olderThan
+  deleteStale(olderThan: Date): Promise<number>;
+}
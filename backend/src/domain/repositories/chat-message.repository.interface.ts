@@ -1,5 +1,45 @@
 import { ChatMessage } from '../entities/chat-message.entity';
 
+/**
+ * Filtros da busca de texto completo nas mensagens de um usuário
+ */
+export interface MessageSearchOptions {
+  query: string;
+  sessionId?: string;
+  role?: 'user' | 'assistant';
+  /** Modelo da resposta (ou da sessão, para mensagens sem modelo próprio) */
+  model?: string;
+  dateFrom?: Date;
+  dateTo?: Date;
+  limit: number;
+  offset: number;
+}
+
+/**
+ * Mensagem encontrada pela busca, com trecho destacado (<mark>...</mark>)
+ */
+export interface MessageSearchHit {
+  messageId: string;
+  sessionId: string;
+  sessionTitle?: string;
+  role: 'user' | 'assistant' | 'system';
+  model?: string;
+  snippet: string;
+  rank: number;
+  createdAt: Date;
+}
+
+/**
+ * Uso de chat de um usuário (painel do administrador)
+ */
+export interface UserMessageUsage {
+  userId: string;
+  /** Mensagens enviadas pelo usuário */
+  messageCount: number;
+  /** Soma dos tokens gerados nas respostas */
+  tokens: number;
+}
+
 /**
  * Interface do repositório de mensagens de chat
  */
@@ -13,16 +53,22 @@ export interface IChatMessageRepository {
   // Operações específicas
   findBySessionId(sessionId: string, page?: number, limit?: number): Promise<{ messages: ChatMessage[]; total: number }>;
   findLastBySessionId(sessionId: string): Promise<ChatMessage | null>;
+  findAllBySessionId(sessionId: string): Promise<ChatMessage[]>;
   findRecentByUserId(userId: string, limit?: number): Promise<ChatMessage[]>;
   findByRole(sessionId: string, role: 'user' | 'assistant' | 'system'): Promise<ChatMessage[]>;
   
   // Operações de busca
   searchInSession(sessionId: string, query: string): Promise<ChatMessage[]>;
+  searchByUser(userId: string, options: MessageSearchOptions): Promise<{ hits: MessageSearchHit[]; total: number }>;
   findByDateRange(sessionId: string, startDate: Date, endDate: Date): Promise<ChatMessage[]>;
   
+  // Arquivos de imagem ainda usados em anexos de mensagens (protegidos da limpeza de imagens)
+  findImageAttachmentFilenames(): Promise<string[]>;
+  
   // Estatísticas
   countBySessionId(sessionId: string): Promise<number>;
   countByRole(sessionId: string, role: 'user' | 'assistant' | 'system'): Promise<number>;
+  getUsageByUsers(userIds: string[]): Promise<UserMessageUsage[]>;
   
   // Operações em lote
   createMany(messagesData: Partial<ChatMessage>[]): Promise<ChatMessage[]>;
@@ -0,0 +1,11 @@
+import { DailyUsage } from '../entities/daily-usage.entity';
+
+/**
+ * Interface do repositório de uso diário
+ */
+export interface IDailyUsageRepository {
+  findByUserAndDay(userId: string, day: string): Promise<DailyUsage | null>;
+
+  // Soma ao uso do dia, criando o registro se for o primeiro uso
+  increment(userId: string, day: string, amounts: { tokens?: number; images?: number }): Promise<void>;
+}
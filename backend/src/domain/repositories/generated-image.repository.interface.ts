@@ -0,0 +1,31 @@
+import { GeneratedImage } from '../entities/generated-image.entity';
+
+/**
+ * Filtros da galeria de imagens de um usuário
+ */
+export interface GeneratedImageSearchOptions {
+  /** Texto contido no prompt */
+  search?: string;
+  tag?: string;
+  favoritesOnly?: boolean;
+  limit: number;
+  offset: number;
+}
+
+/**
+ * Interface do repositório de imagens geradas
+ */
+export interface IGeneratedImageRepository {
+  findById(id: string): Promise<GeneratedImage | null>;
+  findByFilename(filename: string): Promise<GeneratedImage | null>;
+  findByFilenames(filenames: string[]): Promise<GeneratedImage[]>;
+  create(imageData: Partial<GeneratedImage>): Promise<GeneratedImage>;
+  update(id: string, imageData: Partial<GeneratedImage>): Promise<GeneratedImage>;
+  delete(id: string): Promise<void>;
+
+  // Galeria do usuário, mais recentes primeiro (com a mensagem carregada, para abrir a conversa)
+  findByUser(userId: string, options: GeneratedImageSearchOptions): Promise<{ images: GeneratedImage[]; total: number }>;
+
+  // Quantidade de imagens na galeria de cada usuário (painel do administrador)
+  countByUsers(userIds: string[]): Promise<{ userId: string; count: number }[]>;
+}
@@ -0,0 +1,35 @@
+import { KnowledgeBase } from '../entities/knowledge-base.entity';
+import { KnowledgeDocument } from '../entities/knowledge-document.entity';
+import { KnowledgeChunk } from '../entities/knowledge-chunk.entity';
+
+/**
+ * Interface do repositório de bases de conhecimento
+ */
+export interface IKnowledgeBaseRepository {
+  findById(id: string): Promise<KnowledgeBase | null>;
+  findByIds(ids: string[]): Promise<KnowledgeBase[]>;
+  findByUserId(userId: string): Promise<KnowledgeBase[]>;
+  create(knowledgeBaseData: Partial<KnowledgeBase>): Promise<KnowledgeBase>;
+  update(id: string, knowledgeBaseData: Partial<KnowledgeBase>): Promise<KnowledgeBase>;
+  delete(id: string): Promise<void>;
+}
+
+/**
+ * Interface do repositório de documentos das bases de conhecimento
+ */
+export interface IKnowledgeDocumentRepository {
+  findById(id: string): Promise<KnowledgeDocument | null>;
+  findByKnowledgeBaseId(knowledgeBaseId: string): Promise<KnowledgeDocument[]>;
+  create(documentData: Partial<KnowledgeDocument>): Promise<KnowledgeDocument>;
+  update(id: string, documentData: Partial<KnowledgeDocument>): Promise<KnowledgeDocument>;
+  delete(id: string): Promise<void>;
+}
+
+/**
+ * Interface do repositório de trechos (com embeddings) dos documentos
+ */
+export interface IKnowledgeChunkRepository {
+  createMany(chunks: Partial<KnowledgeChunk>[]): Promise<void>;
+  findByKnowledgeBaseId(knowledgeBaseId: string): Promise<KnowledgeChunk[]>;
+  deleteByDocumentId(documentId: string): Promise<void>;
+}
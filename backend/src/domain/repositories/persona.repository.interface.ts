@@ -0,0 +1,14 @@
+import { Persona } from '../entities/persona.entity';
+
+/**
+ * Interface do repositório de personas
+ */
+export interface IPersonaRepository {
+  findById(id: string): Promise<Persona | null>;
+  create(personaData: Partial<Persona>): Promise<Persona>;
+  update(id: string, personaData: Partial<Persona>): Promise<Persona>;
+  delete(id: string): Promise<void>;
+
+  // Personas do usuário e as compartilhadas por outros usuários
+  findVisibleToUser(userId: string): Promise<Persona[]>;
+}
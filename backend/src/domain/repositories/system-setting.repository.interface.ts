@@ -0,0 +1,11 @@
+import { SystemSetting } from '../entities/system-setting.entity';
+
+/**
+ * Interface do repositório de configurações globais
+ */
+export interface ISystemSettingRepository {
+  findAll(): Promise<SystemSetting[]>;
+
+  // Cria ou substitui o valor de uma chave
+  upsert(key: string, value: any): Promise<void>;
+}
@@ -7,6 +7,7 @@ export interface IUserRepository {
   // Operações CRUD básicas
   findById(id: string): Promise<User | null>;
   findByEmail(email: string): Promise<User | null>;
+  findByOidcSubject(subject: string): Promise<User | null>;
   create(userData: Partial<User>): Promise<User>;
   update(id: string, userData: Partial<User>): Promise<User>;
   delete(id: string): Promise<void>;
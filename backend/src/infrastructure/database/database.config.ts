@@ -6,6 +6,15 @@ import { ChatMessage } from '@domain/entities/chat-message.entity';
 import { WhatsAppSession } from '@domain/entities/whatsapp-session.entity';
 import { WhatsAppMessage } from '@domain/entities/whatsapp-message.entity';
 import { WhatsAppConfig } from '@domain/entities/whatsapp-config.entity';
+import { Persona } from '@domain/entities/persona.entity';
+import { KnowledgeBase } from '@domain/entities/knowledge-base.entity';
+import { KnowledgeDocument } from '@domain/entities/knowledge-document.entity';
+import { KnowledgeChunk } from '@domain/entities/knowledge-chunk.entity';
+import { GeneratedImage } from '@domain/entities/generated-image.entity';
+import { AuthSession } from '@domain/entities/auth-session.entity';
+import { SystemSetting } from '@domain/entities/system-setting.entity';
+import { DailyUsage } from '@domain/entities/daily-usage.entity';
+import { ApiKey } from '@domain/entities/api-key.entity';
 
 /**
  * Configuração do banco de dados
@@ -22,7 +31,7 @@ export const getDatabaseConfig = (configService: ConfigService): TypeOrmModuleOp
       username: configService.get('DB_USERNAME', 'postgres'),
       password: configService.get('DB_PASSWORD', 'password'),
       database: configService.get('DB_NAME', 'xandai'),
-      entities: [User, ChatSession, ChatMessage, WhatsAppSession, WhatsAppMessage, WhatsAppConfig],
+      entities: [User, ChatSession, ChatMessage, WhatsAppSession, WhatsAppMessage, WhatsAppConfig, Persona, KnowledgeBase, KnowledgeDocument, KnowledgeChunk, GeneratedImage, AuthSession, SystemSetting, DailyUsage, ApiKey],
       synchronize: true, // Auto-create tables from entities
       logging: configService.get('DB_LOGGING', 'false') === 'true',
       ssl: configService.get('DB_SSL', 'false') === 'true' ? {
@@ -37,7 +46,7 @@ export const getDatabaseConfig = (configService: ConfigService): TypeOrmModuleOp
     return {
       type: 'sqlite',
       database: configService.get('DB_PATH', 'data/xandai.sqlite'),
-      entities: [User, ChatSession, ChatMessage, WhatsAppSession, WhatsAppMessage, WhatsAppConfig],
+      entities: [User, ChatSession, ChatMessage, WhatsAppSession, WhatsAppMessage, WhatsAppConfig, Persona, KnowledgeBase, KnowledgeDocument, KnowledgeChunk, GeneratedImage, AuthSession, SystemSetting, DailyUsage, ApiKey],
       synchronize: true, // Apenas em desenvolvimento
       logging: configService.get('DB_LOGGING', 'false') === 'true',
       dropSchema: false,
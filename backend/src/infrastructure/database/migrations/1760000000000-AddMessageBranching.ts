@@ -0,0 +1,33 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class AddMessageBranching1760000000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            ALTER TABLE "chat_messages" 
+            ADD COLUMN "parentMessageId" UUID
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_chat_messages_parentMessageId" ON "chat_messages" ("parentMessageId")
+        `);
+        await queryRunner.query(`
+            ALTER TABLE "chat_sessions" 
+            ADD COLUMN "activeMessageId" UUID
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            ALTER TABLE "chat_sessions" 
+            DROP COLUMN "activeMessageId"
+        `);
+        await queryRunner.query(`
+            DROP INDEX "IDX_chat_messages_parentMessageId"
+        `);
+        await queryRunner.query(`
+            ALTER TABLE "chat_messages" 
+            DROP COLUMN "parentMessageId"
+        `);
+    }
+
+}
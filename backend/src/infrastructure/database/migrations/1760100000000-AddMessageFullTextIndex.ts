@@ -0,0 +1,18 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class AddMessageFullTextIndex1760100000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            CREATE INDEX IF NOT EXISTS "IDX_chat_messages_content_fts" 
+            ON "chat_messages" USING GIN (to_tsvector('simple', "content"))
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            DROP INDEX IF EXISTS "IDX_chat_messages_content_fts"
+        `);
+    }
+
+}
@@ -0,0 +1,19 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class AddWhatsAppVoiceNoteTranscription1760200000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            ALTER TABLE "whatsapp_configs" 
+            ADD COLUMN "transcribeVoiceNotes" BOOLEAN NOT NULL DEFAULT true
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            ALTER TABLE "whatsapp_configs" 
+            DROP COLUMN "transcribeVoiceNotes"
+        `);
+    }
+
+}
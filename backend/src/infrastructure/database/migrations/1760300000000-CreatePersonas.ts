@@ -0,0 +1,36 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class CreatePersonas1760300000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            CREATE TABLE "personas" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "name" VARCHAR(100) NOT NULL,
+                "description" TEXT,
+                "content" TEXT NOT NULL,
+                "tags" JSON,
+                "variables" JSON,
+                "isShared" BOOLEAN NOT NULL DEFAULT false,
+                "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "userId" UUID NOT NULL,
+                CONSTRAINT "PK_personas_id" PRIMARY KEY ("id"),
+                CONSTRAINT "FK_personas_userId" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE
+            )
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_personas_userId" ON "personas" ("userId")
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            DROP INDEX "IDX_personas_userId"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "personas"
+        `);
+    }
+
+}
@@ -0,0 +1,82 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class CreateKnowledgeBases1760400000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            CREATE TABLE "knowledge_bases" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "name" VARCHAR(100) NOT NULL,
+                "description" TEXT,
+                "embeddingModel" VARCHAR(200) NOT NULL,
+                "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "userId" UUID NOT NULL,
+                CONSTRAINT "PK_knowledge_bases_id" PRIMARY KEY ("id"),
+                CONSTRAINT "FK_knowledge_bases_userId" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE
+            )
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_knowledge_bases_userId" ON "knowledge_bases" ("userId")
+        `);
+
+        await queryRunner.query(`
+            CREATE TABLE "knowledge_documents" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "originalName" VARCHAR(255) NOT NULL,
+                "mimeType" VARCHAR(100),
+                "size" INTEGER NOT NULL DEFAULT 0,
+                "status" VARCHAR(20) NOT NULL DEFAULT 'processing',
+                "error" TEXT,
+                "chunkCount" INTEGER NOT NULL DEFAULT 0,
+                "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "knowledgeBaseId" UUID NOT NULL,
+                CONSTRAINT "PK_knowledge_documents_id" PRIMARY KEY ("id"),
+                CONSTRAINT "FK_knowledge_documents_knowledgeBaseId" FOREIGN KEY ("knowledgeBaseId") REFERENCES "knowledge_bases"("id") ON DELETE CASCADE
+            )
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_knowledge_documents_knowledgeBaseId" ON "knowledge_documents" ("knowledgeBaseId")
+        `);
+
+        // Embeddings em JSON: a similaridade é calculada na aplicação (sem depender do pgvector)
+        await queryRunner.query(`
+            CREATE TABLE "knowledge_chunks" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "position" INTEGER NOT NULL,
+                "content" TEXT NOT NULL,
+                "embedding" JSON NOT NULL,
+                "knowledgeBaseId" UUID NOT NULL,
+                "documentId" UUID NOT NULL,
+                CONSTRAINT "PK_knowledge_chunks_id" PRIMARY KEY ("id"),
+                CONSTRAINT "FK_knowledge_chunks_documentId" FOREIGN KEY ("documentId") REFERENCES "knowledge_documents"("id") ON DELETE CASCADE
+            )
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_knowledge_chunks_knowledgeBaseId" ON "knowledge_chunks" ("knowledgeBaseId")
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            DROP INDEX "IDX_knowledge_chunks_knowledgeBaseId"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "knowledge_chunks"
+        `);
+        await queryRunner.query(`
+            DROP INDEX "IDX_knowledge_documents_knowledgeBaseId"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "knowledge_documents"
+        `);
+        await queryRunner.query(`
+            DROP INDEX "IDX_knowledge_bases_userId"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "knowledge_bases"
+        `);
+    }
+
+}
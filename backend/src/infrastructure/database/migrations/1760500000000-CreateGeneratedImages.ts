@@ -0,0 +1,39 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class CreateGeneratedImages1760500000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            CREATE TABLE "generated_images" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "filename" VARCHAR(255) NOT NULL,
+                "prompt" TEXT,
+                "negativePrompt" TEXT,
+                "tags" JSON,
+                "isFavorite" BOOLEAN NOT NULL DEFAULT false,
+                "metadata" JSON,
+                "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "userId" UUID NOT NULL,
+                "messageId" UUID,
+                CONSTRAINT "PK_generated_images_id" PRIMARY KEY ("id"),
+                CONSTRAINT "UQ_generated_images_filename" UNIQUE ("filename"),
+                CONSTRAINT "FK_generated_images_userId" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE,
+                CONSTRAINT "FK_generated_images_messageId" FOREIGN KEY ("messageId") REFERENCES "chat_messages"("id") ON DELETE SET NULL
+            )
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_generated_images_userId_createdAt" ON "generated_images" ("userId", "createdAt")
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            DROP INDEX "IDX_generated_images_userId_createdAt"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "generated_images"
+        `);
+    }
+
+}
@@ -0,0 +1,43 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class CreateAuthSessions1760600000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            CREATE TABLE "auth_sessions" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "refreshTokenHash" VARCHAR(64) NOT NULL,
+                "previousTokenHash" VARCHAR(64),
+                "userAgent" VARCHAR(500),
+                "ipAddress" VARCHAR(64),
+                "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "lastUsedAt" TIMESTAMP NOT NULL,
+                "expiresAt" TIMESTAMP NOT NULL,
+                "revokedAt" TIMESTAMP,
+                "userId" UUID NOT NULL,
+                CONSTRAINT "PK_auth_sessions_id" PRIMARY KEY ("id"),
+                CONSTRAINT "UQ_auth_sessions_refreshTokenHash" UNIQUE ("refreshTokenHash"),
+                CONSTRAINT "FK_auth_sessions_userId" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE
+            )
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_auth_sessions_userId_revokedAt" ON "auth_sessions" ("userId", "revokedAt")
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_auth_sessions_previousTokenHash" ON "auth_sessions" ("previousTokenHash")
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            DROP INDEX "IDX_auth_sessions_previousTokenHash"
+        `);
+        await queryRunner.query(`
+            DROP INDEX "IDX_auth_sessions_userId_revokedAt"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "auth_sessions"
+        `);
+    }
+
+}
@@ -0,0 +1,33 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class CreateDailyUsage1760800000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            CREATE TABLE "daily_usage" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "day" VARCHAR(10) NOT NULL,
+                "tokens" INTEGER NOT NULL DEFAULT 0,
+                "images" INTEGER NOT NULL DEFAULT 0,
+                "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "userId" UUID NOT NULL,
+                CONSTRAINT "PK_daily_usage_id" PRIMARY KEY ("id"),
+                CONSTRAINT "UQ_daily_usage_userId_day" UNIQUE ("userId", "day"),
+                CONSTRAINT "FK_daily_usage_userId" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE
+            )
+        `);
+        await queryRunner.query(`
+            ALTER TABLE "users" ADD COLUMN "quotaLimits" JSON
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            ALTER TABLE "users" DROP COLUMN "quotaLimits"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "daily_usage"
+        `);
+    }
+
+}
@@ -0,0 +1,23 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class AddUserOidcSubject1760900000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            ALTER TABLE "users" ADD COLUMN "oidcSubject" VARCHAR(255)
+        `);
+        await queryRunner.query(`
+            ALTER TABLE "users" ADD CONSTRAINT "UQ_users_oidcSubject" UNIQUE ("oidcSubject")
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            ALTER TABLE "users" DROP CONSTRAINT "UQ_users_oidcSubject"
+        `);
+        await queryRunner.query(`
+            ALTER TABLE "users" DROP COLUMN "oidcSubject"
+        `);
+    }
+
+}
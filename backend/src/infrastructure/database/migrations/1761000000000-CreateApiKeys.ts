@@ -0,0 +1,40 @@
+import { MigrationInterface, QueryRunner } from "typeorm";
+
+export class CreateApiKeys1761000000000 implements MigrationInterface {
+
+    public async up(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            CREATE TABLE "api_keys" (
+                "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+                "name" VARCHAR(100) NOT NULL,
+                "prefix" VARCHAR(16) NOT NULL,
+                "keyHash" VARCHAR(64) NOT NULL,
+                "scopes" JSON NOT NULL,
+                "requestCount" INTEGER NOT NULL DEFAULT 0,
+                "promptTokens" INTEGER NOT NULL DEFAULT 0,
+                "completionTokens" INTEGER NOT NULL DEFAULT 0,
+                "lastUsedAt" TIMESTAMP,
+                "expiresAt" TIMESTAMP,
+                "revokedAt" TIMESTAMP,
+                "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+                "userId" UUID NOT NULL,
+                CONSTRAINT "PK_api_keys_id" PRIMARY KEY ("id"),
+                CONSTRAINT "UQ_api_keys_keyHash" UNIQUE ("keyHash"),
+                CONSTRAINT "FK_api_keys_userId" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE
+            )
+        `);
+        await queryRunner.query(`
+            CREATE INDEX "IDX_api_keys_userId_revokedAt" ON "api_keys" ("userId", "revokedAt")
+        `);
+    }
+
+    public async down(queryRunner: QueryRunner): Promise<void> {
+        await queryRunner.query(`
+            DROP INDEX "IDX_api_keys_userId_revokedAt"
+        `);
+        await queryRunner.query(`
+            DROP TABLE "api_keys"
+        `);
+    }
+
+}
@@ -0,0 +1,61 @@
+import { Injectable } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { IsNull, Repository } from 'typeorm';
+
+import { IApiKeyRepository } from '../../domain/repositories/api-key.repository.interface';
+import { ApiKey } from '../../domain/entities/api-key.entity';
+
+/**
+ * Implementação do repositório de chaves de API usando TypeORM
+ */
+@Injectable()
+export class ApiKeyRepository implements IApiKeyRepository {
+  constructor(
+    @InjectRepository(ApiKey)
+    private readonly apiKeyRepository: Repository<ApiKey>,
+  ) {}
+
+  async findById(id: string): Promise<ApiKey | null> {
+    return await this.apiKeyRepository.findOne({ where: { id } });
+  }
+
+  async findByKeyHash(keyHash: string): Promise<ApiKey | null> {
+    return await this.apiKeyRepository.findOne({ where: { keyHash } });
+  }
+
+  async create(apiKeyData: Partial<ApiKey>): Promise<ApiKey> {
+    const apiKey = this.apiKeyRepository.create(apiKeyData);
+    return await this.apiKeyRepository.save(apiKey);
+  }
+
+  async update(id: string, apiKeyData: Partial<ApiKey>): Promise<ApiKey> {
+    await this.apiKeyRepository.update(id, apiKeyData);
+    const updated = await this.findById(id);
+    if (!updated) {
+      throw new Error('Chave de API não encontrada após atualização');
+    }
+    return updated;
+  }
+
+  async findByUser(userId: string): Promise<ApiKey[]> {
+    return await this.apiKeyRepository.find({
+      where: { userId, revokedAt: IsNull() },
+      order: { createdAt: 'DESC' },
+    });
+  }
+
+  async recordUsage(id: string, usage: { promptTokens: number; completionTokens: number }): Promise<void> {
+    // Incremento atômico no banco, sem ler e regravar os contadores
+    await this.apiKeyRepository
+      .createQueryBuilder()
+      .update(ApiKey)
+      .set({
+        requestCount: () => '"requestCount" + 1',
+        promptTokens: () => `"promptTokens" + ${Math.max(Math.round(usage.promptTokens), 0)}`,
+        completionTokens: () => `"completionTokens" + ${Math.max(Math.round(usage.completionTokens), 0)}`,
+        lastUsedAt: new Date(),
+      })
+      .where('id = :id', { id })
+      .execute();
+  }
+}
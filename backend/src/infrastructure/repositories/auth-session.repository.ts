@@ -0,0 +1,64 @@
+import { Injectable } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository, IsNull, MoreThan, LessThan, Not } from 'typeorm';
+
+import { IAuthSessionRepository } from '../../domain/repositories/auth-session.repository.interface';
+import { AuthSession } from '../../domain/entities/auth-session.entity';
+
+/**
+ * Implementação do repositório de sessões de login usando TypeORM
+ */
+@Injectable()
+export class AuthSessionRepository implements IAuthSessionRepository {
+  constructor(
+    @InjectRepository(AuthSession)
+    private readonly sessionRepository: Repository<AuthSession>,
+  ) {}
+
+  async findById(id: string): Promise<AuthSession | null> {
+    return await this.sessionRepository.findOne({ where: { id } });
+  }
+
+  async findByTokenHash(tokenHash: string): Promise<AuthSession | null> {
+    return await this.sessionRepository.findOne({
+      where: [{ refreshTokenHash: tokenHash }, { previousTokenHash: tokenHash }],
+    });
+  }
+
+  async create(sessionData: Partial<AuthSession>): Promise<AuthSession> {
+    const session = this.sessionRepository.create(sessionData);
+    return await this.sessionRepository.save(session);
+  }
+
+  async update(id: string, sessionData: Partial<AuthSession>): Promise<AuthSession> {
+    await this.sessionRepository.update(id, sessionData);
+    const updatedSession = await this.findById(id);
+    if (!updatedSession) {
+      throw new Error('Sessão não encontrada após atualização');
+    }
+    return updatedSession;
+  }
+
+  async findActiveByUser(userId: string): Promise<AuthSession[]> {
+    return await this.sessionRepository.find({
+      where: { userId, revokedAt: IsNull(), expiresAt: MoreThan(new Date()) },
+      order: { lastUsedAt: 'DESC' },
+    });
+  }
+
+  async revokeAllByUser(userId: string, exceptId?: string): Promise<number> {
+    const result = await this.sessionRepository.update(
+      { userId, revokedAt: IsNull(), ...(exceptId && { id: Not(exceptId) }) },
+      { revokedAt: new Date() },
+    );
+    return result.affected ?? 0;
+  }
+
+  async deleteStale(olderThan: Date): Promise<number> {
+    const result = await this.sessionRepository.delete([
+      { expiresAt: LessThan(olderThan) },
+      { revokedAt: LessThan(olderThan) },
+    ]);
+    return result.affected ?? 0;
+  }
+}
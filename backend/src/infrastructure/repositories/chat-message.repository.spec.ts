@@ -0,0 +1,55 @@
+import { ChatMessageRepository } from './chat-message.repository';
+
+describe('ChatMessageRepository - Full-text search', () => {
+  const createRepository = (type: 'sqlite' | 'postgres', rows: any[] = []) => {
+    const query = jest.fn().mockResolvedValue(rows);
+    const typeOrmRepository: any = { query, manager: { connection: { options: { type } } } };
+    return { repository: new ChatMessageRepository(typeOrmRepository), query };
+  };
+
+  it('should build an FTS5 prefix query with the filters on SQLite', async () => {
+    const { repository, query } = createRepository('sqlite', [{
+      messageId: 'm1', sessionId: 's1', sessionTitle: 'Banco', role: 'assistant', model: 'qwen2.5',
+      rank: 1.5, snippet: 'A <mark>migração</mark> do banco', createdAt: '2025-01-02 10:00:00.000', total: 3,
+    }]);
+
+    const result = await repository.searchByUser('u1', {
+      query: 'Migração "banco"; DROP',
+      role: 'assistant',
+      model: 'qwen2.5',
+      dateFrom: new Date('2025-01-01T00:00:00Z'),
+      limit: 20,
+      offset: 0,
+    });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('chat_messages_fts MATCH ?');
+    expect(params).toEqual(['"migração"* "banco"* "drop"*', 'u1', 'assistant', 'qwen2.5', '2025-01-01 00:00:00.000', 20, 0]);
+    expect(result.total).toBe(3);
+    expect(result.hits[0]).toEqual(expect.objectContaining({
+      messageId: 'm1',
+      snippet: 'A <mark>migração</mark> do banco',
+      createdAt: new Date('2025-01-02T10:00:00.000Z'),
+    }));
+  });
+
+  it('should use to_tsquery with numbered parameters on PostgreSQL', async () => {
+    const { repository, query } = createRepository('postgres');
+
+    const result = await repository.searchByUser('u1', { query: 'postgres índice', sessionId: 's1', limit: 10, offset: 10 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain(`to_tsquery('simple', $2)`);
+    expect(sql).toContain('m."chatSessionId" = $4');
+    expect(sql).toContain('LIMIT $5 OFFSET $6');
+    expect(params.slice(1)).toEqual(['postgres:* & índice:*', 'u1', 's1', 10, 10]);
+    expect(result).toEqual({ hits: [], total: 0 });
+  });
+
+  it('should not hit the database when the query has no words', async () => {
+    const { repository, query } = createRepository('sqlite');
+
+    expect(await repository.searchByUser('u1', { query: ' "*" ', limit: 20, offset: 0 })).toEqual({ hits: [], total: 0 });
+    expect(query).not.toHaveBeenCalled();
+  });
+});
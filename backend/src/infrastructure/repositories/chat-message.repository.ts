@@ -1,20 +1,60 @@
-import { Injectable } from '@nestjs/common';
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository, Like, Between } from 'typeorm';
+import { Repository, Like, Between, Not, IsNull, MoreThan } from 'typeorm';
 
-import { IChatMessageRepository } from '../../domain/repositories/chat-message.repository.interface';
+import {
+  IChatMessageRepository,
+  MessageSearchOptions,
+  MessageSearchHit,
+  UserMessageUsage,
+} from '../../domain/repositories/chat-message.repository.interface';
 import { ChatMessage } from '../../domain/entities/chat-message.entity';
 
+/**
+ * Tabela FTS5 (SQLite) que indexa chat_messages.content
+ */
+const SQLITE_FTS_TABLE = 'chat_messages_fts';
+
+/**
+ * Opções do ts_headline (PostgreSQL): até dois trechos curtos com os termos destacados
+ */
+const POSTGRES_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=32, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Mensagens com anexos lidas por vez ao procurar as imagens ainda referenciadas
+ */
+const ATTACHMENT_SCAN_BATCH_SIZE = 500;
+
 /**
  * Implementação do repositório de mensagens de chat usando TypeORM
  */
 @Injectable()
-export class ChatMessageRepository implements IChatMessageRepository {
+export class ChatMessageRepository implements IChatMessageRepository, OnModuleInit {
+  private readonly logger = new Logger(ChatMessageRepository.name);
+
   constructor(
     @InjectRepository(ChatMessage)
     private readonly messageRepository: Repository<ChatMessage>,
   ) {}
 
+  /**
+   * Garante o índice de texto completo usado por searchByUser
+   */
+  async onModuleInit(): Promise<void> {
+    try {
+      if (this.isPostgres()) {
+        // Declarado no entity com synchronize: false; criado aqui para bancos já existentes
+        await this.messageRepository.query(
+          `CREATE INDEX IF NOT EXISTS "IDX_chat_messages_content_fts" ON "chat_messages" USING GIN (to_tsvector('simple', "content"))`,
+        );
+      } else {
+        await this.ensureSqliteFullTextIndex();
+      }
+    } catch (error) {
+      this.logger.error(`❌ Could not create the message full-text index: ${error.message}`);
+    }
+  }
+
   async findById(id: string): Promise<ChatMessage | null> {
     return await this.messageRepository.findOne({ where: { id } });
   }
@@ -63,6 +103,16 @@ export class ChatMessageRepository implements IChatMessageRepository {
     });
   }
 
+  async findAllBySessionId(sessionId: string): Promise<ChatMessage[]> {
+    // Todas as mensagens (de todos os ramos), em ordem cronológica
+    return await this.messageRepository.find({
+      where: { chatSessionId: sessionId },
+      order: {
+        createdAt: 'ASC',
+      },
+    });
+  }
+
   async findRecentByUserId(userId: string, limit: number = 50): Promise<ChatMessage[]> {
     return await this.messageRepository
       .createQueryBuilder('message')
@@ -99,6 +149,94 @@ export class ChatMessageRepository implements IChatMessageRepository {
     });
   }
 
+  async searchByUser(
+    userId: string,
+    options: MessageSearchOptions,
+  ): Promise<{ hits: MessageSearchHit[]; total: number }> {
+    const terms = this.tokenizeSearchQuery(options.query);
+    if (terms.length === 0) {
+      return { hits: [], total: 0 };
+    }
+
+    const postgres = this.isPostgres();
+    const params: any[] = [];
+    const param = (value: any) => {
+      params.push(value);
+      return postgres ? `$${params.length}` : '?';
+    };
+    const formatDate = (date: Date) => (postgres ? date : this.toSqliteDatetime(date));
+
+    // Termos combinados com AND, cada um como prefixo ("migra" encontra "migração")
+    const matchQuery = postgres
+      ? terms.map(term => `${term}:*`).join(' & ')
+      : terms.map(term => `"${term}"*`).join(' ');
+
+    const model = postgres
+      ? `COALESCE(m."metadata"->>'model', s."metadata"->>'model')`
+      : `COALESCE(json_extract(m."metadata", '$.model'), json_extract(s."metadata", '$.model'))`;
+
+    const sql = postgres
+      ? `WITH hits AS (
+           SELECT m."id",
+                  ts_rank(to_tsvector('simple', m."content"), q) AS "rank",
+                  ts_headline('simple', m."content", q, ${param(POSTGRES_HEADLINE_OPTIONS)}) AS "snippet"
+           FROM "chat_messages" m, to_tsquery('simple', ${param(matchQuery)}) q
+           WHERE to_tsvector('simple', m."content") @@ q
+         )`
+      : `WITH hits AS (
+           SELECT rowid,
+                  -bm25(${SQLITE_FTS_TABLE}) AS "rank",
+                  snippet(${SQLITE_FTS_TABLE}, 0, '<mark>', '</mark>', '…', 24) AS "snippet"
+           FROM ${SQLITE_FTS_TABLE}
+           WHERE ${SQLITE_FTS_TABLE} MATCH ${param(matchQuery)}
+         )`;
+
+    const conditions = [`s."userId" = ${param(userId)}`, `s."status" <> 'deleted'`];
+    if (options.sessionId) {
+      conditions.push(`m."chatSessionId" = ${param(options.sessionId)}`);
+    }
+    if (options.role) {
+      conditions.push(`m."role" = ${param(options.role)}`);
+    }
+    if (options.model) {
+      conditions.push(`${model} = ${param(options.model)}`);
+    }
+    if (options.dateFrom) {
+      conditions.push(`m."createdAt" >= ${param(formatDate(options.dateFrom))}`);
+    }
+    if (options.dateTo) {
+      conditions.push(`m."createdAt" <= ${param(formatDate(options.dateTo))}`);
+    }
+
+    const rows = await this.messageRepository.query(
+      `${sql}
+       SELECT m."id" AS "messageId", m."chatSessionId" AS "sessionId", s."title" AS "sessionTitle",
+              m."role" AS "role", m."createdAt" AS "createdAt", ${model} AS "model",
+              hits."rank" AS "rank", hits."snippet" AS "snippet", COUNT(*) OVER () AS "total"
+       FROM hits
+       INNER JOIN "chat_messages" m ON ${postgres ? 'm."id" = hits."id"' : 'm.rowid = hits.rowid'}
+       INNER JOIN "chat_sessions" s ON s."id" = m."chatSessionId"
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY hits."rank" DESC, m."createdAt" DESC
+       LIMIT ${param(options.limit)} OFFSET ${param(options.offset)}`,
+      params,
+    );
+
+    return {
+      hits: rows.map(row => ({
+        messageId: row.messageId,
+        sessionId: row.sessionId,
+        sessionTitle: row.sessionTitle,
+        role: row.role,
+        model: row.model || undefined,
+        snippet: row.snippet,
+        rank: Number(row.rank),
+        createdAt: postgres ? new Date(row.createdAt) : new Date(`${String(row.createdAt).replace(' ', 'T')}Z`),
+      })),
+      total: rows.length > 0 ? Number(rows[0].total) : 0,
+    };
+  }
+
   async findByDateRange(sessionId: string, startDate: Date, endDate: Date): Promise<ChatMessage[]> {
     return await this.messageRepository.find({
       where: {
@@ -111,6 +249,34 @@ export class ChatMessageRepository implements IChatMessageRepository {
     });
   }
 
+  async findImageAttachmentFilenames(): Promise<string[]> {
+    const filenames = new Set<string>();
+    let lastId: string | undefined;
+
+    // Paginado pelo id para não carregar todas as mensagens com anexos de uma vez
+    while (true) {
+      const messages = await this.messageRepository.find({
+        select: { id: true, attachments: true },
+        where: { attachments: Not(IsNull()), ...(lastId && { id: MoreThan(lastId) }) },
+        order: { id: 'ASC' },
+        take: ATTACHMENT_SCAN_BATCH_SIZE,
+      });
+
+      for (const message of messages) {
+        for (const attachment of message.attachments || []) {
+          if (attachment?.type === 'image' && attachment.filename) {
+            filenames.add(attachment.filename);
+          }
+        }
+      }
+
+      if (messages.length < ATTACHMENT_SCAN_BATCH_SIZE) {
+        return [...filenames];
+      }
+      lastId = messages[messages.length - 1].id;
+    }
+  }
+
   async countBySessionId(sessionId: string): Promise<number> {
     return await this.messageRepository.count({
       where: { chatSessionId: sessionId },
@@ -126,6 +292,33 @@ export class ChatMessageRepository implements IChatMessageRepository {
     });
   }
 
+  async getUsageByUsers(userIds: string[]): Promise<UserMessageUsage[]> {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    // Os tokens ficam no metadata JSON das respostas
+    const tokens = this.isPostgres()
+      ? `CAST(message.metadata ->> 'tokens' AS NUMERIC)`
+      : `json_extract(message.metadata, '$.tokens')`;
+
+    const rows = await this.messageRepository
+      .createQueryBuilder('message')
+      .innerJoin('message.chatSession', 'session')
+      .select('session.userId', 'userId')
+      .addSelect(`SUM(CASE WHEN message.role = 'user' THEN 1 ELSE 0 END)`, 'messageCount')
+      .addSelect(`COALESCE(SUM(${tokens}), 0)`, 'tokens')
+      .where('session.userId IN (:...userIds)', { userIds })
+      .groupBy('session.userId')
+      .getRawMany();
+
+    return rows.map(row => ({
+      userId: row.userId,
+      messageCount: Number(row.messageCount) || 0,
+      tokens: Math.round(Number(row.tokens) || 0),
+    }));
+  }
+
   async createMany(messagesData: Partial<ChatMessage>[]): Promise<ChatMessage[]> {
     const messages = this.messageRepository.create(messagesData);
     return await this.messageRepository.save(messages);
@@ -151,4 +344,55 @@ export class ChatMessageRepository implements IChatMessageRepository {
     });
     return count > 0;
   }
+
+  private isPostgres(): boolean {
+    return this.messageRepository.manager.connection.options.type === 'postgres';
+  }
+
+  /**
+   * Palavras da busca, sem operadores (a sintaxe de consulta do banco não é exposta ao usuário)
+   */
+  private tokenizeSearchQuery(query: string): string[] {
+    return (query || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(term => term.length > 0)
+      .slice(0, 16);
+  }
+
+  /**
+   * Formato em que o TypeORM grava datas no SQLite (UTC, sem o "T" e o "Z")
+   */
+  private toSqliteDatetime(date: Date): string {
+    return date.toISOString().replace('T', ' ').replace('Z', '');
+  }
+
+  /**
+   * Cria a tabela FTS5 e os triggers que a mantêm em sincronia com chat_messages.
+   * O synchronize do TypeORM recria a tabela ao alterar colunas (perdendo os triggers e
+   * mudando os rowids), então o índice é reconstruído a cada inicialização.
+   */
+  private async ensureSqliteFullTextIndex(): Promise<void> {
+    const statements = [
+      `CREATE VIRTUAL TABLE IF NOT EXISTS ${SQLITE_FTS_TABLE} USING fts5(
+         content, content='chat_messages', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2'
+       )`,
+      `CREATE TRIGGER IF NOT EXISTS ${SQLITE_FTS_TABLE}_ai AFTER INSERT ON chat_messages BEGIN
+         INSERT INTO ${SQLITE_FTS_TABLE}(rowid, content) VALUES (new.rowid, new.content);
+       END`,
+      `CREATE TRIGGER IF NOT EXISTS ${SQLITE_FTS_TABLE}_ad AFTER DELETE ON chat_messages BEGIN
+         INSERT INTO ${SQLITE_FTS_TABLE}(${SQLITE_FTS_TABLE}, rowid, content) VALUES ('delete', old.rowid, old.content);
+       END`,
+      `CREATE TRIGGER IF NOT EXISTS ${SQLITE_FTS_TABLE}_au AFTER UPDATE ON chat_messages BEGIN
+         INSERT INTO ${SQLITE_FTS_TABLE}(${SQLITE_FTS_TABLE}, rowid, content) VALUES ('delete', old.rowid, old.content);
+         INSERT INTO ${SQLITE_FTS_TABLE}(rowid, content) VALUES (new.rowid, new.content);
+       END`,
+      `INSERT INTO ${SQLITE_FTS_TABLE}(${SQLITE_FTS_TABLE}) VALUES ('rebuild')`,
+    ];
+
+    for (const statement of statements) {
+      await this.messageRepository.query(statement);
+    }
+    this.logger.log('🔎 Message full-text index ready (SQLite FTS5)');
+  }
 }
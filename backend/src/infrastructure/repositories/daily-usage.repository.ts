@@ -0,0 +1,39 @@
+import { Injectable } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+
+import { IDailyUsageRepository } from '../../domain/repositories/daily-usage.repository.interface';
+import { DailyUsage } from '../../domain/entities/daily-usage.entity';
+
+/**
+ * Implementação do repositório de uso diário usando TypeORM
+ */
+@Injectable()
+export class DailyUsageRepository implements IDailyUsageRepository {
+  constructor(
+    @InjectRepository(DailyUsage)
+    private readonly usageRepository: Repository<DailyUsage>,
+  ) {}
+
+  async findByUserAndDay(userId: string, day: string): Promise<DailyUsage | null> {
+    return await this.usageRepository.findOne({ where: { userId, day } });
+  }
+
+  async increment(userId: string, day: string, amounts: { tokens?: number; images?: number }): Promise<void> {
+    // Garante a linha do dia; se outra requisição criou ao mesmo tempo, a constraint única ignora esta
+    await this.usageRepository
+      .createQueryBuilder()
+      .insert()
+      .into(DailyUsage)
+      .values({ userId, day, tokens: 0, images: 0 })
+      .orIgnore()
+      .execute();
+
+    // Incremento atômico no banco, sem ler e regravar o valor
+    for (const column of ['tokens', 'images'] as const) {
+      if (amounts[column] > 0) {
+        await this.usageRepository.increment({ userId, day }, column, amounts[column]);
+      }
+    }
+  }
+}
@@ -0,0 +1,98 @@
+import { Injectable } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository, In } from 'typeorm';
+
+import {
+  IGeneratedImageRepository,
+  GeneratedImageSearchOptions,
+} from '../../domain/repositories/generated-image.repository.interface';
+import { GeneratedImage } from '../../domain/entities/generated-image.entity';
+
+/**
+ * Implementação do repositório de imagens geradas usando TypeORM
+ */
+@Injectable()
+export class GeneratedImageRepository implements IGeneratedImageRepository {
+  constructor(
+    @InjectRepository(GeneratedImage)
+    private readonly imageRepository: Repository<GeneratedImage>,
+  ) {}
+
+  async findById(id: string): Promise<GeneratedImage | null> {
+    return await this.imageRepository.findOne({ where: { id } });
+  }
+
+  async findByFilename(filename: string): Promise<GeneratedImage | null> {
+    return await this.imageRepository.findOne({ where: { filename } });
+  }
+
+  async findByFilenames(filenames: string[]): Promise<GeneratedImage[]> {
+    if (filenames.length === 0) {
+      return [];
+    }
+    return await this.imageRepository.find({ where: { filename: In(filenames) } });
+  }
+
+  async create(imageData: Partial<GeneratedImage>): Promise<GeneratedImage> {
+    const image = this.imageRepository.create(imageData);
+    return await this.imageRepository.save(image);
+  }
+
+  async update(id: string, imageData: Partial<GeneratedImage>): Promise<GeneratedImage> {
+    await this.imageRepository.update(id, imageData);
+    const updatedImage = await this.findById(id);
+    if (!updatedImage) {
+      throw new Error('Imagem não encontrada após atualização');
+    }
+    return updatedImage;
+  }
+
+  async delete(id: string): Promise<void> {
+    await this.imageRepository.delete(id);
+  }
+
+  async findByUser(
+    userId: string,
+    options: GeneratedImageSearchOptions,
+  ): Promise<{ images: GeneratedImage[]; total: number }> {
+    const query = this.imageRepository
+      .createQueryBuilder('image')
+      .leftJoinAndSelect('image.message', 'message')
+      .where('image.userId = :userId', { userId });
+
+    if (options.search?.trim()) {
+      query.andWhere('LOWER(image.prompt) LIKE :search', { search: `%${options.search.trim().toLowerCase()}%` });
+    }
+    if (options.tag?.trim()) {
+      // Tags ficam em uma coluna JSON (texto no SQLite); as aspas evitam casar parte de outra tag
+      query.andWhere('CAST(image.tags AS TEXT) LIKE :tag', { tag: `%${JSON.stringify(options.tag.trim().toLowerCase())}%` });
+    }
+    if (options.favoritesOnly) {
+      query.andWhere('image.isFavorite = :favorite', { favorite: true });
+    }
+
+    const [images, total] = await query
+      .orderBy('image.createdAt', 'DESC')
+      .skip(options.offset)
+      .take(options.limit)
+      .getManyAndCount();
+
+    return { images, total };
+  }
+
+  async countByUsers(userIds: string[]): Promise<{ userId: string; count: number }[]> {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const rows = await this.imageRepository
+      .createQueryBuilder('image')
+      .select('image.userId', 'userId')
+      .addSelect('COUNT(image.id)', 'count')
+      .where('image.userId IN (:...userIds)', { userIds })
+      .groupBy('image.userId')
+      .getRawMany();
+
+    return rows.map(row => ({ userId: row.userId, count: Number(row.count) || 0 }));
+  }
+}
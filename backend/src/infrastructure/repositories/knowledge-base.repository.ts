@@ -0,0 +1,130 @@
+import { Injectable } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { In, Repository } from 'typeorm';
+
+import {
+  IKnowledgeBaseRepository,
+  IKnowledgeDocumentRepository,
+  IKnowledgeChunkRepository,
+} from '../../domain/repositories/knowledge-base.repository.interface';
+import { KnowledgeBase } from '../../domain/entities/knowledge-base.entity';
+import { KnowledgeDocument } from '../../domain/entities/knowledge-document.entity';
+import { KnowledgeChunk } from '../../domain/entities/knowledge-chunk.entity';
+
+/**
+ * Implementação do repositório de bases de conhecimento usando TypeORM
+ */
+@Injectable()
+export class KnowledgeBaseRepository implements IKnowledgeBaseRepository {
+  constructor(
+    @InjectRepository(KnowledgeBase)
+    private readonly knowledgeBaseRepository: Repository<KnowledgeBase>,
+  ) {}
+
+  async findById(id: string): Promise<KnowledgeBase | null> {
+    return await this.knowledgeBaseRepository.findOne({ where: { id } });
+  }
+
+  async findByIds(ids: string[]): Promise<KnowledgeBase[]> {
+    if (!ids.length) {
+      return [];
+    }
+    return await this.knowledgeBaseRepository.find({ where: { id: In(ids) } });
+  }
+
+  async findByUserId(userId: string): Promise<KnowledgeBase[]> {
+    return await this.knowledgeBaseRepository.find({
+      where: { userId },
+      relations: ['documents'],
+      order: { name: 'ASC' },
+    });
+  }
+
+  async create(knowledgeBaseData: Partial<KnowledgeBase>): Promise<KnowledgeBase> {
+    const knowledgeBase = this.knowledgeBaseRepository.create(knowledgeBaseData);
+    return await this.knowledgeBaseRepository.save(knowledgeBase);
+  }
+
+  async update(id: string, knowledgeBaseData: Partial<KnowledgeBase>): Promise<KnowledgeBase> {
+    await this.knowledgeBaseRepository.update(id, knowledgeBaseData);
+    const updatedKnowledgeBase = await this.findById(id);
+    if (!updatedKnowledgeBase) {
+      throw new Error('Base de conhecimento não encontrada após atualização');
+    }
+    return updatedKnowledgeBase;
+  }
+
+  async delete(id: string): Promise<void> {
+    await this.knowledgeBaseRepository.delete(id);
+  }
+}
+
+/**
+ * Implementação do repositório de documentos usando TypeORM
+ */
+@Injectable()
+export class KnowledgeDocumentRepository implements IKnowledgeDocumentRepository {
+  constructor(
+    @InjectRepository(KnowledgeDocument)
+    private readonly documentRepository: Repository<KnowledgeDocument>,
+  ) {}
+
+  async findById(id: string): Promise<KnowledgeDocument | null> {
+    return await this.documentRepository.findOne({ where: { id } });
+  }
+
+  async findByKnowledgeBaseId(knowledgeBaseId: string): Promise<KnowledgeDocument[]> {
+    return await this.documentRepository.find({
+      where: { knowledgeBaseId },
+      order: { createdAt: 'DESC' },
+    });
+  }
+
+  async create(documentData: Partial<KnowledgeDocument>): Promise<KnowledgeDocument> {
+    const document = this.documentRepository.create(documentData);
+    return await this.documentRepository.save(document);
+  }
+
+  async update(id: string, documentData: Partial<KnowledgeDocument>): Promise<KnowledgeDocument> {
+    await this.documentRepository.update(id, documentData);
+    const updatedDocument = await this.findById(id);
+    if (!updatedDocument) {
+      throw new Error('Documento não encontrado após atualização');
+    }
+    return updatedDocument;
+  }
+
+  async delete(id: string): Promise<void> {
+    await this.documentRepository.delete(id);
+  }
+}
+
+/**
+ * Implementação do repositório de trechos usando TypeORM
+ */
+@Injectable()
+export class KnowledgeChunkRepository implements IKnowledgeChunkRepository {
+  constructor(
+    @InjectRepository(KnowledgeChunk)
+    private readonly chunkRepository: Repository<KnowledgeChunk>,
+  ) {}
+
+  async createMany(chunks: Partial<KnowledgeChunk>[]): Promise<void> {
+    if (!chunks.length) {
+      return;
+    }
+    // Em lotes para não estourar o limite de parâmetros do SQLite
+    await this.chunkRepository.save(this.chunkRepository.create(chunks), { chunk: 100 });
+  }
+
+  async findByKnowledgeBaseId(knowledgeBaseId: string): Promise<KnowledgeChunk[]> {
+    return await this.chunkRepository.find({
+      where: { knowledgeBaseId },
+      order: { position: 'ASC' },
+    });
+  }
+
+  async deleteByDocumentId(documentId: string): Promise<void> {
+    await this.chunkRepository.delete({ documentId });
+  }
+}
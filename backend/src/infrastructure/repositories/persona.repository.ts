@@ -0,0 +1,46 @@
+import { Injectable } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+
+import { IPersonaRepository } from '../../domain/repositories/persona.repository.interface';
+import { Persona } from '../../domain/entities/persona.entity';
+
+/**
+ * Implementação do repositório de personas usando TypeORM
+ */
+@Injectable()
+export class PersonaRepository implements IPersonaRepository {
+  constructor(
+    @InjectRepository(Persona)
+    private readonly personaRepository: Repository<Persona>,
+  ) {}
+
+  async findById(id: string): Promise<Persona | null> {
+    return await this.personaRepository.findOne({ where: { id } });
+  }
+
+  async create(personaData: Partial<Persona>): Promise<Persona> {
+    const persona = this.personaRepository.create(personaData);
+    return await this.personaRepository.save(persona);
+  }
+
+  async update(id: string, personaData: Partial<Persona>): Promise<Persona> {
+    await this.personaRepository.update(id, personaData);
+    const updatedPersona = await this.findById(id);
+    if (!updatedPersona) {
+      throw new Error('Persona não encontrada após atualização');
+    }
+    return updatedPersona;
+  }
+
+  async delete(id: string): Promise<void> {
+    await this.personaRepository.delete(id);
+  }
+
+  async findVisibleToUser(userId: string): Promise<Persona[]> {
+    return await this.personaRepository.find({
+      where: [{ userId }, { isShared: true }],
+      order: { name: 'ASC' },
+    });
+  }
+}
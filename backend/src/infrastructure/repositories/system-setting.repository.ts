@@ -0,0 +1,25 @@
+import { Injectable } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+
+import { ISystemSettingRepository } from '../../domain/repositories/system-setting.repository.interface';
+import { SystemSetting } from '../../domain/entities/system-setting.entity';
+
+/**
+ * Implementação do repositório de configurações globais usando TypeORM
+ */
+@Injectable()
+export class SystemSettingRepository implements ISystemSettingRepository {
+  constructor(
+    @InjectRepository(SystemSetting)
+    private readonly settingRepository: Repository<SystemSetting>,
+  ) {}
+
+  async findAll(): Promise<SystemSetting[]> {
+    return await this.settingRepository.find();
+  }
+
+  async upsert(key: string, value: any): Promise<void> {
+    await this.settingRepository.save(this.settingRepository.create({ key, value }));
+  }
+}
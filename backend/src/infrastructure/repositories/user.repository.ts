@@ -23,6 +23,10 @@ export class UserRepository implements IUserRepository {
     return await this.userRepository.findOne({ where: { email } });
   }
 
+  async findByOidcSubject(subject: string): Promise<User | null> {
+    return await this.userRepository.findOne({ where: { oidcSubject: subject } });
+  }
+
   async create(userData: Partial<User>): Promise<User> {
     const user = this.userRepository.create(userData);
     return await this.userRepository.save(user);
@@ -49,6 +49,7 @@ export class WhatsAppConfigRepository implements IWhatsAppConfigRepository {
       blockedKeywords: [],
       ignoreGroups: true,
       ignoreMedia: true,
+      transcribeVoiceNotes: true,
       maxMessagesPerHour: 30,
       maxMessagesPerChatPerHour: 5,
       defaultModel: 'llama3.2',
@@ -0,0 +1,45 @@
+import { CalculatorService } from './calculator.service';
+
+describe('CalculatorService', () => {
+  let service: CalculatorService;
+
+  beforeEach(() => {
+    service = new CalculatorService();
+  });
+
+  it('should respect operator precedence and parentheses', () => {
+    expect(service.evaluate('2 + 3 * 4')).toBe(14);
+    expect(service.evaluate('(2 + 3) * 4')).toBe(20);
+    expect(service.evaluate('10 / 4 - 1')).toBe(1.5);
+  });
+
+  it('should treat ^ as right-associative and bind tighter than unary minus', () => {
+    expect(service.evaluate('2 ^ 3 ^ 2')).toBe(512);
+    expect(service.evaluate('-2 ^ 2')).toBe(-4);
+    expect(service.evaluate('2 ** 10')).toBe(1024);
+  });
+
+  it('should read a trailing % as a percentage and a % between operands as modulo', () => {
+    expect(service.evaluate('200 * 15%')).toBe(30);
+    expect(service.evaluate('10 % 3')).toBe(1);
+  });
+
+  it('should support constants and functions', () => {
+    expect(service.evaluate('sqrt(16) + abs(-2)')).toBe(6);
+    expect(service.evaluate('max(1, 7, 3)')).toBe(7);
+    expect(service.evaluate('round(pi * 100)')).toBe(314);
+  });
+
+  it('should reject code and unknown identifiers', () => {
+    expect(() => service.evaluate('process.exit(1)')).toThrow('Invalid character "."');
+    expect(() => service.evaluate('foo + 1')).toThrow('Unknown identifier "foo"');
+    expect(() => service.evaluate('bar(1)')).toThrow('Unknown function "bar"');
+  });
+
+  it('should reject incomplete expressions and non-finite results', () => {
+    expect(() => service.evaluate('')).toThrow('Empty expression');
+    expect(() => service.evaluate('(1 + 2')).toThrow('Expected ")"');
+    expect(() => service.evaluate('1 +')).toThrow('Unexpected end of expression');
+    expect(() => service.evaluate('1 / 0')).toThrow('Result is not a finite number');
+  });
+});
@@ -0,0 +1,216 @@
+import { Injectable } from '@nestjs/common';
+
+/**
+ * Funções aceitas nas expressões (nome → implementação)
+ */
+const FUNCTIONS: Record<string, (...args: number[]) => number> = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+
+const CONSTANTS: Record<string, number> = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+/**
+ * Limite de tamanho da expressão, evita entradas abusivas vindas do modelo
+ */
+const MAX_EXPRESSION_LENGTH = 500;
+
+type Token =
+  | { type: 'number'; value: number }
+  | { type: 'name'; value: string }
+  | { type: 'op'; value: string };
+
+/**
+ * Avalia expressões aritméticas sem usar eval: + - * / % ^, parênteses,
+ * porcentagens (10% = 0.1), constantes (pi, e) e funções matemáticas comuns.
+ * Parser descendente recursivo com a precedência usual (^ associativo à direita).
+ */
+@Injectable()
+export class CalculatorService {
+  /**
+   * Calcula o valor da expressão
+   * @throws Error com mensagem legível quando a expressão é inválida
+   */
+  evaluate(expression: string): number {
+    const source = (expression || '').trim();
+    if (!source) {
+      throw new Error('Empty expression');
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`Expression is too long (max ${MAX_EXPRESSION_LENGTH} characters)`);
+    }
+
+    const tokens = this.tokenize(source);
+    let index = 0;
+
+    const peek = (): Token | undefined => tokens[index];
+    const isOp = (value: string): boolean => peek()?.type === 'op' && peek()!.value === value;
+    const expectOp = (value: string): void => {
+      if (!isOp(value)) {
+        throw new Error(`Expected "${value}"`);
+      }
+      index++;
+    };
+
+    const parseExpression = (): number => {
+      let value = parseTerm();
+      while (isOp('+') || isOp('-')) {
+        const op = tokens[index++].value;
+        const right = parseTerm();
+        value = op === '+' ? value + right : value - right;
+      }
+      return value;
+    };
+
+    const parseTerm = (): number => {
+      let value = parseUnary();
+      while (isOp('*') || isOp('/') || isOp('%')) {
+        const op = tokens[index++].value;
+        const right = parseUnary();
+        if (op === '*') value *= right;
+        else if (op === '/') value /= right;
+        else value %= right;
+      }
+      return value;
+    };
+
+    const parseUnary = (): number => {
+      if (isOp('-')) {
+        index++;
+        return -parseUnary();
+      }
+      if (isOp('+')) {
+        index++;
+        return parseUnary();
+      }
+      return parsePower();
+    };
+
+    const parsePower = (): number => {
+      const base = parsePostfix();
+      if (isOp('^')) {
+        index++;
+        return Math.pow(base, parseUnary());
+      }
+      return base;
+    };
+
+    // "50%" no fim de um operando vira 0.5; "%" entre operandos continua sendo módulo
+    const parsePostfix = (): number => {
+      let value = parsePrimary();
+      while (isOp('%') && !this.startsOperand(tokens[index + 1])) {
+        index++;
+        value /= 100;
+      }
+      return value;
+    };
+
+    const parsePrimary = (): number => {
+      const token = peek();
+      if (!token) {
+        throw new Error('Unexpected end of expression');
+      }
+
+      if (token.type === 'number') {
+        index++;
+        return token.value;
+      }
+
+      if (token.type === 'name') {
+        index++;
+        const name = token.value.toLowerCase();
+        if (isOp('(')) {
+          const fn = FUNCTIONS[name];
+          if (!fn) {
+            throw new Error(`Unknown function "${token.value}"`);
+          }
+          index++;
+          const args: number[] = [];
+          if (!isOp(')')) {
+            args.push(parseExpression());
+            while (isOp(',')) {
+              index++;
+              args.push(parseExpression());
+            }
+          }
+          expectOp(')');
+          return fn(...args);
+        }
+        if (name in CONSTANTS) {
+          return CONSTANTS[name];
+        }
+        throw new Error(`Unknown identifier "${token.value}"`);
+      }
+
+      if (token.value === '(') {
+        index++;
+        const value = parseExpression();
+        expectOp(')');
+        return value;
+      }
+
+      throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const result = parseExpression();
+    if (index < tokens.length) {
+      throw new Error(`Unexpected "${tokens[index].value}"`);
+    }
+    if (!Number.isFinite(result)) {
+      throw new Error('Result is not a finite number');
+    }
+
+    return result;
+  }
+
+  private tokenize(source: string): Token[] {
+    const tokens: Token[] = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),×÷]))/iy;
+    let position = 0;
+
+    while (position < source.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(source);
+      if (!match) {
+        if (!source.slice(position).trim()) break;
+        throw new Error(`Invalid character "${source.slice(position).trim()[0]}"`);
+      }
+      position = pattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'name', value: match[2] });
+      } else {
+        const op = match[3] === '**' ? '^' : match[3] === '×' ? '*' : match[3] === '÷' ? '/' : match[3];
+        tokens.push({ type: 'op', value: op });
+      }
+    }
+
+    return tokens;
+  }
+
+  private startsOperand(token?: Token): boolean {
+    return !!token && (token.type !== 'op' || token.value === '(');
+  }
+}
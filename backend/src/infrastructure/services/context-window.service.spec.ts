@@ -0,0 +1,113 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { ContextWindowService, ContextMessage } from './context-window.service';
+
+describe('ContextWindowService', () => {
+  let service: ContextWindowService;
+
+  // 400 chars ~= 100 tokens + 4 of overhead per message
+  const message = (role: string, label: string): ContextMessage => ({
+    role,
+    content: label.padEnd(400, '.'),
+  });
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        ContextWindowService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = { CONTEXT_DEFAULT_LENGTH: 1000 };
+              return config[key] ?? defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<ContextWindowService>(ContextWindowService);
+  });
+
+  it('should estimate roughly four characters per token', () => {
+    expect(service.estimateTokens('')).toBe(0);
+    expect(service.estimateTokens('abcd')).toBe(1);
+    expect(service.estimateTokens('abcde')).toBe(2);
+  });
+
+  it('should count the images sent to vision models', () => {
+    const text = message('user', 'q1');
+
+    expect(service.estimateMessageTokens({ ...text, images: ['aGVsbG8=', 'aGVsbG8='] }))
+      .toBe(service.estimateMessageTokens(text) + 2 * 768);
+  });
+
+  it('should keep the whole history when it fits', () => {
+    const history = [message('user', 'q1'), message('assistant', 'a1')];
+
+    const { messages, usage } = service.fitToWindow({
+      history,
+      currentMessage: message('user', 'q2'),
+      contextLength: 2000,
+      maxResponseTokens: 200,
+    });
+
+    expect(messages).toHaveLength(3);
+    expect(usage.includedMessages).toBe(2);
+    expect(usage.droppedMessages).toBe(0);
+    expect(usage.promptTokens).toBe(312);
+    expect(usage.reservedTokens).toBe(200);
+  });
+
+  it('should fill newest-first and drop the oldest messages', () => {
+    const history = [
+      message('user', 'oldest'),
+      message('assistant', 'old answer'),
+      message('user', 'recent'),
+      message('assistant', 'recent answer'),
+    ];
+
+    // Budget: 700 - 200 reserved = 500 tokens -> system + current + 2 history messages
+    const { messages, usage } = service.fitToWindow({
+      systemMessages: [message('system', 'system prompt')],
+      history,
+      currentMessage: message('user', 'current'),
+      contextLength: 700,
+      maxResponseTokens: 200,
+    });
+
+    expect(messages.map(m => m.content.replace(/\.+$/, ''))).toEqual([
+      'system prompt',
+      'recent',
+      'recent answer',
+      'current',
+    ]);
+    expect(usage.includedMessages).toBe(2);
+    expect(usage.droppedMessages).toBe(2);
+  });
+
+  it('should always keep the system prompt and current message', () => {
+    const { messages, usage } = service.fitToWindow({
+      systemMessages: [message('system', 'system prompt')],
+      history: [message('user', 'q1')],
+      currentMessage: message('user', 'huge'.padEnd(4000, '.')),
+      contextLength: 600,
+    });
+
+    expect(messages.map(m => m.role)).toEqual(['system', 'user']);
+    expect(usage.droppedMessages).toBe(1);
+    expect(usage.promptTokens).toBeGreaterThan(usage.contextLength);
+  });
+
+  it('should use the default context length and reserve at most half of it', () => {
+    const { usage } = service.fitToWindow({
+      history: [],
+      currentMessage: message('user', 'q'),
+      maxResponseTokens: 4000,
+    });
+
+    expect(usage.contextLength).toBe(1000);
+    expect(usage.reservedTokens).toBe(500);
+  });
+});
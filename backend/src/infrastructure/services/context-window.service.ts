@@ -0,0 +1,129 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+export interface ContextMessage {
+  role: string;
+  content: string;
+  /** Imagens em base64 para modelos de visão (formato do Ollama) */
+  images?: string[];
+}
+
+/**
+ * Resumo do uso da janela de contexto, salvo no metadata da resposta
+ */
+export interface ContextUsage {
+  contextLength: number;
+  reservedTokens: number;
+  promptTokens: number;
+  includedMessages: number;
+  droppedMessages: number;
+  estimated: boolean;
+  /** O resumo das mensagens antigas da sessão foi enviado junto com o system prompt */
+  summaryIncluded?: boolean;
+}
+
+/**
+ * Approximate characters per token for mixed prose/code (no model tokenizer is available here)
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Role markers and separators the chat template adds around each message
+ */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Tokens taken by one image in vision models (llava uses 576 patches, others a bit more)
+ */
+const IMAGE_TOKENS = 768;
+
+/**
+ * Serviço que monta o contexto da conversa respeitando o tamanho de contexto do modelo
+ */
+@Injectable()
+export class ContextWindowService {
+  private readonly logger = new Logger(ContextWindowService.name);
+  private readonly defaultContextLength: number;
+
+  constructor(private readonly configService: ConfigService) {
+    this.defaultContextLength = Number(this.configService.get('CONTEXT_DEFAULT_LENGTH', 4096));
+  }
+
+  /**
+   * Tamanho de contexto usado quando o modelo não informa o seu
+   */
+  getDefaultContextLength(): number {
+    return this.defaultContextLength;
+  }
+
+  /**
+   * Estima o número de tokens de um texto
+   */
+  estimateTokens(text: string): number {
+    if (!text) {
+      return 0;
+    }
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Estima o número de tokens de uma mensagem, incluindo o overhead do template e as imagens
+   */
+  estimateMessageTokens(message: ContextMessage): number {
+    return this.estimateTokens(message.content) + (message.images?.length || 0) * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  /**
+   * Preenche a janela de contexto com o histórico mais recente primeiro.
+   * O system prompt e a mensagem atual são sempre mantidos; o histórico mais antigo é descartado
+   * quando não cabe no espaço restante depois de reservar os tokens da resposta.
+   * @param history - Histórico em ordem cronológica (mais antigo primeiro)
+   * @param maxResponseTokens - Tokens pedidos para a resposta (no máximo metade da janela é reservada)
+   */
+  fitToWindow(params: {
+    systemMessages?: ContextMessage[];
+    history: ContextMessage[];
+    currentMessage: ContextMessage;
+    contextLength?: number;
+    maxResponseTokens?: number;
+  }): { messages: ContextMessage[]; usage: ContextUsage } {
+    const contextLength = params.contextLength && params.contextLength > 0
+      ? params.contextLength
+      : this.defaultContextLength;
+    const reservedTokens = Math.min(params.maxResponseTokens || 1024, Math.floor(contextLength / 2));
+    const systemMessages = params.systemMessages || [];
+
+    let usedTokens = [...systemMessages, params.currentMessage]
+      .reduce((total, message) => total + this.estimateMessageTokens(message), 0);
+    const budget = contextLength - reservedTokens;
+
+    const included: ContextMessage[] = [];
+    for (let i = params.history.length - 1; i >= 0; i--) {
+      const messageTokens = this.estimateMessageTokens(params.history[i]);
+      if (usedTokens + messageTokens > budget) {
+        break;
+      }
+      usedTokens += messageTokens;
+      included.unshift(params.history[i]);
+    }
+
+    const droppedMessages = params.history.length - included.length;
+    if (usedTokens > budget) {
+      this.logger.warn(`⚠️ Prompt (~${usedTokens} tokens) exceeds the context budget (${budget}) even without history`);
+    } else if (droppedMessages > 0) {
+      this.logger.log(`✂️ Dropped ${droppedMessages} older message(s) to fit ${contextLength} tokens of context`);
+    }
+
+    return {
+      messages: [...systemMessages, ...included, params.currentMessage],
+      usage: {
+        contextLength,
+        reservedTokens,
+        promptTokens: usedTokens,
+        includedMessages: included.length,
+        droppedMessages,
+        estimated: true,
+      },
+    };
+  }
+}
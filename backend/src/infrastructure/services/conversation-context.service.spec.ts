@@ -0,0 +1,94 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { ConversationContextService } from './conversation-context.service';
+import { ContextWindowService } from './context-window.service';
+import { OllamaService } from './ollama.service';
+import { FileAttachmentService } from './file-attachment.service';
+
+describe('ConversationContextService', () => {
+  let service: ConversationContextService;
+  let ollamaService: { getModelContextLength: jest.Mock };
+  let fileAttachmentService: { readImageBase64: jest.Mock };
+
+  const at = (minute: number) => new Date(Date.UTC(2025, 0, 1, 12, minute));
+  const image = (filename: string) => ({ type: 'file', filename, mimeType: 'image/png' });
+
+  beforeEach(async () => {
+    ollamaService = { getModelContextLength: jest.fn().mockResolvedValue(null) };
+    fileAttachmentService = {
+      readImageBase64: jest.fn((userId: string, filename: string) => {
+        if (filename === 'missing.png') {
+          throw new Error('not found');
+        }
+        return `iVBORw0KGgo-${filename}`;
+      }),
+    };
+
+    const config = { CONTEXT_DEFAULT_LENGTH: 4096, VISION_MAX_IMAGES: 2 };
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        ConversationContextService,
+        ContextWindowService,
+        { provide: OllamaService, useValue: ollamaService },
+        { provide: FileAttachmentService, useValue: fileAttachmentService },
+        {
+          provide: ConfigService,
+          useValue: { get: jest.fn((key: string, defaultValue?: any) => config[key] ?? defaultValue) },
+        },
+      ],
+    }).compile();
+
+    service = module.get<ConversationContextService>(ConversationContextService);
+  });
+
+  it('should order the history, skip the stored current message and add knowledge excerpts and file text', () => {
+    const history: any[] = [
+      { role: 'assistant', content: 'a1', createdAt: at(1) },
+      { role: 'user', content: 'q1', createdAt: at(0), attachments: [
+        { type: 'file', filename: 'notes.txt', originalName: 'notes.txt', metadata: { extractedText: 'file body' } },
+      ] },
+      { role: 'user', content: 'q2', createdAt: at(2) },
+    ];
+
+    const { messages, usage } = service.buildContext(history, 'q2', 'Be brief.', [], undefined, undefined, [
+      { index: 1, documentName: 'manual.pdf', content: 'excerpt' },
+    ]);
+
+    expect(messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[0].content).toContain('Be brief.');
+    expect(messages[0].content).toContain('[1] manual.pdf\nexcerpt');
+    expect(messages[1].content).toBe('q1\n\n--- Attached file: notes.txt ---\nfile body\n--- End of notes.txt ---');
+    expect(messages[3].content).toBe('q2');
+    expect(usage.droppedMessages).toBe(0);
+  });
+
+  it('should send only the most recent images and attach them to their messages', () => {
+    const history: any[] = [
+      { role: 'user', content: 'q1', createdAt: at(0), attachments: [image('old.png')] },
+      { role: 'user', content: 'q2', createdAt: at(1), attachments: [image('missing.png')] },
+    ];
+    const current: any[] = [image('new.png')];
+
+    const images = service.loadVisionImages('user-1', history, current);
+    const { messages } = service.buildContext(history, 'q3', undefined, current, undefined, undefined, [], images);
+
+    expect([...images.keys()]).toEqual(['new.png']);
+    expect(messages[0].images).toBeUndefined();
+    expect(messages[2].images).toEqual(['iVBORw0KGgo-new.png']);
+    expect(service.toOpenAIMessages(messages)[2].content).toEqual([
+      { type: 'text', text: 'q3' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo-new.png' } },
+    ]);
+  });
+
+  it('should prefer the requested context length, then the model, then the default', async () => {
+    await expect(service.resolveContextLength('llama3', undefined, 2048)).resolves.toBe(2048);
+    expect(ollamaService.getModelContextLength).not.toHaveBeenCalled();
+
+    ollamaService.getModelContextLength.mockResolvedValueOnce(8192);
+    await expect(service.resolveContextLength('llama3', 'http://ollama:11434')).resolves.toBe(8192);
+    expect(ollamaService.getModelContextLength).toHaveBeenCalledWith('llama3', 'http://ollama:11434');
+
+    await expect(service.resolveContextLength('llama3')).resolves.toBe(4096);
+  });
+});
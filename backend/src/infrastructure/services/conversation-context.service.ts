@@ -0,0 +1,246 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+import { OllamaService } from './ollama.service';
+import { ContextWindowService, ContextUsage } from './context-window.service';
+import { FileAttachmentService, StoredFileAttachment } from './file-attachment.service';
+
+/**
+ * Mensagem enviada ao modelo; mensagens de ferramenta levam campos extras (tool_calls, tool_call_id...)
+ */
+export type ContextMessage = { role: string; content: string; [key: string]: any };
+
+/**
+ * Imagens enviadas pelo usuário (base64) indexadas pelo nome do arquivo armazenado
+ */
+export type VisionImages = Map<string, string>;
+
+/**
+ * Trecho de base de conhecimento incluído no system prompt, numerado para ser citado como [index]
+ */
+export interface KnowledgeExcerpt {
+  index: number;
+  documentName: string;
+  content: string;
+}
+
+/**
+ * Início do base64 de cada formato de imagem aceito, para montar as data URLs da API OpenAI
+ */
+const IMAGE_BASE64_SIGNATURES: Array<[string, string]> = [
+  ['iVBORw0KGgo', 'image/png'],
+  ['/9j/', 'image/jpeg'],
+  ['R0lGOD', 'image/gif'],
+  ['UklGR', 'image/webp'],
+];
+
+/**
+ * Monta o contexto enviado ao modelo a cada resposta: system prompt com os trechos das bases
+ * de conhecimento, histórico que cabe na janela de contexto, texto dos documentos anexados
+ * e imagens para os modelos de visão
+ */
+@Injectable()
+export class ConversationContextService {
+  private readonly logger = new Logger(ConversationContextService.name);
+  private readonly visionMaxImages: number;
+
+  constructor(
+    private readonly ollamaService: OllamaService,
+    private readonly contextWindowService: ContextWindowService,
+    private readonly fileAttachmentService: FileAttachmentService,
+    private readonly configService: ConfigService,
+  ) {
+    this.visionMaxImages = Number(this.configService.get('VISION_MAX_IMAGES', 4));
+  }
+
+  /**
+   * Builds conversation context including history as an array of messages for the LLM API
+   * History is added newest-first until the model's context window (minus the response reserve) is full
+   * Knowledge base excerpts are appended to the system message, numbered so the answer can cite them as [n]
+   * Images uploaded by the user go in the images field of their message (Ollama format)
+   */
+  buildContext(
+    messageHistory: ChatMessage[],
+    currentMessage: string,
+    systemPrompt?: string,
+    currentAttachments: StoredFileAttachment[] = [],
+    contextLength?: number,
+    maxResponseTokens?: number,
+    knowledgeSources: KnowledgeExcerpt[] = [],
+    images: VisionImages = new Map()
+  ): { messages: ContextMessage[]; usage: ContextUsage } {
+    const systemMessages: Array<{ role: string; content: string }> = [];
+    const systemContent = [systemPrompt?.trim(), this.formatKnowledgeContext(knowledgeSources)]
+      .filter(Boolean)
+      .join('\n\n');
+
+    // Add system prompt if provided
+    if (systemContent) {
+      systemMessages.push({
+        role: 'system',
+        content: systemContent
+      });
+      this.logger.log(`📋 Added system prompt to context${knowledgeSources.length ? ` with ${knowledgeSources.length} knowledge excerpts` : ''}`);
+    }
+
+    const filteredHistory = this.prepareHistory(messageHistory, currentMessage);
+
+    const { messages, usage } = this.contextWindowService.fitToWindow({
+      systemMessages,
+      history: filteredHistory.map(msg => msg.role === 'user'
+        ? this.withImages({ role: 'user', content: this.appendFileContext(msg.content, msg.attachments) }, msg.attachments, images)
+        : { role: 'assistant', content: msg.content }
+      ),
+      // Add the current message (with the text extracted from any attached documents and its images)
+      currentMessage: this.withImages({
+        role: 'user',
+        content: this.appendFileContext(currentMessage, currentAttachments)
+      }, currentAttachments, images),
+      contextLength,
+      maxResponseTokens,
+    });
+
+    this.logger.log(`📝 Built context with ${messages.length} messages (${messages.filter(m => m.role === 'user').length} user, ${messages.filter(m => m.role === 'assistant').length} assistant, ${systemMessages.length} system) - ~${usage.promptTokens}/${usage.contextLength} tokens`);
+
+    return { messages, usage };
+  }
+
+  /**
+   * Orders the history chronologically and drops the current message if it was already stored
+   */
+  prepareHistory(messageHistory: ChatMessage[], currentMessage: string): ChatMessage[] {
+    // Sort messages by date (oldest first)
+    const sortedHistory = [...messageHistory].sort((a, b) =>
+      new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+    );
+
+    // Filter out the current message if it's already in history (avoid duplication)
+    return sortedHistory.filter(msg =>
+      !(msg.role === 'user' && msg.content === currentMessage)
+    );
+  }
+
+  /**
+   * Resolve o tamanho de contexto do modelo Ollama (valor do cliente > /api/show > padrão)
+   */
+  async resolveContextLength(model: string, baseUrl?: string, requestedLength?: number): Promise<number> {
+    if (requestedLength) {
+      return requestedLength;
+    }
+
+    const detected = await this.ollamaService.getModelContextLength(model, baseUrl);
+    return detected || this.contextWindowService.getDefaultContextLength();
+  }
+
+  /**
+   * Tokens estimados de um texto (para respostas cujo provedor não informa a contagem)
+   */
+  estimateTokens(content: string): number {
+    return this.contextWindowService.estimateTokens(content || '');
+  }
+
+  /**
+   * Lê as imagens enviadas pelo usuário na conversa para os modelos de visão
+   * (só as VISION_MAX_IMAGES mais recentes; imagens removidas do disco são ignoradas)
+   */
+  loadVisionImages(
+    userId: string,
+    messageHistory: ChatMessage[],
+    currentAttachments: StoredFileAttachment[]
+  ): VisionImages {
+    const imageAttachments = [
+      ...messageHistory.flatMap(msg => (msg.role === 'user' ? msg.attachments || [] : [])),
+      ...currentAttachments,
+    ]
+      .filter(att => att.type === 'file' && att.mimeType?.startsWith('image/'))
+      .slice(-this.visionMaxImages);
+
+    const images: VisionImages = new Map();
+    for (const attachment of imageAttachments) {
+      try {
+        images.set(attachment.filename, this.fileAttachmentService.readImageBase64(userId, attachment.filename));
+      } catch (error) {
+        this.logger.warn(`Imagem ${attachment.filename} indisponível: ${error.message}`);
+      }
+    }
+
+    if (images.size > 0) {
+      this.logger.log(`🖼️ Sending ${images.size} image(s) to the model`);
+    }
+    return images;
+  }
+
+  /**
+   * Converte as imagens para o formato da API OpenAI: o conteúdo vira uma lista de partes
+   * (texto + image_url com data URL)
+   */
+  toOpenAIMessages(messages: ContextMessage[]): Array<Record<string, any>> {
+    return messages.map(({ images, ...message }) => {
+      if (!images?.length) {
+        return message;
+      }
+
+      return {
+        ...message,
+        content: [
+          { type: 'text', text: message.content },
+          ...images.map((data: string) => {
+            const mimeType = IMAGE_BASE64_SIGNATURES.find(([signature]) => data.startsWith(signature))?.[1] || 'image/png';
+            return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+          }),
+        ],
+      };
+    });
+  }
+
+  /**
+   * Instructions and numbered excerpts retrieved from the session's knowledge bases
+   */
+  private formatKnowledgeContext(knowledgeSources: KnowledgeExcerpt[]): string {
+    if (!knowledgeSources.length) {
+      return '';
+    }
+
+    const excerpts = knowledgeSources
+      .map(source => `[${source.index}] ${source.documentName}\n${source.content}`)
+      .join('\n\n');
+
+    return [
+      'Use the following excerpts from the user\'s documents when they are relevant to the question.',
+      'Cite the excerpts you use with their number in brackets, e.g. [1]. If they do not contain the answer, say so and answer from your own knowledge.',
+      '',
+      excerpts,
+    ].join('\n');
+  }
+
+  /**
+   * Anexa ao conteúdo da mensagem o texto extraído dos documentos enviados
+   */
+  private appendFileContext(content: string, attachments?: ChatMessage['attachments']): string {
+    const documents = (attachments || []).filter(att => att.type === 'file' && att.metadata?.extractedText);
+
+    if (documents.length === 0) {
+      return content;
+    }
+
+    const sections = documents.map(att => {
+      const name = att.originalName || att.filename;
+      const note = att.metadata.truncated ? ' (truncated)' : '';
+      return `--- Attached file: ${name}${note} ---\n${att.metadata.extractedText}\n--- End of ${name} ---`;
+    });
+
+    return `${content}\n\n${sections.join('\n\n')}`;
+  }
+
+  /**
+   * Adiciona à mensagem as imagens carregadas dos seus anexos
+   */
+  private withImages(message: ContextMessage, attachments: ChatMessage['attachments'], images: VisionImages): ContextMessage {
+    const messageImages = (attachments || [])
+      .map(att => images.get(att.filename))
+      .filter((data): data is string => !!data);
+
+    return messageImages.length > 0 ? { ...message, images: messageImages } : message;
+  }
+}
@@ -0,0 +1,122 @@
+import { BadRequestException } from '@nestjs/common';
+import { ConversationTransferService, CONVERSATION_EXPORT_FORMAT } from './conversation-transfer.service';
+import { ChatSession } from '../../domain/entities/chat-session.entity';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+
+describe('ConversationTransferService', () => {
+  const service = new ConversationTransferService();
+
+  const session = Object.assign(new ChatSession(), {
+    id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+    title: 'Plano de <Migração>',
+    activeMessageId: 'a2',
+    metadata: { model: 'llama3.2', summary: { content: 'x', summarizedMessageCount: 2, updatedAt: '' } },
+    createdAt: new Date('2025-01-01T12:00:00Z'),
+    updatedAt: new Date('2025-01-01T12:05:00Z'),
+  });
+
+  const message = (data: Partial<ChatMessage>) => Object.assign(new ChatMessage(), data);
+  const messages = [
+    message({ id: 'u1', parentMessageId: null, role: 'user', content: 'Use <b>Postgres</b>?', createdAt: new Date('2025-01-01T12:00:00Z') }),
+    message({
+      id: 'a1', parentMessageId: 'u1', role: 'assistant', content: 'Sim.', status: 'delivered',
+      metadata: { model: 'llama3.2', tokens: 12, responseTime: 1500 }, createdAt: new Date('2025-01-01T12:01:00Z'),
+    }),
+    message({
+      id: 'a2', parentMessageId: 'u1', role: 'assistant', content: 'Com certeza.', status: 'delivered',
+      attachments: [{ type: 'image', url: '/images/x.png', filename: 'x.png' }], createdAt: new Date('2025-01-01T12:02:00Z'),
+    }),
+  ];
+  const branch = [messages[0], messages[2]];
+
+  it('should export the whole tree as JSON without the derived summary', () => {
+    const file = service.export(session, messages, branch, 'json');
+    const data = JSON.parse(file.content);
+
+    expect(file.filename).toBe('plano-de-migracao-0f8fad5b.json');
+    expect(data.format).toBe(CONVERSATION_EXPORT_FORMAT);
+    expect(data.session.metadata).toEqual({ model: 'llama3.2' });
+    expect(data.messages.map(m => m.id)).toEqual(['u1', 'a1', 'a2']);
+    expect(data.messages[1].metadata.tokens).toBe(12);
+  });
+
+  it('should export only the active branch as Markdown and escaped HTML', () => {
+    const markdown = service.export(session, messages, branch, 'markdown').content;
+    const html = service.export(session, messages, branch, 'html').content;
+
+    expect(markdown).toContain('# Plano de <Migração>');
+    expect(markdown).toContain('Com certeza.');
+    expect(markdown).toContain('![x.png](/images/x.png)');
+    expect(markdown).not.toContain('Sim.');
+    expect(html).toContain('Use &lt;b&gt;Postgres&lt;/b&gt;?');
+    expect(html).toContain('<img src="/images/x.png" alt="x.png">');
+  });
+
+  it('should read back a native export', () => {
+    const payload = service.toJson(session, messages);
+    const [conversation] = service.parseImport(JSON.parse(JSON.stringify(payload)));
+
+    expect(conversation.title).toBe('Plano de <Migração>');
+    expect(conversation.activeSourceId).toBe('a2');
+    expect(conversation.messages.map(m => [m.sourceId, m.parentSourceId])).toEqual([
+      ['u1', null],
+      ['a1', 'u1'],
+      ['a2', 'u1'],
+    ]);
+  });
+
+  it('should import ChatGPT conversations, skipping nodes without text', () => {
+    const chatGptExport = [{
+      title: 'Receita de pão',
+      create_time: 1735732800,
+      current_node: 'n3',
+      mapping: {
+        root: { id: 'root', message: null, parent: null, children: ['sys'] },
+        sys: { id: 'sys', message: { author: { role: 'system' }, content: { parts: [''] } }, parent: 'root', children: ['n1'] },
+        n1: {
+          id: 'n1', parent: 'sys', children: ['n2'],
+          message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Como fazer pão?'] }, create_time: 1735732801 },
+        },
+        n2: {
+          id: 'n2', parent: 'n1', children: ['n3'],
+          message: {
+            author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Farinha, água e sal.'] },
+            metadata: { model_slug: 'gpt-4o' }, create_time: 1735732802,
+          },
+        },
+        n3: { id: 'n3', parent: 'n2', children: [], message: { author: { role: 'tool' }, content: { parts: ['{}'] } } },
+      },
+    }];
+
+    const [conversation] = service.parseImport(chatGptExport);
+
+    expect(conversation.title).toBe('Receita de pão');
+    expect(conversation.activeSourceId).toBe('n2');
+    expect(conversation.messages).toEqual([
+      expect.objectContaining({ sourceId: 'n1', parentSourceId: null, role: 'user', content: 'Como fazer pão?' }),
+      expect.objectContaining({ sourceId: 'n2', parentSourceId: 'n1', metadata: { model: 'gpt-4o' } }),
+    ]);
+  });
+
+  it('should order imported messages parents first, turning orphans and cycles into roots', () => {
+    const imported = (sourceId: string, parentSourceId: string | null) =>
+      ({ sourceId, parentSourceId, role: 'user', content: sourceId }) as any;
+
+    const ordered = service.orderForInsert([
+      imported('c', 'b'),
+      imported('b', 'a'),
+      imported('a', null),
+      imported('x', 'missing'),
+      imported('p', 'q'),
+      imported('q', 'p'),
+    ]);
+
+    expect(ordered.map(m => [m.sourceId, m.parentSourceId])).toEqual([
+      ['a', null], ['b', 'a'], ['c', 'b'], ['x', null], ['p', null], ['q', 'p'],
+    ]);
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => service.parseImport({ foo: 'bar' })).toThrow(BadRequestException);
+  });
+});
@@ -0,0 +1,433 @@
+import { Injectable, BadRequestException } from '@nestjs/common';
+import { ChatSession } from '../../domain/entities/chat-session.entity';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+
+export const CONVERSATION_EXPORT_FORMATS = ['json', 'markdown', 'html'] as const;
+export type ConversationExportFormat = typeof CONVERSATION_EXPORT_FORMATS[number];
+
+/**
+ * Identificador do formato de exportação nativo
+ */
+export const CONVERSATION_EXPORT_FORMAT = 'xandai-conversation';
+export const CONVERSATION_EXPORT_VERSION = 1;
+
+/**
+ * Arquivo gerado por uma exportação
+ */
+export interface ConversationExportFile {
+  filename: string;
+  contentType: string;
+  content: string;
+}
+
+/**
+ * Mensagem importada; os IDs de origem só servem para reconstruir a árvore
+ */
+export interface ImportedMessage {
+  sourceId: string;
+  parentSourceId: string | null;
+  role: 'user' | 'assistant' | 'system';
+  content: string;
+  metadata?: Record<string, any>;
+  attachments?: ChatMessage['attachments'];
+  createdAt?: Date;
+}
+
+/**
+ * Conversa pronta para ser recriada como ChatSession + ChatMessage
+ */
+export interface ImportedConversation {
+  title: string;
+  description?: string;
+  metadata?: Record<string, any>;
+  createdAt?: Date;
+  /** Última mensagem do ramo que estava aberto na origem */
+  activeSourceId?: string;
+  messages: ImportedMessage[];
+}
+
+/**
+ * Exportação e importação de conversas.
+ * O JSON nativo guarda a árvore completa (ramos alternativos incluídos); Markdown e HTML
+ * trazem apenas o ramo ativo, que é o que o usuário lê na tela.
+ */
+@Injectable()
+export class ConversationTransferService {
+  /**
+   * Gera o arquivo de exportação no formato pedido
+   * @param messages - Todas as mensagens da sessão (todos os ramos)
+   * @param branch - Mensagens do ramo ativo, da raiz até a última
+   */
+  export(
+    session: ChatSession,
+    messages: ChatMessage[],
+    branch: ChatMessage[],
+    format: ConversationExportFormat
+  ): ConversationExportFile {
+    const basename = this.buildFilename(session);
+
+    switch (format) {
+      case 'markdown':
+        return {
+          filename: `${basename}.md`,
+          contentType: 'text/markdown; charset=utf-8',
+          content: this.toMarkdown(session, branch),
+        };
+      case 'html':
+        return {
+          filename: `${basename}.html`,
+          contentType: 'text/html; charset=utf-8',
+          content: this.toHtml(session, branch),
+        };
+      default:
+        return {
+          filename: `${basename}.json`,
+          contentType: 'application/json; charset=utf-8',
+          content: JSON.stringify(this.toJson(session, messages), null, 2),
+        };
+    }
+  }
+
+  /**
+   * Exportação nativa em JSON (pode ser importada de volta)
+   */
+  toJson(session: ChatSession, messages: ChatMessage[]): Record<string, any> {
+    // O resumo é derivado das mensagens e é recriado após a importação
+    const { summary, ...metadata } = session.metadata || {};
+
+    return {
+      format: CONVERSATION_EXPORT_FORMAT,
+      version: CONVERSATION_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      session: {
+        id: session.id,
+        title: session.title,
+        description: session.description,
+        metadata,
+        activeMessageId: session.activeMessageId,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+      },
+      messages: messages.map(message => ({
+        id: message.id,
+        parentMessageId: message.parentMessageId || null,
+        role: message.role,
+        content: message.content,
+        status: message.status,
+        metadata: message.metadata,
+        attachments: message.attachments,
+        createdAt: message.createdAt,
+      })),
+    };
+  }
+
+  /**
+   * Exportação em Markdown do ramo ativo
+   */
+  toMarkdown(session: ChatSession, branch: ChatMessage[]): string {
+    const lines = [`# ${session.title || 'Conversa'}`, ''];
+
+    if (session.description) {
+      lines.push(session.description, '');
+    }
+    lines.push(`_Exported from XandAI on ${new Date().toISOString()}_`, '');
+
+    for (const message of branch) {
+      lines.push('---', '', `### ${this.roleLabel(message.role)} · ${this.formatDate(message.createdAt)}`, '');
+      lines.push(message.content || '', '');
+
+      for (const attachment of message.attachments || []) {
+        const name = attachment.originalName || attachment.filename;
+        lines.push(attachment.type === 'image' ? `![${name}](${attachment.url})` : `📎 [${name}](${attachment.url})`);
+      }
+      if (message.attachments?.length) {
+        lines.push('');
+      }
+
+      const details = this.describeMetadata(message);
+      if (details) {
+        lines.push(`_${details}_`, '');
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Exportação em HTML (documento autocontido) do ramo ativo
+   */
+  toHtml(session: ChatSession, branch: ChatMessage[]): string {
+    const title = this.escapeHtml(session.title || 'Conversa');
+
+    const messages = branch.map(message => {
+      const attachments = (message.attachments || []).map(attachment => {
+        const name = this.escapeHtml(attachment.originalName || attachment.filename);
+        const url = this.escapeHtml(attachment.url);
+        return attachment.type === 'image'
+          ? `<img src="${url}" alt="${name}">`
+          : `<a class="file" href="${url}">📎 ${name}</a>`;
+      }).join('\n');
+      const details = this.describeMetadata(message);
+
+      return `<section class="message ${message.role}">
+  <header>${this.roleLabel(message.role)} · ${this.escapeHtml(this.formatDate(message.createdAt))}</header>
+  <div class="content">${this.escapeHtml(message.content || '')}</div>
+  ${attachments ? `<div class="attachments">${attachments}</div>` : ''}
+  ${details ? `<footer>${this.escapeHtml(details)}</footer>` : ''}
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  .message { border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; border: 1px solid #ddd; }
+  .message.user { background: #eef4ff; }
+  .message.system { background: #f6f6f6; font-style: italic; }
+  header { font-size: 0.8rem; font-weight: 600; color: #555; margin-bottom: 0.5rem; }
+  .content { white-space: pre-wrap; word-wrap: break-word; }
+  .attachments img { max-width: 100%; margin-top: 0.5rem; border-radius: 4px; }
+  .attachments .file { display: inline-block; margin-top: 0.5rem; }
+  footer { font-size: 0.75rem; color: #777; margin-top: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${session.description ? `<p>${this.escapeHtml(session.description)}</p>` : ''}
+${messages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Interpreta um arquivo de importação: exportação nativa do XandAI ou conversations.json do ChatGPT
+   * (uma conversa ou a lista completa)
+   */
+  parseImport(payload: any): ImportedConversation[] {
+    if (payload?.format === CONVERSATION_EXPORT_FORMAT) {
+      return [this.parseNativeExport(payload)];
+    }
+
+    const candidates = Array.isArray(payload) ? payload : [payload];
+    if (candidates.length > 0 && candidates.every(item => item && typeof item.mapping === 'object')) {
+      return candidates
+        .map(conversation => this.parseChatGptConversation(conversation))
+        .filter(conversation => conversation.messages.length > 0);
+    }
+
+    throw new BadRequestException('Formato de importação não reconhecido (use a exportação JSON do XandAI ou do ChatGPT)');
+  }
+
+  /**
+   * Ordena as mensagens importadas com os pais antes dos filhos, para salvá-las de uma vez.
+   * Mensagens com pai ausente ou presas em ciclos viram raízes, para não perder nenhuma
+   */
+  orderForInsert(messages: ImportedMessage[]): ImportedMessage[] {
+    const sourceIds = new Set(messages.map(message => message.sourceId));
+    const children = new Map<string, ImportedMessage[]>();
+    for (const message of messages) {
+      if (message.parentSourceId && sourceIds.has(message.parentSourceId)) {
+        const siblings = children.get(message.parentSourceId) || [];
+        siblings.push(message);
+        children.set(message.parentSourceId, siblings);
+      }
+    }
+
+    const ordered: ImportedMessage[] = [];
+    const placed = new Set<string>();
+    const placeSubtree = (root: ImportedMessage) => {
+      let index = ordered.length;
+      ordered.push({ ...root, parentSourceId: null });
+      placed.add(root.sourceId);
+
+      for (; index < ordered.length; index++) {
+        for (const child of children.get(ordered[index].sourceId) || []) {
+          if (!placed.has(child.sourceId)) {
+            placed.add(child.sourceId);
+            ordered.push(child);
+          }
+        }
+      }
+    };
+
+    for (const message of messages) {
+      if (!placed.has(message.sourceId) && !(message.parentSourceId && sourceIds.has(message.parentSourceId))) {
+        placeSubtree(message);
+      }
+    }
+    for (const message of messages) {
+      if (!placed.has(message.sourceId)) {
+        placeSubtree(message);
+      }
+    }
+
+    return ordered;
+  }
+
+  private parseNativeExport(payload: any): ImportedConversation {
+    if (!Array.isArray(payload.messages)) {
+      throw new BadRequestException('Exportação inválida: lista de mensagens ausente');
+    }
+
+    const messages: ImportedMessage[] = payload.messages
+      .filter(message => this.isValidRole(message?.role) && typeof message.content === 'string')
+      .map((message, index) => ({
+        sourceId: String(message.id ?? index),
+        parentSourceId: message.parentMessageId != null ? String(message.parentMessageId) : null,
+        role: message.role,
+        content: message.content,
+        metadata: message.metadata || undefined,
+        attachments: Array.isArray(message.attachments) ? message.attachments : undefined,
+        createdAt: this.parseDate(message.createdAt),
+      }));
+
+    return {
+      title: payload.session?.title || 'Conversa importada',
+      description: payload.session?.description,
+      metadata: payload.session?.metadata,
+      createdAt: this.parseDate(payload.session?.createdAt),
+      activeSourceId: payload.session?.activeMessageId || undefined,
+      messages: this.relinkOrphans(messages),
+    };
+  }
+
+  /**
+   * O ChatGPT exporta a árvore em "mapping" (nós com parent/children); nós sem texto
+   * (raiz, system oculto, ferramentas) são pulados e os filhos sobem para o ancestral mais próximo
+   */
+  private parseChatGptConversation(conversation: any): ImportedConversation {
+    const mapping: Record<string, any> = conversation.mapping || {};
+    const kept = new Map<string, ImportedMessage>();
+
+    for (const [nodeId, node] of Object.entries(mapping)) {
+      const message = node?.message;
+      const role = message?.author?.role;
+      const content = this.extractChatGptText(message?.content);
+
+      if (!['user', 'assistant'].includes(role) || !content) {
+        continue;
+      }
+
+      kept.set(nodeId, {
+        sourceId: nodeId,
+        parentSourceId: null,
+        role,
+        content,
+        metadata: message.metadata?.model_slug ? { model: message.metadata.model_slug } : undefined,
+        createdAt: this.parseEpoch(message.create_time),
+      });
+    }
+
+    for (const [nodeId, message] of kept) {
+      let parentId = mapping[nodeId]?.parent;
+      const visited = new Set<string>();
+      while (parentId && !kept.has(parentId) && !visited.has(parentId)) {
+        visited.add(parentId);
+        parentId = mapping[parentId]?.parent;
+      }
+      message.parentSourceId = parentId && kept.has(parentId) ? parentId : null;
+    }
+
+    // current_node pode ser um nó sem texto; sobe até a última mensagem mantida
+    let activeSourceId = conversation.current_node;
+    while (activeSourceId && !kept.has(activeSourceId)) {
+      activeSourceId = mapping[activeSourceId]?.parent;
+    }
+
+    return {
+      title: conversation.title || 'Conversa importada do ChatGPT',
+      createdAt: this.parseEpoch(conversation.create_time),
+      metadata: { importedFrom: 'chatgpt' },
+      activeSourceId: activeSourceId || undefined,
+      messages: [...kept.values()],
+    };
+  }
+
+  private extractChatGptText(content: any): string {
+    if (!content) {
+      return '';
+    }
+    if (Array.isArray(content.parts)) {
+      return content.parts
+        .filter(part => typeof part === 'string')
+        .join('\n')
+        .trim();
+    }
+    return typeof content.text === 'string' ? content.text.trim() : '';
+  }
+
+  /**
+   * Mensagens cujo pai não veio no arquivo passam a ser filhas da mensagem anterior
+   */
+  private relinkOrphans(messages: ImportedMessage[]): ImportedMessage[] {
+    const ids = new Set(messages.map(message => message.sourceId));
+    return messages.map((message, index) =>
+      message.parentSourceId && !ids.has(message.parentSourceId)
+        ? { ...message, parentSourceId: index > 0 ? messages[index - 1].sourceId : null }
+        : message
+    );
+  }
+
+  private buildFilename(session: ChatSession): string {
+    const slug = (session.title || 'conversa')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60);
+    return `${slug || 'conversa'}-${session.id.slice(0, 8)}`;
+  }
+
+  private describeMetadata(message: ChatMessage): string {
+    const metadata = message.metadata || {};
+    const responseTime = metadata.responseTime ?? metadata.processingTime;
+
+    return [
+      metadata.model && `model: ${metadata.model}`,
+      metadata.tokens && `${metadata.tokens} tokens`,
+      responseTime && `${(responseTime / 1000).toFixed(2)}s`,
+      message.status === 'cancelled' && 'stopped',
+    ].filter(Boolean).join(' · ');
+  }
+
+  private roleLabel(role: string): string {
+    switch (role) {
+      case 'user':
+        return '👤 User';
+      case 'system':
+        return '⚙️ System';
+      default:
+        return '🤖 Assistant';
+    }
+  }
+
+  private formatDate(date: Date | string | undefined): string {
+    return date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) : '';
+  }
+
+  private escapeHtml(text: string): string {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  private isValidRole(role: any): role is ImportedMessage['role'] {
+    return ['user', 'assistant', 'system'].includes(role);
+  }
+
+  private parseDate(value: any): Date | undefined {
+    const date = value ? new Date(value) : undefined;
+    return date && !isNaN(date.getTime()) ? date : undefined;
+  }
+
+  private parseEpoch(value: any): Date | undefined {
+    return typeof value === 'number' ? new Date(value * 1000) : undefined;
+  }
+}
@@ -52,9 +52,10 @@ export class DynamicLLMService {
   /**
    * Send streaming chat completion request
    * @param request - Chat completion request with stream: true
+   * @param signal - Aborts the upstream request when the client cancels (optional)
    * @returns ReadableStream for SSE events
    */
-  async chatCompletionStream(request: any): Promise<ReadableStream> {
+  async chatCompletionStream(request: any, signal?: AbortSignal): Promise<ReadableStream> {
     try {
       this.logger.log(`📤 Sending streaming chat completion request`);
       
@@ -62,6 +63,7 @@ export class DynamicLLMService {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ ...request, stream: true }),
+        signal,
       });
 
       if (!response.ok) {
@@ -0,0 +1,134 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { BadRequestException, NotFoundException, PayloadTooLargeException } from '@nestjs/common';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { FileAttachmentService } from './file-attachment.service';
+
+describe('FileAttachmentService', () => {
+  let service: FileAttachmentService;
+  let workDir: string;
+  let cwdSpy: jest.SpyInstance;
+
+  const buildFile = (originalname: string, content: string, mimetype = 'text/plain'): Express.Multer.File => ({
+    fieldname: 'file',
+    originalname,
+    encoding: '7bit',
+    mimetype,
+    size: Buffer.byteLength(content),
+    buffer: Buffer.from(content),
+  } as Express.Multer.File);
+
+  beforeEach(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xandai-uploads-'));
+    cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        FileAttachmentService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                UPLOAD_MAX_FILE_SIZE_MB: 1,
+                UPLOAD_MAX_EXTRACTED_CHARS: 20,
+              };
+              return config[key] ?? defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<FileAttachmentService>(FileAttachmentService);
+  });
+
+  afterEach(() => {
+    cwdSpy.mockRestore();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('saveUpload', () => {
+    it('should store the file under the user directory and extract its text', async () => {
+      const attachment = await service.saveUpload('user-123', buildFile('notes.md', '# Notes\nHello'));
+
+      expect(attachment.type).toBe('file');
+      expect(attachment.originalName).toBe('notes.md');
+      expect(attachment.filename).toMatch(/\.md$/);
+      expect(attachment.url).toBe(`/api/v1/chat/attachments/files/${attachment.filename}`);
+      expect(attachment.metadata.extractedText).toBe('# Notes\nHello');
+      expect(attachment.metadata.truncated).toBe(false);
+      expect(fs.existsSync(path.join(workDir, 'public', 'uploads', 'user-123', attachment.filename))).toBe(true);
+    });
+
+    it('should truncate extracted text above the configured limit', async () => {
+      const attachment = await service.saveUpload('user-123', buildFile('main.py', 'print("hello world from python")'));
+
+      expect(attachment.metadata.extractedText).toHaveLength(20);
+      expect(attachment.metadata.extractedChars).toBe(32);
+      expect(attachment.metadata.truncated).toBe(true);
+    });
+
+    it('should reject unsupported file types', async () => {
+      await expect(
+        service.saveUpload('user-123', buildFile('archive.zip', 'PK', 'application/zip')),
+      ).rejects.toThrow(BadRequestException);
+    });
+
+    it('should store images without extracting text', async () => {
+      const attachment = await service.saveUpload('user-123', buildFile('photo.JPG', 'jpeg-bytes', 'image/jpeg'));
+
+      expect(attachment.filename).toMatch(/\.jpg$/);
+      expect(attachment.mimeType).toBe('image/jpeg');
+      expect(attachment.metadata).toEqual({});
+    });
+
+    it('should name pasted images after their mime type', async () => {
+      const attachment = await service.saveUpload('user-123', buildFile('image', 'png-bytes', 'image/png'));
+
+      expect(attachment.filename).toMatch(/\.png$/);
+      expect(service.readImageBase64('user-123', attachment.filename)).toBe(Buffer.from('png-bytes').toString('base64'));
+    });
+
+    it('should reject files above the size limit', async () => {
+      const bigFile = buildFile('big.txt', 'x');
+      bigFile.size = 2 * 1024 * 1024;
+
+      await expect(service.saveUpload('user-123', bigFile)).rejects.toThrow(PayloadTooLargeException);
+    });
+  });
+
+  describe('loadAttachment', () => {
+    it('should reload a stored file and keep the original name', async () => {
+      const stored = await service.saveUpload('user-123', buildFile('app.ts', 'const a = 1;'));
+
+      const loaded = await service.loadAttachment('user-123', {
+        filename: stored.filename,
+        originalName: 'app.ts',
+      });
+
+      expect(loaded.originalName).toBe('app.ts');
+      expect(loaded.metadata.extractedText).toBe('const a = 1;');
+    });
+
+    it('should not expose files from another user', async () => {
+      const stored = await service.saveUpload('user-123', buildFile('secret.txt', 'secret'));
+
+      await expect(
+        service.loadAttachment('user-456', { filename: stored.filename }),
+      ).rejects.toThrow(NotFoundException);
+    });
+
+    it('should only read images as base64', async () => {
+      const stored = await service.saveUpload('user-123', buildFile('notes.txt', 'text'));
+
+      expect(() => service.readImageBase64('user-123', stored.filename)).toThrow(BadRequestException);
+    });
+
+    it('should prevent path traversal', () => {
+      expect(() => service.getFilePath('user-123', '../../../etc/passwd')).toThrow(NotFoundException);
+    });
+  });
+});
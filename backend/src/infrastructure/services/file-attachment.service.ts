@@ -0,0 +1,245 @@
+import { Injectable, Logger, BadRequestException, NotFoundException, PayloadTooLargeException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * Descriptor returned after a document or image is uploaded into a conversation
+ * (images keep type 'file' and are recognized by the image/* mimeType)
+ */
+export interface StoredFileAttachment {
+  type: 'file';
+  url: string;
+  filename: string;
+  originalName: string;
+  mimeType: string;
+  size: number;
+  metadata?: {
+    extractedText?: string;
+    extractedChars?: number;
+    truncated?: boolean;
+    [key: string]: any;
+  };
+}
+
+/**
+ * Text and source-code extensions that can be read as UTF-8
+ */
+const TEXT_EXTENSIONS = [
+  '.txt', '.md', '.markdown', '.csv', '.tsv', '.json', '.xml', '.yaml', '.yml', '.log', '.ini', '.toml', '.env',
+  '.html', '.htm', '.css', '.scss', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.java', '.kt', '.go',
+  '.rs', '.rb', '.php', '.c', '.h', '.cpp', '.hpp', '.cs', '.swift', '.sh', '.bash', '.ps1', '.sql', '.vue', '.svelte',
+];
+
+/**
+ * Images that vision models (llava, qwen-vl, llama3.2-vision) can receive
+ */
+const IMAGE_TYPES: Record<string, string> = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+};
+
+/**
+ * Serviço para armazenamento e extração de texto de arquivos anexados ao chat
+ */
+@Injectable()
+export class FileAttachmentService {
+  private readonly logger = new Logger(FileAttachmentService.name);
+  private readonly uploadsDir: string;
+  private readonly maxFileSizeBytes: number;
+  private readonly maxExtractedChars: number;
+
+  constructor(private readonly configService: ConfigService) {
+    this.uploadsDir = path.join(process.cwd(), 'public', 'uploads');
+    this.maxFileSizeBytes = Number(this.configService.get('UPLOAD_MAX_FILE_SIZE_MB', 10)) * 1024 * 1024;
+    this.maxExtractedChars = Number(this.configService.get('UPLOAD_MAX_EXTRACTED_CHARS', 50000));
+    this.ensureUploadsDirExists();
+  }
+
+  /**
+   * Salva um arquivo enviado pelo usuário e extrai seu texto (imagens são apenas armazenadas)
+   */
+  async saveUpload(userId: string, file: Express.Multer.File): Promise<StoredFileAttachment> {
+    if (!file || !file.buffer) {
+      throw new BadRequestException('Nenhum arquivo enviado');
+    }
+
+    if (file.size > this.maxFileSizeBytes) {
+      throw new PayloadTooLargeException(`Arquivo excede o limite de ${Math.round(this.maxFileSizeBytes / 1024 / 1024)}MB`);
+    }
+
+    const originalName = path.basename(file.originalname || 'arquivo');
+    // Imagens coladas da área de transferência podem chegar sem extensão
+    const extension = path.extname(originalName).toLowerCase() || this.imageExtension(file.mimetype);
+
+    if (!this.isSupported(file.mimetype, extension)) {
+      throw new BadRequestException(`Tipo de arquivo não suportado: ${originalName}`);
+    }
+
+    const filename = `${randomUUID()}${extension}`;
+    const userDir = this.getUserDir(userId);
+    fs.mkdirSync(userDir, { recursive: true });
+    fs.writeFileSync(path.join(userDir, filename), file.buffer);
+
+    this.logger.log(`📎 File stored: ${originalName} -> ${filename} (${file.size} bytes)`);
+
+    const mimeType = this.isImage(file.mimetype, extension)
+      ? IMAGE_TYPES[extension] || file.mimetype
+      : file.mimetype || 'application/octet-stream';
+
+    return {
+      type: 'file',
+      url: `/api/v1/chat/attachments/files/${filename}`,
+      filename,
+      originalName,
+      mimeType,
+      size: file.size,
+      metadata: await this.buildExtractionMetadata(file.buffer, mimeType, extension),
+    };
+  }
+
+  /**
+   * Recarrega um anexo já armazenado, reextraindo o texto do disco
+   */
+  async loadAttachment(
+    userId: string,
+    attachment: { filename: string; originalName?: string; mimeType?: string },
+  ): Promise<StoredFileAttachment> {
+    const filePath = this.getFilePath(userId, attachment.filename);
+    const filename = path.basename(filePath);
+    const extension = path.extname(filename).toLowerCase();
+    const buffer = fs.readFileSync(filePath);
+
+    return {
+      type: 'file',
+      url: `/api/v1/chat/attachments/files/${filename}`,
+      filename,
+      originalName: attachment.originalName ? path.basename(attachment.originalName) : filename,
+      mimeType: IMAGE_TYPES[extension] || attachment.mimeType || 'application/octet-stream',
+      size: buffer.length,
+      metadata: await this.buildExtractionMetadata(buffer, attachment.mimeType, extension),
+    };
+  }
+
+  /**
+   * Lê uma imagem do usuário em base64, no formato aceito pelos modelos de visão
+   */
+  readImageBase64(userId: string, filename: string): string {
+    const filePath = this.getFilePath(userId, filename);
+    if (!this.isImage(undefined, path.extname(filePath).toLowerCase())) {
+      throw new BadRequestException(`O arquivo não é uma imagem: ${path.basename(filePath)}`);
+    }
+    return fs.readFileSync(filePath).toString('base64');
+  }
+
+  /**
+   * Resolve o caminho de um arquivo do usuário (protegido contra path traversal)
+   */
+  getFilePath(userId: string, filename: string): string {
+    const sanitizedFilename = path.basename(filename || '');
+    const filePath = path.join(this.getUserDir(userId), sanitizedFilename);
+
+    if (!sanitizedFilename || !fs.existsSync(filePath)) {
+      throw new NotFoundException(`Arquivo não encontrado: ${sanitizedFilename}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Extrai o texto de um arquivo a partir do seu conteúdo
+   */
+  async extractText(buffer: Buffer, mimeType?: string, extension?: string): Promise<string> {
+    if (this.isPdf(mimeType, extension)) {
+      // Carregado sob demanda: pdf-parse inicializa o pdf.js na importação
+      const { PDFParse } = await import('pdf-parse');
+      const parser = new PDFParse({ data: new Uint8Array(buffer) });
+      try {
+        const result = await parser.getText();
+        return result.text || '';
+      } finally {
+        await parser.destroy();
+      }
+    }
+
+    return buffer.toString('utf8').replace(/\u0000/g, '');
+  }
+
+  /**
+   * Verifica se o tipo do arquivo é suportado para extração de texto
+   */
+  isSupported(mimeType?: string, extension?: string): boolean {
+    if (this.isPdf(mimeType, extension) || this.isImage(mimeType, extension)) {
+      return true;
+    }
+    if (extension && TEXT_EXTENSIONS.includes(extension)) {
+      return true;
+    }
+    return !!mimeType && (mimeType.startsWith('text/') || mimeType === 'application/json');
+  }
+
+  /**
+   * Verifica se o arquivo é uma imagem que pode ser enviada aos modelos de visão
+   */
+  isImage(mimeType?: string, extension?: string): boolean {
+    if (extension) {
+      return extension in IMAGE_TYPES;
+    }
+    return !!mimeType && Object.values(IMAGE_TYPES).includes(mimeType);
+  }
+
+  private imageExtension(mimeType?: string): string {
+    return Object.keys(IMAGE_TYPES).find(extension => IMAGE_TYPES[extension] === mimeType) || '';
+  }
+
+  private isPdf(mimeType?: string, extension?: string): boolean {
+    return mimeType === 'application/pdf' || extension === '.pdf';
+  }
+
+  private async buildExtractionMetadata(
+    buffer: Buffer,
+    mimeType?: string,
+    extension?: string,
+  ): Promise<StoredFileAttachment['metadata']> {
+    // Imagens não têm texto: vão para o modelo como imagem
+    if (this.isImage(mimeType, extension)) {
+      return {};
+    }
+
+    try {
+      const text = (await this.extractText(buffer, mimeType, extension)).trim();
+      const truncated = text.length > this.maxExtractedChars;
+
+      return {
+        extractedText: truncated ? text.substring(0, this.maxExtractedChars) : text,
+        extractedChars: text.length,
+        truncated,
+      };
+    } catch (error) {
+      this.logger.warn(`Não foi possível extrair texto do arquivo: ${error.message}`);
+      return { extractedText: '', extractedChars: 0, truncated: false, extractionError: error.message };
+    }
+  }
+
+  private getUserDir(userId: string): string {
+    return path.join(this.uploadsDir, path.basename(userId));
+  }
+
+  /**
+   * Garante que o diretório de uploads existe
+   */
+  private ensureUploadsDirExists(): void {
+    try {
+      if (!fs.existsSync(this.uploadsDir)) {
+        fs.mkdirSync(this.uploadsDir, { recursive: true });
+        this.logger.log(`Diretório de uploads criado: ${this.uploadsDir}`);
+      }
+    } catch (error) {
+      this.logger.error(`Erro ao criar diretório de uploads: ${error.message}`);
+    }
+  }
+}
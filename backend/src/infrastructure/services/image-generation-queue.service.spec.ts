@@ -0,0 +1,131 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { ImageGenerationQueueService, ImageJobSnapshot } from './image-generation-queue.service';
+import { StableDiffusionService, GeneratedImageResult } from './stable-diffusion.service';
+
+describe('ImageGenerationQueueService', () => {
+  let service: ImageGenerationQueueService;
+  let stableDiffusionService: { getProgress: jest.Mock; interruptGeneration: jest.Mock };
+
+  // Generation that only finishes when the test resolves it (or rejects when aborted)
+  const pendingGeneration = () => {
+    let resolve: (result: GeneratedImageResult) => void;
+    const execute = jest.fn((signal: AbortSignal) => new Promise<GeneratedImageResult>((done, fail) => {
+      resolve = done;
+      signal.addEventListener('abort', () => fail(new Error('This operation was aborted')));
+    }));
+    return { execute, resolve: (result: GeneratedImageResult) => resolve(result) };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(async () => {
+    stableDiffusionService = {
+      getProgress: jest.fn().mockResolvedValue(null),
+      interruptGeneration: jest.fn().mockResolvedValue(true),
+    };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        ImageGenerationQueueService,
+        { provide: StableDiffusionService, useValue: stableDiffusionService },
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => ({ SD_PROGRESS_INTERVAL_MS: '50' })[key] ?? defaultValue),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<ImageGenerationQueueService>(ImageGenerationQueueService);
+  });
+
+  afterEach(() => {
+    service.onModuleDestroy();
+  });
+
+  it('should run one job at a time and report queue positions', async () => {
+    const first = pendingGeneration();
+    const second = pendingGeneration();
+
+    const firstJob = service.enqueue('user-1', 'txt2img', first.execute);
+    const secondJob = service.enqueue('user-1', 'txt2img', second.execute);
+
+    expect(service.getJob(firstJob.id, 'user-1')).toEqual(expect.objectContaining({ status: 'running', position: 0 }));
+    expect(secondJob).toEqual(expect.objectContaining({ status: 'queued', position: 1 }));
+    expect(second.execute).not.toHaveBeenCalled();
+
+    first.resolve({ success: true, filename: 'sd_1.png' });
+    await flush();
+
+    expect(service.getJob(firstJob.id, 'user-1')).toEqual(expect.objectContaining({ status: 'done', progress: 1 }));
+    expect(service.getJob(secondJob.id, 'user-1')).toEqual(expect.objectContaining({ status: 'running', position: 0 }));
+  });
+
+  it('should resolve run() with the generation result', async () => {
+    const result = await service.run('user-1', 'upscale', async () => ({ success: true, filename: 'sd_2.png' }));
+
+    expect(result).toEqual({ success: true, filename: 'sd_2.png' });
+  });
+
+  it('should push progress and previews to subscribers while the job runs', async () => {
+    stableDiffusionService.getProgress.mockResolvedValue({
+      progress: 0.5, etaSeconds: 3, step: 10, totalSteps: 20, currentImage: 'cHJldmlldw==',
+    });
+    const generation = pendingGeneration();
+    const job = service.enqueue('user-1', 'txt2img', generation.execute, { baseUrl: 'http://forge:7860', token: 'secret' });
+    const updates: ImageJobSnapshot[] = [];
+    service.subscribe(job.id, 'user-1', update => updates.push(update));
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    generation.resolve({ success: true });
+    await flush();
+
+    expect(stableDiffusionService.getProgress).toHaveBeenCalledWith('http://forge:7860', 'secret');
+    expect(updates).toContainEqual(expect.objectContaining({
+      progress: 0.5, step: 10, totalSteps: 20, preview: 'data:image/png;base64,cHJldmlldw==',
+    }));
+    expect(updates[updates.length - 1]).toEqual(expect.objectContaining({ status: 'done', preview: undefined }));
+  });
+
+  it('should cancel a queued job without touching the running one', async () => {
+    const running = pendingGeneration();
+    const queued = pendingGeneration();
+    const third = pendingGeneration();
+    service.enqueue('user-1', 'txt2img', running.execute);
+    const queuedJob = service.enqueue('user-1', 'txt2img', queued.execute);
+    const thirdJob = service.enqueue('user-1', 'txt2img', third.execute);
+
+    expect(await service.cancel(queuedJob.id, 'user-1')).toBe(true);
+
+    expect(service.getJob(queuedJob.id, 'user-1').status).toBe('cancelled');
+    expect(service.getJob(thirdJob.id, 'user-1').position).toBe(1);
+    expect(stableDiffusionService.interruptGeneration).not.toHaveBeenCalled();
+    expect(queued.execute).not.toHaveBeenCalled();
+  });
+
+  it('should abort and interrupt the running job', async () => {
+    const generation = pendingGeneration();
+    const job = service.enqueue('user-1', 'img2img', generation.execute, { baseUrl: 'http://forge:7860' });
+
+    expect(await service.cancel(job.id, 'user-1')).toBe(true);
+    await flush();
+
+    expect(stableDiffusionService.interruptGeneration).toHaveBeenCalledWith('http://forge:7860', undefined);
+    expect(service.getJob(job.id, 'user-1')).toEqual(expect.objectContaining({ status: 'cancelled', error: 'Geração cancelada' }));
+    expect(await service.cancel(job.id, 'user-1')).toBe(false);
+  });
+
+  it('should hide a job from everyone but its owner', async () => {
+    const generation = pendingGeneration();
+    const job = service.enqueue('user-1', 'txt2img', generation.execute);
+
+    expect(service.getJob(job.id, 'user-2')).toBeNull();
+    expect(service.subscribe(job.id, 'user-2', jest.fn())).toBeNull();
+    expect(await service.cancel(job.id, 'user-2')).toBe(false);
+
+    expect(generation.execute.mock.calls[0][0].aborted).toBe(false);
+    expect(service.getJob(job.id, 'user-1').status).toBe('running');
+  });
+});
@@ -0,0 +1,276 @@
+import { Injectable, Logger, OnModuleDestroy } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { randomUUID } from 'crypto';
+import { StableDiffusionService, GeneratedImageResult } from './stable-diffusion.service';
+
+export type ImageJobType = 'txt2img' | 'img2img' | 'inpaint' | 'upscale';
+
+export type ImageJobStatus = 'queued' | 'running' | 'done' | 'error' | 'cancelled';
+
+/**
+ * Estado de um job enviado ao cliente
+ * - position: posição na fila (1 = próximo); 0 quando já está rodando ou terminou
+ * - progress: 0 a 1, lido do /sdapi/v1/progress do Forge
+ * - preview: imagem intermediária (data URL) da etapa atual
+ */
+export interface ImageJobSnapshot {
+  id: string;
+  type: ImageJobType;
+  status: ImageJobStatus;
+  position: number;
+  progress: number;
+  etaSeconds?: number;
+  step?: number;
+  totalSteps?: number;
+  preview?: string;
+  result?: GeneratedImageResult;
+  error?: string;
+  createdAt: string;
+}
+
+/**
+ * Forge usado pelo job (para consultar o progresso e interromper a geração)
+ */
+export interface ImageJobTarget {
+  baseUrl?: string;
+  token?: string;
+}
+
+type ImageJobListener = (snapshot: ImageJobSnapshot) => void;
+
+interface ImageJob {
+  snapshot: ImageJobSnapshot;
+  userId: string;
+  target: ImageJobTarget;
+  execute: (signal: AbortSignal) => Promise<GeneratedImageResult>;
+  abortController: AbortController;
+  listeners: Set<ImageJobListener>;
+  completion: Promise<GeneratedImageResult>;
+  complete: (result: GeneratedImageResult) => void;
+}
+
+export const FINAL_JOB_STATUSES: ImageJobStatus[] = ['done', 'error', 'cancelled'];
+
+/**
+ * Fila de geração de imagens. O Forge processa uma geração por vez e seu progresso é global,
+ * então os jobs rodam em série: cada requisição vira um job, o progresso (com prévias) é
+ * consultado enquanto ele roda e enviado a quem acompanha o job. Jobs terminados ficam
+ * disponíveis por SD_JOB_RETENTION_MINUTES para o cliente buscar o resultado.
+ * Cada job pertence ao usuário que o criou: para os demais ele não existe.
+ */
+@Injectable()
+export class ImageGenerationQueueService implements OnModuleDestroy {
+  private readonly logger = new Logger(ImageGenerationQueueService.name);
+  private readonly jobs = new Map<string, ImageJob>();
+  private readonly queue: ImageJob[] = [];
+  private readonly progressIntervalMs: number;
+  private readonly retentionMs: number;
+  private running: ImageJob | null = null;
+  private progressTimer: NodeJS.Timeout | null = null;
+  private pollingProgress = false;
+
+  constructor(
+    private readonly stableDiffusionService: StableDiffusionService,
+    private readonly configService: ConfigService,
+  ) {
+    this.progressIntervalMs = Number(this.configService.get('SD_PROGRESS_INTERVAL_MS', 1000));
+    this.retentionMs = Number(this.configService.get('SD_JOB_RETENTION_MINUTES', 10)) * 60 * 1000;
+  }
+
+  onModuleDestroy(): void {
+    this.stopProgressPolling();
+  }
+
+  /**
+   * Coloca uma geração na fila e retorna o job criado
+   * @param userId - Dono do job (só ele acompanha e cancela)
+   * @param execute - Chamada ao StableDiffusionService; recebe o sinal de cancelamento do job
+   */
+  enqueue(
+    userId: string,
+    type: ImageJobType,
+    execute: (signal: AbortSignal) => Promise<GeneratedImageResult>,
+    target: ImageJobTarget = {},
+  ): ImageJobSnapshot {
+    let complete!: (result: GeneratedImageResult) => void;
+    const completion = new Promise<GeneratedImageResult>(resolve => (complete = resolve));
+
+    const job: ImageJob = {
+      snapshot: {
+        id: randomUUID(),
+        type,
+        status: 'queued',
+        position: this.queue.length + 1,
+        progress: 0,
+        createdAt: new Date().toISOString(),
+      },
+      userId,
+      target,
+      execute,
+      abortController: new AbortController(),
+      listeners: new Set(),
+      completion,
+      complete,
+    };
+
+    this.jobs.set(job.snapshot.id, job);
+    this.queue.push(job);
+    this.logger.log(`🖼️ Job ${job.snapshot.id} (${type}) enfileirado na posição ${job.snapshot.position}`);
+
+    this.processNext();
+    return { ...job.snapshot };
+  }
+
+  /**
+   * Enfileira e aguarda o resultado (para quem ainda responde de forma síncrona)
+   */
+  run(
+    userId: string,
+    type: ImageJobType,
+    execute: (signal: AbortSignal) => Promise<GeneratedImageResult>,
+    target: ImageJobTarget = {},
+  ): Promise<GeneratedImageResult> {
+    const { id } = this.enqueue(userId, type, execute, target);
+    return this.jobs.get(id).completion;
+  }
+
+  /**
+   * Estado do job, ou null se ele não existe ou é de outro usuário
+   */
+  getJob(jobId: string, userId: string): ImageJobSnapshot | null {
+    const job = this.findOwnJob(jobId, userId);
+    return job ? { ...job.snapshot } : null;
+  }
+
+  /**
+   * Acompanha as mudanças do job; o estado atual é enviado imediatamente.
+   * Retorna a função que cancela a inscrição (ou null se o job não existe)
+   */
+  subscribe(jobId: string, userId: string, listener: ImageJobListener): (() => void) | null {
+    const job = this.findOwnJob(jobId, userId);
+    if (!job) {
+      return null;
+    }
+
+    job.listeners.add(listener);
+    listener({ ...job.snapshot });
+    return () => job.listeners.delete(listener);
+  }
+
+  /**
+   * Cancela um job: na fila ele só é removido; rodando, a requisição é abortada e o Forge interrompido
+   * @returns false se o job não existe, é de outro usuário ou já terminou
+   */
+  async cancel(jobId: string, userId: string): Promise<boolean> {
+    const job = this.findOwnJob(jobId, userId);
+    if (!job || FINAL_JOB_STATUSES.includes(job.snapshot.status)) {
+      return false;
+    }
+
+    job.abortController.abort();
+
+    if (job === this.running) {
+      await this.stableDiffusionService.interruptGeneration(job.target.baseUrl, job.target.token);
+      // O job termina quando a requisição abortada retornar (ver processNext)
+      return true;
+    }
+
+    this.queue.splice(this.queue.indexOf(job), 1);
+    this.finish(job, 'cancelled', { success: false, error: 'Geração cancelada' });
+    this.updatePositions();
+    return true;
+  }
+
+  private findOwnJob(jobId: string, userId: string): ImageJob | null {
+    const job = this.jobs.get(jobId);
+    return job && job.userId === userId ? job : null;
+  }
+
+  private processNext(): void {
+    if (this.running || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.queue.shift();
+    this.running = job;
+    this.update(job, { status: 'running', position: 0 });
+    this.updatePositions();
+    this.startProgressPolling(job);
+
+    job.execute(job.abortController.signal)
+      .catch((error): GeneratedImageResult => ({ success: false, error: error.message }))
+      .then(result => {
+        if (job.abortController.signal.aborted) {
+          this.finish(job, 'cancelled', { success: false, error: 'Geração cancelada' });
+        } else {
+          this.finish(job, result.success ? 'done' : 'error', result);
+        }
+      })
+      .finally(() => {
+        this.stopProgressPolling();
+        this.running = null;
+        this.processNext();
+      });
+  }
+
+  private finish(job: ImageJob, status: ImageJobStatus, result: GeneratedImageResult): void {
+    this.update(job, {
+      status,
+      position: 0,
+      progress: status === 'done' ? 1 : job.snapshot.progress,
+      preview: undefined,
+      result,
+      error: result.success ? undefined : result.error,
+    });
+    this.logger.log(`🖼️ Job ${job.snapshot.id} terminou: ${status}`);
+
+    job.complete(result);
+    job.listeners.clear();
+    setTimeout(() => this.jobs.delete(job.snapshot.id), this.retentionMs).unref();
+  }
+
+  private updatePositions(): void {
+    this.queue.forEach((job, index) => {
+      if (job.snapshot.position !== index + 1) {
+        this.update(job, { position: index + 1 });
+      }
+    });
+  }
+
+  private update(job: ImageJob, changes: Partial<ImageJobSnapshot>): void {
+    job.snapshot = { ...job.snapshot, ...changes };
+    job.listeners.forEach(listener => listener({ ...job.snapshot }));
+  }
+
+  private startProgressPolling(job: ImageJob): void {
+    this.progressTimer = setInterval(async () => {
+      // Ignora o ciclo se a consulta anterior ainda não voltou
+      if (this.pollingProgress || this.running !== job) {
+        return;
+      }
+
+      this.pollingProgress = true;
+      try {
+        const progress = await this.stableDiffusionService.getProgress(job.target.baseUrl, job.target.token);
+        if (progress && this.running === job && job.snapshot.status === 'running') {
+          this.update(job, {
+            progress: progress.progress,
+            etaSeconds: progress.etaSeconds,
+            step: progress.step,
+            totalSteps: progress.totalSteps,
+            ...(progress.currentImage && { preview: `data:image/png;base64,${progress.currentImage}` }),
+          });
+        }
+      } finally {
+        this.pollingProgress = false;
+      }
+    }, this.progressIntervalMs);
+  }
+
+  private stopProgressPolling(): void {
+    if (this.progressTimer) {
+      clearInterval(this.progressTimer);
+      this.progressTimer = null;
+    }
+  }
+}
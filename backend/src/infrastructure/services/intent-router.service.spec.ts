@@ -0,0 +1,98 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { IntentRouterService } from './intent-router.service';
+import { OllamaService } from './ollama.service';
+
+describe('IntentRouterService', () => {
+  let service: IntentRouterService;
+  let ollamaService: { classifyIntent: jest.Mock };
+
+  const createService = async (config: Record<string, any> = {}) => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        IntentRouterService,
+        { provide: OllamaService, useValue: ollamaService },
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => config[key] ?? defaultValue),
+          },
+        },
+      ],
+    }).compile();
+
+    return module.get<IntentRouterService>(IntentRouterService);
+  };
+
+  beforeEach(async () => {
+    ollamaService = { classifyIntent: jest.fn() };
+    service = await createService();
+  });
+
+  it('should route /imagine to image generation without asking the model', async () => {
+    const decision = await service.route('/imagine  a red fox in the snow');
+
+    expect(decision).toEqual({ intent: 'image', confidence: 1, source: 'command', prompt: 'a red fox in the snow' });
+    expect(ollamaService.classifyIntent).not.toHaveBeenCalled();
+  });
+
+  it('should read the seed and batch size given with /imagine', async () => {
+    const decision = await service.route('/imagine --seed 42 a red fox --batch 4');
+    const override = await service.route('a red fox --n=2', { override: 'image' });
+
+    expect(decision).toEqual(expect.objectContaining({ prompt: 'a red fox', imageOptions: { seed: 42, batchSize: 4 } }));
+    expect(override).toEqual(expect.objectContaining({ prompt: 'a red fox', imageOptions: { batchSize: 2 } }));
+  });
+
+  it('should treat an empty /imagine as a regular message', async () => {
+    const decision = await service.route('/imagine');
+
+    expect(decision.intent).toBe('chat');
+    expect(ollamaService.classifyIntent).not.toHaveBeenCalled();
+  });
+
+  it('should honour an explicit override', async () => {
+    const decision = await service.route('the picture of the market is bleak', { override: 'image' });
+
+    expect(decision).toEqual(expect.objectContaining({ intent: 'image', source: 'override' }));
+    expect(ollamaService.classifyIntent).not.toHaveBeenCalled();
+  });
+
+  it('should generate images only when the classifier is confident', async () => {
+    ollamaService.classifyIntent.mockResolvedValueOnce({ intent: 'image', confidence: 0.92 });
+    ollamaService.classifyIntent.mockResolvedValueOnce({ intent: 'image', confidence: 0.5 });
+
+    const confident = await service.route('desenhe um gato astronauta', { model: 'llama3.2' });
+    const unsure = await service.route('the picture of the market is bleak');
+
+    expect(confident).toEqual({ intent: 'image', confidence: 0.92, source: 'model', prompt: 'desenhe um gato astronauta' });
+    expect(unsure).toEqual(expect.objectContaining({ intent: 'chat', source: 'model', suggestion: 'image' }));
+    expect(ollamaService.classifyIntent).toHaveBeenCalledWith('desenhe um gato astronauta', { model: 'llama3.2', baseUrl: undefined });
+  });
+
+  it('should answer as chat when the classifier fails', async () => {
+    ollamaService.classifyIntent.mockRejectedValue(new Error('Invalid intent classification'));
+
+    const decision = await service.route('猫の絵を描いて');
+
+    expect(decision).toEqual(expect.objectContaining({ intent: 'chat', source: 'default' }));
+  });
+
+  it('should skip the classifier when disabled or not allowed', async () => {
+    const disabled = await createService({ INTENT_ROUTER_ENABLED: 'false' });
+
+    expect((await disabled.route('draw a cat')).intent).toBe('chat');
+    expect((await service.route('draw a cat', { classify: false })).intent).toBe('chat');
+    expect(ollamaService.classifyIntent).not.toHaveBeenCalled();
+  });
+
+  it('should prefer the configured router model and threshold', async () => {
+    const configured = await createService({ INTENT_ROUTER_MODEL: 'qwen2.5:0.5b', INTENT_ROUTER_MIN_CONFIDENCE: '0.4' });
+    ollamaService.classifyIntent.mockResolvedValue({ intent: 'image', confidence: 0.5 });
+
+    const decision = await configured.route('draw a cat', { model: 'llama3.2' });
+
+    expect(decision.intent).toBe('image');
+    expect(ollamaService.classifyIntent).toHaveBeenCalledWith('draw a cat', { model: 'qwen2.5:0.5b', baseUrl: undefined });
+  });
+});
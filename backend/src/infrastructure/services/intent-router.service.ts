@@ -0,0 +1,131 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { OllamaService } from './ollama.service';
+
+/**
+ * Intenções reconhecidas pelo classificador
+ */
+export type ChatIntent = 'image' | 'chat' | 'other';
+
+/**
+ * Opções de geração informadas no /imagine (--seed 42, --batch 4)
+ */
+export interface ImageOptions {
+  seed?: number;
+  batchSize?: number;
+}
+
+/**
+ * Decisão do roteador para uma mensagem
+ * - source: 'command' (/imagine), 'override' (pedido explícito do cliente), 'model' (classificador) ou 'default'
+ * - prompt: mensagem sem o comando /imagine e sem as opções de geração
+ * - suggestion: o classificador achou que era um pedido de imagem, mas sem confiança suficiente
+ */
+export interface IntentDecision {
+  intent: ChatIntent;
+  confidence: number;
+  source: 'command' | 'override' | 'model' | 'default';
+  prompt: string;
+  suggestion?: 'image';
+  imageOptions?: ImageOptions;
+}
+
+const IMAGINE_COMMAND = /^\/imagine(?:\s+|$)/i;
+const IMAGE_OPTION_FLAG = /(^|\s)--(seed|batch|n)(?:\s+|=)(-?\d+)(?=\s|$)/gi;
+
+/**
+ * Decide se uma mensagem vai para a geração de imagens ou para o modelo de chat.
+ * O comando /imagine e o pedido explícito do cliente têm prioridade; nos demais casos
+ * um modelo classifica a intenção e a imagem só é gerada acima da confiança mínima.
+ * Falhas do classificador nunca bloqueiam a conversa: a mensagem segue como chat.
+ */
+@Injectable()
+export class IntentRouterService {
+  private readonly logger = new Logger(IntentRouterService.name);
+  private readonly enabled: boolean;
+  private readonly model?: string;
+  private readonly minConfidence: number;
+
+  constructor(
+    private readonly ollamaService: OllamaService,
+    private readonly configService: ConfigService,
+  ) {
+    this.enabled = this.configService.get('INTENT_ROUTER_ENABLED', 'true') !== 'false';
+    this.model = this.configService.get('INTENT_ROUTER_MODEL') || undefined;
+    this.minConfidence = Number(this.configService.get('INTENT_ROUTER_MIN_CONFIDENCE', 0.75));
+  }
+
+  /**
+   * Roteia a mensagem
+   * @param options.override - Intenção escolhida pelo usuário (ex.: "gerar imagem em vez disso")
+   * @param options.classify - Permite consultar o classificador (desligado para provedores sem Ollama)
+   * @param options.model - Modelo da conversa, usado quando INTENT_ROUTER_MODEL não está definido
+   */
+  async route(
+    message: string,
+    options: { override?: 'image' | 'chat'; classify?: boolean; model?: string; baseUrl?: string } = {},
+  ): Promise<IntentDecision> {
+    const isCommand = IMAGINE_COMMAND.test(message.trim());
+    const prompt = message.trim().replace(IMAGINE_COMMAND, '').trim();
+
+    if (options.override === 'image' || (isCommand && !options.override)) {
+      const image = this.extractImageOptions(prompt);
+      if (image.prompt) {
+        return {
+          intent: 'image',
+          confidence: 1,
+          source: options.override ? 'override' : 'command',
+          prompt: image.prompt,
+          ...(image.imageOptions && { imageOptions: image.imageOptions }),
+        };
+      }
+    }
+
+    if (options.override) {
+      return { intent: options.override, confidence: 1, source: 'override', prompt };
+    }
+
+    if (isCommand) {
+      return { intent: 'chat', confidence: 1, source: 'default', prompt: message };
+    }
+
+    if (!this.enabled || options.classify === false || !prompt) {
+      return { intent: 'chat', confidence: 1, source: 'default', prompt };
+    }
+
+    try {
+      const { intent, confidence } = await this.ollamaService.classifyIntent(prompt, {
+        model: this.model || options.model,
+        baseUrl: options.baseUrl,
+      });
+
+      if (intent === 'image' && confidence < this.minConfidence) {
+        return { intent: 'chat', confidence, source: 'model', prompt, suggestion: 'image' };
+      }
+      return { intent, confidence, source: 'model', prompt };
+    } catch (error) {
+      this.logger.warn(`Intent classification failed, answering as chat: ${error.message}`);
+      return { intent: 'chat', confidence: 0, source: 'default', prompt };
+    }
+  }
+
+  /**
+   * Separa as opções --seed e --batch (ou --n) do prompt de imagem
+   */
+  private extractImageOptions(prompt: string): { prompt: string; imageOptions?: ImageOptions } {
+    const imageOptions: ImageOptions = {};
+
+    const cleaned = prompt.replace(IMAGE_OPTION_FLAG, (_match, leading: string, flag: string, value: string) => {
+      if (flag.toLowerCase() === 'seed') {
+        imageOptions.seed = Number(value);
+      } else {
+        imageOptions.batchSize = Number(value);
+      }
+      return leading;
+    });
+
+    return Object.keys(imageOptions).length > 0
+      ? { prompt: cleaned.replace(/\s{2,}/g, ' ').trim(), imageOptions }
+      : { prompt };
+  }
+}
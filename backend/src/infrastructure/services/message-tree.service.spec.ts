@@ -0,0 +1,59 @@
+import { MessageTreeService } from './message-tree.service';
+
+describe('MessageTreeService', () => {
+  const service = new MessageTreeService();
+
+  const at = (minute: number) => new Date(Date.UTC(2025, 0, 1, 12, minute));
+
+  // u1 -> a1 -> u2 -> a2
+  //                └-> a2b (regenerated)
+  //         └-> u2b (edited) -> a3
+  const messages = [
+    { id: 'u1', parentMessageId: null, createdAt: at(0) },
+    { id: 'a1', parentMessageId: 'u1', createdAt: at(1) },
+    { id: 'u2', parentMessageId: 'a1', createdAt: at(2) },
+    { id: 'a2', parentMessageId: 'u2', createdAt: at(3) },
+    { id: 'a2b', parentMessageId: 'u2', createdAt: at(4) },
+    { id: 'u2b', parentMessageId: 'a1', createdAt: at(5) },
+    { id: 'a3', parentMessageId: 'u2b', createdAt: at(6) },
+  ];
+
+  it('should return the path from the root to the leaf', () => {
+    expect(service.getBranch(messages, 'a2b').map(m => m.id)).toEqual(['u1', 'a1', 'u2', 'a2b']);
+    expect(service.getBranch(messages, null)).toEqual([]);
+  });
+
+  it('should stop on cycles instead of looping forever', () => {
+    const cyclic = [
+      { id: 'x', parentMessageId: 'y', createdAt: at(0) },
+      { id: 'y', parentMessageId: 'x', createdAt: at(1) },
+    ];
+
+    expect(service.getBranch(cyclic, 'x').map(m => m.id)).toEqual(['y', 'x']);
+  });
+
+  it('should list siblings from oldest to newest', () => {
+    expect(service.getSiblingIds(messages, messages[3])).toEqual(['a2', 'a2b']);
+    expect(service.getSiblingIds(messages, messages[2])).toEqual(['u2', 'u2b']);
+    expect(service.getSiblingIds(messages, messages[0])).toEqual(['u1']);
+  });
+
+  it('should follow the newest child down to a leaf', () => {
+    expect(service.findLatestLeaf(messages, 'u2')?.id).toBe('a2b');
+    expect(service.findLatestLeaf(messages, 'u1')?.id).toBe('a3');
+    expect(service.findLatestLeaf(messages, 'missing')).toBeUndefined();
+  });
+
+  it('should chain a flat legacy history chronologically', () => {
+    const flat = [
+      { id: 'b', parentMessageId: null, createdAt: at(1) },
+      { id: 'a', parentMessageId: null, createdAt: at(0) },
+      { id: 'c', parentMessageId: null, createdAt: at(2) },
+    ];
+
+    expect(service.linkFlatHistory(flat)).toEqual([
+      { id: 'b', parentMessageId: 'a' },
+      { id: 'c', parentMessageId: 'b' },
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+import { Injectable } from '@nestjs/common';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+
+type TreeMessage = Pick<ChatMessage, 'id' | 'parentMessageId' | 'createdAt'>;
+
+/**
+ * Operações sobre a árvore de mensagens de uma sessão.
+ * Cada mensagem aponta para a anterior do seu ramo (parentMessageId); regenerar uma resposta
+ * ou editar uma pergunta cria um irmão em vez de sobrescrever o histórico.
+ */
+@Injectable()
+export class MessageTreeService {
+  /**
+   * Caminho da raiz até a mensagem informada (ordem cronológica)
+   * @param leafId - Última mensagem do ramo; null/undefined retorna um ramo vazio
+   */
+  getBranch<T extends TreeMessage>(messages: T[], leafId?: string | null): T[] {
+    const byId = new Map(messages.map(message => [message.id, message]));
+    const branch: T[] = [];
+    const visited = new Set<string>();
+
+    let current = leafId ? byId.get(leafId) : undefined;
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      branch.unshift(current);
+      current = current.parentMessageId ? byId.get(current.parentMessageId) : undefined;
+    }
+
+    return branch;
+  }
+
+  /**
+   * Filhos diretos de uma mensagem (ou as raízes, quando parentId é null), do mais antigo ao mais novo
+   */
+  getChildren<T extends TreeMessage>(messages: T[], parentId: string | null): T[] {
+    return messages
+      .filter(message => (message.parentMessageId || null) === parentId)
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+  }
+
+  /**
+   * IDs da mensagem e das suas alternativas (mesmo pai), do mais antigo ao mais novo
+   */
+  getSiblingIds<T extends TreeMessage>(messages: T[], message: T): string[] {
+    return this.getChildren(messages, message.parentMessageId || null).map(sibling => sibling.id);
+  }
+
+  /**
+   * Desce a partir da mensagem seguindo sempre a resposta mais recente, para abrir um ramo
+   * exatamente onde o usuário parou nele
+   */
+  findLatestLeaf<T extends TreeMessage>(messages: T[], fromId: string): T | undefined {
+    let current = messages.find(message => message.id === fromId);
+    const visited = new Set<string>();
+
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      const children = this.getChildren(messages, current.id);
+      if (children.length === 0) {
+        break;
+      }
+      current = children[children.length - 1];
+    }
+
+    return current;
+  }
+
+  /**
+   * Sessões anteriores à árvore guardavam uma lista plana: encadeia cada mensagem sem pai
+   * à anterior em ordem cronológica
+   * @returns Mensagens que precisam receber parentMessageId
+   */
+  linkFlatHistory<T extends TreeMessage>(messages: T[]): Array<{ id: string; parentMessageId: string }> {
+    const sorted = [...messages].sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+    return sorted
+      .map((message, index) => ({ message, previous: sorted[index - 1] }))
+      .filter(({ message, previous }) => previous && !message.parentMessageId)
+      .map(({ message, previous }) => ({ id: message.id, parentMessageId: previous.id }));
+  }
+}
@@ -0,0 +1,205 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { BadRequestException } from '@nestjs/common';
+import * as crypto from 'crypto';
+import { OidcService } from './oidc.service';
+
+describe('OidcService', () => {
+  const issuer = 'http://idp.test/realms/acme';
+  const originalFetch = global.fetch;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' };
+
+  // Provedor OIDC falso: descoberta, JWKS e endpoint de token que assina o id_token com as claims do teste
+  let idTokenClaims: (nonce: string) => Record<string, any>;
+  let tokenRequests: URLSearchParams[];
+  let signingKey: crypto.KeyObject;
+  const fetchMock = jest.fn(async (url: string, init?: RequestInit) => {
+    const json = (data: any) => ({ ok: true, status: 200, json: async () => data, text: async () => JSON.stringify(data) });
+
+    if (url === `${issuer}/.well-known/openid-configuration`) {
+      return json({
+        issuer,
+        authorization_endpoint: `${issuer}/protocol/openid-connect/auth`,
+        token_endpoint: `${issuer}/protocol/openid-connect/token`,
+        jwks_uri: `${issuer}/protocol/openid-connect/certs`,
+      });
+    }
+    if (url === `${issuer}/protocol/openid-connect/certs`) {
+      return json({ keys: [jwk] });
+    }
+    if (url === `${issuer}/protocol/openid-connect/token`) {
+      const body = new URLSearchParams(String(init?.body));
+      tokenRequests.push(body);
+      return json({ access_token: 'at', id_token: sign(idTokenClaims(nonceOf(body)), signingKey) });
+    }
+    return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}), text: async () => '' };
+  });
+
+  // O nonce viaja na URL de autorização; o teste o guarda pelo code que o navegador devolveria
+  const nonces = new Map<string, string>();
+  const nonceOf = (body: URLSearchParams) => nonces.get(body.get('code')!)!;
+
+  const sign = (claims: Record<string, any>, key: crypto.KeyObject) => {
+    const encode = (data: any) => Buffer.from(JSON.stringify(data)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT', kid: 'key-1' })}.${encode(claims)}`;
+    return `${unsigned}.${crypto.sign('sha256', Buffer.from(unsigned), key).toString('base64url')}`;
+  };
+
+  const createService = async (config: Record<string, string> = {}): Promise<OidcService> => {
+    const values = {
+      OIDC_ISSUER_URL: `${issuer}/`,
+      OIDC_CLIENT_ID: 'xandai',
+      OIDC_CLIENT_SECRET: 'secret',
+      OIDC_REDIRECT_URI: 'http://localhost:3000/',
+      ...config,
+    };
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        OidcService,
+        {
+          provide: ConfigService,
+          useValue: { get: jest.fn((key: string, defaultValue?: any) => values[key] ?? defaultValue) },
+        },
+        { provide: JwtService, useValue: new JwtService({ secret: 'test-secret' }) },
+      ],
+    }).compile();
+
+    return module.get<OidcService>(OidcService);
+  };
+
+  // Simula o navegador: guarda o cookie do login, abre a URL do provedor e volta com um code
+  const authorize = async (service: OidcService, code = 'code-1') => {
+    const { authorizationUrl, loginCookie } = await service.createAuthorizationUrl();
+    const url = new URL(authorizationUrl);
+    nonces.set(code, url.searchParams.get('nonce')!);
+    return { url, state: url.searchParams.get('state')!, loginCookie };
+  };
+
+  beforeEach(() => {
+    fetchMock.mockClear();
+    tokenRequests = [];
+    signingKey = privateKey;
+    nonces.clear();
+    idTokenClaims = nonce => ({
+      iss: issuer,
+      aud: 'xandai',
+      sub: 'idp-user-1',
+      exp: Math.floor(Date.now() / 1000) + 300,
+      nonce,
+      email: 'Ana@Acme.com',
+      email_verified: true,
+      given_name: 'Ana',
+      family_name: 'Silva',
+      groups: ['staff', 'xandai-admins'],
+    });
+    global.fetch = fetchMock as any;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('is disabled until issuer, client and redirect URI are configured', async () => {
+    const service = await createService({ OIDC_ISSUER_URL: '' });
+
+    expect(service.getPublicConfig()).toEqual({ enabled: false, providerName: 'SSO' });
+    await expect(service.createAuthorizationUrl()).rejects.toThrow('não configurado');
+  });
+
+  it('builds an authorization URL with PKCE and exchanges the code for the verified identity', async () => {
+    const service = await createService({ OIDC_ADMIN_GROUPS: 'xandai-admins' });
+
+    const { url, state, loginCookie } = await authorize(service);
+    expect(url.origin + url.pathname).toBe(`${issuer}/protocol/openid-connect/auth`);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('redirect_uri')).toBe('http://localhost:3000/');
+
+    const identity = await service.completeLogin('code-1', state, loginCookie);
+
+    const [request] = tokenRequests;
+    expect(crypto.createHash('sha256').update(request.get('code_verifier')!).digest('base64url'))
+      .toBe(url.searchParams.get('code_challenge'));
+    expect(request.get('client_secret')).toBe('secret');
+    expect(identity).toEqual({
+      subject: 'idp-user-1',
+      email: 'ana@acme.com',
+      emailVerified: true,
+      firstName: 'Ana',
+      lastName: 'Silva',
+      groups: ['staff', 'xandai-admins'],
+      role: 'admin',
+    });
+  });
+
+  it('reads groups from nested claims and leaves the role alone without a group mapping', async () => {
+    idTokenClaims = nonce => ({
+      iss: issuer, aud: ['xandai'], sub: 'idp-user-2', exp: Math.floor(Date.now() / 1000) + 300, nonce,
+      email: 'bia@acme.com', name: 'Bia Costa Lima', realm_access: { roles: ['offline_access'] },
+    });
+
+    const mapped = await createService({ OIDC_GROUPS_CLAIM: 'realm_access.roles', OIDC_ADMIN_GROUPS: 'admins' });
+    const { state, loginCookie } = await authorize(mapped);
+    await expect(mapped.completeLogin('code-1', state, loginCookie)).resolves.toMatchObject({
+      firstName: 'Bia',
+      lastName: 'Costa Lima',
+      groups: ['offline_access'],
+      role: 'user',
+    });
+
+    const unmapped = await createService();
+    const second = await authorize(unmapped, 'code-2');
+    await expect(unmapped.completeLogin('code-2', second.state, second.loginCookie)).resolves.toMatchObject({ role: null });
+  });
+
+  it('treats the email as unverified unless the provider asserts email_verified', async () => {
+    const service = await createService();
+    const claims = idTokenClaims;
+
+    for (const emailVerified of [undefined, 'true']) {
+      idTokenClaims = nonce => ({ ...claims(nonce), email_verified: emailVerified });
+      const { state, loginCookie } = await authorize(service);
+      await expect(service.completeLogin('code-1', state, loginCookie)).resolves.toMatchObject({ emailVerified: false });
+    }
+  });
+
+  it('only completes a login in the browser that started it', async () => {
+    const service = await createService();
+    const { state, loginCookie } = await authorize(service);
+    const other = await authorize(service, 'code-2');
+    const forgedCookie = new JwtService({ secret: 'other-secret' }).sign({ purpose: 'oidc-login', state, nonce: 'n', codeVerifier: 'v' });
+
+    await expect(service.completeLogin('code-1', state, undefined)).rejects.toThrow(BadRequestException);
+    await expect(service.completeLogin('code-1', 'forged-state', loginCookie)).rejects.toThrow(BadRequestException);
+    await expect(service.completeLogin('code-1', state, other.loginCookie)).rejects.toThrow(BadRequestException);
+    await expect(service.completeLogin('code-1', state, forgedCookie)).rejects.toThrow(BadRequestException);
+    expect(tokenRequests).toHaveLength(0);
+
+    await expect(service.completeLogin('code-1', state, loginCookie)).resolves.toMatchObject({ subject: 'idp-user-1' });
+  });
+
+  it('rejects id_tokens with a bad signature, issuer, audience, nonce or expiry', async () => {
+    const service = await createService();
+    const validClaims = (nonce: string) => ({
+      iss: issuer, aud: 'xandai', sub: 's', exp: Math.floor(Date.now() / 1000) + 300, nonce, email: 'a@acme.com',
+    });
+    const cases: Array<[string, (nonce: string) => Record<string, any>]> = [
+      ['outro provedor', nonce => ({ ...validClaims(nonce), iss: 'http://evil.test' })],
+      ['outro cliente', nonce => ({ ...validClaims(nonce), aud: 'other-client' })],
+      ['nonce', () => validClaims('replayed-nonce')],
+      ['expirado', nonce => ({ ...validClaims(nonce), exp: Math.floor(Date.now() / 1000) - 3600 })],
+    ];
+
+    for (const [message, claims] of cases) {
+      idTokenClaims = claims;
+      const { state, loginCookie } = await authorize(service);
+      await expect(service.completeLogin('code-1', state, loginCookie)).rejects.toThrow(message);
+    }
+
+    idTokenClaims = validClaims;
+    signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const { state, loginCookie } = await authorize(service);
+    await expect(service.completeLogin('code-1', state, loginCookie)).rejects.toThrow('Assinatura do id_token inválida');
+  });
+});
@@ -0,0 +1,363 @@
+import { Injectable, Logger, BadRequestException, ServiceUnavailableException, UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import * as crypto from 'crypto';
+
+/**
+ * Documento de descoberta do provedor (/.well-known/openid-configuration)
+ */
+interface OidcDiscovery {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  jwks_uri: string;
+  end_session_endpoint?: string;
+}
+
+/**
+ * Login iniciado e ainda não concluído. Fica assinado no cookie OIDC_LOGIN_COOKIE
+ * do navegador que o iniciou, então o callback só vale nesse navegador
+ */
+interface PendingLogin {
+  state: string;
+  codeVerifier: string;
+  nonce: string;
+}
+
+/**
+ * Usuário autenticado pelo provedor, já extraído do id_token
+ */
+export interface OidcIdentity {
+  subject: string;
+  email: string;
+  /** true só quando o provedor afirma que o e-mail foi verificado (claim email_verified) */
+  emailVerified: boolean;
+  firstName: string;
+  lastName: string;
+  groups: string[];
+  /** Papel definido pelos grupos (OIDC_ADMIN_GROUPS); null quando o mapeamento não está configurado */
+  role: 'user' | 'admin' | null;
+}
+
+/**
+ * Algoritmos de assinatura aceitos no id_token (nunca "none" nem HMAC)
+ */
+const SIGNATURE_ALGORITHMS: Record<string, { hash: string; ec: boolean }> = {
+  RS256: { hash: 'sha256', ec: false },
+  RS384: { hash: 'sha384', ec: false },
+  RS512: { hash: 'sha512', ec: false },
+  ES256: { hash: 'sha256', ec: true },
+  ES384: { hash: 'sha384', ec: true },
+  ES512: { hash: 'sha512', ec: true },
+};
+
+type Jwk = crypto.JsonWebKey & { kid?: string; alg?: string; use?: string; kty?: string };
+
+/**
+ * Cookie httpOnly com o login pendente, criado em oidc/authorize e conferido em oidc/callback
+ */
+export const OIDC_LOGIN_COOKIE = 'oidc_login';
+export const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+const PENDING_LOGIN_PURPOSE = 'oidc-login';
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * Login por SSO com um provedor OpenID Connect (Keycloak, Authentik, Azure AD, Okta...).
+ * Usa o fluxo authorization code com PKCE: o provedor devolve o usuário ao frontend
+ * (OIDC_REDIRECT_URI), que repassa code e state ao backend para concluir o login.
+ * State, nonce e verificador PKCE ficam num cookie assinado do navegador, não no servidor
+ */
+@Injectable()
+export class OidcService {
+  private readonly logger = new Logger(OidcService.name);
+  private readonly issuerUrl: string;
+  private readonly clientId: string;
+  private readonly clientSecret: string;
+  private readonly redirectUri: string;
+  private readonly scopes: string;
+  private readonly providerName: string;
+  private readonly groupsClaim: string;
+  private readonly adminGroups: Set<string>;
+  private discovery: { document: OidcDiscovery; fetchedAt: number } | null = null;
+  private jwks: { keys: Jwk[]; fetchedAt: number } | null = null;
+
+  constructor(
+    private readonly configService: ConfigService,
+    private readonly jwtService: JwtService,
+  ) {
+    this.issuerUrl = String(this.configService.get('OIDC_ISSUER_URL', '')).replace(/\/+$/, '');
+    this.clientId = this.configService.get<string>('OIDC_CLIENT_ID', '');
+    this.clientSecret = this.configService.get<string>('OIDC_CLIENT_SECRET', '');
+    this.redirectUri = this.configService.get<string>('OIDC_REDIRECT_URI', '');
+    this.scopes = this.configService.get<string>('OIDC_SCOPES', 'openid email profile');
+    this.providerName = this.configService.get<string>('OIDC_PROVIDER_NAME', 'SSO');
+    this.groupsClaim = this.configService.get<string>('OIDC_GROUPS_CLAIM', 'groups');
+    this.adminGroups = new Set(
+      String(this.configService.get('OIDC_ADMIN_GROUPS', ''))
+        .split(',')
+        .map(group => group.trim())
+        .filter(Boolean),
+    );
+
+    if (this.isEnabled()) {
+      this.logger.log(`🔐 OIDC login enabled with ${this.issuerUrl}`);
+    }
+  }
+
+  /**
+   * O SSO fica habilitado quando o provedor, o client e o redirect estão configurados
+   */
+  isEnabled(): boolean {
+    return Boolean(this.issuerUrl && this.clientId && this.redirectUri);
+  }
+
+  /**
+   * Configuração pública exibida na tela de login
+   */
+  getPublicConfig(): { enabled: boolean; providerName: string } {
+    return { enabled: this.isEnabled(), providerName: this.providerName };
+  }
+
+  /**
+   * Inicia um login: gera state, nonce e o verificador PKCE e monta a URL do provedor.
+   * loginCookie guarda o login pendente e deve ir para o cookie OIDC_LOGIN_COOKIE
+   */
+  async createAuthorizationUrl(): Promise<{ authorizationUrl: string; loginCookie: string }> {
+    this.assertEnabled();
+    const { authorization_endpoint } = await this.getDiscovery();
+
+    const state = OidcService.randomToken();
+    const nonce = OidcService.randomToken();
+    const codeVerifier = OidcService.randomToken(48);
+    const loginCookie = this.jwtService.sign(
+      { purpose: PENDING_LOGIN_PURPOSE, state, nonce, codeVerifier },
+      { expiresIn: PENDING_LOGIN_TTL_MS / 1000 },
+    );
+
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256',
+    }).toString();
+
+    return { authorizationUrl: url.toString(), loginCookie };
+  }
+
+  /**
+   * Conclui o login: confere o state com o cookie do login pendente,
+   * troca o code pelos tokens e valida o id_token
+   */
+  async completeLogin(code: string, state: string, loginCookie: string | undefined): Promise<OidcIdentity> {
+    this.assertEnabled();
+
+    const pending = this.readPendingLogin(loginCookie);
+    if (!pending || !OidcService.safeEqual(pending.state, state)) {
+      throw new BadRequestException('Login por SSO expirado ou inválido. Tente novamente');
+    }
+
+    const { token_endpoint } = await this.getDiscovery();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: pending.codeVerifier,
+    });
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+
+    const response = await fetch(token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: body.toString(),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      this.logger.warn(`⚠️ OIDC token exchange failed: ${response.status} - ${errorText}`);
+      throw new UnauthorizedException('O provedor de identidade recusou o login');
+    }
+
+    const tokens = await response.json();
+    if (!tokens.id_token) {
+      throw new UnauthorizedException('O provedor de identidade não devolveu o id_token');
+    }
+
+    const claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    return this.toIdentity(claims);
+  }
+
+  /**
+   * Confere assinatura (JWKS do provedor), emissor, audiência, validade e nonce do id_token
+   */
+  private async verifyIdToken(idToken: string, nonce: string): Promise<Record<string, any>> {
+    const parts = idToken.split('.');
+    if (parts.length !== 3) {
+      throw new UnauthorizedException('id_token inválido');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header: Record<string, any>;
+    let claims: Record<string, any>;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch {
+      throw new UnauthorizedException('id_token inválido');
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new UnauthorizedException(`Algoritmo do id_token não suportado: ${header.alg}`);
+    }
+
+    const jwk = await this.findSigningKey(header.kid, header.alg);
+    const isValid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      {
+        key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        ...(algorithm.ec && { dsaEncoding: 'ieee-p1363' as const }),
+      },
+      Buffer.from(encodedSignature, 'base64url'),
+    );
+    if (!isValid) {
+      throw new UnauthorizedException('Assinatura do id_token inválida');
+    }
+
+    const { issuer } = await this.getDiscovery();
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    const now = Math.floor(Date.now() / 1000);
+
+    if (claims.iss !== issuer) {
+      throw new UnauthorizedException('id_token emitido por outro provedor');
+    }
+    if (!audiences.includes(this.clientId) || (audiences.length > 1 && claims.azp && claims.azp !== this.clientId)) {
+      throw new UnauthorizedException('id_token emitido para outro cliente');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_TOLERANCE_SECONDS < now) {
+      throw new UnauthorizedException('id_token expirado');
+    }
+    if (claims.nonce !== nonce) {
+      throw new UnauthorizedException('nonce do id_token não confere');
+    }
+    if (!claims.sub) {
+      throw new UnauthorizedException('id_token sem subject');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Chave pública do JWKS pelo kid. Um kid desconhecido recarrega o JWKS uma vez (rotação de chaves)
+   */
+  private async findSigningKey(kid: string | undefined, alg: string): Promise<Jwk> {
+    const match = (keys: Jwk[]) =>
+      keys.find(key =>
+        (!kid || key.kid === kid) &&
+        (!key.use || key.use === 'sig') &&
+        (!key.alg || key.alg === alg) &&
+        key.kty === (SIGNATURE_ALGORITHMS[alg].ec ? 'EC' : 'RSA'));
+
+    const cached = this.jwks && Date.now() - this.jwks.fetchedAt < DISCOVERY_TTL_MS ? match(this.jwks.keys) : undefined;
+    if (cached) {
+      return cached;
+    }
+
+    const { jwks_uri } = await this.getDiscovery();
+    const keys = (await this.fetchJson(jwks_uri)).keys || [];
+    this.jwks = { keys, fetchedAt: Date.now() };
+
+    const key = match(keys);
+    if (!key) {
+      throw new UnauthorizedException('Chave de assinatura do id_token não encontrada no provedor');
+    }
+    return key;
+  }
+
+  /**
+   * Converte as claims no usuário do SSO e aplica o mapeamento de grupos para papéis
+   */
+  private toIdentity(claims: Record<string, any>): OidcIdentity {
+    const email = String(claims.email || '').trim().toLowerCase();
+    if (!email) {
+      throw new UnauthorizedException('O provedor de identidade não informou o e-mail (inclua o escopo "email")');
+    }
+
+    const [givenName, ...otherNames] = String(claims.name || '').trim().split(/\s+/);
+    const groupsValue = this.groupsClaim.split('.').reduce((value, key) => value?.[key], claims);
+    const groups = (Array.isArray(groupsValue) ? groupsValue : groupsValue ? [groupsValue] : []).map(String);
+
+    return {
+      subject: String(claims.sub),
+      email,
+      emailVerified: claims.email_verified === true,
+      firstName: String(claims.given_name || givenName || email.split('@')[0]).substring(0, 100),
+      lastName: String(claims.family_name || otherNames.join(' ') || '-').substring(0, 100),
+      groups,
+      role: this.adminGroups.size > 0 ? (groups.some(group => this.adminGroups.has(group)) ? 'admin' : 'user') : null,
+    };
+  }
+
+  private async getDiscovery(): Promise<OidcDiscovery> {
+    if (this.discovery && Date.now() - this.discovery.fetchedAt < DISCOVERY_TTL_MS) {
+      return this.discovery.document;
+    }
+
+    const document = await this.fetchJson(`${this.issuerUrl}/.well-known/openid-configuration`);
+    this.discovery = { document, fetchedAt: Date.now() };
+    return document;
+  }
+
+  private async fetchJson(url: string): Promise<any> {
+    try {
+      const response = await fetch(url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      this.logger.error(`❌ Failed to reach OIDC provider at ${url}: ${error.message}`);
+      throw new ServiceUnavailableException('Provedor de identidade indisponível');
+    }
+  }
+
+  private assertEnabled(): void {
+    if (!this.isEnabled()) {
+      throw new ServiceUnavailableException('Login por SSO não configurado');
+    }
+  }
+
+  /**
+   * Login pendente do cookie; null quando falta, expirou ou a assinatura não confere
+   */
+  private readPendingLogin(loginCookie: string | undefined): PendingLogin | null {
+    if (!loginCookie) {
+      return null;
+    }
+    try {
+      const payload = this.jwtService.verify(loginCookie);
+      return payload.purpose === PENDING_LOGIN_PURPOSE ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private static safeEqual(a: string, b: string): boolean {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  private static randomToken(bytes: number = 32): string {
+    return crypto.randomBytes(bytes).toString('base64url');
+  }
+}
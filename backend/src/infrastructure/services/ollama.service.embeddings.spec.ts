@@ -0,0 +1,75 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { OllamaService } from './ollama.service';
+
+describe('OllamaService - Embeddings', () => {
+  let service: OllamaService;
+  let fetchSpy: jest.SpyInstance;
+
+  const jsonResponse = (body: object, status = 200) =>
+    new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        OllamaService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                OLLAMA_BASE_URL: 'http://localhost:11434',
+                OLLAMA_EMBEDDING_MODEL: 'nomic-embed-text',
+              };
+              return config[key] || defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<OllamaService>(OllamaService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+  });
+
+  it('should embed a batch of texts with /api/embed and the default model', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      jsonResponse({ embeddings: [[0.1, 0.2], [0.3, 0.4]] }),
+    );
+
+    const embeddings = await service.generateEmbeddings(['first', 'second']);
+
+    expect(embeddings).toEqual([[0.1, 0.2], [0.3, 0.4]]);
+    const [url, init] = fetchSpy.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/api/embed');
+    expect(JSON.parse((init as RequestInit).body as string)).toEqual({
+      model: 'nomic-embed-text',
+      input: ['first', 'second'],
+    });
+  });
+
+  it('should fall back to /api/embeddings one text at a time on older servers', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(new Response('404 page not found', { status: 404 }))
+      .mockResolvedValueOnce(jsonResponse({ embedding: [1, 0] }))
+      .mockResolvedValueOnce(jsonResponse({ embedding: [0, 1] }));
+
+    const embeddings = await service.generateEmbeddings(['first', 'second'], { model: 'mxbai-embed-large' });
+
+    expect(embeddings).toEqual([[1, 0], [0, 1]]);
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+    const [url, init] = fetchSpy.mock.calls[1];
+    expect(url).toBe('http://localhost:11434/api/embeddings');
+    expect(JSON.parse((init as RequestInit).body as string)).toEqual({ model: 'mxbai-embed-large', prompt: 'first' });
+  });
+
+  it('should not call Ollama for an empty list', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+
+    expect(await service.generateEmbeddings([])).toEqual([]);
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
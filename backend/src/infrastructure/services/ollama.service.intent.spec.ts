@@ -0,0 +1,72 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { OllamaService } from './ollama.service';
+
+describe('OllamaService - Intent classification', () => {
+  let service: OllamaService;
+  let fetchSpy: jest.SpyInstance;
+
+  const mockChatResponse = (content: string, status = 200) => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ message: { role: 'assistant', content } }), { status }),
+    );
+  };
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        OllamaService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                OLLAMA_BASE_URL: 'http://localhost:11434',
+                OLLAMA_DEFAULT_MODEL: 'llama3.2',
+              };
+              return config[key] || defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<OllamaService>(OllamaService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+  });
+
+  it('should ask for a JSON classification and return it', async () => {
+    mockChatResponse('{"intent": "image", "confidence": 0.9}');
+
+    const result = await service.classifyIntent('dessine-moi un mouton', { model: 'qwen2.5:0.5b' });
+
+    const body = JSON.parse(fetchSpy.mock.calls[0][1].body);
+    expect(fetchSpy.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+    expect(body).toEqual(expect.objectContaining({ model: 'qwen2.5:0.5b', format: 'json', stream: false }));
+    expect(body.messages[0].content).toContain('dessine-moi un mouton');
+    expect(result).toEqual({ intent: 'image', confidence: 0.9 });
+  });
+
+  it('should clamp the confidence to the 0-1 range', async () => {
+    mockChatResponse('Sure! {"intent": "chat", "confidence": 7}');
+
+    await expect(service.classifyIntent('hello there')).resolves.toEqual({ intent: 'chat', confidence: 1 });
+  });
+
+  it('should reject unknown intents and invalid answers', async () => {
+    mockChatResponse('{"intent": "video", "confidence": 0.8}');
+    await expect(service.classifyIntent('make a movie')).rejects.toThrow('Invalid intent classification');
+
+    mockChatResponse('not json');
+    await expect(service.classifyIntent('make a movie')).rejects.toThrow('Invalid intent classification');
+  });
+
+  it('should fail when Ollama returns an error', async () => {
+    mockChatResponse('', 500);
+
+    await expect(service.classifyIntent('draw a cat')).rejects.toThrow('Ollama API error: 500');
+  });
+});
@@ -0,0 +1,89 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { OllamaService } from './ollama.service';
+
+describe('OllamaService - Streaming cancellation', () => {
+  let service: OllamaService;
+  let fetchSpy: jest.SpyInstance;
+
+  const encoder = new TextEncoder();
+
+  /**
+   * Simula o corpo NDJSON do Ollama: envia os chunks e fica aberto até o sinal ser abortado
+   */
+  const mockStreamingFetch = (chunks: object[]) => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async (_url, init?: RequestInit) => {
+      const signal = init?.signal;
+      const body = new ReadableStream({
+        start(controller) {
+          chunks.forEach(chunk => controller.enqueue(encoder.encode(JSON.stringify(chunk) + '\n')));
+          signal?.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+        },
+      });
+      return new Response(body, { status: 200 });
+    });
+  };
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        OllamaService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                OLLAMA_BASE_URL: 'http://localhost:11434',
+                OLLAMA_DEFAULT_MODEL: 'llama3.2',
+              };
+              return config[key] || defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<OllamaService>(OllamaService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+  });
+
+  it('should pass the abort signal to the upstream request', async () => {
+    mockStreamingFetch([{ message: { content: 'Hi' } }, { done: true, eval_count: 1 }]);
+    const abortController = new AbortController();
+
+    const pending = service.generateResponseWithStreaming('Hello', {}, jest.fn(), abortController.signal);
+    abortController.abort();
+    await pending;
+
+    const init = fetchSpy.mock.calls[0][1] as RequestInit;
+    expect(init.signal?.aborted).toBe(true);
+  });
+
+  it('should return the partial content marked as cancelled when aborted', async () => {
+    mockStreamingFetch([{ message: { content: 'Once ' } }, { message: { content: 'upon' } }]);
+    const abortController = new AbortController();
+    const onToken = jest.fn((_token: string, fullText: string) => {
+      if (fullText === 'Once upon') {
+        abortController.abort();
+      }
+    });
+
+    const result = await service.generateResponseWithStreaming('Tell me a story', {}, onToken, abortController.signal);
+
+    expect(result.cancelled).toBe(true);
+    expect(result.content).toBe('Once upon');
+    expect(result.tokens).toBe(2);
+    expect(onToken).toHaveBeenCalledTimes(2);
+  });
+
+  it('should rethrow errors that are not caused by cancellation', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('connection refused'));
+
+    await expect(
+      service.generateResponseWithStreaming('Hello', {}, jest.fn(), new AbortController().signal),
+    ).rejects.toThrow('connection refused');
+  });
+});
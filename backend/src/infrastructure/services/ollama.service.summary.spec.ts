@@ -0,0 +1,79 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { OllamaService } from './ollama.service';
+
+describe('OllamaService - Conversation summary', () => {
+  let service: OllamaService;
+  let fetchSpy: jest.SpyInstance;
+
+  const messages = [
+    { role: 'user', content: 'We will use PostgreSQL 16 for the project' },
+    { role: 'assistant', content: 'Great, PostgreSQL 16 it is.' },
+  ];
+
+  const jsonResponse = (body: object, status = 200) =>
+    new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        OllamaService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                OLLAMA_BASE_URL: 'http://localhost:11434',
+                OLLAMA_DEFAULT_MODEL: 'llama3.2',
+              };
+              return config[key] || defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<OllamaService>(OllamaService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+  });
+
+  it('should send the previous summary and the evicted messages to /api/chat', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      jsonResponse({ message: { content: '  - Database: PostgreSQL 16  ' } }),
+    );
+
+    const summary = await service.generateConversationSummary('- Project: XandAI', messages, { model: 'qwen2.5' });
+
+    expect(summary).toBe('- Database: PostgreSQL 16');
+    const [url, init] = fetchSpy.mock.calls[0];
+    const body = JSON.parse((init as RequestInit).body as string);
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(body.model).toBe('qwen2.5');
+    expect(body.messages[0].content).toContain('- Project: XandAI');
+    expect(body.messages[0].content).toContain('User: We will use PostgreSQL 16 for the project');
+    expect(body.messages[0].content).toContain('Assistant: Great, PostgreSQL 16 it is.');
+  });
+
+  it('should fall back to /api/generate when /api/chat fails', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(jsonResponse({ error: 'not found' }, 404))
+      .mockResolvedValueOnce(jsonResponse({ response: '- Database: PostgreSQL 16' }));
+
+    const summary = await service.generateConversationSummary(undefined, messages);
+
+    expect(summary).toBe('- Database: PostgreSQL 16');
+    expect(fetchSpy.mock.calls[1][0]).toBe('http://localhost:11434/api/generate');
+    const body = JSON.parse((fetchSpy.mock.calls[1][1] as RequestInit).body as string);
+    expect(body.model).toBe('llama3.2');
+    expect(body.prompt).toContain('(none)');
+  });
+
+  it('should throw when the model returns an empty summary', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({ message: { content: '   ' } }));
+
+    await expect(service.generateConversationSummary(undefined, messages)).rejects.toThrow('Empty response from Ollama');
+  });
+});
@@ -0,0 +1,115 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { OllamaService } from './ollama.service';
+import { ToolDefinition } from './tool-registry.service';
+
+describe('OllamaService - Tool calling', () => {
+  let service: OllamaService;
+  let fetchSpy: jest.SpyInstance;
+
+  const encoder = new TextEncoder();
+
+  const tools: ToolDefinition[] = [{
+    type: 'function',
+    function: { name: 'calculator', description: 'Calculates', parameters: { type: 'object', properties: {} } },
+  }];
+
+  const toolCall = { function: { name: 'calculator', arguments: { expression: '2+2' } } };
+
+  const ndjson = (chunks: object[]) => new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(JSON.stringify(chunk) + '\n')));
+      controller.close();
+    },
+  });
+
+  const requestBody = (call: number) => JSON.parse(fetchSpy.mock.calls[call][1].body);
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        OllamaService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                OLLAMA_BASE_URL: 'http://localhost:11434',
+                OLLAMA_DEFAULT_MODEL: 'llama3.2',
+              };
+              return config[key] || defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<OllamaService>(OllamaService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+  });
+
+  it('should send the tools and return the tool calls even without text', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ message: { role: 'assistant', content: '', tool_calls: [toolCall] }, eval_count: 5 }), { status: 200 }),
+    );
+
+    const result = await service.generateResponse([{ role: 'user', content: 'What is 2+2?' }], { tools });
+
+    expect(requestBody(0).tools).toEqual(tools);
+    expect(result.content).toBe('');
+    expect(result.toolCalls).toEqual([toolCall]);
+  });
+
+  it('should not send the tools field when no tools are given', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ message: { content: 'Hello' } }), { status: 200 }),
+    );
+
+    const result = await service.generateResponse('Hi');
+
+    expect(requestBody(0)).not.toHaveProperty('tools');
+    expect(result.toolCalls).toBeUndefined();
+  });
+
+  it('should retry without tools when the model does not support them', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(new Response(JSON.stringify({ error: 'llama2 does not support tools' }), { status: 400 }))
+      .mockResolvedValueOnce(new Response(JSON.stringify({ message: { content: 'It is 4' } }), { status: 200 }));
+
+    const result = await service.generateResponse('What is 2+2?', { tools });
+
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    expect(fetchSpy.mock.calls[1][0]).toContain('/api/chat');
+    expect(requestBody(1)).not.toHaveProperty('tools');
+    expect(result.content).toBe('It is 4');
+  });
+
+  it('should collect tool calls from the stream', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(ndjson([
+      { message: { content: '', tool_calls: [toolCall] } },
+      { message: { content: '' }, done: true, eval_count: 3 },
+    ]), { status: 200 }));
+    const onToken = jest.fn();
+
+    const result = await service.generateResponseWithStreaming('What is 2+2?', { tools }, onToken);
+
+    expect(requestBody(0).tools).toEqual(tools);
+    expect(onToken).not.toHaveBeenCalled();
+    expect(result.toolCalls).toEqual([toolCall]);
+  });
+
+  it('should retry the stream without tools when the model does not support them', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(new Response(JSON.stringify({ error: 'does not support tools' }), { status: 400 }))
+      .mockResolvedValueOnce(new Response(ndjson([{ message: { content: 'Four' } }, { done: true }]), { status: 200 }));
+
+    const result = await service.generateResponseWithStreaming('What is 2+2?', { tools }, jest.fn());
+
+    expect(requestBody(1)).not.toHaveProperty('tools');
+    expect(result.content).toBe('Four');
+    expect(result.toolCalls).toBeUndefined();
+  });
+});
@@ -1,5 +1,6 @@
 import { Injectable, Logger } from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
+import { ToolDefinition } from './tool-registry.service';
 
 /**
  * Serviço para integração com Ollama API
@@ -15,6 +16,9 @@ export class OllamaService {
   private dynamicBaseUrl: string | null = null;
   private dynamicTimeout: number | null = null;
 
+  // Context length per "baseUrl|model", resolved once from /api/show
+  private readonly contextLengthCache = new Map<string, number>();
+
   constructor(private readonly configService: ConfigService) {
     this.ollamaBaseUrl = this.configService.get<string>('OLLAMA_BASE_URL', 'http://localhost:11434');
     this.defaultModel = this.configService.get<string>('OLLAMA_DEFAULT_MODEL', 'llama2');
@@ -178,15 +182,101 @@ Title:`;
     return cleaned;
   }
 
+  /**
+   * Atualiza o resumo de uma conversa longa com as mensagens que saíram da janela de contexto
+   * @param previousSummary - Resumo atual (vazio na primeira vez)
+   * @param messages - Mensagens removidas do contexto, em ordem cronológica
+   * @returns Promise com o novo resumo (lança erro se o Ollama falhar)
+   */
+  async generateConversationSummary(
+    previousSummary: string | undefined,
+    messages: Array<{ role: string; content: string }>,
+    options: { model?: string; baseUrl?: string } = {}
+  ): Promise<string> {
+    const baseUrl = this.getEffectiveBaseUrl(options.baseUrl);
+    const model = options.model || this.defaultModel;
+
+    this.logger.log(`🧾 Summarizing ${messages.length} message(s) with model: ${model}`);
+
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+
+    const prompt = `You maintain the running summary of a long conversation between a user and an AI assistant. Older messages no longer fit in the assistant's memory, so the summary is all it will know about them.
+Update the summary with the new messages below. Keep facts, decisions, names, numbers, code identifiers, preferences and open questions; drop greetings and filler. Write concise bullet points in the language of the conversation, at most 300 words. Respond only with the updated summary.
+
+Current summary:
+${previousSummary?.trim() || '(none)'}
+
+New messages:
+${transcript}
+
+Updated summary:`;
+
+    const requestOptions = { temperature: 0.2, num_predict: 512 };
+
+    // Try /api/chat first, fallback to /api/generate
+    let response: Response;
+    let data: any;
+
+    try {
+      response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          stream: false,
+          options: requestOptions,
+        }),
+        signal: AbortSignal.timeout(120000),
+      });
+
+      if (response.ok) {
+        data = await response.json();
+      } else {
+        throw new Error('Chat endpoint failed');
+      }
+    } catch {
+      // Fallback to /api/generate
+      response = await fetch(`${baseUrl}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          prompt,
+          stream: false,
+          options: requestOptions,
+        }),
+        signal: AbortSignal.timeout(120000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status}`);
+      }
+      data = await response.json();
+    }
+
+    const summary = data.message?.content?.trim() || data.response?.trim();
+
+    if (!summary) {
+      throw new Error('Empty response from Ollama');
+    }
+
+    this.logger.log(`🧾 Summary updated (${summary.length} chars)`);
+    return summary;
+  }
+
   /**
    * Gera uma resposta com streaming usando o Ollama API
-   * @param messages - Array de mensagens no formato Ollama (ou string para compatibilidade)
+   * @param messages - Array de mensagens no formato Ollama, com images em base64 para modelos de visão (ou string para compatibilidade)
    * @param options - Opções para a geração
    * @param onToken - Callback chamado para cada token recebido
+   * @param signal - Sinal para cancelar a geração; o conteúdo parcial é retornado com cancelled: true
    * @returns Promise com a resposta completa
    */
   async generateResponseWithStreaming(
-    messages: Array<{ role: string; content: string }> | string,
+    messages: Array<{ role: string; content: string; images?: string[] }> | string,
     options: {
       model?: string;
       temperature?: number;
@@ -197,15 +287,22 @@ Title:`;
       presencePenalty?: number;
       repeatPenalty?: number;
       seed?: number;
+      numCtx?: number;
       ollamaConfig?: {
         baseUrl?: string;
         timeout?: number;
         enabled?: boolean;
       };
+      tools?: ToolDefinition[];
     } = {},
-    onToken: (token: string, fullText: string) => void
-  ): Promise<{ content: string; model: string; tokens: number; processingTime: number; tokensPerSecond: number }> {
+    onToken: (token: string, fullText: string) => void,
+    signal?: AbortSignal
+  ): Promise<{ content: string; model: string; tokens: number; processingTime: number; tokensPerSecond: number; cancelled?: boolean; toolCalls?: any[] }> {
     const startTime = Date.now();
+    const model = options.model || this.defaultModel;
+    let fullContent = '';
+    let totalTokens = 0;
+    const toolCalls: any[] = [];
     
     try {
       if (options.ollamaConfig?.baseUrl) {
@@ -217,7 +314,6 @@ Title:`;
       
       const baseUrl = this.getEffectiveBaseUrl(options.ollamaConfig?.baseUrl);
       const timeout = options.ollamaConfig?.timeout || this.dynamicTimeout || 300000;
-      const model = options.model || this.defaultModel;
       
       // Convert string to messages array for compatibility
       const messagesArray = typeof messages === 'string' 
@@ -232,6 +328,7 @@ Title:`;
         model: model,
         messages: messagesArray,
         stream: true, // Enable streaming
+        ...(options.tools?.length && { tools: options.tools }),
         options: {
           temperature: options.temperature || 0.7,
           num_predict: options.maxTokens || 2048,
@@ -241,16 +338,26 @@ Title:`;
           ...(options.presencePenalty && { presence_penalty: options.presencePenalty }),
           ...(options.repeatPenalty && { repeat_penalty: options.repeatPenalty }),
           ...(options.seed !== undefined && { seed: options.seed }),
+          ...(options.numCtx && { num_ctx: options.numCtx }),
         },
       };
 
-      const response = await fetch(`${baseUrl}/api/chat`, {
+      const postChat = (body: object) => fetch(`${baseUrl}/api/chat`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(chatRequestBody),
-        signal: AbortSignal.timeout(timeout),
+        body: JSON.stringify(body),
+        // Aborting the fetch closes the connection, which makes Ollama stop generating
+        signal: signal ? AbortSignal.any([AbortSignal.timeout(timeout), signal]) : AbortSignal.timeout(timeout),
       });
 
+      let response = await postChat(chatRequestBody);
+
+      // Modelos sem suporte a ferramentas respondem 400: repete o pedido sem elas
+      if (response.status === 400 && options.tools?.length) {
+        this.logger.warn(`⚠️ ${model} rejected the tool definitions, retrying without tools`);
+        response = await postChat({ ...chatRequestBody, tools: undefined });
+      }
+
       if (!response.ok) {
         throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
       }
@@ -262,8 +369,6 @@ Title:`;
       }
 
       const decoder = new TextDecoder();
-      let fullContent = '';
-      let totalTokens = 0;
 
       while (true) {
         const { done, value } = await reader.read();
@@ -280,6 +385,9 @@ Title:`;
               totalTokens++;
               onToken(data.message.content, fullContent);
             }
+            if (data.message?.tool_calls?.length) {
+              toolCalls.push(...data.message.tool_calls);
+            }
             if (data.done) {
               totalTokens = data.eval_count || totalTokens;
             }
@@ -299,10 +407,24 @@ Title:`;
         tokens: totalTokens,
         processingTime,
         tokensPerSecond: parseFloat(tokensPerSecond),
+        ...(toolCalls.length && { toolCalls }),
       };
 
     } catch (error) {
       const processingTime = Date.now() - startTime;
+
+      if (signal?.aborted) {
+        this.logger.log(`⏹️ Streaming cancelled by client after ${processingTime}ms, ${totalTokens} tokens`);
+        return {
+          content: fullContent,
+          model,
+          tokens: totalTokens,
+          processingTime,
+          tokensPerSecond: processingTime > 0 ? parseFloat((totalTokens / (processingTime / 1000)).toFixed(2)) : 0,
+          cancelled: true,
+        };
+      }
+
       this.logger.error(`Streaming error: ${error.message} (${processingTime}ms)`);
       throw error;
     }
@@ -310,12 +432,12 @@ Title:`;
 
   /**
    * Gera uma resposta usando o Ollama API
-   * @param messages - Array de mensagens no formato Ollama (ou string para compatibilidade)
+   * @param messages - Array de mensagens no formato Ollama, com images em base64 para modelos de visão (ou string para compatibilidade)
    * @param options - Opções para a geração
    * @returns Promise com a resposta gerada
    */
   async generateResponse(
-    messages: Array<{ role: string; content: string }> | string, 
+    messages: Array<{ role: string; content: string; images?: string[] }> | string, 
     options: {
       model?: string;
       temperature?: number;
@@ -326,11 +448,13 @@ Title:`;
       presencePenalty?: number;
       repeatPenalty?: number;
       seed?: number;
+      numCtx?: number;
       ollamaConfig?: {
         baseUrl?: string;
         timeout?: number;
         enabled?: boolean;
       };
+      tools?: ToolDefinition[];
       [key: string]: any;
     } = {}
   ): Promise<{
@@ -339,6 +463,7 @@ Title:`;
     tokens: number;
     processingTime: number;
     tokensPerSecond: number;
+    toolCalls?: any[];
   }> {
     const startTime = Date.now();
     
@@ -380,6 +505,7 @@ Title:`;
           model: model,
           messages: messagesArray,
           stream: false,
+          ...(options.tools?.length && { tools: options.tools }),
           options: {
             temperature: options.temperature || 0.7,
             num_predict: options.maxTokens || 2048,
@@ -389,19 +515,28 @@ Title:`;
             ...(options.presencePenalty && { presence_penalty: options.presencePenalty }),
             ...(options.repeatPenalty && { repeat_penalty: options.repeatPenalty }),
             ...(options.seed !== undefined && { seed: options.seed }),
+            ...(options.numCtx && { num_ctx: options.numCtx }),
           },
         };
 
-        this.logger.log(`🔄 Trying /api/chat with model: ${model}...`);
-        response = await fetch(`${baseUrl}/api/chat`, {
+        const postChat = (body: object) => fetch(`${baseUrl}/api/chat`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify(chatRequestBody),
+          body: JSON.stringify(body),
           signal: AbortSignal.timeout(timeout),
         });
 
+        this.logger.log(`🔄 Trying /api/chat with model: ${model}...`);
+        response = await postChat(chatRequestBody);
+
+        // Modelos sem suporte a ferramentas respondem 400: repete o pedido sem elas
+        if (response.status === 400 && options.tools?.length) {
+          this.logger.warn(`⚠️ ${model} rejected the tool definitions, retrying without tools`);
+          response = await postChat({ ...chatRequestBody, tools: undefined });
+        }
+
         if (response.ok) {
           data = await response.json();
           usedEndpoint = '/api/chat';
@@ -416,10 +551,13 @@ Title:`;
         const promptString = messagesArray
           .map(msg => `${msg.role === 'system' ? 'System: ' : msg.role === 'user' ? 'User: ' : 'Assistant: '}${msg.content}`)
           .join('\n\n');
+        // /api/generate só aceita as imagens do prompt como um todo
+        const images = messagesArray.flatMap(msg => msg.images || []);
         
         const generateRequestBody = {
           model: model,
           prompt: promptString,
+          ...(images.length > 0 && { images }),
           stream: false,
           options: {
             temperature: options.temperature || 0.7,
@@ -430,6 +568,7 @@ Title:`;
             ...(options.presencePenalty && { presence_penalty: options.presencePenalty }),
             ...(options.repeatPenalty && { repeat_penalty: options.repeatPenalty }),
             ...(options.seed !== undefined && { seed: options.seed }),
+            ...(options.numCtx && { num_ctx: options.numCtx }),
           },
         };
 
@@ -454,13 +593,16 @@ Title:`;
 
       // Extract content based on endpoint used
       let content: string;
+      let toolCalls: any[] | undefined;
       if (usedEndpoint === '/api/chat') {
         content = data.message?.content || data.response || '';
+        toolCalls = data.message?.tool_calls?.length ? data.message.tool_calls : undefined;
       } else {
         content = data.response || '';
       }
 
-      if (!content) {
+      // Uma rodada de chamadas de ferramenta pode vir sem texto
+      if (!content && !toolCalls) {
         throw new Error('Empty response from Ollama API');
       }
 
@@ -494,6 +636,7 @@ Title:`;
         tokens,
         processingTime,
         tokensPerSecond,
+        ...(toolCalls && { toolCalls }),
       };
 
     } catch (error) {
@@ -504,40 +647,57 @@ Title:`;
   }
 
   /**
-   * Detects if the user message is requesting image generation
-   * @param message - User message
-   * @returns boolean indicating if it's an image generation request
+   * Classifica a intenção da mensagem (gerar imagem, conversar ou outra) com uma chamada curta ao modelo
+   * Funciona em qualquer idioma; a mensagem é analisada pelo sentido e não por palavras-chave
+   * @param message - Mensagem do usuário
+   * @param options - Modelo e URL do Ollama (padrão: modelo e URL configurados)
+   * @returns Intenção e confiança (0 a 1)
+   * @throws Error quando o Ollama falha ou a resposta não é um JSON válido
    */
-  isImageGenerationRequest(message: string): boolean {
-    const lowerMessage = message.toLowerCase();
-    
-    // Image generation trigger phrases (multiple languages)
-    const imagePatterns = [
-      // English
-      /\b(generate|create|make|draw|produce|render|design)\b.*(image|picture|photo|illustration|artwork|art|drawing|painting|visual)/i,
-      /\b(image|picture|photo|illustration|artwork|art|drawing|painting)\b.*(of|for|showing|depicting|with)/i,
-      /\b(show me|give me|i want|i need|can you make|can you create|can you draw|can you generate)\b.*(image|picture|photo|illustration|artwork|art|drawing)/i,
-      /\bvisualize\b/i,
-      /\billustrate\b/i,
-      // Portuguese
-      /\b(gere|crie|faça|desenhe|produza|renderize)\b.*(imagem|foto|ilustração|arte|desenho|pintura|visual)/i,
-      /\b(imagem|foto|ilustração|arte|desenho|pintura)\b.*(de|para|mostrando|com)/i,
-      /\b(me mostre|me dê|eu quero|eu preciso|pode criar|pode fazer|pode desenhar|pode gerar)\b.*(imagem|foto|ilustração|arte|desenho)/i,
-      /\bvisualize\b/i,
-      /\bilustre\b/i,
-      // Spanish
-      /\b(genera|crea|haz|dibuja|produce)\b.*(imagen|foto|ilustración|arte|dibujo|pintura)/i,
-      /\b(imagen|foto|ilustración|arte|dibujo)\b.*(de|para|mostrando|con)/i,
-    ];
-
-    for (const pattern of imagePatterns) {
-      if (pattern.test(lowerMessage)) {
-        this.logger.log(`Image generation request detected: "${message.substring(0, 50)}..."`);
-        return true;
-      }
+  async classifyIntent(
+    message: string,
+    options: { model?: string; baseUrl?: string } = {}
+  ): Promise<{ intent: 'image' | 'chat' | 'other'; confidence: number }> {
+    const baseUrl = this.getEffectiveBaseUrl(options.baseUrl);
+    const model = options.model || this.defaultModel;
+
+    const prompt = `Classify the intent of the user message for an assistant that can chat and generate images with Stable Diffusion.
+Intents:
+- "image": the user wants a new picture, drawing, photo, illustration or artwork to be generated now
+- "chat": anything to be answered with text, including questions about images, metaphors ("the picture looks bleak") and requests for prompts or descriptions
+- "other": greetings, empty or meaningless input
+The message may be in any language. Respond only with JSON: {"intent": "image" | "chat" | "other", "confidence": number between 0 and 1}
+
+User message: """${message.slice(0, 2000)}"""`;
+
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        format: 'json',
+        options: { temperature: 0, num_predict: 64 },
+      }),
+      signal: AbortSignal.timeout(20000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const parsed = JSON.parse(data.message?.content?.match(/\{[\s\S]*\}/)?.[0] || 'null');
+    const intent = ['image', 'chat', 'other'].includes(parsed?.intent) ? parsed.intent : null;
+    const confidence = Number(parsed?.confidence);
+
+    if (!intent || !Number.isFinite(confidence)) {
+      throw new Error('Invalid intent classification');
     }
 
-    return false;
+    this.logger.log(`🧭 Intent "${intent}" (${confidence.toFixed(2)}) for: "${message.substring(0, 50)}..."`);
+    return { intent, confidence: Math.min(Math.max(confidence, 0), 1) };
   }
 
   /**
@@ -667,6 +827,124 @@ JSON:`;
     return `${cleanMessage}, highly detailed, masterpiece, best quality, professional, 8k uhd, sharp focus, vibrant colors`;
   }
 
+  /**
+   * Obtém o tamanho da janela de contexto usada para um modelo
+   * Usa o num_ctx do Modelfile quando definido, senão OLLAMA_NUM_CTX, limitado ao máximo do modelo
+   * @param model - Nome do modelo (usa o padrão se omitido)
+   * @param customBaseUrl - Optional custom URL to query
+   * @returns Promise com o número de tokens ou null se não for possível descobrir
+   */
+  async getModelContextLength(model?: string, customBaseUrl?: string): Promise<number | null> {
+    const baseUrl = this.getEffectiveBaseUrl(customBaseUrl);
+    const modelName = model || this.defaultModel;
+    const cacheKey = `${baseUrl}|${modelName}`;
+
+    if (this.contextLengthCache.has(cacheKey)) {
+      return this.contextLengthCache.get(cacheKey);
+    }
+
+    try {
+      const response = await fetch(`${baseUrl}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: modelName }),
+        signal: AbortSignal.timeout(5000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      // model_info traz "<arquitetura>.context_length" com o máximo suportado pelo modelo
+      const maxContextKey = Object.keys(data.model_info || {}).find(key => key.endsWith('.context_length'));
+      const maxContextLength = maxContextKey ? Number(data.model_info[maxContextKey]) : null;
+
+      // parameters é texto no formato do Modelfile, ex: "num_ctx 8192\nstop ..."
+      const numCtxMatch = typeof data.parameters === 'string' ? data.parameters.match(/^num_ctx\s+(\d+)/m) : null;
+      const configuredContext = numCtxMatch
+        ? Number(numCtxMatch[1])
+        : Number(this.configService.get('OLLAMA_NUM_CTX', 4096));
+
+      const contextLength = maxContextLength ? Math.min(configuredContext, maxContextLength) : configuredContext;
+
+      this.contextLengthCache.set(cacheKey, contextLength);
+      this.logger.log(`📏 Context length for ${modelName}: ${contextLength} tokens (model max: ${maxContextLength || 'unknown'})`);
+      return contextLength;
+    } catch (error) {
+      this.logger.warn(`Não foi possível obter o contexto do modelo ${modelName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Gera embeddings para uma lista de textos
+   * Usa /api/embed (lotes, Ollama 0.3+) e recorre a /api/embeddings, um texto por vez, em versões antigas
+   * @param texts - Textos para gerar embeddings
+   * @param options.model - Modelo de embeddings (usa OLLAMA_EMBEDDING_MODEL se omitido)
+   * @param options.baseUrl - Optional custom URL to query
+   * @returns Promise com um vetor por texto, na mesma ordem
+   */
+  async generateEmbeddings(
+    texts: string[],
+    options: { model?: string; baseUrl?: string } = {}
+  ): Promise<number[][]> {
+    if (texts.length === 0) {
+      return [];
+    }
+
+    const baseUrl = this.getEffectiveBaseUrl(options.baseUrl);
+    const model = options.model || this.getDefaultEmbeddingModel();
+
+    const response = await fetch(`${baseUrl}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: texts }),
+      signal: AbortSignal.timeout(120000),
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      if (Array.isArray(data.embeddings) && data.embeddings.length === texts.length) {
+        return data.embeddings;
+      }
+      throw new Error(`Resposta inválida do modelo de embeddings ${model}`);
+    }
+
+    if (response.status !== 404) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`Erro ao gerar embeddings com ${model}: ${response.status} ${errorText}`.trim());
+    }
+
+    this.logger.warn(`/api/embed indisponível em ${baseUrl}, usando /api/embeddings`);
+
+    const embeddings: number[][] = [];
+    for (const text of texts) {
+      const legacyResponse = await fetch(`${baseUrl}/api/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, prompt: text }),
+        signal: AbortSignal.timeout(60000),
+      });
+
+      if (!legacyResponse.ok) {
+        throw new Error(`Erro ao gerar embeddings com ${model}: ${legacyResponse.status}`);
+      }
+
+      const data = await legacyResponse.json();
+      embeddings.push(data.embedding || []);
+    }
+    return embeddings;
+  }
+
+  /**
+   * Modelo de embeddings padrão para novas bases de conhecimento
+   */
+  getDefaultEmbeddingModel(): string {
+    return this.configService.get<string>('OLLAMA_EMBEDDING_MODEL', 'nomic-embed-text');
+  }
+
   /**
    * Verifica se o serviço Ollama está disponível
    * @param customBaseUrl - Optional custom URL to check
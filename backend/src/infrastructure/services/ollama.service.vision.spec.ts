@@ -0,0 +1,66 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { OllamaService } from './ollama.service';
+
+describe('OllamaService - Vision input', () => {
+  let service: OllamaService;
+  let fetchSpy: jest.SpyInstance;
+
+  const image = Buffer.from('png-bytes').toString('base64');
+  const messages = [
+    { role: 'system', content: 'You are helpful' },
+    { role: 'user', content: 'What is in this picture?', images: [image] },
+  ];
+
+  const requestBody = (call: number) => JSON.parse(fetchSpy.mock.calls[call][1].body);
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        OllamaService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                OLLAMA_BASE_URL: 'http://localhost:11434',
+                OLLAMA_DEFAULT_MODEL: 'llava',
+              };
+              return config[key] || defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<OllamaService>(OllamaService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+  });
+
+  it('should send the images inside the chat messages', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ message: { content: 'A cat' } }), { status: 200 }),
+    );
+
+    const result = await service.generateResponse(messages);
+
+    expect(fetchSpy.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+    expect(requestBody(0).messages[1].images).toEqual([image]);
+    expect(result.content).toBe('A cat');
+  });
+
+  it('should keep the images when falling back to /api/generate', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(new Response('error', { status: 500 }))
+      .mockResolvedValueOnce(new Response(JSON.stringify({ response: 'A cat' }), { status: 200 }));
+
+    const result = await service.generateResponse(messages);
+
+    expect(fetchSpy.mock.calls[1][0]).toBe('http://localhost:11434/api/generate');
+    expect(requestBody(1).images).toEqual([image]);
+    expect(result.content).toBe('A cat');
+  });
+});
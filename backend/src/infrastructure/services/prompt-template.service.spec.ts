@@ -0,0 +1,40 @@
+import { PromptTemplateService } from './prompt-template.service';
+
+describe('PromptTemplateService', () => {
+  const service = new PromptTemplateService();
+
+  const user = { firstName: 'Ana', lastName: 'Souza', email: 'ana@example.com', preferredLanguage: 'en-US' };
+  const now = new Date(2025, 2, 14, 9, 30);
+
+  it('should fill built-in variables from the user and the current date', () => {
+    const rendered = service.render('Hi {{ user.firstName }} ({{user.name}}), today is {{date}} - {{language}}', { user, now });
+
+    expect(rendered).toBe('Hi Ana (Ana Souza), today is 03/14/2025 - en-US');
+  });
+
+  it('should prefer custom values and leave unknown variables empty', () => {
+    const rendered = service.render('{{company}} support.{{missing}} Date: {{date}}', {
+      user,
+      now,
+      variables: { company: 'XandAI', date: 'yesterday' },
+    });
+
+    expect(rendered).toBe('XandAI support. Date: yesterday');
+  });
+
+  it('should list only the variables the user has to provide', () => {
+    const template = 'Act as {{role}} for {{user.name}} at {{company}}; {{role}} again, {{date}}';
+
+    expect(service.extractVariables(template)).toEqual(['role', 'user.name', 'company', 'date']);
+    expect(service.getCustomVariables(template)).toEqual(['role', 'company']);
+  });
+
+  it('should replace persona references without treating them as variables', () => {
+    const text = 'Be brief. {{persona: Senior Coder }} {{persona:unknown}}';
+
+    expect(service.extractPersonaReferences(text)).toEqual(['Senior Coder', 'unknown']);
+    expect(service.extractVariables(text)).toEqual([]);
+    expect(service.replacePersonaReferences(text, name => (name === 'Senior Coder' ? 'You write code.' : undefined)))
+      .toBe('Be brief. You write code. ');
+  });
+});
@@ -0,0 +1,98 @@
+import { Injectable } from '@nestjs/common';
+import { User } from '../../domain/entities/user.entity';
+
+/**
+ * Variáveis preenchidas automaticamente em qualquer prompt
+ */
+export const BUILT_IN_PROMPT_VARIABLES = [
+  'date',
+  'time',
+  'datetime',
+  'weekday',
+  'language',
+  'user.name',
+  'user.firstName',
+  'user.email',
+] as const;
+
+export interface PromptTemplateContext {
+  user?: Pick<User, 'firstName' | 'lastName' | 'email' | 'preferredLanguage'> | null;
+  /** Valores das variáveis personalizadas; as ausentes ficam vazias */
+  variables?: Record<string, string | undefined>;
+  now?: Date;
+}
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const PERSONA_REFERENCE_PATTERN = /\{\{\s*persona\s*:\s*([^}]+?)\s*\}\}/gi;
+
+/**
+ * Preenche as {{variáveis}} de system prompts e personas no momento do envio
+ */
+@Injectable()
+export class PromptTemplateService {
+  /**
+   * Nomes das variáveis usadas no texto, na ordem em que aparecem (sem repetição)
+   */
+  extractVariables(template: string): string[] {
+    const names = [...(template || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Variáveis que o usuário precisa informar (as que não são preenchidas automaticamente)
+   */
+  getCustomVariables(template: string): string[] {
+    return this.extractVariables(template).filter(
+      name => !(BUILT_IN_PROMPT_VARIABLES as readonly string[]).includes(name)
+    );
+  }
+
+  /**
+   * Nomes das personas referenciadas com {{persona:nome}}
+   */
+  extractPersonaReferences(text: string): string[] {
+    return [...(text || '').matchAll(PERSONA_REFERENCE_PATTERN)].map(match => match[1]);
+  }
+
+  /**
+   * Substitui cada {{persona:nome}} pelo texto retornado por resolve (vazio quando não encontrada)
+   */
+  replacePersonaReferences(text: string, resolve: (name: string) => string | undefined): string {
+    return (text || '').replace(PERSONA_REFERENCE_PATTERN, (_, name: string) => resolve(name) ?? '');
+  }
+
+  /**
+   * Preenche as variáveis do texto. Valores personalizados têm prioridade sobre os automáticos.
+   */
+  render(template: string, context: PromptTemplateContext = {}): string {
+    if (!template) {
+      return template;
+    }
+
+    const values = { ...this.getBuiltInValues(context), ...context.variables };
+    return template.replace(VARIABLE_PATTERN, (_, name: string) => values[name] ?? '');
+  }
+
+  private getBuiltInValues(context: PromptTemplateContext): Record<string, string> {
+    const now = context.now || new Date();
+    const locale = context.user?.preferredLanguage || 'pt-BR';
+    const format = (options: Intl.DateTimeFormatOptions) => {
+      try {
+        return now.toLocaleString(locale, options);
+      } catch {
+        return now.toLocaleString('pt-BR', options);
+      }
+    };
+
+    return {
+      date: format({ year: 'numeric', month: '2-digit', day: '2-digit' }),
+      time: format({ hour: '2-digit', minute: '2-digit' }),
+      datetime: format({ dateStyle: 'full', timeStyle: 'short' }),
+      weekday: format({ weekday: 'long' }),
+      language: locale,
+      'user.name': [context.user?.firstName, context.user?.lastName].filter(Boolean).join(' '),
+      'user.firstName': context.user?.firstName || '',
+      'user.email': context.user?.email || '',
+    };
+  }
+}
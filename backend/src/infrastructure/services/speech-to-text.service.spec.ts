@@ -0,0 +1,88 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { BadRequestException, ServiceUnavailableException } from '@nestjs/common';
+import { SpeechToTextService } from './speech-to-text.service';
+
+describe('SpeechToTextService', () => {
+  const fetchMock = jest.fn();
+  const originalFetch = global.fetch;
+
+  const createService = async (config: Record<string, string>): Promise<SpeechToTextService> => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        SpeechToTextService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => config[key] ?? defaultValue),
+          },
+        },
+      ],
+    }).compile();
+
+    return module.get<SpeechToTextService>(SpeechToTextService);
+  };
+
+  const upload = (mimetype: string, size = 4): Express.Multer.File =>
+    ({ buffer: Buffer.alloc(size), size, mimetype, originalname: 'voice.webm' }) as Express.Multer.File;
+
+  beforeEach(() => {
+    fetchMock.mockReset();
+    fetchMock.mockResolvedValue({ ok: true, json: async () => ({ text: '  olá mundo ', language: 'pt' }) });
+    global.fetch = fetchMock;
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should call the OpenAI-compatible endpoint with the configured model', async () => {
+    const service = await createService({
+      STT_ENABLED: 'true',
+      STT_BASE_URL: 'http://whisper:8000/',
+      STT_MODEL: 'Systran/faster-whisper-base',
+    });
+
+    const result = await service.transcribeUpload(upload('audio/webm;codecs=opus'), 'pt');
+
+    expect(result).toEqual({ text: 'olá mundo', language: 'pt', duration: undefined });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://whisper:8000/v1/audio/transcriptions');
+    expect(init.body.get('model')).toBe('Systran/faster-whisper-base');
+    expect(init.body.get('language')).toBe('pt');
+    expect(init.body.get('file').type).toBe('audio/webm');
+  });
+
+  it('should call the whisper.cpp inference endpoint without a model field', async () => {
+    const service = await createService({ STT_ENABLED: 'true', STT_BACKEND: 'whisper-cpp' });
+
+    await service.transcribe(Buffer.alloc(4), { mimeType: 'audio/ogg; codecs=opus' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:8178/inference');
+    expect(init.body.get('model')).toBeNull();
+    expect(init.body.get('file').name).toBe('audio.ogg');
+  });
+
+  it('should refuse to transcribe when disabled', async () => {
+    const service = await createService({});
+
+    await expect(service.transcribe(Buffer.alloc(4))).rejects.toBeInstanceOf(ServiceUnavailableException);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should reject empty and non-audio uploads', async () => {
+    const service = await createService({ STT_ENABLED: 'true' });
+
+    await expect(service.transcribeUpload(upload('audio/webm', 0))).rejects.toBeInstanceOf(BadRequestException);
+    await expect(service.transcribeUpload(upload('application/pdf'))).rejects.toBeInstanceOf(BadRequestException);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should surface upstream errors', async () => {
+    const service = await createService({ STT_ENABLED: 'true' });
+    fetchMock.mockResolvedValue({ ok: false, status: 500, text: async () => 'model not loaded' });
+
+    await expect(service.transcribe(Buffer.alloc(4))).rejects.toThrow('Speech-to-text API error: 500 - model not loaded');
+  });
+});
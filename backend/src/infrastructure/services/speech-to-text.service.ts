@@ -0,0 +1,171 @@
+import { Injectable, Logger, BadRequestException, PayloadTooLargeException, ServiceUnavailableException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+/**
+ * Speech-to-text servers supported by the transcription proxy
+ * - openai: OpenAI-compatible API (faster-whisper-server / speaches) at /v1/audio/transcriptions
+ * - whisper-cpp: whisper.cpp `server` example at /inference (start it with --convert to accept webm/ogg)
+ */
+export const SPEECH_TO_TEXT_BACKENDS = ['openai', 'whisper-cpp'] as const;
+export type SpeechToTextBackend = (typeof SPEECH_TO_TEXT_BACKENDS)[number];
+
+export interface TranscriptionOptions {
+  mimeType?: string;
+  filename?: string;
+  /** ISO-639-1 language code; omitted lets the model detect it */
+  language?: string;
+}
+
+export interface TranscriptionResult {
+  text: string;
+  language?: string;
+  duration?: number;
+}
+
+/**
+ * Extensões usadas no nome do arquivo enviado ao servidor, que detecta o formato por ela
+ */
+const AUDIO_EXTENSIONS: Record<string, string> = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'application/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/flac': 'flac',
+};
+
+/**
+ * Serviço de transcrição de áudio via servidor Whisper local (whisper.cpp ou faster-whisper)
+ */
+@Injectable()
+export class SpeechToTextService {
+  private readonly logger = new Logger(SpeechToTextService.name);
+  private readonly enabled: boolean;
+  private readonly baseUrl: string;
+  private readonly backend: SpeechToTextBackend;
+  private readonly model: string;
+  private readonly defaultLanguage: string;
+  private readonly maxFileSizeBytes: number;
+
+  constructor(private readonly configService: ConfigService) {
+    this.enabled = this.configService.get<string>('STT_ENABLED', 'false') === 'true';
+    this.baseUrl = this.configService.get<string>('STT_BASE_URL', 'http://localhost:8178').replace(/\/+$/, '');
+    this.model = this.configService.get<string>('STT_MODEL', 'Systran/faster-whisper-small');
+    this.defaultLanguage = this.configService.get<string>('STT_LANGUAGE', '');
+    this.maxFileSizeBytes = Number(this.configService.get('STT_MAX_FILE_SIZE_MB', 25)) * 1024 * 1024;
+
+    const backend = this.configService.get<string>('STT_BACKEND', 'openai') as SpeechToTextBackend;
+    this.backend = SPEECH_TO_TEXT_BACKENDS.includes(backend) ? backend : 'openai';
+
+    if (this.enabled) {
+      this.logger.log(`🎙️ Speech-to-text enabled (${this.backend}) at ${this.baseUrl}`);
+    }
+  }
+
+  /**
+   * Indica se a transcrição está habilitada (STT_ENABLED=true)
+   */
+  isEnabled(): boolean {
+    return this.enabled;
+  }
+
+  /**
+   * Transcreve um áudio gravado pelo usuário e enviado via multipart
+   */
+  async transcribeUpload(file: Express.Multer.File, language?: string): Promise<TranscriptionResult> {
+    if (!file || !file.buffer || file.size === 0) {
+      throw new BadRequestException('Nenhum áudio enviado');
+    }
+
+    if (file.size > this.maxFileSizeBytes) {
+      throw new PayloadTooLargeException(`Áudio excede o limite de ${Math.round(this.maxFileSizeBytes / 1024 / 1024)}MB`);
+    }
+
+    if (!this.isAudio(file.mimetype)) {
+      throw new BadRequestException(`Tipo de áudio não suportado: ${file.mimetype}`);
+    }
+
+    return this.transcribe(file.buffer, {
+      mimeType: file.mimetype,
+      filename: file.originalname,
+      language,
+    });
+  }
+
+  /**
+   * Envia o áudio ao servidor de transcrição configurado
+   * @param audio - Conteúdo do áudio
+   * @param options - Tipo, nome do arquivo e idioma (opcionais)
+   * @returns Texto transcrito
+   */
+  async transcribe(audio: Buffer, options: TranscriptionOptions = {}): Promise<TranscriptionResult> {
+    if (!this.enabled) {
+      throw new ServiceUnavailableException('Transcrição de áudio desabilitada (STT_ENABLED=false)');
+    }
+
+    const mimeType = this.baseMimeType(options.mimeType) || 'application/octet-stream';
+    const filename = options.filename || `audio.${AUDIO_EXTENSIONS[mimeType] || 'webm'}`;
+    const language = options.language || this.defaultLanguage;
+
+    const form = new FormData();
+    form.append('file', new Blob([new Uint8Array(audio)], { type: mimeType }), filename);
+    form.append('response_format', 'json');
+    if (language) {
+      form.append('language', language);
+    }
+
+    let url = `${this.baseUrl}/inference`;
+    if (this.backend === 'openai') {
+      url = `${this.baseUrl}/v1/audio/transcriptions`;
+      form.append('model', this.model);
+    }
+
+    try {
+      this.logger.log(`📤 Sending ${audio.length} bytes of ${mimeType} to ${url}`);
+      const startedAt = Date.now();
+
+      const response = await fetch(url, { method: 'POST', body: form });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        this.logger.error(`❌ Transcription failed: ${response.status} - ${errorText}`);
+        throw new Error(`Speech-to-text API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      const text = String(data.text || '').trim();
+
+      this.logger.log(`✅ Transcribed ${text.length} chars in ${Date.now() - startedAt}ms`);
+      return {
+        text,
+        language: data.language,
+        duration: data.duration,
+      };
+    } catch (error) {
+      this.logger.error(`❌ Error transcribing audio: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica se o tipo MIME é de áudio (gravações do navegador usam audio/webm ou video/webm)
+   */
+  isAudio(mimeType?: string): boolean {
+    const base = this.baseMimeType(mimeType);
+    return !!base && (base.startsWith('audio/') || base in AUDIO_EXTENSIONS);
+  }
+
+  /**
+   * Remove parâmetros como "; codecs=opus" do tipo MIME
+   */
+  private baseMimeType(mimeType?: string): string {
+    return (mimeType || '').split(';')[0].trim().toLowerCase();
+  }
+}
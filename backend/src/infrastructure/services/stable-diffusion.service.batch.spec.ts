@@ -0,0 +1,153 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import { StableDiffusionService } from './stable-diffusion.service';
+
+describe('StableDiffusionService - Seeds, batches and PNG metadata', () => {
+  let service: StableDiffusionService;
+  let workDir: string;
+  let cwdSpy: jest.SpyInstance;
+  let fetchSpy: jest.SpyInstance;
+
+  const chunk = (type: string, data: Buffer): Buffer => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(Buffer.concat([Buffer.from(type, 'ascii'), data])));
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, crc]);
+  };
+
+  // Minimal PNG (signature, IHDR, an old "parameters" text chunk and IEND)
+  const png = (): string => {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(512, 0);
+    ihdr.writeUInt32BE(512, 4);
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', ihdr),
+      chunk('tEXt', Buffer.from('parameters\0stale', 'latin1')),
+      chunk('IEND', Buffer.alloc(0)),
+    ]).toString('base64');
+  };
+
+  // Text chunks (tEXt/iTXt) of a saved PNG, by keyword
+  const readTextChunks = (file: string): Record<string, string> => {
+    const buffer = fs.readFileSync(file);
+    const texts: Record<string, string> = {};
+    let offset = 8;
+    while (offset < buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('ascii', offset + 4, offset + 8);
+      const data = buffer.subarray(offset + 8, offset + 8 + length);
+      const keywordEnd = data.indexOf(0);
+      if (type === 'tEXt') {
+        texts[data.toString('latin1', 0, keywordEnd)] = data.toString('latin1', keywordEnd + 1);
+      } else if (type === 'iTXt') {
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const translatedEnd = data.indexOf(0, languageEnd + 1);
+        texts[data.toString('latin1', 0, keywordEnd)] = data.toString('utf8', translatedEnd + 1);
+      }
+      offset += length + 12;
+    }
+    return texts;
+  };
+
+  const requestBody = () => JSON.parse(fetchSpy.mock.calls[0][1].body);
+
+  beforeEach(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xandai-sd-'));
+    cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        StableDiffusionService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                SD_ENABLED: 'false',
+                SD_BASE_URL: 'http://forge:7860',
+                SD_DEFAULT_MODEL: 'v1-5-pruned.safetensors',
+                SD_MAX_BATCH_SIZE: '3',
+              };
+              return config[key] ?? defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<StableDiffusionService>(StableDiffusionService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+    cwdSpy.mockRestore();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should send an explicit seed and keep it in the metadata', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ images: [png()], info: JSON.stringify({ all_seeds: [1234] }) }), { status: 200 }),
+    );
+
+    const result = await service.generateImage({ prompt: 'a red fox', seed: 1234 });
+
+    expect(requestBody()).toMatchObject({ seed: 1234, batch_size: 1 });
+    expect(result.metadata.generation).toEqual({
+      model: 'v1-5-pruned.safetensors',
+      sampler: 'Euler a',
+      steps: 20,
+      cfgScale: 7,
+      seed: 1234,
+      width: 512,
+      height: 512,
+    });
+  });
+
+  it('should save every image of a batch with its own seed, skipping the grid', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({
+        images: [png(), png(), png()],
+        info: JSON.stringify({ all_seeds: [7, 8], index_of_first_image: 1, infotexts: ['grid', 'first', 'second'] }),
+      }), { status: 200 }),
+    );
+
+    const result = await service.generateImage({ prompt: 'a red fox', batchSize: 2 });
+
+    expect(requestBody()).toMatchObject({ seed: -1, batch_size: 2 });
+    expect(result.images.map(image => image.seed)).toEqual([7, 8]);
+    expect(result.metadata.seeds).toEqual([7, 8]);
+    expect(result.filename).toBe(result.images[0].filename);
+    expect(readTextChunks(result.images[1].imagePath).parameters).toBe('second');
+  });
+
+  it('should limit the batch to SD_MAX_BATCH_SIZE', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ images: [png()] }), { status: 200 }),
+    );
+
+    await service.generateImage({ prompt: 'a red fox', batchSize: 10 });
+
+    expect(requestBody().batch_size).toBe(3);
+  });
+
+  it('should write the parameters into the PNG text chunks', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ images: [png()], info: JSON.stringify({ all_seeds: [42] }) }), { status: 200 }),
+    );
+
+    const result = await service.generateImage({ prompt: 'uma raposa vermelha', negativePrompt: 'blurry', seed: 42 });
+    const texts = readTextChunks(result.imagePath);
+
+    expect(texts.parameters).toBe(
+      'uma raposa vermelha\nNegative prompt: blurry\n' +
+      'Steps: 20, Sampler: Euler a, CFG scale: 7, Seed: 42, Size: 512x512, Model: v1-5-pruned.safetensors',
+    );
+    expect(JSON.parse(texts.generation)).toMatchObject({ prompt: 'uma raposa vermelha', generation: { seed: 42 } });
+  });
+});
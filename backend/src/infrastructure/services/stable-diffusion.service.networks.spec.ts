@@ -0,0 +1,133 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { StableDiffusionService } from './stable-diffusion.service';
+
+describe('StableDiffusionService - LoRAs, embeddings and ControlNet', () => {
+  let service: StableDiffusionService;
+  let workDir: string;
+  let cwdSpy: jest.SpyInstance;
+  let fetchSpy: jest.SpyInstance;
+
+  const generated = Buffer.from('generated-image').toString('base64');
+  const jsonResponse = (body: any) => new Response(JSON.stringify(body), { status: 200 });
+  const requestBody = (call: number) => JSON.parse(fetchSpy.mock.calls[call][1].body);
+
+  beforeEach(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xandai-sd-'));
+    cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        StableDiffusionService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                SD_ENABLED: 'false',
+                SD_BASE_URL: 'http://forge:7860',
+                SD_DEFAULT_MODEL: 'v1-5-pruned.safetensors',
+              };
+              return config[key] ?? defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<StableDiffusionService>(StableDiffusionService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+    cwdSpy.mockRestore();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should list LoRAs, loaded embeddings and ControlNet options', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+      const responses = {
+        '/sdapi/v1/loras': [{ name: 'pixel-art', alias: 'pixel', path: '/models/Lora/pixel-art.safetensors' }],
+        '/sdapi/v1/embeddings': { loaded: { 'bad-hands-5': { step: 1000, vectors: 2 } }, skipped: { 'sdxl-only': {} } },
+        '/controlnet/model_list': { model_list: ['control_v11p_sd15_canny'] },
+        '/controlnet/module_list': { module_list: ['none', 'canny'] },
+      };
+      return jsonResponse(responses[new URL(String(url)).pathname]);
+    });
+
+    expect(await service.getLoras()).toEqual([
+      { name: 'pixel-art', alias: 'pixel', path: '/models/Lora/pixel-art.safetensors' },
+    ]);
+    expect(await service.getEmbeddings()).toEqual([{ name: 'bad-hands-5', step: 1000, vectors: 2 }]);
+    expect(await service.getControlNetOptions()).toEqual({
+      models: ['control_v11p_sd15_canny'],
+      modules: ['none', 'canny'],
+    });
+  });
+
+  it('should return empty ControlNet options when the extension is not installed', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('Not Found', { status: 404 }));
+
+    expect(await service.getControlNetOptions('http://other:7860')).toEqual({ models: [], modules: [] });
+    expect(fetchSpy.mock.calls[0][0]).toBe('http://other:7860/controlnet/model_list');
+  });
+
+  it('should add LoRAs and embeddings to the prompts', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({ images: [generated] }));
+
+    const result = await service.generateImage({
+      prompt: 'a castle',
+      negativePrompt: 'blurry',
+      config: {
+        baseUrl: 'http://forge:7860',
+        loras: [{ name: 'pixel-art', weight: 0.7 }, { name: 'detail' }],
+        embeddings: [{ name: 'style-x', weight: 1.2 }, { name: 'bad-hands-5', negative: true }],
+      },
+    });
+
+    const body = requestBody(0);
+    expect(body.prompt).toBe('a castle, (style-x:1.2), <lora:pixel-art:0.7>, <lora:detail:1>');
+    expect(body.negative_prompt).toBe('blurry, bad-hands-5');
+    expect(body.alwayson_scripts).toBeUndefined();
+    expect(result.metadata.generation.loras).toEqual([{ name: 'pixel-art', weight: 0.7 }, { name: 'detail' }]);
+    expect(result.metadata.prompt).toBe('a castle');
+  });
+
+  it('should send a ControlNet unit without storing the reference image in the metadata', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({ images: [generated] }));
+
+    const result = await service.generateImage({
+      prompt: 'a house',
+      controlNet: {
+        image: 'data:image/png;base64,cmVmZXJlbmNl',
+        module: 'canny',
+        model: 'control_v11p_sd15_canny',
+        weight: 0.8,
+        controlMode: 'prompt',
+      },
+    });
+
+    const [unit] = requestBody(0).alwayson_scripts.controlnet.args;
+    expect(unit).toEqual({
+      enabled: true,
+      image: 'cmVmZXJlbmNl',
+      module: 'canny',
+      model: 'control_v11p_sd15_canny',
+      weight: 0.8,
+      guidance_start: 0,
+      guidance_end: 1,
+      control_mode: 'My prompt is more important',
+      pixel_perfect: true,
+    });
+    expect(result.metadata.parameters.alwayson_scripts).toBeUndefined();
+    expect(result.metadata.generation.controlNet).toEqual({
+      module: 'canny',
+      model: 'control_v11p_sd15_canny',
+      weight: 0.8,
+      controlMode: 'prompt',
+    });
+  });
+});
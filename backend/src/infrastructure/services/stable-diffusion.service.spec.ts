@@ -0,0 +1,136 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { StableDiffusionService } from './stable-diffusion.service';
+
+describe('StableDiffusionService - img2img, inpainting and upscaling', () => {
+  let service: StableDiffusionService;
+  let workDir: string;
+  let cwdSpy: jest.SpyInstance;
+  let fetchSpy: jest.SpyInstance;
+
+  // PNG signature + start of the IHDR chunk with the given size
+  const pngHeader = (width: number, height: number): Buffer => {
+    const buffer = Buffer.alloc(33);
+    buffer.writeUInt32BE(0x89504e47, 0);
+    buffer.writeUInt32BE(0x0d0a1a0a, 4);
+    buffer.writeUInt32BE(13, 8);
+    buffer.write('IHDR', 12, 'ascii');
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+  };
+
+  const generated = Buffer.from('generated-image').toString('base64');
+  const requestBody = (call: number) => JSON.parse(fetchSpy.mock.calls[call][1].body);
+  const saveSource = (filename: string, content: Buffer) =>
+    fs.writeFileSync(path.join(workDir, 'public', 'images', filename), content);
+
+  beforeEach(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xandai-sd-'));
+    cwdSpy = jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        StableDiffusionService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = {
+                SD_ENABLED: 'false',
+                SD_BASE_URL: 'http://forge:7860',
+                SD_DEFAULT_MODEL: 'v1-5-pruned.safetensors',
+              };
+              return config[key] ?? defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<StableDiffusionService>(StableDiffusionService);
+  });
+
+  afterEach(() => {
+    fetchSpy?.mockRestore();
+    cwdSpy.mockRestore();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should vary a saved image keeping its size', async () => {
+    saveSource('sd_source.png', pngHeader(640, 480));
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ images: [generated] }), { status: 200 }),
+    );
+
+    const result = await service.generateImageToImage({ sourceFilename: 'sd_source.png', prompt: 'a red fox' });
+
+    expect(fetchSpy.mock.calls[0][0]).toBe('http://forge:7860/sdapi/v1/img2img');
+    const body = requestBody(0);
+    expect(body.init_images).toEqual([pngHeader(640, 480).toString('base64')]);
+    expect(body).toMatchObject({ width: 640, height: 480, denoising_strength: 0.55 });
+    expect(body.mask).toBeUndefined();
+
+    expect(result.success).toBe(true);
+    expect(result.metadata.mode).toBe('img2img');
+    expect(result.metadata.parameters.init_images).toBeUndefined();
+    expect(fs.readFileSync(result.imagePath).toString()).toBe('generated-image');
+  });
+
+  it('should inpaint only the masked region', async () => {
+    saveSource('sd_source.png', pngHeader(512, 512));
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ images: [generated] }), { status: 200 }),
+    );
+
+    const result = await service.generateImageToImage({
+      sourceFilename: 'sd_source.png',
+      prompt: 'a blue hat',
+      mask: 'data:image/png;base64,bWFzaw==',
+      inpaintingFill: 'latent_noise',
+    });
+
+    const body = requestBody(0);
+    expect(body.mask).toBe('bWFzaw==');
+    expect(body).toMatchObject({ inpainting_fill: 2, inpaint_full_res: true, mask_blur: 4, denoising_strength: 0.75 });
+    expect(result.metadata.mode).toBe('inpaint');
+    expect(result.metadata.parameters.mask).toBeUndefined();
+  });
+
+  it('should upscale with the configured upscaler', async () => {
+    saveSource('sd_source.png', pngHeader(512, 512));
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ image: generated }), { status: 200 }),
+    );
+
+    const result = await service.upscaleImage({ sourceFilename: 'sd_source.png', scale: 4 });
+
+    expect(fetchSpy.mock.calls[0][0]).toBe('http://forge:7860/sdapi/v1/extra-single-image');
+    expect(requestBody(0)).toMatchObject({ upscaling_resize: 4, upscaler_1: 'R-ESRGAN 4x+' });
+    expect(result.success).toBe(true);
+    expect(result.metadata).toMatchObject({ mode: 'upscale', sourceFilename: 'sd_source.png' });
+  });
+
+  it('should not read images outside the images directory', async () => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+
+    const result = await service.upscaleImage({ sourceFilename: '../../etc/passwd' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Imagem não encontrada');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('should report Forge errors', async () => {
+    saveSource('sd_source.png', pngHeader(512, 512));
+    fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('out of memory', { status: 500 }));
+
+    const result = await service.generateImageToImage({ sourceFilename: 'sd_source.png', prompt: 'a red fox' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('out of memory');
+  });
+});
@@ -1,7 +1,9 @@
 import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
+import * as crypto from 'crypto';
 import * as fs from 'fs';
 import * as path from 'path';
+import * as zlib from 'zlib';
 
 export interface StableDiffusionConfig {
   baseUrl: string;
@@ -13,23 +15,167 @@ export interface StableDiffusionConfig {
   sampler?: string;
   enabled?: boolean;
   token?: string;
+  loras?: LoraSelection[];
+  embeddings?: EmbeddingSelection[];
 }
 
+/**
+ * LoRA aplicada à geração; entra no prompt como <lora:nome:peso>
+ */
+export interface LoraSelection {
+  name: string;
+  weight?: number;
+}
+
+/**
+ * Textual inversion (embedding); entra no prompt pelo nome, ou como (nome:peso) quando o peso não é 1.
+ * negative: true a coloca no prompt negativo (ex.: embeddings de "bad hands")
+ */
+export interface EmbeddingSelection {
+  name: string;
+  weight?: number;
+  negative?: boolean;
+}
+
+/**
+ * Quanto o ControlNet pesa em relação ao prompt
+ */
+export type ControlNetMode = 'balanced' | 'prompt' | 'controlnet';
+
+/**
+ * Unidade de ControlNet (extensão do Forge) guiada por uma imagem de referência
+ * - image: imagem em base64 (ou data URL)
+ * - module: pré-processador (ex.: canny, depth_midas); ausente ou "none" usa a imagem como está
+ * - guidanceStart/guidanceEnd: fração dos passos em que o controle atua (0 a 1)
+ */
+export interface ControlNetSelection {
+  image: string;
+  model: string;
+  module?: string;
+  weight?: number;
+  guidanceStart?: number;
+  guidanceEnd?: number;
+  controlMode?: ControlNetMode;
+  pixelPerfect?: boolean;
+}
+
+/**
+ * - seed: -1 (ou ausente) sorteia uma seed; com a mesma seed e os mesmos parâmetros a imagem se repete
+ * - batchSize: quantidade de imagens geradas de uma vez (limitada por SD_MAX_BATCH_SIZE)
+ */
 export interface GenerateImageDto {
   prompt: string;
   negativePrompt?: string;
+  seed?: number;
+  batchSize?: number;
+  controlNet?: ControlNetSelection;
+  config?: StableDiffusionConfig;
+}
+
+/**
+ * Variação (img2img) ou inpainting de uma imagem já gerada
+ * - sourceFilename: imagem salva em public/images
+ * - mask: PNG em base64 (ou data URL); as áreas brancas são refeitas, as pretas mantidas
+ */
+export interface ImageToImageDto {
+  sourceFilename: string;
+  prompt: string;
+  negativePrompt?: string;
+  seed?: number;
+  batchSize?: number;
+  denoisingStrength?: number;
+  mask?: string;
+  maskBlur?: number;
+  inpaintingFill?: InpaintingFill;
+  inpaintFullRes?: boolean;
+  controlNet?: ControlNetSelection;
+  config?: StableDiffusionConfig;
+}
+
+/**
+ * Como a região mascarada é preenchida antes de ser refeita
+ */
+export type InpaintingFill = 'fill' | 'original' | 'latent_noise' | 'latent_nothing';
+
+/**
+ * Ampliação de uma imagem já gerada pelo módulo extras do Forge
+ */
+export interface UpscaleImageDto {
+  sourceFilename: string;
+  scale?: number;
+  upscaler?: string;
   config?: StableDiffusionConfig;
 }
 
+/**
+ * Conjunto completo de parâmetros de uma imagem, suficiente para reproduzi-la
+ */
+export interface ImageGenerationParameters {
+  model: string;
+  sampler: string;
+  steps: number;
+  cfgScale: number;
+  seed: number;
+  width: number;
+  height: number;
+  loras?: LoraSelection[];
+  embeddings?: EmbeddingSelection[];
+  controlNet?: Omit<ControlNetSelection, 'image'>;
+}
+
+/**
+ * Imagem de um lote, já salva; metadata traz prompt e parâmetros desta imagem
+ */
+export interface SavedImage {
+  filename: string;
+  imagePath: string;
+  imageUrl: string;
+  seed?: number;
+  metadata: any;
+}
+
+/**
+ * Resultado de uma geração. Os campos de topo descrevem a primeira imagem;
+ * images traz todas as imagens do lote
+ */
 export interface GeneratedImageResult {
   success: boolean;
   imagePath?: string;
   imageUrl?: string;
   filename?: string;
+  images?: SavedImage[];
   error?: string;
   metadata?: any;
 }
 
+/**
+ * Valores de inpainting_fill da API do Forge
+ */
+const INPAINTING_FILL_MODES: Record<InpaintingFill, number> = {
+  fill: 0,
+  original: 1,
+  latent_noise: 2,
+  latent_nothing: 3,
+};
+
+/**
+ * Valores de control_mode da extensão ControlNet
+ */
+const CONTROLNET_MODES: Record<ControlNetMode, string> = {
+  balanced: 'Balanced',
+  prompt: 'My prompt is more important',
+  controlnet: 'ControlNet is more important',
+};
+
+/**
+ * Chaves dos chunks de texto gravados nos PNGs: "parameters" segue o formato do
+ * Automatic1111/Forge (lido pelo PNG Info), "generation" guarda o metadata em JSON
+ */
+const PNG_PARAMETERS_KEY = 'parameters';
+const PNG_GENERATION_KEY = 'generation';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
 /**
  * Serviço para integração com Stable Diffusion API (Forge/Automatic1111)
  */
@@ -42,6 +188,8 @@ export class StableDiffusionService implements OnModuleInit {
   private readonly sdApiUser: string;
   private readonly sdApiPassword: string;
   private readonly sdDefaultModel: string;
+  private readonly sdUpscaler: string;
+  private readonly sdMaxBatchSize: number;
   private isForgeAvailable: boolean = false;
 
   constructor(private readonly configService: ConfigService) {
@@ -51,6 +199,8 @@ export class StableDiffusionService implements OnModuleInit {
     this.sdApiUser = this.configService.get<string>('SD_API_USER', '');
     this.sdApiPassword = this.configService.get<string>('SD_API_PASSWORD', '');
     this.sdDefaultModel = this.configService.get<string>('SD_DEFAULT_MODEL', 'sd_xl_base_1.0.safetensors');
+    this.sdUpscaler = this.configService.get<string>('SD_UPSCALER', 'R-ESRGAN 4x+');
+    this.sdMaxBatchSize = Math.max(1, Number(this.configService.get('SD_MAX_BATCH_SIZE', 4)) || 4);
     
     // Configurar diretório de imagens
     this.imagesDir = path.join(process.cwd(), 'public', 'images');
@@ -241,10 +391,56 @@ export class StableDiffusionService implements OnModuleInit {
     }
   }
 
+  /**
+   * Obtém as LoRAs instaladas no Forge
+   */
+  async getLoras(baseUrl?: string, sdToken?: string): Promise<{ name: string; alias: string; path: string }[]> {
+    const loras = await this.getFromForge(baseUrl, '/sdapi/v1/loras', sdToken, 'LoRAs');
+    if (!Array.isArray(loras)) {
+      return [];
+    }
+
+    return loras.map(lora => ({
+      name: lora.name,
+      alias: lora.alias || lora.name,
+      path: lora.path
+    }));
+  }
+
+  /**
+   * Obtém as textual inversions (embeddings) carregadas; as que o Forge ignorou por
+   * serem incompatíveis com o modelo atual ficam de fora
+   */
+  async getEmbeddings(baseUrl?: string, sdToken?: string): Promise<{ name: string; step?: number; vectors?: number }[]> {
+    const embeddings = await this.getFromForge(baseUrl, '/sdapi/v1/embeddings', sdToken, 'embeddings');
+
+    return Object.entries(embeddings?.loaded || {}).map(([name, embedding]: [string, any]) => ({
+      name,
+      step: embedding?.step ?? undefined,
+      vectors: embedding?.vectors
+    }));
+  }
+
+  /**
+   * Obtém os modelos e pré-processadores do ControlNet (listas vazias sem a extensão)
+   */
+  async getControlNetOptions(baseUrl?: string, sdToken?: string): Promise<{ models: string[]; modules: string[] }> {
+    const [models, modules] = await Promise.all([
+      this.getFromForge(baseUrl, '/controlnet/model_list', sdToken, 'modelos do ControlNet'),
+      this.getFromForge(baseUrl, '/controlnet/module_list', sdToken, 'pré-processadores do ControlNet'),
+    ]);
+
+    return {
+      models: models?.model_list || [],
+      modules: modules?.module_list || []
+    };
+  }
+
   /**
    * Gera uma imagem usando Stable Diffusion
+   * @param signal - Cancela a requisição ao Forge (jobs cancelados na fila)
    */
-  async generateImage(generateDto: GenerateImageDto): Promise<GeneratedImageResult> {
+  async generateImage(generateDto: GenerateImageDto, signal?: AbortSignal): Promise<GeneratedImageResult> {
     const startTime = Date.now();
     
     try {
@@ -252,92 +448,53 @@ export class StableDiffusionService implements OnModuleInit {
       const baseUrl = config.baseUrl || this.defaultBaseUrl;
       const useModel = config.model || this.sdDefaultModel;
 
-      // Check if SD is enabled (either globally or per-request)
-      if (config.enabled === false) {
-        throw new Error('Stable Diffusion não está habilitado');
-      }
-
-      // Check if Forge is available
-      if (!this.isForgeAvailable && this.sdEnabled) {
-        // Try to reconnect
-        await this.checkForgeConnection();
-        if (!this.isForgeAvailable) {
-          throw new Error('Forge não está disponível. Verifique se o serviço está rodando.');
-        }
-      }
+      await this.ensureForgeReady(config);
 
       this.logger.log(`Gerando imagem com prompt: "${generateDto.prompt.substring(0, 50)}..."`);
       this.logger.log(`Usando SD URL: ${baseUrl}, Model: ${useModel}`);
 
-      // SDXL default dimensions
-      const isSDXL = useModel.toLowerCase().includes('sdxl') || useModel.toLowerCase().includes('xl');
-      const defaultWidth = isSDXL ? 1024 : 512;
-      const defaultHeight = isSDXL ? 1024 : 512;
-
       const requestBody = {
-        prompt: generateDto.prompt,
-        negative_prompt: generateDto.negativePrompt || "low quality, blurry, distorted, deformed, ugly",
-        steps: config.steps || (isSDXL ? 25 : 20),
-        width: config.width || defaultWidth,
-        height: config.height || defaultHeight,
-        cfg_scale: config.cfgScale || 7,
-        sampler_name: config.sampler || (isSDXL ? 'DPM++ 2M Karras' : 'Euler a'),
-        batch_size: 1,
+        ...this.buildGenerationParameters(generateDto.prompt, generateDto.negativePrompt, config, useModel),
+        batch_size: this.resolveBatchSize(generateDto.batchSize),
         n_iter: 1,
-        seed: -1,
-        ...(useModel && {
-          override_settings: {
-            sd_model_checkpoint: useModel
-          }
-        })
+        seed: this.resolveSeed(generateDto.seed),
       };
 
-      const headers = this.getAuthHeaders(config.token);
-
-      const response = await fetch(`${baseUrl}/sdapi/v1/txt2img`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(requestBody),
-        signal: AbortSignal.timeout(300000) // 5 minutos
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Erro na geração SD: ${response.status} ${response.statusText} - ${errorText}`);
-      }
-
-      const result = await response.json();
+      // A imagem de referência do ControlNet fica fora de requestBody, que vai para o metadata
+      const result = await this.postToForge(baseUrl, '/sdapi/v1/txt2img', {
+        ...requestBody,
+        ...this.buildControlNetScripts(generateDto.controlNet),
+      }, config.token, signal);
       
       if (!result.images || result.images.length === 0) {
         throw new Error('Nenhuma imagem foi gerada pelo SD');
       }
 
-      // Salvar imagem
-      const imageBase64 = result.images[0];
-      const filename = `sd_${Date.now()}_${Math.random().toString(36).substring(7)}.png`;
-      const imagePath = path.join(this.imagesDir, filename);
-      // Use API endpoint for reliable image serving
-      const imageUrl = `/api/v1/stable-diffusion/images/${filename}`;
-
-      // Converter base64 para buffer e salvar
-      const imageBuffer = Buffer.from(imageBase64, 'base64');
-      fs.writeFileSync(imagePath, imageBuffer);
-
+      const info = this.parseInfo(result.info);
       const processingTime = Date.now() - startTime;
-      this.logger.log(`Imagem gerada e salva em ${processingTime}ms: ${filename}`);
+      const images = this.saveGeneratedImages(result.images, info, requestBody, useModel, {
+        prompt: generateDto.prompt,
+        negativePrompt: generateDto.negativePrompt,
+        processingTime,
+      }, this.describeExtraNetworks(config, generateDto.controlNet));
+
+      this.logger.log(`${images.length} imagem(ns) gerada(s) e salva(s) em ${processingTime}ms: ${images.map(image => image.filename).join(', ')}`);
 
       return {
         success: true,
-        imagePath,
-        imageUrl,
-        filename,
+        imagePath: images[0].imagePath,
+        imageUrl: images[0].imageUrl,
+        filename: images[0].filename,
+        images,
         metadata: {
           prompt: generateDto.prompt,
           negativePrompt: generateDto.negativePrompt,
           parameters: requestBody,
+          generation: images[0].metadata.generation,
+          seeds: images.map(image => image.seed),
           processingTime,
           model: useModel,
-          info: result.info ? JSON.parse(result.info) : null
+          info
         }
       };
 
@@ -352,6 +509,487 @@ export class StableDiffusionService implements OnModuleInit {
     }
   }
 
+  /**
+   * Gera uma variação de uma imagem salva (img2img); com máscara, refaz só a região pintada (inpainting).
+   * Sem largura/altura na configuração, mantém o tamanho da imagem original.
+   */
+  async generateImageToImage(imageDto: ImageToImageDto, signal?: AbortSignal): Promise<GeneratedImageResult> {
+    const startTime = Date.now();
+    const mode = imageDto.mask ? 'inpaint' : 'img2img';
+
+    try {
+      const config = imageDto.config || {} as StableDiffusionConfig;
+      const baseUrl = config.baseUrl || this.defaultBaseUrl;
+      const useModel = config.model || this.sdDefaultModel;
+
+      await this.ensureForgeReady(config);
+
+      const source = this.readSavedImage(imageDto.sourceFilename);
+      const sourceSize = this.readPngSize(source);
+
+      this.logger.log(`Gerando ${mode} de ${imageDto.sourceFilename} com prompt: "${imageDto.prompt.substring(0, 50)}..."`);
+
+      const generationParameters = this.buildGenerationParameters(imageDto.prompt, imageDto.negativePrompt, config, useModel);
+      // A imagem e a máscara ficam fora de parameters, que vai para o metadata
+      const parameters = {
+        ...generationParameters,
+        width: config.width || sourceSize?.width || generationParameters.width,
+        height: config.height || sourceSize?.height || generationParameters.height,
+        denoising_strength: imageDto.denoisingStrength ?? (imageDto.mask ? 0.75 : 0.55),
+        batch_size: this.resolveBatchSize(imageDto.batchSize),
+        n_iter: 1,
+        seed: this.resolveSeed(imageDto.seed),
+        ...(imageDto.mask && {
+          mask_blur: imageDto.maskBlur ?? 4,
+          inpainting_fill: INPAINTING_FILL_MODES[imageDto.inpaintingFill || 'original'],
+          inpaint_full_res: imageDto.inpaintFullRes ?? true,
+          inpaint_full_res_padding: 32,
+        }),
+      };
+
+      const result = await this.postToForge(baseUrl, '/sdapi/v1/img2img', {
+        ...parameters,
+        init_images: [source.toString('base64')],
+        ...(imageDto.mask && { mask: this.stripDataUrl(imageDto.mask) }),
+        ...this.buildControlNetScripts(imageDto.controlNet),
+      }, config.token, signal);
+
+      if (!result.images || result.images.length === 0) {
+        throw new Error('Nenhuma imagem foi gerada pelo SD');
+      }
+
+      const info = this.parseInfo(result.info);
+      const processingTime = Date.now() - startTime;
+      const sourceFilename = path.basename(imageDto.sourceFilename);
+      const images = this.saveGeneratedImages(result.images, info, parameters, useModel, {
+        mode,
+        sourceFilename,
+        prompt: imageDto.prompt,
+        negativePrompt: imageDto.negativePrompt,
+        processingTime,
+      }, this.describeExtraNetworks(config, imageDto.controlNet));
+
+      this.logger.log(`Imagem (${mode}) gerada e salva em ${processingTime}ms: ${images.map(image => image.filename).join(', ')}`);
+
+      return {
+        success: true,
+        imagePath: images[0].imagePath,
+        imageUrl: images[0].imageUrl,
+        filename: images[0].filename,
+        images,
+        metadata: {
+          mode,
+          sourceFilename,
+          prompt: imageDto.prompt,
+          negativePrompt: imageDto.negativePrompt,
+          parameters,
+          generation: images[0].metadata.generation,
+          seeds: images.map(image => image.seed),
+          processingTime,
+          model: useModel,
+          info
+        }
+      };
+    } catch (error) {
+      this.logger.error(`Erro ao gerar imagem (${mode}): ${error.message} (${Date.now() - startTime}ms)`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Amplia uma imagem salva com um upscaler do Forge (extras)
+   */
+  async upscaleImage(upscaleDto: UpscaleImageDto, signal?: AbortSignal): Promise<GeneratedImageResult> {
+    const startTime = Date.now();
+
+    try {
+      const config = upscaleDto.config || {} as StableDiffusionConfig;
+      const baseUrl = config.baseUrl || this.defaultBaseUrl;
+
+      await this.ensureForgeReady(config);
+
+      const source = this.readSavedImage(upscaleDto.sourceFilename);
+      const scale = upscaleDto.scale || 2;
+      const upscaler = upscaleDto.upscaler || this.sdUpscaler;
+
+      this.logger.log(`Ampliando ${upscaleDto.sourceFilename} ${scale}x com ${upscaler}`);
+
+      const result = await this.postToForge(baseUrl, '/sdapi/v1/extra-single-image', {
+        image: source.toString('base64'),
+        resize_mode: 0,
+        upscaling_resize: scale,
+        upscaler_1: upscaler,
+      }, config.token, signal);
+
+      if (!result.image) {
+        throw new Error('Nenhuma imagem foi retornada pelo SD');
+      }
+
+      const processingTime = Date.now() - startTime;
+      const metadata = {
+        mode: 'upscale',
+        sourceFilename: path.basename(upscaleDto.sourceFilename),
+        parameters: { scale, upscaler },
+        processingTime,
+      };
+      const { filename, imagePath, imageUrl } = this.saveImage(result.image, {
+        [PNG_GENERATION_KEY]: JSON.stringify(metadata),
+      });
+      this.logger.log(`Imagem ampliada e salva em ${processingTime}ms: ${filename}`);
+
+      return {
+        success: true,
+        imagePath,
+        imageUrl,
+        filename,
+        images: [{ filename, imagePath, imageUrl, metadata }],
+        metadata,
+      };
+    } catch (error) {
+      this.logger.error(`Erro ao ampliar imagem: ${error.message} (${Date.now() - startTime}ms)`);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Verifica se a geração está habilitada e se o Forge responde (tenta reconectar uma vez)
+   */
+  private async ensureForgeReady(config: StableDiffusionConfig): Promise<void> {
+    // Check if SD is enabled (either globally or per-request)
+    if (config.enabled === false) {
+      throw new Error('Stable Diffusion não está habilitado');
+    }
+
+    // Check if Forge is available
+    if (!this.isForgeAvailable && this.sdEnabled) {
+      // Try to reconnect
+      await this.checkForgeConnection();
+      if (!this.isForgeAvailable) {
+        throw new Error('Forge não está disponível. Verifique se o serviço está rodando.');
+      }
+    }
+  }
+
+  /**
+   * Parâmetros comuns ao txt2img e ao img2img, com padrões de SDXL quando o modelo é XL.
+   * LoRAs e embeddings da configuração são acrescentados aos prompts
+   */
+  private buildGenerationParameters(
+    prompt: string,
+    negativePrompt: string | undefined,
+    config: StableDiffusionConfig,
+    useModel: string,
+  ) {
+    // SDXL default dimensions
+    const isSDXL = useModel.toLowerCase().includes('sdxl') || useModel.toLowerCase().includes('xl');
+    const defaultWidth = isSDXL ? 1024 : 512;
+    const defaultHeight = isSDXL ? 1024 : 512;
+
+    const embeddings = config.embeddings || [];
+
+    return {
+      prompt: this.appendPromptTokens(prompt, [
+        ...embeddings.filter(embedding => !embedding.negative).map(embedding => this.formatEmbedding(embedding)),
+        ...(config.loras || []).map(lora => `<lora:${lora.name}:${lora.weight ?? 1}>`),
+      ]),
+      negative_prompt: this.appendPromptTokens(
+        negativePrompt || "low quality, blurry, distorted, deformed, ugly",
+        embeddings.filter(embedding => embedding.negative).map(embedding => this.formatEmbedding(embedding)),
+      ),
+      steps: config.steps || (isSDXL ? 25 : 20),
+      width: config.width || defaultWidth,
+      height: config.height || defaultHeight,
+      cfg_scale: config.cfgScale || 7,
+      sampler_name: config.sampler || (isSDXL ? 'DPM++ 2M Karras' : 'Euler a'),
+      ...(useModel && {
+        override_settings: {
+          sd_model_checkpoint: useModel
+        }
+      })
+    };
+  }
+
+  private appendPromptTokens(prompt: string, tokens: string[]): string {
+    return [prompt, ...tokens].filter(Boolean).join(', ');
+  }
+
+  private formatEmbedding(embedding: EmbeddingSelection): string {
+    const weight = embedding.weight ?? 1;
+    return weight === 1 ? embedding.name : `(${embedding.name}:${weight})`;
+  }
+
+  /**
+   * alwayson_scripts com uma unidade da extensão ControlNet (vazio sem imagem de referência)
+   */
+  private buildControlNetScripts(controlNet?: ControlNetSelection): { alwayson_scripts?: any } {
+    if (!controlNet?.image) {
+      return {};
+    }
+
+    return {
+      alwayson_scripts: {
+        controlnet: {
+          args: [{
+            enabled: true,
+            image: this.stripDataUrl(controlNet.image),
+            module: controlNet.module || 'none',
+            model: controlNet.model,
+            weight: controlNet.weight ?? 1,
+            guidance_start: controlNet.guidanceStart ?? 0,
+            guidance_end: controlNet.guidanceEnd ?? 1,
+            control_mode: CONTROLNET_MODES[controlNet.controlMode || 'balanced'],
+            pixel_perfect: controlNet.pixelPerfect ?? true,
+          }],
+        },
+      },
+    };
+  }
+
+  /**
+   * LoRAs, embeddings e ControlNet usados, para o metadata (sem a imagem de referência)
+   */
+  private describeExtraNetworks(
+    config: StableDiffusionConfig,
+    controlNet?: ControlNetSelection,
+  ): Pick<ImageGenerationParameters, 'loras' | 'embeddings' | 'controlNet'> {
+    const { image, ...controlNetSettings } = controlNet || ({} as ControlNetSelection);
+
+    return {
+      ...(config.loras?.length > 0 && { loras: config.loras }),
+      ...(config.embeddings?.length > 0 && { embeddings: config.embeddings }),
+      ...(image && { controlNet: controlNetSettings }),
+    };
+  }
+
+  /**
+   * GET na API do Forge; retorna null (e registra o erro) quando o Forge não responde
+   */
+  private async getFromForge(baseUrl: string | undefined, endpoint: string, sdToken: string | undefined, description: string): Promise<any> {
+    const url = baseUrl || this.defaultBaseUrl;
+
+    try {
+      const response = await fetch(`${url}${endpoint}`, {
+        method: 'GET',
+        headers: this.getAuthHeaders(sdToken),
+        signal: AbortSignal.timeout(10000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      this.logger.error(`Erro ao buscar ${description}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Envia uma requisição à API do Forge e retorna o JSON da resposta
+   */
+  private async postToForge(baseUrl: string, endpoint: string, body: any, token?: string, signal?: AbortSignal): Promise<any> {
+    const timeout = AbortSignal.timeout(300000); // 5 minutos
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(token),
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Erro na geração SD: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Seed enviada ao Forge: inteiros >= 0 são mantidos, qualquer outro valor sorteia (-1)
+   */
+  private resolveSeed(seed?: number): number {
+    return Number.isInteger(seed) && seed >= 0 ? seed : -1;
+  }
+
+  private resolveBatchSize(batchSize?: number): number {
+    const size = Math.floor(Number(batchSize) || 1);
+    return Math.min(Math.max(size, 1), this.sdMaxBatchSize);
+  }
+
+  private parseInfo(info: unknown): any {
+    if (!info) return null;
+    if (typeof info !== 'string') return info;
+    try {
+      return JSON.parse(info);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Salva as imagens de um lote com os parâmetros completos de cada uma (no metadata e nos
+   * chunks de texto do PNG). O Forge devolve as seeds efetivas em info.all_seeds e pode
+   * incluir antes das imagens uma grade (index_of_first_image), que é descartada
+   */
+  private saveGeneratedImages(
+    images: string[],
+    info: any,
+    parameters: {
+      prompt: string;
+      negative_prompt: string;
+      sampler_name: string;
+      steps: number;
+      cfg_scale: number;
+      width: number;
+      height: number;
+      seed: number;
+      batch_size: number;
+    },
+    model: string,
+    details: { prompt: string; negativePrompt?: string; processingTime: number; mode?: string; sourceFilename?: string },
+    extraNetworks: Pick<ImageGenerationParameters, 'loras' | 'embeddings' | 'controlNet'> = {},
+  ): SavedImage[] {
+    const firstIndex = Number(info?.index_of_first_image) || 0;
+
+    return images.slice(firstIndex, firstIndex + parameters.batch_size).map((image, index) => {
+      const seed = info?.all_seeds?.[index] ?? (parameters.seed >= 0 ? parameters.seed + index : -1);
+      const generation: ImageGenerationParameters = {
+        model,
+        sampler: parameters.sampler_name,
+        steps: parameters.steps,
+        cfgScale: parameters.cfg_scale,
+        seed,
+        width: parameters.width,
+        height: parameters.height,
+        ...extraNetworks,
+      };
+      const metadata = { ...details, model, generation };
+
+      const saved = this.saveImage(image, {
+        [PNG_PARAMETERS_KEY]: info?.infotexts?.[firstIndex + index] || this.buildInfotext(parameters.prompt, parameters.negative_prompt, generation),
+        [PNG_GENERATION_KEY]: JSON.stringify(metadata),
+      });
+
+      return { ...saved, seed, metadata };
+    });
+  }
+
+  /**
+   * Texto de parâmetros no formato do Automatic1111 (usado quando o Forge não devolve infotexts)
+   */
+  private buildInfotext(prompt: string, negativePrompt: string | undefined, generation: ImageGenerationParameters): string {
+    return [
+      prompt,
+      ...(negativePrompt ? [`Negative prompt: ${negativePrompt}`] : []),
+      `Steps: ${generation.steps}, Sampler: ${generation.sampler}, CFG scale: ${generation.cfgScale}, ` +
+        `Seed: ${generation.seed}, Size: ${generation.width}x${generation.height}, Model: ${generation.model}`,
+    ].join('\n');
+  }
+
+  /**
+   * Salva uma imagem em base64 no diretório de imagens, gravando os textos informados no PNG
+   */
+  private saveImage(imageBase64: string, textChunks: Record<string, string> = {}): { filename: string; imagePath: string; imageUrl: string } {
+    // O UUID aleatório torna o nome impossível de adivinhar: as imagens são servidas sem autenticação
+    const filename = `sd_${Date.now()}_${crypto.randomUUID()}.png`;
+    const imagePath = path.join(this.imagesDir, filename);
+    // Use API endpoint for reliable image serving
+    const imageUrl = `/api/v1/stable-diffusion/images/${filename}`;
+
+    // Converter base64 para buffer e salvar
+    fs.writeFileSync(imagePath, this.writePngText(Buffer.from(imageBase64, 'base64'), textChunks));
+
+    return { filename, imagePath, imageUrl };
+  }
+
+  /**
+   * Grava chunks iTXt (UTF-8) antes do IEND, substituindo textos existentes com a mesma chave.
+   * Arquivos que não são PNG são devolvidos sem alteração
+   */
+  private writePngText(buffer: Buffer, textChunks: Record<string, string>): Buffer {
+    const keys = Object.keys(textChunks);
+    if (keys.length === 0 || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      return buffer;
+    }
+
+    const chunks: Buffer[] = [PNG_SIGNATURE];
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+      const type = buffer.toString('ascii', offset + 4, offset + 8);
+      const end = offset + 12 + buffer.readUInt32BE(offset);
+
+      if (type === 'IEND') {
+        chunks.push(...keys.map(key => this.buildTextChunk(key, textChunks[key])));
+        chunks.push(buffer.subarray(offset, end));
+        return Buffer.concat(chunks);
+      }
+
+      const keywordEnd = buffer.indexOf(0, offset + 8);
+      const keyword = (type === 'tEXt' || type === 'iTXt') && keywordEnd !== -1 && keywordEnd < end
+        ? buffer.toString('latin1', offset + 8, keywordEnd)
+        : null;
+      if (!keyword || !keys.includes(keyword)) {
+        chunks.push(buffer.subarray(offset, end));
+      }
+      offset = end;
+    }
+
+    // PNG sem IEND: mantém o arquivo original
+    return buffer;
+  }
+
+  /**
+   * Chunk iTXt sem compressão: keyword\0, flag, método, idioma\0, keyword traduzida\0, texto
+   */
+  private buildTextChunk(keyword: string, text: string): Buffer {
+    const type = Buffer.from('iTXt', 'ascii');
+    const data = Buffer.concat([
+      Buffer.from(keyword, 'latin1'),
+      Buffer.from([0, 0, 0, 0, 0]),
+      Buffer.from(text, 'utf8'),
+    ]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(Buffer.concat([type, data])));
+
+    return Buffer.concat([length, type, data, crc]);
+  }
+
+  /**
+   * Lê uma imagem salva (protegido contra path traversal)
+   */
+  private readSavedImage(filename: string): Buffer {
+    const sanitizedFilename = path.basename(filename || '');
+    const imagePath = path.join(this.imagesDir, sanitizedFilename);
+
+    if (!sanitizedFilename || !fs.existsSync(imagePath)) {
+      throw new Error(`Imagem não encontrada: ${sanitizedFilename}`);
+    }
+
+    return fs.readFileSync(imagePath);
+  }
+
+  /**
+   * Lê largura e altura do cabeçalho IHDR de um PNG (null para outros formatos)
+   */
+  private readPngSize(buffer: Buffer): { width: number; height: number } | null {
+    const isPng = buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR';
+    return isPng ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+  }
+
+  private stripDataUrl(image: string): string {
+    return image.replace(/^data:[^;]+;base64,/, '');
+  }
+
   /**
    * Obtém informações do sistema SD
    */
@@ -378,14 +1016,52 @@ export class StableDiffusionService implements OnModuleInit {
     }
   }
 
+  /**
+   * Progresso da geração em andamento no Forge (/sdapi/v1/progress), com a prévia atual em base64.
+   * Retorna null quando o Forge não responde
+   */
+  async getProgress(baseUrl?: string, sdToken?: string): Promise<{
+    progress: number;
+    etaSeconds: number;
+    step: number;
+    totalSteps: number;
+    currentImage: string | null;
+  } | null> {
+    const url = baseUrl || this.defaultBaseUrl;
+
+    try {
+      const response = await fetch(`${url}/sdapi/v1/progress?skip_current_image=false`, {
+        method: 'GET',
+        headers: this.getAuthHeaders(sdToken),
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Erro ao obter progresso: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return {
+        progress: Number(data.progress) || 0,
+        etaSeconds: Number(data.eta_relative) || 0,
+        step: data.state?.sampling_step ?? 0,
+        totalSteps: data.state?.sampling_steps ?? 0,
+        currentImage: data.current_image || null,
+      };
+    } catch (error) {
+      this.logger.debug(`Erro ao obter progresso SD: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Interrompe geração em andamento
    */
-  async interruptGeneration(baseUrl?: string): Promise<boolean> {
+  async interruptGeneration(baseUrl?: string, sdToken?: string): Promise<boolean> {
     const url = baseUrl || this.defaultBaseUrl;
     
     try {
-      const headers = this.getAuthHeaders();
+      const headers = this.getAuthHeaders(sdToken);
 
       const response = await fetch(`${url}/sdapi/v1/interrupt`, {
         method: 'POST',
@@ -400,18 +1076,14 @@ export class StableDiffusionService implements OnModuleInit {
   }
 
   /**
-   * Lista imagens salvas
+   * Lista as imagens salvas (mais recentes primeiro), com a data de modificação
    */
-  async listSavedImages(): Promise<string[]> {
+  listSavedImages(): { filename: string; modifiedAt: Date }[] {
     try {
-      const files = fs.readdirSync(this.imagesDir);
-      return files
+      return fs.readdirSync(this.imagesDir)
         .filter(file => file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg'))
-        .sort((a, b) => {
-          const statA = fs.statSync(path.join(this.imagesDir, a));
-          const statB = fs.statSync(path.join(this.imagesDir, b));
-          return statB.mtime.getTime() - statA.mtime.getTime(); // Mais recente primeiro
-        });
+        .map(file => ({ filename: file, modifiedAt: fs.statSync(path.join(this.imagesDir, file)).mtime }))
+        .sort((a, b) => b.modifiedAt.getTime() - a.modifiedAt.getTime());
     } catch (error) {
       this.logger.error(`Erro ao listar imagens: ${error.message}`);
       return [];
@@ -419,32 +1091,19 @@ export class StableDiffusionService implements OnModuleInit {
   }
 
   /**
-   * Remove imagens antigas (cleanup)
+   * Remove uma imagem salva; quem decide o que pode ser removido é a política de retenção da galeria
+   * @returns false se o arquivo não existe ou não pôde ser removido
    */
-  async cleanupOldImages(maxAgeHours = 24): Promise<number> {
+  deleteSavedImage(filename: string): boolean {
+    const imagePath = path.join(this.imagesDir, path.basename(filename));
     try {
-      const files = fs.readdirSync(this.imagesDir);
-      const cutoffTime = Date.now() - (maxAgeHours * 60 * 60 * 1000);
-      let removedCount = 0;
-
-      for (const file of files) {
-        const filePath = path.join(this.imagesDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.mtime.getTime() < cutoffTime) {
-          fs.unlinkSync(filePath);
-          removedCount++;
-        }
-      }
-
-      if (removedCount > 0) {
-        this.logger.log(`Removidas ${removedCount} imagens antigas (> ${maxAgeHours}h)`);
-      }
-
-      return removedCount;
+      fs.unlinkSync(imagePath);
+      return true;
     } catch (error) {
-      this.logger.error(`Erro ao limpar imagens antigas: ${error.message}`);
-      return 0;
+      if (error.code !== 'ENOENT') {
+        this.logger.error(`Erro ao remover imagem ${filename}: ${error.message}`);
+      }
+      return false;
     }
   }
 }
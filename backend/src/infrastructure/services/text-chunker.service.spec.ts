@@ -0,0 +1,57 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { TextChunkerService } from './text-chunker.service';
+
+describe('TextChunkerService', () => {
+  let service: TextChunkerService;
+
+  beforeEach(async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        TextChunkerService,
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key: string, defaultValue?: any) => {
+              const config = { RAG_CHUNK_SIZE: 200, RAG_CHUNK_OVERLAP: 40 };
+              return config[key] ?? defaultValue;
+            }),
+          },
+        },
+      ],
+    }).compile();
+
+    service = module.get<TextChunkerService>(TextChunkerService);
+  });
+
+  it('should return no chunks for blank text', () => {
+    expect(service.split('  \n\n ')).toEqual([]);
+  });
+
+  it('should keep short paragraphs together in one chunk', () => {
+    const chunks = service.split('First paragraph.\n\nSecond paragraph.');
+
+    expect(chunks).toEqual([{ position: 0, content: 'First paragraph.\n\nSecond paragraph.' }]);
+  });
+
+  it('should split long text on sentence boundaries within the chunk size', () => {
+    const sentence = 'This sentence has exactly enough words to matter here. ';
+    const chunks = service.split(sentence.repeat(12));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk, index) => {
+      expect(chunk.position).toBe(index);
+      expect(chunk.content.length).toBeLessThanOrEqual(200);
+      expect(chunk.content.endsWith('.')).toBe(true);
+    });
+  });
+
+  it('should repeat the end of the previous chunk as overlap', () => {
+    const paragraphs = Array.from({ length: 4 }, (_, index) => `Paragraph ${index} ${'word '.repeat(20).trim()}.`);
+    const chunks = service.split(paragraphs.join('\n\n'));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    const tail = chunks[0].content.slice(-20);
+    expect(chunks[1].content).toContain(tail);
+  });
+});
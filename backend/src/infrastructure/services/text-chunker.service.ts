@@ -0,0 +1,114 @@
+import { Injectable } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+/**
+ * Trecho de texto produzido pelo chunker
+ */
+export interface TextChunk {
+  position: number;
+  content: string;
+}
+
+/**
+ * Serviço que divide documentos em trechos para embeddings.
+ * Respeita parágrafos e frases sempre que possível e repete o final do trecho
+ * anterior (overlap) para não perder o contexto entre trechos.
+ */
+@Injectable()
+export class TextChunkerService {
+  private readonly chunkSize: number;
+  private readonly chunkOverlap: number;
+
+  constructor(private readonly configService: ConfigService) {
+    this.chunkSize = Math.max(200, Number(this.configService.get('RAG_CHUNK_SIZE', 1200)));
+    this.chunkOverlap = Math.min(
+      Math.max(0, Number(this.configService.get('RAG_CHUNK_OVERLAP', 200))),
+      Math.floor(this.chunkSize / 2),
+    );
+  }
+
+  /**
+   * Divide o texto em trechos de até chunkSize caracteres
+   */
+  split(text: string): TextChunk[] {
+    const normalized = (text || '').replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').trim();
+    if (!normalized) {
+      return [];
+    }
+
+    const pieces = normalized
+      .split(/\n{2,}/)
+      .flatMap(paragraph => this.splitLongText(paragraph.trim()))
+      .filter(Boolean);
+
+    const chunks: string[] = [];
+    let current = '';
+
+    for (const piece of pieces) {
+      const candidate = current ? `${current}\n\n${piece}` : piece;
+      if (candidate.length <= this.chunkSize) {
+        current = candidate;
+        continue;
+      }
+
+      chunks.push(current);
+      const overlap = this.takeOverlap(current);
+      current = overlap && overlap.length + piece.length + 2 <= this.chunkSize ? `${overlap}\n\n${piece}` : piece;
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks.map((content, position) => ({ position, content }));
+  }
+
+  /**
+   * Quebra parágrafos maiores que o trecho em frases e, em último caso, por tamanho
+   */
+  private splitLongText(text: string): string[] {
+    if (text.length <= this.chunkSize) {
+      return [text];
+    }
+
+    const sentences = text.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [text];
+    const parts: string[] = [];
+    let current = '';
+
+    for (const sentence of sentences.map(item => item.trim()).filter(Boolean)) {
+      if (sentence.length > this.chunkSize) {
+        if (current) parts.push(current);
+        current = '';
+        for (let start = 0; start < sentence.length; start += this.chunkSize) {
+          parts.push(sentence.slice(start, start + this.chunkSize));
+        }
+        continue;
+      }
+
+      const candidate = current ? `${current} ${sentence}` : sentence;
+      if (candidate.length > this.chunkSize) {
+        parts.push(current);
+        current = sentence;
+      } else {
+        current = candidate;
+      }
+    }
+
+    if (current) {
+      parts.push(current);
+    }
+    return parts;
+  }
+
+  /**
+   * Final do trecho repetido no início do próximo, começando em um limite de palavra
+   */
+  private takeOverlap(chunk: string): string {
+    if (!this.chunkOverlap || chunk.length <= this.chunkOverlap) {
+      return '';
+    }
+    const tail = chunk.slice(-this.chunkOverlap);
+    const wordStart = tail.search(/\s/);
+    return (wordStart >= 0 ? tail.slice(wordStart) : tail).trim();
+  }
+}
@@ -0,0 +1,64 @@
+import { TextToSpeechService } from './text-to-speech.service';
+
+describe('TextToSpeechService', () => {
+  const fetchMock = jest.fn();
+  const originalFetch = global.fetch;
+  let service: TextToSpeechService;
+
+  const audioResponse = (contentType = 'audio/wav') => ({
+    ok: true,
+    headers: { get: () => contentType },
+    arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer,
+  });
+
+  beforeEach(() => {
+    fetchMock.mockReset();
+    fetchMock.mockResolvedValue(audioResponse());
+    global.fetch = fetchMock;
+    service = new TextToSpeechService();
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should post JSON to a Piper server and convert speed into length_scale', async () => {
+    const speech = await service.synthesize({
+      text: 'Olá',
+      engine: 'piper',
+      baseUrl: 'http://piper:5000/',
+      voice: 'pt_BR-faber-medium',
+      speed: 2,
+    });
+
+    expect(speech).toEqual({ audio: Buffer.from([1, 2, 3]), contentType: 'audio/wav' });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://piper:5000/');
+    expect(JSON.parse(init.body)).toEqual({ text: 'Olá', voice: 'pt_BR-faber-medium', length_scale: 0.5 });
+  });
+
+  it('should query a Coqui server with the text and speaker', async () => {
+    await service.synthesize({ text: 'a & b', engine: 'coqui', baseUrl: 'http://coqui:5002', voice: 'p225' });
+
+    expect(fetchMock.mock.calls[0][0]).toBe('http://coqui:5002/api/tts?text=a+%26+b&speaker_id=p225');
+  });
+
+  it('should call the OpenAI-compatible speech endpoint with defaults', async () => {
+    fetchMock.mockResolvedValue(audioResponse('audio/mpeg'));
+
+    const speech = await service.synthesize({ text: 'Hi', engine: 'openai', baseUrl: 'http://kokoro:8880' });
+
+    expect(speech.contentType).toBe('audio/mpeg');
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://kokoro:8880/v1/audio/speech');
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'tts-1', input: 'Hi', voice: 'alloy', speed: 1 });
+  });
+
+  it('should reject responses that are not audio', async () => {
+    fetchMock.mockResolvedValue(audioResponse('text/html'));
+
+    await expect(
+      service.synthesize({ text: 'Hi', engine: 'piper', baseUrl: 'http://piper:5000' }),
+    ).rejects.toThrow('returned text/html instead of audio');
+  });
+});
@@ -0,0 +1,116 @@
+import { Injectable, Logger } from '@nestjs/common';
+
+/**
+ * Local text-to-speech servers supported by the proxy
+ * - piper: Piper HTTP server (POST / with JSON)
+ * - coqui: Coqui TTS server (GET /api/tts)
+ * - openai: OpenAI-compatible API (Kokoro-FastAPI, openedai-speech) at /v1/audio/speech
+ */
+export const TEXT_TO_SPEECH_ENGINES = ['piper', 'coqui', 'openai'] as const;
+export type TextToSpeechEngine = (typeof TEXT_TO_SPEECH_ENGINES)[number];
+
+export interface SpeechSynthesisRequest {
+  text: string;
+  engine: TextToSpeechEngine;
+  baseUrl: string;
+  voice?: string;
+  model?: string;
+  /** 1 = normal speed */
+  speed?: number;
+}
+
+export interface SynthesizedSpeech {
+  audio: Buffer;
+  contentType: string;
+}
+
+/**
+ * Serviço que encaminha a síntese de voz para um servidor TTS local (evita CORS no navegador)
+ */
+@Injectable()
+export class TextToSpeechService {
+  private readonly logger = new Logger(TextToSpeechService.name);
+
+  /**
+   * Converte o texto em áudio no servidor configurado pelo usuário
+   * @param request - Texto, servidor e voz
+   * @returns Áudio gerado e seu tipo MIME
+   */
+  async synthesize(request: SpeechSynthesisRequest): Promise<SynthesizedSpeech> {
+    const { url, init } = this.buildRequest(request);
+
+    try {
+      this.logger.log(`🔊 Synthesizing ${request.text.length} chars with ${request.engine} at ${url.split('?')[0]}`);
+
+      const response = await fetch(url, init);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        this.logger.error(`❌ Speech synthesis failed: ${response.status} - ${errorText}`);
+        throw new Error(`Text-to-speech API error: ${response.status} - ${errorText}`);
+      }
+
+      const contentType = response.headers.get('content-type') || 'audio/wav';
+      if (!contentType.startsWith('audio/') && !contentType.startsWith('application/octet-stream')) {
+        throw new Error(`Text-to-speech API returned ${contentType} instead of audio`);
+      }
+
+      return {
+        audio: Buffer.from(await response.arrayBuffer()),
+        contentType,
+      };
+    } catch (error) {
+      this.logger.error(`❌ Error synthesizing speech: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Monta a requisição no formato de cada servidor
+   */
+  private buildRequest(request: SpeechSynthesisRequest): { url: string; init: RequestInit } {
+    const baseUrl = request.baseUrl.replace(/\/+$/, '');
+
+    switch (request.engine) {
+      case 'coqui': {
+        const params = new URLSearchParams({ text: request.text });
+        if (request.voice) {
+          params.set('speaker_id', request.voice);
+        }
+        return { url: `${baseUrl}/api/tts?${params.toString()}`, init: { method: 'GET' } };
+      }
+
+      case 'openai':
+        return {
+          url: `${baseUrl}/v1/audio/speech`,
+          init: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              model: request.model || 'tts-1',
+              input: request.text,
+              voice: request.voice || 'alloy',
+              speed: request.speed || 1,
+              response_format: 'mp3',
+            }),
+          },
+        };
+
+      case 'piper':
+      default:
+        return {
+          url: `${baseUrl}/`,
+          init: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              text: request.text,
+              ...(request.voice && { voice: request.voice }),
+              // Piper controla a velocidade pela duração dos fonemas (maior = mais lento)
+              ...(request.speed && { length_scale: 1 / request.speed }),
+            }),
+          },
+        };
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { ToolRegistryService, ToolExecutionContext } from './tool-registry.service';
+import { CalculatorService } from './calculator.service';
+
+describe('ToolRegistryService', () => {
+  let service: ToolRegistryService;
+  const context: ToolExecutionContext = { userId: 'user-1', knowledgeBaseIds: [] };
+
+  beforeEach(() => {
+    service = new ToolRegistryService(new CalculatorService());
+  });
+
+  it('should expose the built-in tools as function definitions', () => {
+    const names = service.getDefinitions(context).map(definition => definition.function.name);
+
+    expect(names).toEqual(['calculator', 'current_time']);
+    expect(service.getDefinitions(context)[0]).toEqual(expect.objectContaining({ type: 'function' }));
+  });
+
+  it('should hide tools that are not available in the context', () => {
+    service.register({
+      name: 'search',
+      description: 'Search',
+      parameters: { type: 'object', properties: {} },
+      isAvailable: ctx => ctx.knowledgeBaseIds.length > 0,
+      execute: async () => ({ content: 'found' }),
+    });
+
+    expect(service.getDefinitions(context).map(definition => definition.function.name)).not.toContain('search');
+    expect(service.getDefinitions({ ...context, knowledgeBaseIds: ['kb-1'] }).map(definition => definition.function.name)).toContain('search');
+  });
+
+  it('should execute the calculator and record the result', async () => {
+    const { record, attachments } = await service.execute(
+      { id: 'call-1', name: 'calculator', arguments: { expression: '0.1 + 0.2' } },
+      context,
+    );
+
+    expect(record).toEqual(expect.objectContaining({ id: 'call-1', status: 'done', result: '0.1 + 0.2 = 0.3' }));
+    expect(record.durationMs).toEqual(expect.any(Number));
+    expect(attachments).toEqual([]);
+  });
+
+  it('should report the current time in the requested time zone', async () => {
+    const { record } = await service.execute(
+      { id: 'call-1', name: 'current_time', arguments: { timezone: 'America/Sao_Paulo' } },
+      context,
+    );
+
+    expect(record.status).toBe('done');
+    expect(record.result).toContain('(America/Sao_Paulo)');
+  });
+
+  it('should turn failures and unknown tools into error records', async () => {
+    const failed = await service.execute({ id: 'call-1', name: 'calculator', arguments: { expression: '1 +' } }, context);
+    const unknown = await service.execute({ id: 'call-2', name: 'rm_rf', arguments: {} }, context);
+
+    expect(failed.record).toEqual(expect.objectContaining({ status: 'error', error: 'Unexpected end of expression' }));
+    expect(unknown.record).toEqual(expect.objectContaining({ status: 'error', error: 'Unknown tool "rm_rf"' }));
+  });
+
+  it('should keep attachments produced by a tool', async () => {
+    service.register({
+      name: 'draw',
+      description: 'Draw',
+      parameters: { type: 'object', properties: {} },
+      execute: async () => ({ content: 'done', attachments: [{ type: 'image', url: '/img.png' }] }),
+    });
+
+    const { attachments } = await service.execute({ id: 'call-1', name: 'draw', arguments: {} }, context);
+
+    expect(attachments).toEqual([{ type: 'image', url: '/img.png' }]);
+  });
+
+  it('should normalize Ollama and OpenAI tool calls', () => {
+    const calls = service.parseToolCalls([
+      { function: { name: 'calculator', arguments: { expression: '1+1' } } },
+      { id: 'call_abc', type: 'function', function: { name: 'current_time', arguments: '{"timezone":"UTC"}' } },
+      { id: 'call_bad', function: { name: 'calculator', arguments: '{not json' } },
+      { function: {} },
+    ]);
+
+    expect(calls).toHaveLength(3);
+    expect(calls[0]).toEqual(expect.objectContaining({ name: 'calculator', arguments: { expression: '1+1' } }));
+    expect(calls[0].id).toEqual(expect.any(String));
+    expect(calls[1]).toEqual({ id: 'call_abc', name: 'current_time', arguments: { timezone: 'UTC' } });
+    expect(calls[2].arguments).toEqual({});
+  });
+
+  it('should build tool messages in the format of each provider', () => {
+    const call = { id: 'call_abc', name: 'calculator', arguments: { expression: '1+1' } };
+    const record = { ...call, status: 'done' as const, result: '1+1 = 2' };
+
+    expect(service.buildAssistantMessage('openai', '', [call]).tool_calls[0]).toEqual({
+      id: 'call_abc',
+      type: 'function',
+      function: { name: 'calculator', arguments: '{"expression":"1+1"}' },
+    });
+    expect(service.buildAssistantMessage('ollama', '', [call]).tool_calls[0]).toEqual({
+      function: { name: 'calculator', arguments: { expression: '1+1' } },
+    });
+    expect(service.buildToolMessage('openai', record)).toEqual({ role: 'tool', tool_call_id: 'call_abc', content: '1+1 = 2' });
+    expect(service.buildToolMessage('ollama', { ...record, status: 'error', error: 'boom' })).toEqual({
+      role: 'tool',
+      tool_name: 'calculator',
+      content: 'Error: boom',
+    });
+  });
+});
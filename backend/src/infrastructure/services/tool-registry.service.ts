@@ -0,0 +1,244 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { CalculatorService } from './calculator.service';
+
+/**
+ * Dados da conversa disponíveis para as ferramentas durante a execução
+ */
+export interface ToolExecutionContext {
+  userId: string;
+  knowledgeBaseIds: string[];
+  ollamaBaseUrl?: string;
+}
+
+/**
+ * Resultado de uma ferramenta: o texto devolvido ao modelo e, opcionalmente,
+ * anexos que vão para a resposta do assistente (ex.: imagens geradas)
+ */
+export interface ToolResult {
+  content: string;
+  attachments?: any[];
+}
+
+/**
+ * Ferramenta que o modelo pode chamar (function calling)
+ * parameters é um JSON Schema do objeto de argumentos
+ */
+export interface ChatTool {
+  name: string;
+  description: string;
+  parameters: Record<string, any>;
+  isAvailable?: (context: ToolExecutionContext) => boolean;
+  execute: (args: Record<string, any>, context: ToolExecutionContext) => Promise<ToolResult>;
+}
+
+/**
+ * Definição enviada ao modelo no campo tools (mesmo formato no Ollama e na API OpenAI)
+ */
+export interface ToolDefinition {
+  type: 'function';
+  function: {
+    name: string;
+    description: string;
+    parameters: Record<string, any>;
+  };
+}
+
+/**
+ * Chamada de ferramenta pedida pelo modelo, já normalizada
+ */
+export interface ToolCallRequest {
+  id: string;
+  name: string;
+  arguments: Record<string, any>;
+}
+
+/**
+ * Registro de uma chamada exibido no chat e salvo nos metadados da resposta
+ */
+export interface ToolCallRecord {
+  id: string;
+  name: string;
+  arguments: Record<string, any>;
+  status: 'running' | 'done' | 'error';
+  result?: string;
+  error?: string;
+  durationMs?: number;
+}
+
+/**
+ * Formato das mensagens de ferramenta: o Ollama identifica a ferramenta pelo nome,
+ * a API OpenAI pelo id da chamada
+ */
+export type ToolMessageFormat = 'ollama' | 'openai';
+
+/**
+ * Tamanho máximo do resultado devolvido ao modelo (e salvo na mensagem)
+ */
+const TOOL_RESULT_MAX_CHARS = 4000;
+
+/**
+ * Registro das ferramentas disponíveis para os modelos de chat.
+ * Traz as ferramentas sem dependências (calculadora e data/hora); as que dependem
+ * de casos de uso (bases de conhecimento, geração de imagens) são registradas por eles.
+ */
+@Injectable()
+export class ToolRegistryService {
+  private readonly logger = new Logger(ToolRegistryService.name);
+  private readonly tools = new Map<string, ChatTool>();
+
+  constructor(private readonly calculatorService: CalculatorService) {
+    this.register({
+      name: 'calculator',
+      description: 'Evaluates an arithmetic expression and returns the exact result. Supports + - * / % ^, parentheses, percentages, pi, e and functions such as sqrt, abs, round, floor, ceil, exp, ln, log, sin, cos, tan, min, max and pow. Use it for any calculation instead of computing mentally.',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 4) / sqrt(16)"' },
+        },
+        required: ['expression'],
+      },
+      execute: async ({ expression }) => {
+        const value = this.calculatorService.evaluate(String(expression ?? ''));
+        return { content: `${expression} = ${Number(value.toPrecision(15))}` };
+      },
+    });
+
+    this.register({
+      name: 'current_time',
+      description: 'Returns the current date, time and weekday. Use it whenever the answer depends on today\'s date or the current time.',
+      parameters: {
+        type: 'object',
+        properties: {
+          timezone: { type: 'string', description: 'IANA time zone, e.g. "America/Sao_Paulo". Defaults to UTC.' },
+        },
+      },
+      execute: async ({ timezone }) => ({ content: this.formatCurrentTime(timezone) }),
+    });
+  }
+
+  /**
+   * Registra (ou substitui) uma ferramenta
+   */
+  register(tool: ChatTool): void {
+    this.tools.set(tool.name, tool);
+  }
+
+  /**
+   * Definições das ferramentas disponíveis no contexto, no formato do campo tools
+   */
+  getDefinitions(context: ToolExecutionContext): ToolDefinition[] {
+    return Array.from(this.tools.values())
+      .filter(tool => !tool.isAvailable || tool.isAvailable(context))
+      .map(tool => ({
+        type: 'function' as const,
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+      }));
+  }
+
+  /**
+   * Executa a chamada; erros (ferramenta desconhecida, argumentos inválidos, falhas)
+   * viram o resultado da chamada para que o modelo possa se corrigir
+   */
+  async execute(call: ToolCallRequest, context: ToolExecutionContext): Promise<{ record: ToolCallRecord; attachments: any[] }> {
+    const startTime = Date.now();
+    const tool = this.tools.get(call.name);
+
+    try {
+      if (!tool || (tool.isAvailable && !tool.isAvailable(context))) {
+        throw new Error(`Unknown tool "${call.name}"`);
+      }
+
+      const result = await tool.execute(call.arguments, context);
+      const durationMs = Date.now() - startTime;
+      this.logger.log(`🛠️ Tool ${call.name} finished in ${durationMs}ms`);
+
+      return {
+        record: {
+          ...call,
+          status: 'done',
+          result: this.truncate(result.content),
+          durationMs,
+        },
+        attachments: result.attachments || [],
+      };
+    } catch (error) {
+      this.logger.warn(`Tool ${call.name} failed: ${error.message}`);
+      return {
+        record: { ...call, status: 'error', error: error.message, durationMs: Date.now() - startTime },
+        attachments: [],
+      };
+    }
+  }
+
+  /**
+   * Normaliza as chamadas retornadas pelo modelo. O Ollama envia os argumentos como objeto,
+   * a API OpenAI como string JSON (e pode omitir o id)
+   */
+  parseToolCalls(rawCalls: any[] | undefined): ToolCallRequest[] {
+    return (rawCalls || [])
+      .filter(call => call?.function?.name)
+      .map((call, index) => ({
+        id: call.id || `call_${Date.now()}_${index}`,
+        name: call.function.name,
+        arguments: this.parseArguments(call.function.arguments),
+      }));
+  }
+
+  /**
+   * Mensagem do assistente com as chamadas, reenviada ao modelo na rodada seguinte
+   */
+  buildAssistantMessage(format: ToolMessageFormat, content: string, calls: ToolCallRequest[]): { role: string; content: string; tool_calls: any[] } {
+    return {
+      role: 'assistant',
+      content: content || '',
+      tool_calls: calls.map(call => format === 'openai'
+        ? { id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.arguments) } }
+        : { function: { name: call.name, arguments: call.arguments } }),
+    };
+  }
+
+  /**
+   * Mensagem com o resultado de uma chamada
+   */
+  buildToolMessage(format: ToolMessageFormat, record: ToolCallRecord): { role: string; content: string; [key: string]: any } {
+    const content = record.status === 'error' ? `Error: ${record.error}` : record.result || '';
+    return format === 'openai'
+      ? { role: 'tool', tool_call_id: record.id, content }
+      : { role: 'tool', tool_name: record.name, content };
+  }
+
+  private parseArguments(raw: unknown): Record<string, any> {
+    if (raw && typeof raw === 'object') {
+      return raw as Record<string, any>;
+    }
+    if (typeof raw === 'string' && raw.trim()) {
+      try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+      } catch {
+        return {};
+      }
+    }
+    return {};
+  }
+
+  private formatCurrentTime(timezone?: string): string {
+    const timeZone = timezone || 'UTC';
+    const now = new Date();
+
+    try {
+      const formatted = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        dateStyle: 'full',
+        timeStyle: 'long',
+      }).format(now);
+      return `${formatted} (${timeZone}). ISO: ${now.toISOString()}`;
+    } catch {
+      throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+  }
+
+  private truncate(text: string): string {
+    return text.length > TOOL_RESULT_MAX_CHARS ? `${text.slice(0, TOOL_RESULT_MAX_CHARS)}…` : text;
+  }
+}
@@ -0,0 +1,42 @@
+import { VectorIndexService } from './vector-index.service';
+
+describe('VectorIndexService', () => {
+  let service: VectorIndexService;
+
+  beforeEach(() => {
+    service = new VectorIndexService();
+  });
+
+  it('should compute the cosine similarity regardless of magnitude', () => {
+    expect(service.cosineSimilarity([1, 0], [5, 0])).toBeCloseTo(1);
+    expect(service.cosineSimilarity([1, 0], [0, 3])).toBeCloseTo(0);
+    expect(service.cosineSimilarity([1, 0], [-2, 0])).toBeCloseTo(-1);
+    expect(service.cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+  });
+
+  it('should return the best matches above the minimum score', async () => {
+    const index = await service.getIndex('kb', async () => [
+      { embedding: [1, 0], item: 'east' },
+      { embedding: [0.7, 0.7], item: 'north-east' },
+      { embedding: [0, 1], item: 'north' },
+      { embedding: [1, 0, 0], item: 'other model' },
+    ]);
+
+    const results = service.search(index, [2, 0.2], 2, 0.5);
+
+    expect(results.map(result => result.item)).toEqual(['east', 'north-east']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it('should cache indexes until they are invalidated', async () => {
+    const load = jest.fn().mockResolvedValue([{ embedding: [1, 0], item: 'a' }]);
+
+    await service.getIndex('kb', load);
+    await service.getIndex('kb', load);
+    expect(load).toHaveBeenCalledTimes(1);
+
+    service.invalidate('kb');
+    await service.getIndex('kb', load);
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,85 @@
+import { Injectable } from '@nestjs/common';
+
+/**
+ * Vetor indexado com os dados do trecho que ele representa
+ */
+export interface IndexedVector<T> {
+  embedding: number[];
+  item: T;
+}
+
+/**
+ * Resultado da busca por similaridade
+ */
+export interface VectorSearchResult<T> {
+  item: T;
+  score: number;
+}
+
+/**
+ * Índice vetorial local (similaridade de cosseno em memória).
+ * Os vetores de cada base ficam em cache até a base ser alterada;
+ * para bases de alguns milhares de trechos isso dispensa o pgvector.
+ */
+@Injectable()
+export class VectorIndexService {
+  private readonly indexes = new Map<string, IndexedVector<any>[]>();
+
+  /**
+   * Retorna o índice em cache ou o carrega
+   */
+  async getIndex<T>(key: string, load: () => Promise<IndexedVector<T>[]>): Promise<IndexedVector<T>[]> {
+    const cached = this.indexes.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const vectors = (await load()).map(vector => ({ ...vector, embedding: this.normalize(vector.embedding) }));
+    this.indexes.set(key, vectors);
+    return vectors;
+  }
+
+  /**
+   * Descarta o cache de um índice (após incluir ou excluir documentos)
+   */
+  invalidate(key: string): void {
+    this.indexes.delete(key);
+  }
+
+  /**
+   * Retorna os topK itens mais parecidos com a consulta, acima de minScore
+   */
+  search<T>(index: IndexedVector<T>[], query: number[], topK: number, minScore = 0): VectorSearchResult<T>[] {
+    const normalizedQuery = this.normalize(query);
+
+    return index
+      .filter(vector => vector.embedding.length === normalizedQuery.length)
+      .map(vector => ({ item: vector.item, score: this.dot(vector.embedding, normalizedQuery) }))
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Similaridade de cosseno entre dois vetores
+   */
+  cosineSimilarity(a: number[], b: number[]): number {
+    if (a.length !== b.length) {
+      return 0;
+    }
+    return this.dot(this.normalize(a), this.normalize(b));
+  }
+
+  private normalize(vector: number[]): number[] {
+    const norm = Math.sqrt(this.dot(vector, vector));
+    return norm ? vector.map(value => value / norm) : vector;
+  }
+
+  private dot(a: number[], b: number[]): number {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+}
@@ -4,7 +4,7 @@ if (!globalThis.crypto) {
 }
 
 import { NestFactory } from '@nestjs/core';
-import { ValidationPipe, Logger } from '@nestjs/common';
+import { ValidationPipe, Logger, RequestMethod } from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
 import { NestExpressApplication } from '@nestjs/platform-express';
 import { join } from 'path';
@@ -28,8 +28,17 @@ async function bootstrap() {
     index: false,
   });
 
-  // Prefixo global para todas as rotas
-  app.setGlobalPrefix('api/v1');
+  // Máscaras de inpainting chegam em base64 no corpo JSON (o limite padrão é 100kb)
+  app.useBodyParser('json', { limit: '10mb' });
+
+  // Prefixo global para todas as rotas, exceto a API compatível com OpenAI,
+  // que fica em /v1 como os SDKs esperam
+  app.setGlobalPrefix('api/v1', {
+    exclude: [
+      { path: 'v1/models', method: RequestMethod.GET },
+      { path: 'v1/chat/completions', method: RequestMethod.POST },
+    ],
+  });
 
   // Configuração global de validação
   app.useGlobalPipes(
@@ -63,6 +72,7 @@ async function bootstrap() {
   logger.log(`📊 Database: ${configService.get('NODE_ENV') === 'production' ? 'PostgreSQL' : 'SQLite'}`);
   logger.log(`🔓 CORS: ✅ ACEITA TODAS AS ORIGENS (SEM RESTRIÇÕES)`);
   logger.log(`📡 API Routes: /api/v1/*`);
+  logger.log(`🤖 OpenAI-compatible API: /v1/models, /v1/chat/completions`);
 }
 
 bootstrap().catch((error) => {
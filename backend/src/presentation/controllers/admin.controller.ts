@@ -0,0 +1,122 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Put,
+  Delete,
+  Param,
+  Body,
+  Query,
+  UseGuards,
+  Request,
+  HttpCode,
+  HttpStatus,
+  ValidationPipe,
+  ParseUUIDPipe,
+  ParseIntPipe,
+  DefaultValuePipe,
+} from '@nestjs/common';
+
+import { AdminUseCase } from '../../application/use-cases/admin.use-case';
+import {
+  AdminUserListResponseDto,
+  AdminUserResponseDto,
+  UpdateUserRoleDto,
+  ResetUserPasswordDto,
+  ResetUserPasswordResponseDto,
+} from '../../application/dto/admin.dto';
+import { QuotaLimitsDto } from '../../application/dto/quota.dto';
+import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+import { RolesGuard, Roles } from '../guards/roles.guard';
+
+/**
+ * Controller do painel do administrador (gestão de usuários)
+ */
+@Controller('admin')
+@UseGuards(JwtAuthGuard, RolesGuard)
+@Roles('admin')
+export class AdminController {
+  constructor(private readonly adminUseCase: AdminUseCase) {}
+
+  /**
+   * Lista os usuários com mensagens, tokens e imagens de cada um
+   */
+  @Get('users')
+  async listUsers(
+    @Query('page', new DefaultValuePipe(1), ParseIntPipe) page: number,
+    @Query('limit', new DefaultValuePipe(20), ParseIntPipe) limit: number,
+  ): Promise<AdminUserListResponseDto> {
+    return await this.adminUseCase.listUsers(page, limit);
+  }
+
+  /**
+   * Desativa um usuário e encerra as sessões dele
+   */
+  @Post('users/:id/disable')
+  @HttpCode(HttpStatus.OK)
+  async disableUser(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) userId: string,
+  ): Promise<AdminUserResponseDto> {
+    return await this.adminUseCase.setUserActive(req.user.id, userId, false);
+  }
+
+  /**
+   * Reativa um usuário
+   */
+  @Post('users/:id/enable')
+  @HttpCode(HttpStatus.OK)
+  async enableUser(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) userId: string,
+  ): Promise<AdminUserResponseDto> {
+    return await this.adminUseCase.setUserActive(req.user.id, userId, true);
+  }
+
+  /**
+   * Altera o papel (user/admin) de um usuário
+   */
+  @Put('users/:id/role')
+  async updateUserRole(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) userId: string,
+    @Body(ValidationPipe) updateRoleDto: UpdateUserRoleDto,
+  ): Promise<AdminUserResponseDto> {
+    return await this.adminUseCase.updateUserRole(req.user.id, userId, updateRoleDto.role);
+  }
+
+  /**
+   * Define as exceções aos limites do papel para um usuário (limites nulos voltam a seguir o papel)
+   */
+  @Put('users/:id/quota')
+  async updateUserQuota(
+    @Param('id', ParseUUIDPipe) userId: string,
+    @Body(ValidationPipe) quotaDto: QuotaLimitsDto,
+  ): Promise<AdminUserResponseDto> {
+    return await this.adminUseCase.updateUserQuota(userId, quotaDto);
+  }
+
+  /**
+   * Redefine a senha de um usuário (gera uma temporária se nenhuma for informada)
+   */
+  @Post('users/:id/reset-password')
+  @HttpCode(HttpStatus.OK)
+  async resetPassword(
+    @Param('id', ParseUUIDPipe) userId: string,
+    @Body(ValidationPipe) resetDto: ResetUserPasswordDto,
+  ): Promise<ResetUserPasswordResponseDto> {
+    return await this.adminUseCase.resetPassword(userId, resetDto);
+  }
+
+  /**
+   * Exclui um usuário e todos os dados dele
+   */
+  @Delete('users/:id')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async deleteUser(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) userId: string,
+  ): Promise<void> {
+    await this.adminUseCase.deleteUser(req.user.id, userId);
+  }
+}
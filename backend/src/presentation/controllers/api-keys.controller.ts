@@ -0,0 +1,59 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Delete,
+  Body,
+  Param,
+  Request,
+  UseGuards,
+  ValidationPipe,
+  ParseUUIDPipe,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
+
+import { ApiKeyUseCase } from '../../application/use-cases/api-key.use-case';
+import { CreateApiKeyDto, ApiKeyResponseDto, CreatedApiKeyResponseDto } from '../../application/dto/api-key.dto';
+import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+
+/**
+ * Controller das chaves pessoais de API do usuário autenticado
+ */
+@Controller('api-keys')
+@UseGuards(JwtAuthGuard)
+export class ApiKeysController {
+  constructor(private readonly apiKeyUseCase: ApiKeyUseCase) {}
+
+  /**
+   * Lista as chaves do usuário com o uso de cada uma
+   */
+  @Get()
+  async listKeys(@Request() req): Promise<ApiKeyResponseDto[]> {
+    return await this.apiKeyUseCase.listKeys(req.user.id);
+  }
+
+  /**
+   * Cria uma chave; o valor completo só aparece nesta resposta
+   */
+  @Post()
+  @HttpCode(HttpStatus.CREATED)
+  async createKey(
+    @Request() req,
+    @Body(ValidationPipe) createDto: CreateApiKeyDto,
+  ): Promise<CreatedApiKeyResponseDto> {
+    return await this.apiKeyUseCase.createKey(req.user.id, createDto);
+  }
+
+  /**
+   * Revoga uma chave
+   */
+  @Delete(':id')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async revokeKey(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) id: string,
+  ): Promise<void> {
+    await this.apiKeyUseCase.revokeKey(req.user.id, id);
+  }
+}
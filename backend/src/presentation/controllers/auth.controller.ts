@@ -3,22 +3,32 @@ import {
   Post,
   Get,
   Put,
+  Delete,
   Body,
+  Param,
+  Query,
   UseGuards,
   Request,
+  Res,
   HttpCode,
   HttpStatus,
   ValidationPipe,
+  ParseUUIDPipe,
 } from '@nestjs/common';
+import { CookieOptions, Response } from 'express';
 
-import { AuthUseCase } from '../../application/use-cases/auth.use-case';
+import { AuthUseCase, ClientInfo } from '../../application/use-cases/auth.use-case';
 import { 
   RegisterUserDto, 
   LoginUserDto, 
   AuthResponseDto, 
   ChangePasswordDto, 
-  UpdateProfileDto 
+  UpdateProfileDto,
+  RefreshTokenDto,
+  AuthSessionResponseDto,
+  OidcCallbackDto,
 } from '../../application/dto/auth.dto';
+import { OidcService, OIDC_LOGIN_COOKIE, PENDING_LOGIN_TTL_MS } from '../../infrastructure/services/oidc.service';
 import { JwtAuthGuard } from '../guards/jwt-auth.guard';
 
 /**
@@ -26,7 +36,10 @@ import { JwtAuthGuard } from '../guards/jwt-auth.guard';
  */
 @Controller('auth')
 export class AuthController {
-  constructor(private readonly authUseCase: AuthUseCase) {}
+  constructor(
+    private readonly authUseCase: AuthUseCase,
+    private readonly oidcService: OidcService,
+  ) {}
 
   /**
    * Health check endpoint
@@ -46,9 +59,10 @@ export class AuthController {
   @Post('register')
   @HttpCode(HttpStatus.CREATED)
   async register(
+    @Request() req,
     @Body(ValidationPipe) registerDto: RegisterUserDto,
   ): Promise<AuthResponseDto> {
-    return await this.authUseCase.register(registerDto);
+    return await this.authUseCase.register(registerDto, this.getClientInfo(req));
   }
 
   /**
@@ -57,9 +71,113 @@ export class AuthController {
   @Post('login')
   @HttpCode(HttpStatus.OK)
   async login(
+    @Request() req,
     @Body(ValidationPipe) loginDto: LoginUserDto,
   ): Promise<AuthResponseDto> {
-    return await this.authUseCase.login(loginDto);
+    return await this.authUseCase.login(loginDto, this.getClientInfo(req));
+  }
+
+  /**
+   * Informa se o login por SSO está habilitado e o nome do provedor (botão da tela de login)
+   */
+  @Get('oidc/config')
+  getOidcConfig(): { enabled: boolean; providerName: string } {
+    return this.oidcService.getPublicConfig();
+  }
+
+  /**
+   * Inicia o login por SSO: devolve a URL do provedor para onde o frontend redireciona
+   * e guarda o login pendente num cookie httpOnly deste navegador
+   */
+  @Get('oidc/authorize')
+  async authorizeOidc(
+    @Request() req,
+    @Res({ passthrough: true }) res: Response,
+  ): Promise<{ authorizationUrl: string }> {
+    const { authorizationUrl, loginCookie } = await this.oidcService.createAuthorizationUrl();
+    res.cookie(OIDC_LOGIN_COOKIE, loginCookie, { ...this.getOidcCookieOptions(req), maxAge: PENDING_LOGIN_TTL_MS });
+    return { authorizationUrl };
+  }
+
+  /**
+   * Conclui o login por SSO com o code e o state que o provedor devolveu ao frontend.
+   * Só vale no navegador que iniciou o login; o cookie é descartado em qualquer caso
+   */
+  @Post('oidc/callback')
+  @HttpCode(HttpStatus.OK)
+  async oidcCallback(
+    @Request() req,
+    @Res({ passthrough: true }) res: Response,
+    @Body(ValidationPipe) callbackDto: OidcCallbackDto,
+  ): Promise<AuthResponseDto> {
+    res.clearCookie(OIDC_LOGIN_COOKIE, this.getOidcCookieOptions(req));
+    const identity = await this.oidcService.completeLogin(
+      callbackDto.code,
+      callbackDto.state,
+      this.readCookie(req, OIDC_LOGIN_COOKIE),
+    );
+    return await this.authUseCase.loginWithOidc(identity, this.getClientInfo(req));
+  }
+
+  /**
+   * Troca o refresh token por um novo par de tokens (o refresh token usado deixa de valer)
+   */
+  @Post('refresh')
+  @HttpCode(HttpStatus.OK)
+  async refresh(
+    @Request() req,
+    @Body(ValidationPipe) refreshTokenDto: RefreshTokenDto,
+  ): Promise<AuthResponseDto> {
+    return await this.authUseCase.refresh(refreshTokenDto.refreshToken, this.getClientInfo(req));
+  }
+
+  /**
+   * Encerra a sessão do refresh token informado (funciona mesmo com o access token expirado)
+   */
+  @Post('logout')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async logout(
+    @Body(ValidationPipe) refreshTokenDto: RefreshTokenDto,
+  ): Promise<void> {
+    await this.authUseCase.logout(refreshTokenDto.refreshToken);
+  }
+
+  /**
+   * Lista as sessões ativas (dispositivos) do usuário autenticado
+   */
+  @Get('sessions')
+  @UseGuards(JwtAuthGuard)
+  async listSessions(@Request() req): Promise<AuthSessionResponseDto[]> {
+    return await this.authUseCase.listSessions(req.user.id, req.user.sessionId);
+  }
+
+  /**
+   * Sai de todos os dispositivos; com exceptCurrent=true mantém a sessão atual
+   */
+  @Delete('sessions')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.OK)
+  async revokeAllSessions(
+    @Request() req,
+    @Query('exceptCurrent') exceptCurrent?: string,
+  ): Promise<{ revokedCount: number }> {
+    return await this.authUseCase.revokeAllSessions(
+      req.user.id,
+      exceptCurrent === 'true' ? req.user.sessionId : undefined,
+    );
+  }
+
+  /**
+   * Revoga uma sessão (dispositivo) do usuário autenticado
+   */
+  @Delete('sessions/:id')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async revokeSession(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) sessionId: string,
+  ): Promise<void> {
+    await this.authUseCase.revokeSession(req.user.id, sessionId);
   }
 
   /**
@@ -93,7 +211,7 @@ export class AuthController {
     @Request() req,
     @Body(ValidationPipe) changePasswordDto: ChangePasswordDto,
   ): Promise<void> {
-    return await this.authUseCase.changePassword(req.user.id, changePasswordDto);
+    return await this.authUseCase.changePassword(req.user.id, changePasswordDto, req.user.sessionId);
   }
 
   /**
@@ -107,4 +225,31 @@ export class AuthController {
       user: req.user,
     };
   }
+
+  private getClientInfo(req): ClientInfo {
+    return {
+      userAgent: req.headers?.['user-agent'],
+      ipAddress: req.ip,
+    };
+  }
+
+  /**
+   * Cookie do login por SSO: restrito às rotas oidc/* (o caminho da requisição sem a última parte)
+   */
+  private getOidcCookieOptions(req): CookieOptions {
+    return {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: req.path.replace(/\/[^/]*$/, ''),
+    };
+  }
+
+  private readCookie(req, name: string): string | undefined {
+    const cookie = String(req.headers?.cookie || '')
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.substring(name.length + 1)) : undefined;
+  }
 }
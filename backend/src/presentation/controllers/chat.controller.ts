@@ -16,10 +16,18 @@ import {
   ParseIntPipe,
   DefaultValuePipe,
   Res,
+  UseInterceptors,
+  UploadedFile,
+  BadRequestException,
 } from '@nestjs/common';
+import { FileInterceptor } from '@nestjs/platform-express';
 import { Response } from 'express';
+import * as path from 'path';
 
 import { ChatUseCase } from '../../application/use-cases/chat.use-case';
+import { QuotaUseCase } from '../../application/use-cases/quota.use-case';
+import { ConversationSummary, SessionSettings } from '../../domain/entities/chat-session.entity';
+import { User } from '../../domain/entities/user.entity';
 import {
   CreateChatSessionDto,
   UpdateChatSessionDto,
@@ -28,13 +36,32 @@ import {
   ChatSessionResponseDto,
   ChatMessageResponseDto,
   SearchMessagesDto,
+  SearchMessagesResponseDto,
+  UpdateSessionSummaryDto,
+  UpdateSessionSettingsDto,
+  RegenerateMessageDto,
+  SwitchBranchDto,
+  TranscribeAudioDto,
+  SynthesizeSpeechDto,
 } from '../../application/dto/chat.dto';
 import {
   ModelDownloadRequestDto,
   ModelUnloadRequestDto,
 } from '../../application/dto/dynamic-llm.dto';
 import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+import { RolesGuard, Roles } from '../guards/roles.guard';
 import { DynamicLLMService } from '../../infrastructure/services/dynamic-llm.service';
+import { StoredFileAttachment } from '../../infrastructure/services/file-attachment.service';
+import {
+  SpeechToTextService,
+  TranscriptionResult,
+} from '../../infrastructure/services/speech-to-text.service';
+import { TextToSpeechService } from '../../infrastructure/services/text-to-speech.service';
+import { ToolCallRecord } from '../../infrastructure/services/tool-registry.service';
+import {
+  CONVERSATION_EXPORT_FORMATS,
+  ConversationExportFormat,
+} from '../../infrastructure/services/conversation-transfer.service';
 
 /**
  * Controller responsável pelas operações de chat
@@ -45,6 +72,9 @@ export class ChatController {
   constructor(
     private readonly chatUseCase: ChatUseCase,
     private readonly dynamicLLMService: DynamicLLMService,
+    private readonly speechToTextService: SpeechToTextService,
+    private readonly textToSpeechService: TextToSpeechService,
+    private readonly quotaUseCase: QuotaUseCase,
   ) {}
 
   /**
@@ -130,6 +160,97 @@ export class ChatController {
     return await this.chatUseCase.clearSessionMessages(req.user.id, sessionId);
   }
 
+  /**
+   * Exporta uma sessão como arquivo (json, markdown ou html)
+   */
+  @Get('sessions/:sessionId/export')
+  async exportSession(
+    @Request() req,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+    @Query('format', new DefaultValuePipe('json')) format: string,
+    @Res() res: Response,
+  ): Promise<void> {
+    if (!CONVERSATION_EXPORT_FORMATS.includes(format as ConversationExportFormat)) {
+      throw new BadRequestException(`Formato inválido; use ${CONVERSATION_EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const file = await this.chatUseCase.exportSession(req.user.id, sessionId, format as ConversationExportFormat);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  }
+
+  /**
+   * Importa conversas de um arquivo JSON (exportação do XandAI ou do ChatGPT)
+   */
+  @Post('sessions/import')
+  @HttpCode(HttpStatus.CREATED)
+  @UseInterceptors(FileInterceptor('file'))
+  async importSessions(
+    @Request() req,
+    @UploadedFile() file: Express.Multer.File,
+  ): Promise<ChatSessionResponseDto[]> {
+    return await this.chatUseCase.importSessions(req.user.id, file);
+  }
+
+  /**
+   * Obtém o resumo automático das mensagens antigas da sessão
+   */
+  @Get('sessions/:sessionId/summary')
+  async getSessionSummary(
+    @Request() req,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+  ): Promise<{ summary: ConversationSummary | null }> {
+    return await this.chatUseCase.getSessionSummary(req.user.id, sessionId);
+  }
+
+  /**
+   * Edita o resumo da sessão
+   */
+  @Put('sessions/:sessionId/summary')
+  async updateSessionSummary(
+    @Request() req,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+    @Body(ValidationPipe) updateSummaryDto: UpdateSessionSummaryDto,
+  ): Promise<{ summary: ConversationSummary }> {
+    return await this.chatUseCase.updateSessionSummary(req.user.id, sessionId, updateSummaryDto);
+  }
+
+  /**
+   * Remove o resumo da sessão (as mensagens antigas voltam ao histórico)
+   */
+  @Delete('sessions/:sessionId/summary')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async clearSessionSummary(
+    @Request() req,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+  ): Promise<void> {
+    return await this.chatUseCase.clearSessionSummary(req.user.id, sessionId);
+  }
+
+  /**
+   * Obtém o modelo, os parâmetros e o system prompt da sessão
+   */
+  @Get('sessions/:sessionId/settings')
+  async getSessionSettings(
+    @Request() req,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+  ): Promise<{ settings: SessionSettings | null }> {
+    return await this.chatUseCase.getSessionSettings(req.user.id, sessionId);
+  }
+
+  /**
+   * Edita o modelo, os parâmetros e o system prompt da sessão
+   */
+  @Put('sessions/:sessionId/settings')
+  async updateSessionSettings(
+    @Request() req,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+    @Body(ValidationPipe) updateSettingsDto: UpdateSessionSettingsDto,
+  ): Promise<{ settings: SessionSettings }> {
+    return await this.chatUseCase.updateSessionSettings(req.user.id, sessionId, updateSettingsDto);
+  }
+
   /**
    * Envia uma mensagem e obtém resposta da IA
    */
@@ -151,6 +272,72 @@ export class ChatController {
     @Body(ValidationPipe) sendMessageDto: SendMessageDto,
     @Res() res: Response,
   ): Promise<void> {
+    await this.streamToClient(req.user, res, (onToken, streamOptions) =>
+      this.chatUseCase.sendMessageWithStreaming(req.user.id, sendMessageDto, onToken, streamOptions),
+    );
+  }
+
+  /**
+   * Regenera uma resposta do assistente com streaming (a anterior é mantida como alternativa)
+   */
+  @Post('messages/:messageId/regenerate')
+  async regenerateMessage(
+    @Request() req,
+    @Param('messageId', ParseUUIDPipe) messageId: string,
+    @Body(ValidationPipe) regenerateDto: RegenerateMessageDto,
+    @Res() res: Response,
+  ): Promise<void> {
+    await this.streamToClient(req.user, res, (onToken, streamOptions) =>
+      this.chatUseCase.regenerateMessageWithStreaming(req.user.id, messageId, regenerateDto, onToken, streamOptions),
+    );
+  }
+
+  /**
+   * Edita uma pergunta criando um novo ramo da conversa e responde com streaming
+   */
+  @Post('messages/:messageId/edit')
+  async editMessage(
+    @Request() req,
+    @Param('messageId', ParseUUIDPipe) messageId: string,
+    @Body(ValidationPipe) sendMessageDto: SendMessageDto,
+    @Res() res: Response,
+  ): Promise<void> {
+    await this.streamToClient(req.user, res, (onToken, streamOptions) =>
+      this.chatUseCase.editMessageWithStreaming(req.user.id, messageId, sendMessageDto, onToken, streamOptions),
+    );
+  }
+
+  /**
+   * Troca o ramo exibido da sessão e retorna as mensagens do novo ramo
+   */
+  @Put('sessions/:sessionId/branch')
+  async switchBranch(
+    @Request() req,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+    @Body(ValidationPipe) switchBranchDto: SwitchBranchDto,
+  ): Promise<ChatSessionResponseDto> {
+    return await this.chatUseCase.switchBranch(req.user.id, sessionId, switchBranchDto.messageId);
+  }
+
+  /**
+   * Envia uma resposta gerada com streaming como Server-Sent Events
+   */
+  private async streamToClient(
+    user: User,
+    res: Response,
+    run: (
+      onToken: (token: string, fullText: string) => void,
+      streamOptions: {
+        signal: AbortSignal;
+        onSession: (sessionId: string) => void;
+        onToolCall: (toolCall: ToolCallRecord) => void;
+      },
+    ) => ReturnType<ChatUseCase['sendMessageWithStreaming']>,
+  ): Promise<void> {
+    // Cotas conferidas antes dos cabeçalhos SSE, para que o 429 chegue como status HTTP
+    await this.quotaUseCase.assertTokensAvailable(user);
+    const releaseStream = await this.quotaUseCase.acquireStream(user);
+
     // Set SSE headers
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -158,16 +345,38 @@ export class ChatController {
     res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
     res.flushHeaders();
 
+    // When the client aborts the request (Stop button), cancel the upstream generation
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    const write = (payload: any) => {
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
+    };
+
     try {
       // Stream the response
-      const result = await this.chatUseCase.sendMessageWithStreaming(
-        req.user.id,
-        sendMessageDto,
+      const result = await run(
         (token: string, fullText: string) => {
-          res.write(`data: ${JSON.stringify({ token, fullText, done: false })}\n\n`);
+          write({ token, fullText, done: false });
+        },
+        {
+          signal: abortController.signal,
+          onSession: (sessionId: string) => write({ sessionId, done: false }),
+          // Progresso das ferramentas chamadas pelo modelo (exibido enquanto a resposta é gerada)
+          onToolCall: (toolCall: ToolCallRecord) => write({ toolCall, done: false }),
         }
       );
 
+      if (abortController.signal.aborted) {
+        return;
+      }
+
       // Check if this was an image generation (non-streamable)
       if (result && result.isImageGeneration) {
         // Send the full content and attachments at once
@@ -181,16 +390,23 @@ export class ChatController {
         })}\n\n`);
       }
 
-      // Send completion message with session ID and metadata so frontend can track conversation and display metrics
+      // Send completion message with session ID, saved message IDs and metadata so frontend can track conversation and display metrics
+      // (attachments carries images produced by tools)
       res.write(`data: ${JSON.stringify({ 
         done: true, 
         sessionId: result?.sessionId,
-        metadata: result?.metadata
+        userMessageId: result?.userMessageId,
+        assistantMessageId: result?.assistantMessageId,
+        metadata: result?.metadata,
+        ...(!result?.isImageGeneration && result?.attachments && { attachments: result.attachments }),
       })}\n\n`);
       res.end();
     } catch (error) {
-      res.write(`data: ${JSON.stringify({ error: error.message, done: true })}\n\n`);
+      // Cotas esgotadas no meio do caminho (ex: pedido de imagem) mantêm o status 429 no evento
+      write({ error: error.message, ...(typeof error.getStatus === 'function' && { status: error.getStatus() }), done: true });
       res.end();
+    } finally {
+      releaseStream();
     }
   }
 
@@ -268,13 +484,13 @@ export class ChatController {
   }
 
   /**
-   * Busca mensagens
+   * Busca de texto completo nas mensagens do usuário, com filtros de sessão, papel, modelo e data
    */
   @Post('messages/search')
   async searchMessages(
     @Request() req,
     @Body(ValidationPipe) searchDto: SearchMessagesDto,
-  ): Promise<ChatMessageResponseDto[]> {
+  ): Promise<SearchMessagesResponseDto> {
     return await this.chatUseCase.searchMessages(req.user.id, searchDto);
   }
 
@@ -321,6 +537,73 @@ export class ChatController {
     );
   }
 
+  /**
+   * Anexa um documento (PDF, texto ou código) a uma mensagem específica
+   */
+  @Post('messages/:messageId/attachments/file')
+  @HttpCode(HttpStatus.CREATED)
+  @UseInterceptors(FileInterceptor('file'))
+  async attachFileToMessage(
+    @Request() req,
+    @Param('messageId') messageId: string,
+    @UploadedFile() file: Express.Multer.File,
+  ): Promise<ChatMessageResponseDto> {
+    return await this.chatUseCase.attachFileToMessage(req.user.id, messageId, file);
+  }
+
+  /**
+   * Envia um documento ou imagem para ser usado como contexto na próxima mensagem
+   */
+  @Post('attachments/files')
+  @HttpCode(HttpStatus.CREATED)
+  @UseInterceptors(FileInterceptor('file'))
+  async uploadFile(
+    @Request() req,
+    @UploadedFile() file: Express.Multer.File,
+  ): Promise<StoredFileAttachment> {
+    return await this.chatUseCase.uploadFileAttachment(req.user.id, file);
+  }
+
+  /**
+   * Faz o download de um documento enviado pelo usuário
+   */
+  @Get('attachments/files/:filename')
+  async downloadFile(
+    @Request() req,
+    @Param('filename') filename: string,
+    @Res() res: Response,
+  ): Promise<void> {
+    const filePath = this.chatUseCase.getFileAttachmentPath(req.user.id, filename);
+    res.download(filePath, path.basename(filePath));
+  }
+
+  /**
+   * Transcreve um áudio gravado no navegador (push-to-talk) usando o servidor Whisper local
+   */
+  @Post('transcribe')
+  @HttpCode(HttpStatus.OK)
+  @UseInterceptors(FileInterceptor('audio'))
+  async transcribeAudio(
+    @UploadedFile() file: Express.Multer.File,
+    @Body(ValidationPipe) transcribeAudioDto: TranscribeAudioDto,
+  ): Promise<TranscriptionResult> {
+    return await this.speechToTextService.transcribeUpload(file, transcribeAudioDto.language);
+  }
+
+  /**
+   * Lê um texto em voz alta usando o servidor TTS local configurado pelo usuário
+   */
+  @Post('speech')
+  async synthesizeSpeech(
+    @Body(ValidationPipe) synthesizeSpeechDto: SynthesizeSpeechDto,
+    @Res() res: Response,
+  ): Promise<void> {
+    const speech = await this.textToSpeechService.synthesize(synthesizeSpeechDto);
+    res.setHeader('Content-Type', speech.contentType);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(speech.audio);
+  }
+
   /**
    * Get list of currently loaded models in Dynamic LLM API
    */
@@ -346,9 +629,11 @@ export class ChatController {
   }
 
   /**
-   * Download a model from HuggingFace
+   * Download a model from HuggingFace (admins only, like every route that changes the loaded models)
    */
   @Post('providers/models/download')
+  @UseGuards(RolesGuard)
+  @Roles('admin')
   @HttpCode(HttpStatus.CREATED)
   async downloadModel(
     @Body(ValidationPipe) downloadRequest: ModelDownloadRequestDto,
@@ -376,6 +661,8 @@ export class ChatController {
    * Cancel a download
    */
   @Delete('providers/models/download/:jobId')
+  @UseGuards(RolesGuard)
+  @Roles('admin')
   @HttpCode(HttpStatus.NO_CONTENT)
   async cancelDownload(@Param('jobId') jobId: string): Promise<any> {
     return await this.dynamicLLMService.cancelDownload(jobId);
@@ -385,6 +672,8 @@ export class ChatController {
    * Unload a specific model
    */
   @Post('providers/models/unload')
+  @UseGuards(RolesGuard)
+  @Roles('admin')
   @HttpCode(HttpStatus.OK)
   async unloadModel(
     @Body(ValidationPipe) unloadRequest: ModelUnloadRequestDto,
@@ -396,6 +685,8 @@ export class ChatController {
    * Unload all models
    */
   @Post('providers/models/unload-all')
+  @UseGuards(RolesGuard)
+  @Roles('admin')
   @HttpCode(HttpStatus.OK)
   async unloadAllModels(): Promise<any> {
     return await this.dynamicLLMService.unloadAllModels();
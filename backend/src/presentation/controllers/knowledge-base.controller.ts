@@ -0,0 +1,136 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Put,
+  Delete,
+  Param,
+  Body,
+  UseGuards,
+  UseInterceptors,
+  UploadedFile,
+  Request,
+  HttpCode,
+  HttpStatus,
+  ValidationPipe,
+  ParseUUIDPipe,
+} from '@nestjs/common';
+import { FileInterceptor } from '@nestjs/platform-express';
+
+import { KnowledgeBaseUseCase } from '../../application/use-cases/knowledge-base.use-case';
+import {
+  CreateKnowledgeBaseDto,
+  UpdateKnowledgeBaseDto,
+  SearchKnowledgeBaseDto,
+  KnowledgeBaseResponseDto,
+  KnowledgeDocumentResponseDto,
+  KnowledgeSourceDto,
+} from '../../application/dto/knowledge-base.dto';
+import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+
+/**
+ * Controller responsável pelas bases de conhecimento (documentos consultados pelo chat)
+ */
+@Controller('knowledge-bases')
+@UseGuards(JwtAuthGuard)
+export class KnowledgeBaseController {
+  constructor(private readonly knowledgeBaseUseCase: KnowledgeBaseUseCase) {}
+
+  /**
+   * Lista as bases do usuário com os seus documentos
+   */
+  @Get()
+  async listKnowledgeBases(@Request() req): Promise<KnowledgeBaseResponseDto[]> {
+    return await this.knowledgeBaseUseCase.listKnowledgeBases(req.user.id);
+  }
+
+  /**
+   * Obtém uma base (usado para acompanhar a indexação dos documentos)
+   */
+  @Get(':id')
+  async getKnowledgeBase(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) knowledgeBaseId: string,
+  ): Promise<KnowledgeBaseResponseDto> {
+    return await this.knowledgeBaseUseCase.getKnowledgeBase(req.user.id, knowledgeBaseId);
+  }
+
+  /**
+   * Cria uma base de conhecimento
+   */
+  @Post()
+  @HttpCode(HttpStatus.CREATED)
+  async createKnowledgeBase(
+    @Request() req,
+    @Body(ValidationPipe) createDto: CreateKnowledgeBaseDto,
+  ): Promise<KnowledgeBaseResponseDto> {
+    return await this.knowledgeBaseUseCase.createKnowledgeBase(req.user.id, createDto);
+  }
+
+  /**
+   * Atualiza nome e descrição de uma base
+   */
+  @Put(':id')
+  async updateKnowledgeBase(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) knowledgeBaseId: string,
+    @Body(ValidationPipe) updateDto: UpdateKnowledgeBaseDto,
+  ): Promise<KnowledgeBaseResponseDto> {
+    return await this.knowledgeBaseUseCase.updateKnowledgeBase(req.user.id, knowledgeBaseId, updateDto);
+  }
+
+  /**
+   * Exclui uma base com todos os documentos
+   */
+  @Delete(':id')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async deleteKnowledgeBase(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) knowledgeBaseId: string,
+  ): Promise<void> {
+    await this.knowledgeBaseUseCase.deleteKnowledgeBase(req.user.id, knowledgeBaseId);
+  }
+
+  /**
+   * Envia um documento para a base (a indexação continua em segundo plano)
+   */
+  @Post(':id/documents')
+  @HttpCode(HttpStatus.ACCEPTED)
+  @UseInterceptors(FileInterceptor('file'))
+  async uploadDocument(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) knowledgeBaseId: string,
+    @UploadedFile() file: Express.Multer.File,
+  ): Promise<KnowledgeDocumentResponseDto> {
+    return await this.knowledgeBaseUseCase.addDocument(req.user.id, knowledgeBaseId, file);
+  }
+
+  /**
+   * Remove um documento da base
+   */
+  @Delete(':id/documents/:documentId')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async deleteDocument(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) knowledgeBaseId: string,
+    @Param('documentId', ParseUUIDPipe) documentId: string,
+  ): Promise<void> {
+    await this.knowledgeBaseUseCase.deleteDocument(req.user.id, knowledgeBaseId, documentId);
+  }
+
+  /**
+   * Testa a busca na base, retornando os trechos mais relevantes
+   */
+  @Post(':id/search')
+  @HttpCode(HttpStatus.OK)
+  async search(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) knowledgeBaseId: string,
+    @Body(ValidationPipe) searchDto: SearchKnowledgeBaseDto,
+  ): Promise<KnowledgeSourceDto[]> {
+    return await this.knowledgeBaseUseCase.search(req.user.id, knowledgeBaseId, searchDto.query, {
+      topK: searchDto.topK,
+      minScore: searchDto.minScore,
+    });
+  }
+}
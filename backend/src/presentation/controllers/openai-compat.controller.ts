@@ -0,0 +1,143 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Request,
+  Res,
+  UseGuards,
+  UseFilters,
+  ValidationPipe,
+  HttpStatus,
+} from '@nestjs/common';
+import { Response } from 'express';
+import * as crypto from 'crypto';
+
+import { OpenAICompatUseCase } from '../../application/use-cases/openai-compat.use-case';
+import { ChatCompletionRequestDto } from '../../application/dto/openai.dto';
+import { ApiKeyGuard, ApiKeyScopes } from '../guards/api-key.guard';
+import { OpenAIExceptionFilter } from '../filters/openai-exception.filter';
+
+/**
+ * API compatível com OpenAI, autenticada por chave pessoal de API.
+ * Fica em /v1 (fora do prefixo /api/v1) para que os SDKs da OpenAI usem base_url http://<host>:3001/v1
+ */
+@Controller('v1')
+@UseGuards(ApiKeyGuard)
+@UseFilters(OpenAIExceptionFilter)
+export class OpenAICompatController {
+  constructor(private readonly openAICompatUseCase: OpenAICompatUseCase) {}
+
+  /**
+   * Lista os modelos liberados
+   */
+  @Get('models')
+  @ApiKeyScopes('models')
+  async listModels() {
+    return await this.openAICompatUseCase.listModels();
+  }
+
+  /**
+   * Gera uma resposta; com stream: true envia os chunks como Server-Sent Events.
+   * O corpo é validado aqui sem forbidNonWhitelisted (o pipe global recusaria
+   * os campos da OpenAI que não usamos, como n, user ou logprobs)
+   */
+  @Post('chat/completions')
+  @ApiKeyScopes('chat')
+  async createChatCompletion(
+    @Request() req,
+    @Body(new ValidationPipe({ transform: true, whitelist: true, expectedType: ChatCompletionRequestDto }))
+    body: Record<string, any>,
+    @Res() res: Response,
+  ): Promise<void> {
+    const request = body as ChatCompletionRequestDto;
+
+    if (!request.stream) {
+      const result = await this.openAICompatUseCase.createChatCompletion(req.user, req.apiKey, request);
+      res.status(HttpStatus.OK).json({
+        id: result.id,
+        object: 'chat.completion',
+        created: result.created,
+        model: result.model,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: result.content },
+          finish_reason: result.finishReason,
+        }],
+        usage: result.usage,
+      });
+      return;
+    }
+
+    await this.streamCompletion(req, res, request);
+  }
+
+  /**
+   * Envia a resposta como chunks chat.completion.chunk. Os cabeçalhos SSE só saem com o primeiro token,
+   * para que cota, modelo não liberado e falha do provedor cheguem como status HTTP
+   */
+  private async streamCompletion(req: any, res: Response, request: ChatCompletionRequestDto): Promise<void> {
+    const id = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+    const created = Math.floor(Date.now() / 1000);
+    const chunk = (delta: Record<string, any>, finishReason: string | null = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model: request.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+
+    // When the client aborts the request, cancel the upstream generation
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    const write = (payload: any) => {
+      if (!res.headersSent) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+        res.flushHeaders();
+        write(chunk({ role: 'assistant', content: '' }));
+      }
+      if (!res.writableEnded && !res.destroyed) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
+    };
+
+    try {
+      const result = await this.openAICompatUseCase.createChatCompletion(
+        req.user,
+        req.apiKey,
+        request,
+        (token: string) => write(chunk({ content: token })),
+        abortController.signal,
+      );
+
+      if (abortController.signal.aborted) {
+        return;
+      }
+
+      write(chunk({}, result.finishReason));
+      if (request.stream_options?.include_usage) {
+        write({ id, object: 'chat.completion.chunk', created, model: request.model, choices: [], usage: result.usage });
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        throw error;
+      }
+      // Com o stream aberto o erro vai como evento, como faz a OpenAI
+      if (!res.writableEnded && !res.destroyed) {
+        const status = error.getStatus?.() ?? HttpStatus.INTERNAL_SERVER_ERROR;
+        res.write(`data: ${JSON.stringify({ error: OpenAIExceptionFilter.toError(error, status) })}\n\n`);
+        res.end();
+      }
+    }
+  }
+}
@@ -0,0 +1,106 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Put,
+  Delete,
+  Param,
+  Body,
+  Query,
+  UseGuards,
+  Request,
+  HttpCode,
+  HttpStatus,
+  ValidationPipe,
+  ParseUUIDPipe,
+} from '@nestjs/common';
+
+import { PersonaUseCase } from '../../application/use-cases/persona.use-case';
+import {
+  CreatePersonaDto,
+  UpdatePersonaDto,
+  RenderPersonaDto,
+  PersonaResponseDto,
+} from '../../application/dto/persona.dto';
+import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+
+/**
+ * Controller responsável pela biblioteca de personas
+ */
+@Controller('personas')
+@UseGuards(JwtAuthGuard)
+export class PersonaController {
+  constructor(private readonly personaUseCase: PersonaUseCase) {}
+
+  /**
+   * Lista as personas do usuário e as compartilhadas
+   */
+  @Get()
+  async listPersonas(
+    @Request() req,
+    @Query('tag') tag?: string,
+    @Query('search') search?: string,
+  ): Promise<PersonaResponseDto[]> {
+    return await this.personaUseCase.listPersonas(req.user.id, { tag, search });
+  }
+
+  /**
+   * Obtém uma persona
+   */
+  @Get(':id')
+  async getPersona(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) personaId: string,
+  ): Promise<PersonaResponseDto> {
+    return await this.personaUseCase.getPersona(req.user.id, personaId);
+  }
+
+  /**
+   * Cria uma persona
+   */
+  @Post()
+  @HttpCode(HttpStatus.CREATED)
+  async createPersona(
+    @Request() req,
+    @Body(ValidationPipe) createPersonaDto: CreatePersonaDto,
+  ): Promise<PersonaResponseDto> {
+    return await this.personaUseCase.createPersona(req.user.id, createPersonaDto);
+  }
+
+  /**
+   * Atualiza uma persona
+   */
+  @Put(':id')
+  async updatePersona(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) personaId: string,
+    @Body(ValidationPipe) updatePersonaDto: UpdatePersonaDto,
+  ): Promise<PersonaResponseDto> {
+    return await this.personaUseCase.updatePersona(req.user.id, personaId, updatePersonaDto);
+  }
+
+  /**
+   * Exclui uma persona
+   */
+  @Delete(':id')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async deletePersona(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) personaId: string,
+  ): Promise<void> {
+    await this.personaUseCase.deletePersona(req.user.id, personaId);
+  }
+
+  /**
+   * Pré-visualiza o prompt da persona com as variáveis preenchidas
+   */
+  @Post(':id/render')
+  @HttpCode(HttpStatus.OK)
+  async renderPersona(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) personaId: string,
+    @Body(ValidationPipe) renderPersonaDto: RenderPersonaDto,
+  ): Promise<{ content: string; missingVariables: string[] }> {
+    return await this.personaUseCase.renderPersona(req.user.id, personaId, renderPersonaDto.variables);
+  }
+}
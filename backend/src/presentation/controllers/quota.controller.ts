@@ -0,0 +1,27 @@
+import {
+  Controller,
+  Get,
+  Request,
+  UseGuards,
+} from '@nestjs/common';
+
+import { QuotaUseCase } from '../../application/use-cases/quota.use-case';
+import { QuotaStatusDto } from '../../application/dto/quota.dto';
+import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+
+/**
+ * Controller das cotas de uso
+ */
+@Controller('quota')
+@UseGuards(JwtAuthGuard)
+export class QuotaController {
+  constructor(private readonly quotaUseCase: QuotaUseCase) {}
+
+  /**
+   * Limites, uso de hoje e saldo do usuário autenticado
+   */
+  @Get('me')
+  async getMyQuota(@Request() req): Promise<QuotaStatusDto> {
+    return await this.quotaUseCase.getStatus(req.user);
+  }
+}
@@ -2,6 +2,8 @@ import {
   Controller,
   Post,
   Get,
+  Patch,
+  Delete,
   Body,
   Query,
   Param,
@@ -13,15 +15,54 @@ import {
   UseGuards,
   ParseIntPipe,
   DefaultValuePipe,
-  NotFoundException
+  ParseUUIDPipe,
+  NotFoundException,
+  UnauthorizedException
 } from '@nestjs/common';
+import { JwtService } from '@nestjs/jwt';
 import { Response } from 'express';
-import { IsString, IsOptional, IsNumber, IsPositive } from 'class-validator';
+import { IsString, IsOptional, IsNumber, IsInt, IsPositive, IsBoolean, IsIn, IsArray, ValidateNested, Min, Max } from 'class-validator';
+import { Type } from 'class-transformer';
 import { JwtAuthGuard } from '../guards/jwt-auth.guard';
-import { StableDiffusionService, GenerateImageDto, GeneratedImageResult } from '../../infrastructure/services/stable-diffusion.service';
+import { RolesGuard, Roles } from '../guards/roles.guard';
+import {
+  LoraSelectionDto,
+  EmbeddingSelectionDto,
+  ControlNetSettingsDto,
+} from '../../application/dto/image-generation.dto';
+import { GeneratedImageUseCase } from '../../application/use-cases/generated-image.use-case';
+import { QuotaUseCase } from '../../application/use-cases/quota.use-case';
+import { User } from '../../domain/entities/user.entity';
+import {
+  UpdateGeneratedImageDto,
+  GeneratedImageResponseDto,
+  GeneratedImageListResponseDto,
+} from '../../application/dto/generated-image.dto';
+import {
+  StableDiffusionService,
+  GenerateImageDto,
+  GeneratedImageResult,
+  InpaintingFill,
+  StableDiffusionConfig,
+} from '../../infrastructure/services/stable-diffusion.service';
+import {
+  ImageGenerationQueueService,
+  ImageJobSnapshot,
+  ImageJobTarget,
+  ImageJobType,
+  FINAL_JOB_STATUSES,
+} from '../../infrastructure/services/image-generation-queue.service';
 import * as path from 'path';
 import * as fs from 'fs';
 
+/**
+ * Unidade de ControlNet; image é a referência em base64 ou data URL
+ */
+export class ControlNetRequestDto extends ControlNetSettingsDto {
+  @IsString()
+  image: string;
+}
+
 export class GenerateImageRequestDto {
   @IsString()
   prompt: string;
@@ -62,6 +103,98 @@ export class GenerateImageRequestDto {
   @IsString()
   sampler?: string;
 
+  /**
+   * -1 sorteia uma seed; a seed usada volta em metadata.generation.seed
+   */
+  @IsOptional()
+  @IsInt()
+  @Min(-1)
+  seed?: number;
+
+  /**
+   * Imagens por geração (limitado por SD_MAX_BATCH_SIZE)
+   */
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  batchSize?: number;
+
+  @IsOptional()
+  @IsArray()
+  @ValidateNested({ each: true })
+  @Type(() => LoraSelectionDto)
+  loras?: LoraSelectionDto[];
+
+  @IsOptional()
+  @IsArray()
+  @ValidateNested({ each: true })
+  @Type(() => EmbeddingSelectionDto)
+  embeddings?: EmbeddingSelectionDto[];
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ControlNetRequestDto)
+  controlNet?: ControlNetRequestDto;
+
+  @IsOptional()
+  @IsString()
+  sdToken?: string;
+}
+
+/**
+ * Variação de uma imagem gerada (img2img); sourceFilename é o arquivo em /stable-diffusion/images
+ */
+export class ImageToImageRequestDto extends GenerateImageRequestDto {
+  @IsString()
+  sourceFilename: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  denoisingStrength?: number;
+}
+
+/**
+ * Inpainting: mask é um PNG (base64 ou data URL) do tamanho da imagem, branco onde refazer
+ */
+export class InpaintRequestDto extends ImageToImageRequestDto {
+  @IsString()
+  mask: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  @Max(64)
+  maskBlur?: number;
+
+  @IsOptional()
+  @IsIn(['fill', 'original', 'latent_noise', 'latent_nothing'])
+  inpaintingFill?: InpaintingFill;
+
+  @IsOptional()
+  @IsBoolean()
+  inpaintFullRes?: boolean;
+}
+
+export class UpscaleImageRequestDto {
+  @IsString()
+  sourceFilename: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(1)
+  @Max(4)
+  scale?: number;
+
+  @IsOptional()
+  @IsString()
+  upscaler?: string;
+
+  @IsOptional()
+  @IsString()
+  baseUrl?: string;
+
   @IsOptional()
   @IsString()
   sdToken?: string;
@@ -93,12 +226,39 @@ export class GenerateFromResponseDto {
   };
 }
 
+/**
+ * Geração pronta para entrar na fila
+ */
+interface QueuedGeneration {
+  type: ImageJobType;
+  execute: (signal: AbortSignal) => Promise<GeneratedImageResult>;
+  target: ImageJobTarget;
+}
+
+/**
+ * Job devolvido ao dono, com o token para acompanhar jobs/:jobId/events
+ * (o EventSource do navegador não envia o header Authorization)
+ */
+export type ImageJobResponse = ImageJobSnapshot & { eventsToken: string };
+
+/**
+ * Finalidade e validade do token de acompanhamento; ele só abre os eventos de um job
+ */
+const JOB_EVENTS_TOKEN_PURPOSE = 'image-job-events';
+const JOB_EVENTS_TOKEN_TTL = '5m';
+
 /**
  * Controller para operações do Stable Diffusion
  */
 @Controller('stable-diffusion')
 export class StableDiffusionController {
-  constructor(private readonly stableDiffusionService: StableDiffusionService) {}
+  constructor(
+    private readonly stableDiffusionService: StableDiffusionService,
+    private readonly imageQueue: ImageGenerationQueueService,
+    private readonly generatedImageUseCase: GeneratedImageUseCase,
+    private readonly quotaUseCase: QuotaUseCase,
+    private readonly jwtService: JwtService,
+  ) {}
 
   /**
    * Testa conexão com Stable Diffusion
@@ -123,38 +283,189 @@ export class StableDiffusionController {
   }
 
   /**
-   * Gera uma imagem
+   * Obtém as LoRAs instaladas
+   */
+  @Get('loras')
+  async getLoras(
+    @Query('baseUrl') baseUrl?: string,
+    @Query('sdToken') sdToken?: string,
+  ): Promise<{ name: string; alias: string; path: string }[]> {
+    return await this.stableDiffusionService.getLoras(baseUrl, sdToken);
+  }
+
+  /**
+   * Obtém as textual inversions (embeddings) carregadas
+   */
+  @Get('embeddings')
+  async getEmbeddings(
+    @Query('baseUrl') baseUrl?: string,
+    @Query('sdToken') sdToken?: string,
+  ): Promise<{ name: string; step?: number; vectors?: number }[]> {
+    return await this.stableDiffusionService.getEmbeddings(baseUrl, sdToken);
+  }
+
+  /**
+   * Obtém os modelos e pré-processadores do ControlNet
+   */
+  @Get('controlnet')
+  async getControlNetOptions(
+    @Query('baseUrl') baseUrl?: string,
+    @Query('sdToken') sdToken?: string,
+  ): Promise<{ models: string[]; modules: string[] }> {
+    return await this.stableDiffusionService.getControlNetOptions(baseUrl, sdToken);
+  }
+
+  /**
+   * Gera uma imagem (aguarda a vez na fila e responde quando a geração termina)
    */
   @Post('generate')
+  @UseGuards(JwtAuthGuard)
   @HttpCode(HttpStatus.CREATED)
   async generateImage(
+    @Request() req,
     @Body(ValidationPipe) generateDto: GenerateImageRequestDto,
   ): Promise<GeneratedImageResult> {
-    const imageRequest: GenerateImageDto = {
-      prompt: generateDto.prompt,
-      negativePrompt: generateDto.negativePrompt,
-      config: {
-        baseUrl: generateDto.baseUrl,
-        model: generateDto.model,
-        steps: generateDto.steps,
-        width: generateDto.width,
-        height: generateDto.height,
-        cfgScale: generateDto.cfgScale,
-        sampler: generateDto.sampler,
-        token: generateDto.sdToken,
-        enabled: true // Se chegou até aqui, está habilitado
+    return await this.runJob(req.user.id, await this.withImageQuota(req.user, this.txt2imgJob(generateDto), generateDto.batchSize));
+  }
+
+  /**
+   * Gera uma variação de uma imagem já gerada (img2img)
+   */
+  @Post('img2img')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.CREATED)
+  async imageToImage(
+    @Request() req,
+    @Body(ValidationPipe) imageDto: ImageToImageRequestDto,
+  ): Promise<GeneratedImageResult> {
+    return await this.runJob(req.user.id, await this.withImageQuota(req.user, this.img2imgJob(imageDto), imageDto.batchSize));
+  }
+
+  /**
+   * Refaz apenas a região mascarada de uma imagem já gerada (inpainting)
+   */
+  @Post('inpaint')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.CREATED)
+  async inpaint(
+    @Request() req,
+    @Body(ValidationPipe) inpaintDto: InpaintRequestDto,
+  ): Promise<GeneratedImageResult> {
+    return await this.runJob(req.user.id, await this.withImageQuota(req.user, this.inpaintJob(inpaintDto), inpaintDto.batchSize));
+  }
+
+  /**
+   * Amplia uma imagem já gerada (extras do Forge)
+   */
+  @Post('upscale')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.CREATED)
+  async upscale(
+    @Request() req,
+    @Body(ValidationPipe) upscaleDto: UpscaleImageRequestDto,
+  ): Promise<GeneratedImageResult> {
+    return await this.runJob(req.user.id, await this.withImageQuota(req.user, this.upscaleJob(upscaleDto)));
+  }
+
+  /**
+   * Enfileira uma geração e responde na hora com o job (acompanhe em jobs/:jobId/events)
+   */
+  @Post('jobs/generate')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.ACCEPTED)
+  async enqueueGenerate(@Request() req, @Body(ValidationPipe) generateDto: GenerateImageRequestDto): Promise<ImageJobResponse> {
+    return this.enqueueJob(req.user.id, await this.withImageQuota(req.user, this.txt2imgJob(generateDto), generateDto.batchSize));
+  }
+
+  @Post('jobs/img2img')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.ACCEPTED)
+  async enqueueImageToImage(@Request() req, @Body(ValidationPipe) imageDto: ImageToImageRequestDto): Promise<ImageJobResponse> {
+    return this.enqueueJob(req.user.id, await this.withImageQuota(req.user, this.img2imgJob(imageDto), imageDto.batchSize));
+  }
+
+  @Post('jobs/inpaint')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.ACCEPTED)
+  async enqueueInpaint(@Request() req, @Body(ValidationPipe) inpaintDto: InpaintRequestDto): Promise<ImageJobResponse> {
+    return this.enqueueJob(req.user.id, await this.withImageQuota(req.user, this.inpaintJob(inpaintDto), inpaintDto.batchSize));
+  }
+
+  @Post('jobs/upscale')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.ACCEPTED)
+  async enqueueUpscale(@Request() req, @Body(ValidationPipe) upscaleDto: UpscaleImageRequestDto): Promise<ImageJobResponse> {
+    return this.enqueueJob(req.user.id, await this.withImageQuota(req.user, this.upscaleJob(upscaleDto)));
+  }
+
+  /**
+   * Estado atual de um job do usuário (com um novo token de acompanhamento)
+   */
+  @Get('jobs/:jobId')
+  @UseGuards(JwtAuthGuard)
+  getJob(@Request() req, @Param('jobId', ParseUUIDPipe) jobId: string): ImageJobResponse {
+    return this.withEventsToken(this.findOwnJob(jobId, req.user.id), req.user.id);
+  }
+
+  /**
+   * Progresso do job como Server-Sent Events: posição na fila, progresso, prévias e,
+   * no último evento (done: true), o resultado.
+   * Autenticado pelo eventsToken do job na query string (?token=)
+   */
+  @Get('jobs/:jobId/events')
+  streamJob(
+    @Param('jobId', ParseUUIDPipe) jobId: string,
+    @Query('token') token: string,
+    @Res() res: Response,
+  ): void {
+    const userId = this.verifyEventsToken(token, jobId);
+    this.findOwnJob(jobId, userId);
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders();
+
+    let unsubscribe: (() => void) | null = null;
+    unsubscribe = this.imageQueue.subscribe(jobId, userId, (job) => {
+      if (res.writableEnded || res.destroyed) {
+        return;
       }
-    };
 
-    return await this.stableDiffusionService.generateImage(imageRequest);
+      const done = FINAL_JOB_STATUSES.includes(job.status);
+      res.write(`data: ${JSON.stringify({ ...job, done })}\n\n`);
+      if (done) {
+        unsubscribe?.();
+        res.end();
+      }
+    });
+
+    // Fechar a conexão só para de acompanhar; para cancelar o job use DELETE jobs/:jobId
+    res.on('close', () => unsubscribe?.());
+  }
+
+  /**
+   * Cancela um job (na fila ou em andamento)
+   */
+  @Delete('jobs/:jobId')
+  @UseGuards(JwtAuthGuard)
+  async cancelJob(
+    @Request() req,
+    @Param('jobId', ParseUUIDPipe) jobId: string,
+  ): Promise<{ success: boolean }> {
+    this.findOwnJob(jobId, req.user.id);
+    return { success: await this.imageQueue.cancel(jobId, req.user.id) };
   }
 
   /**
    * Gera imagem baseada em resposta de chat
    */
   @Post('generate-from-response')
+  @UseGuards(JwtAuthGuard)
   @HttpCode(HttpStatus.CREATED)
   async generateFromResponse(
+    @Request() req,
     @Body(ValidationPipe) body: GenerateFromResponseDto,
   ): Promise<GeneratedImageResult> {
     // Extrai prompt da resposta do chat
@@ -175,7 +486,11 @@ export class StableDiffusionController {
       }
     };
 
-    return await this.stableDiffusionService.generateImage(imageRequest);
+    return await this.runJob(req.user.id, await this.withImageQuota(req.user, {
+      type: 'txt2img',
+      execute: (signal) => this.stableDiffusionService.generateImage(imageRequest, signal),
+      target: { baseUrl: body.config?.baseUrl },
+    }));
   }
 
   /**
@@ -189,9 +504,12 @@ export class StableDiffusionController {
   }
 
   /**
-   * Interrompe geração em andamento
+   * Interrompe geração em andamento; afeta o job de qualquer usuário, por isso só administradores.
+   * Para cancelar o próprio job use DELETE jobs/:jobId
    */
   @Post('interrupt')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('admin')
   @HttpCode(HttpStatus.OK)
   async interruptGeneration(
     @Body() body: { baseUrl?: string },
@@ -201,16 +519,56 @@ export class StableDiffusionController {
   }
 
   /**
-   * Lista imagens salvas
+   * Galeria do usuário: busca pelo prompt, filtro por tag e por favoritas
    */
   @Get('images')
-  async listImages(): Promise<{ images: string[] }> {
-    const images = await this.stableDiffusionService.listSavedImages();
-    return { images };
+  @UseGuards(JwtAuthGuard)
+  async listImages(
+    @Request() req,
+    @Query('search') search?: string,
+    @Query('tag') tag?: string,
+    @Query('favorites') favorites?: string,
+    @Query('page', new DefaultValuePipe(1), ParseIntPipe) page?: number,
+    @Query('limit', new DefaultValuePipe(30), ParseIntPipe) limit?: number,
+  ): Promise<GeneratedImageListResponseDto> {
+    return await this.generatedImageUseCase.listImages(req.user.id, {
+      search,
+      tag,
+      favoritesOnly: favorites === 'true',
+      page,
+      limit,
+    });
   }
 
   /**
-   * Serve uma imagem específica pelo nome do arquivo
+   * Marca como favorita e altera as tags de uma imagem da galeria
+   */
+  @Patch('images/:id')
+  @UseGuards(JwtAuthGuard)
+  async updateImage(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) imageId: string,
+    @Body(ValidationPipe) updateImageDto: UpdateGeneratedImageDto,
+  ): Promise<GeneratedImageResponseDto> {
+    return await this.generatedImageUseCase.updateImage(req.user.id, imageId, updateImageDto);
+  }
+
+  /**
+   * Exclui uma imagem da galeria (e o anexo da mensagem onde ela aparece)
+   */
+  @Delete('images/:id')
+  @UseGuards(JwtAuthGuard)
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async deleteImage(
+    @Request() req,
+    @Param('id', ParseUUIDPipe) imageId: string,
+  ): Promise<void> {
+    await this.generatedImageUseCase.deleteImage(req.user.id, imageId);
+  }
+
+  /**
+   * Serve uma imagem específica pelo nome do arquivo.
+   * Sem autenticação (tags <img> não enviam o token): o nome leva um UUID aleatório e só chega ao dono
    */
   @Get('images/:filename')
   async getImage(
@@ -240,20 +598,179 @@ export class StableDiffusionController {
 
     // Send the file
     res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
+    res.setHeader('Cache-Control', 'private, max-age=31536000'); // Cache for 1 year, browser only
     fs.createReadStream(imagePath).pipe(res);
   }
 
   /**
-   * Cleanup de imagens antigas
+   * Aplica a retenção agora; imagens anexadas a mensagens ou favoritas nunca são removidas.
+   * maxAgeHours vale para os arquivos que não estão na galeria de ninguém
    */
   @Post('cleanup')
+  @UseGuards(JwtAuthGuard, RolesGuard)
+  @Roles('admin')
   @HttpCode(HttpStatus.OK)
   async cleanupImages(
     @Body() body: { maxAgeHours?: number },
-  ): Promise<{ removedCount: number }> {
-    const removedCount = await this.stableDiffusionService.cleanupOldImages(body.maxAgeHours);
-    return { removedCount };
+  ): Promise<{ removedCount: number; protectedCount: number }> {
+    return await this.generatedImageUseCase.cleanupImages(body.maxAgeHours);
+  }
+
+  /**
+   * Configuração do SD enviada junto com o pedido
+   */
+  private txt2imgJob(generateDto: GenerateImageRequestDto): QueuedGeneration {
+    const config = this.toConfig(generateDto);
+    const imageRequest: GenerateImageDto = {
+      prompt: generateDto.prompt,
+      negativePrompt: generateDto.negativePrompt,
+      seed: generateDto.seed,
+      batchSize: generateDto.batchSize,
+      controlNet: generateDto.controlNet,
+      config,
+    };
+
+    return {
+      type: 'txt2img',
+      execute: (signal) => this.stableDiffusionService.generateImage(imageRequest, signal),
+      target: { baseUrl: config.baseUrl, token: config.token },
+    };
+  }
+
+  private img2imgJob(imageDto: ImageToImageRequestDto): QueuedGeneration {
+    const config = this.toConfig(imageDto);
+
+    return {
+      type: 'img2img',
+      execute: (signal) => this.stableDiffusionService.generateImageToImage({
+        sourceFilename: imageDto.sourceFilename,
+        prompt: imageDto.prompt,
+        negativePrompt: imageDto.negativePrompt,
+        seed: imageDto.seed,
+        batchSize: imageDto.batchSize,
+        denoisingStrength: imageDto.denoisingStrength,
+        controlNet: imageDto.controlNet,
+        config,
+      }, signal),
+      target: { baseUrl: config.baseUrl, token: config.token },
+    };
+  }
+
+  private inpaintJob(inpaintDto: InpaintRequestDto): QueuedGeneration {
+    const config = this.toConfig(inpaintDto);
+
+    return {
+      type: 'inpaint',
+      execute: (signal) => this.stableDiffusionService.generateImageToImage({
+        sourceFilename: inpaintDto.sourceFilename,
+        prompt: inpaintDto.prompt,
+        negativePrompt: inpaintDto.negativePrompt,
+        seed: inpaintDto.seed,
+        batchSize: inpaintDto.batchSize,
+        denoisingStrength: inpaintDto.denoisingStrength,
+        mask: inpaintDto.mask,
+        maskBlur: inpaintDto.maskBlur,
+        inpaintingFill: inpaintDto.inpaintingFill,
+        inpaintFullRes: inpaintDto.inpaintFullRes,
+        controlNet: inpaintDto.controlNet,
+        config,
+      }, signal),
+      target: { baseUrl: config.baseUrl, token: config.token },
+    };
+  }
+
+  private upscaleJob(upscaleDto: UpscaleImageRequestDto): QueuedGeneration {
+    return {
+      type: 'upscale',
+      execute: (signal) => this.stableDiffusionService.upscaleImage({
+        sourceFilename: upscaleDto.sourceFilename,
+        scale: upscaleDto.scale,
+        upscaler: upscaleDto.upscaler,
+        config: { baseUrl: upscaleDto.baseUrl, token: upscaleDto.sdToken, enabled: true },
+      }, signal),
+      target: { baseUrl: upscaleDto.baseUrl, token: upscaleDto.sdToken },
+    };
+  }
+
+  /**
+   * Confere a cota diária de imagens do usuário e conta as imagens quando a geração termina
+   * (jobs cancelados ou com erro não contam)
+   */
+  private async withImageQuota(
+    user: User,
+    job: QueuedGeneration,
+    batchSize: number = 1,
+  ): Promise<QueuedGeneration> {
+    await this.quotaUseCase.assertImagesAvailable(user, batchSize);
+
+    return {
+      ...job,
+      execute: async (signal) => {
+        const result = await job.execute(signal);
+        if (result.success) {
+          await this.quotaUseCase.recordUsage(user.id, { images: result.images?.length || 1 });
+        }
+        return result;
+      },
+    };
+  }
+
+  private runJob(userId: string, job: QueuedGeneration): Promise<GeneratedImageResult> {
+    return this.imageQueue.run(userId, job.type, job.execute, job.target);
+  }
+
+  private enqueueJob(userId: string, job: QueuedGeneration): ImageJobResponse {
+    return this.withEventsToken(this.imageQueue.enqueue(userId, job.type, job.execute, job.target), userId);
+  }
+
+  /**
+   * Job do usuário; o de outro usuário responde 404, como se não existisse
+   */
+  private findOwnJob(jobId: string, userId: string): ImageJobSnapshot {
+    const job = this.imageQueue.getJob(jobId, userId);
+    if (!job) {
+      throw new NotFoundException(`Job not found: ${jobId}`);
+    }
+    return job;
+  }
+
+  private withEventsToken(job: ImageJobSnapshot, userId: string): ImageJobResponse {
+    const eventsToken = this.jwtService.sign(
+      { sub: userId, jobId: job.id, purpose: JOB_EVENTS_TOKEN_PURPOSE },
+      { expiresIn: JOB_EVENTS_TOKEN_TTL },
+    );
+    return { ...job, eventsToken };
+  }
+
+  /**
+   * Confere o token de acompanhamento e retorna o dono do job
+   */
+  private verifyEventsToken(token: string, jobId: string): string {
+    try {
+      const payload = this.jwtService.verify(token || '');
+      if (payload.purpose === JOB_EVENTS_TOKEN_PURPOSE && payload.jobId === jobId && payload.sub) {
+        return payload.sub;
+      }
+    } catch {
+      // Token expirado ou com assinatura inválida
+    }
+    throw new UnauthorizedException('Token de acompanhamento do job inválido ou expirado');
+  }
+
+  private toConfig(generateDto: GenerateImageRequestDto): StableDiffusionConfig {
+    return {
+      baseUrl: generateDto.baseUrl,
+      model: generateDto.model,
+      steps: generateDto.steps,
+      width: generateDto.width,
+      height: generateDto.height,
+      cfgScale: generateDto.cfgScale,
+      sampler: generateDto.sampler,
+      token: generateDto.sdToken,
+      loras: generateDto.loras,
+      embeddings: generateDto.embeddings,
+      enabled: true // Se chegou até aqui, está habilitado
+    };
   }
 
   /**
@@ -0,0 +1,41 @@
+import {
+  Controller,
+  Get,
+  Put,
+  Body,
+  UseGuards,
+  ValidationPipe,
+} from '@nestjs/common';
+
+import { SystemSettingsUseCase } from '../../application/use-cases/system-settings.use-case';
+import { SystemSettingsDto, UpdateSystemSettingsDto } from '../../application/dto/admin.dto';
+import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+import { RolesGuard, Roles } from '../guards/roles.guard';
+
+/**
+ * Controller das configurações globais: todos leem, só o administrador altera
+ */
+@Controller('settings')
+@UseGuards(JwtAuthGuard, RolesGuard)
+export class SystemSettingsController {
+  constructor(private readonly systemSettingsUseCase: SystemSettingsUseCase) {}
+
+  /**
+   * Obtém as configurações globais (modelos liberados, provedor padrão)
+   */
+  @Get()
+  async getSettings(): Promise<SystemSettingsDto> {
+    return await this.systemSettingsUseCase.getSettings();
+  }
+
+  /**
+   * Atualiza as configurações globais
+   */
+  @Put()
+  @Roles('admin')
+  async updateSettings(
+    @Body(ValidationPipe) updateDto: UpdateSystemSettingsDto,
+  ): Promise<SystemSettingsDto> {
+    return await this.systemSettingsUseCase.updateSettings(updateDto);
+  }
+}
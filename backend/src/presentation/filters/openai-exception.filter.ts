@@ -0,0 +1,61 @@
+import {
+  ArgumentsHost,
+  Catch,
+  ExceptionFilter,
+  HttpException,
+  HttpStatus,
+  Logger,
+} from '@nestjs/common';
+import { Response } from 'express';
+
+/**
+ * Tipo de erro da OpenAI para cada status HTTP
+ */
+const ERROR_TYPES: Record<number, string> = {
+  [HttpStatus.BAD_REQUEST]: 'invalid_request_error',
+  [HttpStatus.UNAUTHORIZED]: 'authentication_error',
+  [HttpStatus.FORBIDDEN]: 'permission_error',
+  [HttpStatus.NOT_FOUND]: 'not_found_error',
+  [HttpStatus.TOO_MANY_REQUESTS]: 'rate_limit_error',
+};
+
+/**
+ * Devolve os erros da API compatível com OpenAI no formato que os SDKs esperam:
+ * { error: { message, type, code } }
+ */
+@Catch()
+export class OpenAIExceptionFilter implements ExceptionFilter {
+  private readonly logger = new Logger(OpenAIExceptionFilter.name);
+
+  catch(exception: unknown, host: ArgumentsHost): void {
+    const response = host.switchToHttp().getResponse<Response>();
+    const status = exception instanceof HttpException ? exception.getStatus() : HttpStatus.INTERNAL_SERVER_ERROR;
+
+    if (!(exception instanceof HttpException)) {
+      this.logger.error(`❌ Unhandled error in OpenAI-compatible API: ${(exception as Error)?.message}`);
+    }
+
+    // Com o stream já aberto o erro vai como evento SSE (ver OpenAICompatController)
+    if (response.headersSent) {
+      response.end();
+      return;
+    }
+
+    response.status(status).json({ error: OpenAIExceptionFilter.toError(exception, status) });
+  }
+
+  static toError(exception: unknown, status: number): { message: string; type: string; code: string | null } {
+    const body = exception instanceof HttpException ? exception.getResponse() : null;
+    const message = typeof body === 'string'
+      ? body
+      : Array.isArray((body as any)?.message)
+        ? (body as any).message.join('; ')
+        : (body as any)?.message || 'Erro interno do servidor';
+
+    return {
+      message,
+      type: ERROR_TYPES[status] || (status >= 500 ? 'server_error' : 'invalid_request_error'),
+      code: (body as any)?.code ?? null,
+    };
+  }
+}
@@ -0,0 +1,64 @@
+import {
+  Injectable,
+  CanActivate,
+  ExecutionContext,
+  UnauthorizedException,
+  ForbiddenException,
+  SetMetadata,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { Request } from 'express';
+
+import { ApiKeyUseCase } from '../../application/use-cases/api-key.use-case';
+import { ApiKeyScope } from '../../domain/entities/api-key.entity';
+
+export const API_KEY_SCOPES_KEY = 'apiKeyScopes';
+
+/**
+ * Escopos que a chave de API precisa ter para usar a rota
+ */
+export const ApiKeyScopes = (...scopes: ApiKeyScope[]) => SetMetadata(API_KEY_SCOPES_KEY, scopes);
+
+/**
+ * Guard das rotas autenticadas por chave pessoal de API (Authorization: Bearer xai_...).
+ * Preenche request.user com o dono da chave e request.apiKey com a chave
+ */
+@Injectable()
+export class ApiKeyGuard implements CanActivate {
+  constructor(
+    private readonly reflector: Reflector,
+    private readonly apiKeyUseCase: ApiKeyUseCase,
+  ) {}
+
+  async canActivate(context: ExecutionContext): Promise<boolean> {
+    const request = context.switchToHttp().getRequest<Request>();
+    const key = this.extractKeyFromHeader(request);
+
+    if (!key) {
+      throw new UnauthorizedException('Chave de API não fornecida');
+    }
+
+    const { user, apiKey } = await this.apiKeyUseCase.authenticate(key);
+
+    const scopes = this.reflector.getAllAndOverride<ApiKeyScope[]>(API_KEY_SCOPES_KEY, [
+      context.getHandler(),
+      context.getClass(),
+    ]);
+    const missing = (scopes || []).filter(scope => !apiKey.hasScope(scope));
+    if (missing.length > 0) {
+      throw new ForbiddenException(`A chave de API não tem o escopo ${missing.join(', ')}`);
+    }
+
+    request.user = user;
+    (request as any).apiKey = apiKey;
+    return true;
+  }
+
+  /**
+   * Extrai a chave do header Authorization
+   */
+  private extractKeyFromHeader(request: Request): string | undefined {
+    const [type, key] = request.headers.authorization?.split(' ') ?? [];
+    return type === 'Bearer' ? key : undefined;
+  }
+}
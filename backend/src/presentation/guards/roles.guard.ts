@@ -0,0 +1,45 @@
+import {
+  Injectable,
+  CanActivate,
+  ExecutionContext,
+  ForbiddenException,
+  SetMetadata,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+
+import { User } from '../../domain/entities/user.entity';
+
+export const ROLES_KEY = 'roles';
+
+/**
+ * Restringe a rota (ou o controller inteiro) aos papéis informados
+ */
+export const Roles = (...roles: User['role'][]) => SetMetadata(ROLES_KEY, roles);
+
+/**
+ * Guard de autorização por papel. Roda depois do JwtAuthGuard, que preenche request.user:
+ * @UseGuards(JwtAuthGuard, RolesGuard)
+ */
+@Injectable()
+export class RolesGuard implements CanActivate {
+  constructor(private readonly reflector: Reflector) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const roles = this.reflector.getAllAndOverride<User['role'][]>(ROLES_KEY, [
+      context.getHandler(),
+      context.getClass(),
+    ]);
+
+    // Rotas sem @Roles ficam liberadas para qualquer usuário autenticado
+    if (!roles?.length) {
+      return true;
+    }
+
+    const { user } = context.switchToHttp().getRequest();
+    if (!user || !roles.includes(user.role)) {
+      throw new ForbiddenException('Acesso restrito a administradores');
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,45 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+
+import { User } from '../../domain/entities/user.entity';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+import { GeneratedImage } from '../../domain/entities/generated-image.entity';
+import { WhatsAppConfig } from '../../domain/entities/whatsapp-config.entity';
+import { AdminUseCase } from '../../application/use-cases/admin.use-case';
+import { UserRepository } from '../../infrastructure/repositories/user.repository';
+import { ChatMessageRepository } from '../../infrastructure/repositories/chat-message.repository';
+import { GeneratedImageRepository } from '../../infrastructure/repositories/generated-image.repository';
+import { WhatsAppConfigRepository } from '../../infrastructure/repositories/whatsapp-config.repository';
+import { AdminController } from '../controllers/admin.controller';
+import { AuthModule } from './auth.module';
+
+/**
+ * Módulo do painel do administrador
+ */
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([User, ChatMessage, GeneratedImage, WhatsAppConfig]),
+    AuthModule, // Para usar o JwtAuthGuard, o RolesGuard e revogar sessões
+  ],
+  controllers: [AdminController],
+  providers: [
+    AdminUseCase,
+    {
+      provide: 'IUserRepository',
+      useClass: UserRepository,
+    },
+    {
+      provide: 'IChatMessageRepository',
+      useClass: ChatMessageRepository,
+    },
+    {
+      provide: 'IGeneratedImageRepository',
+      useClass: GeneratedImageRepository,
+    },
+    {
+      provide: 'IWhatsAppConfigRepository',
+      useClass: WhatsAppConfigRepository,
+    },
+  ],
+})
+export class AdminModule {}
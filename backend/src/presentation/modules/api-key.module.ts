@@ -0,0 +1,36 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+
+import { ApiKey } from '../../domain/entities/api-key.entity';
+import { User } from '../../domain/entities/user.entity';
+import { ApiKeyUseCase } from '../../application/use-cases/api-key.use-case';
+import { ApiKeyRepository } from '../../infrastructure/repositories/api-key.repository';
+import { UserRepository } from '../../infrastructure/repositories/user.repository';
+import { ApiKeysController } from '../controllers/api-keys.controller';
+import { ApiKeyGuard } from '../guards/api-key.guard';
+import { AuthModule } from './auth.module';
+
+/**
+ * Módulo das chaves pessoais de API
+ */
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([ApiKey, User]),
+    AuthModule, // Para usar o JwtAuthGuard
+  ],
+  controllers: [ApiKeysController],
+  providers: [
+    ApiKeyUseCase,
+    {
+      provide: 'IApiKeyRepository',
+      useClass: ApiKeyRepository,
+    },
+    {
+      provide: 'IUserRepository',
+      useClass: UserRepository,
+    },
+    ApiKeyGuard,
+  ],
+  exports: [ApiKeyUseCase, ApiKeyGuard],
+})
+export class ApiKeyModule {}
@@ -1,27 +1,51 @@
-import { Module } from '@nestjs/common';
+import { Module, Logger } from '@nestjs/common';
 import { TypeOrmModule } from '@nestjs/typeorm';
 import { JwtModule } from '@nestjs/jwt';
 import { ConfigModule, ConfigService } from '@nestjs/config';
+import * as crypto from 'crypto';
 
 import { User } from '../../domain/entities/user.entity';
+import { AuthSession } from '../../domain/entities/auth-session.entity';
 import { AuthUseCase } from '../../application/use-cases/auth.use-case';
 import { UserRepository } from '../../infrastructure/repositories/user.repository';
+import { AuthSessionRepository } from '../../infrastructure/repositories/auth-session.repository';
+import { OidcService } from '../../infrastructure/services/oidc.service';
 import { AuthController } from '../controllers/auth.controller';
 import { JwtAuthGuard } from '../guards/jwt-auth.guard';
+import { RolesGuard } from '../guards/roles.guard';
+
+/**
+ * Segredo dos access tokens. Sem JWT_SECRET (fora de produção) cada processo sorteia um:
+ * os access tokens deixam de valer ao reiniciar, mas as sessões continuam,
+ * porque o refresh token é conferido no banco
+ */
+function resolveJwtSecret(configService: ConfigService): string {
+  const secret = configService.get<string>('JWT_SECRET');
+  if (secret) {
+    return secret;
+  }
+
+  if (configService.get('NODE_ENV') === 'production') {
+    throw new Error('JWT_SECRET não definido - obrigatório em produção');
+  }
+
+  new Logger('AuthModule').warn('JWT_SECRET não definido; usando um segredo aleatório até o próximo reinício');
+  return crypto.randomBytes(32).toString('hex');
+}
 
 /**
  * Módulo de autenticação
  */
 @Module({
   imports: [
-    TypeOrmModule.forFeature([User]),
+    TypeOrmModule.forFeature([User, AuthSession]),
     JwtModule.registerAsync({
       imports: [ConfigModule],
       inject: [ConfigService],
       useFactory: (configService: ConfigService) => ({
-        secret: configService.get('JWT_SECRET', 'xandai-secret-key'),
+        secret: resolveJwtSecret(configService),
         signOptions: {
-          expiresIn: configService.get('JWT_EXPIRES_IN', '24h'),
+          expiresIn: configService.get('JWT_EXPIRES_IN', '15m'),
         },
       }),
     }),
@@ -29,12 +53,18 @@ import { JwtAuthGuard } from '../guards/jwt-auth.guard';
   controllers: [AuthController],
   providers: [
     AuthUseCase,
+    OidcService,
     {
       provide: 'IUserRepository',
       useClass: UserRepository,
     },
+    {
+      provide: 'IAuthSessionRepository',
+      useClass: AuthSessionRepository,
+    },
     JwtAuthGuard,
+    RolesGuard,
   ],
-  exports: [AuthUseCase, JwtAuthGuard, JwtModule],
+  exports: [AuthUseCase, JwtAuthGuard, RolesGuard, JwtModule],
 })
 export class AuthModule {}
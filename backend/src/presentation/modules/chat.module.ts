@@ -1,18 +1,49 @@
 import { Module } from '@nestjs/common';
 import { TypeOrmModule } from '@nestjs/typeorm';
+import { ConfigModule, ConfigService } from '@nestjs/config';
+import { MulterModule } from '@nestjs/platform-express';
 
 import { User } from '../../domain/entities/user.entity';
 import { ChatSession } from '../../domain/entities/chat-session.entity';
 import { ChatMessage } from '../../domain/entities/chat-message.entity';
 import { ChatUseCase } from '../../application/use-cases/chat.use-case';
+import { ConversationSummaryUseCase } from '../../application/use-cases/conversation-summary.use-case';
 import { UserRepository } from '../../infrastructure/repositories/user.repository';
 import { ChatSessionRepository } from '../../infrastructure/repositories/chat-session.repository';
 import { ChatMessageRepository } from '../../infrastructure/repositories/chat-message.repository';
 import { ChatController } from '../controllers/chat.controller';
 import { AuthModule } from './auth.module';
+import { PersonaModule } from './persona.module';
+import { KnowledgeBaseModule } from './knowledge-base.module';
+import { StableDiffusionModule } from './stable-diffusion.module';
+import { SystemSettingsModule } from './system-settings.module';
+import { QuotaModule } from './quota.module';
 import { OllamaService } from '../../infrastructure/services/ollama.service';
-import { StableDiffusionService } from '../../infrastructure/services/stable-diffusion.service';
 import { DynamicLLMService } from '../../infrastructure/services/dynamic-llm.service';
+import { FileAttachmentService } from '../../infrastructure/services/file-attachment.service';
+import { ContextWindowService } from '../../infrastructure/services/context-window.service';
+import { ConversationContextService } from '../../infrastructure/services/conversation-context.service';
+import { MessageTreeService } from '../../infrastructure/services/message-tree.service';
+import { ConversationTransferService } from '../../infrastructure/services/conversation-transfer.service';
+import { SpeechToTextService } from '../../infrastructure/services/speech-to-text.service';
+import { TextToSpeechService } from '../../infrastructure/services/text-to-speech.service';
+import { ToolRegistryService } from '../../infrastructure/services/tool-registry.service';
+import { CalculatorService } from '../../infrastructure/services/calculator.service';
+import { IntentRouterService } from '../../infrastructure/services/intent-router.service';
+
+/**
+ * Maior arquivo aceito pelos uploads do chat (documentos, áudio e importação de conversas).
+ * O multer recusa com 413 o que passar disso antes de guardar tudo em memória;
+ * o limite de cada tipo é conferido depois pelo serviço correspondente
+ */
+function maxUploadBytes(configService: ConfigService): number {
+  const limitsMb = [
+    Number(configService.get('UPLOAD_MAX_FILE_SIZE_MB', 10)),
+    Number(configService.get('STT_MAX_FILE_SIZE_MB', 25)),
+    Number(configService.get('IMPORT_MAX_FILE_SIZE_MB', 50)),
+  ];
+  return Math.max(...limitsMb) * 1024 * 1024;
+}
 
 /**
  * Módulo de chat
@@ -20,14 +51,36 @@ import { DynamicLLMService } from '../../infrastructure/services/dynamic-llm.ser
 @Module({
   imports: [
     TypeOrmModule.forFeature([User, ChatSession, ChatMessage]),
+    MulterModule.registerAsync({
+      imports: [ConfigModule],
+      inject: [ConfigService],
+      useFactory: (configService: ConfigService) => ({
+        limits: { fileSize: maxUploadBytes(configService) },
+      }),
+    }),
     AuthModule, // Para usar o JwtAuthGuard
+    PersonaModule,
+    KnowledgeBaseModule,
+    StableDiffusionModule, // Fila de geração de imagens compartilhada com o controller do SD
+    SystemSettingsModule, // Modelos liberados pelo administrador
+    QuotaModule, // Cotas de tokens, imagens e respostas simultâneas
   ],
   controllers: [ChatController],
   providers: [
     ChatUseCase,
+    ConversationSummaryUseCase,
     OllamaService,
-    StableDiffusionService,
     DynamicLLMService,
+    FileAttachmentService,
+    ContextWindowService,
+    ConversationContextService,
+    MessageTreeService,
+    ConversationTransferService,
+    SpeechToTextService,
+    TextToSpeechService,
+    ToolRegistryService,
+    CalculatorService,
+    IntentRouterService,
     {
       provide: 'IUserRepository',
       useClass: UserRepository,
@@ -41,6 +94,6 @@ import { DynamicLLMService } from '../../infrastructure/services/dynamic-llm.ser
       useClass: ChatMessageRepository,
     },
   ],
-  exports: [ChatUseCase],
+  exports: [ChatUseCase, OllamaService, DynamicLLMService, ContextWindowService],
 })
 export class ChatModule {}
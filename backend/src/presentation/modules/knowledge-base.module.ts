@@ -0,0 +1,60 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { ConfigModule, ConfigService } from '@nestjs/config';
+import { MulterModule } from '@nestjs/platform-express';
+
+import { KnowledgeBase } from '../../domain/entities/knowledge-base.entity';
+import { KnowledgeDocument } from '../../domain/entities/knowledge-document.entity';
+import { KnowledgeChunk } from '../../domain/entities/knowledge-chunk.entity';
+import { KnowledgeBaseUseCase } from '../../application/use-cases/knowledge-base.use-case';
+import {
+  KnowledgeBaseRepository,
+  KnowledgeDocumentRepository,
+  KnowledgeChunkRepository,
+} from '../../infrastructure/repositories/knowledge-base.repository';
+import { OllamaService } from '../../infrastructure/services/ollama.service';
+import { FileAttachmentService } from '../../infrastructure/services/file-attachment.service';
+import { TextChunkerService } from '../../infrastructure/services/text-chunker.service';
+import { VectorIndexService } from '../../infrastructure/services/vector-index.service';
+import { KnowledgeBaseController } from '../controllers/knowledge-base.controller';
+import { AuthModule } from './auth.module';
+
+/**
+ * Módulo das bases de conhecimento (RAG)
+ */
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([KnowledgeBase, KnowledgeDocument, KnowledgeChunk]),
+    // Documentos maiores que RAG_MAX_FILE_SIZE_MB são recusados com 413 antes de ficarem em memória
+    MulterModule.registerAsync({
+      imports: [ConfigModule],
+      inject: [ConfigService],
+      useFactory: (configService: ConfigService) => ({
+        limits: { fileSize: Number(configService.get('RAG_MAX_FILE_SIZE_MB', 20)) * 1024 * 1024 },
+      }),
+    }),
+    AuthModule, // Para usar o JwtAuthGuard
+  ],
+  controllers: [KnowledgeBaseController],
+  providers: [
+    KnowledgeBaseUseCase,
+    OllamaService,
+    FileAttachmentService,
+    TextChunkerService,
+    VectorIndexService,
+    {
+      provide: 'IKnowledgeBaseRepository',
+      useClass: KnowledgeBaseRepository,
+    },
+    {
+      provide: 'IKnowledgeDocumentRepository',
+      useClass: KnowledgeDocumentRepository,
+    },
+    {
+      provide: 'IKnowledgeChunkRepository',
+      useClass: KnowledgeChunkRepository,
+    },
+  ],
+  exports: [KnowledgeBaseUseCase],
+})
+export class KnowledgeBaseModule {}
@@ -0,0 +1,23 @@
+import { Module } from '@nestjs/common';
+
+import { OpenAICompatUseCase } from '../../application/use-cases/openai-compat.use-case';
+import { OpenAICompatController } from '../controllers/openai-compat.controller';
+import { ApiKeyModule } from './api-key.module';
+import { ChatModule } from './chat.module';
+import { QuotaModule } from './quota.module';
+import { SystemSettingsModule } from './system-settings.module';
+
+/**
+ * Módulo da API compatível com OpenAI (/v1/models e /v1/chat/completions)
+ */
+@Module({
+  imports: [
+    ApiKeyModule, // Autenticação por chave de API
+    ChatModule, // Mesmos provedores do chat (inclusive a URL do Ollama definida pelo frontend)
+    QuotaModule, // Cotas do dono da chave
+    SystemSettingsModule, // Modelos liberados
+  ],
+  controllers: [OpenAICompatController],
+  providers: [OpenAICompatUseCase],
+})
+export class OpenAICompatModule {}
@@ -0,0 +1,36 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+
+import { User } from '../../domain/entities/user.entity';
+import { Persona } from '../../domain/entities/persona.entity';
+import { PersonaUseCase } from '../../application/use-cases/persona.use-case';
+import { UserRepository } from '../../infrastructure/repositories/user.repository';
+import { PersonaRepository } from '../../infrastructure/repositories/persona.repository';
+import { PromptTemplateService } from '../../infrastructure/services/prompt-template.service';
+import { PersonaController } from '../controllers/persona.controller';
+import { AuthModule } from './auth.module';
+
+/**
+ * Módulo da biblioteca de personas
+ */
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([User, Persona]),
+    AuthModule, // Para usar o JwtAuthGuard
+  ],
+  controllers: [PersonaController],
+  providers: [
+    PersonaUseCase,
+    PromptTemplateService,
+    {
+      provide: 'IUserRepository',
+      useClass: UserRepository,
+    },
+    {
+      provide: 'IPersonaRepository',
+      useClass: PersonaRepository,
+    },
+  ],
+  exports: [PersonaUseCase, PromptTemplateService],
+})
+export class PersonaModule {}
@@ -0,0 +1,30 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+
+import { DailyUsage } from '../../domain/entities/daily-usage.entity';
+import { QuotaUseCase } from '../../application/use-cases/quota.use-case';
+import { DailyUsageRepository } from '../../infrastructure/repositories/daily-usage.repository';
+import { QuotaController } from '../controllers/quota.controller';
+import { AuthModule } from './auth.module';
+import { SystemSettingsModule } from './system-settings.module';
+
+/**
+ * Módulo das cotas de uso (tokens e imagens por dia, respostas simultâneas)
+ */
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([DailyUsage]),
+    AuthModule, // Para usar o JwtAuthGuard
+    SystemSettingsModule, // Limites de cada papel
+  ],
+  controllers: [QuotaController],
+  providers: [
+    QuotaUseCase,
+    {
+      provide: 'IDailyUsageRepository',
+      useClass: DailyUsageRepository,
+    },
+  ],
+  exports: [QuotaUseCase],
+})
+export class QuotaModule {}
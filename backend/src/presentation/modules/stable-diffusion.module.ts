@@ -1,18 +1,38 @@
 import { Module } from '@nestjs/common';
-import { JwtModule } from '@nestjs/jwt';
 import { PassportModule } from '@nestjs/passport';
+import { TypeOrmModule } from '@nestjs/typeorm';
 import { StableDiffusionController } from '../controllers/stable-diffusion.controller';
 import { StableDiffusionService } from '../../infrastructure/services/stable-diffusion.service';
+import { ImageGenerationQueueService } from '../../infrastructure/services/image-generation-queue.service';
+import { GeneratedImage } from '../../domain/entities/generated-image.entity';
+import { ChatMessage } from '../../domain/entities/chat-message.entity';
+import { GeneratedImageUseCase } from '../../application/use-cases/generated-image.use-case';
+import { GeneratedImageRepository } from '../../infrastructure/repositories/generated-image.repository';
+import { ChatMessageRepository } from '../../infrastructure/repositories/chat-message.repository';
 import { AuthModule } from './auth.module';
+import { QuotaModule } from './quota.module';
 
 @Module({
   imports: [
+    TypeOrmModule.forFeature([GeneratedImage, ChatMessage]),
     PassportModule,
-    JwtModule,
     AuthModule, // Importa AuthModule para ter acesso ao AuthUseCase
+    QuotaModule, // Limite diário de imagens
   ],
   controllers: [StableDiffusionController],
-  providers: [StableDiffusionService],
-  exports: [StableDiffusionService],
+  providers: [
+    StableDiffusionService,
+    ImageGenerationQueueService,
+    GeneratedImageUseCase,
+    {
+      provide: 'IGeneratedImageRepository',
+      useClass: GeneratedImageRepository,
+    },
+    {
+      provide: 'IChatMessageRepository', // Anexos das mensagens protegem as imagens da limpeza
+      useClass: ChatMessageRepository,
+    },
+  ],
+  exports: [StableDiffusionService, ImageGenerationQueueService, GeneratedImageUseCase],
 })
 export class StableDiffusionModule {}
@@ -0,0 +1,28 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+
+import { SystemSetting } from '../../domain/entities/system-setting.entity';
+import { SystemSettingsUseCase } from '../../application/use-cases/system-settings.use-case';
+import { SystemSettingRepository } from '../../infrastructure/repositories/system-setting.repository';
+import { SystemSettingsController } from '../controllers/system-settings.controller';
+import { AuthModule } from './auth.module';
+
+/**
+ * Módulo das configurações globais definidas pelo administrador
+ */
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([SystemSetting]),
+    AuthModule, // Para usar o JwtAuthGuard e o RolesGuard
+  ],
+  controllers: [SystemSettingsController],
+  providers: [
+    SystemSettingsUseCase,
+    {
+      provide: 'ISystemSettingRepository',
+      useClass: SystemSettingRepository,
+    },
+  ],
+  exports: [SystemSettingsUseCase],
+})
+export class SystemSettingsModule {}
@@ -4,6 +4,7 @@ import { WhatsAppController } from '../controllers/whatsapp.controller';
 import { WhatsAppUseCase } from '../../application/use-cases/whatsapp.use-case';
 import { WhatsAppService } from '../../infrastructure/services/whatsapp.service';
 import { OllamaService } from '../../infrastructure/services/ollama.service';
+import { SpeechToTextService } from '../../infrastructure/services/speech-to-text.service';
 import { WhatsAppSession } from '../../domain/entities/whatsapp-session.entity';
 import { WhatsAppMessage } from '../../domain/entities/whatsapp-message.entity';
 import { WhatsAppConfig } from '../../domain/entities/whatsapp-config.entity';
@@ -11,6 +12,7 @@ import { WhatsAppSessionRepository } from '../../infrastructure/repositories/wha
 import { WhatsAppMessageRepository } from '../../infrastructure/repositories/whatsapp-message.repository';
 import { WhatsAppConfigRepository } from '../../infrastructure/repositories/whatsapp-config.repository';
 import { AuthModule } from './auth.module';
+import { PersonaModule } from './persona.module';
 
 @Module({
   imports: [
@@ -20,12 +22,14 @@ import { AuthModule } from './auth.module';
       WhatsAppConfig,
     ]),
     AuthModule, // Importa AuthModule para ter acesso ao JwtAuthGuard e JwtService
+    PersonaModule, // Resolve as referências {{persona:nome}} das instruções
   ],
   controllers: [WhatsAppController],
   providers: [
     WhatsAppUseCase,
     WhatsAppService,
     OllamaService,
+    SpeechToTextService,
     {
       provide: 'IWhatsAppSessionRepository',
       useClass: WhatsAppSessionRepository,
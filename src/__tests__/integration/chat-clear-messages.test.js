@@ -115,7 +115,8 @@ describe('Chat Clear Messages Integration Tests', () => {
       // Assert
       expect(mockRepository.sendMessage).toHaveBeenCalledWith(
         'New message after clear',
-        expect.any(Function)
+        expect.any(Function),
+        expect.objectContaining({ attachments: [] })
       );
     });
   });
@@ -0,0 +1,140 @@
+import { useState, useCallback } from 'react';
+import adminService from '../../services/AdminService';
+import systemSettingsService from '../../services/SystemSettingsService';
+import { OllamaService } from '../services/OllamaService.js';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Hook para o painel do administrador: usuários e configurações globais
+ * @returns {Object} Estado e funções do painel
+ */
+export const useAdmin = () => {
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [settings, setSettings] = useState(null);
+  const [installedModels, setInstalledModels] = useState([]);
+  const [ollamaService] = useState(() => new OllamaService());
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Carrega uma página de usuários
+   * @param {number} pageToLoad - Página (começa em 1)
+   */
+  const fetchUsers = useCallback(async (pageToLoad = 1) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const result = await adminService.getUsers(pageToLoad, PAGE_SIZE);
+      setUsers(Array.isArray(result.users) ? result.users : []);
+      setTotal(result.total || 0);
+      setPage(pageToLoad);
+    } catch (err) {
+      console.error('Erro ao buscar usuários:', err);
+      setError(err.message || 'Erro ao carregar usuários');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Substitui um usuário da lista mantendo o uso já carregado
+   * @param {Object} updated - Usuário devolvido pela API
+   */
+  const replaceUser = useCallback((updated) => {
+    setUsers(prev => prev.map(user => (user.id === updated.id ? { ...user, ...updated } : user)));
+  }, []);
+
+  /**
+   * Ativa ou desativa um usuário
+   * @param {Object} user - Usuário da lista
+   */
+  const toggleActive = useCallback(async (user) => {
+    replaceUser(await adminService.setUserActive(user.id, !user.isActive));
+  }, [replaceUser]);
+
+  /**
+   * Alterna o papel do usuário entre user e admin
+   * @param {Object} user - Usuário da lista
+   */
+  const toggleRole = useCallback(async (user) => {
+    replaceUser(await adminService.updateRole(user.id, user.role === 'admin' ? 'user' : 'admin'));
+  }, [replaceUser]);
+
+  /**
+   * Salva as exceções do usuário aos limites do papel
+   * @param {string} userId - ID do usuário
+   * @param {Object} limits - { tokensPerDay, imagesPerDay, concurrentStreams }; null segue o papel
+   */
+  const updateQuota = useCallback(async (userId, limits) => {
+    replaceUser(await adminService.updateQuota(userId, limits));
+  }, [replaceUser]);
+
+  /**
+   * Redefine a senha do usuário
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<string|undefined>} Senha temporária gerada
+   */
+  const resetPassword = useCallback(async (userId) => {
+    const { temporaryPassword } = await adminService.resetPassword(userId);
+    return temporaryPassword;
+  }, []);
+
+  /**
+   * Exclui um usuário
+   * @param {string} userId - ID do usuário
+   */
+  const deleteUser = useCallback(async (userId) => {
+    await adminService.deleteUser(userId);
+    setUsers(prev => prev.filter(user => user.id !== userId));
+    setTotal(prev => Math.max(0, prev - 1));
+  }, []);
+
+  /**
+   * Carrega as configurações globais e os modelos instalados no Ollama
+   * (todos, inclusive os ainda não liberados, para o administrador escolher)
+   */
+  const fetchSettings = useCallback(async () => {
+    setSettings(await systemSettingsService.getSettings(true));
+    try {
+      const models = await ollamaService.listAvailableModels();
+      setInstalledModels(models.map(model => model.name));
+    } catch (err) {
+      console.warn('Erro ao listar modelos do Ollama:', err);
+      setInstalledModels([]);
+    }
+  }, [ollamaService]);
+
+  /**
+   * Salva as configurações globais
+   * @param {Object} changes - { allowedModels, defaultProvider, quotas }
+   */
+  const saveSettings = useCallback(async (changes) => {
+    const saved = await systemSettingsService.updateSettings(changes);
+    setSettings(saved);
+    return saved;
+  }, []);
+
+  return {
+    users,
+    total,
+    page,
+    pageSize: PAGE_SIZE,
+    settings,
+    installedModels,
+    isLoading,
+    error,
+    fetchUsers,
+    toggleActive,
+    toggleRole,
+    updateQuota,
+    resetPassword,
+    deleteUser,
+    fetchSettings,
+    saveSettings,
+  };
+};
+
+export default useAdmin;
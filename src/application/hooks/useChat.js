@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { ChatService } from '../services/ChatService.js';
 import { MockChatRepository } from '../../infrastructure/mock-api/MockChatRepository.js';
 import { ChatApiRepository } from '../../infrastructure/api/ChatApiRepository.js';
@@ -16,6 +16,19 @@ const generateUUID = () => {
   });
 };
 
+/**
+ * Copy of the streaming message with the tool calls received so far (a new instance so React re-renders)
+ * @param {Message} msg - Streaming assistant message
+ * @param {Array} toolCalls - Tool calls in the order they started
+ * @returns {Message}
+ */
+const withToolCalls = (msg, toolCalls) => {
+  const updatedMessage = new Message(msg.id, msg.content, msg.sender, msg.timestamp, msg.isTyping, msg.isStreaming);
+  updatedMessage.attachments = msg.attachments;
+  updatedMessage.metadata = { ...msg.metadata, toolCalls };
+  return updatedMessage;
+};
+
 /**
  * Hook personalizado para gerenciar o estado do chat
  * @returns {Object} - Estado e funções do chat
@@ -27,6 +40,7 @@ export const useChat = () => {
   const [currentSessionId, setCurrentSessionId] = useState(null);
   const [chatService, setChatService] = useState(null);
   const [isBackendConnected, setIsBackendConnected] = useState(false);
+  const abortControllerRef = useRef(null);
 
   /**
    * Initializes chat service based on backend availability
@@ -133,8 +147,9 @@ export const useChat = () => {
   /**
    * Sends a new message
    * @param {string} messageContent - Message content
+   * @param {Array} fileAttachments - Uploaded file attachments (optional)
    */
-  const sendMessage = useCallback(async (messageContent) => {
+  const sendMessage = useCallback(async (messageContent, fileAttachments = []) => {
     if (!messageContent.trim() || !chatService) return;
 
     setIsLoading(true);
@@ -142,12 +157,21 @@ export const useChat = () => {
 
     // Generate IDs upfront
     const assistantMessageId = generateUUID();
+    let userMessageId = null;
     let streamedContent = '';
     let streamedAttachments = null;
 
+    // Allows the Stop button to abort this request
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
       // Adiciona a mensagem do usuário imediatamente (UI only - backend will save it)
       const userMessage = Message.createUserMessage(messageContent);
+      if (fileAttachments.length > 0) {
+        userMessage.attachments = [...fileAttachments];
+      }
+      userMessageId = userMessage.id;
       setMessages(prev => [...prev, userMessage]);
 
       // Cria mensagem de resposta vazia para streaming
@@ -174,10 +198,13 @@ export const useChat = () => {
                 false, // isTyping
                 !isDone // isStreaming
               );
-              // Preserve any attachments that were streamed
+              // Preserve any attachments and tool calls that were streamed
               if (msg.attachments) {
                 updatedMessage.attachments = msg.attachments;
               }
+              if (msg.metadata) {
+                updatedMessage.metadata = msg.metadata;
+              }
               return updatedMessage;
             }
             return msg;
@@ -185,9 +212,18 @@ export const useChat = () => {
         });
       };
 
+      // Tools called by the model are shown while the answer is generated
+      const onToolCall = (toolCall, toolCalls) => {
+        setMessages(prev => prev.map(msg => msg.id === assistantMessageId ? withToolCalls(msg, toolCalls) : msg));
+      };
+
       // Send message with streaming callback
       console.log('🌊 Sending message with streaming...');
-      const response = await chatService.sendMessageWithoutUserSave(messageContent, onToken);
+      const response = await chatService.sendMessageWithoutUserSave(messageContent, onToken, {
+        attachments: fileAttachments,
+        signal: abortController.signal,
+        onToolCall
+      });
       
       // Sync session ID from backend - this is the single source of truth
       if (chatService.chatRepository && chatService.chatRepository.currentSessionId) {
@@ -202,10 +238,12 @@ export const useChat = () => {
       const assistantContent = response.assistantMessage?.content || streamedContent || '';
       const attachments = response.assistantMessage?.attachments || [];
       const metadata = response.assistantMessage?.metadata || response.metadata || null;
+      const savedIds = response.messageIds || {};
 
       // Final update to ensure message is complete with all data
+      // Backend IDs replace the local ones so the messages can be regenerated/edited later
       const finalMessage = new Message(
-        assistantMessageId,
+        savedIds.assistantMessageId || assistantMessageId,
         assistantContent,
         'assistant',
         new Date(),
@@ -223,26 +261,89 @@ export const useChat = () => {
         console.log('📊 Added metrics to final message:', metadata);
       }
 
+      // Cancelled before any token arrived - nothing to keep
+      if (metadata?.cancelled && !assistantContent && attachments.length === 0) {
+        setMessages(prev => prev.filter(msg => msg.id !== assistantMessageId));
+        return;
+      }
+
       setMessages(prev => {
         return prev.map(msg => {
           if (msg.id === assistantMessageId) {
             return finalMessage;
           }
+          if (msg.id === userMessageId && savedIds.userMessageId) {
+            msg.id = savedIds.userMessageId;
+          }
           return msg;
         });
       });
 
     } catch (err) {
+      if (abortController.signal.aborted) {
+        // Stopped by the user - keep the partial answer instead of reporting an error
+        setMessages(prev => streamedContent
+          ? prev.map(msg => {
+            if (msg.id === assistantMessageId) {
+              const partialMessage = new Message(assistantMessageId, streamedContent, 'assistant', new Date(), false, false);
+              partialMessage.metadata = { cancelled: true };
+              return partialMessage;
+            }
+            return msg;
+          })
+          : prev.filter(msg => msg.id !== assistantMessageId)
+        );
+        return;
+      }
+
       console.error('Error sending message:', err);
       setError(err.message || 'Failed to send message');
       
       // Remove streaming message in case of error
       setMessages(prev => prev.filter(msg => msg.id !== assistantMessageId));
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
       setIsLoading(false);
     }
   }, [chatService]);
 
+  /**
+   * Stops the response currently being streamed
+   * The backend cancels the upstream generation and keeps the partial answer
+   */
+  const stopGeneration = useCallback(() => {
+    if (abortControllerRef.current) {
+      console.log('⏹️ Stopping generation...');
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  /**
+   * Uploads a file to be attached to the next message
+   * @param {File} file - Selected file
+   * @returns {Promise<Object>} - Stored attachment descriptor
+   */
+  const uploadAttachment = useCallback(async (file) => {
+    if (!chatService) {
+      throw new Error('Chat service not ready');
+    }
+    return chatService.uploadAttachment(file);
+  }, [chatService]);
+
+  /**
+   * Transcribes a voice recording into text
+   * @param {Blob} audio - Microphone recording
+   * @returns {Promise<string>} - Transcribed text
+   */
+  const transcribeAudio = useCallback(async (audio) => {
+    if (!chatService) {
+      throw new Error('Chat service not ready');
+    }
+    return chatService.transcribeAudio(audio);
+  }, [chatService]);
+
   /**
    * Clears all message history
    */
@@ -331,6 +432,18 @@ export const useChat = () => {
         console.log('Adding attachments to message:', msg.id, msg.attachments);
         message.attachments = msg.attachments;
       }
+
+      if (msg.metadata) {
+        message.metadata = msg.metadata;
+      }
+
+      // Branch navigation (alternatives created by regenerate/edit)
+      if (msg.parentMessageId) {
+        message.parentMessageId = msg.parentMessageId;
+      }
+      if (Array.isArray(msg.siblingIds)) {
+        message.siblingIds = msg.siblingIds;
+      }
       
       return message;
     });
@@ -346,13 +459,145 @@ export const useChat = () => {
     setError(null);
   }, []);
 
+  /**
+   * Reloads the active branch of the current session from the backend
+   * @param {string} sessionId - Session ID
+   */
+  const reloadActiveBranch = useCallback(async (sessionId) => {
+    if (!sessionId) return;
+    try {
+      const session = await chatService.getSessionBranch(sessionId);
+      if (session && Array.isArray(session.messages)) {
+        loadExternalMessages(session.messages, sessionId);
+      }
+    } catch (err) {
+      console.error('Error reloading conversation branch:', err);
+    }
+  }, [chatService, loadExternalMessages]);
+
+  /**
+   * Streams an alternative answer into the conversation
+   * Messages after the branch point are replaced locally while streaming; the backend keeps them
+   * as a sibling branch, which is loaded back once the answer is complete
+   * @param {number} branchIndex - Index of the first local message to replace
+   * @param {Array} newMessages - Messages to show after the branch point (e.g. the edited question)
+   * @param {Function} runRequest - Calls the service with (onToken, { signal, onToolCall })
+   */
+  const streamAlternative = useCallback(async (branchIndex, newMessages, runRequest) => {
+    const sessionId = chatService.chatRepository?.currentSessionId || currentSessionId;
+    const assistantMessageId = generateUUID();
+
+    setIsLoading(true);
+    setError(null);
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    const streamingMessage = Message.createAssistantMessage('');
+    streamingMessage.id = assistantMessageId;
+    streamingMessage.isStreaming = true;
+    setMessages(prev => [...prev.slice(0, branchIndex), ...newMessages, streamingMessage]);
+
+    const onToken = (token, fullText, isDone) => {
+      setMessages(prev => prev.map(msg => {
+        if (msg.id !== assistantMessageId) {
+          return msg;
+        }
+        const updatedMessage = new Message(assistantMessageId, fullText, 'assistant', msg.timestamp || new Date(), false, !isDone);
+        if (msg.metadata) {
+          updatedMessage.metadata = msg.metadata;
+        }
+        return updatedMessage;
+      }));
+    };
+
+    const onToolCall = (toolCall, toolCalls) => {
+      setMessages(prev => prev.map(msg => msg.id === assistantMessageId ? withToolCalls(msg, toolCalls) : msg));
+    };
+
+    try {
+      await runRequest(onToken, { signal: abortController.signal, onToolCall });
+    } catch (err) {
+      if (!abortController.signal.aborted) {
+        console.error('Error generating alternative answer:', err);
+        setError(err.message || 'Failed to generate a new answer');
+      }
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
+      // The backend is the source of truth for the tree (IDs, siblings, partial answers)
+      await reloadActiveBranch(sessionId);
+      setIsLoading(false);
+    }
+  }, [chatService, currentSessionId, reloadActiveBranch]);
+
+  /**
+   * Generates a new answer for an assistant message, keeping the previous one as an alternative
+   * @param {string} messageId - Assistant message ID
+   * @param {Object} requestOptions - Extra request options, e.g. { intent: 'image' } to answer with an image
+   */
+  const regenerateMessage = useCallback(async (messageId, requestOptions = {}) => {
+    if (!chatService || isLoading) return;
+
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (index === -1) return;
+
+    await streamAlternative(index, [], (onToken, options) =>
+      chatService.regenerateMessage(messageId, onToken, { ...requestOptions, ...options })
+    );
+  }, [chatService, isLoading, messages, streamAlternative]);
+
+  /**
+   * Re-sends an edited question as a new branch of the conversation
+   * @param {string} messageId - User message ID
+   * @param {string} content - New content
+   */
+  const editMessage = useCallback(async (messageId, content) => {
+    if (!chatService || isLoading || !content.trim()) return;
+
+    const index = messages.findIndex(msg => msg.id === messageId);
+    if (index === -1) return;
+
+    const editedMessage = Message.createUserMessage(content);
+    if (messages[index].attachments) {
+      editedMessage.attachments = messages[index].attachments;
+    }
+
+    await streamAlternative(index, [editedMessage], (onToken, options) =>
+      chatService.editMessage(messageId, content, onToken, options)
+    );
+  }, [chatService, isLoading, messages, streamAlternative]);
+
+  /**
+   * Shows another alternative of a message (and the conversation that follows it)
+   * @param {string} messageId - Sibling message to show
+   * @param {string} targetSessionId - Session of the message (defaults to the current one)
+   */
+  const switchBranch = useCallback(async (messageId, targetSessionId = null) => {
+    const sessionId = targetSessionId || chatService?.chatRepository?.currentSessionId || currentSessionId;
+    if (!chatService || !sessionId || isLoading) return;
+
+    try {
+      const session = await chatService.switchBranch(sessionId, messageId);
+      loadExternalMessages(session.messages || [], sessionId);
+    } catch (err) {
+      console.error('Error switching branch:', err);
+      setError(err.message || 'Failed to switch branch');
+    }
+  }, [chatService, currentSessionId, isLoading, loadExternalMessages]);
+
   /**
    * Sets current session
    * @param {string} sessionId - Session ID
    */
   const setSession = useCallback((sessionId) => {
     setCurrentSessionId(sessionId);
-  }, []);
+    // Following messages continue the opened conversation (the backend applies its settings)
+    if (sessionId && typeof chatService?.chatRepository?.setCurrentSessionId === 'function') {
+      chatService.chatRepository.setCurrentSessionId(sessionId);
+    }
+  }, [chatService]);
 
   /**
    * Updates attachments of a specific message
@@ -386,6 +631,10 @@ export const useChat = () => {
 
     // Ações
     sendMessage,
+    stopGeneration,
+    regenerateMessage,
+    editMessage,
+    switchBranch,
     clearHistory,
     clearError,
     startNewSession,
@@ -393,6 +642,8 @@ export const useChat = () => {
     loadExternalMessages,
     setSession,
     updateMessageAttachment,
+    uploadAttachment,
+    transcribeAudio,
 
     // Utilitários
     chatService,
@@ -8,6 +8,7 @@ import chatHistoryService from '../../services/ChatHistoryService';
 export const useChatHistory = () => {
   const [chatSessions, setChatSessions] = useState([]);
   const [currentSession, setCurrentSession] = useState(null);
+  const [sessionSettings, setSessionSettings] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isLoadingSession, setIsLoadingSession] = useState(false);
   const [error, setError] = useState(null);
@@ -42,6 +43,8 @@ export const useChatHistory = () => {
       
       const session = await chatHistoryService.getChatSession(sessionId);
       setCurrentSession(session);
+      // Restaura o modelo, os parâmetros e o system prompt da conversa
+      setSessionSettings(session.settings);
       
       return session;
     } catch (err) {
@@ -69,6 +72,7 @@ export const useChatHistory = () => {
       // Adiciona a nova sessão ao início da lista
       setChatSessions(prevSessions => [newSession, ...prevSessions]);
       setCurrentSession(newSession);
+      setSessionSettings(null);
       
       return newSession;
     } catch (err) {
@@ -80,6 +84,25 @@ export const useChatHistory = () => {
     }
   }, []);
 
+  /**
+   * Recarrega a configuração da sessão (gravada pelo backend na primeira resposta)
+   * @param {string|null} sessionId - ID da sessão; sem sessão a configuração é limpa
+   */
+  const refreshSessionSettings = useCallback(async (sessionId) => {
+    setSessionSettings(sessionId ? await chatHistoryService.getSessionSettings(sessionId) : null);
+  }, []);
+
+  /**
+   * Salva o modelo, os parâmetros e o system prompt de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @param {Object} settings - Nova configuração
+   */
+  const updateSessionSettings = useCallback(async (sessionId, settings) => {
+    const saved = await chatHistoryService.updateSessionSettings(sessionId, settings);
+    setSessionSettings(saved);
+    return saved;
+  }, []);
+
   /**
    * Atualiza o título de uma sessão
    * @param {string} sessionId - ID da sessão
@@ -131,6 +154,39 @@ export const useChatHistory = () => {
     }
   }, [currentSession]);
 
+  /**
+   * Exporta uma sessão como arquivo
+   * @param {string} sessionId - ID da sessão
+   * @param {'json'|'markdown'|'html'} format - Formato do arquivo
+   */
+  const exportChatSession = useCallback(async (sessionId, format) => {
+    try {
+      await chatHistoryService.exportChatSession(sessionId, format);
+    } catch (err) {
+      console.error('Erro ao exportar sessão:', err);
+      setError(err.message || 'Erro ao exportar conversa');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Importa conversas de um arquivo e recarrega a lista
+   * @param {File} file - Exportação do XandAI ou do ChatGPT
+   * @returns {Promise<Array>} Sessões criadas
+   */
+  const importChatSessions = useCallback(async (file) => {
+    try {
+      setError(null);
+      const sessions = await chatHistoryService.importChatSessions(file);
+      await fetchChatSessions();
+      return sessions;
+    } catch (err) {
+      console.error('Erro ao importar conversas:', err);
+      setError(err.message || 'Erro ao importar conversas');
+      throw err;
+    }
+  }, [fetchChatSessions]);
+
   /**
    * Busca sessões com filtro
    * @param {string} query - Termo de pesquisa
@@ -156,6 +212,16 @@ export const useChatHistory = () => {
     }
   }, [fetchChatSessions]);
 
+  /**
+   * Busca no conteúdo das mensagens de todas as conversas
+   * @param {string} query - Termo de pesquisa
+   * @param {Object} filters - Filtros opcionais (role, model, dateFrom, dateTo)
+   * @returns {Promise<{results: Array, total: number}>} Trechos ordenados por relevância
+   */
+  const searchMessages = useCallback((query, filters = {}) => {
+    return chatHistoryService.searchMessages(query, filters);
+  }, []);
+
   /**
    * Envia uma mensagem para a sessão atual
    * @param {string} content - Conteúdo da mensagem
@@ -210,6 +276,7 @@ export const useChatHistory = () => {
    */
   const clearCurrentSession = useCallback(() => {
     setCurrentSession(null);
+    setSessionSettings(null);
   }, []);
 
   // Carrega as sessões na inicialização
@@ -221,6 +288,7 @@ export const useChatHistory = () => {
     // Estado
     chatSessions,
     currentSession,
+    sessionSettings,
     isLoading,
     isLoadingSession,
     error,
@@ -228,10 +296,15 @@ export const useChatHistory = () => {
     // Ações
     fetchChatSessions,
     loadChatSession,
+    refreshSessionSettings,
+    updateSessionSettings,
     createNewSession,
     updateSessionTitle,
     deleteChatSession,
+    exportChatSession,
+    importChatSessions,
     searchChatSessions,
+    searchMessages,
     sendMessageToSession,
     clearError,
     clearCurrentSession,
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import DynamicLLMApiRepository from '../../infrastructure/api/DynamicLLMApiRepository';
+import systemSettingsService from '../../services/SystemSettingsService';
 
 const STORAGE_KEY = 'dynamic-llm-config';
 
@@ -112,7 +113,8 @@ export const useDynamicLLM = () => {
     setIsLoading(true);
     setError(null);
     try {
-      const models = await repository.getModelInventory();
+      // Only the models allowed by the administrator are offered
+      const models = await systemSettingsService.filterAllowedModels(await repository.getModelInventory());
       setAvailableModels(models);
       console.log('📋 Available models fetched:', models);
       return models;
@@ -0,0 +1,86 @@
+import { useState, useCallback } from 'react';
+import imageGalleryService from '../../services/ImageGalleryService';
+
+const PAGE_SIZE = 30;
+
+/**
+ * Hook para a galeria de imagens geradas
+ * @returns {Object} Estado e funções da galeria
+ */
+export const useImageGallery = () => {
+  const [images, setImages] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Carrega uma página da galeria; páginas seguintes são acrescentadas à lista
+   * @param {Object} filters - { search, tag, favorites }
+   * @param {number} pageToLoad - Página (1 substitui a lista)
+   */
+  const fetchImages = useCallback(async (filters = {}, pageToLoad = 1) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const result = await imageGalleryService.getImages({ ...filters, page: pageToLoad, limit: PAGE_SIZE });
+      const list = Array.isArray(result.images) ? result.images : [];
+      setImages(prev => (pageToLoad > 1 ? [...prev, ...list] : list));
+      setTotal(result.total || 0);
+      setPage(pageToLoad);
+      return list;
+    } catch (err) {
+      console.error('Erro ao buscar imagens:', err);
+      setError(err.message || 'Erro ao carregar a galeria');
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Marca/desmarca uma imagem como favorita
+   * @param {Object} image - Imagem da lista
+   */
+  const toggleFavorite = useCallback(async (image) => {
+    const updated = await imageGalleryService.updateImage(image.id, { isFavorite: !image.isFavorite });
+    setImages(prev => prev.map(item => (item.id === image.id ? updated : item)));
+    return updated;
+  }, []);
+
+  /**
+   * Substitui as tags de uma imagem
+   * @param {string} imageId - ID da imagem
+   * @param {string[]} tags - Novas tags
+   */
+  const updateTags = useCallback(async (imageId, tags) => {
+    const updated = await imageGalleryService.updateImage(imageId, { tags });
+    setImages(prev => prev.map(item => (item.id === imageId ? updated : item)));
+    return updated;
+  }, []);
+
+  /**
+   * Exclui uma imagem
+   * @param {string} imageId - ID da imagem
+   */
+  const deleteImage = useCallback(async (imageId) => {
+    await imageGalleryService.deleteImage(imageId);
+    setImages(prev => prev.filter(item => item.id !== imageId));
+    setTotal(prev => Math.max(0, prev - 1));
+  }, []);
+
+  return {
+    images,
+    total,
+    page,
+    hasMore: images.length < total,
+    isLoading,
+    error,
+    fetchImages,
+    toggleFavorite,
+    updateTags,
+    deleteImage,
+  };
+};
+
+export default useImageGallery;
@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback } from 'react';
+import knowledgeBaseService from '../../services/KnowledgeBaseService';
+
+/**
+ * Intervalo de consulta enquanto há documentos sendo indexados
+ */
+const PROCESSING_POLL_INTERVAL_MS = 3000;
+
+/**
+ * Hook para as bases de conhecimento do usuário
+ * @param {Object} options
+ * @param {boolean} options.autoLoad - Carrega a lista ao montar (padrão: true)
+ * @returns {Object} Estado e funções das bases
+ */
+export const useKnowledgeBases = ({ autoLoad = true } = {}) => {
+  const [knowledgeBases, setKnowledgeBases] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const replaceKnowledgeBase = useCallback((knowledgeBase) => {
+    setKnowledgeBases(prev => prev.map(item => (item.id === knowledgeBase.id ? knowledgeBase : item)));
+  }, []);
+
+  /**
+   * Recarrega a lista de bases
+   */
+  const fetchKnowledgeBases = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const list = await knowledgeBaseService.getKnowledgeBases();
+      setKnowledgeBases(Array.isArray(list) ? list : []);
+      return list;
+    } catch (err) {
+      console.error('Erro ao buscar bases de conhecimento:', err);
+      setError(err.message || 'Erro ao carregar bases de conhecimento');
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (autoLoad) {
+      fetchKnowledgeBases();
+    }
+  }, [autoLoad, fetchKnowledgeBases]);
+
+  // Acompanha a indexação dos documentos enviados até ficarem prontos (ou com erro)
+  const processingIds = knowledgeBases
+    .filter(knowledgeBase => (knowledgeBase.documents || []).some(document => document.status === 'processing'))
+    .map(knowledgeBase => knowledgeBase.id)
+    .join(',');
+
+  useEffect(() => {
+    if (!processingIds) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const updated = await Promise.all(
+          processingIds.split(',').map(id => knowledgeBaseService.getKnowledgeBase(id))
+        );
+        updated.forEach(replaceKnowledgeBase);
+      } catch (err) {
+        console.error('Erro ao atualizar documentos:', err);
+      }
+    }, PROCESSING_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+    // knowledgeBases muda a cada consulta e agenda a próxima
+  }, [processingIds, knowledgeBases, replaceKnowledgeBase]);
+
+  /**
+   * Cria uma base e a inclui na lista
+   * @param {Object} knowledgeBase - name, description, embeddingModel
+   */
+  const createKnowledgeBase = useCallback(async (knowledgeBase) => {
+    const created = await knowledgeBaseService.createKnowledgeBase(knowledgeBase);
+    setKnowledgeBases(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+    return created;
+  }, []);
+
+  /**
+   * Atualiza nome e descrição de uma base
+   * @param {string} knowledgeBaseId - ID da base
+   * @param {Object} knowledgeBase - Campos alterados
+   */
+  const updateKnowledgeBase = useCallback(async (knowledgeBaseId, knowledgeBase) => {
+    const updated = await knowledgeBaseService.updateKnowledgeBase(knowledgeBaseId, knowledgeBase);
+    replaceKnowledgeBase(updated);
+    return updated;
+  }, [replaceKnowledgeBase]);
+
+  /**
+   * Exclui uma base
+   * @param {string} knowledgeBaseId - ID da base
+   */
+  const deleteKnowledgeBase = useCallback(async (knowledgeBaseId) => {
+    await knowledgeBaseService.deleteKnowledgeBase(knowledgeBaseId);
+    setKnowledgeBases(prev => prev.filter(item => item.id !== knowledgeBaseId));
+  }, []);
+
+  /**
+   * Envia documentos para uma base (a indexação é acompanhada automaticamente)
+   * @param {string} knowledgeBaseId - ID da base
+   * @param {File[]} files - Arquivos selecionados
+   */
+  const uploadDocuments = useCallback(async (knowledgeBaseId, files) => {
+    const errors = [];
+    for (const file of files) {
+      try {
+        const document = await knowledgeBaseService.uploadDocument(knowledgeBaseId, file);
+        setKnowledgeBases(prev => prev.map(item => (
+          item.id === knowledgeBaseId
+            ? { ...item, documents: [document, ...(item.documents || [])] }
+            : item
+        )));
+      } catch (err) {
+        errors.push(`${file.name}: ${err.message}`);
+      }
+    }
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+  }, []);
+
+  /**
+   * Remove um documento de uma base
+   * @param {string} knowledgeBaseId - ID da base
+   * @param {string} documentId - ID do documento
+   */
+  const deleteDocument = useCallback(async (knowledgeBaseId, documentId) => {
+    await knowledgeBaseService.deleteDocument(knowledgeBaseId, documentId);
+    setKnowledgeBases(prev => prev.map(item => (
+      item.id === knowledgeBaseId
+        ? { ...item, documents: (item.documents || []).filter(document => document.id !== documentId) }
+        : item
+    )));
+  }, []);
+
+  return {
+    knowledgeBases,
+    isLoading,
+    error,
+    fetchKnowledgeBases,
+    createKnowledgeBase,
+    updateKnowledgeBase,
+    deleteKnowledgeBase,
+    uploadDocuments,
+    deleteDocument,
+  };
+};
+
+export default useKnowledgeBases;
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import { OllamaService } from '../services/OllamaService.js';
+import systemSettingsService from '../../services/SystemSettingsService';
 
 /**
  * Hook personalizado para gerenciar o estado do OLLAMA
@@ -81,7 +82,8 @@ export const useOllama = () => {
     setError(null);
 
     try {
-      const modelsList = await ollamaService.listAvailableModels();
+      // Só aparecem os modelos liberados pelo administrador
+      const modelsList = await systemSettingsService.filterAllowedModels(await ollamaService.listAvailableModels());
       setModels(modelsList);
       return modelsList;
     } catch (err) {
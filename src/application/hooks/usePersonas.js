@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback } from 'react';
+import personaService from '../../services/PersonaService';
+
+/**
+ * Hook para a biblioteca de personas
+ * @param {Object} options
+ * @param {boolean} options.autoLoad - Carrega a lista ao montar (padrão: true)
+ * @returns {Object} Estado e funções da biblioteca
+ */
+export const usePersonas = ({ autoLoad = true } = {}) => {
+  const [personas, setPersonas] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Recarrega a lista de personas
+   * @param {Object} filters - { tag, search }
+   */
+  const fetchPersonas = useCallback(async (filters = {}) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const list = await personaService.getPersonas(filters);
+      setPersonas(Array.isArray(list) ? list : []);
+      return list;
+    } catch (err) {
+      console.error('Erro ao buscar personas:', err);
+      setError(err.message || 'Erro ao carregar personas');
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (autoLoad) {
+      fetchPersonas();
+    }
+  }, [autoLoad, fetchPersonas]);
+
+  /**
+   * Cria uma persona e a inclui na lista
+   * @param {Object} persona - Dados da persona
+   */
+  const createPersona = useCallback(async (persona) => {
+    const created = await personaService.createPersona(persona);
+    setPersonas(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+    return created;
+  }, []);
+
+  /**
+   * Atualiza uma persona da lista
+   * @param {string} personaId - ID da persona
+   * @param {Object} persona - Campos alterados
+   */
+  const updatePersona = useCallback(async (personaId, persona) => {
+    const updated = await personaService.updatePersona(personaId, persona);
+    setPersonas(prev => prev.map(item => (item.id === personaId ? updated : item)));
+    return updated;
+  }, []);
+
+  /**
+   * Exclui uma persona
+   * @param {string} personaId - ID da persona
+   */
+  const deletePersona = useCallback(async (personaId) => {
+    await personaService.deletePersona(personaId);
+    setPersonas(prev => prev.filter(item => item.id !== personaId));
+  }, []);
+
+  /**
+   * Busca uma persona carregada pelo nome (usado por /persona e {{persona:nome}})
+   * @param {string} name - Nome digitado
+   */
+  const findPersonaByName = useCallback(
+    (name) => personaService.findByName(personas, name),
+    [personas]
+  );
+
+  return {
+    personas,
+    isLoading,
+    error,
+    fetchPersonas,
+    createPersona,
+    updatePersona,
+    deletePersona,
+    findPersonaByName,
+  };
+};
+
+export default usePersonas;
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { StableDiffusionService } from '../services/StableDiffusionService.js';
 
 /**
@@ -8,10 +8,19 @@ import { StableDiffusionService } from '../services/StableDiffusionService.js';
 export const useStableDiffusion = () => {
   const [config, setConfig] = useState(null);
   const [models, setModels] = useState([]);
+  // LoRAs, embeddings e opções do ControlNet disponíveis no Forge
+  const [extraNetworks, setExtraNetworks] = useState({
+    loras: [],
+    embeddings: [],
+    controlNet: { models: [], modules: [] }
+  });
   const [serviceStatus, setServiceStatus] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
+  // Job em andamento na fila do backend (posição, progresso e prévia)
+  const [currentJob, setCurrentJob] = useState(null);
+  const currentJobIdRef = useRef(null);
   const [stableDiffusionService] = useState(() => new StableDiffusionService());
 
   /**
@@ -107,6 +116,18 @@ export const useStableDiffusion = () => {
     }
   }, [stableDiffusionService]);
 
+  /**
+   * Recarrega as LoRAs, embeddings e opções do ControlNet
+   */
+  const refreshExtraNetworks = useCallback(async () => {
+    const [loras, embeddings, controlNet] = await Promise.all([
+      stableDiffusionService.getLoras(),
+      stableDiffusionService.getEmbeddings(),
+      stableDiffusionService.getControlNetOptions()
+    ]);
+    setExtraNetworks({ loras, embeddings, controlNet });
+  }, [stableDiffusionService]);
+
   /**
    * Atualiza a configuração
    * @param {Object} updates - Atualizações da configuração
@@ -141,30 +162,88 @@ export const useStableDiffusion = () => {
   }, [refreshServiceStatus]);
 
   /**
-   * Gera uma imagem
-   * @param {string} prompt - Prompt para geração
-   * @param {Object} options - Opções adicionais
+   * Executa uma geração pela fila controlando isGenerating, o erro e o job atual
+   * @param {Function} operation - Chamada ao serviço; recebe o callback de progresso do job
+   * @param {Function} onProgress - Callback de progresso do chamador (opcional)
    */
-  const generateImage = useCallback(async (prompt, options = {}) => {
+  const runGeneration = useCallback(async (operation, onProgress) => {
     try {
       setIsGenerating(true);
       setError(null);
-      
-      const result = await stableDiffusionService.generateImage(prompt, options);
-      
+      setCurrentJob(null);
+
+      const result = await operation((job) => {
+        currentJobIdRef.current = job.id;
+        setCurrentJob(job);
+        onProgress?.(job);
+      });
+
       if (!result.success) {
         throw new Error(result.error);
       }
-      
+
       return result;
     } catch (err) {
-      console.error('Erro ao gerar imagem:', err);
+      console.error('Erro ao processar imagem:', err);
       setError(err.message);
       throw err;
     } finally {
+      currentJobIdRef.current = null;
+      setCurrentJob(null);
       setIsGenerating(false);
     }
-  }, [stableDiffusionService]);
+  }, []);
+
+  /**
+   * Gera uma imagem
+   * @param {string} prompt - Prompt para geração
+   * @param {Object} options - Opções adicionais (options.onProgress recebe o estado do job)
+   */
+  const generateImage = useCallback((prompt, options = {}) => {
+    return runGeneration(
+      (onProgress) => stableDiffusionService.generateImage(prompt, { ...options, onProgress }),
+      options.onProgress
+    );
+  }, [stableDiffusionService, runGeneration]);
+
+  /**
+   * Gera uma variação de uma imagem salva (img2img)
+   * @param {string} sourceFilename - Arquivo da imagem de origem
+   * @param {string} prompt - Prompt para geração
+   * @param {Object} options - Opções adicionais
+   */
+  const imageToImage = useCallback((sourceFilename, prompt, options = {}) => {
+    return runGeneration(
+      (onProgress) => stableDiffusionService.imageToImage(sourceFilename, prompt, { ...options, onProgress }),
+      options.onProgress
+    );
+  }, [stableDiffusionService, runGeneration]);
+
+  /**
+   * Regera a região marcada da imagem (inpainting)
+   * @param {string} sourceFilename - Arquivo da imagem de origem
+   * @param {string} prompt - Prompt para a região
+   * @param {string} mask - Máscara em data URL
+   * @param {Object} options - Opções adicionais
+   */
+  const inpaintImage = useCallback((sourceFilename, prompt, mask, options = {}) => {
+    return runGeneration(
+      (onProgress) => stableDiffusionService.inpaintImage(sourceFilename, prompt, mask, { ...options, onProgress }),
+      options.onProgress
+    );
+  }, [stableDiffusionService, runGeneration]);
+
+  /**
+   * Amplia uma imagem salva
+   * @param {string} sourceFilename - Arquivo da imagem de origem
+   * @param {Object} options - Opções adicionais (scale, upscaler)
+   */
+  const upscaleImage = useCallback((sourceFilename, options = {}) => {
+    return runGeneration(
+      (onProgress) => stableDiffusionService.upscaleImage(sourceFilename, { ...options, onProgress }),
+      options.onProgress
+    );
+  }, [stableDiffusionService, runGeneration]);
 
   /**
    * Seleciona um modelo
@@ -192,6 +271,16 @@ export const useStableDiffusion = () => {
     }
   }, [updateConfig]);
 
+  /**
+   * Cancela o job desta instância (na fila ou em andamento); os demais jobs não são afetados
+   */
+  const cancelGeneration = useCallback(async () => {
+    if (!currentJobIdRef.current) {
+      return false;
+    }
+    return await stableDiffusionService.cancelJob(currentJobIdRef.current);
+  }, [stableDiffusionService]);
+
   /**
    * Interrompe geração em andamento
    */
@@ -212,19 +301,26 @@ export const useStableDiffusion = () => {
     // Estados
     config,
     models,
+    extraNetworks,
     serviceStatus,
     isLoading,
     error,
     isGenerating,
+    currentJob,
     
     // Funções
     updateConfig,
     testConnection,
     refreshModels,
+    refreshExtraNetworks,
     refreshServiceStatus,
     generateImage,
+    imageToImage,
+    inpaintImage,
+    upscaleImage,
     selectModel,
     toggleIntegration,
+    cancelGeneration,
     interruptGeneration,
     
     // Serviço (para uso avançado)
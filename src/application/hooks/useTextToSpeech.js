@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+import textToSpeechService from '../services/TextToSpeechService.js';
+
+/**
+ * Hook para ler mensagens em voz alta e ajustar a configuração de voz
+ * @returns {Object} - Estado e funções do text-to-speech
+ */
+export const useTextToSpeech = () => {
+  const [speakingId, setSpeakingId] = useState(textToSpeechService.speakingId);
+  const [config, setConfig] = useState(() => textToSpeechService.getConfiguration().toObject());
+  const [browserVoices, setBrowserVoices] = useState(() => textToSpeechService.getBrowserVoices());
+  const [error, setError] = useState(null);
+
+  // Acompanha a leitura atual (o serviço é compartilhado por todas as mensagens)
+  useEffect(() => textToSpeechService.subscribe((state) => {
+    setSpeakingId(state.speakingId);
+    setConfig(state.config.toObject());
+  }), []);
+
+  // As vozes do navegador carregam de forma assíncrona
+  useEffect(() => {
+    if (!textToSpeechService.isBrowserSupported()) return undefined;
+
+    const updateVoices = () => setBrowserVoices(textToSpeechService.getBrowserVoices());
+    window.speechSynthesis.addEventListener('voiceschanged', updateVoices);
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', updateVoices);
+  }, []);
+
+  /**
+   * Lê uma mensagem em voz alta
+   * @param {string} id - ID da mensagem
+   * @param {string} content - Conteúdo da mensagem
+   */
+  const speak = useCallback(async (id, content) => {
+    setError(null);
+    try {
+      await textToSpeechService.speak(id, content);
+    } catch (err) {
+      setError(err.message || 'Falha na leitura em voz alta');
+    }
+  }, []);
+
+  /**
+   * Interrompe a leitura atual
+   */
+  const stop = useCallback(() => {
+    textToSpeechService.stop();
+  }, []);
+
+  /**
+   * Atualiza a configuração de voz
+   * @param {Object} updates - Campos alterados
+   */
+  const updateConfig = useCallback((updates) => {
+    textToSpeechService.updateConfiguration(updates);
+  }, []);
+
+  return {
+    config,
+    speakingId,
+    browserVoices,
+    error,
+    isBrowserSupported: textToSpeechService.isBrowserSupported(),
+    speak,
+    stop,
+    updateConfig,
+    clearError: () => setError(null),
+  };
+};
@@ -72,62 +72,143 @@ export class ChatService {
    * Envia uma mensagem sem salvar a mensagem do usuário (para uso com streaming UI)
    * @param {string} messageContent - Conteúdo da mensagem
    * @param {Function} onToken - Callback para streaming de tokens (opcional)
-   * @returns {Promise<{assistantMessage: Message}>}
+   * @param {Object} options - Opções adicionais (ex: attachments)
+   * @returns {Promise<{assistantMessage: Message, metadata: Object|null, messageIds: Object|null}>}
    */
-  async sendMessageWithoutUserSave(messageContent, onToken = null) {
+  async sendMessageWithoutUserSave(messageContent, onToken = null, options = {}) {
     try {
       // ALWAYS use backend API - it handles Ollama communication AND image generation detection
       // The backend will process the message, detect if it's an image request, and respond accordingly
       console.log('Enviando mensagem para o backend (com detecção de imagem)...');
-      const assistantResponse = await this.chatRepository.sendMessage(messageContent, onToken);
+      const assistantResponse = await this.chatRepository.sendMessage(messageContent, onToken, options);
       console.log('Resposta do backend recebida:', assistantResponse);
-      
-      // Handle response - can be string or object with attachments and metadata
-      let content, attachments, metadata;
-      if (typeof assistantResponse === 'object' && assistantResponse.content !== undefined) {
-        content = assistantResponse.content;
-        attachments = assistantResponse.attachments;
-        metadata = assistantResponse.metadata;
-        console.log('🎨 Response contains attachments:', attachments);
-        console.log('📊 Response contains metadata:', metadata);
-      } else {
-        content = assistantResponse;
-        attachments = null;
-        metadata = null;
-      }
-      
-      // Cria a mensagem do assistente
-      const assistantMessage = Message.createAssistantMessage(content);
-      
-      // Add attachments if present (e.g., generated images)
-      if (attachments && attachments.length > 0) {
-        assistantMessage.attachments = [...attachments]; // Create new array
-        console.log('🎨 ChatService: Added attachments to message:', JSON.stringify(assistantMessage.attachments));
-      }
 
-      // Add metadata if present (e.g., tokens, processingTime, tokensPerSecond)
-      if (metadata) {
-        assistantMessage.metadata = metadata;
-        console.log('📊 ChatService: Added metadata to message:', metadata);
-      }
-      
-      console.log('🚀 ChatService: Returning assistantMessage:', {
-        content: assistantMessage.content?.substring(0, 50),
-        attachments: assistantMessage.attachments,
-        hasAttachments: assistantMessage.attachments?.length > 0,
-        metadata: assistantMessage.metadata
-      });
-
-      return {
-        assistantMessage,
-        metadata // Also return metadata separately for useChat hook
-      };
+      return this.buildAssistantResult(assistantResponse);
     } catch (error) {
       console.error('Erro ao enviar mensagem:', error);
       throw new Error('Falha ao enviar mensagem. Tente novamente.');
     }
   }
 
+  /**
+   * Converte a resposta do repositório (texto ou objeto com attachments/metadata) em mensagem do assistente
+   * @param {string|Object} assistantResponse - Resposta do repositório
+   * @returns {{assistantMessage: Message, metadata: Object|null, messageIds: Object|null}}
+   */
+  buildAssistantResult(assistantResponse) {
+    // Handle response - can be string or object with attachments and metadata
+    let content, attachments, metadata, messageIds;
+    if (typeof assistantResponse === 'object' && assistantResponse.content !== undefined) {
+      content = assistantResponse.content;
+      attachments = assistantResponse.attachments;
+      metadata = assistantResponse.metadata;
+      messageIds = assistantResponse.messageIds || null;
+      console.log('🎨 Response contains attachments:', attachments);
+      console.log('📊 Response contains metadata:', metadata);
+    } else {
+      content = assistantResponse;
+      attachments = null;
+      metadata = null;
+      messageIds = null;
+    }
+    
+    // Cria a mensagem do assistente
+    const assistantMessage = Message.createAssistantMessage(content);
+    
+    // Add attachments if present (e.g., generated images)
+    if (attachments && attachments.length > 0) {
+      assistantMessage.attachments = [...attachments]; // Create new array
+      console.log('🎨 ChatService: Added attachments to message:', JSON.stringify(assistantMessage.attachments));
+    }
+
+    // Add metadata if present (e.g., tokens, processingTime, tokensPerSecond)
+    if (metadata) {
+      assistantMessage.metadata = metadata;
+      console.log('📊 ChatService: Added metadata to message:', metadata);
+    }
+    
+    console.log('🚀 ChatService: Returning assistantMessage:', {
+      content: assistantMessage.content?.substring(0, 50),
+      attachments: assistantMessage.attachments,
+      hasAttachments: assistantMessage.attachments?.length > 0,
+      metadata: assistantMessage.metadata
+    });
+
+    return {
+      assistantMessage,
+      metadata, // Also return metadata separately for useChat hook
+      messageIds // IDs saved by the backend (userMessageId, assistantMessageId)
+    };
+  }
+
+  /**
+   * Gera uma nova resposta para uma mensagem do assistente (a anterior vira uma alternativa)
+   * @param {string} messageId - ID da resposta
+   * @param {Function} onToken - Callback para streaming de tokens
+   * @param {Object} options - Opções adicionais (ex: signal)
+   * @returns {Promise<{assistantMessage: Message}>}
+   */
+  async regenerateMessage(messageId, onToken = null, options = {}) {
+    if (!this.chatRepository || typeof this.chatRepository.regenerateMessage !== 'function') {
+      throw new Error('Regenerar respostas não disponível');
+    }
+
+    try {
+      const assistantResponse = await this.chatRepository.regenerateMessage(messageId, onToken, options);
+      return this.buildAssistantResult(assistantResponse);
+    } catch (error) {
+      console.error('Erro ao regenerar resposta:', error);
+      throw new Error('Falha ao regenerar resposta. Tente novamente.');
+    }
+  }
+
+  /**
+   * Reenvia uma pergunta editada, criando um novo ramo da conversa
+   * @param {string} messageId - ID da mensagem do usuário
+   * @param {string} content - Novo conteúdo
+   * @param {Function} onToken - Callback para streaming de tokens
+   * @param {Object} options - Opções adicionais (ex: signal)
+   * @returns {Promise<{assistantMessage: Message}>}
+   */
+  async editMessage(messageId, content, onToken = null, options = {}) {
+    if (!this.chatRepository || typeof this.chatRepository.editMessage !== 'function') {
+      throw new Error('Editar mensagens não disponível');
+    }
+
+    try {
+      const assistantResponse = await this.chatRepository.editMessage(messageId, content, onToken, options);
+      return this.buildAssistantResult(assistantResponse);
+    } catch (error) {
+      console.error('Erro ao editar mensagem:', error);
+      throw new Error('Falha ao editar mensagem. Tente novamente.');
+    }
+  }
+
+  /**
+   * Mostra outro ramo da conversa
+   * @param {string} sessionId - ID da sessão
+   * @param {string} messageId - Mensagem alternativa escolhida
+   * @returns {Promise<Object>} - Sessão com as mensagens do ramo escolhido
+   */
+  async switchBranch(sessionId, messageId) {
+    if (!this.chatRepository || typeof this.chatRepository.switchBranch !== 'function') {
+      throw new Error('Ramos de conversa não disponíveis');
+    }
+    return this.chatRepository.switchBranch(sessionId, messageId);
+  }
+
+  /**
+   * Obtém as mensagens do ramo ativo de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<Object|null>} - Sessão com as mensagens do ramo ativo
+   */
+  async getSessionBranch(sessionId) {
+    if (!this.chatRepository || typeof this.chatRepository.getSessionBranch !== 'function') {
+      return null;
+    }
+    return this.chatRepository.getSessionBranch(sessionId);
+  }
+
   /**
    * Obtém o histórico de mensagens
    * @returns {Promise<Message[]>}
@@ -196,6 +277,36 @@ export class ChatService {
     console.log('✨ New session created - repository session cleared');
   }
 
+  /**
+   * Aplica o provedor e o modelo gravados na conversa atual aos próximos envios
+   * @param {Object|null} settings - Configuração da sessão
+   */
+  setSessionSettings(settings) {
+    if (this.chatRepository && typeof this.chatRepository.setSessionSettings === 'function') {
+      this.chatRepository.setSessionSettings(settings);
+    }
+  }
+
+  /**
+   * Envia a persona escolhida junto com a primeira mensagem de uma conversa nova
+   * @param {Object|null} persona - { personaId, personaVariables }
+   */
+  setPendingPersona(persona) {
+    if (this.chatRepository && typeof this.chatRepository.setPendingPersona === 'function') {
+      this.chatRepository.setPendingPersona(persona);
+    }
+  }
+
+  /**
+   * Envia as bases de conhecimento escolhidas junto com a primeira mensagem de uma conversa nova
+   * @param {string[]} knowledgeBaseIds - IDs das bases
+   */
+  setPendingKnowledgeBases(knowledgeBaseIds) {
+    if (this.chatRepository && typeof this.chatRepository.setPendingKnowledgeBases === 'function') {
+      this.chatRepository.setPendingKnowledgeBases(knowledgeBaseIds);
+    }
+  }
+
   /**
    * Limpa todas as mensagens de uma sessão específica
    * @param {string} sessionId - ID da sessão
@@ -214,4 +325,28 @@ export class ChatService {
       throw new Error('Falha ao limpar mensagens. Tente novamente.');
     }
   }
+
+  /**
+   * Envia um arquivo para ser anexado à próxima mensagem
+   * @param {File} file - Arquivo selecionado
+   * @returns {Promise<Object>} - Descritor do anexo
+   */
+  async uploadAttachment(file) {
+    if (!this.chatRepository || typeof this.chatRepository.uploadAttachment !== 'function') {
+      throw new Error('Envio de arquivos não disponível');
+    }
+    return this.chatRepository.uploadAttachment(file);
+  }
+
+  /**
+   * Transcreve um áudio gravado pelo usuário
+   * @param {Blob} audio - Gravação do microfone
+   * @returns {Promise<string>} - Texto transcrito
+   */
+  async transcribeAudio(audio) {
+    if (!this.chatRepository || typeof this.chatRepository.transcribeAudio !== 'function') {
+      throw new Error('Transcrição de áudio não disponível');
+    }
+    return this.chatRepository.transcribeAudio(audio);
+  }
 }
@@ -1,4 +1,5 @@
 import { StableDiffusionConfig } from '../../domain/entities/StableDiffusionConfig.js';
+import authService from '../../services/AuthService';
 
 /**
  * Serviço para integração com Stable Diffusion
@@ -165,9 +166,60 @@ export class StableDiffusionService {
   }
 
   /**
-   * Gera uma imagem usando Stable Diffusion através do backend
+   * Obtém as LoRAs instaladas no Forge
+   * @returns {Promise<Array<{name: string, alias: string}>>}
+   */
+  async getLoras() {
+    return this.fetchForgeList('loras', []);
+  }
+
+  /**
+   * Obtém as textual inversions (embeddings) carregadas no Forge
+   * @returns {Promise<Array<{name: string}>>}
+   */
+  async getEmbeddings() {
+    return this.fetchForgeList('embeddings', []);
+  }
+
+  /**
+   * Obtém os modelos e pré-processadores do ControlNet (vazios sem a extensão)
+   * @returns {Promise<{models: Array<string>, modules: Array<string>}>}
+   */
+  async getControlNetOptions() {
+    return this.fetchForgeList('controlnet', { models: [], modules: [] });
+  }
+
+  /**
+   * Busca uma lista do Forge através do backend
+   * @param {string} resource - loras, embeddings ou controlnet
+   * @param {*} fallback - Valor retornado em caso de erro
+   * @returns {Promise<*>}
+   */
+  async fetchForgeList(resource, fallback) {
+    try {
+      const response = await fetch(`/api/v1/stable-diffusion/${resource}?baseUrl=${encodeURIComponent(this.config.baseUrl)}&sdToken=${encodeURIComponent(this.config.token || '')}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Erro ao buscar ${resource}: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`Erro ao buscar ${resource} SD:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Gera uma imagem usando Stable Diffusion através da fila do backend
    * @param {string} prompt - Prompt para geração
    * @param {Object} options - Opções adicionais
+   * @param {Function} options.onProgress - Recebe o estado do job (posição na fila, progresso, prévia)
    * @returns {Promise<Object>} Resultado da geração
    */
   async generateImage(prompt, options = {}) {
@@ -186,26 +238,125 @@ export class StableDiffusionService {
         height: options.height || this.config.height,
         cfgScale: options.cfgScale || this.config.cfgScale,
         sampler: options.sampler || this.config.sampler,
+        seed: options.seed ?? this.config.seed,
+        batchSize: options.batchSize || this.config.batchSize,
+        ...this.buildExtraNetworks(options),
         sdToken: this.config.token || null
       };
 
-      const response = await fetch('/api/v1/stable-diffusion/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
+      return await this.runJob('generate', requestBody, options.onProgress);
 
-      if (!response.ok) {
-        throw new Error(`Erro na geração: ${response.status} ${response.statusText}`);
-      }
+    } catch (error) {
+      console.error('Erro ao gerar imagem:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 
-      const result = await response.json();
-      return result;
+  /**
+   * Gera uma variação de uma imagem já salva (img2img)
+   * @param {string} sourceFilename - Arquivo da imagem de origem (em /images)
+   * @param {string} prompt - Prompt para geração
+   * @param {Object} options - Opções adicionais (denoisingStrength, seed, negativePrompt...)
+   * @returns {Promise<Object>} Resultado da geração
+   */
+  async imageToImage(sourceFilename, prompt, options = {}) {
+    return this.requestImageOperation('img2img', {
+      ...this.buildGenerationBody(prompt, options),
+      sourceFilename,
+      seed: options.seed,
+      denoisingStrength: options.denoisingStrength
+    }, options.onProgress);
+  }
+
+  /**
+   * Regera apenas a região marcada pela máscara (inpainting)
+   * @param {string} sourceFilename - Arquivo da imagem de origem (em /images)
+   * @param {string} prompt - Prompt para a região
+   * @param {string} mask - Máscara em data URL (branco = região a refazer)
+   * @param {Object} options - Opções adicionais (denoisingStrength, maskBlur, inpaintingFill...)
+   * @returns {Promise<Object>} Resultado da geração
+   */
+  async inpaintImage(sourceFilename, prompt, mask, options = {}) {
+    return this.requestImageOperation('inpaint', {
+      ...this.buildGenerationBody(prompt, options),
+      sourceFilename,
+      mask,
+      denoisingStrength: options.denoisingStrength,
+      maskBlur: options.maskBlur,
+      inpaintingFill: options.inpaintingFill
+    }, options.onProgress);
+  }
 
+  /**
+   * Amplia uma imagem já salva com o upscaler do Forge
+   * @param {string} sourceFilename - Arquivo da imagem de origem (em /images)
+   * @param {Object} options - Opções adicionais (scale, upscaler)
+   * @returns {Promise<Object>} Resultado da ampliação
+   */
+  async upscaleImage(sourceFilename, options = {}) {
+    return this.requestImageOperation('upscale', {
+      sourceFilename,
+      scale: options.scale || 2,
+      upscaler: options.upscaler,
+      baseUrl: this.config.baseUrl,
+      sdToken: this.config.token || null
+    }, options.onProgress);
+  }
+
+  /**
+   * Monta o corpo comum das requisições de geração a partir da configuração
+   * @param {string} prompt - Prompt para geração
+   * @param {Object} options - Opções que sobrescrevem a configuração
+   * @returns {Object}
+   */
+  buildGenerationBody(prompt, options = {}) {
+    return {
+      prompt: prompt,
+      negativePrompt: options.negativePrompt || "low quality, blurry, distorted",
+      baseUrl: this.config.baseUrl,
+      model: options.model || this.config.model,
+      steps: options.steps || this.config.steps,
+      cfgScale: options.cfgScale || this.config.cfgScale,
+      sampler: options.sampler || this.config.sampler,
+      ...this.buildExtraNetworks(options),
+      sdToken: this.config.token || null
+    };
+  }
+
+  /**
+   * LoRAs e embeddings da configuração (ou das opções, ao repetir uma geração)
+   * @param {Object} options - Pode trazer loras e embeddings próprios
+   * @returns {Object}
+   */
+  buildExtraNetworks(options = {}) {
+    const loras = options.loras || this.config.loras || [];
+    const embeddings = options.embeddings || this.config.embeddings || [];
+
+    return {
+      ...(loras.length > 0 && { loras }),
+      ...(embeddings.length > 0 && { embeddings })
+    };
+  }
+
+  /**
+   * Envia uma operação sobre imagem existente para a fila do backend
+   * @param {string} operation - img2img, inpaint ou upscale
+   * @param {Object} requestBody - Corpo da requisição
+   * @param {Function} onProgress - Recebe o estado do job (opcional)
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async requestImageOperation(operation, requestBody, onProgress) {
+    try {
+      if (!this.config.enabled) {
+        throw new Error('Stable Diffusion não está habilitado');
+      }
+
+      return await this.runJob(operation, requestBody, onProgress);
     } catch (error) {
-      console.error('Erro ao gerar imagem:', error);
+      console.error(`Erro ao processar imagem (${operation}):`, error);
       return {
         success: false,
         error: error.message
@@ -213,6 +364,111 @@ export class StableDiffusionService {
     }
   }
 
+  /**
+   * Enfileira uma geração no backend e acompanha o job até o fim
+   * @param {string} operation - generate, img2img, inpaint ou upscale
+   * @param {Object} requestBody - Corpo da requisição
+   * @param {Function} onProgress - Recebe cada atualização do job (opcional)
+   * @returns {Promise<Object>} Resultado da geração
+   */
+  async runJob(operation, requestBody, onProgress) {
+    const response = await authService.authenticatedFetch(`/api/v1/stable-diffusion/jobs/${operation}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      // 429: limite diário de imagens atingido (a mensagem do backend diz quando a cota renova)
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `Erro na geração: ${response.status} ${response.statusText}`);
+    }
+
+    const job = await response.json();
+    onProgress?.(job);
+
+    const finalJob = await this.watchJob(job, onProgress);
+    if (finalJob.status === 'cancelled') {
+      return { success: false, cancelled: true, error: 'Geração cancelada' };
+    }
+    return finalJob.result || { success: false, error: finalJob.error || 'Erro desconhecido na geração' };
+  }
+
+  /**
+   * Acompanha o job pelos eventos (SSE) do backend até ele terminar.
+   * O EventSource não envia o header Authorization, então a URL leva o eventsToken do job
+   * @param {Object} job - Job devolvido pelo backend (id e eventsToken)
+   * @param {Function} onProgress - Recebe cada atualização do job (opcional)
+   * @param {number} retries - Novas conexões permitidas se a atual cair (opcional)
+   * @returns {Promise<Object>} Estado final do job
+   */
+  watchJob({ id: jobId, eventsToken }, onProgress, retries = 3) {
+    return new Promise((resolve) => {
+      const source = new EventSource(
+        `/api/v1/stable-diffusion/jobs/${jobId}/events?token=${encodeURIComponent(eventsToken)}`
+      );
+
+      source.onmessage = (event) => {
+        const job = JSON.parse(event.data);
+        onProgress?.(job);
+        if (job.done) {
+          source.close();
+          resolve(job);
+        }
+      };
+
+      // O EventSource reconecta sozinho; só desiste quando a conexão é fechada de vez
+      // (por exemplo, com o token expirado). Aí vale o estado atual, que traz um token novo
+      source.onerror = async () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        const job = await this.getJob(jobId);
+        if (job && (job.status === 'queued' || job.status === 'running') && retries > 0) {
+          resolve(this.watchJob(job, onProgress, retries - 1));
+          return;
+        }
+        resolve(job && job.status !== 'queued' && job.status !== 'running'
+          ? job
+          : { status: 'error', error: 'Conexão com a fila de geração perdida' });
+      };
+    });
+  }
+
+  /**
+   * Obtém o estado atual de um job do usuário
+   * @param {string} jobId - Id do job
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(jobId) {
+    try {
+      const response = await authService.authenticatedFetch(`/api/v1/stable-diffusion/jobs/${jobId}`);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Erro ao obter job SD:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancela um job (na fila ou em andamento)
+   * @param {string} jobId - Id do job
+   * @returns {Promise<boolean>}
+   */
+  async cancelJob(jobId) {
+    try {
+      const response = await authService.authenticatedFetch(`/api/v1/stable-diffusion/jobs/${jobId}`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) return false;
+      const result = await response.json();
+      return result.success;
+    } catch (error) {
+      console.error('Erro ao cancelar job SD:', error);
+      return false;
+    }
+  }
+
   /**
    * Obtém informações do sistema
    * @returns {Promise<Object>}
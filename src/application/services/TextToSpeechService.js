@@ -0,0 +1,262 @@
+import { TextToSpeechConfig } from '../../domain/entities/TextToSpeechConfig.js';
+import { toSpeechText, splitIntoChunks } from '../../utils/speechText.js';
+import authService from '../../services/AuthService';
+
+/**
+ * Serviço de leitura em voz alta das respostas do assistente.
+ * Usa a speechSynthesis do navegador ou um servidor TTS local (Piper, Coqui, OpenAI) através do backend.
+ * Apenas uma mensagem é lida por vez; iniciar outra leitura interrompe a atual.
+ */
+export class TextToSpeechService {
+  constructor() {
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1`;
+    this.configKey = 'text_to_speech_config';
+    this.config = null;
+    this.speakingId = null;
+    this.playback = 0;
+    this.audio = null;
+    this.listeners = new Set();
+    this.loadConfig();
+  }
+
+  /**
+   * Carrega a configuração do localStorage
+   */
+  loadConfig() {
+    try {
+      const saved = localStorage.getItem(this.configKey);
+      this.config = saved
+        ? TextToSpeechConfig.fromObject(JSON.parse(saved))
+        : TextToSpeechConfig.createDefault();
+    } catch (error) {
+      console.error('Erro ao carregar configuração TTS:', error);
+      this.config = TextToSpeechConfig.createDefault();
+    }
+  }
+
+  /**
+   * Salva a configuração no localStorage
+   */
+  saveConfig() {
+    try {
+      localStorage.setItem(this.configKey, JSON.stringify(this.config.toObject()));
+    } catch (error) {
+      console.error('Erro ao salvar configuração TTS:', error);
+    }
+  }
+
+  /**
+   * Obtém a configuração atual
+   * @returns {TextToSpeechConfig}
+   */
+  getConfiguration() {
+    return this.config;
+  }
+
+  /**
+   * Atualiza a configuração
+   * @param {Object} updates - Atualizações da configuração
+   * @returns {TextToSpeechConfig}
+   */
+  updateConfiguration(updates) {
+    this.config.update(updates);
+    this.saveConfig();
+    this.notify();
+    return this.config;
+  }
+
+  /**
+   * Registra um ouvinte chamado quando a leitura ou a configuração mudam
+   * @param {Function} listener - Recebe { speakingId, config }
+   * @returns {Function} Remove o ouvinte
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Avisa os ouvintes sobre a leitura atual e a configuração
+   */
+  notify() {
+    this.listeners.forEach(listener => listener({ speakingId: this.speakingId, config: this.config }));
+  }
+
+  /**
+   * Indica se o navegador tem speechSynthesis
+   * @returns {boolean}
+   */
+  isBrowserSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  }
+
+  /**
+   * Vozes disponíveis no navegador (podem carregar de forma assíncrona; veja onvoiceschanged)
+   * @returns {SpeechSynthesisVoice[]}
+   */
+  getBrowserVoices() {
+    return this.isBrowserSupported() ? window.speechSynthesis.getVoices() : [];
+  }
+
+  /**
+   * Lê uma mensagem em voz alta, interrompendo qualquer leitura em andamento
+   * @param {string} id - ID da mensagem (para a UI saber qual está sendo lida)
+   * @param {string} content - Conteúdo da mensagem (markdown)
+   * @returns {Promise<void>} Resolve quando a leitura termina ou é interrompida
+   */
+  async speak(id, content) {
+    this.stop();
+
+    const text = toSpeechText(content);
+    if (!text) return;
+
+    const playback = ++this.playback;
+    this.speakingId = id;
+    this.notify();
+
+    try {
+      // Server chunks are larger: each one is a round trip
+      const chunks = splitIntoChunks(text, this.config.usesServer() ? 1000 : 250);
+
+      if (this.config.usesServer()) {
+        // Synthesize the next chunk while the current one plays
+        const prefetch = (chunk) => {
+          const request = this.synthesize(chunk);
+          request.catch(() => {}); // Awaited below; avoids an unhandled rejection if playback stops first
+          return request;
+        };
+        let next = prefetch(chunks[0]);
+        for (let index = 0; index < chunks.length && playback === this.playback; index++) {
+          const audio = await next;
+          next = index + 1 < chunks.length ? prefetch(chunks[index + 1]) : null;
+          if (playback !== this.playback) break;
+          await this.playAudio(audio);
+        }
+      } else {
+        for (const chunk of chunks) {
+          if (playback !== this.playback) break;
+          await this.speakWithBrowser(chunk);
+        }
+      }
+    } catch (error) {
+      console.error('Erro na leitura em voz alta:', error);
+      throw error;
+    } finally {
+      if (playback === this.playback) {
+        this.speakingId = null;
+        this.notify();
+      }
+    }
+  }
+
+  /**
+   * Interrompe a leitura atual
+   */
+  stop() {
+    this.playback++;
+
+    if (this.isBrowserSupported()) {
+      window.speechSynthesis.cancel();
+    }
+    if (this.audio) {
+      this.audio.pause();
+      this.audio.onended?.();
+      this.audio = null;
+    }
+
+    if (this.speakingId !== null) {
+      this.speakingId = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Fala um trecho com a speechSynthesis do navegador
+   * @param {string} text - Trecho a ser falado
+   * @returns {Promise<void>}
+   */
+  speakWithBrowser(text) {
+    if (!this.isBrowserSupported()) {
+      return Promise.reject(new Error('Este navegador não suporta leitura em voz alta'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      const voice = this.getBrowserVoices().find(item => item.voiceURI === this.config.browserVoice);
+      if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+      }
+      utterance.rate = this.config.rate || 1;
+      utterance.onend = () => resolve();
+      // cancel() fires 'interrupted'/'canceled', which is how stop() ends the playback
+      utterance.onerror = (event) => (
+        ['interrupted', 'canceled'].includes(event.error) ? resolve() : reject(new Error(event.error))
+      );
+      window.speechSynthesis.speak(utterance);
+    });
+  }
+
+  /**
+   * Gera o áudio de um trecho no servidor TTS local (via backend)
+   * @param {string} text - Trecho a ser falado
+   * @returns {Promise<Blob>} Áudio gerado
+   */
+  async synthesize(text) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/chat/speech`, {
+      method: 'POST',
+      body: JSON.stringify({
+        text,
+        engine: this.config.serverType,
+        baseUrl: this.config.baseUrl,
+        voice: this.config.voice || undefined,
+        model: this.config.model || undefined,
+        speed: this.config.rate || 1,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+      throw new Error(message || `Erro ao gerar áudio: ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
+  /**
+   * Toca um áudio gerado pelo servidor
+   * @param {Blob} blob - Áudio
+   * @returns {Promise<void>} Resolve quando o áudio termina ou é interrompido
+   */
+  playAudio(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const audio = new Audio(url);
+      const cleanup = () => {
+        URL.revokeObjectURL(url);
+        if (this.audio === audio) this.audio = null;
+      };
+
+      audio.onended = () => {
+        cleanup();
+        resolve();
+      };
+      audio.onerror = () => {
+        cleanup();
+        reject(new Error('Não foi possível tocar o áudio gerado'));
+      };
+
+      this.audio = audio;
+      audio.play().catch((error) => {
+        cleanup();
+        reject(error);
+      });
+    });
+  }
+}
+
+// Exporta uma instância singleton (uma leitura por vez em toda a aplicação)
+const textToSpeechService = new TextToSpeechService();
+export default textToSpeechService;
@@ -0,0 +1,419 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TablePagination,
+  Tooltip,
+  Typography,
+  Alert,
+  CircularProgress,
+  Autocomplete,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  useTheme,
+  useMediaQuery
+} from '@mui/material';
+import {
+  Block as DisableIcon,
+  CheckCircleOutline as EnableIcon,
+  AdminPanelSettings as AdminIcon,
+  PersonOutline as UserIcon,
+  LockReset as ResetIcon,
+  DataUsage as QuotaIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { useAdmin } from '../../application/hooks/useAdmin';
+import { useAuth } from '../../contexts/AuthContext';
+
+const USERS_TAB = 0;
+const SETTINGS_TAB = 1;
+
+const PROVIDERS = [
+  { value: 'ollama', label: 'Ollama' },
+  { value: 'dynamic_llm', label: 'Dynamic LLM' }
+];
+
+const QUOTA_FIELDS = [
+  { key: 'tokensPerDay', label: 'Tokens per day' },
+  { key: 'imagesPerDay', label: 'Images per day' },
+  { key: 'concurrentStreams', label: 'Concurrent answers' }
+];
+
+const NO_LIMITS = { tokensPerDay: null, imagesPerDay: null, concurrentStreams: null };
+
+const numberFormat = new Intl.NumberFormat();
+
+/**
+ * Parses a quota field; an empty field means no limit (or, for a user, the role's limit)
+ * @param {string} value - Field value
+ * @returns {number|null}
+ */
+const toLimit = (value) => (value === '' ? null : Math.max(0, parseInt(value, 10) || 0));
+
+/**
+ * Describes a role limit for the hints of the per-user quota fields
+ * @param {number|null|undefined} limit - Role limit
+ * @returns {string}
+ */
+const describeLimit = (limit) => (limit === null || limit === undefined ? 'unlimited' : numberFormat.format(limit));
+
+/**
+ * Admin console: user management with per-user usage and quotas, and the global defaults
+ * (allowed models, default provider, daily quotas per role). Only rendered for admins.
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called when the dialog is closed
+ * @returns {JSX.Element}
+ */
+const AdminDialog = ({ open, onClose }) => {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const { user: currentUser } = useAuth();
+  const {
+    users,
+    total,
+    page,
+    pageSize,
+    settings,
+    installedModels,
+    isLoading,
+    error,
+    fetchUsers,
+    toggleActive,
+    toggleRole,
+    updateQuota,
+    resetPassword,
+    deleteUser,
+    fetchSettings,
+    saveSettings
+  } = useAdmin();
+
+  const [tab, setTab] = useState(USERS_TAB);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [allowedModels, setAllowedModels] = useState([]);
+  const [defaultProvider, setDefaultProvider] = useState('ollama');
+  const [quotas, setQuotas] = useState({ user: NO_LIMITS, admin: NO_LIMITS });
+  const [quotaUser, setQuotaUser] = useState(null);
+  const [userQuota, setUserQuota] = useState(NO_LIMITS);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    fetchUsers(1);
+    fetchSettings().catch(err => setActionError(err.message));
+  }, [open, fetchUsers, fetchSettings]);
+
+  useEffect(() => {
+    if (!settings) return;
+    setAllowedModels(settings.allowedModels);
+    setDefaultProvider(settings.defaultProvider);
+    if (settings.quotas) setQuotas(settings.quotas);
+  }, [settings]);
+
+  const runAction = async (action) => {
+    try {
+      setActionError(null);
+      setNotice(null);
+      await action();
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleResetPassword = (user) => {
+    if (!window.confirm(`Reset the password of ${user.email}? They will be signed out of every device.`)) return;
+    runAction(async () => {
+      const temporaryPassword = await resetPassword(user.id);
+      setNotice(`Temporary password for ${user.email}: ${temporaryPassword} (it will not be shown again)`);
+    });
+  };
+
+  const handleDelete = (user) => {
+    if (!window.confirm(`Delete ${user.email} and all of their conversations, images and personas? This cannot be undone.`)) return;
+    runAction(() => deleteUser(user.id));
+  };
+
+  const handleSaveSettings = () => runAction(async () => {
+    setIsSaving(true);
+    try {
+      await saveSettings({ allowedModels, defaultProvider, quotas });
+      setNotice('Settings saved.');
+    } finally {
+      setIsSaving(false);
+    }
+  });
+
+  const openQuotaDialog = (user) => {
+    setQuotaUser(user);
+    setUserQuota({ ...NO_LIMITS, ...user.quotaLimits });
+  };
+
+  const handleSaveUserQuota = () => runAction(async () => {
+    await updateQuota(quotaUser.id, userQuota);
+    setNotice(`Quotas of ${quotaUser.email} saved.`);
+    setQuotaUser(null);
+  });
+
+  const setRoleLimit = (role, key, value) => {
+    setQuotas(prev => ({ ...prev, [role]: { ...prev[role], [key]: toLimit(value) } }));
+  };
+
+  const renderUserActions = (user) => {
+    const isSelf = user.id === currentUser?.id;
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+        <Tooltip title={user.role === 'admin' ? 'Remove admin access' : 'Make admin'}>
+          <span>
+            <IconButton size="small" disabled={isSelf} onClick={() => runAction(() => toggleRole(user))}>
+              {user.role === 'admin' ? <UserIcon fontSize="small" /> : <AdminIcon fontSize="small" />}
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title={user.isActive ? 'Disable (signs the user out)' : 'Enable'}>
+          <span>
+            <IconButton size="small" disabled={isSelf} onClick={() => runAction(() => toggleActive(user))}>
+              {user.isActive ? <DisableIcon fontSize="small" /> : <EnableIcon fontSize="small" />}
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Quotas">
+          <IconButton size="small" onClick={() => openQuotaDialog(user)}>
+            <QuotaIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Reset password">
+          <IconButton size="small" onClick={() => handleResetPassword(user)}>
+            <ResetIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Delete user">
+          <span>
+            <IconButton size="small" color="error" disabled={isSelf} onClick={() => handleDelete(user)}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+    );
+  };
+
+  const renderUsers = () => (
+    <>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>User</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Messages</TableCell>
+              <TableCell align="right">Tokens</TableCell>
+              <TableCell align="right">Images</TableCell>
+              {!isMobile && <TableCell>Last login</TableCell>}
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {users.map(user => (
+              <TableRow key={user.id} hover sx={{ opacity: user.isActive ? 1 : 0.6 }}>
+                <TableCell>
+                  <Typography variant="body2" fontWeight={500}>
+                    {user.firstName} {user.lastName}
+                    {user.role === 'admin' && <Chip label="admin" size="small" color="primary" sx={{ ml: 1 }} />}
+                    {user.quotaLimits && <Chip label="custom quota" size="small" variant="outlined" sx={{ ml: 1 }} />}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">{user.email}</Typography>
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={user.isActive ? 'Active' : 'Disabled'}
+                    size="small"
+                    color={user.isActive ? 'success' : 'default'}
+                    variant="outlined"
+                  />
+                </TableCell>
+                <TableCell align="right">{numberFormat.format(user.usage?.messageCount || 0)}</TableCell>
+                <TableCell align="right">{numberFormat.format(user.usage?.tokens || 0)}</TableCell>
+                <TableCell align="right">{numberFormat.format(user.usage?.imageCount || 0)}</TableCell>
+                {!isMobile && (
+                  <TableCell>
+                    {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                  </TableCell>
+                )}
+                <TableCell align="right">{renderUserActions(user)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {isLoading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={28} />
+        </Box>
+      )}
+
+      <TablePagination
+        component="div"
+        count={total}
+        page={page - 1}
+        rowsPerPage={pageSize}
+        rowsPerPageOptions={[pageSize]}
+        onPageChange={(event, newPage) => fetchUsers(newPage + 1)}
+      />
+    </>
+  );
+
+  const renderSettings = () => (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, maxWidth: 560 }}>
+      <FormControl size="small" fullWidth>
+        <InputLabel>Default provider</InputLabel>
+        <Select
+          value={defaultProvider}
+          label="Default provider"
+          onChange={(event) => setDefaultProvider(event.target.value)}
+        >
+          {PROVIDERS.map(provider => (
+            <MenuItem key={provider.value} value={provider.value}>{provider.label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <Typography variant="caption" color="text.secondary" sx={{ mt: -2 }}>
+        Used by everyone who has not picked a provider yet.
+      </Typography>
+
+      <Autocomplete
+        multiple
+        freeSolo
+        options={installedModels.filter(model => !allowedModels.includes(model))}
+        value={allowedModels}
+        onChange={(event, value) => setAllowedModels(value.map(model => model.trim()).filter(Boolean))}
+        renderTags={(value, getTagProps) => value.map((model, index) => (
+          <Chip {...getTagProps({ index })} key={model} label={model} size="small" />
+        ))}
+        renderInput={(params) => (
+          <TextField
+            {...params}
+            size="small"
+            label="Allowed models"
+            placeholder="Pick an installed model or type a name"
+          />
+        )}
+      />
+      <Typography variant="caption" color="text.secondary" sx={{ mt: -2 }}>
+        Leave empty to allow every model. Other models are hidden from the model pickers and rejected by the server.
+      </Typography>
+
+      <Box>
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>Daily quotas</Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Role</TableCell>
+              {QUOTA_FIELDS.map(field => <TableCell key={field.key}>{field.label}</TableCell>)}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {['user', 'admin'].map(role => (
+              <TableRow key={role}>
+                <TableCell sx={{ textTransform: 'capitalize' }}>{role}</TableCell>
+                {QUOTA_FIELDS.map(field => (
+                  <TableCell key={field.key}>
+                    <TextField
+                      size="small"
+                      type="number"
+                      placeholder="Unlimited"
+                      value={quotas[role]?.[field.key] ?? ''}
+                      onChange={(event) => setRoleLimit(role, field.key, event.target.value)}
+                      inputProps={{ min: 0, 'aria-label': `${role} ${field.label}` }}
+                    />
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        <Typography variant="caption" color="text.secondary">
+          Leave a field empty for no limit. Usage resets every day at midnight UTC; requests over a quota are rejected.
+        </Typography>
+      </Box>
+
+      <Box>
+        <Button variant="contained" onClick={handleSaveSettings} disabled={!settings || isSaving}>
+          {isSaving ? 'Saving...' : 'Save settings'}
+        </Button>
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth fullScreen={isMobile}>
+      <DialogTitle>Administration</DialogTitle>
+      <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ px: 3 }}>
+        <Tab label={`Users (${total})`} />
+        <Tab label="Global settings" />
+      </Tabs>
+
+      <DialogContent dividers>
+        {(error || actionError) && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={actionError ? () => setActionError(null) : undefined}>
+            {actionError || error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2, wordBreak: 'break-all' }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {tab === USERS_TAB && renderUsers()}
+        {tab === SETTINGS_TAB && renderSettings()}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+
+      <Dialog open={!!quotaUser} onClose={() => setQuotaUser(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Quotas of {quotaUser?.email}</DialogTitle>
+        <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+          {QUOTA_FIELDS.map(field => (
+            <TextField
+              key={field.key}
+              size="small"
+              type="number"
+              label={field.label}
+              value={userQuota[field.key] ?? ''}
+              onChange={(event) => setUserQuota(prev => ({ ...prev, [field.key]: toLimit(event.target.value) }))}
+              helperText={`Empty uses the ${quotaUser?.role} role limit (${describeLimit(quotas[quotaUser?.role]?.[field.key])})`}
+              inputProps={{ min: 0 }}
+            />
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setQuotaUser(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveUserQuota}>Save</Button>
+        </DialogActions>
+      </Dialog>
+    </Dialog>
+  );
+};
+
+export default AdminDialog;
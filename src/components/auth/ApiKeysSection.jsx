@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  ContentCopy as CopyIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import apiKeyService from '../../services/ApiKeyService';
+
+const EXPIRATION_OPTIONS = [
+  { label: 'Never expires', days: '' },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 }
+];
+
+const numberFormat = new Intl.NumberFormat();
+
+/**
+ * Personal API keys for the OpenAI-compatible endpoint (/v1): list with usage per key,
+ * creation (the full key is shown only once) and revocation
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the surrounding dialog is open (keys are reloaded on open)
+ * @returns {JSX.Element}
+ */
+const ApiKeysSection = ({ open }) => {
+  const [keys, setKeys] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [createdKey, setCreatedKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const loadKeys = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      setKeys(await apiKeyService.getKeys());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    setCreatedKey(null);
+    loadKeys();
+  }, [open, loadKeys]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    try {
+      setError(null);
+      const created = await apiKeyService.createKey({
+        name: name.trim(),
+        ...(expiresInDays && { expiresInDays })
+      });
+      const { key, ...apiKey } = created;
+      setKeys(prev => [apiKey, ...prev]);
+      setCreatedKey(key);
+      setCopied(false);
+      setIsCreating(false);
+      setName('');
+      setExpiresInDays('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Apps using it will stop working.`)) return;
+    try {
+      setError(null);
+      await apiKeyService.revokeKey(apiKey.id);
+      setKeys(prev => prev.filter(item => item.id !== apiKey.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      setCopied(true);
+    } catch (err) {
+      console.warn('Could not copy the API key:', err);
+    }
+  };
+
+  const describeUsage = (apiKey) => [
+    `${apiKey.prefix}…`,
+    `${numberFormat.format(apiKey.usage.requests)} requests`,
+    `${numberFormat.format(apiKey.usage.promptTokens + apiKey.usage.completionTokens)} tokens`,
+    apiKey.lastUsedAt ? `last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : 'never used',
+    apiKey.expiresAt && `${apiKey.expired ? 'expired' : 'expires'} ${new Date(apiKey.expiresAt).toLocaleDateString()}`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="subtitle2">API keys</Typography>
+        {!isCreating && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => setIsCreating(true)}>
+            New key
+          </Button>
+        )}
+      </Box>
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+        Use with any OpenAI-compatible client: base URL {apiKeyService.openAIBaseURL}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {createdKey && (
+        <Alert
+          severity="success"
+          sx={{ mb: 2, '& .MuiAlert-message': { minWidth: 0 } }}
+          onClose={() => setCreatedKey(null)}
+        >
+          Copy your key now — it won't be shown again.
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+              {createdKey}
+            </Typography>
+            <Tooltip title={copied ? 'Copied' : 'Copy'}>
+              <IconButton size="small" onClick={handleCopy}>
+                <CopyIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Alert>
+      )}
+
+      {isCreating && (
+        <Box component="form" onSubmit={handleCreate} sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+          <TextField
+            size="small"
+            label="Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            inputProps={{ maxLength: 100 }}
+            autoFocus
+            required
+            sx={{ flex: 1, minWidth: 160 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Expiration"
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+            sx={{ minWidth: 150 }}
+          >
+            {EXPIRATION_OPTIONS.map(option => (
+              <MenuItem key={option.label} value={option.days}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Button type="submit" variant="contained" disabled={!name.trim()}>Create</Button>
+          <Button onClick={() => setIsCreating(false)}>Cancel</Button>
+        </Box>
+      )}
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+          <CircularProgress size={28} />
+        </Box>
+      ) : keys.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">No API keys yet.</Typography>
+      ) : (
+        <List dense disablePadding>
+          {keys.map(apiKey => (
+            <ListItem
+              key={apiKey.id}
+              disableGutters
+              secondaryAction={
+                <Tooltip title="Revoke key">
+                  <IconButton edge="end" size="small" onClick={() => handleRevoke(apiKey)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              }
+            >
+              <ListItemText
+                primary={
+                  <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {apiKey.name}
+                    {apiKey.expired && <Chip label="Expired" size="small" color="warning" />}
+                  </Box>
+                }
+                secondary={describeUsage(apiKey)}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default ApiKeysSection;
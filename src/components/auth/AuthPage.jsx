@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Container,
@@ -13,6 +13,7 @@ import {
 } from '@mui/icons-material';
 import LoginForm from './LoginForm';
 import RegisterForm from './RegisterForm';
+import { useAuth } from '../../contexts/AuthContext';
 
 /**
  * Authentication page that switches between login and register
@@ -22,7 +23,22 @@ import RegisterForm from './RegisterForm';
 const AuthPage = ({ onAuthSuccess }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const { getSsoConfig } = useAuth();
   const [isLogin, setIsLogin] = useState(true);
+  const [ssoConfig, setSsoConfig] = useState({ enabled: false });
+
+  // Loaded once so switching between login and register does not refetch it
+  useEffect(() => {
+    let active = true;
+    getSsoConfig().then(config => {
+      if (active) {
+        setSsoConfig(config);
+      }
+    });
+    return () => {
+      active = false;
+    };
+  }, [getSsoConfig]);
 
   /**
    * Toggles between login and register
@@ -188,6 +204,7 @@ const AuthPage = ({ onAuthSuccess }) => {
                   <LoginForm
                     onSwitchToRegister={toggleAuthMode}
                     onLoginSuccess={handleAuthSuccess}
+                    ssoConfig={ssoConfig}
                   />
                 ) : (
                   <RegisterForm
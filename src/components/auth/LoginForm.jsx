@@ -24,7 +24,8 @@ import {
   Visibility as VisibilityIcon,
   VisibilityOff as VisibilityOffIcon,
   Login as LoginIcon,
-  ArrowForward as ArrowForwardIcon
+  ArrowForward as ArrowForwardIcon,
+  VpnKey as VpnKeyIcon
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -33,18 +34,20 @@ import { useAuth } from '../../contexts/AuthContext';
  * @param {Object} props - Component props
  * @param {Function} props.onSwitchToRegister - Callback to switch to register
  * @param {Function} props.onLoginSuccess - Callback for successful login
+ * @param {Object} props.ssoConfig - SSO availability ({ enabled, providerName })
  */
-const LoginForm = ({ onSwitchToRegister, onLoginSuccess }) => {
+const LoginForm = ({ onSwitchToRegister, onLoginSuccess, ssoConfig = { enabled: false } }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
-  const { login, isLoading } = useAuth();
+  const { login, loginWithSso, ssoError, isLoading } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
   const [showPassword, setShowPassword] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(ssoError);
+  const [isRedirecting, setIsRedirecting] = useState(false);
 
   /**
    * Handles form field changes
@@ -93,6 +96,21 @@ const LoginForm = ({ onSwitchToRegister, onLoginSuccess }) => {
     }
   };
 
+  /**
+   * Redirects to the identity provider; the app comes back to this page to finish the login
+   */
+  const handleSsoLogin = async () => {
+    setError('');
+    setIsRedirecting(true);
+    try {
+      await loginWithSso();
+    } catch (error) {
+      console.error('SSO login error:', error);
+      setError(error.message || 'Error starting SSO login. Please try again.');
+      setIsRedirecting(false);
+    }
+  };
+
   /**
    * Validates email format
    * @param {string} email - Email to be validated
@@ -320,6 +338,32 @@ const LoginForm = ({ onSwitchToRegister, onLoginSuccess }) => {
                 )}
               </Button>
 
+              {/* SSO button */}
+              {ssoConfig.enabled && (
+                <Button
+                  fullWidth
+                  variant="outlined"
+                  size="large"
+                  onClick={handleSsoLogin}
+                  disabled={isLoading || isRedirecting}
+                  startIcon={!isRedirecting && <VpnKeyIcon />}
+                  sx={{
+                    mb: 3,
+                    py: { xs: 1.25, sm: 1.5 },
+                    fontWeight: 600,
+                    borderRadius: 2,
+                  }}
+                >
+                  {isRedirecting ? (
+                    <CircularProgress size={24} color="inherit" />
+                  ) : (
+                    ssoConfig.providerName && ssoConfig.providerName !== 'SSO'
+                      ? `Sign in with ${ssoConfig.providerName}`
+                      : 'Sign in with SSO'
+                  )}
+                </Button>
+              )}
+
               <Divider sx={{ my: 2 }}>
                 <Typography variant="caption" color="text.secondary">
                   or
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Tooltip,
+  Typography,
+  Alert,
+  CircularProgress,
+  Divider,
+  LinearProgress,
+  useTheme,
+  useMediaQuery
+} from '@mui/material';
+import {
+  Computer as ComputerIcon,
+  PhoneIphone as PhoneIcon,
+  Logout as LogoutIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import quotaService from '../../services/QuotaService';
+import ApiKeysSection from './ApiKeysSection';
+
+const MOBILE_AGENT_PATTERN = /android|iphone|ipad|mobile/i;
+
+const USAGE_METERS = [
+  { label: 'Tokens', usage: 'tokens', limit: 'tokensPerDay' },
+  { label: 'Images', usage: 'images', limit: 'imagesPerDay' }
+];
+
+const numberFormat = new Intl.NumberFormat();
+
+/**
+ * Turns a user agent into a short "Browser on System" label
+ * @param {string|null} userAgent - User agent recorded for the session
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edge', /edg\//i],
+    ['Opera', /opr\//i],
+    ['Chrome', /chrome\//i],
+    ['Firefox', /firefox\//i],
+    ['Safari', /safari\//i]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  const system = [
+    ['Windows', /windows/i],
+    ['Android', /android/i],
+    ['iOS', /iphone|ipad/i],
+    ['macOS', /mac os/i],
+    ['Linux', /linux/i]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || userAgent.slice(0, 60);
+};
+
+/**
+ * Profile dialog: account details, today's usage against the quotas, personal API keys and the devices
+ * signed in to the account, with the option to sign out of one of them or of all at once
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called when the dialog is closed
+ * @returns {JSX.Element}
+ */
+const ProfileDialog = ({ open, onClose }) => {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+  const { user, getFullName, getSessions, revokeSession, revokeAllSessions } = useAuth();
+
+  const [sessions, setSessions] = useState([]);
+  const [quota, setQuota] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      setSessions(await getSessions());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [getSessions]);
+
+  useEffect(() => {
+    if (!open) return;
+    loadSessions();
+    // Usage is informative only; the dialog still works without it
+    quotaService.getMyQuota()
+      .then(setQuota)
+      .catch(err => console.warn('Could not load usage quotas:', err));
+  }, [open, loadSessions]);
+
+  const runAction = async (action) => {
+    try {
+      setError(null);
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = (session) => runAction(async () => {
+    await revokeSession(session.id);
+    setSessions(prev => prev.filter(item => item.id !== session.id));
+  });
+
+  const handleRevokeOthers = () => runAction(async () => {
+    await revokeAllSessions(true);
+    setSessions(prev => prev.filter(item => item.current));
+  });
+
+  const handleRevokeAll = () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    runAction(() => revokeAllSessions(false));
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  const renderUsageMeter = ({ label, usage, limit }) => {
+    const used = quota.usage[usage];
+    const max = quota.limits[limit];
+
+    return (
+      <Box key={usage} sx={{ mb: 1.5 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+          <Typography variant="body2">{label}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {max === null
+              ? `${numberFormat.format(used)} used · unlimited`
+              : `${numberFormat.format(used)} of ${numberFormat.format(max)} · ${numberFormat.format(quota.remaining[usage])} left`}
+          </Typography>
+        </Box>
+        {max !== null && (
+          <LinearProgress
+            variant="determinate"
+            value={max > 0 ? Math.min((used / max) * 100, 100) : 100}
+            color={quota.remaining[usage] === 0 ? 'error' : 'primary'}
+            sx={{ mt: 0.5, borderRadius: 1 }}
+          />
+        )}
+      </Box>
+    );
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth fullScreen={isMobile}>
+      <DialogTitle>My Profile</DialogTitle>
+
+      <DialogContent dividers>
+        <Typography variant="subtitle1" fontWeight={600}>{getFullName()}</Typography>
+        <Typography variant="body2" color="text.secondary">{user?.email}</Typography>
+
+        {quota && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>Usage today</Typography>
+            {USAGE_METERS.map(renderUsageMeter)}
+            <Typography variant="caption" color="text.secondary">
+              {quota.limits.concurrentStreams !== null && `Up to ${quota.limits.concurrentStreams} answer(s) at a time · `}
+              Resets {new Date(quota.resetsAt).toLocaleString()}
+            </Typography>
+          </>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+        <ApiKeysSection open={open} />
+
+        <Divider sx={{ my: 2 }} />
+
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+          <Typography variant="subtitle2">Signed-in devices</Typography>
+          {otherSessions.length > 0 && (
+            <Button size="small" onClick={handleRevokeOthers}>
+              Sign out other devices
+            </Button>
+          )}
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : (
+          <List dense disablePadding>
+            {sessions.map(session => (
+              <ListItem
+                key={session.id}
+                disableGutters
+                secondaryAction={!session.current && (
+                  <Tooltip title="Sign out this device">
+                    <IconButton edge="end" size="small" onClick={() => handleRevoke(session)}>
+                      <LogoutIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              >
+                <ListItemIcon sx={{ minWidth: 36 }}>
+                  {MOBILE_AGENT_PATTERN.test(session.userAgent || '')
+                    ? <PhoneIcon fontSize="small" />
+                    : <ComputerIcon fontSize="small" />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box component="span" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {describeDevice(session.userAgent)}
+                      {session.current && <Chip label="This device" size="small" color="primary" />}
+                    </Box>
+                  }
+                  secondary={[
+                    session.ipAddress,
+                    `last active ${new Date(session.lastUsedAt).toLocaleString()}`,
+                    `signed in ${new Date(session.createdAt).toLocaleDateString()}`
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ justifyContent: 'space-between' }}>
+        <Button color="error" startIcon={<LogoutIcon />} onClick={handleRevokeAll}>
+          Sign out everywhere
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProfileDialog;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -18,11 +18,20 @@ import ChatHeader from './ChatHeader';
 import ChatSidebar from './ChatSidebar';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
-import SettingsDialog from '../settings/SettingsDialog';
+import SessionSummaryDialog from './SessionSummaryDialog';
+import SessionSettingsDialog from './SessionSettingsDialog';
+import PersonaVariablesDialog from './PersonaVariablesDialog';
+import ImageGalleryDialog from './ImageGalleryDialog';
+import SettingsDialog, { PERSONAS_TAB, KNOWLEDGE_TAB } from '../settings/SettingsDialog';
 import WhatsAppPanel from '../whatsapp/WhatsAppPanel';
 import { useChat } from '../../application/hooks/useChat';
 import { useChatHistory } from '../../application/hooks/useChatHistory';
+import { useTextToSpeech } from '../../application/hooks/useTextToSpeech';
+import { usePersonas } from '../../application/hooks/usePersonas';
+import { useKnowledgeBases } from '../../application/hooks/useKnowledgeBases';
 import { useAuth } from '../../contexts/AuthContext';
+import chatHistoryService from '../../services/ChatHistoryService';
+import systemSettingsService from '../../services/SystemSettingsService';
 
 /**
  * Main chat container
@@ -40,12 +49,18 @@ const ChatContainer = () => {
     hasMessages,
     messageCount,
     sendMessage,
+    stopGeneration,
+    regenerateMessage,
+    editMessage,
+    switchBranch,
     clearHistory,
     clearError,
     loadExternalMessages,
     setSession,
     currentSessionId: chatCurrentSessionId,
     updateMessageAttachment,
+    uploadAttachment,
+    transcribeAudio,
     chatService
   } = useChat();
 
@@ -53,14 +68,20 @@ const ChatContainer = () => {
   const {
     chatSessions,
     currentSession,
+    sessionSettings,
     isLoading: isLoadingHistory,
     isLoadingSession,
     error: historyError,
     loadChatSession,
+    refreshSessionSettings,
+    updateSessionSettings,
+    clearCurrentSession,
     createNewSession,
     updateSessionTitle,
     deleteChatSession,
-    searchChatSessions,
+    exportChatSession,
+    importChatSessions,
+    searchMessages,
     clearError: clearHistoryError,
     currentSessionId,
     hasSessions,
@@ -70,19 +91,266 @@ const ChatContainer = () => {
   const [clearDialogOpen, setClearDialogOpen] = useState(false);
   const [clearMode, setClearMode] = useState('messages'); // 'messages' or 'conversation'
   const [settingsDialogOpen, setSettingsDialogOpen] = useState(false);
+  const [settingsTab, setSettingsTab] = useState(undefined);
   const [whatsappDialogOpen, setWhatsappDialogOpen] = useState(false);
+  const [galleryOpen, setGalleryOpen] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [sessionSummary, setSessionSummary] = useState(null);
+  const [summaryDialogOpen, setSummaryDialogOpen] = useState(false);
+  const [sessionSettingsDialogOpen, setSessionSettingsDialogOpen] = useState(false);
+  const [highlightedMessage, setHighlightedMessage] = useState(null);
+  const [pendingPersona, setPendingPersona] = useState(null);
+  const [personaVariablesTarget, setPersonaVariablesTarget] = useState(null);
+  const [pendingKnowledgeBaseIds, setPendingKnowledgeBaseIds] = useState([]);
+  const [pickerError, setPickerError] = useState(null);
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const { personas, fetchPersonas, findPersonaByName } = usePersonas();
+  const { knowledgeBases, fetchKnowledgeBases } = useKnowledgeBases();
   const { token } = useAuth();
+  const { config: speechConfig, speak } = useTextToSpeech();
+  const wasLoadingRef = useRef(false);
+
+  const activeSessionId = chatCurrentSessionId || currentSessionId;
+
+  // Images already sent or about to be sent (the model selector warns when the model can't see them)
+  const isImageFile = attachment => attachment.type !== 'image' && !!attachment.mimeType?.startsWith('image/');
+  const hasImages = pendingAttachments.some(isImageFile)
+    || messages.some(message => message.sender === 'user' && message.attachments?.some(isImageFile));
+
+  // A saved conversation keeps its persona in its settings; a new one sends the picked persona with the first message
+  const activePersonaId = sessionSettings ? sessionSettings.personaId || null : pendingPersona?.personaId || null;
+  const activeKnowledgeBaseIds = sessionSettings ? sessionSettings.knowledgeBaseIds || [] : pendingKnowledgeBaseIds;
+
+  /**
+   * Loads the rolling summary of the active conversation
+   */
+  const refreshSessionSummary = useCallback(async () => {
+    if (!activeSessionId) {
+      setSessionSummary(null);
+      return;
+    }
+    setSessionSummary(await chatHistoryService.getSessionSummary(activeSessionId));
+  }, [activeSessionId]);
+
+  // Global defaults set by the administrator (allowed models, default provider)
+  useEffect(() => {
+    systemSettingsService.getSettings();
+  }, []);
+
+  // The summary is generated in the background, so refresh it after each response
+  useEffect(() => {
+    if (!isLoading) {
+      refreshSessionSummary();
+    }
+  }, [isLoading, messageCount, refreshSessionSummary]);
+
+  // The backend saves the conversation settings with its first answer
+  useEffect(() => {
+    if (!isLoading) {
+      refreshSessionSettings(activeSessionId);
+    }
+  }, [isLoading, activeSessionId, refreshSessionSettings]);
+
+  // Following messages use the provider and model of the open conversation
+  useEffect(() => {
+    chatService?.setSessionSettings?.(sessionSettings);
+  }, [chatService, sessionSettings]);
+
+  useEffect(() => {
+    chatService?.setPendingPersona?.(sessionSettings ? null : pendingPersona);
+  }, [chatService, sessionSettings, pendingPersona]);
+
+  useEffect(() => {
+    chatService?.setPendingKnowledgeBases?.(sessionSettings ? [] : pendingKnowledgeBaseIds);
+  }, [chatService, sessionSettings, pendingKnowledgeBaseIds]);
+
+  // Auto-read: speak each new answer once it finishes streaming (not when the user stopped it)
+  useEffect(() => {
+    const finished = wasLoadingRef.current && !isLoading;
+    wasLoadingRef.current = isLoading;
+    if (!finished || !speechConfig.autoRead) return;
+
+    const lastMessage = messages[messages.length - 1];
+    const isAssistant = lastMessage && (lastMessage.isFromUser ? !lastMessage.isFromUser() : lastMessage.sender !== 'user');
+    if (isAssistant && lastMessage.content && !lastMessage.metadata?.cancelled) {
+      speak(lastMessage.id, lastMessage.content);
+    }
+  }, [isLoading, messages, speechConfig.autoRead, speak]);
+
+  /**
+   * Saves the summary edited by the user
+   * @param {string} content - New summary content
+   */
+  const handleSaveSummary = async (content) => {
+    setSessionSummary(await chatHistoryService.updateSessionSummary(activeSessionId, content));
+  };
+
+  /**
+   * Removes the summary so older messages are sent again while they fit
+   */
+  const handleClearSummary = async () => {
+    await chatHistoryService.clearSessionSummary(activeSessionId);
+    setSessionSummary(null);
+  };
+
+  /**
+   * Saves the model, parameters and system prompt of the current conversation
+   * @param {Object} settings - New settings
+   */
+  const handleSaveSessionSettings = async (settings) => {
+    // The dialog doesn't edit the persona or the knowledge bases, so keep the ones picked in the header
+    const persona = sessionSettings?.personaId
+      ? { personaId: sessionSettings.personaId, personaVariables: sessionSettings.personaVariables }
+      : {};
+    await updateSessionSettings(activeSessionId, {
+      ...settings,
+      ...persona,
+      knowledgeBaseIds: sessionSettings?.knowledgeBaseIds || [],
+    });
+  };
+
+  /**
+   * Applies a persona (or removes it) to the current conversation
+   * @param {Object|null} persona - Persona from the library
+   * @param {Object} personaVariables - Values of its custom variables
+   */
+  const applyPersona = async (persona, personaVariables = {}) => {
+    const selection = persona ? { personaId: persona.id, personaVariables } : null;
+
+    if (activeSessionId && sessionSettings) {
+      const { personaId, personaVariables: previousVariables, ...settings } = sessionSettings;
+      await updateSessionSettings(activeSessionId, { ...settings, ...selection });
+    } else {
+      setPendingPersona(selection);
+    }
+  };
+
+  /**
+   * Picks a persona, asking for the custom variables that have no default value first
+   * @param {Object|null} persona - Persona from the library (null removes it)
+   * @returns {Promise<boolean>} Whether the persona was applied right away
+   */
+  const selectPersona = async (persona) => {
+    const missingVariables = (persona?.customVariables || []).filter(name => !persona.variables?.[name]);
+    if (missingVariables.length > 0) {
+      setPersonaVariablesTarget(persona);
+      return false;
+    }
+    await applyPersona(persona);
+    return true;
+  };
+
+  /**
+   * Handles the persona picked in the header
+   * @param {Object|null} persona - Persona from the library
+   */
+  const handleSelectPersona = async (persona) => {
+    try {
+      await selectPersona(persona);
+    } catch (err) {
+      setPickerError(err.message || 'Could not change the persona');
+    }
+  };
+
+  /**
+   * Handles the values filled in the persona variables dialog
+   * @param {Object} values - Values of the custom variables
+   */
+  const handleConfirmPersonaVariables = async (values) => {
+    const persona = personaVariablesTarget;
+    setPersonaVariablesTarget(null);
+    try {
+      await applyPersona(persona, values);
+    } catch (err) {
+      setPickerError(err.message || 'Could not change the persona');
+    }
+  };
+
+  /**
+   * Handles the knowledge bases picked in the header
+   * @param {string[]} knowledgeBaseIds - Bases searched before answering
+   */
+  const handleChangeKnowledgeBases = async (knowledgeBaseIds) => {
+    if (!(activeSessionId && sessionSettings)) {
+      setPendingKnowledgeBaseIds(knowledgeBaseIds);
+      return;
+    }
+    try {
+      await updateSessionSettings(activeSessionId, { ...sessionSettings, knowledgeBaseIds });
+    } catch (err) {
+      setPickerError(err.message || 'Could not change the knowledge bases');
+    }
+  };
+
+  /**
+   * Handles the /persona command typed in the message input
+   * @param {string} args - Persona name, "off" to remove it, or empty to list them
+   * @returns {Promise<string>} Message shown below the input
+   */
+  const handlePersonaCommand = async (args) => {
+    const name = args.trim();
+    if (!name) {
+      return personas.length
+        ? `Personas: ${personas.map(persona => persona.name).join(', ')}`
+        : 'No personas yet - create one in Settings > Personas';
+    }
+
+    if (['off', 'none'].includes(name.toLowerCase())) {
+      await applyPersona(null);
+      return 'Persona removed from this conversation';
+    }
+
+    const persona = findPersonaByName(name);
+    if (!persona) {
+      throw new Error(`Persona "${name}" not found`);
+    }
+
+    return (await selectPersona(persona))
+      ? `Using the persona ${persona.name}`
+      : `Fill in the variables of ${persona.name}`;
+  };
+
+  /**
+   * /imagine <description> - generates an image regardless of the intent router
+   * The command is sent as the message so the conversation shows what was asked
+   * @param {string} args - Image description
+   */
+  const handleImagineCommand = async (args) => {
+    const description = args.trim();
+    if (!description) {
+      throw new Error('Describe the image, e.g. /imagine a red fox in the snow');
+    }
+    await handleSendMessage(`/imagine ${description}`);
+    return null;
+  };
+
+  /**
+   * Handles slash commands typed in the message input
+   * @param {string} command - Command name (without the slash)
+   * @param {string} args - Text after the command
+   * @returns {Promise<string>} Message shown below the input
+   */
+  const handleCommand = async (command, args) => {
+    switch (command) {
+      case 'persona':
+        return handlePersonaCommand(args);
+      case 'imagine':
+        return handleImagineCommand(args);
+      default:
+        throw new Error(`Unknown command /${command}`);
+    }
+  };
 
   /**
    * Handles message sending
    * @param {string} message - Message to be sent
+   * @param {Array} attachments - Uploaded file attachments
    */
-  const handleSendMessage = async (message) => {
+  const handleSendMessage = async (message, attachments = []) => {
     try {
       // Let the backend create the session - it will return the sessionId
       // which gets synced back to useChat via ChatApiRepository
-      await sendMessage(message);
+      await sendMessage(message, attachments);
       
       // Refresh sessions to get the new one created by backend
       setTimeout(() => {
@@ -179,6 +447,23 @@ const ChatContainer = () => {
    * Handles settings opening
    */
   const handleOpenSettings = () => {
+    setSettingsTab(undefined);
+    setSettingsDialogOpen(true);
+  };
+
+  /**
+   * Opens the settings on the persona library
+   */
+  const handleManagePersonas = () => {
+    setSettingsTab(PERSONAS_TAB);
+    setSettingsDialogOpen(true);
+  };
+
+  /**
+   * Opens the settings on the knowledge bases
+   */
+  const handleManageKnowledgeBases = () => {
+    setSettingsTab(KNOWLEDGE_TAB);
     setSettingsDialogOpen(true);
   };
 
@@ -187,6 +472,9 @@ const ChatContainer = () => {
    */
   const handleCloseSettings = () => {
     setSettingsDialogOpen(false);
+    // The persona library and the knowledge bases may have changed
+    fetchPersonas();
+    fetchKnowledgeBases();
   };
 
   /**
@@ -215,6 +503,9 @@ const ChatContainer = () => {
       
       // Reset session ID (new session will be created on first message)
       setSession(null);
+      clearCurrentSession();
+      setPendingPersona(null);
+      setPendingKnowledgeBaseIds([]);
       
       // Clear session in chat service/repository
       if (chatService && chatService.createNewSession) {
@@ -237,6 +528,8 @@ const ChatContainer = () => {
     try {
 
       const session = await loadChatSession(chat.id);
+      setPendingPersona(null);
+      setPendingKnowledgeBaseIds([]);
 
       
       if (session) {
@@ -257,20 +550,26 @@ const ChatContainer = () => {
 
       }
       setSidebarOpen(false);
+      return session;
     } catch (err) {
       console.error('Error loading conversation:', err);
+      return null;
     }
   };
 
   /**
-   * Handles conversation search
+   * Opens the conversation of a message search hit and scrolls to the message
+   * @param {Object} hit - Search hit ({ sessionId, messageId })
    */
-  const handleSearchChats = async (query) => {
-    try {
-      await searchChatSessions(query);
-    } catch (err) {
-      console.error('Error searching conversations:', err);
+  const handleOpenSearchResult = async (hit) => {
+    const session = await handleSelectChat({ id: hit.sessionId });
+
+    // The hit may live in a branch that is not the one shown
+    if (session && !(session.messages || []).some(message => message.id === hit.messageId)) {
+      await switchBranch(hit.messageId, hit.sessionId);
     }
+
+    setHighlightedMessage({ id: hit.messageId, at: Date.now() });
   };
 
   /**
@@ -319,6 +618,34 @@ const ChatContainer = () => {
     }
   };
 
+  /**
+   * Downloads a conversation from the sidebar
+   * @param {string} sessionId - Session ID
+   * @param {'json'|'markdown'|'html'} format - File format
+   */
+  const handleExportChat = async (sessionId, format) => {
+    try {
+      await exportChatSession(sessionId, format);
+    } catch (err) {
+      console.error('Error exporting conversation:', err);
+    }
+  };
+
+  /**
+   * Imports conversations from a file and opens the first one
+   * @param {File} file - XandAI or ChatGPT export
+   */
+  const handleImportChats = async (file) => {
+    try {
+      const sessions = await importChatSessions(file);
+      if (sessions && sessions.length > 0) {
+        await handleSelectChat(sessions[0]);
+      }
+    } catch (err) {
+      console.error('Error importing conversations:', err);
+    }
+  };
+
   /**
    * Handles history errors
    */
@@ -371,9 +698,12 @@ const ChatContainer = () => {
         onNewChat={handleNewChat}
         chatHistory={chatSessions}
         onSelectChat={handleSelectChat}
-        onSearchChats={handleSearchChats}
+        onSearchMessages={searchMessages}
+        onSelectSearchResult={handleOpenSearchResult}
         onEditTitle={handleEditTitle}
         onDeleteChat={handleDeleteChat}
+        onExportChat={handleExportChat}
+        onImportChats={handleImportChats}
         currentChatId={currentSessionId}
         isLoading={isLoadingHistory}
         isLoadingSession={isLoadingSession}
@@ -388,7 +718,21 @@ const ChatContainer = () => {
             onClearChat={handleClearDialogOpen}
             onRefresh={handleRefresh}
             onSettings={handleOpenSettings}
+            onOpenGallery={() => setGalleryOpen(true)}
             onWhatsApp={() => setWhatsappDialogOpen(true)}
+            summary={sessionSummary}
+            onOpenSummary={() => setSummaryDialogOpen(true)}
+            sessionSettings={sessionSettings}
+            onOpenSessionSettings={() => setSessionSettingsDialogOpen(true)}
+            personas={personas}
+            activePersonaId={activePersonaId}
+            onSelectPersona={handleSelectPersona}
+            onManagePersonas={handleManagePersonas}
+            knowledgeBases={knowledgeBases}
+            activeKnowledgeBaseIds={activeKnowledgeBaseIds}
+            onChangeKnowledgeBases={handleChangeKnowledgeBases}
+            onManageKnowledgeBases={handleManageKnowledgeBases}
+            hasImages={hasImages}
             messageCount={messageCount}
             isTyping={isTyping}
           />
@@ -400,12 +744,21 @@ const ChatContainer = () => {
               isLoading={isLoading}
               isTyping={isTyping}
               onImageGenerated={handleImageGenerated}
+              onRegenerate={regenerateMessage}
+              onEdit={editMessage}
+              onSwitchBranch={switchBranch}
+              highlightedMessage={highlightedMessage}
             />
           </Box>
 
           {/* Message input */}
           <MessageInput
             onSendMessage={handleSendMessage}
+            onUploadFile={uploadAttachment}
+            onTranscribeAudio={transcribeAudio}
+            onCommand={handleCommand}
+            onAttachmentsChange={setPendingAttachments}
+            onStop={stopGeneration}
             disabled={isLoading}
             isLoading={isLoading}
             placeholder={
@@ -458,10 +811,50 @@ const ChatContainer = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Conversation summary dialog */}
+      <SessionSummaryDialog
+        open={summaryDialogOpen}
+        onClose={() => setSummaryDialogOpen(false)}
+        summary={sessionSummary}
+        onSave={handleSaveSummary}
+        onClear={handleClearSummary}
+      />
+
+      {/* Conversation settings dialog (mounted only while open: it loads the model lists) */}
+      {sessionSettingsDialogOpen && (
+        <SessionSettingsDialog
+          open={sessionSettingsDialogOpen}
+          onClose={() => setSessionSettingsDialogOpen(false)}
+          settings={sessionSettings}
+          onSave={handleSaveSessionSettings}
+        />
+      )}
+
+      {/* Persona variables dialog */}
+      <PersonaVariablesDialog
+        open={!!personaVariablesTarget}
+        onClose={() => setPersonaVariablesTarget(null)}
+        persona={personaVariablesTarget}
+        initialValues={personaVariablesTarget?.id === activePersonaId
+          ? (sessionSettings?.personaVariables || pendingPersona?.personaVariables)
+          : undefined}
+        onConfirm={handleConfirmPersonaVariables}
+      />
+
+      {/* Generated image gallery (mounted only while open: it loads the images) */}
+      {galleryOpen && (
+        <ImageGalleryDialog
+          open={galleryOpen}
+          onClose={() => setGalleryOpen(false)}
+          onOpenMessage={handleOpenSearchResult}
+        />
+      )}
+
       {/* Settings dialog */}
       <SettingsDialog
         open={settingsDialogOpen}
         onClose={handleCloseSettings}
+        initialTab={settingsTab}
       />
 
       {/* WhatsApp dialog */}
@@ -502,6 +895,23 @@ const ChatContainer = () => {
         </Alert>
       </Snackbar>
 
+      {/* Snackbar for persona and knowledge base errors */}
+      <Snackbar
+        open={!!pickerError}
+        autoHideDuration={6000}
+        onClose={() => setPickerError(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert 
+          onClose={() => setPickerError(null)} 
+          severity="error" 
+          variant="filled"
+          sx={{ width: '100%' }}
+        >
+          {pickerError}
+        </Alert>
+      </Snackbar>
+
       {/* Snackbar for history errors */}
       <Snackbar
         open={!!historyError}
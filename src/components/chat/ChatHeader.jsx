@@ -28,12 +28,21 @@ import {
   Person as PersonIcon,
   Logout as LogoutIcon,
   AccountCircle as AccountIcon,
-  WhatsApp as WhatsAppIcon
+  WhatsApp as WhatsAppIcon,
+  Summarize as SummaryIcon,
+  Tune as TuneIcon,
+  PhotoLibrary as GalleryIcon,
+  AdminPanelSettings as AdminIcon
 } from '@mui/icons-material';
 import ModelSelector from './ModelSelector';
 import ProviderSelector from './ProviderSelector';
 import ModelStatusIndicator from './ModelStatusIndicator';
+import PersonaPicker from './PersonaPicker';
+import KnowledgeBasePicker from './KnowledgeBasePicker';
+import ProfileDialog from '../auth/ProfileDialog';
+import AdminDialog from '../admin/AdminDialog';
 import { useAuth } from '../../contexts/AuthContext';
+import systemSettingsService from '../../services/SystemSettingsService';
 import { useDynamicLLM } from '../../application/hooks/useDynamicLLM';
 
 /**
@@ -43,6 +52,20 @@ import { useDynamicLLM } from '../../application/hooks/useDynamicLLM';
  * @param {Function} props.onClearChat - Callback to clear chat (receives mode: 'messages' or 'conversation')
  * @param {Function} props.onRefresh - Callback to refresh
  * @param {Function} props.onSettings - Callback to open settings
+ * @param {Function} props.onOpenGallery - Callback to open the generated image gallery
+ * @param {Object|null} props.summary - Rolling summary of the current conversation, if any
+ * @param {Function} props.onOpenSummary - Callback to view/edit the summary
+ * @param {Object|null} props.sessionSettings - Model, parameters and system prompt of the current conversation, if any
+ * @param {Function} props.onOpenSessionSettings - Callback to view/edit the conversation settings
+ * @param {Array} props.personas - Personas of the library, for the persona picker
+ * @param {string|null} props.activePersonaId - Persona of the current conversation, if any
+ * @param {Function} props.onSelectPersona - Callback with the picked persona (null removes it)
+ * @param {Function} props.onManagePersonas - Callback to open the persona library
+ * @param {Array} props.knowledgeBases - Knowledge bases of the user, for the knowledge picker
+ * @param {string[]} props.activeKnowledgeBaseIds - Bases searched in the current conversation
+ * @param {Function} props.onChangeKnowledgeBases - Callback with the picked base IDs
+ * @param {Function} props.onManageKnowledgeBases - Callback to open the knowledge base settings
+ * @param {boolean} props.hasImages - Whether the conversation or the pending message has images (warns about non-vision models)
  * @param {number} props.messageCount - Number of messages
  * @param {boolean} props.isTyping - Whether it's typing
  * @returns {JSX.Element}
@@ -52,21 +75,40 @@ const ChatHeader = ({
   onClearChat, 
   onRefresh,
   onSettings,
+  onOpenGallery,
   onWhatsApp,
+  summary = null,
+  onOpenSummary,
+  sessionSettings = null,
+  onOpenSessionSettings,
+  personas = [],
+  activePersonaId = null,
+  onSelectPersona,
+  onManagePersonas,
+  knowledgeBases = [],
+  activeKnowledgeBaseIds = [],
+  onChangeKnowledgeBases,
+  onManageKnowledgeBases,
+  hasImages = false,
   messageCount = 0,
   isTyping = false
 }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
-  const { user, logout, getFullName, getInitials } = useAuth();
+  const { user, logout, getFullName, getInitials, isAdmin } = useAuth();
   const { config } = useDynamicLLM();
   const [userMenuAnchor, setUserMenuAnchor] = useState(null);
   const [clearMenuAnchor, setClearMenuAnchor] = useState(null);
+  const [profileOpen, setProfileOpen] = useState(false);
+  const [adminOpen, setAdminOpen] = useState(false);
 
-  // Determine active provider
-  const activeProvider = localStorage.getItem('active-provider') || 'ollama';
+  // Determine active provider (the administrator's default until the user picks one)
+  const activeProvider = systemSettingsService.getActiveProvider();
   const isDynamicLLM = activeProvider === 'dynamic_llm';
 
+  // Model of the current conversation (Dynamic LLM models are file paths)
+  const sessionModel = sessionSettings?.model?.split('/').pop();
+
   // Bot status
   const botStatus = isTyping ? 'typing...' : 'online';
   const statusColor = isTyping ? 'warning' : 'success';
@@ -98,8 +140,15 @@ const ChatHeader = ({
    */
   const handleProfile = () => {
     handleUserMenuClose();
-    // TODO: Implement profile page
-    console.log('Open profile');
+    setProfileOpen(true);
+  };
+
+  /**
+   * Opens the admin console
+   */
+  const handleAdmin = () => {
+    handleUserMenuClose();
+    setAdminOpen(true);
   };
 
   /**
@@ -216,6 +265,67 @@ const ChatHeader = ({
                   }}
                 />
               )}
+
+              {/* Summary indicator: older messages are sent to the model as a summary */}
+              {summary && onOpenSummary && (
+                <Tooltip title={`Older messages are summarized${summary.summarizedMessageCount ? ` (${summary.summarizedMessageCount})` : ''} - click to view or edit`}>
+                  <Chip
+                    icon={<SummaryIcon sx={{ fontSize: 14 }} />}
+                    label={isMobile ? undefined : 'Summary'}
+                    size="small"
+                    variant="outlined"
+                    color="info"
+                    onClick={onOpenSummary}
+                    sx={{
+                      height: 20,
+                      fontSize: '0.7rem',
+                      '& .MuiChip-label': isMobile ? { px: 0.5 } : undefined,
+                    }}
+                  />
+                </Tooltip>
+              )}
+
+              {/* Conversation settings: this chat keeps its own model, parameters and system prompt */}
+              {sessionSettings && onOpenSessionSettings && (
+                <Tooltip title={`This conversation uses ${sessionSettings.model || 'the default model'} - click to change its model, parameters or system prompt`}>
+                  <Chip
+                    icon={<TuneIcon sx={{ fontSize: 14 }} />}
+                    label={isMobile ? undefined : (sessionModel || 'Chat settings')}
+                    size="small"
+                    variant="outlined"
+                    color="primary"
+                    onClick={onOpenSessionSettings}
+                    sx={{
+                      height: 20,
+                      maxWidth: 220,
+                      fontSize: '0.7rem',
+                      '& .MuiChip-label': isMobile ? { px: 0.5 } : undefined,
+                    }}
+                  />
+                </Tooltip>
+              )}
+
+              {/* Persona of the conversation (library system prompt) */}
+              {onSelectPersona && (
+                <PersonaPicker
+                  personas={personas}
+                  activePersonaId={activePersonaId}
+                  onSelect={onSelectPersona}
+                  onManage={onManagePersonas}
+                  compact={isMobile}
+                />
+              )}
+
+              {/* Knowledge bases searched before answering */}
+              {onChangeKnowledgeBases && (
+                <KnowledgeBasePicker
+                  knowledgeBases={knowledgeBases}
+                  activeIds={activeKnowledgeBaseIds}
+                  onChange={onChangeKnowledgeBases}
+                  onManage={onManageKnowledgeBases}
+                  compact={isMobile}
+                />
+              )}
             </Box>
           </Box>
         </Box>
@@ -234,7 +344,7 @@ const ChatHeader = ({
             />
 
             {/* Model selector for Ollama */}
-            {!isDynamicLLM && <ModelSelector onOpenSettings={onSettings} />}
+            {!isDynamicLLM && <ModelSelector onOpenSettings={onSettings} hasImages={hasImages} />}
 
             {/* Model status indicator for Dynamic LLM */}
             {isDynamicLLM && config.model && (
@@ -266,6 +376,19 @@ const ChatHeader = ({
             </Tooltip>
           )}
 
+          {/* Image gallery button */}
+          {onOpenGallery && (
+            <Tooltip title="Image gallery">
+              <IconButton
+                color="inherit"
+                onClick={onOpenGallery}
+                size={isMobile ? 'small' : 'medium'}
+              >
+                <GalleryIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+
           {/* Settings button */}
           <Tooltip title="Settings">
             <IconButton
@@ -424,6 +547,17 @@ const ChatHeader = ({
           </ListItemText>
         </MenuItem>
 
+        {isAdmin() && (
+          <MenuItem onClick={handleAdmin}>
+            <ListItemIcon>
+              <AdminIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>
+              Administration
+            </ListItemText>
+          </MenuItem>
+        )}
+
         <Divider />
 
         <MenuItem onClick={handleLogout}>
@@ -435,6 +569,14 @@ const ChatHeader = ({
           </ListItemText>
         </MenuItem>
       </Menu>
+
+      {profileOpen && (
+        <ProfileDialog open={profileOpen} onClose={() => setProfileOpen(false)} />
+      )}
+
+      {adminOpen && isAdmin() && (
+        <AdminDialog open={adminOpen} onClose={() => setAdminOpen(false)} />
+      )}
     </AppBar>
   );
 };
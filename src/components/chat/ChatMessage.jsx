@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Paper,
@@ -7,6 +7,11 @@ import {
   Chip,
   Card,
   CardMedia,
+  Tooltip,
+  IconButton,
+  TextField,
+  Button,
+  Skeleton,
   useTheme,
   useMediaQuery
 } from '@mui/material';
@@ -15,19 +20,152 @@ import {
   SmartToy as BotIcon,
   MoreHoriz as TypingIcon,
   Speed as SpeedIcon,
-  Timer as TimerIcon
+  Timer as TimerIcon,
+  InsertDriveFile as FileIcon,
+  StopCircleOutlined as StoppedIcon,
+  Memory as ContextIcon,
+  Refresh as RegenerateIcon,
+  Edit as EditIcon,
+  ChevronLeft as PreviousIcon,
+  ChevronRight as NextIcon,
+  VolumeUp as SpeakIcon,
+  VolumeOff as StopSpeakingIcon,
+  MenuBook as SourceIcon,
+  Image as ImageIcon
 } from '@mui/icons-material';
 import MarkdownRenderer from '../common/MarkdownRenderer';
+import ToolCallBlock from '../common/ToolCallBlock';
 import GenerateImageButton from './GenerateImageButton';
+import GeneratedImageActions from './GeneratedImageActions';
+import { useTextToSpeech } from '../../application/hooks/useTextToSpeech';
+import authService from '../../services/AuthService';
+
+/**
+ * Formata o tamanho de um arquivo para exibição
+ * @param {number} bytes - Tamanho em bytes
+ * @returns {string}
+ */
+const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Formata contagens de tokens de forma compacta (ex: 1.2k)
+ * @param {number} tokens - Número de tokens
+ * @returns {string}
+ */
+const formatTokenCount = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : `${tokens}`);
+
+/**
+ * Baixa um arquivo anexado (a rota exige autenticação, então não basta um link)
+ * @param {Object} attachment - Anexo do tipo 'file'
+ */
+const downloadFileAttachment = async (attachment) => {
+  try {
+    const API_BASE = process.env.REACT_APP_API_URL || '';
+    const response = await authService.authenticatedFetch(`${API_BASE}${attachment.url}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const blobUrl = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = attachment.originalName || attachment.filename;
+    link.click();
+    URL.revokeObjectURL(blobUrl);
+  } catch (error) {
+    console.error('Erro ao baixar anexo:', error);
+  }
+};
+
+/**
+ * Verifica se o anexo é uma imagem enviada pelo usuário (enviada aos modelos de visão)
+ * @param {Object} attachment - Anexo da mensagem
+ * @returns {boolean}
+ */
+const isUploadedImage = (attachment) => attachment.type === 'file' && !!attachment.mimeType?.startsWith('image/');
+
+/**
+ * Miniatura de uma imagem enviada pelo usuário (carregada com autenticação, como os downloads)
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.attachment - Anexo do tipo 'file' com mimeType de imagem
+ * @returns {JSX.Element}
+ */
+const UploadedImage = ({ attachment }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    const API_BASE = process.env.REACT_APP_API_URL || '';
+
+    authService.authenticatedFetch(`${API_BASE}${attachment.url}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.blob();
+      })
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(error => console.error('Erro ao carregar imagem anexada:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment.url]);
+
+  if (!src) {
+    return <Skeleton variant="rounded" width={160} height={120} />;
+  }
+
+  return (
+    <Tooltip title={attachment.originalName || attachment.filename}>
+      <Box
+        component="img"
+        src={src}
+        alt={attachment.originalName || attachment.filename}
+        onClick={() => downloadFileAttachment(attachment)}
+        sx={{
+          display: 'block',
+          maxWidth: 240,
+          maxHeight: 180,
+          borderRadius: 1.5,
+          objectFit: 'cover',
+          cursor: 'pointer',
+        }}
+      />
+    </Tooltip>
+  );
+};
 
 /**
  * Componente para exibir uma mensagem individual no chat
  * @param {Object} props - Propriedades do componente
  * @param {Message} props.message - Objeto da mensagem
  * @param {boolean} props.showAvatar - Se deve mostrar o avatar
+ * @param {Function} props.onRegenerate - Gera outra resposta para esta mensagem do assistente (messageId, options) (opcional)
+ * @param {Function} props.onEdit - Reenvia esta pergunta com novo conteúdo (opcional)
+ * @param {Function} props.onSwitchBranch - Mostra outra alternativa desta mensagem (opcional)
+ * @param {boolean} props.actionsDisabled - Desabilita regenerar/editar/navegar (ex: durante uma resposta)
  * @returns {JSX.Element}
  */
-const ChatMessage = ({ message, showAvatar = true, onImageGenerated }) => {
+const ChatMessage = ({
+  message,
+  showAvatar = true,
+  onImageGenerated,
+  onRegenerate,
+  onEdit,
+  onSwitchBranch,
+  actionsDisabled = false
+}) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   
@@ -35,8 +173,36 @@ const ChatMessage = ({ message, showAvatar = true, onImageGenerated }) => {
   const isUser = message.isFromUser ? message.isFromUser() : (message.isUser || message.sender === 'user');
   const isTyping = message.isTyping || false;
   const isStreaming = message.isStreaming || false;
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState('');
+  const { speakingId, speak, stop: stopSpeaking, error: speechError } = useTextToSpeech();
+  const isSpeaking = speakingId === message.id;
 
+  // Alternativas criadas ao regenerar/editar (mesma mensagem anterior)
+  const siblingIds = message.siblingIds || [];
+  const siblingIndex = siblingIds.indexOf(message.id);
+  const hasAlternatives = siblingIds.length > 1 && siblingIndex !== -1;
 
+  const generatedImages = (message.attachments || []).filter(attachment => attachment.type === 'image');
+
+  const startEditing = () => {
+    setEditContent(message.content);
+    setIsEditing(true);
+  };
+
+  const submitEdit = () => {
+    const content = editContent.trim();
+    setIsEditing(false);
+    if (content && content !== message.content.trim()) {
+      onEdit(message.id, content);
+    }
+  };
+
+  // Estilo dos botões de ação compactos
+  const actionButtonStyle = {
+    p: 0.25,
+    color: isUser ? 'rgba(0, 0, 0, 0.7)' : theme.palette.text.secondary,
+  };
 
   // Estilo base da mensagem
   const messageBoxStyle = {
@@ -141,61 +307,197 @@ const ChatMessage = ({ message, showAvatar = true, onImageGenerated }) => {
             <TypingIndicator />
           ) : (
             <>
+              {/* Ferramentas chamadas pelo modelo antes de responder */}
+              {!isUser && message.metadata?.toolCalls?.length > 0 && (
+                <Box sx={{ mb: 1 }}>
+                  {message.metadata.toolCalls.map(toolCall => (
+                    <ToolCallBlock key={toolCall.id} toolCall={toolCall} />
+                  ))}
+                </Box>
+              )}
+
               {/* Conteúdo da mensagem */}
               <Box sx={{ mb: 0.5 }}>
-                <MarkdownRenderer 
-                  content={message.content} 
-                  isUserMessage={isUser}
-                />
-                {isStreaming && <StreamingCursor />}
+                {isEditing ? (
+                  <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                    <TextField
+                      value={editContent}
+                      onChange={(e) => setEditContent(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          e.preventDefault();
+                          submitEdit();
+                        } else if (e.key === 'Escape') {
+                          setIsEditing(false);
+                        }
+                      }}
+                      multiline
+                      maxRows={10}
+                      fullWidth
+                      autoFocus
+                      size="small"
+                      sx={{ bgcolor: 'background.paper', borderRadius: 1 }}
+                    />
+                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                      <Button size="small" color="inherit" onClick={() => setIsEditing(false)}>
+                        Cancel
+                      </Button>
+                      <Button size="small" variant="contained" color="secondary" onClick={submitEdit} disabled={!editContent.trim()}>
+                        Send
+                      </Button>
+                    </Box>
+                  </Box>
+                ) : (
+                  <>
+                    <MarkdownRenderer 
+                      content={message.content} 
+                      isUserMessage={isUser}
+                    />
+                    {isStreaming && <StreamingCursor />}
+                  </>
+                )}
               </Box>
 
               {/* Imagens anexadas do histórico */}
               {message.attachments && message.attachments.length > 0 && (
                 <Box sx={{ mt: 1.5, mb: 1 }}>
                   {console.log('Message attachments:', message.attachments)}
-                  {message.attachments
-                    .filter(attachment => attachment.type === 'image')
-                    .map((attachment, index) => (
-                      <Box key={index} sx={{ mb: 1.5, display: 'flex', justifyContent: 'center' }}>
-                        <Card 
-                          sx={{ 
-                            maxWidth: 380, 
-                            borderRadius: 2,
-                            boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
-                            overflow: 'hidden',
-                            bgcolor: 'background.paper'
-                          }}
-                        >
-                          <CardMedia
-                            component="img"
-                            image={attachment.url}
-                            alt={`Imagem anexada: ${attachment.filename}`}
-                            sx={{ 
-                              width: '100%',
-                              height: 'auto',
-                              maxHeight: 350,
-                              objectFit: 'cover',
-                              display: 'block'
+                  {/* Lotes de imagens geradas aparecem em grade */}
+                  {generatedImages.length > 0 && (
+                    <Box
+                      sx={{
+                        mb: 1.5,
+                        mx: 'auto',
+                        maxWidth: generatedImages.length > 1 ? 560 : 380,
+                        display: 'grid',
+                        gridTemplateColumns: generatedImages.length > 1 ? 'repeat(2, minmax(0, 1fr))' : '1fr',
+                        gap: 1.5
+                      }}
+                    >
+                      {generatedImages
+                        .map((attachment, index) => (
+                          <Box key={attachment.filename || index}>
+                            <Card 
+                              sx={{ 
+                                borderRadius: 2,
+                                boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+                                overflow: 'hidden',
+                                bgcolor: 'background.paper'
+                              }}
+                            >
+                              <CardMedia
+                                component="img"
+                                image={attachment.url}
+                                alt={`Imagem anexada: ${attachment.filename}`}
+                                sx={{ 
+                                  width: '100%',
+                                  height: 'auto',
+                                  maxHeight: 350,
+                                  objectFit: 'cover',
+                                  display: 'block'
+                                }}
+                              />
+                              {attachment.originalPrompt && (
+                                <Box sx={{ p: 1, bgcolor: 'background.default', borderTop: '1px solid', borderColor: 'divider' }}>
+                                  <Typography 
+                                    variant="caption" 
+                                    color="text.secondary"
+                                    sx={{ fontSize: '0.7rem', fontStyle: 'italic', lineHeight: 1.2 }}
+                                  >
+                                    Prompt: {attachment.originalPrompt}
+                                  </Typography>
+                                </Box>
+                              )}
+                              {/* Variar, editar região e ampliar imagens geradas pelo Stable Diffusion */}
+                              {!isStreaming && attachment.url?.startsWith('/api/v1/stable-diffusion/images/') && (
+                                <GeneratedImageActions
+                                  attachment={attachment}
+                                  messageId={message.id}
+                                  onImageGenerated={onImageGenerated}
+                                />
+                              )}
+                            </Card>
+                          </Box>
+                        ))}
+                    </Box>
+                  )}
+
+                  {/* Imagens enviadas pelo usuário para modelos de visão */}
+                  {message.attachments.some(isUploadedImage) && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+                      {message.attachments
+                        .filter(isUploadedImage)
+                        .map((attachment, index) => (
+                          <UploadedImage key={attachment.filename || index} attachment={attachment} />
+                        ))}
+                    </Box>
+                  )}
+
+                  {/* Documentos anexados (PDF, texto, código) */}
+                  {message.attachments.some(attachment => attachment.type === 'file' && !isUploadedImage(attachment)) && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                      {message.attachments
+                        .filter(attachment => attachment.type === 'file' && !isUploadedImage(attachment))
+                        .map((attachment, index) => (
+                          <Chip
+                            key={attachment.filename || index}
+                            icon={<FileIcon fontSize="small" />}
+                            label={[attachment.originalName || attachment.filename, formatFileSize(attachment.size)]
+                              .filter(Boolean)
+                              .join(' · ')}
+                            size="small"
+                            variant="outlined"
+                            clickable
+                            onClick={() => downloadFileAttachment(attachment)}
+                            sx={{
+                              maxWidth: 280,
+                              color: 'inherit',
+                              borderColor: isUser ? 'rgba(0, 0, 0, 0.3)' : theme.palette.divider,
+                              '& .MuiChip-icon': { color: 'inherit' },
                             }}
                           />
-                          {attachment.originalPrompt && (
-                            <Box sx={{ p: 1, bgcolor: 'background.default', borderTop: '1px solid', borderColor: 'divider' }}>
-                              <Typography 
-                                variant="caption" 
-                                color="text.secondary"
-                                sx={{ fontSize: '0.7rem', fontStyle: 'italic', lineHeight: 1.2 }}
-                              >
-                                Prompt: {attachment.originalPrompt}
-                              </Typography>
-                            </Box>
-                          )}
-                        </Card>
-                      </Box>
-                    ))}
+                        ))}
+                    </Box>
+                  )}
                 </Box>
               )}
 
+              {/* Fontes das bases de conhecimento citadas como [n] na resposta */}
+              {!isUser && message.metadata?.sources?.length > 0 && (
+                <Box sx={{ mt: 1.5, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.75 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    Sources:
+                  </Typography>
+                  {message.metadata.sources.map(source => (
+                    <Tooltip
+                      key={`${source.documentId}-${source.index}`}
+                      title={
+                        <Box>
+                          <Typography variant="caption" sx={{ fontWeight: 600, display: 'block' }}>
+                            {source.knowledgeBaseName} · {source.documentName}
+                          </Typography>
+                          <Typography variant="caption" sx={{ whiteSpace: 'pre-wrap', display: 'block' }}>
+                            {source.excerpt}
+                          </Typography>
+                        </Box>
+                      }
+                    >
+                      <Chip
+                        icon={<SourceIcon sx={{ fontSize: 14 }} />}
+                        label={`[${source.index}] ${source.documentName}`}
+                        size="small"
+                        variant="outlined"
+                        sx={{
+                          height: 22,
+                          maxWidth: 240,
+                          fontSize: '0.7rem',
+                          borderColor: theme.palette.divider,
+                        }}
+                      />
+                    </Tooltip>
+                  ))}
+                </Box>
+              )}
 
               {/* Informações da mensagem */}
               <Box sx={{ 
@@ -230,6 +532,115 @@ const ChatMessage = ({ message, showAvatar = true, onImageGenerated }) => {
                     />
                   )}
 
+                  {/* Navegação entre alternativas (< 2/3 >) */}
+                  {hasAlternatives && !isStreaming && (
+                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                      <IconButton
+                        size="small"
+                        sx={actionButtonStyle}
+                        disabled={actionsDisabled || siblingIndex === 0}
+                        onClick={() => onSwitchBranch?.(siblingIds[siblingIndex - 1])}
+                      >
+                        <PreviousIcon sx={{ fontSize: 16 }} />
+                      </IconButton>
+                      <Typography variant="caption" sx={{ color: actionButtonStyle.color, fontSize: '0.7rem' }}>
+                        {siblingIndex + 1}/{siblingIds.length}
+                      </Typography>
+                      <IconButton
+                        size="small"
+                        sx={actionButtonStyle}
+                        disabled={actionsDisabled || siblingIndex === siblingIds.length - 1}
+                        onClick={() => onSwitchBranch?.(siblingIds[siblingIndex + 1])}
+                      >
+                        <NextIcon sx={{ fontSize: 16 }} />
+                      </IconButton>
+                    </Box>
+                  )}
+
+                  {/* Regenerar resposta / editar pergunta */}
+                  {!isUser && !isStreaming && onRegenerate && (
+                    <Tooltip title="Regenerate response">
+                      <span>
+                        <IconButton
+                          size="small"
+                          sx={actionButtonStyle}
+                          disabled={actionsDisabled}
+                          onClick={() => onRegenerate(message.id)}
+                        >
+                          <RegenerateIcon sx={{ fontSize: 16 }} />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  )}
+                  {/* O roteador achou que podia ser um pedido de imagem, mas respondeu com texto */}
+                  {!isUser && !isStreaming && onRegenerate && message.metadata?.intent?.suggestion === 'image' && (
+                    <Tooltip title="Answer this question with a generated image instead (kept as an alternative)">
+                      <span>
+                        <Button
+                          size="small"
+                          variant="outlined"
+                          color="secondary"
+                          startIcon={<ImageIcon sx={{ fontSize: 14 }} />}
+                          disabled={actionsDisabled}
+                          onClick={() => onRegenerate(message.id, { intent: 'image' })}
+                          sx={{ height: 24, fontSize: '0.7rem', textTransform: 'none', px: 1 }}
+                        >
+                          Generate image instead
+                        </Button>
+                      </span>
+                    </Tooltip>
+                  )}
+                  {/* Ler resposta em voz alta */}
+                  {!isUser && !isStreaming && message.content && (
+                    <Tooltip title={speechError ? `Read aloud failed: ${speechError}` : isSpeaking ? 'Stop reading' : 'Read aloud'}>
+                      <IconButton
+                        size="small"
+                        sx={{
+                          ...actionButtonStyle,
+                          ...(isSpeaking && { color: theme.palette.primary.main }),
+                          ...(speechError && { color: theme.palette.error.main }),
+                        }}
+                        aria-label={isSpeaking ? 'Stop reading' : 'Read aloud'}
+                        onClick={() => (isSpeaking ? stopSpeaking() : speak(message.id, message.content))}
+                      >
+                        {isSpeaking ? <StopSpeakingIcon sx={{ fontSize: 16 }} /> : <SpeakIcon sx={{ fontSize: 16 }} />}
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  {isUser && !isEditing && onEdit && (
+                    <Tooltip title="Edit and resend">
+                      <span>
+                        <IconButton
+                          size="small"
+                          sx={actionButtonStyle}
+                          disabled={actionsDisabled}
+                          onClick={startEditing}
+                        >
+                          <EditIcon sx={{ fontSize: 16 }} />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  )}
+
+                  {/* Resposta interrompida pelo usuário */}
+                  {!isUser && !isStreaming && message.metadata?.cancelled && (
+                    <Chip
+                      icon={<StoppedIcon sx={{ fontSize: 12 }} />}
+                      label="Stopped"
+                      size="small"
+                      variant="outlined"
+                      sx={{
+                        height: 20,
+                        fontSize: '0.7rem',
+                        borderColor: theme.palette.warning.main,
+                        color: theme.palette.warning.main,
+                        '& .MuiChip-icon': {
+                          color: theme.palette.warning.main,
+                        }
+                      }}
+                    />
+                  )}
+
                   {/* Métricas de performance (apenas para mensagens do assistente) */}
                   {!isUser && message.metadata && !isStreaming && (
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, flexWrap: 'wrap' }}>
@@ -250,6 +661,31 @@ const ChatMessage = ({ message, showAvatar = true, onImageGenerated }) => {
                           }}
                         />
                       )}
+                      {message.metadata.context && (
+                        <Tooltip
+                          title={`~${message.metadata.context.promptTokens} of ${message.metadata.context.contextLength} context tokens used` +
+                            (message.metadata.context.droppedMessages > 0
+                              ? ` · ${message.metadata.context.droppedMessages} older message(s) left out`
+                              : '') +
+                            (message.metadata.context.summaryIncluded ? ' · earlier messages sent as a summary' : '')}
+                        >
+                          <Chip
+                            icon={<ContextIcon sx={{ fontSize: 12 }} />}
+                            label={`${formatTokenCount(message.metadata.context.promptTokens)}/${formatTokenCount(message.metadata.context.contextLength)}`}
+                            size="small"
+                            variant="outlined"
+                            sx={{
+                              height: 20,
+                              fontSize: '0.7rem',
+                              borderColor: theme.palette.divider,
+                              color: theme.palette.text.secondary,
+                              '& .MuiChip-icon': {
+                                color: theme.palette.text.secondary,
+                              }
+                            }}
+                          />
+                        </Tooltip>
+                      )}
                       {message.metadata.processingTime && message.metadata.processingTime > 0 && (
                         <Chip
                           icon={<TimerIcon sx={{ fontSize: 12 }} />}
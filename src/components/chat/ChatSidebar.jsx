@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -22,7 +22,9 @@ import {
   Dialog,
   DialogTitle,
   DialogContent,
-  DialogActions
+  DialogActions,
+  Menu,
+  MenuItem
 } from '@mui/material';
 import {
   Close as CloseIcon,
@@ -32,9 +34,15 @@ import {
   History as HistoryIcon,
   Delete as DeleteIcon,
   Edit as EditIcon,
-  MoreVert as MoreIcon
+  MoreVert as MoreIcon,
+  FileDownload as ExportIcon,
+  FileUpload as ImportIcon,
+  FilterList as FilterIcon
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import MessageSearchResults from './MessageSearchResults';
+
+const EMPTY_SEARCH_FILTERS = { role: '', model: '', dateFrom: '', dateTo: '' };
 
 /**
  * Sidebar component with conversation history
@@ -44,9 +52,12 @@ import { useAuth } from '../../contexts/AuthContext';
  * @param {Function} props.onNewChat - Callback to start new chat
  * @param {Array} props.chatHistory - List of conversation history
  * @param {Function} props.onSelectChat - Callback to select a conversation
- * @param {Function} props.onSearchChats - Callback to search conversations
+ * @param {Function} props.onSearchMessages - Callback to search message content (query, filters) => Promise<{results, total}>
+ * @param {Function} props.onSelectSearchResult - Callback when a message search hit is clicked
  * @param {Function} props.onEditTitle - Callback to edit title
  * @param {Function} props.onDeleteChat - Callback to delete conversation
+ * @param {Function} props.onExportChat - Callback to export a conversation (id, format)
+ * @param {Function} props.onImportChats - Callback to import conversations from a file
  * @param {string} props.currentChatId - Current conversation ID
  * @param {boolean} props.isLoading - Whether it's loading the history
  * @param {boolean} props.isLoadingSession - Whether it's loading a session
@@ -57,9 +68,12 @@ const ChatSidebar = ({
   onNewChat, 
   chatHistory = [], 
   onSelectChat,
-  onSearchChats,
+  onSearchMessages,
+  onSelectSearchResult,
   onEditTitle,
   onDeleteChat,
+  onExportChat,
+  onImportChats,
   currentChatId,
   isLoading = false,
   isLoadingSession = false
@@ -73,6 +87,17 @@ const ChatSidebar = ({
   const [editTitle, setEditTitle] = useState('');
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [chatToDelete, setChatToDelete] = useState(null);
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [menuChat, setMenuChat] = useState(null);
+  const importInputRef = useRef(null);
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [showSearchFilters, setShowSearchFilters] = useState(false);
+  const [messageSearch, setMessageSearch] = useState({ results: [], total: 0, isSearching: false, error: null });
+  const searchTimeoutRef = useRef(null);
+  const searchRequestRef = useRef(0);
+
+  const isSearchActive = searchTerm.trim().length > 0;
+  const hasSearchFilters = Object.values(searchFilters).some(Boolean);
 
   // Filter conversations based on search
   const filteredChats = chatHistory.filter(chat =>
@@ -169,20 +194,85 @@ const ChatSidebar = ({
     }
   };
 
+  /**
+   * Abre o menu de ações de uma conversa
+   */
+  const handleOpenMenu = (event, chat) => {
+    event.stopPropagation();
+    setMenuAnchor(event.currentTarget);
+    setMenuChat(chat);
+  };
+
+  /**
+   * Fecha o menu de ações
+   */
+  const handleCloseMenu = () => {
+    setMenuAnchor(null);
+    setMenuChat(null);
+  };
+
+  /**
+   * Executa uma ação do menu sobre a conversa selecionada
+   */
+  const handleMenuAction = (action) => {
+    const chat = menuChat;
+    handleCloseMenu();
+    action(chat);
+  };
+
+  /**
+   * Envia o arquivo escolhido para importação
+   */
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file && onImportChats) {
+      await onImportChats(file);
+    }
+  };
+
+  /**
+   * Agenda a busca no conteúdo das mensagens (debounce), ignorando respostas de buscas antigas
+   */
+  const scheduleMessageSearch = (term, filters) => {
+    clearTimeout(searchTimeoutRef.current);
+    const requestId = ++searchRequestRef.current;
+
+    if (!onSearchMessages || !term.trim()) {
+      setMessageSearch({ results: [], total: 0, isSearching: false, error: null });
+      return;
+    }
+
+    setMessageSearch(prev => ({ ...prev, isSearching: true, error: null }));
+    searchTimeoutRef.current = setTimeout(async () => {
+      try {
+        const { results, total } = await onSearchMessages(term.trim(), filters);
+        if (requestId === searchRequestRef.current) {
+          setMessageSearch({ results, total, isSearching: false, error: null });
+        }
+      } catch (error) {
+        if (requestId === searchRequestRef.current) {
+          setMessageSearch({ results: [], total: 0, isSearching: false, error: error.message || 'Search failed' });
+        }
+      }
+    }, 300);
+  };
+
   /**
    * Manipula a busca com debounce
    */
   const handleSearchChange = (event) => {
     const value = event.target.value;
     setSearchTerm(value);
-    
-    // Search debounce
-    if (onSearchChats) {
-      clearTimeout(window.searchTimeout);
-      window.searchTimeout = setTimeout(() => {
-        onSearchChats(value);
-      }, 300);
-    }
+    scheduleMessageSearch(value, searchFilters);
+  };
+
+  /**
+   * Atualiza os filtros da busca e refaz a busca atual
+   */
+  const handleSearchFiltersChange = (filters) => {
+    setSearchFilters(filters);
+    scheduleMessageSearch(searchTerm, filters);
   };
 
   /**
@@ -294,7 +384,7 @@ const ChatSidebar = ({
           <TextField
             fullWidth
             size="small"
-            placeholder="Search conversations..."
+            placeholder="Search conversations and messages..."
             value={searchTerm}
             onChange={handleSearchChange}
             InputProps={{
@@ -303,6 +393,20 @@ const ChatSidebar = ({
                   <SearchIcon sx={{ color: theme.palette.text.secondary }} />
                 </InputAdornment>
               ),
+              endAdornment: onSearchMessages && (
+                <InputAdornment position="end">
+                  <Tooltip title="Search filters">
+                    <IconButton
+                      size="small"
+                      edge="end"
+                      onClick={() => setShowSearchFilters(prev => !prev)}
+                      color={hasSearchFilters ? 'primary' : 'default'}
+                    >
+                      <FilterIcon sx={{ fontSize: 18 }} />
+                    </IconButton>
+                  </Tooltip>
+                </InputAdornment>
+              ),
             }}
             sx={{
               '& .MuiOutlinedInput-root': {
@@ -319,7 +423,7 @@ const ChatSidebar = ({
             <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
               <CircularProgress size={24} />
             </Box>
-          ) : Object.keys(groupedChats).length === 0 ? (
+          ) : Object.keys(groupedChats).length === 0 ? (isSearchActive ? null : (
             // Empty state
             <Box sx={{ 
               p: 3, 
@@ -328,13 +432,13 @@ const ChatSidebar = ({
             }}>
               <ChatIcon sx={{ fontSize: 48, mb: 2, opacity: 0.5 }} />
               <Typography variant="body2">
-                {searchTerm ? 'No conversations found' : 'No conversations yet'}
+                No conversations yet
               </Typography>
               <Typography variant="caption" sx={{ mt: 1, display: 'block' }}>
-                {searchTerm ? 'Try searching with different terms' : 'Start a new conversation'}
+                Start a new conversation
               </Typography>
             </Box>
-          ) : (
+          )) : (
             // Chat groups
             Object.entries(groupedChats).map(([groupName, chats]) => (
               <Box key={groupName}>
@@ -440,31 +544,14 @@ const ChatSidebar = ({
                         />
                         
                         {!editingId && (
-                          <Box sx={{ display: 'flex', gap: 0.5 }}>
-                            <Tooltip title="Edit title">
-                              <IconButton 
-                                size="small" 
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  handleStartEdit(chat);
-                                }}
-                              >
-                                <EditIcon sx={{ fontSize: 14 }} />
-                              </IconButton>
-                            </Tooltip>
-                            
-                            <Tooltip title="Delete conversation">
-                              <IconButton 
-                                size="small" 
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  handleDeleteClick(chat);
-                                }}
-                              >
-                                <DeleteIcon sx={{ fontSize: 14 }} />
-                              </IconButton>
-                            </Tooltip>
-                          </Box>
+                          <Tooltip title="More options">
+                            <IconButton 
+                              size="small" 
+                              onClick={(e) => handleOpenMenu(e, chat)}
+                            >
+                              <MoreIcon sx={{ fontSize: 16 }} />
+                            </IconButton>
+                          </Tooltip>
                         )}
                       </ListItemButton>
                     </ListItem>
@@ -475,6 +562,20 @@ const ChatSidebar = ({
               </Box>
             ))
           )}
+
+          {/* Server-side search in the content of all messages */}
+          {isSearchActive && onSearchMessages && (
+            <MessageSearchResults
+              results={messageSearch.results}
+              total={messageSearch.total}
+              isSearching={messageSearch.isSearching}
+              error={messageSearch.error}
+              showFilters={showSearchFilters}
+              filters={searchFilters}
+              onFiltersChange={handleSearchFiltersChange}
+              onSelect={onSelectSearchResult}
+            />
+          )}
         </Box>
 
         {/* Footer */}
@@ -483,19 +584,70 @@ const ChatSidebar = ({
           borderTop: `1px solid ${theme.palette.divider}`,
           backgroundColor: theme.palette.background.default
         }}>
-          <Button
-            fullWidth
-            variant="outlined"
-            startIcon={<AddIcon />}
-            onClick={onNewChat}
-            sx={{ borderRadius: 2 }}
-          >
-            New Conversation
-          </Button>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              fullWidth
+              variant="outlined"
+              startIcon={<AddIcon />}
+              onClick={onNewChat}
+              sx={{ borderRadius: 2 }}
+            >
+              New Conversation
+            </Button>
+            {onImportChats && (
+              <Tooltip title="Import conversations (XandAI or ChatGPT JSON)">
+                <IconButton onClick={() => importInputRef.current?.click()}>
+                  <ImportIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+          </Box>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={handleImportFile}
+          />
         </Box>
 
       </Paper>
 
+      {/* Conversation actions menu */}
+      <Menu
+        anchorEl={menuAnchor}
+        open={Boolean(menuAnchor)}
+        onClose={handleCloseMenu}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <MenuItem onClick={() => handleMenuAction(handleStartEdit)}>
+          <ListItemIcon><EditIcon fontSize="small" /></ListItemIcon>
+          Rename
+        </MenuItem>
+        {onExportChat && [
+          { format: 'markdown', label: 'Export as Markdown' },
+          { format: 'html', label: 'Export as HTML' },
+          { format: 'json', label: 'Export as JSON' },
+        ].map(({ format, label }) => (
+          <MenuItem key={format} onClick={() => handleMenuAction((chat) => onExportChat(chat.id, format))}>
+            <ListItemIcon><ExportIcon fontSize="small" /></ListItemIcon>
+            {label}
+          </MenuItem>
+        ))}
+        {onImportChats && (
+          <MenuItem onClick={() => handleMenuAction(() => importInputRef.current?.click())}>
+            <ListItemIcon><ImportIcon fontSize="small" /></ListItemIcon>
+            Import conversations...
+          </MenuItem>
+        )}
+        <Divider />
+        <MenuItem onClick={() => handleMenuAction(handleDeleteClick)} sx={{ color: 'error.main' }}>
+          <ListItemIcon><DeleteIcon fontSize="small" color="error" /></ListItemIcon>
+          Delete
+        </MenuItem>
+      </Menu>
+
       {/* Delete confirmation dialog */}
       <Dialog
         open={deleteDialogOpen}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import {
   Button,
   Box,
@@ -10,18 +10,38 @@ import {
   CircularProgress
 } from '@mui/material';
 import {
-  Image as ImageIcon
+  Image as ImageIcon,
+  Close as CancelIcon
 } from '@mui/icons-material';
 import { useStableDiffusion } from '../../application/hooks/useStableDiffusion';
 
+/**
+ * Status line of a queued image generation job
+ * @param {Object|null} job - Job state pushed by the backend queue
+ * @returns {string}
+ */
+const describeJob = (job) => {
+  if (job?.status === 'queued') {
+    return `Queued · position ${job.position}`;
+  }
+  if (job?.status === 'running' && job.totalSteps > 0) {
+    const eta = job.etaSeconds > 0 ? ` · ~${Math.ceil(job.etaSeconds)}s left` : '';
+    return `Step ${job.step}/${job.totalSteps}${eta}`;
+  }
+  return 'Starting generation...';
+};
+
 /**
  * Button to generate image based on chat response
  */
 const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImageGenerated }) => {
-  const { config } = useStableDiffusion();
-  const [generatedImage, setGeneratedImage] = useState(null);
+  const { config, generateImage, cancelGeneration, currentJob } = useStableDiffusion();
+  const [generatedImages, setGeneratedImages] = useState([]);
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const cancelledRef = useRef(false);
+  const progressValue = Math.round((currentJob?.progress || 0) * 100);
+  const hasProgress = currentJob?.status === 'running' && progressValue > 0;
 
   // Extract prompt from chat response
   const extractPromptFromResponse = (response) => {
@@ -34,27 +54,29 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
       .substring(0, 150) || 'a beautiful, detailed illustration';
   };
 
-  const saveImageToHistory = async (messageId, imageUrl, filename, originalPrompt) => {
+  // Attachment for one image of the batch; metadata keeps the full parameter set (seed included)
+  const buildAttachment = (image, originalPrompt) => ({
+    type: 'image',
+    url: image.imageUrl,
+    filename: image.filename,
+    originalPrompt: originalPrompt,
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      ...image.metadata
+    }
+  });
+
+  const saveImageToHistory = async (messageId, attachment) => {
     const response = await fetch(`/api/v1/chat/messages/${messageId}/attachments/image`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        imageUrl: imageUrl,
-        filename: filename,
-        originalPrompt: originalPrompt,
-        metadata: {
-          generatedAt: new Date().toISOString(),
-          stableDiffusionConfig: {
-            model: config.model,
-            steps: config.steps,
-            width: config.width,
-            height: config.height,
-            cfgScale: config.cfgScale,
-            sampler: config.sampler
-          }
-        }
+        imageUrl: attachment.url,
+        filename: attachment.filename,
+        originalPrompt: attachment.originalPrompt,
+        metadata: attachment.metadata
       })
     });
 
@@ -73,80 +95,55 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
 
     setIsLoading(true);
     setError(null);
-    setGeneratedImage(null);
+    setGeneratedImages([]);
+    cancelledRef.current = false;
 
     try {
       const prompt = extractPromptFromResponse(chatResponse);
       
-      const response = await fetch('/api/v1/stable-diffusion/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          prompt: prompt,
-          negativePrompt: 'low quality, blurry, distorted',
-          baseUrl: config.baseUrl,
-          model: config.model,
-          steps: config.steps,
-          width: config.width,
-          height: config.height,
-          cfgScale: config.cfgScale,
-          sampler: config.sampler,
-          sdToken: config.token
-        })
+      // Goes through the backend queue; progress arrives in currentJob
+      const result = await generateImage(prompt, {
+        negativePrompt: 'low quality, blurry, distorted'
       });
-
-      if (!response.ok) {
-        throw new Error(`Error ${response.status}: ${response.statusText}`);
-      }
-
-      const result = await response.json();
       
-      if (result.success) {
-        const imageUrl = result.imageUrl;
-        setGeneratedImage(imageUrl);
-        
-        // Salva a imagem no histórico se temos messageId
-        if (messageId) {
+      // Older backends return a single image without the images list
+      const images = result.images?.length
+        ? result.images
+        : [{ imageUrl: result.imageUrl, filename: result.filename, metadata: result.metadata }];
+      setGeneratedImages(images.map(image => image.imageUrl));
+      
+      // Salva as imagens no histórico se temos messageId
+      if (messageId) {
+        for (const image of images) {
+          const attachment = buildAttachment(image, prompt);
           try {
-            const savedMessage = await saveImageToHistory(messageId, result.imageUrl, result.filename, prompt);
+            await saveImageToHistory(messageId, attachment);
             
             // Notify parent component about generated image
             if (onImageGenerated) {
-              onImageGenerated(messageId, {
-                type: 'image',
-                url: result.imageUrl,
-                filename: result.filename,
-                originalPrompt: prompt,
-                metadata: {
-                  generatedAt: new Date().toISOString(),
-                  stableDiffusionConfig: {
-                    model: config.model,
-                    steps: config.steps,
-                    width: config.width,
-                    height: config.height,
-                    cfgScale: config.cfgScale,
-                    sampler: config.sampler
-                  }
-                }
-              });
+              onImageGenerated(messageId, attachment);
             }
           } catch (historyError) {
             console.warn('Error saving image to history:', historyError);
             // Don't fail if can't save to history
           }
         }
-      } else {
-        setError(result.error || 'Unknown error generating image');
       }
     } catch (err) {
-      setError(`Generation error: ${err.message}`);
+      if (!cancelledRef.current) {
+        setError(`Generation error: ${err.message}`);
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
+  // Cancels only this button's job (queued or running)
+  const handleCancel = async () => {
+    cancelledRef.current = true;
+    await cancelGeneration();
+  };
+
   // If no config or not enabled, don't show button
   if (!config?.enabled) {
     return null;
@@ -159,8 +156,8 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
         <Button
           variant="text"
           size="small"
-          onClick={handleGenerateImage}
-          disabled={isLoading}
+          onClick={isLoading ? handleCancel : handleGenerateImage}
+          title={isLoading ? `${describeJob(currentJob)} · click to cancel` : 'Generate image'}
           sx={{ 
             minWidth: 'auto',
             width: 24,
@@ -168,13 +165,10 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
             p: 0,
             borderRadius: 1,
             color: isLoading ? 'primary.main' : 'text.secondary',
+            animation: isLoading && !hasProgress ? 'pulse 2s infinite' : 'none',
             '&:hover': {
               bgcolor: 'action.hover',
             },
-            '&:disabled': {
-              color: 'primary.main',
-              animation: isLoading ? 'pulse 2s infinite' : 'none',
-            },
             '@keyframes pulse': {
               '0%': {
                 opacity: 1,
@@ -191,6 +185,8 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
           {isLoading ? (
             <CircularProgress 
               size={14} 
+              variant={hasProgress ? 'determinate' : 'indeterminate'}
+              value={progressValue}
               sx={{ 
                 color: 'primary.main',
                 '& .MuiCircularProgress-circle': {
@@ -235,30 +231,42 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
   // Normal mode - complete layout
   return (
     <Box sx={{ mt: 2, width: '100%' }}>
-      {/* Generated image - centered */}
-      {generatedImage && (
-        <Box sx={{ mt: 2, mb: 2, display: 'flex', justifyContent: 'center' }}>
-          <Card 
-            sx={{ 
-              maxWidth: 400, 
-              borderRadius: 3,
-              boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
-              overflow: 'hidden'
-            }}
-          >
-            <CardMedia
-              component="img"
-              image={generatedImage}
-              alt="Imagem gerada pelo Stable Diffusion"
+      {/* Generated images - centered, as a grid for batches */}
+      {generatedImages.length > 0 && (
+        <Box
+          sx={{
+            mt: 2,
+            mb: 2,
+            mx: 'auto',
+            maxWidth: generatedImages.length > 1 ? 520 : 400,
+            display: 'grid',
+            gridTemplateColumns: generatedImages.length > 1 ? 'repeat(2, 1fr)' : '1fr',
+            gap: 1.5
+          }}
+        >
+          {generatedImages.map((imageUrl) => (
+            <Card 
+              key={imageUrl}
               sx={{ 
-                width: '100%',
-                height: 'auto',
-                maxHeight: 400,
-                objectFit: 'cover',
-                display: 'block'
+                borderRadius: 3,
+                boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+                overflow: 'hidden'
               }}
-            />
-          </Card>
+            >
+              <CardMedia
+                component="img"
+                image={imageUrl}
+                alt="Imagem gerada pelo Stable Diffusion"
+                sx={{ 
+                  width: '100%',
+                  height: 'auto',
+                  maxHeight: 400,
+                  objectFit: 'cover',
+                  display: 'block'
+                }}
+              />
+            </Card>
+          ))}
         </Box>
       )}
 
@@ -291,7 +299,18 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
       {/* Progress bar - centered */}
       {isLoading && (
         <Box sx={{ mb: 2, display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+          {/* Intermediate image sent by Forge while sampling */}
+          {currentJob?.preview && (
+            <Box
+              component="img"
+              src={currentJob.preview}
+              alt="Generation preview"
+              sx={{ width: 160, height: 'auto', borderRadius: 2, mb: 1.5, opacity: 0.9 }}
+            />
+          )}
           <LinearProgress 
+            variant={hasProgress ? 'determinate' : 'indeterminate'}
+            value={progressValue}
             sx={{ 
               borderRadius: 1, 
               height: 6,
@@ -312,8 +331,16 @@ const GenerateImageButton = ({ chatResponse, messageId, compact = false, onImage
               textAlign: 'center'
             }}
           >
-            Gerando imagem com Stable Diffusion...
+            {describeJob(currentJob)}
           </Typography>
+          <Button
+            size="small"
+            startIcon={<CancelIcon fontSize="small" />}
+            onClick={handleCancel}
+            sx={{ mt: 0.5, textTransform: 'none' }}
+          >
+            Cancel
+          </Button>
         </Box>
       )}
 
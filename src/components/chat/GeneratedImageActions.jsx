@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Tooltip,
+  Typography,
+  CircularProgress
+} from '@mui/material';
+import {
+  AutoAwesome as VaryIcon,
+  Brush as EditRegionIcon,
+  ZoomIn as UpscaleIcon,
+  Replay as RerunIcon
+} from '@mui/icons-material';
+import { useStableDiffusion } from '../../application/hooks/useStableDiffusion';
+import authService from '../../services/AuthService';
+import InpaintDialog from './InpaintDialog';
+
+const UPSCALE_FACTOR = 2;
+
+/**
+ * Actions on a generated image: re-run with the same seed, vary (img2img), edit a painted
+ * region (inpainting) and upscale. Each result is saved as a new image attachment of the same message.
+ * @param {Object} props - Component properties
+ * @param {Object} props.attachment - Generated image attachment ({ url, filename, originalPrompt })
+ * @param {string} props.messageId - Message that owns the image
+ * @param {Function} props.onImageGenerated - Called with (messageId, attachment) for each new image
+ * @returns {JSX.Element|null}
+ */
+const GeneratedImageActions = ({ attachment, messageId, onImageGenerated }) => {
+  const { config, generateImage, imageToImage, inpaintImage, upscaleImage, currentJob } = useStableDiffusion();
+  const [runningAction, setRunningAction] = useState(null);
+  const [inpaintOpen, setInpaintOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!config?.enabled || !messageId) {
+    return null;
+  }
+
+  const prompt = attachment.originalPrompt || 'a beautiful, detailed illustration';
+  const generation = attachment.metadata?.generation;
+  const mode = attachment.metadata?.mode;
+  // Inpainting and ControlNet results can't be re-run: the mask and the reference image are not stored
+  const canRerun = generation?.seed >= 0 && !generation.controlNet && (!mode || mode === 'img2img');
+  const progressValue = currentJob?.status === 'running' ? Math.round(currentJob.progress * 100) : 0;
+
+  const saveImageToHistory = async (result, originalPrompt) => {
+    const newAttachment = {
+      type: 'image',
+      url: result.imageUrl,
+      filename: result.filename,
+      originalPrompt,
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        sourceFilename: attachment.filename,
+        ...(result.images?.[0]?.metadata || result.metadata)
+      }
+    };
+
+    const API_BASE = process.env.REACT_APP_API_URL || '';
+    const response = await authService.authenticatedFetch(`${API_BASE}/api/v1/chat/messages/${messageId}/attachments/image`, {
+      method: 'POST',
+      body: JSON.stringify({
+        imageUrl: newAttachment.url,
+        filename: newAttachment.filename,
+        originalPrompt: newAttachment.originalPrompt,
+        metadata: newAttachment.metadata
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Error saving image to history: ${response.status}`);
+    }
+
+    onImageGenerated?.(messageId, newAttachment);
+  };
+
+  const openInpaint = () => {
+    setError(null);
+    setInpaintOpen(true);
+  };
+
+  const runAction = async (action, operation, originalPrompt = prompt) => {
+    setRunningAction(action);
+    setError(null);
+
+    try {
+      const result = await operation();
+      await saveImageToHistory(result, originalPrompt);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setRunningAction(null);
+    }
+  };
+
+  // Same prompt, seed and parameters: reproduces the image
+  const handleRerun = () => runAction('rerun', () => {
+    const options = {
+      negativePrompt: attachment.metadata?.negativePrompt,
+      model: generation.model,
+      sampler: generation.sampler,
+      steps: generation.steps,
+      cfgScale: generation.cfgScale,
+      width: generation.width,
+      height: generation.height,
+      seed: generation.seed,
+      batchSize: 1,
+      loras: generation.loras || [],
+      embeddings: generation.embeddings || []
+    };
+    return mode === 'img2img'
+      ? imageToImage(attachment.metadata.sourceFilename, prompt, options)
+      : generateImage(prompt, options);
+  });
+
+  const handleVary = () => runAction('vary', () => imageToImage(attachment.filename, prompt));
+
+  const handleUpscale = () => runAction('upscale', () => upscaleImage(attachment.filename, { scale: UPSCALE_FACTOR }));
+
+  const handleInpaint = async (regionPrompt, mask) => {
+    const success = await runAction('inpaint', () => inpaintImage(attachment.filename, regionPrompt, mask), regionPrompt);
+    if (success) {
+      setInpaintOpen(false);
+    }
+  };
+
+  const actions = [
+    ...(canRerun ? [{ id: 'rerun', label: 'Same seed', tooltip: `Re-run with seed ${generation.seed}`, icon: <RerunIcon fontSize="small" />, onClick: handleRerun }] : []),
+    { id: 'vary', label: 'Vary', tooltip: 'Generate a variation of this image', icon: <VaryIcon fontSize="small" />, onClick: handleVary },
+    { id: 'inpaint', label: 'Edit region', tooltip: 'Paint an area and regenerate only that part', icon: <EditRegionIcon fontSize="small" />, onClick: openInpaint },
+    { id: 'upscale', label: 'Upscale', tooltip: `Enlarge ${UPSCALE_FACTOR}x`, icon: <UpscaleIcon fontSize="small" />, onClick: handleUpscale }
+  ];
+
+  return (
+    <Box sx={{ px: 1, py: 0.5, borderTop: '1px solid', borderColor: 'divider' }}>
+      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+        {actions.map(action => (
+          <Tooltip key={action.id} title={action.tooltip}>
+            <span>
+              <Button
+                size="small"
+                variant="text"
+                startIcon={runningAction === action.id
+                  ? <CircularProgress size={14} variant={progressValue > 0 ? 'determinate' : 'indeterminate'} value={progressValue} />
+                  : action.icon}
+                onClick={action.onClick}
+                disabled={Boolean(runningAction)}
+                sx={{ fontSize: '0.7rem', textTransform: 'none', minWidth: 'auto' }}
+              >
+                {action.label}
+              </Button>
+            </span>
+          </Tooltip>
+        ))}
+      </Box>
+
+      {error && !inpaintOpen && (
+        <Typography variant="caption" color="error" sx={{ display: 'block', px: 0.5 }}>
+          {error}
+        </Typography>
+      )}
+
+      <InpaintDialog
+        open={inpaintOpen}
+        attachment={attachment}
+        isLoading={runningAction === 'inpaint'}
+        error={error}
+        onClose={() => setInpaintOpen(false)}
+        onSubmit={handleInpaint}
+      />
+    </Box>
+  );
+};
+
+export default GeneratedImageActions;
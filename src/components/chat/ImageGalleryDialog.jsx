@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Card,
+  CardActionArea,
+  CardMedia,
+  Chip,
+  IconButton,
+  TextField,
+  Tooltip,
+  Typography,
+  Alert,
+  CircularProgress,
+  InputAdornment,
+  useTheme,
+  useMediaQuery
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  Star as StarIcon,
+  StarBorder as StarBorderIcon,
+  Delete as DeleteIcon,
+  Download as DownloadIcon,
+  Chat as ChatIcon,
+  ArrowBack as BackIcon
+} from '@mui/icons-material';
+import { useImageGallery } from '../../application/hooks/useImageGallery';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Gallery of the images generated by the user: search by prompt, favorites, tags and deletion.
+ * Deleting an image also removes it from the message where it was attached.
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called when the dialog is closed
+ * @param {Function} props.onOpenMessage - Called with ({ sessionId, messageId }) to show the image in its conversation
+ * @returns {JSX.Element}
+ */
+const ImageGalleryDialog = ({ open, onClose, onOpenMessage }) => {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('md'));
+  const {
+    images,
+    total,
+    page,
+    hasMore,
+    isLoading,
+    error,
+    fetchImages,
+    toggleFavorite,
+    updateTags,
+    deleteImage
+  } = useImageGallery();
+
+  const [search, setSearch] = useState('');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [selectedImageId, setSelectedImageId] = useState(null);
+  const [newTag, setNewTag] = useState('');
+  const [actionError, setActionError] = useState(null);
+
+  const filters = useMemo(
+    () => ({ search: search.trim(), tag: selectedTag, favorites: favoritesOnly }),
+    [search, selectedTag, favoritesOnly]
+  );
+
+  // Reload from the first page whenever the dialog opens or a filter changes
+  useEffect(() => {
+    if (!open) return undefined;
+    const timer = setTimeout(() => fetchImages(filters, 1), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [open, filters, fetchImages]);
+
+  const tags = useMemo(
+    () => [...new Set(images.flatMap(image => image.tags || []))].sort(),
+    [images]
+  );
+
+  const selectedImage = images.find(image => image.id === selectedImageId) || null;
+
+  const runAction = async (action) => {
+    try {
+      setActionError(null);
+      await action();
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleAddTag = (event) => {
+    event.preventDefault();
+    const tag = newTag.trim().toLowerCase();
+    if (!tag || !selectedImage || selectedImage.tags.includes(tag)) return;
+    runAction(async () => {
+      await updateTags(selectedImage.id, [...selectedImage.tags, tag]);
+      setNewTag('');
+    });
+  };
+
+  const handleRemoveTag = (tag) => runAction(
+    () => updateTags(selectedImage.id, selectedImage.tags.filter(item => item !== tag))
+  );
+
+  const handleDelete = (image) => {
+    const message = image.messageId
+      ? 'Delete this image? It will also be removed from the conversation where it appears.'
+      : 'Delete this image?';
+    if (!window.confirm(message)) return;
+    runAction(async () => {
+      await deleteImage(image.id);
+      setSelectedImageId(null);
+    });
+  };
+
+  const handleOpenMessage = (image) => {
+    onOpenMessage?.({ sessionId: image.sessionId, messageId: image.messageId });
+    onClose();
+  };
+
+  const renderFavoriteButton = (image, size = 'small') => (
+    <Tooltip title={image.isFavorite ? 'Remove from favorites' : 'Add to favorites (favorites are never cleaned up)'}>
+      <IconButton size={size} onClick={() => runAction(() => toggleFavorite(image))}>
+        {image.isFavorite ? <StarIcon fontSize="small" color="warning" /> : <StarBorderIcon fontSize="small" />}
+      </IconButton>
+    </Tooltip>
+  );
+
+  const renderDetails = (image) => (
+    <Box sx={{ display: 'flex', flexDirection: isMobile ? 'column' : 'row', gap: 2 }}>
+      <Box
+        component="img"
+        src={image.url}
+        alt={image.prompt || image.filename}
+        sx={{ maxWidth: isMobile ? '100%' : '60%', maxHeight: '60vh', objectFit: 'contain', borderRadius: 1 }}
+      />
+      <Box sx={{ flex: 1, minWidth: 0 }}>
+        <Typography variant="subtitle2" gutterBottom>Prompt</Typography>
+        <Typography variant="body2" sx={{ mb: 1.5, wordBreak: 'break-word' }}>
+          {image.prompt || 'No prompt recorded'}
+        </Typography>
+
+        {image.negativePrompt && (
+          <>
+            <Typography variant="subtitle2" gutterBottom>Negative prompt</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+              {image.negativePrompt}
+            </Typography>
+          </>
+        )}
+
+        {image.metadata?.generation && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1.5 }}>
+            {image.metadata.generation.model} · seed {image.metadata.generation.seed} · {image.metadata.generation.width}x{image.metadata.generation.height}
+          </Typography>
+        )}
+
+        <Typography variant="subtitle2" gutterBottom>Tags</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+          {image.tags.map(tag => (
+            <Chip key={tag} label={tag} size="small" onDelete={() => handleRemoveTag(tag)} />
+          ))}
+        </Box>
+        <Box component="form" onSubmit={handleAddTag} sx={{ mb: 2 }}>
+          <TextField
+            size="small"
+            placeholder="Add a tag and press Enter"
+            value={newTag}
+            onChange={(event) => setNewTag(event.target.value)}
+            inputProps={{ maxLength: 40 }}
+            fullWidth
+          />
+        </Box>
+
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+          Generated {new Date(image.createdAt).toLocaleString()}
+        </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {renderFavoriteButton(image, 'medium')}
+          {image.sessionId && onOpenMessage && (
+            <Button size="small" startIcon={<ChatIcon />} onClick={() => handleOpenMessage(image)}>
+              Open in chat
+            </Button>
+          )}
+          <Button size="small" startIcon={<DownloadIcon />} component="a" href={image.url} download={image.filename}>
+            Download
+          </Button>
+          <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={() => handleDelete(image)}>
+            Delete
+          </Button>
+        </Box>
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth fullScreen={isMobile}>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        {selectedImage && (
+          <IconButton size="small" onClick={() => setSelectedImageId(null)}>
+            <BackIcon fontSize="small" />
+          </IconButton>
+        )}
+        Image gallery
+        {!selectedImage && (
+          <Typography variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+            {total} {total === 1 ? 'image' : 'images'}
+          </Typography>
+        )}
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {(error || actionError) && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={actionError ? () => setActionError(null) : undefined}>
+            {actionError || error}
+          </Alert>
+        )}
+
+        {selectedImage ? renderDetails(selectedImage) : (
+          <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 2 }}>
+              <TextField
+                size="small"
+                placeholder="Search by prompt"
+                value={search}
+                onChange={(event) => setSearch(event.target.value)}
+                sx={{ flex: 1, minWidth: 200 }}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <SearchIcon fontSize="small" />
+                    </InputAdornment>
+                  )
+                }}
+              />
+              <Chip
+                icon={<StarIcon />}
+                label="Favorites"
+                color={favoritesOnly ? 'warning' : 'default'}
+                variant={favoritesOnly ? 'filled' : 'outlined'}
+                onClick={() => setFavoritesOnly(prev => !prev)}
+              />
+              {(selectedTag ? [selectedTag] : tags).map(tag => (
+                <Chip
+                  key={tag}
+                  label={tag}
+                  size="small"
+                  color={selectedTag === tag ? 'primary' : 'default'}
+                  onClick={() => setSelectedTag(selectedTag === tag ? null : tag)}
+                  onDelete={selectedTag === tag ? () => setSelectedTag(null) : undefined}
+                />
+              ))}
+            </Box>
+
+            {images.length === 0 && !isLoading ? (
+              <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 6 }}>
+                {filters.search || filters.tag || filters.favorites
+                  ? 'No images match these filters.'
+                  : 'Images you generate in your conversations will show up here.'}
+              </Typography>
+            ) : (
+              <Box
+                sx={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+                  gap: 1.5
+                }}
+              >
+                {images.map(image => (
+                  <Card key={image.id} variant="outlined" sx={{ position: 'relative' }}>
+                    <CardActionArea onClick={() => setSelectedImageId(image.id)}>
+                      <CardMedia
+                        component="img"
+                        image={image.url}
+                        alt={image.prompt || image.filename}
+                        loading="lazy"
+                        sx={{ aspectRatio: '1 / 1', objectFit: 'cover' }}
+                      />
+                      <Typography
+                        variant="caption"
+                        color="text.secondary"
+                        sx={{
+                          display: '-webkit-box',
+                          WebkitLineClamp: 2,
+                          WebkitBoxOrient: 'vertical',
+                          overflow: 'hidden',
+                          px: 1,
+                          py: 0.5
+                        }}
+                      >
+                        {image.prompt || image.filename}
+                      </Typography>
+                    </CardActionArea>
+                    <Box sx={{ position: 'absolute', top: 4, right: 4, bgcolor: 'background.paper', borderRadius: '50%', opacity: 0.9 }}>
+                      {renderFavoriteButton(image)}
+                    </Box>
+                  </Card>
+                ))}
+              </Box>
+            )}
+
+            {isLoading && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                <CircularProgress size={28} />
+              </Box>
+            )}
+
+            {hasMore && !isLoading && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                <Button onClick={() => fetchImages(filters, page + 1)}>Load more</Button>
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImageGalleryDialog;
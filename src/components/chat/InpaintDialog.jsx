@@ -0,0 +1,231 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  TextField,
+  Slider,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Brush as BrushIcon,
+  LayersClear as ClearIcon
+} from '@mui/icons-material';
+
+/**
+ * Dialog to paint the region of a generated image that should be regenerated (inpainting).
+ * Strokes are drawn in white on a canvas at the image's natural size; the exported mask
+ * is white on black, the format Forge expects.
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Object} props.attachment - Generated image attachment ({ url, filename, originalPrompt })
+ * @param {boolean} props.isLoading - Whether the inpainting request is running
+ * @param {string} props.error - Error of the last attempt
+ * @param {Function} props.onClose - Called when the dialog is closed
+ * @param {Function} props.onSubmit - Called with (prompt, maskDataUrl)
+ * @returns {JSX.Element}
+ */
+const InpaintDialog = ({ open, attachment, isLoading = false, error, onClose, onSubmit }) => {
+  const canvasRef = useRef(null);
+  const lastPointRef = useRef(null);
+  const [imageSize, setImageSize] = useState(null);
+  const [prompt, setPrompt] = useState(attachment?.originalPrompt || '');
+  const [brushSize, setBrushSize] = useState(40);
+  const [hasMask, setHasMask] = useState(false);
+
+  // Reset the mask every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setPrompt(attachment?.originalPrompt || '');
+      setImageSize(null);
+      setHasMask(false);
+    }
+  }, [open, attachment]);
+
+  const handleImageLoad = (event) => {
+    setImageSize({
+      width: event.target.naturalWidth,
+      height: event.target.naturalHeight
+    });
+  };
+
+  // Pointer position in canvas (natural image) coordinates
+  const getPoint = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  // Brush size is given in screen pixels, scaled to the natural image size
+  const getLineWidth = () => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return brushSize * (canvas.width / rect.width);
+  };
+
+  const drawTo = (point) => {
+    const context = canvasRef.current.getContext('2d');
+    const from = lastPointRef.current || point;
+
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = getLineWidth();
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+
+    lastPointRef.current = point;
+  };
+
+  const handlePointerDown = (event) => {
+    if (isLoading) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    lastPointRef.current = null;
+    drawTo(getPoint(event));
+    setHasMask(true);
+  };
+
+  const handlePointerMove = (event) => {
+    if (lastPointRef.current) {
+      drawTo(getPoint(event));
+    }
+  };
+
+  const handlePointerUp = () => {
+    lastPointRef.current = null;
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasMask(false);
+  };
+
+  // White strokes over a black background, at the natural image size
+  const exportMask = () => {
+    const strokes = canvasRef.current;
+    const mask = document.createElement('canvas');
+    mask.width = strokes.width;
+    mask.height = strokes.height;
+
+    const context = mask.getContext('2d');
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, mask.width, mask.height);
+    context.drawImage(strokes, 0, 0);
+
+    return mask.toDataURL('image/png');
+  };
+
+  const handleSubmit = () => {
+    if (!hasMask || !prompt.trim()) return;
+    onSubmit(prompt.trim(), exportMask());
+  };
+
+  return (
+    <Dialog open={open} onClose={isLoading ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Edit region</DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+          Paint over the area you want to change and describe what should appear there.
+        </Typography>
+
+        <Box sx={{ position: 'relative', display: 'flex', justifyContent: 'center', mb: 2 }}>
+          <Box sx={{ position: 'relative', lineHeight: 0 }}>
+            <img
+              src={attachment?.url}
+              alt={attachment?.filename}
+              onLoad={handleImageLoad}
+              draggable={false}
+              style={{ maxWidth: '100%', maxHeight: '55vh', display: 'block', userSelect: 'none' }}
+            />
+            {imageSize && (
+              <canvas
+                ref={canvasRef}
+                width={imageSize.width}
+                height={imageSize.height}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerLeave={handlePointerUp}
+                style={{
+                  position: 'absolute',
+                  inset: 0,
+                  width: '100%',
+                  height: '100%',
+                  opacity: 0.5,
+                  cursor: 'crosshair',
+                  touchAction: 'none'
+                }}
+              />
+            )}
+          </Box>
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <BrushIcon fontSize="small" color="action" />
+          <Slider
+            value={brushSize}
+            onChange={(event, value) => setBrushSize(value)}
+            min={5}
+            max={120}
+            size="small"
+            disabled={isLoading}
+            sx={{ maxWidth: 240 }}
+          />
+          <Button
+            size="small"
+            startIcon={<ClearIcon />}
+            onClick={handleClear}
+            disabled={!hasMask || isLoading}
+          >
+            Clear
+          </Button>
+        </Box>
+
+        <TextField
+          label="What should appear in the painted area"
+          value={prompt}
+          onChange={(event) => setPrompt(event.target.value)}
+          fullWidth
+          multiline
+          maxRows={3}
+          size="small"
+          disabled={isLoading}
+        />
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} disabled={isLoading}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!hasMask || !prompt.trim() || isLoading}
+          startIcon={isLoading ? <CircularProgress size={16} /> : null}
+        >
+          {isLoading ? 'Generating...' : 'Regenerate region'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InpaintDialog;
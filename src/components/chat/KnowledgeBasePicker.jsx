@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import {
+  Chip,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+  Tooltip,
+  Checkbox
+} from '@mui/material';
+import {
+  MenuBook as KnowledgeIcon,
+  Settings as ManageIcon
+} from '@mui/icons-material';
+
+/**
+ * Header chip to pick the knowledge bases searched in the current conversation
+ * @param {Object} props - Component properties
+ * @param {Array} props.knowledgeBases - Knowledge bases of the user
+ * @param {string[]} props.activeIds - Bases attached to the conversation
+ * @param {Function} props.onChange - Callback with the new list of base IDs
+ * @param {Function} props.onManage - Callback to open the knowledge base settings (optional)
+ * @param {boolean} props.compact - Hides the label (mobile)
+ * @returns {JSX.Element}
+ */
+const KnowledgeBasePicker = ({ knowledgeBases = [], activeIds = [], onChange, onManage, compact = false }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  // Bases deleted meanwhile are ignored by the backend
+  const activeBases = knowledgeBases.filter(knowledgeBase => activeIds.includes(knowledgeBase.id));
+  const label = activeBases.length === 1 ? activeBases[0].name : activeBases.length > 1 ? `${activeBases.length} bases` : 'Knowledge';
+
+  const handleToggle = (knowledgeBaseId) => {
+    const ids = activeBases.map(knowledgeBase => knowledgeBase.id);
+    onChange(ids.includes(knowledgeBaseId)
+      ? ids.filter(id => id !== knowledgeBaseId)
+      : [...ids, knowledgeBaseId]);
+  };
+
+  return (
+    <>
+      <Tooltip title={activeBases.length
+        ? `Answers cite: ${activeBases.map(knowledgeBase => knowledgeBase.name).join(', ')}`
+        : 'Search knowledge bases in this conversation'}
+      >
+        <Chip
+          icon={<KnowledgeIcon sx={{ fontSize: 14 }} />}
+          label={compact ? undefined : label}
+          size="small"
+          variant={activeBases.length ? 'filled' : 'outlined'}
+          color={activeBases.length ? 'info' : 'default'}
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          sx={{
+            height: 20,
+            maxWidth: 180,
+            fontSize: '0.7rem',
+            '& .MuiChip-label': compact ? { px: 0.5 } : undefined,
+          }}
+        />
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{ sx: { minWidth: 220, maxHeight: 400 } }}
+      >
+        {knowledgeBases.length === 0 && (
+          <MenuItem disabled>
+            <ListItemText primary="No knowledge bases yet" />
+          </MenuItem>
+        )}
+
+        {knowledgeBases.map(knowledgeBase => {
+          const documents = knowledgeBase.documents || [];
+          const readyCount = documents.filter(document => document.status === 'ready').length;
+          return (
+            <MenuItem key={knowledgeBase.id} onClick={() => handleToggle(knowledgeBase.id)} dense>
+              <ListItemIcon>
+                <Checkbox
+                  edge="start"
+                  size="small"
+                  checked={activeIds.includes(knowledgeBase.id)}
+                  tabIndex={-1}
+                  disableRipple
+                />
+              </ListItemIcon>
+              <ListItemText
+                primary={knowledgeBase.name}
+                secondary={`${readyCount} document${readyCount === 1 ? '' : 's'} ready`}
+              />
+            </MenuItem>
+          );
+        })}
+
+        {onManage && <Divider />}
+        {onManage && (
+          <MenuItem onClick={() => { setAnchorEl(null); onManage(); }}>
+            <ListItemIcon><ManageIcon fontSize="small" /></ListItemIcon>
+            <ListItemText primary="Manage knowledge bases" />
+          </MenuItem>
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default KnowledgeBasePicker;
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   Box,
   TextField,
@@ -8,19 +8,52 @@ import {
   useTheme,
   useMediaQuery,
   Tooltip,
-  CircularProgress
+  CircularProgress,
+  Chip
 } from '@mui/material';
 import {
   Send as SendIcon,
   Mic as MicIcon,
   AttachFile as AttachIcon,
-  EmojiEmotions as EmojiIcon
+  EmojiEmotions as EmojiIcon,
+  InsertDriveFile as FileIcon,
+  Image as ImageIcon,
+  Stop as StopIcon
 } from '@mui/icons-material';
 
+// Documents the backend can extract text from (PDF, plain text and source code) and images for vision models
+const ACCEPTED_FILE_TYPES = [
+  '.png', '.jpg', '.jpeg', '.webp', '.gif', 'image/png', 'image/jpeg', 'image/webp', 'image/gif',
+  '.pdf', '.txt', '.md', '.markdown', '.csv', '.tsv', '.json', '.xml', '.yaml', '.yml', '.log', '.ini', '.toml',
+  '.html', '.htm', '.css', '.scss', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.java', '.kt', '.go',
+  '.rs', '.rb', '.php', '.c', '.h', '.cpp', '.hpp', '.cs', '.swift', '.sh', '.bash', '.ps1', '.sql', '.vue', '.svelte',
+  'text/*', 'application/pdf', 'application/json'
+].join(',');
+
+// Slash commands handled by the chat instead of being sent to the model
+const SLASH_COMMANDS = ['persona', 'imagine'];
+const SLASH_COMMAND_PATTERN = /^\/(\w+)(?:\s+([\s\S]*))?$/;
+
+/**
+ * Parses a slash command such as "/persona coder"
+ * @param {string} text - Trimmed message
+ * @returns {{name: string, args: string}|null} The command, or null for a regular message
+ */
+const parseSlashCommand = (text) => {
+  const match = text.match(SLASH_COMMAND_PATTERN);
+  const name = match?.[1].toLowerCase();
+  return name && SLASH_COMMANDS.includes(name) ? { name, args: match[2] || '' } : null;
+};
+
 /**
  * Message input component
  * @param {Object} props - Component properties
- * @param {Function} props.onSendMessage - Callback to send message
+ * @param {Function} props.onSendMessage - Callback to send message (message, attachments)
+ * @param {Function} props.onUploadFile - Callback to upload a file, resolves to the stored attachment (optional)
+ * @param {Function} props.onStop - Callback to stop the response being generated (optional)
+ * @param {Function} props.onTranscribeAudio - Callback to transcribe a voice recording, resolves to text (optional)
+ * @param {Function} props.onCommand - Callback for slash commands (name, args), resolves to a message shown below the input (optional)
+ * @param {Function} props.onAttachmentsChange - Called with the pending attachments whenever they change (optional)
  * @param {boolean} props.disabled - Whether the input is disabled
  * @param {boolean} props.isLoading - Whether it's loading
  * @param {string} props.placeholder - Input placeholder
@@ -28,24 +61,245 @@ import {
  */
 const MessageInput = ({ 
   onSendMessage, 
+  onUploadFile,
+  onStop,
+  onTranscribeAudio,
+  onCommand,
+  onAttachmentsChange,
   disabled = false, 
   isLoading = false,
   placeholder = "Type your message..."
 }) => {
   const [message, setMessage] = useState('');
   const [isFocused, setIsFocused] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [commandNotice, setCommandNotice] = useState(null);
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const recorderRef = useRef(null);
+  const isHoldingMicRef = useRef(false);
+
+  const canAttach = typeof onUploadFile === 'function' && !disabled;
+  const isUploading = attachments.some(attachment => attachment.uploading);
+  const canRecord = typeof onTranscribeAudio === 'function'
+    && !disabled
+    && !isTranscribing
+    && typeof window !== 'undefined'
+    && typeof window.MediaRecorder !== 'undefined'
+    && !!navigator.mediaDevices?.getUserMedia;
+
+  // Let the parent know what will be sent (e.g. to warn when the model can't see images)
+  useEffect(() => {
+    onAttachmentsChange?.(attachments);
+  }, [attachments, onAttachmentsChange]);
+
+  // Release the microphone if the component unmounts mid-recording
+  useEffect(() => () => {
+    const recorder = recorderRef.current;
+    if (recorder) {
+      recorder.onstop = null;
+      if (recorder.state !== 'inactive') recorder.stop();
+      recorder.stream.getTracks().forEach(track => track.stop());
+    }
+  }, []);
+
+  /**
+   * Sends a finished recording for transcription and appends the text to the input
+   * @param {Blob} audio - Microphone recording
+   */
+  const transcribeRecording = async (audio) => {
+    setIsTranscribing(true);
+    try {
+      const text = (await onTranscribeAudio(audio)).trim();
+      if (text) {
+        setMessage(prev => (prev.trim() ? `${prev.trimEnd()} ${text}` : text));
+        inputRef.current?.querySelector('textarea')?.focus();
+      }
+    } catch (error) {
+      console.error('Error transcribing audio:', error);
+      setUploadError(`Voice: ${error.message || 'transcription failed'}`);
+    } finally {
+      setIsTranscribing(false);
+    }
+  };
+
+  /**
+   * Starts recording while the microphone button is held (push-to-talk)
+   */
+  const handleStartRecording = async () => {
+    if (!canRecord || recorderRef.current) return;
+    isHoldingMicRef.current = true;
+    setUploadError(null);
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        recorderRef.current = null;
+        setIsRecording(false);
+
+        const audio = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        if (audio.size > 0) {
+          transcribeRecording(audio);
+        }
+      };
+
+      recorderRef.current = recorder;
+      recorder.start();
+      setIsRecording(true);
+
+      // Button released while the microphone permission was pending
+      if (!isHoldingMicRef.current) {
+        recorder.stop();
+      }
+    } catch (error) {
+      console.error('Error accessing microphone:', error);
+      setUploadError(`Voice: ${error.message || 'microphone unavailable'}`);
+    }
+  };
+
+  /**
+   * Stops recording when the microphone button is released
+   */
+  const handleStopRecording = () => {
+    isHoldingMicRef.current = false;
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      recorderRef.current.stop();
+    }
+  };
+
+  /**
+   * Lets keyboard users hold Space/Enter on the microphone button to talk
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  const handleMicKeyDown = (event) => {
+    if ((event.key === ' ' || event.key === 'Enter') && !event.repeat) {
+      event.preventDefault();
+      handleStartRecording();
+    }
+  };
+
+  /**
+   * Uploads the given files and tracks them as pending attachments
+   * @param {FileList|File[]} files - Files selected, dropped or pasted
+   */
+  const handleFiles = async (files) => {
+    if (!canAttach || !files || files.length === 0) return;
+    setUploadError(null);
+
+    await Promise.all(Array.from(files).map(async (file) => {
+      const localId = `${file.name}-${file.size}-${Date.now()}-${Math.random()}`;
+      setAttachments(prev => [...prev, { localId, originalName: file.name, mimeType: file.type, size: file.size, uploading: true }]);
+
+      try {
+        const stored = await onUploadFile(file);
+        setAttachments(prev => prev.map(attachment =>
+          attachment.localId === localId ? { ...stored, localId, uploading: false } : attachment
+        ));
+      } catch (error) {
+        console.error('Error uploading file:', error);
+        setUploadError(`${file.name}: ${error.message || 'upload failed'}`);
+        setAttachments(prev => prev.filter(attachment => attachment.localId !== localId));
+      }
+    }));
+  };
+
+  /**
+   * Removes a pending attachment
+   * @param {string} localId - Local attachment id
+   */
+  const handleRemoveAttachment = (localId) => {
+    setAttachments(prev => prev.filter(attachment => attachment.localId !== localId));
+  };
+
+  /**
+   * Handles file picker selection
+   * @param {Event} event - Change event
+   */
+  const handleFileInputChange = (event) => {
+    handleFiles(event.target.files);
+    // Allow selecting the same file again
+    event.target.value = '';
+  };
+
+  /**
+   * Handles files dropped over the input
+   * @param {DragEvent} event - Drop event
+   */
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFiles(event.dataTransfer?.files);
+  };
+
+  /**
+   * Highlights the input while files are dragged over it
+   * @param {DragEvent} event - Drag event
+   */
+  const handleDragOver = (event) => {
+    if (!canAttach || !event.dataTransfer?.types?.includes('Files')) return;
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  /**
+   * Handles files pasted from the clipboard
+   * @param {ClipboardEvent} event - Paste event
+   */
+  const handlePaste = (event) => {
+    const files = event.clipboardData?.files;
+    if (canAttach && files && files.length > 0) {
+      event.preventDefault();
+      handleFiles(files);
+    }
+  };
+
+  /**
+   * Runs a slash command; the input is kept when it fails so it can be fixed
+   * @param {{name: string, args: string}} command - Parsed command
+   */
+  const runCommand = async (command) => {
+    setUploadError(null);
+    try {
+      const notice = await onCommand(command.name, command.args);
+      setCommandNotice(notice || null);
+      setMessage('');
+    } catch (error) {
+      setCommandNotice(null);
+      setUploadError(`/${command.name}: ${error.message || 'command failed'}`);
+    }
+  };
 
   /**
    * Handles message sending
    */
   const handleSendMessage = () => {
     const trimmedMessage = message.trim();
-    if (trimmedMessage && !disabled && !isLoading) {
-      onSendMessage(trimmedMessage);
+    const command = typeof onCommand === 'function' ? parseSlashCommand(trimmedMessage) : null;
+    if (command && !disabled) {
+      runCommand(command);
+      return;
+    }
+
+    if (trimmedMessage && !disabled && !isLoading && !isUploading) {
+      setCommandNotice(null);
+      const readyAttachments = attachments.map(({ localId, uploading, ...attachment }) => attachment);
+      onSendMessage(trimmedMessage, readyAttachments);
       setMessage('');
+      setAttachments([]);
+      setUploadError(null);
       
       // Focus on input after sending
       setTimeout(() => {
@@ -78,7 +332,7 @@ const MessageInput = ({
   /**
    * Checks if message can be sent
    */
-  const canSend = message.trim().length > 0 && !disabled && !isLoading;
+  const canSend = message.trim().length > 0 && !disabled && !isLoading && !isUploading;
 
   // Main container style
   const containerStyle = {
@@ -96,7 +350,7 @@ const MessageInput = ({
     alignItems: 'flex-end',
     p: 1,
     borderRadius: 3,
-    border: `2px solid ${isFocused ? theme.palette.primary.main : theme.palette.divider}`,
+    border: `2px ${isDragging ? 'dashed' : 'solid'} ${isFocused || isDragging ? theme.palette.primary.main : theme.palette.divider}`,
     backgroundColor: theme.palette.background.default,
     transition: 'border-color 0.2s ease-in-out',
     gap: 1,
@@ -104,18 +358,70 @@ const MessageInput = ({
 
   return (
     <Box sx={containerStyle}>
-      <Paper sx={inputPaperStyle} elevation={0}>
+      {/* Pending attachments and command notices */}
+      {(attachments.length > 0 || uploadError || commandNotice) && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 1 }}>
+          {attachments.map(attachment => (
+            <Chip
+              key={attachment.localId}
+              size="small"
+              variant="outlined"
+              icon={
+                attachment.uploading
+                  ? <CircularProgress size={14} />
+                  : attachment.mimeType?.startsWith('image/')
+                    ? <ImageIcon fontSize="small" />
+                    : <FileIcon fontSize="small" />
+              }
+              label={attachment.originalName}
+              onDelete={attachment.uploading ? undefined : () => handleRemoveAttachment(attachment.localId)}
+              sx={{ maxWidth: 240 }}
+            />
+          ))}
+          {uploadError && (
+            <Typography variant="caption" color="error">
+              {uploadError}
+            </Typography>
+          )}
+          {commandNotice && !uploadError && (
+            <Typography variant="caption" color="text.secondary">
+              {commandNotice}
+            </Typography>
+          )}
+        </Box>
+      )}
+
+      <Paper
+        sx={inputPaperStyle}
+        elevation={0}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          hidden
+          accept={ACCEPTED_FILE_TYPES}
+          onChange={handleFileInputChange}
+          data-testid="file-input"
+        />
+
         {/* Left action buttons (desktop only) */}
         {!isMobile && (
           <Box sx={{ display: 'flex', gap: 0.5 }}>
-            <Tooltip title="Attach file">
-              <IconButton 
-                size="small" 
-                disabled={disabled}
-                sx={{ color: theme.palette.text.secondary }}
-              >
-                <AttachIcon fontSize="small" />
-              </IconButton>
+            <Tooltip title="Attach file or image">
+              <span>
+                <IconButton 
+                  size="small" 
+                  disabled={!canAttach}
+                  onClick={() => fileInputRef.current?.click()}
+                  sx={{ color: theme.palette.text.secondary }}
+                >
+                  <AttachIcon fontSize="small" />
+                </IconButton>
+              </span>
             </Tooltip>
             
             <Tooltip title="Add emoji">
@@ -141,6 +447,7 @@ const MessageInput = ({
           value={message}
           onChange={handleInputChange}
           onKeyPress={handleKeyPress}
+          onPaste={handlePaste}
           onFocus={() => setIsFocused(true)}
           onBlur={() => setIsFocused(false)}
           disabled={disabled}
@@ -168,45 +475,92 @@ const MessageInput = ({
 
         {/* Right action buttons */}
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-          {/* Microphone button */}
-          <Tooltip title="Voice message">
-            <IconButton 
-              size="small" 
-              disabled={disabled}
-              sx={{ color: theme.palette.text.secondary }}
-            >
-              <MicIcon fontSize="small" />
-            </IconButton>
+          {/* Microphone button (push-to-talk) */}
+          <Tooltip
+            title={
+              isTranscribing ? 'Transcribing...' : isRecording ? 'Release to transcribe' : 'Hold to talk'
+            }
+          >
+            <span>
+              <IconButton 
+                size="small" 
+                disabled={!canRecord && !isRecording}
+                aria-label="Hold to talk"
+                aria-pressed={isRecording}
+                onPointerDown={handleStartRecording}
+                onPointerUp={handleStopRecording}
+                onPointerLeave={handleStopRecording}
+                onPointerCancel={handleStopRecording}
+                onKeyDown={handleMicKeyDown}
+                onKeyUp={(event) => (event.key === ' ' || event.key === 'Enter') && handleStopRecording()}
+                onContextMenu={(event) => event.preventDefault()}
+                sx={{
+                  color: isRecording ? theme.palette.error.main : theme.palette.text.secondary,
+                  touchAction: 'none',
+                  ...(isRecording && {
+                    animation: 'micPulse 1.2s ease-in-out infinite',
+                    '@keyframes micPulse': {
+                      '0%, 100%': { boxShadow: `0 0 0 0 ${theme.palette.error.main}66` },
+                      '50%': { boxShadow: `0 0 0 6px ${theme.palette.error.main}00` },
+                    },
+                  }),
+                }}
+              >
+                {isTranscribing ? <CircularProgress size={18} /> : <MicIcon fontSize="small" />}
+              </IconButton>
+            </span>
           </Tooltip>
 
-          {/* Send button */}
-          <Tooltip title={canSend ? "Send message" : "Type a message"}>
-            <span>
+          {/* Stop button (while a response is being generated) */}
+          {isLoading && onStop ? (
+            <Tooltip title="Stop generating">
               <IconButton
-                onClick={handleSendMessage}
-                disabled={!canSend}
+                onClick={onStop}
+                aria-label="Stop generating"
                 sx={{
-                  backgroundColor: canSend ? theme.palette.primary.main : 'transparent',
-                  color: canSend ? theme.palette.primary.contrastText : theme.palette.text.disabled,
+                  backgroundColor: theme.palette.error.main,
+                  color: theme.palette.error.contrastText,
                   '&:hover': {
-                    backgroundColor: canSend ? theme.palette.primary.dark : 'transparent',
-                  },
-                  '&:disabled': {
-                    backgroundColor: 'transparent',
+                    backgroundColor: theme.palette.error.dark,
                   },
                   transition: 'all 0.2s ease-in-out',
                   minWidth: 40,
                   minHeight: 40,
                 }}
               >
-                {isLoading ? (
-                  <CircularProgress size={20} color="inherit" />
-                ) : (
-                  <SendIcon fontSize="small" />
-                )}
+                <StopIcon fontSize="small" />
               </IconButton>
-            </span>
-          </Tooltip>
+            </Tooltip>
+          ) : (
+            // Send button
+            <Tooltip title={canSend ? "Send message" : "Type a message"}>
+              <span>
+                <IconButton
+                  onClick={handleSendMessage}
+                  disabled={!canSend}
+                  sx={{
+                    backgroundColor: canSend ? theme.palette.primary.main : 'transparent',
+                    color: canSend ? theme.palette.primary.contrastText : theme.palette.text.disabled,
+                    '&:hover': {
+                      backgroundColor: canSend ? theme.palette.primary.dark : 'transparent',
+                    },
+                    '&:disabled': {
+                      backgroundColor: 'transparent',
+                    },
+                    transition: 'all 0.2s ease-in-out',
+                    minWidth: 40,
+                    minHeight: 40,
+                  }}
+                >
+                  {isLoading ? (
+                    <CircularProgress size={20} color="inherit" />
+                  ) : (
+                    <SendIcon fontSize="small" />
+                  )}
+                </IconButton>
+              </span>
+            </Tooltip>
+          )}
         </Box>
       </Paper>
 
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   Box,
   List,
@@ -7,6 +7,7 @@ import {
   Divider,
   useTheme,
   useMediaQuery,
+  alpha,
   Fade,
   Paper
 } from '@mui/material';
@@ -22,13 +23,28 @@ import ChatMessage from './ChatMessage';
  * @param {Message[]} props.messages - Messages array
  * @param {boolean} props.isLoading - Whether it's loading
  * @param {boolean} props.isTyping - Whether it's typing
+ * @param {Function} props.onRegenerate - Regenerates an assistant message (optional)
+ * @param {Function} props.onEdit - Edits and resends a user message (optional)
+ * @param {Function} props.onSwitchBranch - Shows another alternative of a message (optional)
+ * @param {Object} props.highlightedMessage - Message to scroll to and flash ({ id, at }), e.g. a search hit (optional)
  * @returns {JSX.Element}
  */
-const MessageList = ({ messages = [], isLoading = false, isTyping = false, onImageGenerated }) => {
+const MessageList = ({
+  messages = [],
+  isLoading = false,
+  isTyping = false,
+  onImageGenerated,
+  onRegenerate,
+  onEdit,
+  onSwitchBranch,
+  highlightedMessage
+}) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const messagesEndRef = useRef(null);
   const containerRef = useRef(null);
+  const handledHighlightRef = useRef(null);
+  const [flashMessageId, setFlashMessageId] = useState(null);
 
   /**
    * Auto scroll to the last message
@@ -47,6 +63,21 @@ const MessageList = ({ messages = [], isLoading = false, isTyping = false, onIma
     scrollToBottom();
   }, [messages, isTyping]);
 
+  // Scrolls to the highlighted message once per highlight (after the auto scroll above)
+  useEffect(() => {
+    if (!highlightedMessage || handledHighlightRef.current === highlightedMessage.at) return;
+
+    const element = document.getElementById(`message-${highlightedMessage.id}`);
+    if (!element) return;
+
+    handledHighlightRef.current = highlightedMessage.at;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setFlashMessageId(highlightedMessage.id);
+
+    const timeout = setTimeout(() => setFlashMessageId(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessage, messages]);
+
   /**
    * Checks whether to show avatar based on the previous message
    * @param {number} index - Current message index
@@ -248,11 +279,26 @@ const MessageList = ({ messages = [], isLoading = false, isTyping = false, onIma
               )}
               
               {/* Message */}
-              <ListItem sx={{ p: 0, display: 'block' }}>
+              <ListItem
+                id={`message-${message.id}`}
+                sx={{
+                  p: 0,
+                  display: 'block',
+                  borderRadius: 2,
+                  transition: 'background-color 0.6s ease',
+                  backgroundColor: flashMessageId === message.id
+                    ? alpha(theme.palette.warning.main, 0.15)
+                    : 'transparent',
+                }}
+              >
                 <ChatMessage 
                   message={message} 
                   showAvatar={shouldShowAvatar(index)}
                   onImageGenerated={onImageGenerated}
+                  onRegenerate={onRegenerate}
+                  onEdit={onEdit}
+                  onSwitchBranch={onSwitchBranch}
+                  actionsDisabled={isLoading}
                 />
               </ListItem>
             </React.Fragment>
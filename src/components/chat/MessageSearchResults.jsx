@@ -0,0 +1,184 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemText,
+  CircularProgress,
+  TextField,
+  MenuItem,
+  Collapse,
+  Chip,
+  useTheme
+} from '@mui/material';
+import {
+  Person as PersonIcon,
+  SmartToy as BotIcon
+} from '@mui/icons-material';
+
+/**
+ * Renders a search snippet, highlighting the parts the backend wrapped in <mark></mark>
+ * The snippet is user content, so it is rendered as text and never as HTML
+ * @param {string} snippet - Snippet returned by the search endpoint
+ * @param {string} highlightColor - Background of the highlighted terms
+ * @returns {Array<JSX.Element|string>}
+ */
+const renderSnippet = (snippet, highlightColor) =>
+  (snippet || '').split(/(<mark>[\s\S]*?<\/mark>)/g).map((part, index) => {
+    const match = part.match(/^<mark>([\s\S]*)<\/mark>$/);
+    return match ? (
+      <Box
+        component="mark"
+        key={index}
+        sx={{ backgroundColor: highlightColor, color: 'inherit', borderRadius: 0.5, px: 0.25 }}
+      >
+        {match[1]}
+      </Box>
+    ) : part;
+  });
+
+/**
+ * Message search filters and ranked results shown in the sidebar
+ * @param {Object} props - Component props
+ * @param {Array} props.results - Search hits ({ messageId, sessionId, sessionTitle, role, model, snippet, createdAt })
+ * @param {number} props.total - Total number of hits
+ * @param {boolean} props.isSearching - Whether a search is running
+ * @param {string|null} props.error - Search error message
+ * @param {boolean} props.showFilters - Whether the filter fields are visible
+ * @param {Object} props.filters - Current filters ({ role, model, dateFrom, dateTo })
+ * @param {Function} props.onFiltersChange - Callback with the updated filters
+ * @param {Function} props.onSelect - Callback when a hit is clicked
+ * @returns {JSX.Element}
+ */
+const MessageSearchResults = ({
+  results = [],
+  total = 0,
+  isSearching = false,
+  error = null,
+  showFilters = false,
+  filters,
+  onFiltersChange,
+  onSelect
+}) => {
+  const theme = useTheme();
+
+  const updateFilter = (key) => (event) => {
+    onFiltersChange({ ...filters, [key]: event.target.value });
+  };
+
+  return (
+    <Box>
+      <Collapse in={showFilters}>
+        <Box sx={{ px: 2, pb: 1, display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Author"
+            value={filters.role}
+            onChange={updateFilter('role')}
+          >
+            <MenuItem value="">Anyone</MenuItem>
+            <MenuItem value="user">You</MenuItem>
+            <MenuItem value="assistant">Assistant</MenuItem>
+          </TextField>
+          <TextField
+            size="small"
+            label="Model"
+            placeholder="llama3.2"
+            value={filters.model}
+            onChange={updateFilter('model')}
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="From"
+            value={filters.dateFrom}
+            onChange={updateFilter('dateFrom')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="To"
+            value={filters.dateTo}
+            onChange={updateFilter('dateTo')}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Box>
+      </Collapse>
+
+      <Typography
+        variant="caption"
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          px: 2,
+          pt: 1,
+          color: theme.palette.text.secondary,
+          fontWeight: 600,
+          textTransform: 'uppercase',
+          letterSpacing: 0.5
+        }}
+      >
+        Messages
+        {isSearching ? <CircularProgress size={12} /> : <Chip label={total} size="small" sx={{ height: 16, fontSize: '0.6rem' }} />}
+      </Typography>
+
+      {error ? (
+        <Typography variant="body2" color="error" sx={{ px: 2, py: 1 }}>
+          {error}
+        </Typography>
+      ) : !isSearching && results.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ px: 2, py: 1 }}>
+          No messages match your search
+        </Typography>
+      ) : (
+        <List dense sx={{ pt: 0 }}>
+          {results.map((result) => (
+            <ListItemButton
+              key={result.messageId}
+              onClick={() => onSelect(result)}
+              sx={{ mx: 1, mb: 0.5, borderRadius: 2, alignItems: 'flex-start' }}
+            >
+              <Box sx={{ mr: 1, mt: 0.5, color: theme.palette.text.secondary }}>
+                {result.role === 'user' ? <PersonIcon sx={{ fontSize: 16 }} /> : <BotIcon sx={{ fontSize: 16 }} />}
+              </Box>
+              <ListItemText
+                primary={
+                  <Typography variant="caption" sx={{ display: 'block', fontWeight: 600 }} noWrap>
+                    {result.sessionTitle || 'Untitled conversation'}
+                  </Typography>
+                }
+                secondary={
+                  <>
+                    <Typography
+                      component="span"
+                      variant="body2"
+                      sx={{
+                        display: '-webkit-box',
+                        WebkitLineClamp: 3,
+                        WebkitBoxOrient: 'vertical',
+                        overflow: 'hidden',
+                        color: theme.palette.text.primary
+                      }}
+                    >
+                      {renderSnippet(result.snippet, `${theme.palette.warning.main}55`)}
+                    </Typography>
+                    <Typography component="span" variant="caption" sx={{ display: 'block', opacity: 0.7, mt: 0.25 }}>
+                      {result.createdAt.toLocaleDateString()}
+                      {result.model ? ` · ${result.model}` : ''}
+                    </Typography>
+                  </>
+                }
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default MessageSearchResults;
@@ -41,12 +41,16 @@ import {
   Timer as TimerIcon,
 } from '@mui/icons-material';
 import { useDynamicLLM } from '../../application/hooks/useDynamicLLM';
+import { useAuth } from '../../contexts/AuthContext';
 
 /**
  * Model Manager Component
- * Comprehensive interface for managing models: loaded models, inventory, downloads
+ * Comprehensive interface for managing models: loaded models, inventory, downloads.
+ * Downloading and unloading models is reserved to admins; other users only see the lists.
  */
 const ModelManager = ({ open, onClose }) => {
+  const { isAdmin } = useAuth();
+  const canManage = isAdmin();
   const {
     loadedModels,
     availableModels,
@@ -258,10 +262,16 @@ const ModelManager = ({ open, onClose }) => {
         <Tab label={`Loaded Models (${loadedModels.length})`} />
         <Tab label={`Inventory (${availableModels.length})`} />
         <Tab label={`Downloads (${downloads.length})`} />
-        <Tab label="Download New Model" />
+        {canManage && <Tab label="Download New Model" />}
       </Tabs>
 
       <DialogContent sx={{ pt: 2 }}>
+        {!canManage && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Only administrators can download or unload models.
+          </Alert>
+        )}
+
         {/* Tab 0: Loaded Models */}
         {tabValue === 0 && (
           <Box>
@@ -273,14 +283,16 @@ const ModelManager = ({ open, onClose }) => {
                   <Typography variant="subtitle2" color="text.secondary">
                     Currently loaded models consuming GPU/CPU memory
                   </Typography>
-                  <Button
-                    size="small"
-                    startIcon={<DeleteIcon />}
-                    onClick={handleUnloadAll}
-                    color="warning"
-                  >
-                    Unload All
-                  </Button>
+                  {canManage && (
+                    <Button
+                      size="small"
+                      startIcon={<DeleteIcon />}
+                      onClick={handleUnloadAll}
+                      color="warning"
+                    >
+                      Unload All
+                    </Button>
+                  )}
                 </Box>
                 <TableContainer component={Paper} variant="outlined">
                   <Table size="small">
@@ -292,7 +304,7 @@ const ModelManager = ({ open, onClose }) => {
                         <TableCell>Loaded At</TableCell>
                         <TableCell>Last Used</TableCell>
                         <TableCell>TTL</TableCell>
-                        <TableCell align="right">Actions</TableCell>
+                        {canManage && <TableCell align="right">Actions</TableCell>}
                       </TableRow>
                     </TableHead>
                     <TableBody>
@@ -319,17 +331,19 @@ const ModelManager = ({ open, onClose }) => {
                             {model.ttl === 0 ? 'Never' : `${model.ttl}s`}
                             {model.ttl_remaining && ` (${model.ttl_remaining}s left)`}
                           </TableCell>
-                          <TableCell align="right">
-                            <Tooltip title="Unload">
-                              <IconButton 
-                                size="small" 
-                                color="error"
-                                onClick={() => handleUnloadModel(model.model_path, model.backend)}
-                              >
-                                <DeleteIcon fontSize="small" />
-                              </IconButton>
-                            </Tooltip>
-                          </TableCell>
+                          {canManage && (
+                            <TableCell align="right">
+                              <Tooltip title="Unload">
+                                <IconButton 
+                                  size="small" 
+                                  color="error"
+                                  onClick={() => handleUnloadModel(model.model_path, model.backend)}
+                                >
+                                  <DeleteIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                            </TableCell>
+                          )}
                         </TableRow>
                       ))}
                     </TableBody>
@@ -421,7 +435,7 @@ const ModelManager = ({ open, onClose }) => {
                             download.status === 'failed' ? 'error' : 'default'
                           }
                         />
-                        {(download.status === 'downloading' || download.status === 'pending') && (
+                        {canManage && (download.status === 'downloading' || download.status === 'pending') && (
                           <Tooltip title="Cancel">
                             <IconButton size="small" onClick={() => handleCancelDownload(download.job_id)}>
                               <CancelIcon fontSize="small" />
@@ -458,7 +472,7 @@ const ModelManager = ({ open, onClose }) => {
         )}
 
         {/* Tab 3: Download New Model */}
-        {tabValue === 3 && (
+        {canManage && tabValue === 3 && (
           <Box>
             <Alert severity="info" sx={{ mb: 3 }}>
               Download models from HuggingFace. Supports GGUF models for LlamaCPP and standard models for vLLM.
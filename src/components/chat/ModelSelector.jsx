@@ -19,7 +19,8 @@ import {
   Check as CheckIcon,
   SmartToy as BotIcon,
   Warning as WarningIcon,
-  Settings as SettingsIcon
+  Settings as SettingsIcon,
+  Visibility as VisionIcon
 } from '@mui/icons-material';
 import { useOllama } from '../../application/hooks/useOllama';
 
@@ -27,9 +28,10 @@ import { useOllama } from '../../application/hooks/useOllama';
  * Model selector component
  * @param {Object} props - Component properties
  * @param {Function} props.onOpenSettings - Callback to open settings
+ * @param {boolean} props.hasImages - Whether the conversation (or the message being written) has images
  * @returns {JSX.Element}
  */
-const ModelSelector = ({ onOpenSettings }) => {
+const ModelSelector = ({ onOpenSettings, hasImages = false }) => {
   const theme = useTheme();
   const [anchorEl, setAnchorEl] = useState(null);
   const open = Boolean(anchorEl);
@@ -126,6 +128,16 @@ const ModelSelector = ({ onOpenSettings }) => {
       };
     }
 
+    if (hasImages && !currentModel.supportsVision()) {
+      return {
+        label: currentModel.getDisplayName(),
+        icon: <WarningIcon fontSize="small" color="warning" />,
+        color: 'warning',
+        visionWarning: true,
+        description: `${currentModel.getDisplayName()} can't see images - they will be ignored. Pick a vision model such as llava or llama3.2-vision`
+      };
+    }
+
     return {
       label: currentModel.getDisplayName(),
       icon: <MemoryIcon fontSize="small" />,
@@ -215,6 +227,11 @@ const ModelSelector = ({ onOpenSettings }) => {
               : 'OLLAMA disconnected'
             }
           </Typography>
+          {modelStatus.visionWarning && (
+            <Typography variant="caption" color="warning.main" sx={{ display: 'block', mt: 0.5 }}>
+              The selected model can't see images. Models marked with <VisionIcon sx={{ fontSize: 12, verticalAlign: 'middle' }} /> can.
+            </Typography>
+          )}
         </Box>
 
         <Divider />
@@ -263,6 +280,11 @@ const ModelSelector = ({ onOpenSettings }) => {
                       variant="outlined"
                       sx={{ height: 20, fontSize: '0.7rem' }}
                     />
+                    {model.supportsVision() && (
+                      <Tooltip title="Can see images">
+                        <VisionIcon fontSize="small" color={hasImages ? 'primary' : 'action'} />
+                      </Tooltip>
+                    )}
                   </Box>
                 }
                 secondary={`${model.getFamily()} - ${model.getFormattedSize()}`}
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import {
+  Chip,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+  Tooltip
+} from '@mui/material';
+import {
+  TheaterComedy as PersonaIcon,
+  Check as CheckIcon,
+  People as SharedIcon,
+  Settings as ManageIcon
+} from '@mui/icons-material';
+
+/**
+ * Header chip to pick the persona (library system prompt) of the current conversation
+ * @param {Object} props - Component properties
+ * @param {Array} props.personas - Personas visible to the user
+ * @param {string|null} props.activePersonaId - Persona of the conversation, if any
+ * @param {Function} props.onSelect - Callback with the chosen persona (null removes it)
+ * @param {Function} props.onManage - Callback to open the persona library (optional)
+ * @param {boolean} props.compact - Hides the label (mobile)
+ * @returns {JSX.Element}
+ */
+const PersonaPicker = ({ personas = [], activePersonaId = null, onSelect, onManage, compact = false }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const activePersona = personas.find(persona => persona.id === activePersonaId);
+
+  const handleSelect = (persona) => {
+    setAnchorEl(null);
+    onSelect(persona);
+  };
+
+  return (
+    <>
+      <Tooltip title={activePersona ? `Persona: ${activePersona.name} - click to change` : 'Pick a persona for this conversation'}>
+        <Chip
+          icon={<PersonaIcon sx={{ fontSize: 14 }} />}
+          label={compact ? undefined : (activePersona?.name || 'Persona')}
+          size="small"
+          variant={activePersona ? 'filled' : 'outlined'}
+          color={activePersona ? 'secondary' : 'default'}
+          onClick={(event) => setAnchorEl(event.currentTarget)}
+          sx={{
+            height: 20,
+            maxWidth: 180,
+            fontSize: '0.7rem',
+            '& .MuiChip-label': compact ? { px: 0.5 } : undefined,
+          }}
+        />
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{ sx: { minWidth: 220, maxHeight: 400 } }}
+      >
+        <MenuItem onClick={() => handleSelect(null)} selected={!activePersonaId}>
+          <ListItemIcon>{!activePersonaId && <CheckIcon fontSize="small" />}</ListItemIcon>
+          <ListItemText primary="No persona" secondary="Use the conversation system prompt" />
+        </MenuItem>
+
+        {personas.length > 0 && <Divider />}
+
+        {personas.map(persona => (
+          <MenuItem
+            key={persona.id}
+            onClick={() => handleSelect(persona)}
+            selected={persona.id === activePersonaId}
+          >
+            <ListItemIcon>
+              {persona.id === activePersonaId
+                ? <CheckIcon fontSize="small" />
+                : !persona.isOwner && <SharedIcon fontSize="small" />}
+            </ListItemIcon>
+            <ListItemText
+              primary={persona.name}
+              secondary={persona.description}
+              secondaryTypographyProps={{ noWrap: true, sx: { maxWidth: 260 } }}
+            />
+          </MenuItem>
+        ))}
+
+        {onManage && <Divider />}
+        {onManage && (
+          <MenuItem onClick={() => { setAnchorEl(null); onManage(); }}>
+            <ListItemIcon><ManageIcon fontSize="small" /></ListItemIcon>
+            <ListItemText primary="Manage personas" />
+          </MenuItem>
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default PersonaPicker;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Divider,
+  IconButton,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Check as CheckIcon,
+} from '@mui/icons-material';
+
+/**
+ * Dialog asking the values of the custom variables of a persona before using it
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @param {Object|null} props.persona - Persona being picked
+ * @param {Object} props.initialValues - Values already chosen for this conversation
+ * @param {Function} props.onConfirm - Callback with the filled values
+ * @returns {JSX.Element}
+ */
+const PersonaVariablesDialog = ({ open, onClose, persona, initialValues, onConfirm }) => {
+  const [values, setValues] = useState({});
+
+  // Reset the form whenever the dialog opens, starting from the persona defaults
+  useEffect(() => {
+    if (open && persona) {
+      setValues({ ...persona.variables, ...initialValues });
+    }
+  }, [open, persona, initialValues]);
+
+  const variableNames = persona?.customVariables || [];
+
+  const handleConfirm = () => {
+    onConfirm(Object.fromEntries(
+      variableNames
+        .filter(name => values[name]?.trim())
+        .map(name => [name, values[name].trim()])
+    ));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+        <Typography variant="h6" component="div">
+          {persona?.name}
+        </Typography>
+        <IconButton onClick={onClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <Divider />
+
+      <DialogContent sx={{ pt: 2 }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Fill in the variables of this persona. Empty ones are sent blank.
+          </Typography>
+
+          {variableNames.map((name, index) => (
+            <TextField
+              key={name}
+              label={name}
+              value={values[name] || ''}
+              onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+              autoFocus={index === 0}
+              size="small"
+              fullWidth
+            />
+          ))}
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={onClose} color="inherit">
+          Cancel
+        </Button>
+        <Button
+          startIcon={<CheckIcon />}
+          onClick={handleConfirm}
+          variant="contained"
+        >
+          Use Persona
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PersonaVariablesDialog;
@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Divider,
+  Alert,
+  IconButton,
+  MenuItem,
+  Slider,
+  Grid,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Save as SaveIcon,
+} from '@mui/icons-material';
+import { useOllama } from '../../application/hooks/useOllama';
+import { useDynamicLLM } from '../../application/hooks/useDynamicLLM';
+
+/**
+ * Sampling parameters editable per conversation (same ranges and defaults as the global LLM Parameters tab)
+ */
+const PARAMETERS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1, defaultValue: 0.7 },
+  { key: 'maxTokens', label: 'Max Tokens', min: 256, max: 8192, step: 256, defaultValue: 2048 },
+  { key: 'topK', label: 'Top-K', min: 1, max: 100, step: 1, defaultValue: 40 },
+  { key: 'topP', label: 'Top-P', min: 0, max: 1, step: 0.05, defaultValue: 0.9 },
+  { key: 'frequencyPenalty', label: 'Frequency Penalty', min: 0, max: 2, step: 0.1, defaultValue: 0 },
+  { key: 'presencePenalty', label: 'Presence Penalty', min: 0, max: 2, step: 0.1, defaultValue: 0 },
+  { key: 'repeatPenalty', label: 'Repeat Penalty (Ollama)', min: 0.5, max: 2, step: 0.1, defaultValue: 1.1 },
+];
+
+/**
+ * Builds the editable form from the saved session settings
+ * @param {Object|null} settings - Session settings
+ * @returns {Object}
+ */
+const toForm = (settings) => ({
+  provider: settings?.provider || 'ollama',
+  model: settings?.model || '',
+  dynamicLLMConfig: settings?.dynamicLLMConfig || null,
+  systemPrompt: settings?.systemPrompt || '',
+  toolsEnabled: settings?.toolsEnabled ?? true,
+  llmConfig: PARAMETERS.reduce((config, { key, defaultValue }) => ({
+    ...config,
+    [key]: settings?.llmConfig?.[key] ?? defaultValue,
+  }), { seed: settings?.llmConfig?.seed }),
+});
+
+/**
+ * Dialog to view and edit the model, sampling parameters and system prompt of the current conversation
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @param {Object|null} props.settings - Current settings ({ provider, model, dynamicLLMConfig, systemPrompt, toolsEnabled, llmConfig })
+ * @param {Function} props.onSave - Callback that saves the new settings (returns a Promise)
+ * @returns {JSX.Element}
+ */
+const SessionSettingsDialog = ({ open, onClose, settings, onSave }) => {
+  const [form, setForm] = useState(() => toForm(settings));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const { config: ollamaConfig, models } = useOllama();
+  const { config: dynamicLLMConfig } = useDynamicLLM();
+
+  // Reset the form whenever the dialog opens
+  useEffect(() => {
+    if (open) {
+      setForm(toForm(settings));
+      setError(null);
+    }
+  }, [open, settings]);
+
+  const isDynamicLLM = form.provider === 'dynamic_llm';
+  const modelNames = models.map(model => model.name);
+  if (!isDynamicLLM && form.model && !modelNames.includes(form.model)) {
+    modelNames.unshift(form.model);
+  }
+
+  /**
+   * Switches the provider, starting from the globally selected model of the new one
+   * @param {string} provider - 'ollama' or 'dynamic_llm'
+   */
+  const handleProviderChange = (provider) => {
+    if (provider === 'dynamic_llm') {
+      const dynamicConfig = form.dynamicLLMConfig || {
+        backend: dynamicLLMConfig.provider,
+        device: dynamicLLMConfig.device,
+        ttl: dynamicLLMConfig.ttl,
+      };
+      setForm(prev => ({
+        ...prev,
+        provider,
+        dynamicLLMConfig: dynamicConfig,
+        model: dynamicConfig.model || dynamicLLMConfig.model || '',
+      }));
+    } else {
+      setForm(prev => ({ ...prev, provider, model: ollamaConfig?.selectedModel || models[0]?.name || '' }));
+    }
+  };
+
+  /**
+   * Updates a sampling parameter
+   * @param {string} key - Parameter name
+   * @param {number|undefined} value - New value
+   */
+  const handleParameterChange = (key, value) => {
+    setForm(prev => ({ ...prev, llmConfig: { ...prev.llmConfig, [key]: value } }));
+  };
+
+  /**
+   * Saves the settings and closes the dialog on success
+   */
+  const handleSave = async () => {
+    const { seed, ...parameters } = form.llmConfig;
+    const model = form.model.trim();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      await onSave({
+        provider: form.provider,
+        model: model || undefined,
+        ...(isDynamicLLM && { dynamicLLMConfig: { ...form.dynamicLLMConfig, model } }),
+        systemPrompt: form.systemPrompt,
+        toolsEnabled: form.toolsEnabled,
+        llmConfig: {
+          ...parameters,
+          ...(Number.isInteger(seed) && { seed }),
+        },
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Could not save the conversation settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+        <Typography variant="h6" component="div">
+          Conversation Settings
+        </Typography>
+        <IconButton onClick={onClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <Divider />
+
+      <DialogContent sx={{ pt: 2 }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Alert severity="info">
+            <Typography variant="caption">
+              These settings belong to this conversation and are used for every answer in it, even if you
+              select another model later. New conversations start from the global settings.
+            </Typography>
+          </Alert>
+
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={4}>
+              <TextField
+                select
+                fullWidth
+                size="small"
+                label="Provider"
+                value={form.provider}
+                onChange={(e) => handleProviderChange(e.target.value)}
+                disabled={isSaving}
+              >
+                <MenuItem value="ollama">Ollama</MenuItem>
+                <MenuItem value="dynamic_llm">Dynamic LLM</MenuItem>
+              </TextField>
+            </Grid>
+
+            {isDynamicLLM && (
+              <Grid item xs={12} md={3}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Backend"
+                  value={form.dynamicLLMConfig?.backend || 'vllm'}
+                  onChange={(e) => setForm(prev => ({
+                    ...prev,
+                    dynamicLLMConfig: { ...prev.dynamicLLMConfig, backend: e.target.value },
+                  }))}
+                  disabled={isSaving}
+                >
+                  <MenuItem value="vllm">vLLM</MenuItem>
+                  <MenuItem value="llamacpp">LlamaCPP</MenuItem>
+                </TextField>
+              </Grid>
+            )}
+
+            <Grid item xs={12} md={isDynamicLLM ? 5 : 8}>
+              {!isDynamicLLM && modelNames.length > 0 ? (
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Model"
+                  value={form.model}
+                  onChange={(e) => setForm(prev => ({ ...prev, model: e.target.value }))}
+                  disabled={isSaving}
+                >
+                  {modelNames.map(name => (
+                    <MenuItem key={name} value={name}>{name}</MenuItem>
+                  ))}
+                </TextField>
+              ) : (
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={isDynamicLLM ? 'Model path' : 'Model'}
+                  value={form.model}
+                  onChange={(e) => setForm(prev => ({ ...prev, model: e.target.value }))}
+                  placeholder={isDynamicLLM ? '/models/folder/model.gguf' : 'llama3.2'}
+                  disabled={isSaving}
+                />
+              )}
+            </Grid>
+          </Grid>
+
+          <TextField
+            label="System Prompt"
+            value={form.systemPrompt}
+            onChange={(e) => setForm(prev => ({ ...prev, systemPrompt: e.target.value }))}
+            multiline
+            minRows={3}
+            maxRows={10}
+            fullWidth
+            placeholder="Leave empty to use the default behavior"
+            disabled={isSaving}
+          />
+
+          <Box>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.toolsEnabled}
+                  onChange={(e) => setForm(prev => ({ ...prev, toolsEnabled: e.target.checked }))}
+                  disabled={isSaving}
+                />
+              }
+              label="Allow tools"
+            />
+            <Typography variant="caption" color="text.secondary" display="block">
+              The model can use a calculator, the current time, knowledge base search and image generation while answering.
+              Models without tool support answer normally.
+            </Typography>
+          </Box>
+
+          <Grid container spacing={2}>
+            {PARAMETERS.map(({ key, label, min, max, step }) => (
+              <Grid item xs={12} md={6} key={key}>
+                <Typography variant="body2" gutterBottom>
+                  {label}: {form.llmConfig[key]}
+                </Typography>
+                <Slider
+                  size="small"
+                  value={form.llmConfig[key]}
+                  onChange={(e, value) => handleParameterChange(key, value)}
+                  min={min}
+                  max={max}
+                  step={step}
+                  valueLabelDisplay="auto"
+                  disabled={isSaving}
+                />
+              </Grid>
+            ))}
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Seed (optional)"
+                value={form.llmConfig.seed ?? ''}
+                onChange={(e) => handleParameterChange('seed', e.target.value === '' ? undefined : parseInt(e.target.value, 10))}
+                helperText="Same seed and prompt give the same answer"
+                disabled={isSaving}
+              />
+            </Grid>
+          </Grid>
+
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={onClose} color="inherit">
+          Cancel
+        </Button>
+        <Button
+          startIcon={<SaveIcon />}
+          onClick={handleSave}
+          variant="contained"
+          disabled={!form.model.trim() || isSaving}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionSettingsDialog;
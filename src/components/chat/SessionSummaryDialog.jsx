@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Divider,
+  Alert,
+  IconButton,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  DeleteOutline as ClearIcon,
+  Save as SaveIcon,
+} from '@mui/icons-material';
+
+/**
+ * Dialog to view and edit the rolling summary of a long conversation
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @param {Object|null} props.summary - Current summary ({ content, summarizedMessageCount, updatedAt, editedByUser })
+ * @param {Function} props.onSave - Callback that saves the edited content (returns a Promise)
+ * @param {Function} props.onClear - Callback that removes the summary (returns a Promise)
+ * @returns {JSX.Element}
+ */
+const SessionSummaryDialog = ({ open, onClose, summary, onSave, onClear }) => {
+  const [content, setContent] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reset the form whenever the dialog opens
+  useEffect(() => {
+    if (open) {
+      setContent(summary?.content || '');
+      setError(null);
+    }
+  }, [open, summary]);
+
+  const hasChanges = content.trim() !== (summary?.content || '').trim();
+
+  /**
+   * Runs a save/clear action and closes the dialog on success
+   */
+  const runAction = async (action) => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      await action();
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Could not update the summary');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+        <Typography variant="h6" component="div">
+          Conversation Summary
+        </Typography>
+        <IconButton onClick={onClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <Divider />
+
+      <DialogContent sx={{ pt: 2 }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Alert severity="info">
+            <Typography variant="caption">
+              {summary
+                ? `Older messages no longer fit in the model's context, so the assistant receives this summary instead` +
+                  (summary.summarizedMessageCount > 0 ? ` (${summary.summarizedMessageCount} messages summarized).` : '.') +
+                  ' It is updated automatically as the conversation grows.'
+                : 'This conversation has no summary yet. One is created automatically once older messages stop fitting in the context.'}
+            </Typography>
+          </Alert>
+
+          <TextField
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            multiline
+            minRows={8}
+            maxRows={20}
+            fullWidth
+            placeholder="Key facts and decisions the assistant should remember..."
+            disabled={isSaving}
+          />
+
+          {summary?.updatedAt && (
+            <Typography variant="caption" color="text.secondary">
+              Last updated {new Date(summary.updatedAt).toLocaleString()}
+              {summary.editedByUser ? ' · edited manually' : ''}
+            </Typography>
+          )}
+
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, py: 2, justifyContent: 'space-between' }}>
+        <Button
+          startIcon={<ClearIcon />}
+          onClick={() => runAction(onClear)}
+          color="error"
+          disabled={!summary || isSaving}
+        >
+          Remove Summary
+        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button onClick={onClose} color="inherit">
+            Cancel
+          </Button>
+          <Button
+            startIcon={<SaveIcon />}
+            onClick={() => runAction(() => onSave(content.trim()))}
+            variant="contained"
+            disabled={!content.trim() || !hasChanges || isSaving}
+          >
+            Save
+          </Button>
+        </Box>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionSummaryDialog;
@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Collapse,
+  IconButton,
+  Typography,
+  Paper,
+  CircularProgress,
+  useTheme,
+  alpha
+} from '@mui/material';
+import {
+  Build as ToolIcon,
+  ExpandMore as ExpandMoreIcon,
+  ErrorOutline as ErrorIcon
+} from '@mui/icons-material';
+
+/**
+ * Friendly names of the built-in tools (unknown tools show their own name)
+ */
+const TOOL_LABELS = {
+  calculator: 'Calculator',
+  current_time: 'Current time',
+  search_knowledge_base: 'Knowledge base search',
+  generate_image: 'Image generation'
+};
+
+/**
+ * One-line summary of the arguments shown in the header
+ * @param {Object} args - Tool call arguments
+ * @returns {string}
+ */
+const summarizeArguments = (args) => {
+  const values = Object.values(args || {}).filter(value => value !== undefined && value !== '');
+  if (values.length === 0) return '';
+  const summary = values.map(value => (typeof value === 'string' ? value : JSON.stringify(value))).join(', ');
+  return summary.length > 60 ? `${summary.slice(0, 60)}…` : summary;
+};
+
+/**
+ * Component to display a tool call made by the model (arguments and result) in a collapsible block
+ * @param {Object} props - Component properties
+ * @param {Object} props.toolCall - { id, name, arguments, status: 'running'|'done'|'error', result, error, durationMs }
+ * @param {boolean} props.defaultExpanded - Whether to show expanded by default
+ * @returns {JSX.Element}
+ */
+const ToolCallBlock = ({ toolCall, defaultExpanded = false }) => {
+  const [expanded, setExpanded] = useState(defaultExpanded);
+  const theme = useTheme();
+
+  const isDarkMode = theme.palette.mode === 'dark' ||
+                     theme.palette.background.default === '#121212';
+
+  const isRunning = toolCall.status === 'running';
+  const isError = toolCall.status === 'error';
+  const palette = isError ? theme.palette.error : theme.palette.secondary;
+
+  // Tool block colors - secondary tones (error tones when the call failed)
+  const colors = {
+    background: isDarkMode
+      ? alpha(palette.dark, 0.08)
+      : alpha(palette.light, 0.12),
+    border: isDarkMode
+      ? alpha(palette.main, 0.3)
+      : alpha(palette.main, 0.25),
+    headerBg: isDarkMode
+      ? alpha(palette.dark, 0.15)
+      : alpha(palette.light, 0.2),
+    text: isDarkMode
+      ? theme.palette.grey[300]
+      : theme.palette.grey[700],
+    icon: isDarkMode
+      ? palette.light
+      : palette.main,
+    accent: palette.main
+  };
+
+  const label = TOOL_LABELS[toolCall.name] || toolCall.name;
+  const argumentSummary = summarizeArguments(toolCall.arguments);
+  const hasArguments = Object.keys(toolCall.arguments || {}).length > 0;
+
+  const codeStyle = {
+    color: colors.text,
+    lineHeight: 1.7,
+    fontFamily: '"JetBrains Mono", "Fira Code", Consolas, monospace',
+    fontSize: '0.85rem',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word'
+  };
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        mb: 1.5,
+        overflow: 'hidden',
+        backgroundColor: colors.background,
+        border: `1px solid ${colors.border}`,
+        borderRadius: 2,
+        transition: 'all 0.2s ease-in-out',
+        '&:hover': {
+          borderColor: colors.accent,
+          boxShadow: `0 0 0 1px ${alpha(colors.accent, 0.1)}`
+        }
+      }}
+    >
+      {/* Header - Always visible */}
+      <Box
+        onClick={() => setExpanded(!expanded)}
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          px: 2,
+          py: 1,
+          backgroundColor: colors.headerBg,
+          cursor: 'pointer',
+          userSelect: 'none',
+          transition: 'background-color 0.2s ease',
+          '&:hover': {
+            backgroundColor: alpha(colors.headerBg, 1.5)
+          }
+        }}
+      >
+        <Box
+          sx={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            width: 28,
+            height: 28,
+            borderRadius: '50%',
+            backgroundColor: alpha(colors.icon, 0.15)
+          }}
+        >
+          {isRunning ? (
+            <CircularProgress size={16} thickness={5} sx={{ color: colors.icon }} />
+          ) : isError ? (
+            <ErrorIcon sx={{ fontSize: 18, color: colors.icon }} />
+          ) : (
+            <ToolIcon sx={{ fontSize: 16, color: colors.icon }} />
+          )}
+        </Box>
+
+        <Box sx={{ flex: 1, minWidth: 0, display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography
+            variant="subtitle2"
+            sx={{
+              fontWeight: 600,
+              color: colors.icon,
+              letterSpacing: '0.02em',
+              whiteSpace: 'nowrap'
+            }}
+          >
+            {label}
+          </Typography>
+
+          <Typography
+            variant="caption"
+            noWrap
+            sx={{
+              color: colors.text,
+              opacity: 0.7,
+              fontStyle: 'italic'
+            }}
+          >
+            {isRunning
+              ? `Running${argumentSummary ? ` · ${argumentSummary}` : '…'}`
+              : isError
+                ? 'Failed'
+                : argumentSummary}
+          </Typography>
+        </Box>
+
+        {!isRunning && toolCall.durationMs !== undefined && (
+          <Typography variant="caption" sx={{ color: colors.text, opacity: 0.6, whiteSpace: 'nowrap' }}>
+            {toolCall.durationMs < 1000 ? `${toolCall.durationMs}ms` : `${(toolCall.durationMs / 1000).toFixed(1)}s`}
+          </Typography>
+        )}
+
+        <IconButton
+          size="small"
+          sx={{
+            color: colors.icon,
+            transition: 'transform 0.2s ease',
+            transform: expanded ? 'rotate(180deg)' : 'rotate(0deg)'
+          }}
+        >
+          <ExpandMoreIcon />
+        </IconButton>
+      </Box>
+
+      {/* Collapsible Content */}
+      <Collapse in={expanded} timeout={300}>
+        <Box
+          sx={{
+            px: 2,
+            py: 1.5,
+            borderTop: `1px dashed ${colors.border}`,
+            maxHeight: '400px',
+            overflowY: 'auto',
+            '&::-webkit-scrollbar': {
+              width: '6px'
+            },
+            '&::-webkit-scrollbar-track': {
+              background: 'transparent'
+            },
+            '&::-webkit-scrollbar-thumb': {
+              background: colors.border,
+              borderRadius: '3px'
+            }
+          }}
+        >
+          {hasArguments && (
+            <>
+              <Typography variant="caption" sx={{ color: colors.icon, fontWeight: 600 }}>
+                Arguments
+              </Typography>
+              <Typography component="div" variant="body2" sx={{ ...codeStyle, mb: 1 }}>
+                {JSON.stringify(toolCall.arguments, null, 2)}
+              </Typography>
+            </>
+          )}
+
+          <Typography variant="caption" sx={{ color: colors.icon, fontWeight: 600 }}>
+            {isError ? 'Error' : 'Result'}
+          </Typography>
+          <Typography component="div" variant="body2" sx={codeStyle}>
+            {isRunning ? 'Waiting for the tool…' : (isError ? toolCall.error : toolCall.result) || '(empty)'}
+          </Typography>
+        </Box>
+      </Collapse>
+    </Paper>
+  );
+};
+
+export default ToolCallBlock;
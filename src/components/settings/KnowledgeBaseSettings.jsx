@@ -0,0 +1,336 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Alert,
+  Button,
+  TextField,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Collapse,
+  Divider
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  UploadFile as UploadIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+  Search as SearchIcon
+} from '@mui/icons-material';
+import { useKnowledgeBases } from '../../application/hooks/useKnowledgeBases';
+import knowledgeBaseService from '../../services/KnowledgeBaseService';
+
+// Same document types the chat accepts as attachments
+const ACCEPTED_FILES = '.pdf,.txt,.md,.markdown,.csv,.tsv,.json,.xml,.yaml,.yml,.log,.html,.htm,.js,.jsx,.ts,.tsx,.py,.java,.go,.rs,.rb,.php,.c,.h,.cpp,.cs,.sh,.sql';
+
+const STATUS_CHIPS = {
+  processing: { label: 'Indexing', color: 'info' },
+  ready: { label: 'Ready', color: 'success' },
+  error: { label: 'Error', color: 'error' },
+};
+
+/**
+ * Formats a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+/**
+ * Knowledge bases tab: document collections the chat searches before answering
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isMobile - Whether the layout is mobile
+ * @returns {JSX.Element}
+ */
+const KnowledgeBaseSettings = ({ isMobile = false }) => {
+  const {
+    knowledgeBases,
+    isLoading,
+    error,
+    createKnowledgeBase,
+    deleteKnowledgeBase,
+    uploadDocuments,
+    deleteDocument
+  } = useKnowledgeBases();
+
+  const [newBase, setNewBase] = useState({ name: '', description: '' });
+  const [expandedId, setExpandedId] = useState(null);
+  const [uploadingId, setUploadingId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const fileInputRef = useRef(null);
+  const uploadTargetRef = useRef(null);
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setActionError(null);
+      await action();
+    } catch (err) {
+      setActionError(err.message || fallbackMessage);
+    }
+  };
+
+  const handleCreate = () => runAction(async () => {
+    const created = await createKnowledgeBase({
+      name: newBase.name.trim(),
+      description: newBase.description.trim() || undefined,
+    });
+    setNewBase({ name: '', description: '' });
+    setExpandedId(created.id);
+  }, 'Could not create the knowledge base');
+
+  const handleDelete = (knowledgeBase) => {
+    if (!window.confirm(`Delete the knowledge base "${knowledgeBase.name}" and all its documents?`)) return;
+    runAction(() => deleteKnowledgeBase(knowledgeBase.id), 'Could not delete the knowledge base');
+  };
+
+  const handleToggle = (knowledgeBaseId) => {
+    setExpandedId(expandedId === knowledgeBaseId ? null : knowledgeBaseId);
+    setSearchQuery('');
+    setSearchResults(null);
+  };
+
+  const openFilePicker = (knowledgeBaseId) => {
+    uploadTargetRef.current = knowledgeBaseId;
+    fileInputRef.current?.click();
+  };
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    const knowledgeBaseId = uploadTargetRef.current;
+    e.target.value = '';
+    if (!files.length || !knowledgeBaseId) return;
+
+    setUploadingId(knowledgeBaseId);
+    await runAction(() => uploadDocuments(knowledgeBaseId, files), 'Could not upload the documents');
+    setUploadingId(null);
+  };
+
+  const handleSearch = async (knowledgeBaseId) => {
+    if (!searchQuery.trim()) return;
+    setIsSearching(true);
+    await runAction(async () => {
+      setSearchResults(await knowledgeBaseService.search(knowledgeBaseId, searchQuery.trim()));
+    }, 'Search failed');
+    setIsSearching(false);
+  };
+
+  return (
+    <Box>
+      <Paper elevation={1} sx={{ p: isMobile ? 2 : 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Knowledge Bases
+        </Typography>
+
+        <Alert severity="info" sx={{ mb: 2 }}>
+          <Typography variant="body2">
+            Os documentos são divididos em trechos e indexados com o modelo de embeddings do Ollama.
+            Escolha as bases no cabeçalho do chat: os trechos relevantes entram no contexto e a resposta cita as fontes.
+          </Typography>
+        </Alert>
+
+        <Box sx={{ display: 'flex', gap: 1, mb: 2, flexDirection: isMobile ? 'column' : 'row' }}>
+          <TextField
+            size="small"
+            label="Name"
+            value={newBase.name}
+            onChange={(e) => setNewBase({ ...newBase, name: e.target.value })}
+            inputProps={{ maxLength: 100 }}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            size="small"
+            label="Description"
+            value={newBase.description}
+            onChange={(e) => setNewBase({ ...newBase, description: e.target.value })}
+            inputProps={{ maxLength: 500 }}
+            sx={{ flex: 2 }}
+          />
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={handleCreate}
+            disabled={!newBase.name.trim()}
+          >
+            Create
+          </Button>
+        </Box>
+
+        {(error || actionError) && (
+          <Alert severity="error" sx={{ mb: 2, whiteSpace: 'pre-line' }}>
+            {actionError || error}
+          </Alert>
+        )}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_FILES}
+          multiple
+          hidden
+          onChange={handleFilesSelected}
+        />
+
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : knowledgeBases.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            No knowledge bases yet
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {knowledgeBases.map(knowledgeBase => {
+              const documents = knowledgeBase.documents || [];
+              const isExpanded = expandedId === knowledgeBase.id;
+
+              return (
+                <React.Fragment key={knowledgeBase.id}>
+                  <ListItem
+                    divider={!isExpanded}
+                    secondaryAction={
+                      <Box>
+                        <Tooltip title="Upload documents">
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => openFilePicker(knowledgeBase.id)}
+                              disabled={uploadingId === knowledgeBase.id}
+                            >
+                              {uploadingId === knowledgeBase.id
+                                ? <CircularProgress size={16} />
+                                : <UploadIcon fontSize="small" />}
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton size="small" onClick={() => handleDelete(knowledgeBase)}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <IconButton size="small" onClick={() => handleToggle(knowledgeBase.id)}>
+                          {isExpanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                        </IconButton>
+                      </Box>
+                    }
+                  >
+                    <ListItemText
+                      primary={knowledgeBase.name}
+                      secondary={`${documents.length} document${documents.length === 1 ? '' : 's'} · ${knowledgeBase.embeddingModel}${knowledgeBase.description ? ` · ${knowledgeBase.description}` : ''}`}
+                      secondaryTypographyProps={{ noWrap: true }}
+                      sx={{ pr: 14, cursor: 'pointer' }}
+                      onClick={() => handleToggle(knowledgeBase.id)}
+                    />
+                  </ListItem>
+
+                  <Collapse in={isExpanded} unmountOnExit>
+                    <Box sx={{ pl: 2, pr: 1, pb: 2 }}>
+                      {documents.length === 0 ? (
+                        <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+                          Upload PDF, text or code files to this base
+                        </Typography>
+                      ) : (
+                        <List dense disablePadding>
+                          {documents.map(document => {
+                            const status = STATUS_CHIPS[document.status] || STATUS_CHIPS.processing;
+                            return (
+                              <ListItem
+                                key={document.id}
+                                secondaryAction={
+                                  <Tooltip title="Remove document">
+                                    <IconButton size="small" onClick={() => runAction(
+                                      () => deleteDocument(knowledgeBase.id, document.id),
+                                      'Could not remove the document'
+                                    )}>
+                                      <DeleteIcon fontSize="small" />
+                                    </IconButton>
+                                  </Tooltip>
+                                }
+                              >
+                                <ListItemText
+                                  primary={
+                                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                      <Typography variant="body2" noWrap>{document.originalName}</Typography>
+                                      <Tooltip title={document.error || ''}>
+                                        <Chip
+                                          size="small"
+                                          label={status.label}
+                                          color={status.color}
+                                          variant="outlined"
+                                          icon={document.status === 'processing' ? <CircularProgress size={10} /> : undefined}
+                                          sx={{ height: 20, fontSize: '0.7rem' }}
+                                        />
+                                      </Tooltip>
+                                    </Box>
+                                  }
+                                  secondary={`${formatSize(document.size)}${document.status === 'ready' ? ` · ${document.chunkCount} chunks` : ''}`}
+                                  sx={{ pr: 5 }}
+                                />
+                              </ListItem>
+                            );
+                          })}
+                        </List>
+                      )}
+
+                      {documents.some(document => document.status === 'ready') && (
+                        <Box sx={{ mt: 1.5 }}>
+                          <Box sx={{ display: 'flex', gap: 1 }}>
+                            <TextField
+                              size="small"
+                              fullWidth
+                              placeholder="Test a question against this base"
+                              value={searchQuery}
+                              onChange={(e) => setSearchQuery(e.target.value)}
+                              onKeyDown={(e) => e.key === 'Enter' && handleSearch(knowledgeBase.id)}
+                            />
+                            <IconButton onClick={() => handleSearch(knowledgeBase.id)} disabled={isSearching || !searchQuery.trim()}>
+                              {isSearching ? <CircularProgress size={18} /> : <SearchIcon />}
+                            </IconButton>
+                          </Box>
+                          {searchResults && (
+                            <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 1 }}>
+                              {searchResults.length === 0 ? (
+                                <Typography variant="body2" color="text.secondary">
+                                  No relevant excerpts found
+                                </Typography>
+                              ) : searchResults.map(result => (
+                                <Paper key={`${result.documentId}-${result.index}`} variant="outlined" sx={{ p: 1 }}>
+                                  <Typography variant="caption" color="text.secondary">
+                                    [{result.index}] {result.documentName} · score {result.score.toFixed(2)}
+                                  </Typography>
+                                  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                                    {result.content.length > 400 ? `${result.content.slice(0, 400)}…` : result.content}
+                                  </Typography>
+                                </Paper>
+                              ))}
+                            </Box>
+                          )}
+                        </Box>
+                      )}
+                    </Box>
+                    <Divider />
+                  </Collapse>
+                </React.Fragment>
+              );
+            })}
+          </List>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default KnowledgeBaseSettings;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Box,
+  Divider,
+  Alert,
+  IconButton,
+  Switch,
+  FormControlLabel,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Save as SaveIcon,
+} from '@mui/icons-material';
+import personaService, { BUILT_IN_PROMPT_VARIABLES } from '../../services/PersonaService';
+
+/**
+ * Builds the form state from a persona (or an empty one for creation)
+ * @param {Object|null} persona - Persona being edited
+ * @returns {Object}
+ */
+const toForm = (persona) => ({
+  name: persona?.name || '',
+  description: persona?.description || '',
+  content: persona?.content || '',
+  tags: (persona?.tags || []).join(', '),
+  variables: { ...persona?.variables },
+  isShared: persona?.isShared ?? false,
+});
+
+/**
+ * Dialog to create or edit a persona of the library
+ * @param {Object} props - Component properties
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @param {Object|null} props.persona - Persona to edit (null creates a new one)
+ * @param {Function} props.onSave - Callback that saves the persona data (returns a Promise)
+ * @returns {JSX.Element}
+ */
+const PersonaEditorDialog = ({ open, onClose, persona, onSave }) => {
+  const [form, setForm] = useState(() => toForm(persona));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reset the form whenever the dialog opens
+  useEffect(() => {
+    if (open) {
+      setForm(toForm(persona));
+      setError(null);
+    }
+  }, [open, persona]);
+
+  const customVariables = personaService.getCustomVariables(form.content);
+  const canSave = form.name.trim() && form.content.trim() && !isSaving;
+
+  const updateForm = (updates) => setForm(prev => ({ ...prev, ...updates }));
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      setError(null);
+
+      // Only keep defaults of variables still used in the content
+      const variables = Object.fromEntries(
+        customVariables
+          .filter(name => form.variables[name]?.trim())
+          .map(name => [name, form.variables[name].trim()])
+      );
+
+      await onSave({
+        name: form.name.trim(),
+        description: form.description.trim(),
+        content: form.content,
+        tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        variables,
+        isShared: form.isShared,
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Could not save the persona');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+        <Typography variant="h6" component="div">
+          {persona ? 'Edit Persona' : 'New Persona'}
+        </Typography>
+        <IconButton onClick={onClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <Divider />
+
+      <DialogContent sx={{ pt: 2 }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <TextField
+            label="Name"
+            value={form.name}
+            onChange={(e) => updateForm({ name: e.target.value })}
+            helperText="Used by the /persona command and by {{persona:name}} references"
+            inputProps={{ maxLength: 100 }}
+            required
+            fullWidth
+            sx={{ mt: 1 }}
+          />
+
+          <TextField
+            label="Description"
+            value={form.description}
+            onChange={(e) => updateForm({ description: e.target.value })}
+            inputProps={{ maxLength: 500 }}
+            fullWidth
+          />
+
+          <TextField
+            label="System prompt"
+            value={form.content}
+            onChange={(e) => updateForm({ content: e.target.value })}
+            helperText={`Variables such as {{company}} are filled when sending. Automatic: ${BUILT_IN_PROMPT_VARIABLES.map(name => `{{${name}}}`).join(', ')}`}
+            multiline
+            minRows={8}
+            maxRows={16}
+            required
+            fullWidth
+          />
+
+          {customVariables.length > 0 && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+              <Typography variant="subtitle2">Default values</Typography>
+              {customVariables.map(name => (
+                <TextField
+                  key={name}
+                  size="small"
+                  label={name}
+                  value={form.variables[name] || ''}
+                  onChange={(e) => updateForm({ variables: { ...form.variables, [name]: e.target.value } })}
+                  placeholder="Asked when the persona is picked if left empty"
+                  fullWidth
+                />
+              ))}
+            </Box>
+          )}
+
+          <TextField
+            label="Tags"
+            value={form.tags}
+            onChange={(e) => updateForm({ tags: e.target.value })}
+            helperText="Comma separated (e.g. code, review)"
+            fullWidth
+          />
+
+          <FormControlLabel
+            control={
+              <Switch
+                checked={form.isShared}
+                onChange={(e) => updateForm({ isShared: e.target.checked })}
+              />
+            }
+            label="Share with every user (read-only for them)"
+          />
+
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={onClose} color="inherit">
+          Cancel
+        </Button>
+        <Button
+          startIcon={<SaveIcon />}
+          onClick={handleSave}
+          variant="contained"
+          disabled={!canSave}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PersonaEditorDialog;
@@ -0,0 +1,211 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Alert,
+  Button,
+  TextField,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  InputAdornment
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Search as SearchIcon,
+  People as SharedIcon
+} from '@mui/icons-material';
+import { usePersonas } from '../../application/hooks/usePersonas';
+import PersonaEditorDialog from './PersonaEditorDialog';
+
+/**
+ * Persona library tab: named system prompts with tags, variables and sharing
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isMobile - Whether the layout is mobile
+ * @returns {JSX.Element}
+ */
+const PersonaLibrary = ({ isMobile = false }) => {
+  const {
+    personas,
+    isLoading,
+    error,
+    createPersona,
+    updatePersona,
+    deletePersona
+  } = usePersonas();
+
+  const [search, setSearch] = useState('');
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [editor, setEditor] = useState({ open: false, persona: null });
+  const [actionError, setActionError] = useState(null);
+
+  const tags = useMemo(
+    () => [...new Set(personas.flatMap(persona => persona.tags || []))].sort(),
+    [personas]
+  );
+
+  // Filtered locally: the whole library is already loaded
+  const visiblePersonas = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return personas.filter(persona => {
+      if (selectedTag && !(persona.tags || []).includes(selectedTag)) return false;
+      if (!query) return true;
+      return [persona.name, persona.description, ...(persona.tags || [])]
+        .join(' ')
+        .toLowerCase()
+        .includes(query);
+    });
+  }, [personas, search, selectedTag]);
+
+  const handleSave = async (data) => {
+    if (editor.persona) {
+      await updatePersona(editor.persona.id, data);
+    } else {
+      await createPersona(data);
+    }
+  };
+
+  const handleDelete = async (persona) => {
+    if (!window.confirm(`Delete the persona "${persona.name}"?`)) return;
+    try {
+      setActionError(null);
+      await deletePersona(persona.id);
+    } catch (err) {
+      setActionError(err.message || 'Could not delete the persona');
+    }
+  };
+
+  return (
+    <Box>
+      <Paper elevation={1} sx={{ p: isMobile ? 2 : 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2, gap: 2 }}>
+          <Typography variant="h6">
+            Persona Library
+          </Typography>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setEditor({ open: true, persona: null })}
+            size={isMobile ? 'small' : 'medium'}
+          >
+            New Persona
+          </Button>
+        </Box>
+
+        <Alert severity="info" sx={{ mb: 2 }}>
+          <Typography variant="body2">
+            Escolha uma persona no cabeçalho do chat ou digite <strong>/persona nome</strong> na mensagem.
+            Nas instruções do WhatsApp, use <strong>{'{{persona:nome}}'}</strong>.
+          </Typography>
+        </Alert>
+
+        <TextField
+          fullWidth
+          size="small"
+          placeholder="Search personas"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            )
+          }}
+          sx={{ mb: 1.5 }}
+        />
+
+        {tags.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.75, mb: 1.5 }}>
+            {tags.map(tag => (
+              <Chip
+                key={tag}
+                label={tag}
+                size="small"
+                color={selectedTag === tag ? 'primary' : 'default'}
+                variant={selectedTag === tag ? 'filled' : 'outlined'}
+                onClick={() => setSelectedTag(selectedTag === tag ? null : tag)}
+              />
+            ))}
+          </Box>
+        )}
+
+        {(error || actionError) && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {actionError || error}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : visiblePersonas.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            {personas.length === 0 ? 'No personas yet' : 'No personas match the filters'}
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {visiblePersonas.map(persona => (
+              <ListItem
+                key={persona.id}
+                divider
+                secondaryAction={persona.isOwner && (
+                  <Box>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => setEditor({ open: true, persona })}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => handleDelete(persona)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                )}
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                      <span>{persona.name}</span>
+                      {persona.isShared && (
+                        <Tooltip title={persona.isOwner ? 'Shared with every user' : 'Shared by another user'}>
+                          <SharedIcon fontSize="inherit" color="action" />
+                        </Tooltip>
+                      )}
+                      {(persona.tags || []).map(tag => (
+                        <Chip key={tag} label={tag} size="small" variant="outlined" sx={{ height: 18, fontSize: '0.7rem' }} />
+                      ))}
+                    </Box>
+                  }
+                  secondary={persona.description || persona.content.slice(0, 120)}
+                  secondaryTypographyProps={{ noWrap: true }}
+                  sx={{ pr: persona.isOwner ? 9 : 0 }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Paper>
+
+      {editor.open && (
+        <PersonaEditorDialog
+          open={editor.open}
+          persona={editor.persona}
+          onClose={() => setEditor({ open: false, persona: null })}
+          onSave={handleSave}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default PersonaLibrary;
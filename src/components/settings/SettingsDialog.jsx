@@ -49,7 +49,10 @@ import {
   SmartToy as SmartToyIcon,
   Psychology as PsychologyIcon,
   Tune as TuneIcon,
-  Storage as StorageIcon
+  Storage as StorageIcon,
+  RecordVoiceOver as VoiceIcon,
+  TheaterComedy as PersonaIcon,
+  MenuBook as KnowledgeIcon
 } from '@mui/icons-material';
 import { useOllama } from '../../application/hooks/useOllama';
 import { useDynamicLLM } from '../../application/hooks/useDynamicLLM';
@@ -58,15 +61,26 @@ import { StableDiffusionConfig } from '../../domain/entities/StableDiffusionConf
 import authService from '../../services/AuthService';
 import ProviderSettingsDialog from '../chat/ProviderSettingsDialog';
 import ModelManager from '../chat/ModelManager';
+import TextToSpeechSettings from './TextToSpeechSettings';
+import PersonaLibrary from './PersonaLibrary';
+import KnowledgeBaseSettings from './KnowledgeBaseSettings';
+import StableDiffusionNetworksSettings from './StableDiffusionNetworksSettings';
+
+// Index of the persona library tab
+export const PERSONAS_TAB = 6;
+
+// Index of the knowledge bases tab
+export const KNOWLEDGE_TAB = 7;
 
 /**
- * OLLAMA and Stable Diffusion settings dialog
+ * OLLAMA, Stable Diffusion and voice settings dialog
  * @param {Object} props - Component properties
  * @param {boolean} props.open - Whether the dialog is open
  * @param {Function} props.onClose - Callback to close
+ * @param {number} props.initialTab - Tab shown when the dialog opens (optional, keeps the last one otherwise)
  * @returns {JSX.Element}
  */
-const SettingsDialog = ({ open, onClose }) => {
+const SettingsDialog = ({ open, onClose, initialTab }) => {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
   const isTablet = useMediaQuery(theme.breakpoints.down('md'));
@@ -95,18 +109,27 @@ const SettingsDialog = ({ open, onClose }) => {
   const {
     config: sdConfig,
     models: sdModels,
+    extraNetworks: sdExtraNetworks,
     serviceStatus: sdServiceStatus,
     isLoading: sdIsLoading,
     error: sdError,
     updateConfig: updateSdConfig,
     testConnection: testSdConnection,
     refreshModels: refreshSdModels,
+    refreshExtraNetworks: refreshSdExtraNetworks,
     selectModel: selectSdModel,
     toggleIntegration: toggleSdIntegration
   } = useStableDiffusion();
 
   // States for tab control
   const [currentTab, setCurrentTab] = useState(0);
+
+  // Opens straight on a given tab (e.g. the persona library from the chat header)
+  useEffect(() => {
+    if (open && initialTab !== undefined) {
+      setCurrentTab(initialTab);
+    }
+  }, [open, initialTab]);
   
   // Dynamic LLM dialog states
   const [providerSettingsOpen, setProviderSettingsOpen] = useState(false);
@@ -134,7 +157,12 @@ const SettingsDialog = ({ open, onClose }) => {
     cfgScale: 7,
     sampler: 'Euler a',
     enabled: false,
-    token: ''
+    token: '',
+    seed: -1,
+    batchSize: 1,
+    loras: [],
+    embeddings: [],
+    controlNet: null
   });
 
   const [sdTestResult, setSdTestResult] = useState(null);
@@ -187,12 +215,24 @@ const SettingsDialog = ({ open, onClose }) => {
         cfgScale: sdConfig.cfgScale,
         sampler: sdConfig.sampler,
         enabled: sdConfig.enabled,
-        token: sdConfig.token || ''
+        token: sdConfig.token || '',
+        seed: sdConfig.seed ?? -1,
+        batchSize: sdConfig.batchSize || 1,
+        loras: sdConfig.loras || [],
+        embeddings: sdConfig.embeddings || [],
+        controlNet: sdConfig.controlNet || null
       });
       setHasSdUnsavedChanges(false);
     }
   }, [sdConfig]);
 
+  // Carrega LoRAs, embeddings e ControlNet ao abrir a aba do Stable Diffusion
+  useEffect(() => {
+    if (open && currentTab === 4 && sdServiceStatus?.success) {
+      refreshSdExtraNetworks();
+    }
+  }, [open, currentTab, sdServiceStatus?.success, refreshSdExtraNetworks]);
+
   // Load user system prompt and LLM config
   useEffect(() => {
     const loadUserSettings = async () => {
@@ -837,6 +877,21 @@ const SettingsDialog = ({ open, onClose }) => {
               label={isMobile ? "" : "Stable Diffusion"}
               iconPosition="start"
             />
+            <Tab 
+              icon={<VoiceIcon fontSize={isMobile ? "small" : "medium"} />} 
+              label={isMobile ? "" : "Voice"}
+              iconPosition="start"
+            />
+            <Tab 
+              icon={<PersonaIcon fontSize={isMobile ? "small" : "medium"} />} 
+              label={isMobile ? "" : "Personas"}
+              iconPosition="start"
+            />
+            <Tab 
+              icon={<KnowledgeIcon fontSize={isMobile ? "small" : "medium"} />} 
+              label={isMobile ? "" : "Knowledge"}
+              iconPosition="start"
+            />
           </Tabs>
         </Box>
 
@@ -862,7 +917,7 @@ const SettingsDialog = ({ open, onClose }) => {
                 value={systemPrompt}
                 onChange={(e) => setSystemPrompt(e.target.value)}
                 placeholder="Exemplo: Você é um assistente prestativo e amigável. Sempre responda de forma clara e concisa..."
-                helperText="Este prompt será enviado em todas as conversas para definir o comportamento da IA"
+                helperText="Usado nas novas conversas; cada conversa guarda o seu e pode ser alterada pelo chip de ajustes no cabeçalho do chat. Aceita {{date}}, {{user.name}} e outras variáveis"
                 sx={{ mb: 2 }}
               />
 
@@ -950,6 +1005,7 @@ const SettingsDialog = ({ open, onClose }) => {
               <Alert severity="info" sx={{ mb: 3 }}>
                 <Typography variant="body2">
                   Ajuste fino dos parâmetros de geração da IA. Use valores padrão se não tiver certeza.
+                  Valem para as novas conversas; cada conversa guarda os seus parâmetros.
                 </Typography>
               </Alert>
 
@@ -1669,6 +1725,40 @@ const SettingsDialog = ({ open, onClose }) => {
                 </Grid>
               </Grid>
 
+              <Grid container spacing={2} sx={{ mt: 1 }}>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    label="Seed"
+                    type="number"
+                    value={localSdConfig.seed}
+                    onChange={(e) => handleSdConfigChange('seed', e.target.value === '' ? -1 : parseInt(e.target.value))}
+                    inputProps={{ min: -1, step: 1 }}
+                    helperText="-1 gera uma seed aleatória; repita a seed para reproduzir a imagem"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <Typography gutterBottom>Imagens por geração: {localSdConfig.batchSize}</Typography>
+                  <Slider
+                    value={localSdConfig.batchSize}
+                    onChange={(e, value) => handleSdConfigChange('batchSize', value)}
+                    min={1}
+                    max={4}
+                    step={1}
+                    marks
+                  />
+                </Grid>
+              </Grid>
+
+              {/* LoRAs, Embeddings e ControlNet */}
+              <StableDiffusionNetworksSettings
+                config={localSdConfig}
+                available={sdExtraNetworks}
+                onChange={handleSdConfigChange}
+                onRefresh={refreshSdExtraNetworks}
+                disabled={!sdServiceStatus?.success}
+              />
+
               {/* Teste de Conexão SD */}
               <Box display="flex" alignItems="center" gap={2} mt={3}>
                 <Button
@@ -1720,6 +1810,21 @@ const SettingsDialog = ({ open, onClose }) => {
             </Paper>
           </Box>
         )}
+
+        {/* Tab Panel - Text-to-Speech */}
+        {currentTab === 5 && (
+          <TextToSpeechSettings isMobile={isMobile} />
+        )}
+
+        {/* Tab Panel - Personas */}
+        {currentTab === PERSONAS_TAB && (
+          <PersonaLibrary isMobile={isMobile} />
+        )}
+
+        {/* Tab Panel - Knowledge Bases */}
+        {currentTab === KNOWLEDGE_TAB && (
+          <KnowledgeBaseSettings isMobile={isMobile} />
+        )}
       </DialogContent>
 
       <DialogActions sx={{ p: 2 }}>
@@ -0,0 +1,241 @@
+import React from 'react';
+import {
+  Box,
+  Divider,
+  Typography,
+  Autocomplete,
+  TextField,
+  Slider,
+  Switch,
+  FormControlLabel,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Grid
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+import { StableDiffusionConfig } from '../../domain/entities/StableDiffusionConfig';
+
+const DEFAULT_CONTROLNET = {
+  model: '',
+  module: 'none',
+  weight: 1,
+  guidanceStart: 0,
+  guidanceEnd: 1,
+  controlMode: 'balanced'
+};
+
+/**
+ * LoRA, embedding and ControlNet selectors of the Stable Diffusion tab.
+ * Changes go through onChange and are saved with the rest of the tab
+ * @param {Object} props - Component properties
+ * @param {Object} props.config - Local SD config ({ loras, embeddings, controlNet })
+ * @param {Object} props.available - What the Forge offers ({ loras, embeddings, controlNet: { models, modules } })
+ * @param {Function} props.onChange - Called with (field, value)
+ * @param {Function} props.onRefresh - Reloads the lists from the Forge
+ * @param {boolean} props.disabled - Disables the refresh button (no connection)
+ * @returns {JSX.Element}
+ */
+const StableDiffusionNetworksSettings = ({ config, available, onChange, onRefresh, disabled = false }) => {
+  const loras = config.loras || [];
+  const embeddings = config.embeddings || [];
+  const controlNet = config.controlNet;
+
+  const availableLoras = available.loras.map(lora => lora.name).filter(name => !loras.some(item => item.name === name));
+  const availableEmbeddings = available.embeddings.map(embedding => embedding.name).filter(name => !embeddings.some(item => item.name === name));
+
+  /**
+   * Updates one item of a list field (loras or embeddings)
+   * @param {string} field - loras or embeddings
+   * @param {number} index - Item position
+   * @param {Object} changes - Fields to change
+   */
+  const updateItem = (field, index, changes) => {
+    onChange(field, config[field].map((item, position) => (position === index ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (field, index) => {
+    onChange(field, config[field].filter((_, position) => position !== index));
+  };
+
+  const updateControlNet = (changes) => {
+    onChange('controlNet', { ...controlNet, ...changes });
+  };
+
+  const renderWeightSlider = (field, item, index, min, max) => (
+    <Box key={item.name} display="flex" alignItems="center" gap={2}>
+      <Typography variant="body2" sx={{ minWidth: 140, wordBreak: 'break-all' }}>
+        {item.name}
+      </Typography>
+      <Slider
+        size="small"
+        value={item.weight ?? 1}
+        onChange={(e, value) => updateItem(field, index, { weight: value })}
+        min={min}
+        max={max}
+        step={0.05}
+        valueLabelDisplay="auto"
+        sx={{ flex: 1 }}
+      />
+      <Typography variant="caption" sx={{ minWidth: 32 }}>
+        {(item.weight ?? 1).toFixed(2)}
+      </Typography>
+      {field === 'embeddings' && (
+        <FormControlLabel
+          control={
+            <Switch
+              size="small"
+              checked={!!item.negative}
+              onChange={(e) => updateItem(field, index, { negative: e.target.checked })}
+            />
+          }
+          label="Negativo"
+        />
+      )}
+      <IconButton size="small" onClick={() => removeItem(field, index)}>
+        <DeleteIcon fontSize="small" />
+      </IconButton>
+    </Box>
+  );
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Divider sx={{ mb: 2 }} />
+      <Box display="flex" alignItems="center" justifyContent="space-between" mb={1}>
+        <Typography variant="subtitle1">
+          LoRAs, Embeddings e ControlNet
+        </Typography>
+        <Tooltip title="Atualizar listas do Forge">
+          <span>
+            <IconButton onClick={onRefresh} disabled={disabled}>
+              <RefreshIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Typography variant="subtitle2" gutterBottom>LoRAs</Typography>
+      <Autocomplete
+        options={availableLoras}
+        value={null}
+        onChange={(e, name) => name && onChange('loras', [...loras, { name, weight: 1 }])}
+        renderInput={(params) => <TextField {...params} size="small" label="Adicionar LoRA" />}
+        noOptionsText="Nenhuma LoRA encontrada"
+        blurOnSelect
+        sx={{ mb: 1 }}
+      />
+      {loras.map((lora, index) => renderWeightSlider('loras', lora, index, -1, 2))}
+
+      <Typography variant="subtitle2" gutterBottom sx={{ mt: 3 }}>Embeddings (textual inversion)</Typography>
+      <Autocomplete
+        options={availableEmbeddings}
+        value={null}
+        onChange={(e, name) => name && onChange('embeddings', [...embeddings, { name, weight: 1, negative: false }])}
+        renderInput={(params) => <TextField {...params} size="small" label="Adicionar embedding" />}
+        noOptionsText="Nenhum embedding encontrado"
+        blurOnSelect
+        sx={{ mb: 1 }}
+      />
+      {embeddings.map((embedding, index) => renderWeightSlider('embeddings', embedding, index, 0, 2))}
+
+      <Box display="flex" alignItems="center" justifyContent="space-between" sx={{ mt: 3 }}>
+        <Typography variant="subtitle2">ControlNet</Typography>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={!!controlNet}
+              onChange={(e) => onChange('controlNet', e.target.checked ? { ...DEFAULT_CONTROLNET, model: available.controlNet.models[0] || '' } : null)}
+              disabled={!controlNet && available.controlNet.models.length === 0}
+            />
+          }
+          label="Usar no chat"
+        />
+      </Box>
+      <Typography variant="caption" color="text.secondary" display="block" mb={1}>
+        {available.controlNet.models.length === 0 && !controlNet
+          ? 'Extensão ControlNet não encontrada no Forge.'
+          : 'Ao pedir uma imagem no chat, a primeira imagem anexada à mensagem é usada como referência.'}
+      </Typography>
+
+      {controlNet && (
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Modelo</InputLabel>
+              <Select
+                value={controlNet.model}
+                onChange={(e) => updateControlNet({ model: e.target.value })}
+                label="Modelo"
+              >
+                {available.controlNet.models.map((model) => (
+                  <MenuItem key={model} value={model}>{model}</MenuItem>
+                ))}
+                {!available.controlNet.models.includes(controlNet.model) && controlNet.model && (
+                  <MenuItem value={controlNet.model}>{controlNet.model}</MenuItem>
+                )}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Pré-processador</InputLabel>
+              <Select
+                value={controlNet.module}
+                onChange={(e) => updateControlNet({ module: e.target.value })}
+                label="Pré-processador"
+              >
+                {[...new Set(['none', ...available.controlNet.modules, controlNet.module])].map((module) => (
+                  <MenuItem key={module} value={module}>{module}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <Typography gutterBottom>Peso: {controlNet.weight}</Typography>
+            <Slider
+              value={controlNet.weight}
+              onChange={(e, value) => updateControlNet({ weight: value })}
+              min={0}
+              max={2}
+              step={0.05}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <Typography gutterBottom>
+              Atuação: {Math.round(controlNet.guidanceStart * 100)}% – {Math.round(controlNet.guidanceEnd * 100)}% dos steps
+            </Typography>
+            <Slider
+              value={[controlNet.guidanceStart, controlNet.guidanceEnd]}
+              onChange={(e, [guidanceStart, guidanceEnd]) => updateControlNet({ guidanceStart, guidanceEnd })}
+              min={0}
+              max={1}
+              step={0.05}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Modo</InputLabel>
+              <Select
+                value={controlNet.controlMode}
+                onChange={(e) => updateControlNet({ controlMode: e.target.value })}
+                label="Modo"
+              >
+                {StableDiffusionConfig.getControlNetModes().map((mode) => (
+                  <MenuItem key={mode.value} value={mode.value}>{mode.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+      )}
+    </Box>
+  );
+};
+
+export default StableDiffusionNetworksSettings;
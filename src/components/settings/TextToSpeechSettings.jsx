@@ -0,0 +1,221 @@
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Alert,
+  Switch,
+  FormControlLabel,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Slider,
+  Button,
+  Grid
+} from '@mui/material';
+import {
+  VolumeUp as SpeakIcon,
+  Stop as StopIcon
+} from '@mui/icons-material';
+import { useTextToSpeech } from '../../application/hooks/useTextToSpeech';
+import { TextToSpeechConfig } from '../../domain/entities/TextToSpeechConfig';
+
+const TEST_MESSAGE_ID = 'tts-settings-test';
+const TEST_MESSAGE = 'Olá! É assim que o XandAI vai ler as respostas em voz alta.';
+
+// Hints for the voice field of each local server
+const VOICE_HELP = {
+  piper: 'Nome do modelo de voz carregado no servidor (ex: pt_BR-faber-medium). Vazio usa a voz padrão.',
+  coqui: 'speaker_id para modelos com vários locutores (ex: p225). Vazio usa o padrão do modelo.',
+  openai: 'Nome da voz (ex: alloy, af_bella no Kokoro).'
+};
+
+/**
+ * Text-to-speech settings tab: browser speech synthesis or a local TTS server
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isMobile - Whether the layout is mobile
+ * @returns {JSX.Element}
+ */
+const TextToSpeechSettings = ({ isMobile = false }) => {
+  const {
+    config,
+    speakingId,
+    browserVoices,
+    error,
+    isBrowserSupported,
+    speak,
+    stop,
+    updateConfig
+  } = useTextToSpeech();
+
+  const serverTypes = TextToSpeechConfig.getServerTypes();
+  const isTesting = speakingId === TEST_MESSAGE_ID;
+
+  /**
+   * Switches the local server type, moving the URL to the new default if it was untouched
+   * @param {string} serverType - New server type
+   */
+  const handleServerTypeChange = (serverType) => {
+    const isDefaultUrl = serverTypes.some(type => type.defaultUrl === config.baseUrl);
+    const defaultUrl = serverTypes.find(type => type.value === serverType)?.defaultUrl;
+    updateConfig({
+      serverType,
+      ...(isDefaultUrl && defaultUrl && { baseUrl: defaultUrl })
+    });
+  };
+
+  return (
+    <Box>
+      <Paper elevation={1} sx={{ p: isMobile ? 2 : 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Text-to-Speech
+        </Typography>
+
+        <Alert severity="info" sx={{ mb: 3 }}>
+          <Typography variant="body2">
+            Lê as respostas do assistente em voz alta. Markdown, blocos de código e o raciocínio (&lt;think&gt;) são ignorados na leitura.
+          </Typography>
+        </Alert>
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={config.autoRead}
+              onChange={(e) => updateConfig({ autoRead: e.target.checked })}
+            />
+          }
+          label="Ler novas respostas automaticamente"
+          sx={{ mb: 2 }}
+        />
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth>
+              <InputLabel>Engine</InputLabel>
+              <Select
+                value={config.engine}
+                label="Engine"
+                onChange={(e) => updateConfig({ engine: e.target.value })}
+              >
+                <MenuItem value="browser">Navegador (speechSynthesis)</MenuItem>
+                <MenuItem value="server">Servidor TTS local</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <Typography gutterBottom>
+              Velocidade: {config.rate}x
+            </Typography>
+            <Slider
+              value={config.rate}
+              onChange={(e, value) => updateConfig({ rate: value })}
+              min={0.5}
+              max={2}
+              step={0.1}
+              marks={[
+                { value: 0.5, label: '0.5x' },
+                { value: 1, label: '1x' },
+                { value: 2, label: '2x' }
+              ]}
+              valueLabelDisplay="auto"
+            />
+          </Grid>
+
+          {config.engine === 'browser' ? (
+            <Grid item xs={12}>
+              {!isBrowserSupported ? (
+                <Alert severity="warning">
+                  Este navegador não suporta speechSynthesis. Use um servidor TTS local.
+                </Alert>
+              ) : (
+                <FormControl fullWidth>
+                  <InputLabel>Voz</InputLabel>
+                  <Select
+                    value={browserVoices.some(voice => voice.voiceURI === config.browserVoice) ? config.browserVoice : ''}
+                    label="Voz"
+                    onChange={(e) => updateConfig({ browserVoice: e.target.value })}
+                  >
+                    <MenuItem value="">Padrão do navegador</MenuItem>
+                    {browserVoices.map(voice => (
+                      <MenuItem key={voice.voiceURI} value={voice.voiceURI}>
+                        {voice.name} ({voice.lang}){voice.localService ? '' : ' · online'}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+            </Grid>
+          ) : (
+            <>
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth>
+                  <InputLabel>Servidor</InputLabel>
+                  <Select
+                    value={config.serverType}
+                    label="Servidor"
+                    onChange={(e) => handleServerTypeChange(e.target.value)}
+                  >
+                    {serverTypes.map(type => (
+                      <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="URL do servidor TTS"
+                  value={config.baseUrl}
+                  onChange={(e) => updateConfig({ baseUrl: e.target.value })}
+                  helperText="Acessada pelo backend, não pelo navegador"
+                />
+              </Grid>
+              <Grid item xs={12} md={config.serverType === 'openai' ? 6 : 12}>
+                <TextField
+                  fullWidth
+                  label="Voz"
+                  value={config.voice}
+                  onChange={(e) => updateConfig({ voice: e.target.value })}
+                  helperText={VOICE_HELP[config.serverType]}
+                />
+              </Grid>
+              {config.serverType === 'openai' && (
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    fullWidth
+                    label="Modelo"
+                    value={config.model}
+                    onChange={(e) => updateConfig({ model: e.target.value })}
+                    placeholder="tts-1"
+                    helperText="Vazio usa tts-1"
+                  />
+                </Grid>
+              )}
+            </>
+          )}
+        </Grid>
+
+        <Box display="flex" alignItems="center" gap={2} mt={3} flexDirection={isMobile ? 'column' : 'row'}>
+          <Button
+            variant="outlined"
+            startIcon={isTesting ? <StopIcon /> : <SpeakIcon />}
+            onClick={() => (isTesting ? stop() : speak(TEST_MESSAGE_ID, TEST_MESSAGE))}
+            fullWidth={isMobile}
+          >
+            {isTesting ? 'Parar' : 'Testar voz'}
+          </Button>
+          {error && (
+            <Alert severity="error" sx={{ flex: 1, width: isMobile ? '100%' : 'auto' }}>
+              {error}
+            </Alert>
+          )}
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default TextToSpeechSettings;
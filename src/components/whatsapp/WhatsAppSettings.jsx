@@ -14,7 +14,8 @@ import {
   AccordionSummary,
   AccordionDetails,
   Chip,
-  Divider
+  Divider,
+  MenuItem
 } from '@mui/material';
 import {
   ExpandMore,
@@ -25,6 +26,10 @@ import {
   Tune
 } from '@mui/icons-material';
 import WhatsAppService from '../../application/services/WhatsAppService';
+import { usePersonas } from '../../application/hooks/usePersonas';
+
+// Referências {{persona:nome}} nas instruções (resolvidas pelo backend a cada resposta)
+const PERSONA_REFERENCE_PATTERN = /\{\{\s*persona\s*:\s*([^}]+?)\s*\}\}\s*/gi;
 
 const WhatsAppSettings = ({ token, onUpdate }) => {
   const [config, setConfig] = useState(null);
@@ -32,6 +37,7 @@ const WhatsAppSettings = ({ token, onUpdate }) => {
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const { personas, findPersonaByName } = usePersonas();
 
   useEffect(() => {
     if (token) {
@@ -57,6 +63,16 @@ const WhatsAppSettings = ({ token, onUpdate }) => {
     }
   };
 
+  /**
+   * Troca a persona referenciada no início das instruções personalizadas
+   * @param {string} name - Nome da persona (vazio remove a referência)
+   */
+  const handlePersonaChange = (name) => {
+    const instructions = (config.customInstructions || '').replace(PERSONA_REFERENCE_PATTERN, '').trim();
+    const reference = name ? `{{persona:${name}}}` : '';
+    handleChange('customInstructions', [reference, instructions].filter(Boolean).join('\n'));
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -94,6 +110,8 @@ const WhatsAppSettings = ({ token, onUpdate }) => {
     );
   }
 
+  const referencedPersonaName = [...(config.customInstructions || '').matchAll(PERSONA_REFERENCE_PATTERN)][0]?.[1] || '';
+
   return (
     <Box>
       <Typography variant="h6" gutterBottom sx={{ mb: 3 }}>
@@ -148,6 +166,23 @@ const WhatsAppSettings = ({ token, onUpdate }) => {
                 onChange={(e) => handleChange('language', e.target.value)}
               />
             </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                select
+                fullWidth
+                label="Persona da Biblioteca"
+                value={findPersonaByName(referencedPersonaName)?.name || ''}
+                onChange={(e) => handlePersonaChange(e.target.value)}
+                helperText="Insere {{persona:nome}} nas instruções"
+              >
+                <MenuItem value="">Nenhuma</MenuItem>
+                {personas.map(persona => (
+                  <MenuItem key={persona.id} value={persona.name}>
+                    {persona.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
             <Grid item xs={12}>
               <TextField
                 fullWidth
@@ -156,7 +191,7 @@ const WhatsAppSettings = ({ token, onUpdate }) => {
                 label="Instruções Personalizadas"
                 value={config.customInstructions || ''}
                 onChange={(e) => handleChange('customInstructions', e.target.value)}
-                helperText="Instruções adicionais para guiar o comportamento da IA"
+                helperText="Instruções adicionais para guiar o comportamento da IA. Use {{persona:nome}} para incluir uma persona da biblioteca"
               />
             </Grid>
           </Grid>
@@ -248,6 +283,17 @@ const WhatsAppSettings = ({ token, onUpdate }) => {
                 label="Ignorar mensagens com mídia"
               />
             </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={config.transcribeVoiceNotes ?? true}
+                    onChange={(e) => handleChange('transcribeVoiceNotes', e.target.checked)}
+                  />
+                }
+                label="Transcrever áudios de voz e responder ao texto"
+              />
+            </Grid>
             <Grid item xs={12} sm={6}>
               <TextField
                 fullWidth
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import authService from '../services/AuthService';
 
 /**
@@ -27,6 +27,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [ssoError, setSsoError] = useState('');
 
   /**
    * Verifica se o usuário está autenticado na inicialização
@@ -34,6 +35,25 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     const checkAuth = async () => {
       try {
+        // Retorno do provedor de identidade (login por SSO)
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('state') && (params.has('code') || params.has('error'))) {
+          window.history.replaceState(null, '', window.location.pathname);
+
+          if (params.has('error')) {
+            setSsoError(params.get('error_description') || 'Login por SSO não concluído');
+          } else {
+            try {
+              const authData = await authService.completeSsoLogin(params.get('code'), params.get('state'));
+              setUser(authData.user);
+              setIsAuthenticated(true);
+              return;
+            } catch (error) {
+              setSsoError(error.message);
+            }
+          }
+        }
+
         const currentUser = authService.getCurrentUser();
         if (currentUser && authService.isAuthenticated()) {
           // Verifica se o token ainda é válido
@@ -75,6 +95,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Inicia o login por SSO (redireciona para o provedor de identidade)
+   * @returns {Promise<void>}
+   */
+  const loginWithSso = async () => {
+    setSsoError('');
+    await authService.startSsoLogin();
+  };
+
+  /**
+   * Indica se o login por SSO está habilitado e o nome do provedor
+   * @returns {Promise<Object>} - { enabled, providerName }
+   */
+  const getSsoConfig = useCallback(async () => {
+    return await authService.getSsoConfig();
+  }, []);
+
   /**
    * Registra um novo usuário
    * @param {Object} userData - Dados do usuário
@@ -146,6 +183,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Lista as sessões (dispositivos) ativas do usuário
+   * @returns {Promise<Array>} - Sessões
+   */
+  const getSessions = useCallback(async () => {
+    return await authService.getSessions();
+  }, []);
+
+  /**
+   * Encerra uma sessão de outro dispositivo
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<void>}
+   */
+  const revokeSession = async (sessionId) => {
+    await authService.revokeSession(sessionId);
+  };
+
+  /**
+   * Encerra todas as sessões; sem exceptCurrent o usuário também sai deste navegador
+   * @param {boolean} exceptCurrent - Mantém a sessão atual
+   * @returns {Promise<number>} - Quantidade de sessões encerradas
+   */
+  const revokeAllSessions = async (exceptCurrent = false) => {
+    const revokedCount = await authService.revokeAllSessions(exceptCurrent);
+    if (!exceptCurrent) {
+      setUser(null);
+      setIsAuthenticated(false);
+    }
+    return revokedCount;
+  };
+
   /**
    * Manipula o logout interno
    * @private
@@ -175,7 +243,7 @@ export const AuthProvider = ({ children }) => {
       }
     };
 
-    // Verifica a cada 5 minutos
+    // Verifica a cada 5 minutos (o access token expirado é renovado pelo authService)
     const interval = setInterval(checkTokenPeriodically, 5 * 60 * 1000);
 
     return () => clearInterval(interval);
@@ -221,14 +289,20 @@ export const AuthProvider = ({ children }) => {
     user,
     isLoading,
     isAuthenticated,
+    ssoError,
 
     // Ações de autenticação
     login,
+    loginWithSso,
+    getSsoConfig,
     register,
     logout,
     updateProfile,
     changePassword,
     refreshProfile,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
 
     // Utilitários
     hasRole,
@@ -1,3 +1,13 @@
+/**
+ * Famílias (details.families) de modelos com encoder de imagem
+ */
+const VISION_FAMILIES = ['clip', 'mllama', 'qwen2vl', 'qwen25vl'];
+
+/**
+ * Nomes de modelos de visão conhecidos, para quando a API não informa as famílias
+ */
+const VISION_NAME_PATTERN = /llava|vision|moondream|minicpm-v|qwen[\d.]*-?vl/i;
+
 /**
  * Entidade que representa um modelo do OLLAMA
  * @class OllamaModel
@@ -9,13 +19,17 @@ export class OllamaModel {
    * @param {string} digest - Hash do modelo
    * @param {Object} details - Detalhes do modelo
    * @param {Date} modifiedAt - Data de modificação
+   * @param {number|null} contextLength - Tamanho máximo de contexto em tokens (quando conhecido)
+   * @param {string[]} capabilities - Capacidades informadas pelo /api/show (ex: completion, vision, tools)
    */
-  constructor(name, size = 0, digest = '', details = {}, modifiedAt = new Date()) {
+  constructor(name, size = 0, digest = '', details = {}, modifiedAt = new Date(), contextLength = null, capabilities = []) {
     this.name = name;
     this.size = size;
     this.digest = digest;
     this.details = details;
     this.modifiedAt = modifiedAt;
+    this.contextLength = contextLength;
+    this.capabilities = capabilities;
   }
 
   /**
@@ -29,10 +43,26 @@ export class OllamaModel {
       apiData.size || 0,
       apiData.digest || '',
       apiData.details || {},
-      apiData.modified_at ? new Date(apiData.modified_at) : new Date()
+      apiData.modified_at ? new Date(apiData.modified_at) : new Date(),
+      OllamaModel.extractContextLength(apiData),
+      apiData.capabilities || []
     );
   }
 
+  /**
+   * Extrai o tamanho de contexto dos dados da API (/api/show traz "<arquitetura>.context_length" em model_info)
+   * @param {Object} apiData - Dados da API
+   * @returns {number|null}
+   */
+  static extractContextLength(apiData) {
+    if (apiData.context_length) {
+      return Number(apiData.context_length);
+    }
+    const modelInfo = apiData.model_info || {};
+    const key = Object.keys(modelInfo).find(infoKey => infoKey.endsWith('.context_length'));
+    return key ? Number(modelInfo[key]) : null;
+  }
+
   /**
    * Obtém o tamanho formatado do modelo
    * @returns {string}
@@ -105,6 +135,20 @@ export class OllamaModel {
     ).join(' ');
   }
 
+  /**
+   * Verifica se o modelo aceita imagens (llava, qwen-vl, llama3.2-vision...)
+   * Usa as capacidades do /api/show quando existem; senão as famílias e o nome do modelo
+   * @returns {boolean}
+   */
+  supportsVision() {
+    if (this.capabilities.length > 0) {
+      return this.capabilities.includes('vision');
+    }
+
+    const families = this.details?.families || [];
+    return families.some(family => VISION_FAMILIES.includes(family)) || VISION_NAME_PATTERN.test(this.name);
+  }
+
   /**
    * Verifica se o modelo está disponível para uso
    * @returns {boolean}
@@ -119,7 +163,8 @@ export class OllamaModel {
    */
   getContextInfo() {
     return {
-      contextLength: this.details?.parameter_size || 'Desconhecido',
+      contextLength: this.contextLength || 'Desconhecido',
+      parameterSize: this.details?.parameter_size || 'Desconhecido',
       quantization: this.details?.quantization_level || 'Desconhecido',
       format: this.details?.format || 'Desconhecido'
     };
@@ -141,6 +186,8 @@ export class OllamaModel {
       tag: this.getTag(),
       baseName: this.getBaseName(),
       isAvailable: this.isAvailable(),
+      supportsVision: this.supportsVision(),
+      capabilities: this.capabilities,
       contextInfo: this.getContextInfo()
     };
   }
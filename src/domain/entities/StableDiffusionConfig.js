@@ -13,6 +13,11 @@ export class StableDiffusionConfig {
    * @param {string} sampler - Sampler method
    * @param {boolean} enabled - Se a integração está habilitada
    * @param {string} token - Token de autenticação para a API SD (opcional)
+   * @param {number} seed - Seed da geração (-1 = aleatória)
+   * @param {number} batchSize - Quantidade de imagens por geração
+   * @param {Array<{name: string, weight: number}>} loras - LoRAs aplicadas ao prompt
+   * @param {Array<{name: string, weight: number, negative: boolean}>} embeddings - Textual inversions (negative = prompt negativo)
+   * @param {Object|null} controlNet - Unidade de ControlNet (model, module, weight, guidanceStart, guidanceEnd, controlMode)
    */
   constructor(
     baseUrl = 'http://192.168.3.70:7861', 
@@ -23,7 +28,12 @@ export class StableDiffusionConfig {
     cfgScale = 7,
     sampler = 'Euler a',
     enabled = false,
-    token = ''
+    token = '',
+    seed = -1,
+    batchSize = 1,
+    loras = [],
+    embeddings = [],
+    controlNet = null
   ) {
     this.baseUrl = baseUrl;
     this.model = model;
@@ -34,6 +44,11 @@ export class StableDiffusionConfig {
     this.sampler = sampler;
     this.enabled = enabled;
     this.token = token;
+    this.seed = seed;
+    this.batchSize = batchSize;
+    this.loras = loras;
+    this.embeddings = embeddings;
+    this.controlNet = controlNet;
     this.createdAt = new Date();
     this.updatedAt = new Date();
   }
@@ -57,7 +72,8 @@ export class StableDiffusionConfig {
       this.steps > 0 &&
       this.width > 0 &&
       this.height > 0 &&
-      this.cfgScale > 0
+      this.cfgScale > 0 &&
+      this.batchSize > 0
     );
   }
 
@@ -76,6 +92,11 @@ export class StableDiffusionConfig {
       sampler: this.sampler,
       enabled: this.enabled,
       token: this.token,
+      seed: this.seed,
+      batchSize: this.batchSize,
+      loras: this.loras,
+      embeddings: this.embeddings,
+      controlNet: this.controlNet,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -96,7 +117,12 @@ export class StableDiffusionConfig {
       obj.cfgScale,
       obj.sampler,
       obj.enabled,
-      obj.token
+      obj.token,
+      obj.seed,
+      obj.batchSize,
+      obj.loras,
+      obj.embeddings,
+      obj.controlNet
     );
     
     if (obj.createdAt) config.createdAt = new Date(obj.createdAt);
@@ -146,6 +172,18 @@ export class StableDiffusionConfig {
     ];
   }
 
+  /**
+   * Modos do ControlNet: quanto o controle pesa em relação ao prompt
+   * @returns {Array<Object>}
+   */
+  static getControlNetModes() {
+    return [
+      { value: 'balanced', label: 'Equilibrado' },
+      { value: 'prompt', label: 'Prompt é mais importante' },
+      { value: 'controlnet', label: 'ControlNet é mais importante' }
+    ];
+  }
+
   /**
    * Lista de resoluções comuns
    * @returns {Array<Object>}
@@ -0,0 +1,120 @@
+/**
+ * Entidade de configuração da leitura em voz alta (text-to-speech)
+ * @class TextToSpeechConfig
+ */
+export class TextToSpeechConfig {
+  /**
+   * @param {string} engine - 'browser' (speechSynthesis) ou 'server' (servidor TTS local via backend)
+   * @param {string} serverType - Tipo do servidor local: 'piper', 'coqui' ou 'openai'
+   * @param {string} baseUrl - URL do servidor TTS local
+   * @param {string} voice - Voz do servidor (nome do modelo Piper, speaker_id do Coqui ou voz OpenAI)
+   * @param {string} model - Modelo (apenas servidores compatíveis com OpenAI)
+   * @param {string} browserVoice - voiceURI da voz do navegador (vazio usa a padrão)
+   * @param {number} rate - Velocidade da fala (1 = normal)
+   * @param {boolean} autoRead - Lê automaticamente cada nova resposta
+   */
+  constructor(
+    engine = 'browser',
+    serverType = 'piper',
+    baseUrl = 'http://localhost:5000',
+    voice = '',
+    model = '',
+    browserVoice = '',
+    rate = 1,
+    autoRead = false
+  ) {
+    this.engine = engine;
+    this.serverType = serverType;
+    this.baseUrl = baseUrl;
+    this.voice = voice;
+    this.model = model;
+    this.browserVoice = browserVoice;
+    this.rate = rate;
+    this.autoRead = autoRead;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Cria uma configuração padrão
+   * @returns {TextToSpeechConfig}
+   */
+  static createDefault() {
+    return new TextToSpeechConfig();
+  }
+
+  /**
+   * Indica se a fala usa o servidor local
+   * @returns {boolean}
+   */
+  usesServer() {
+    return this.engine === 'server';
+  }
+
+  /**
+   * Converte para objeto simples
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      engine: this.engine,
+      serverType: this.serverType,
+      baseUrl: this.baseUrl,
+      voice: this.voice,
+      model: this.model,
+      browserVoice: this.browserVoice,
+      rate: this.rate,
+      autoRead: this.autoRead,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Cria instância a partir de objeto
+   * @param {Object} obj - Objeto com dados da configuração
+   * @returns {TextToSpeechConfig}
+   */
+  static fromObject(obj) {
+    const config = new TextToSpeechConfig(
+      obj.engine,
+      obj.serverType,
+      obj.baseUrl,
+      obj.voice,
+      obj.model,
+      obj.browserVoice,
+      obj.rate,
+      obj.autoRead
+    );
+
+    if (obj.createdAt) config.createdAt = new Date(obj.createdAt);
+    if (obj.updatedAt) config.updatedAt = new Date(obj.updatedAt);
+
+    return config;
+  }
+
+  /**
+   * Atualiza a configuração
+   * @param {Object} updates - Atualizações
+   */
+  update(updates) {
+    Object.keys(updates).forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(this, key)) {
+        this[key] = updates[key];
+      }
+    });
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Servidores TTS locais suportados
+   * @returns {Array<Object>}
+   */
+  static getServerTypes() {
+    return [
+      { value: 'piper', label: 'Piper (HTTP server)', defaultUrl: 'http://localhost:5000' },
+      { value: 'coqui', label: 'Coqui TTS (tts-server)', defaultUrl: 'http://localhost:5002' },
+      { value: 'openai', label: 'OpenAI-compatible (Kokoro, openedai-speech)', defaultUrl: 'http://localhost:8880' }
+    ];
+  }
+}
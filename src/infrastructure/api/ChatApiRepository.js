@@ -1,5 +1,6 @@
 import { ChatRepository } from '../../domain/repositories/ChatRepository.js';
 import { Message } from '../../domain/entities/Message.js';
+import systemSettingsService from '../../services/SystemSettingsService';
 
 /**
  * Implementação do ChatRepository que se conecta ao backend
@@ -13,6 +14,12 @@ export class ChatApiRepository extends ChatRepository {
     const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
     this.baseURL = `${API_BASE}/api/v1`;
     this.tokenKey = 'xandai_auth_token';
+    // Provedor e modelo gravados na conversa atual (null em conversas novas)
+    this.sessionSettings = null;
+    // Persona escolhida antes da primeira resposta (o backend a grava na configuração da sessão)
+    this.pendingPersona = null;
+    // Bases de conhecimento escolhidas antes da primeira resposta
+    this.pendingKnowledgeBaseIds = [];
     
     // Log API URL in development
     if (process.env.NODE_ENV === 'development') {
@@ -44,9 +51,12 @@ export class ChatApiRepository extends ChatRepository {
    * Envia uma mensagem para o backend
    * @param {string} message - Mensagem do usuário
    * @param {Function} onToken - Callback para streaming (opcional)
+   * @param {Object} options - Opções adicionais
+   * @param {Array} options.attachments - Arquivos já enviados via uploadAttachment (opcional)
+   * @param {AbortSignal} options.signal - Interrompe o streaming; a resposta parcial é retornada com metadata.cancelled (opcional)
    * @returns {Promise<string>} - Resposta do assistente
    */
-  async sendMessage(message, onToken = null) {
+  async sendMessage(message, onToken = null, options = {}) {
     try {
       const token = this.getAuthToken();
       
@@ -54,221 +64,14 @@ export class ChatApiRepository extends ChatRepository {
         throw new Error('Token de autenticação não encontrado');
       }
 
-      // Check which provider is configured
-      const dynamicLLMConfig = JSON.parse(localStorage.getItem('dynamic-llm-config') || '{}');
-      const ollamaConfig = JSON.parse(localStorage.getItem('ollama-config') || '{}');
-      
-      // Determine active provider
-      const activeProvider = localStorage.getItem('active-provider') || 'ollama';
-      
-      console.log('🔌 Active provider:', activeProvider);
-
-      let requestBody;
-
-      if (activeProvider === 'dynamic_llm' && dynamicLLMConfig.model) {
-        // Use Dynamic LLM (vLLM or LlamaCPP)
-        console.log('🚀 Using Dynamic LLM with backend:', dynamicLLMConfig.provider);
-        console.log('📝 Model:', dynamicLLMConfig.model);
-
-        requestBody = {
-          content: message,
-          sessionId: this.currentSessionId || null,
-          provider: 'dynamic_llm',
-          dynamicLLMConfig: {
-            backend: dynamicLLMConfig.provider,
-            model: dynamicLLMConfig.model,
-            device: dynamicLLMConfig.device || 'cuda',
-            ttl: dynamicLLMConfig.ttl || 600,
-          },
-          temperature: dynamicLLMConfig.temperature || 0.7,
-          maxTokens: dynamicLLMConfig.max_tokens || 2048,
-        };
-
-        // Add optional completion parameters
-        if (dynamicLLMConfig.top_p !== undefined) {
-          requestBody.top_p = dynamicLLMConfig.top_p;
-        }
-        if (dynamicLLMConfig.presence_penalty !== undefined) {
-          requestBody.presence_penalty = dynamicLLMConfig.presence_penalty;
-        }
-        if (dynamicLLMConfig.frequency_penalty !== undefined) {
-          requestBody.frequency_penalty = dynamicLLMConfig.frequency_penalty;
-        }
-        if (dynamicLLMConfig.stop && dynamicLLMConfig.stop.length > 0) {
-          requestBody.stop = dynamicLLMConfig.stop;
-        }
-
-        // Add backend-specific parameters
-        if (dynamicLLMConfig.provider === 'vllm' && dynamicLLMConfig.gpu_memory_utilization) {
-          requestBody.dynamicLLMConfig.gpu_memory_utilization = dynamicLLMConfig.gpu_memory_utilization;
-        }
-
-        if (dynamicLLMConfig.provider === 'llamacpp') {
-          if (dynamicLLMConfig.n_gpu_layers !== undefined) {
-            requestBody.dynamicLLMConfig.n_gpu_layers = dynamicLLMConfig.n_gpu_layers;
-          }
-          if (dynamicLLMConfig.n_ctx) {
-            requestBody.dynamicLLMConfig.n_ctx = dynamicLLMConfig.n_ctx;
-          }
-        }
-      } else {
-        // Use Ollama (default)
-        console.log('🤖 Using Ollama');
-        console.log('🤖 Selected model:', ollamaConfig.selectedModel || 'default llama3.2');
-        
-        // Build ollamaConfig to send to backend
-        const ollamaConfigForBackend = {
-          enabled: ollamaConfig.enabled !== false
-        };
-        
-        // If user configured a baseUrl on frontend, send it to override backend's env var
-        if (ollamaConfig.baseUrl) {
-          ollamaConfigForBackend.baseUrl = ollamaConfig.baseUrl;
-          console.log('🔗 Using frontend-configured Ollama URL:', ollamaConfig.baseUrl);
-        }
-        
-        // Also include timeout if configured
-        if (ollamaConfig.timeout) {
-          ollamaConfigForBackend.timeout = ollamaConfig.timeout;
-        }
-
-        // Use model from config or fallback to default
-        const modelToUse = ollamaConfig.selectedModel || 'llama3.2';
-
-        requestBody = {
-          content: message,
-          sessionId: this.currentSessionId || null,
-          provider: 'ollama',
-          model: modelToUse,
-          temperature: 0.7,
-          metadata: {
-            ollamaConfig: ollamaConfigForBackend
-          }
-        };
-      }
+      const requestBody = this.buildRequestBody(message, options);
 
       // Use streaming endpoint if callback provided
       if (onToken) {
         console.log('🌊 Using streaming endpoint...');
         console.log('📝 Current session ID:', this.currentSessionId || 'none (will create new)');
-        
-        const response = await fetch(`${this.baseURL}/chat/messages/stream`, {
-          method: 'POST',
-          headers: this.getAuthHeaders(),
-          body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-          throw new Error(`Erro na requisição: ${response.status}`);
-        }
 
-        // Handle SSE streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullResponse = '';
-        let attachments = null;
-        let sessionId = null;
-        let metadata = null;
-        let buffer = ''; // Buffer for incomplete chunks
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value, { stream: true });
-          buffer += chunk;
-          
-          // Process complete lines from buffer
-          const lines = buffer.split('\n');
-          // Keep the last incomplete line in the buffer
-          buffer = lines.pop() || '';
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              try {
-                const data = JSON.parse(line.slice(6));
-                if (data.error) {
-                  throw new Error(data.error);
-                }
-                
-                // Capture session ID when received
-                if (data.sessionId) {
-                  sessionId = data.sessionId;
-                  this.currentSessionId = sessionId;
-                  console.log('📝 Session ID received and stored:', sessionId);
-                }
-                
-                // Handle image generation (non-streamable content)
-                if (data.isImageGeneration && data.attachments) {
-                  console.log('🎨 Received image generation response');
-                  fullResponse = data.fullText || data.token || '';
-                  attachments = data.attachments;
-                  onToken(data.token || '', fullResponse, false);
-                } else if (data.token !== undefined) {
-                  fullResponse = data.fullText || (fullResponse + data.token);
-                  onToken(data.token, fullResponse, false);
-                }
-                
-                if (data.done) {
-                  // Final session ID update - always use backend's session ID as source of truth
-                  if (data.sessionId) {
-                    this.currentSessionId = data.sessionId;
-                    console.log('📝 Final session ID stored:', data.sessionId);
-                  }
-                  // Capture metadata (tokens, processingTime, tokensPerSecond)
-                  if (data.metadata) {
-                    metadata = data.metadata;
-                    console.log('📊 Metrics received:', metadata);
-                  }
-                  onToken('', fullResponse, true);
-                }
-              } catch (e) {
-                if (e.message && !e.message.includes('JSON') && !e.message.includes('Unexpected')) {
-                  throw e;
-                }
-                // Ignore JSON parsing errors for incomplete chunks
-              }
-            }
-          }
-        }
-
-        // Process any remaining buffer content
-        if (buffer.startsWith('data: ')) {
-          try {
-            const data = JSON.parse(buffer.slice(6));
-            if (data.token) {
-              fullResponse = data.fullText || (fullResponse + data.token);
-            }
-            if (data.attachments) {
-              attachments = data.attachments;
-            }
-            if (data.sessionId) {
-              this.currentSessionId = data.sessionId;
-            }
-          } catch (e) {
-            // Ignore parsing errors on final chunk
-          }
-        }
-
-        // Return response with attachments and/or metadata if present
-        if (attachments && attachments.length > 0) {
-          console.log('🎨 Returning response with attachments:', attachments);
-          return {
-            content: fullResponse,
-            attachments: attachments,
-            metadata: metadata
-          };
-        }
-
-        // Return metadata if available even without attachments
-        if (metadata) {
-          return {
-            content: fullResponse,
-            metadata: metadata
-          };
-        }
-
-        return fullResponse;
+        return await this.streamRequest('/chat/messages/stream', requestBody, onToken, options);
       } else {
         // Non-streaming: use regular endpoint
         const response = await fetch(`${this.baseURL}/chat/messages`, {
@@ -278,7 +81,7 @@ export class ChatApiRepository extends ChatRepository {
         });
 
         if (!response.ok) {
-          throw new Error(`Erro na requisição: ${response.status}`);
+          throw new Error(await this.readErrorMessage(response, `Erro na requisição: ${response.status}`));
         }
 
         const result = await response.json();
@@ -305,11 +108,519 @@ export class ChatApiRepository extends ChatRepository {
         return assistantContent;
       }
     } catch (error) {
+      if (options.signal?.aborted) {
+        // Stopped before the stream started
+        return { content: '', metadata: { cancelled: true } };
+      }
       console.error('Erro ao enviar mensagem para o backend:', error);
       throw error;
     }
   }
 
+  /**
+   * Monta o corpo da requisição de chat com o provedor e o modelo configurados
+   * (ou os da conversa atual, quando ela já tem os seus)
+   * @param {string} message - Mensagem do usuário
+   * @param {Object} options - Opções adicionais (attachments)
+   * @returns {Object}
+   */
+  buildRequestBody(message, options = {}) {
+    // Check which provider is configured
+    let dynamicLLMConfig = JSON.parse(localStorage.getItem('dynamic-llm-config') || '{}');
+    const ollamaConfig = JSON.parse(localStorage.getItem('ollama-config') || '{}');
+    const sessionSettings = this.currentSessionId ? this.sessionSettings : null;
+    
+    // Determine active provider (a saved conversation keeps the one it was created with)
+    const activeProvider = sessionSettings?.provider || systemSettingsService.getActiveProvider();
+
+    if (activeProvider === 'dynamic_llm' && sessionSettings?.dynamicLLMConfig) {
+      dynamicLLMConfig = {
+        ...dynamicLLMConfig,
+        ...sessionSettings.dynamicLLMConfig,
+        provider: sessionSettings.dynamicLLMConfig.backend,
+        model: sessionSettings.model || sessionSettings.dynamicLLMConfig.model
+      };
+    }
+    
+    console.log('🔌 Active provider:', activeProvider);
+
+    let requestBody;
+
+    if (activeProvider === 'dynamic_llm' && dynamicLLMConfig.model) {
+      // Use Dynamic LLM (vLLM or LlamaCPP)
+      console.log('🚀 Using Dynamic LLM with backend:', dynamicLLMConfig.provider);
+      console.log('📝 Model:', dynamicLLMConfig.model);
+
+      requestBody = {
+        content: message,
+        sessionId: this.currentSessionId || null,
+        provider: 'dynamic_llm',
+        dynamicLLMConfig: {
+          backend: dynamicLLMConfig.provider,
+          model: dynamicLLMConfig.model,
+          device: dynamicLLMConfig.device || 'cuda',
+          ttl: dynamicLLMConfig.ttl || 600,
+        },
+        temperature: dynamicLLMConfig.temperature || 0.7,
+        maxTokens: dynamicLLMConfig.max_tokens || 2048,
+      };
+
+      // Add optional completion parameters
+      if (dynamicLLMConfig.top_p !== undefined) {
+        requestBody.top_p = dynamicLLMConfig.top_p;
+      }
+      if (dynamicLLMConfig.presence_penalty !== undefined) {
+        requestBody.presence_penalty = dynamicLLMConfig.presence_penalty;
+      }
+      if (dynamicLLMConfig.frequency_penalty !== undefined) {
+        requestBody.frequency_penalty = dynamicLLMConfig.frequency_penalty;
+      }
+      if (dynamicLLMConfig.stop && dynamicLLMConfig.stop.length > 0) {
+        requestBody.stop = dynamicLLMConfig.stop;
+      }
+
+      // Add backend-specific parameters
+      if (dynamicLLMConfig.provider === 'vllm' && dynamicLLMConfig.gpu_memory_utilization) {
+        requestBody.dynamicLLMConfig.gpu_memory_utilization = dynamicLLMConfig.gpu_memory_utilization;
+      }
+
+      if (dynamicLLMConfig.provider === 'llamacpp') {
+        if (dynamicLLMConfig.n_gpu_layers !== undefined) {
+          requestBody.dynamicLLMConfig.n_gpu_layers = dynamicLLMConfig.n_gpu_layers;
+        }
+        if (dynamicLLMConfig.n_ctx) {
+          requestBody.dynamicLLMConfig.n_ctx = dynamicLLMConfig.n_ctx;
+        }
+      }
+    } else {
+      // Use Ollama (default)
+      console.log('🤖 Using Ollama');
+      console.log('🤖 Selected model:', ollamaConfig.selectedModel || 'default llama3.2');
+      
+      // Build ollamaConfig to send to backend
+      const ollamaConfigForBackend = {
+        enabled: ollamaConfig.enabled !== false
+      };
+      
+      // If user configured a baseUrl on frontend, send it to override backend's env var
+      if (ollamaConfig.baseUrl) {
+        ollamaConfigForBackend.baseUrl = ollamaConfig.baseUrl;
+        console.log('🔗 Using frontend-configured Ollama URL:', ollamaConfig.baseUrl);
+      }
+      
+      // Also include timeout if configured
+      if (ollamaConfig.timeout) {
+        ollamaConfigForBackend.timeout = ollamaConfig.timeout;
+      }
+
+      // Use model from config or fallback to default
+      const modelToUse = sessionSettings?.model || ollamaConfig.selectedModel || 'llama3.2';
+
+      requestBody = {
+        content: message,
+        sessionId: this.currentSessionId || null,
+        provider: 'ollama',
+        model: modelToUse,
+        temperature: 0.7,
+        metadata: {
+          ollamaConfig: ollamaConfigForBackend
+        }
+      };
+
+      // Optional context window override (set for the selected model); otherwise the backend asks Ollama for the model's size
+      if (ollamaConfig.contextLength && modelToUse === ollamaConfig.selectedModel) {
+        requestBody.contextLength = ollamaConfig.contextLength;
+      }
+    }
+
+    // Conversations without settings yet take the persona picked before the first message
+    if (this.pendingPersona && !sessionSettings) {
+      requestBody.personaId = this.pendingPersona.personaId;
+      requestBody.personaVariables = this.pendingPersona.personaVariables || {};
+    }
+    if (this.pendingKnowledgeBaseIds.length > 0 && !sessionSettings) {
+      requestBody.knowledgeBaseIds = this.pendingKnowledgeBaseIds;
+    }
+
+    // Explicit choice that skips the intent router ('image' = "Generate image instead")
+    if (options.intent) {
+      requestBody.intent = options.intent;
+    }
+
+    // Attach previously uploaded files (server re-reads them from the user's uploads)
+    if (options.attachments && options.attachments.length > 0) {
+      requestBody.attachments = options.attachments.map(attachment => ({
+        filename: attachment.filename,
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType
+      }));
+    }
+
+    const imageSettings = this.buildImageSettings();
+    if (imageSettings) {
+      requestBody.imageSettings = imageSettings;
+    }
+
+    return requestBody;
+  }
+
+  /**
+   * LoRAs, embeddings e ControlNet da configuração do Stable Diffusion, usados
+   * quando a mensagem gera uma imagem
+   * @returns {Object|null}
+   */
+  buildImageSettings() {
+    const sdConfig = JSON.parse(localStorage.getItem('stable_diffusion_config') || '{}');
+    const imageSettings = {};
+
+    if (sdConfig.loras?.length > 0) {
+      imageSettings.loras = sdConfig.loras.map(({ name, weight }) => ({ name, weight }));
+    }
+    if (sdConfig.embeddings?.length > 0) {
+      imageSettings.embeddings = sdConfig.embeddings.map(({ name, weight, negative }) => ({ name, weight, negative }));
+    }
+    if (sdConfig.controlNet?.model) {
+      imageSettings.controlNet = sdConfig.controlNet;
+    }
+
+    return Object.keys(imageSettings).length > 0 ? imageSettings : null;
+  }
+
+  /**
+   * Envia uma requisição de chat e consome a resposta em Server-Sent Events
+   * @param {string} path - Endpoint relativo a /api/v1
+   * @param {Object} requestBody - Corpo da requisição
+   * @param {Function} onToken - Callback chamado a cada token (token, fullText, isDone)
+   * @param {Object} options - Opções adicionais (signal)
+   * @param {Function} options.onToolCall - Chamado quando o modelo inicia ou conclui uma ferramenta (opcional)
+   * @returns {Promise<string|Object>} - Resposta do assistente (com attachments, metadata e messageIds quando houver)
+   */
+  async streamRequest(path, requestBody, onToken, options = {}) {
+    const response = await fetch(`${this.baseURL}${path}`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(requestBody),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(await this.readErrorMessage(response, `Erro na requisição: ${response.status}`));
+    }
+
+    // Handle SSE streaming response
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let fullResponse = '';
+    let attachments = null;
+    let sessionId = null;
+    let metadata = null;
+    let messageIds = null;
+    let toolCalls = [];
+    let buffer = ''; // Buffer for incomplete chunks
+
+    while (true) {
+      let chunkResult;
+      try {
+        chunkResult = await reader.read();
+      } catch (readError) {
+        if (options.signal?.aborted) {
+          // Stopped by the user - keep what was generated so far
+          console.log('⏹️ Streaming cancelled by user');
+          onToken('', fullResponse, true);
+          return {
+            content: fullResponse,
+            metadata: { ...(metadata || {}), ...(toolCalls.length > 0 && { toolCalls }), cancelled: true },
+            messageIds
+          };
+        }
+        throw readError;
+      }
+
+      const { done, value } = chunkResult;
+      if (done) break;
+
+      const chunk = decoder.decode(value, { stream: true });
+      buffer += chunk;
+      
+      // Process complete lines from buffer
+      const lines = buffer.split('\n');
+      // Keep the last incomplete line in the buffer
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (line.startsWith('data: ')) {
+          try {
+            const data = JSON.parse(line.slice(6));
+            if (data.error) {
+              throw new Error(data.error);
+            }
+            
+            // Capture session ID when received
+            if (data.sessionId) {
+              sessionId = data.sessionId;
+              this.currentSessionId = sessionId;
+              console.log('📝 Session ID received and stored:', sessionId);
+            }
+
+            // Ferramenta chamada pelo modelo: o mesmo id chega como 'running' e depois com o resultado
+            if (data.toolCall) {
+              toolCalls = [...toolCalls.filter(call => call.id !== data.toolCall.id), data.toolCall];
+              options.onToolCall?.(data.toolCall, toolCalls);
+            }
+            
+            // Handle image generation (non-streamable content)
+            if (data.isImageGeneration && data.attachments) {
+              console.log('🎨 Received image generation response');
+              fullResponse = data.fullText || data.token || '';
+              attachments = data.attachments;
+              onToken(data.token || '', fullResponse, false);
+            } else if (data.token !== undefined) {
+              fullResponse = data.fullText || (fullResponse + data.token);
+              onToken(data.token, fullResponse, false);
+            }
+            
+            if (data.done) {
+              // Final session ID update - always use backend's session ID as source of truth
+              if (data.sessionId) {
+                this.currentSessionId = data.sessionId;
+                console.log('📝 Final session ID stored:', data.sessionId);
+              }
+              // IDs saved by the backend, so the UI can regenerate/edit these messages later
+              if (data.userMessageId || data.assistantMessageId) {
+                messageIds = { userMessageId: data.userMessageId, assistantMessageId: data.assistantMessageId };
+              }
+              // Capture metadata (tokens, processingTime, tokensPerSecond)
+              if (data.metadata) {
+                metadata = data.metadata;
+                console.log('📊 Metrics received:', metadata);
+              }
+              // Images generated by tools
+              if (data.attachments) {
+                attachments = data.attachments;
+              }
+              onToken('', fullResponse, true);
+            }
+          } catch (e) {
+            if (e.message && !e.message.includes('JSON') && !e.message.includes('Unexpected')) {
+              throw e;
+            }
+            // Ignore JSON parsing errors for incomplete chunks
+          }
+        }
+      }
+    }
+
+    // Process any remaining buffer content
+    if (buffer.startsWith('data: ')) {
+      try {
+        const data = JSON.parse(buffer.slice(6));
+        if (data.token) {
+          fullResponse = data.fullText || (fullResponse + data.token);
+        }
+        if (data.attachments) {
+          attachments = data.attachments;
+        }
+        if (data.sessionId) {
+          this.currentSessionId = data.sessionId;
+        }
+      } catch (e) {
+        // Ignore parsing errors on final chunk
+      }
+    }
+
+    // Return response with attachments and/or metadata if present
+    if (attachments && attachments.length > 0) {
+      console.log('🎨 Returning response with attachments:', attachments);
+      return {
+        content: fullResponse,
+        attachments: attachments,
+        metadata: metadata,
+        messageIds
+      };
+    }
+
+    // Return metadata/message IDs if available even without attachments
+    if (metadata || messageIds) {
+      return {
+        content: fullResponse,
+        metadata: metadata,
+        messageIds
+      };
+    }
+
+    return fullResponse;
+  }
+
+  /**
+   * Gera uma nova resposta para uma mensagem do assistente; a anterior continua disponível como alternativa
+   * @param {string} messageId - ID da resposta a ser regenerada
+   * @param {Function} onToken - Callback para streaming
+   * @param {Object} options - Opções adicionais (signal)
+   * @returns {Promise<string|Object>} - Nova resposta do assistente
+   */
+  async regenerateMessage(messageId, onToken, options = {}) {
+    return this.sendBranchRequest(`/chat/messages/${messageId}/regenerate`, null, onToken, options);
+  }
+
+  /**
+   * Reenvia uma pergunta editada, criando um novo ramo da conversa
+   * @param {string} messageId - ID da mensagem do usuário editada
+   * @param {string} content - Novo conteúdo
+   * @param {Function} onToken - Callback para streaming
+   * @param {Object} options - Opções adicionais (attachments, signal)
+   * @returns {Promise<string|Object>} - Resposta do assistente para o novo ramo
+   */
+  async editMessage(messageId, content, onToken, options = {}) {
+    return this.sendBranchRequest(`/chat/messages/${messageId}/edit`, content, onToken, options);
+  }
+
+  /**
+   * Envia uma requisição de regenerar/editar com o provedor atual
+   * @param {string} path - Endpoint relativo a /api/v1
+   * @param {string|null} content - Conteúdo da mensagem (null mantém o original)
+   * @param {Function} onToken - Callback para streaming
+   * @param {Object} options - Opções adicionais
+   * @returns {Promise<string|Object>}
+   */
+  async sendBranchRequest(path, content, onToken, options = {}) {
+    try {
+      if (!this.getAuthToken()) {
+        throw new Error('Token de autenticação não encontrado');
+      }
+
+      const requestBody = this.buildRequestBody(content, options);
+      if (content === null) {
+        delete requestBody.content;
+      }
+
+      return await this.streamRequest(path, requestBody, onToken, options);
+    } catch (error) {
+      if (options.signal?.aborted) {
+        return { content: '', metadata: { cancelled: true } };
+      }
+      console.error('Erro ao gerar resposta alternativa:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mensagem de erro enviada pelo backend (ex: cota diária esgotada, 429)
+   * @param {Response} response - Resposta com erro
+   * @param {string} fallback - Mensagem usada quando o corpo não traz uma
+   * @returns {Promise<string>}
+   */
+  async readErrorMessage(response, fallback) {
+    try {
+      const error = await response.json();
+      return error.message || fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Mostra outro ramo da conversa a partir de uma mensagem alternativa
+   * @param {string} sessionId - ID da sessão
+   * @param {string} messageId - Mensagem alternativa escolhida
+   * @returns {Promise<Object>} - Sessão com as mensagens do ramo escolhido
+   */
+  async switchBranch(sessionId, messageId) {
+    const response = await fetch(`${this.baseURL}/chat/sessions/${sessionId}/branch`, {
+      method: 'PUT',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ messageId })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Erro ao trocar de ramo: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Obtém as mensagens do ramo ativo de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<Object>} - Sessão com as mensagens do ramo ativo
+   */
+  async getSessionBranch(sessionId) {
+    const response = await fetch(`${this.baseURL}/chat/sessions/${sessionId}`, {
+      method: 'GET',
+      headers: this.getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Erro ao carregar sessão: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Envia um arquivo (PDF, texto ou código) para ser anexado a uma mensagem
+   * @param {File} file - Arquivo selecionado pelo usuário
+   * @returns {Promise<Object>} - Descritor do anexo armazenado
+   */
+  async uploadAttachment(file) {
+    const token = this.getAuthToken();
+
+    if (!token) {
+      throw new Error('Token de autenticação não encontrado');
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    // Content-Type is set by the browser with the multipart boundary
+    const response = await fetch(`${this.baseURL}/chat/attachments/files`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      body: formData
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `Erro ao enviar arquivo: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Transcreve um áudio gravado no navegador usando o servidor Whisper do backend
+   * @param {Blob} audio - Gravação do microfone
+   * @param {string} language - Código ISO-639-1 do idioma (opcional, detectado pelo modelo se omitido)
+   * @returns {Promise<string>} - Texto transcrito
+   */
+  async transcribeAudio(audio, language = null) {
+    const token = this.getAuthToken();
+
+    if (!token) {
+      throw new Error('Token de autenticação não encontrado');
+    }
+
+    const extension = (audio.type || 'audio/webm').split(';')[0].split('/')[1] || 'webm';
+    const formData = new FormData();
+    formData.append('audio', audio, `voice.${extension}`);
+    if (language) {
+      formData.append('language', language);
+    }
+
+    const response = await fetch(`${this.baseURL}/chat/transcribe`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      body: formData
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `Erro ao transcrever áudio: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.text || '';
+  }
+
   /**
    * Salva uma mensagem no backend
    * @param {Message} message - Mensagem para salvar
@@ -488,9 +799,34 @@ export class ChatApiRepository extends ChatRepository {
    */
   clearCurrentSessionId() {
     this.currentSessionId = null;
+    this.sessionSettings = null;
     console.log('🧹 Session ID cleared - ready for new conversation');
   }
 
+  /**
+   * Define o provedor, o modelo e os parâmetros gravados na conversa atual
+   * @param {Object|null} settings - Configuração da sessão
+   */
+  setSessionSettings(settings) {
+    this.sessionSettings = settings || null;
+  }
+
+  /**
+   * Define a persona enviada com a primeira mensagem de uma conversa nova
+   * @param {Object|null} persona - { personaId, personaVariables }
+   */
+  setPendingPersona(persona) {
+    this.pendingPersona = persona || null;
+  }
+
+  /**
+   * Define as bases de conhecimento enviadas com a primeira mensagem de uma conversa nova
+   * @param {string[]} knowledgeBaseIds - IDs das bases
+   */
+  setPendingKnowledgeBases(knowledgeBaseIds) {
+    this.pendingKnowledgeBaseIds = knowledgeBaseIds || [];
+  }
+
   /**
    * Obtém a sessão atual
    * @returns {string|null}
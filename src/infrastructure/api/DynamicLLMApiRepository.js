@@ -35,9 +35,11 @@ class DynamicLLMApiRepository {
    * @param {string} message - User message
    * @param {Object} providerConfig - Provider configuration
    * @param {Function|null} onToken - Streaming callback (optional)
+   * @param {Object} options - Extra options
+   * @param {AbortSignal} options.signal - Stops streaming; the partial answer is returned with metadata.cancelled (optional)
    * @returns {Promise<string|Object>} - AI response
    */
-  async sendMessage(message, providerConfig, onToken = null) {
+  async sendMessage(message, providerConfig, onToken = null, options = {}) {
     try {
       const token = this.getAuthToken();
       
@@ -98,6 +100,7 @@ class DynamicLLMApiRepository {
           method: 'POST',
           headers: this.getAuthHeaders(),
           body: JSON.stringify(requestBody),
+          signal: options.signal,
         });
 
         if (!response.ok) {
@@ -113,7 +116,22 @@ class DynamicLLMApiRepository {
         let buffer = '';
 
         while (true) {
-          const { done, value } = await reader.read();
+          let chunkResult;
+          try {
+            chunkResult = await reader.read();
+          } catch (readError) {
+            if (options.signal?.aborted) {
+              // Stopped by the user - keep what was generated so far
+              onToken('', fullResponse, true);
+              return {
+                content: fullResponse,
+                metadata: { ...(metadata || {}), cancelled: true },
+              };
+            }
+            throw readError;
+          }
+
+          const { done, value } = chunkResult;
           if (done) break;
 
           const chunk = decoder.decode(value, { stream: true });
@@ -203,6 +221,10 @@ class DynamicLLMApiRepository {
         return assistantContent;
       }
     } catch (error) {
+      if (options.signal?.aborted) {
+        // Stopped before the stream started
+        return { content: '', metadata: { cancelled: true } };
+      }
       console.error('Error sending message to Dynamic LLM backend:', error);
       throw error;
     }
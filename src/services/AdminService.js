@@ -0,0 +1,105 @@
+import authService from './AuthService';
+
+/**
+ * Serviço do painel do administrador (gestão de usuários)
+ */
+class AdminService {
+  constructor() {
+    // Use environment variable for API URL - supports network access
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1/admin`;
+  }
+
+  /**
+   * Lista os usuários com o uso de cada um (mensagens, tokens, imagens)
+   * @param {number} page - Página (começa em 1)
+   * @param {number} limit - Usuários por página
+   * @returns {Promise<{users: Array, total: number, page: number, limit: number}>}
+   */
+  async getUsers(page = 1, limit = 20) {
+    const params = new URLSearchParams({ page: String(page), limit: String(limit) });
+    const response = await authService.authenticatedFetch(`${this.baseURL}/users?${params.toString()}`);
+    return this.handleResponse(response, 'Erro ao carregar usuários');
+  }
+
+  /**
+   * Ativa ou desativa um usuário (desativar encerra as sessões dele)
+   * @param {string} userId - ID do usuário
+   * @param {boolean} isActive - Novo estado
+   * @returns {Promise<Object>} Usuário atualizado
+   */
+  async setUserActive(userId, isActive) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/users/${userId}/${isActive ? 'enable' : 'disable'}`, {
+      method: 'POST',
+    });
+    return this.handleResponse(response, 'Erro ao atualizar usuário');
+  }
+
+  /**
+   * Altera o papel de um usuário
+   * @param {string} userId - ID do usuário
+   * @param {string} role - user ou admin
+   * @returns {Promise<Object>} Usuário atualizado
+   */
+  async updateRole(userId, role) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/users/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+    return this.handleResponse(response, 'Erro ao alterar papel');
+  }
+
+  /**
+   * Define as exceções de um usuário aos limites do seu papel
+   * @param {string} userId - ID do usuário
+   * @param {Object} limits - { tokensPerDay, imagesPerDay, concurrentStreams }; null segue o papel
+   * @returns {Promise<Object>} Usuário atualizado
+   */
+  async updateQuota(userId, limits) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/users/${userId}/quota`, {
+      method: 'PUT',
+      body: JSON.stringify(limits),
+    });
+    return this.handleResponse(response, 'Erro ao salvar cotas');
+  }
+
+  /**
+   * Redefine a senha de um usuário
+   * @param {string} userId - ID do usuário
+   * @param {string} [newPassword] - Nova senha; sem ela o servidor gera uma temporária
+   * @returns {Promise<{temporaryPassword?: string}>}
+   */
+  async resetPassword(userId, newPassword) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/users/${userId}/reset-password`, {
+      method: 'POST',
+      body: JSON.stringify(newPassword ? { newPassword } : {}),
+    });
+    return this.handleResponse(response, 'Erro ao redefinir senha');
+  }
+
+  /**
+   * Exclui um usuário e todos os dados dele
+   * @param {string} userId - ID do usuário
+   */
+  async deleteUser(userId) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/users/${userId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      await this.handleResponse(response, 'Erro ao excluir usuário');
+    }
+  }
+
+  async handleResponse(response, fallbackMessage) {
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+      throw new Error(message || fallbackMessage);
+    }
+    return response.json();
+  }
+}
+
+// Exporta uma instância singleton
+const adminService = new AdminService();
+export default adminService;
@@ -0,0 +1,61 @@
+import authService from './AuthService';
+
+/**
+ * Serviço das chaves pessoais de API (usadas pela API compatível com OpenAI em /v1)
+ */
+class ApiKeyService {
+  constructor() {
+    // Use environment variable for API URL - supports network access
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1/api-keys`;
+    this.openAIBaseURL = `${API_BASE}/v1`;
+  }
+
+  /**
+   * Lista as chaves do usuário com o uso de cada uma
+   * @returns {Promise<Array>}
+   */
+  async getKeys() {
+    const response = await authService.authenticatedFetch(this.baseURL);
+    return this.handleResponse(response, 'Erro ao carregar chaves de API');
+  }
+
+  /**
+   * Cria uma chave. O valor completo (key) só vem nesta resposta
+   * @param {Object} data - { name, scopes?, expiresInDays? }
+   * @returns {Promise<Object>} Chave criada, com key
+   */
+  async createKey(data) {
+    const response = await authService.authenticatedFetch(this.baseURL, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+    return this.handleResponse(response, 'Erro ao criar chave de API');
+  }
+
+  /**
+   * Revoga uma chave
+   * @param {string} keyId - ID da chave
+   */
+  async revokeKey(keyId) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${keyId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      await this.handleResponse(response, 'Erro ao revogar chave de API');
+    }
+  }
+
+  async handleResponse(response, fallbackMessage) {
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+      throw new Error(message || fallbackMessage);
+    }
+    return response.json();
+  }
+}
+
+// Exporta uma instância singleton
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -1,3 +1,6 @@
+// Antecedência com que o access token é renovado antes de expirar
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
 /**
  * Serviço de autenticação para comunicação com a API backend
  */
@@ -7,12 +10,19 @@ class AuthService {
     const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
     this.baseURL = `${API_BASE}/api/v1`;
     this.tokenKey = 'xandai_auth_token';
+    this.refreshTokenKey = 'xandai_refresh_token';
+    this.expiresAtKey = 'xandai_token_expires_at';
+    this.refreshPromise = null;
+    this.refreshTimer = null;
     
     // Log API URL in development
     if (process.env.NODE_ENV === 'development') {
       console.log('🔐 Auth Service API URL:', this.baseURL);
     }
     this.userKey = 'xandai_user_data';
+
+    // Retoma a renovação automática de uma sessão já existente
+    this.scheduleRefresh();
   }
 
   /**
@@ -73,28 +83,87 @@ class AuthService {
     }
   }
 
+  /**
+   * Indica se o login por SSO está habilitado no backend
+   * @returns {Promise<Object>} - { enabled, providerName }
+   */
+  async getSsoConfig() {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/oidc/config`);
+      if (!response.ok) {
+        return { enabled: false };
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Erro ao carregar configuração do SSO:', error);
+      return { enabled: false };
+    }
+  }
+
+  /**
+   * Inicia o login por SSO redirecionando para o provedor de identidade
+   * @returns {Promise<void>}
+   */
+  async startSsoLogin() {
+    // O backend guarda o login iniciado num cookie deste navegador, conferido no retorno
+    const response = await fetch(`${this.baseURL}/auth/oidc/authorize`, { credentials: 'include' });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || 'Erro ao iniciar o login por SSO');
+    }
+
+    const { authorizationUrl } = await response.json();
+    window.location.assign(authorizationUrl);
+  }
+
+  /**
+   * Conclui o login por SSO com o retorno do provedor de identidade
+   * @param {string} code - Código de autorização
+   * @param {string} state - State do login iniciado
+   * @returns {Promise<Object>} - Dados do usuário e token
+   */
+  async completeSsoLogin(code, state) {
+    try {
+      const response = await fetch(`${this.baseURL}/auth/oidc/callback`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code, state }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || 'Erro no login por SSO');
+      }
+
+      const data = await response.json();
+      this.setAuthData(data);
+      return data;
+    } catch (error) {
+      console.error('Erro no login por SSO:', error);
+      throw error;
+    }
+  }
+
   /**
    * Obtém o perfil do usuário autenticado
    * @returns {Promise<Object>} - Dados do perfil
    */
   async getProfile() {
     try {
-      const token = this.getToken();
-      if (!token) {
+      if (!this.isAuthenticated()) {
         throw new Error('Token não encontrado');
       }
 
-      const response = await fetch(`${this.baseURL}/auth/profile`, {
+      const response = await this.fetchWithRefresh(`${this.baseURL}/auth/profile`, {
         method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
       });
 
       if (!response.ok) {
         if (response.status === 401) {
-          this.logout();
+          this.clearAuthData();
           throw new Error('Sessão expirada');
         }
         throw new Error('Erro ao obter perfil');
@@ -116,17 +185,12 @@ class AuthService {
    */
   async updateProfile(profileData) {
     try {
-      const token = this.getToken();
-      if (!token) {
+      if (!this.isAuthenticated()) {
         throw new Error('Token não encontrado');
       }
 
-      const response = await fetch(`${this.baseURL}/auth/profile`, {
+      const response = await this.fetchWithRefresh(`${this.baseURL}/auth/profile`, {
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
         body: JSON.stringify(profileData),
       });
 
@@ -145,23 +209,18 @@ class AuthService {
   }
 
   /**
-   * Altera a senha do usuário
+   * Altera a senha do usuário. As demais sessões são encerradas pelo servidor
    * @param {Object} passwordData - Senha atual e nova senha
    * @returns {Promise<void>}
    */
   async changePassword(passwordData) {
     try {
-      const token = this.getToken();
-      if (!token) {
+      if (!this.isAuthenticated()) {
         throw new Error('Token não encontrado');
       }
 
-      const response = await fetch(`${this.baseURL}/auth/change-password`, {
+      const response = await this.fetchWithRefresh(`${this.baseURL}/auth/change-password`, {
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
         body: JSON.stringify(passwordData),
       });
 
@@ -176,26 +235,21 @@ class AuthService {
   }
 
   /**
-   * Verifica se o token é válido
+   * Verifica se o token é válido, renovando-o se tiver expirado
    * @returns {Promise<boolean>} - Se o token é válido
    */
   async verifyToken() {
     try {
-      const token = this.getToken();
-      if (!token) {
+      if (!this.isAuthenticated()) {
         return false;
       }
 
-      const response = await fetch(`${this.baseURL}/auth/verify`, {
+      const response = await this.fetchWithRefresh(`${this.baseURL}/auth/verify`, {
         method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
       });
 
       if (!response.ok) {
-        this.logout();
+        this.clearAuthData();
         return false;
       }
 
@@ -208,25 +262,166 @@ class AuthService {
       return false;
     } catch (error) {
       console.error('Erro ao verificar token:', error);
-      this.logout();
+      this.clearAuthData();
       return false;
     }
   }
 
   /**
-   * Realiza logout do usuário
+   * Renova o access token usando o refresh token (que também é trocado).
+   * Chamadas simultâneas compartilham a mesma renovação
+   * @returns {Promise<boolean>} - Se a sessão foi renovada
+   */
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Executa a renovação junto ao servidor
+   * @returns {Promise<boolean>} - Se a sessão foi renovada
+   * @private
+   */
+  async performRefresh() {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return false;
+    }
+
+    try {
+      const response = await fetch(`${this.baseURL}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (!response.ok) {
+        // Outra aba pode ter renovado a sessão enquanto esta requisição estava em andamento
+        if (this.getRefreshToken() !== refreshToken) {
+          return true;
+        }
+        if (response.status === 401) {
+          this.clearAuthData();
+        }
+        return false;
+      }
+
+      const data = await response.json();
+      this.setAuthData(data);
+      return true;
+    } catch (error) {
+      console.error('Erro ao renovar sessão:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Agenda a renovação do access token um pouco antes de ele expirar,
+   * para que requisições que leem o token diretamente não recebam 401
+   * @private
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    const expiresAt = Number(localStorage.getItem(this.expiresAtKey));
+    if (!expiresAt || !this.getRefreshToken()) {
+      return;
+    }
+
+    const delay = Math.max(expiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0);
+    this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+  }
+
+  /**
+   * Realiza logout do usuário, encerrando a sessão no servidor
    */
   logout() {
+    const refreshToken = this.getRefreshToken();
+    this.clearAuthData();
+
+    if (refreshToken) {
+      fetch(`${this.baseURL}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ refreshToken }),
+      }).catch((error) => console.warn('Erro ao encerrar sessão no servidor:', error));
+    }
+  }
+
+  /**
+   * Remove os dados de autenticação locais
+   * @private
+   */
+  clearAuthData() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
     localStorage.removeItem(this.tokenKey);
+    localStorage.removeItem(this.refreshTokenKey);
+    localStorage.removeItem(this.expiresAtKey);
     localStorage.removeItem(this.userKey);
   }
 
+  /**
+   * Lista as sessões (dispositivos) ativas do usuário
+   * @returns {Promise<Array>} - Sessões, com a atual marcada em `current`
+   */
+  async getSessions() {
+    const response = await this.authenticatedFetch(`${this.baseURL}/auth/sessions`);
+    if (!response.ok) {
+      throw new Error('Erro ao carregar sessões');
+    }
+    return response.json();
+  }
+
+  /**
+   * Encerra uma sessão específica
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<void>}
+   */
+  async revokeSession(sessionId) {
+    const response = await this.authenticatedFetch(`${this.baseURL}/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      throw new Error('Erro ao encerrar sessão');
+    }
+  }
+
+  /**
+   * Encerra todas as sessões do usuário
+   * @param {boolean} exceptCurrent - Mantém a sessão deste navegador
+   * @returns {Promise<number>} - Quantidade de sessões encerradas
+   */
+  async revokeAllSessions(exceptCurrent = false) {
+    const response = await this.authenticatedFetch(
+      `${this.baseURL}/auth/sessions${exceptCurrent ? '?exceptCurrent=true' : ''}`,
+      { method: 'DELETE' }
+    );
+    if (!response.ok) {
+      throw new Error('Erro ao encerrar sessões');
+    }
+    const data = await response.json();
+    if (!exceptCurrent) {
+      this.clearAuthData();
+    }
+    return data.revokedCount;
+  }
+
   /**
    * Verifica se o usuário está autenticado
    * @returns {boolean} - Se está autenticado
    */
   isAuthenticated() {
-    return !!this.getToken();
+    return !!this.getToken() || !!this.getRefreshToken();
   }
 
   /**
@@ -237,6 +432,14 @@ class AuthService {
     return localStorage.getItem(this.tokenKey);
   }
 
+  /**
+   * Obtém o refresh token armazenado
+   * @returns {string|null} - Refresh token ou null
+   */
+  getRefreshToken() {
+    return localStorage.getItem(this.refreshTokenKey);
+  }
+
   /**
    * Obtém os dados do usuário armazenados
    * @returns {Object|null} - Dados do usuário ou null
@@ -248,12 +451,19 @@ class AuthService {
 
   /**
    * Armazena os dados de autenticação
-   * @param {Object} authData - Dados de autenticação (user, accessToken)
+   * @param {Object} authData - Dados de autenticação (user, accessToken, refreshToken, expiresIn)
    * @private
    */
   setAuthData(authData) {
     localStorage.setItem(this.tokenKey, authData.accessToken);
     localStorage.setItem(this.userKey, JSON.stringify(authData.user));
+    if (authData.refreshToken) {
+      localStorage.setItem(this.refreshTokenKey, authData.refreshToken);
+    }
+    if (authData.expiresIn) {
+      localStorage.setItem(this.expiresAtKey, String(Date.now() + authData.expiresIn * 1000));
+    }
+    this.scheduleRefresh();
   }
 
   /**
@@ -278,25 +488,44 @@ class AuthService {
   }
 
   /**
-   * Interceptor para requisições com tratamento de erro de autenticação
+   * Faz a requisição com o token atual; em caso de 401 renova a sessão e tenta uma vez mais
+   * @param {string} url - URL da requisição
+   * @param {Object} options - Opções da requisição
+   * @returns {Promise<Response>} - Response da requisição
+   * @private
+   */
+  async fetchWithRefresh(url, options = {}) {
+    const send = () => {
+      const token = this.getToken();
+      return fetch(url, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` }),
+          ...options.headers,
+        },
+      });
+    };
+
+    const response = await send();
+    if (response.status === 401 && await this.refreshSession()) {
+      return send();
+    }
+    return response;
+  }
+
+  /**
+   * Interceptor para requisições com tratamento de erro de autenticação.
+   * Um 401 renova a sessão silenciosamente; só redireciona ao login se a renovação falhar
    * @param {string} url - URL da requisição
    * @param {Object} options - Opções da requisição
    * @returns {Promise<Response>} - Response da requisição
    */
   async authenticatedFetch(url, options = {}) {
-    const token = this.getToken();
-    
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...(token && { 'Authorization': `Bearer ${token}` }),
-        ...options.headers,
-      },
-    });
+    const response = await this.fetchWithRefresh(url, options);
 
     if (response.status === 401) {
-      this.logout();
+      this.clearAuthData();
       window.location.href = '/login';
       throw new Error('Sessão expirada');
     }
@@ -68,6 +68,7 @@ class ChatHistoryService {
         id: session.id,
         title: session.title || this.generateTitleFromMessages(session.messages),
         messages: this.formatMessages(session.messages || []),
+        settings: session.metadata?.settings || null,
         createdAt: new Date(session.createdAt),
         updatedAt: new Date(session.updatedAt)
       };
@@ -162,6 +163,181 @@ class ChatHistoryService {
     }
   }
 
+  /**
+   * Exporta uma sessão e inicia o download do arquivo
+   * @param {string} sessionId - ID da sessão
+   * @param {'json'|'markdown'|'html'} format - Formato do arquivo
+   * @returns {Promise<void>}
+   */
+  async exportChatSession(sessionId, format = 'json') {
+    try {
+      const response = await authService.authenticatedFetch(
+        `${this.baseURL}/chat/sessions/${sessionId}/export?format=${encodeURIComponent(format)}`
+      );
+
+      if (!response.ok) {
+        throw new Error('Erro ao exportar conversa');
+      }
+
+      // O nome do arquivo vem do backend (título da conversa)
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `conversation.${format === 'markdown' ? 'md' : format}`;
+
+      const blobUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      console.error('Erro ao exportar conversa:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Importa conversas de um arquivo JSON (exportação do XandAI ou conversations.json do ChatGPT)
+   * @param {File} file - Arquivo selecionado
+   * @returns {Promise<Array>} Sessões criadas
+   */
+  async importChatSessions(file) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      // Content-Type is set by the browser with the multipart boundary
+      const token = authService.getToken();
+      const response = await fetch(`${this.baseURL}/chat/sessions/import`, {
+        method: 'POST',
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || 'Erro ao importar conversas');
+      }
+
+      return response.json();
+    } catch (error) {
+      console.error('Erro ao importar conversas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca o resumo automático das mensagens antigas de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<Object|null>} Resumo ({ content, summarizedMessageCount, updatedAt, ... }) ou null
+   */
+  async getSessionSummary(sessionId) {
+    try {
+      const response = await authService.authenticatedFetch(`${this.baseURL}/chat/sessions/${sessionId}/summary`);
+
+      if (!response.ok) {
+        throw new Error('Erro ao buscar resumo da conversa');
+      }
+
+      const data = await response.json();
+      return data.summary || null;
+    } catch (error) {
+      console.error('Erro ao buscar resumo da conversa:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva o resumo editado pelo usuário
+   * @param {string} sessionId - ID da sessão
+   * @param {string} content - Novo conteúdo do resumo
+   * @returns {Promise<Object>} Resumo atualizado
+   */
+  async updateSessionSummary(sessionId, content) {
+    try {
+      const response = await authService.authenticatedFetch(`${this.baseURL}/chat/sessions/${sessionId}/summary`, {
+        method: 'PUT',
+        body: JSON.stringify({ content }),
+      });
+
+      if (!response.ok) {
+        throw new Error('Erro ao salvar resumo da conversa');
+      }
+
+      const data = await response.json();
+      return data.summary;
+    } catch (error) {
+      console.error('Erro ao salvar resumo da conversa:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove o resumo (as mensagens antigas voltam a ser enviadas enquanto couberem no contexto)
+   * @param {string} sessionId - ID da sessão
+   */
+  async clearSessionSummary(sessionId) {
+    try {
+      const response = await authService.authenticatedFetch(`${this.baseURL}/chat/sessions/${sessionId}/summary`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) {
+        throw new Error('Erro ao remover resumo da conversa');
+      }
+    } catch (error) {
+      console.error('Erro ao remover resumo da conversa:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca o modelo, os parâmetros e o system prompt gravados na sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<Object|null>} Configuração ({ provider, model, dynamicLLMConfig, systemPrompt, llmConfig }) ou null
+   */
+  async getSessionSettings(sessionId) {
+    try {
+      const response = await authService.authenticatedFetch(`${this.baseURL}/chat/sessions/${sessionId}/settings`);
+
+      if (!response.ok) {
+        throw new Error('Erro ao buscar configuração da conversa');
+      }
+
+      const data = await response.json();
+      return data.settings || null;
+    } catch (error) {
+      console.error('Erro ao buscar configuração da conversa:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva o modelo, os parâmetros e o system prompt da sessão
+   * @param {string} sessionId - ID da sessão
+   * @param {Object} settings - Nova configuração (substitui a atual)
+   * @returns {Promise<Object>} Configuração salva
+   */
+  async updateSessionSettings(sessionId, settings) {
+    try {
+      const response = await authService.authenticatedFetch(`${this.baseURL}/chat/sessions/${sessionId}/settings`, {
+        method: 'PUT',
+        body: JSON.stringify(settings),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+        throw new Error(message || 'Erro ao salvar configuração da conversa');
+      }
+
+      const data = await response.json();
+      return data.settings;
+    } catch (error) {
+      console.error('Erro ao salvar configuração da conversa:', error);
+      throw error;
+    }
+  }
+
   /**
    * Envia uma mensagem com IA para uma sessão (incluindo histórico de contexto)
    * @param {string} sessionId - ID da sessão
@@ -288,6 +464,49 @@ class ChatHistoryService {
     }
   }
 
+  /**
+   * Busca de texto completo no conteúdo das mensagens de todas as conversas
+   * @param {string} query - Termos de busca
+   * @param {Object} filters - Filtros opcionais
+   * @param {'user'|'assistant'} filters.role - Autor da mensagem
+   * @param {string} filters.model - Modelo que gerou a resposta
+   * @param {string} filters.dateFrom - Data inicial (YYYY-MM-DD)
+   * @param {string} filters.dateTo - Data final (YYYY-MM-DD, inclusiva)
+   * @param {string} filters.sessionId - Restringe a uma conversa
+   * @param {number} filters.page - Página (começa em 1)
+   * @param {number} filters.limit - Resultados por página
+   * @returns {Promise<{results: Array, total: number}>} Trechos ordenados por relevância (termos entre <mark>)
+   */
+  async searchMessages(query, filters = {}) {
+    try {
+      // Only send filters that were actually set
+      const body = Object.fromEntries(
+        Object.entries({ query, ...filters }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+      );
+
+      const response = await authService.authenticatedFetch(`${this.baseURL}/chat/messages/search`, {
+        method: 'POST',
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw new Error('Erro ao buscar mensagens');
+      }
+
+      const data = await response.json();
+      return {
+        results: (data.results || []).map(result => ({
+          ...result,
+          createdAt: new Date(result.createdAt),
+        })),
+        total: data.total || 0,
+      };
+    } catch (error) {
+      console.error('Erro ao buscar mensagens:', error);
+      throw error;
+    }
+  }
+
   /**
    * Gera um título baseado nas mensagens da sessão
    * @param {Array} messages - Lista de mensagens
@@ -343,7 +562,12 @@ class ChatHistoryService {
       content: msg.content,
       isUser: msg.role === 'user',
       timestamp: new Date(msg.createdAt),
-      role: msg.role
+      createdAt: msg.createdAt,
+      role: msg.role,
+      attachments: msg.attachments,
+      metadata: msg.metadata,
+      parentMessageId: msg.parentMessageId,
+      siblingIds: msg.siblingIds
     }));
   }
 }
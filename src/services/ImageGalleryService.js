@@ -0,0 +1,72 @@
+import authService from './AuthService';
+
+/**
+ * Serviço para a galeria de imagens geradas pelo Stable Diffusion
+ */
+class ImageGalleryService {
+  constructor() {
+    // Use environment variable for API URL - supports network access
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1/stable-diffusion/images`;
+  }
+
+  /**
+   * Lista as imagens da galeria do usuário (mais recentes primeiro)
+   * @param {Object} filters - Filtros opcionais
+   * @param {string} filters.search - Texto contido no prompt
+   * @param {string} filters.tag - Tag exata
+   * @param {boolean} filters.favorites - Somente favoritas
+   * @param {number} filters.page - Página (começa em 1)
+   * @param {number} filters.limit - Imagens por página
+   * @returns {Promise<{images: Array, total: number, page: number, limit: number}>}
+   */
+  async getImages({ search, tag, favorites, page = 1, limit = 30 } = {}) {
+    const params = new URLSearchParams({ page: String(page), limit: String(limit) });
+    if (search) params.set('search', search);
+    if (tag) params.set('tag', tag);
+    if (favorites) params.set('favorites', 'true');
+
+    const response = await authService.authenticatedFetch(`${this.baseURL}?${params.toString()}`);
+    return this.handleResponse(response, 'Erro ao buscar imagens');
+  }
+
+  /**
+   * Marca/desmarca como favorita e altera as tags
+   * @param {string} imageId - ID da imagem
+   * @param {Object} changes - { isFavorite, tags }
+   * @returns {Promise<Object>} Imagem atualizada
+   */
+  async updateImage(imageId, changes) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${imageId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+    return this.handleResponse(response, 'Erro ao atualizar imagem');
+  }
+
+  /**
+   * Exclui a imagem da galeria e da mensagem onde ela aparece
+   * @param {string} imageId - ID da imagem
+   */
+  async deleteImage(imageId) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${imageId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      await this.handleResponse(response, 'Erro ao excluir imagem');
+    }
+  }
+
+  async handleResponse(response, fallbackMessage) {
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+      throw new Error(message || fallbackMessage);
+    }
+    return response.json();
+  }
+}
+
+// Exporta uma instância singleton
+const imageGalleryService = new ImageGalleryService();
+export default imageGalleryService;
@@ -0,0 +1,132 @@
+import authService from './AuthService';
+
+/**
+ * Serviço para as bases de conhecimento (documentos consultados pelo chat)
+ */
+class KnowledgeBaseService {
+  constructor() {
+    // Use environment variable for API URL - supports network access
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1/knowledge-bases`;
+  }
+
+  /**
+   * Lista as bases do usuário com os seus documentos
+   * @returns {Promise<Array>} Lista de bases
+   */
+  async getKnowledgeBases() {
+    const response = await authService.authenticatedFetch(this.baseURL);
+    return this.handleResponse(response, 'Erro ao buscar bases de conhecimento');
+  }
+
+  /**
+   * Obtém uma base (usado para acompanhar a indexação dos documentos)
+   * @param {string} knowledgeBaseId - ID da base
+   * @returns {Promise<Object>} Base com os documentos
+   */
+  async getKnowledgeBase(knowledgeBaseId) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${knowledgeBaseId}`);
+    return this.handleResponse(response, 'Erro ao buscar base de conhecimento');
+  }
+
+  /**
+   * Cria uma base de conhecimento
+   * @param {Object} knowledgeBase - name, description, embeddingModel
+   * @returns {Promise<Object>} Base criada
+   */
+  async createKnowledgeBase(knowledgeBase) {
+    const response = await authService.authenticatedFetch(this.baseURL, {
+      method: 'POST',
+      body: JSON.stringify(knowledgeBase),
+    });
+    return this.handleResponse(response, 'Erro ao criar base de conhecimento');
+  }
+
+  /**
+   * Atualiza nome e descrição de uma base
+   * @param {string} knowledgeBaseId - ID da base
+   * @param {Object} knowledgeBase - Campos alterados
+   * @returns {Promise<Object>} Base atualizada
+   */
+  async updateKnowledgeBase(knowledgeBaseId, knowledgeBase) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${knowledgeBaseId}`, {
+      method: 'PUT',
+      body: JSON.stringify(knowledgeBase),
+    });
+    return this.handleResponse(response, 'Erro ao atualizar base de conhecimento');
+  }
+
+  /**
+   * Exclui uma base com todos os documentos
+   * @param {string} knowledgeBaseId - ID da base
+   */
+  async deleteKnowledgeBase(knowledgeBaseId) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${knowledgeBaseId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      await this.handleResponse(response, 'Erro ao excluir base de conhecimento');
+    }
+  }
+
+  /**
+   * Envia um documento para a base; a indexação continua no backend
+   * @param {string} knowledgeBaseId - ID da base
+   * @param {File} file - PDF, texto ou código
+   * @returns {Promise<Object>} Documento com status "processing"
+   */
+  async uploadDocument(knowledgeBaseId, file) {
+    const token = authService.getToken();
+    const formData = new FormData();
+    formData.append('file', file);
+
+    // Content-Type is set by the browser with the multipart boundary
+    const response = await fetch(`${this.baseURL}/${knowledgeBaseId}/documents`, {
+      method: 'POST',
+      headers: { ...(token && { 'Authorization': `Bearer ${token}` }) },
+      body: formData,
+    });
+    return this.handleResponse(response, 'Erro ao enviar documento');
+  }
+
+  /**
+   * Remove um documento da base
+   * @param {string} knowledgeBaseId - ID da base
+   * @param {string} documentId - ID do documento
+   */
+  async deleteDocument(knowledgeBaseId, documentId) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${knowledgeBaseId}/documents/${documentId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      await this.handleResponse(response, 'Erro ao excluir documento');
+    }
+  }
+
+  /**
+   * Busca os trechos mais relevantes de uma base
+   * @param {string} knowledgeBaseId - ID da base
+   * @param {string} query - Pergunta de teste
+   * @returns {Promise<Array>} Trechos com documentName e score
+   */
+  async search(knowledgeBaseId, query) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${knowledgeBaseId}/search`, {
+      method: 'POST',
+      body: JSON.stringify({ query }),
+    });
+    return this.handleResponse(response, 'Erro ao buscar na base de conhecimento');
+  }
+
+  async handleResponse(response, fallbackMessage) {
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+      throw new Error(message || fallbackMessage);
+    }
+    return response.json();
+  }
+}
+
+// Exporta uma instância singleton
+const knowledgeBaseService = new KnowledgeBaseService();
+export default knowledgeBaseService;
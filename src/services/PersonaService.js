@@ -0,0 +1,144 @@
+import authService from './AuthService';
+
+/**
+ * Variáveis preenchidas automaticamente pelo backend em qualquer prompt
+ */
+export const BUILT_IN_PROMPT_VARIABLES = [
+  'date',
+  'time',
+  'datetime',
+  'weekday',
+  'language',
+  'user.name',
+  'user.firstName',
+  'user.email',
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Serviço para a biblioteca de personas (system prompts nomeados)
+ */
+class PersonaService {
+  constructor() {
+    // Use environment variable for API URL - supports network access
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1/personas`;
+  }
+
+  /**
+   * Lista as personas do usuário e as compartilhadas
+   * @param {Object} filters - Filtros opcionais
+   * @param {string} filters.tag - Tag exata
+   * @param {string} filters.search - Texto no nome, descrição ou tags
+   * @returns {Promise<Array>} Lista de personas
+   */
+  async getPersonas({ tag, search } = {}) {
+    const params = new URLSearchParams();
+    if (tag) params.set('tag', tag);
+    if (search) params.set('search', search);
+    const query = params.toString();
+
+    const response = await authService.authenticatedFetch(`${this.baseURL}${query ? `?${query}` : ''}`);
+    return this.handleResponse(response, 'Erro ao buscar personas');
+  }
+
+  /**
+   * Cria uma persona
+   * @param {Object} persona - name, description, content, tags, variables, isShared
+   * @returns {Promise<Object>} Persona criada
+   */
+  async createPersona(persona) {
+    const response = await authService.authenticatedFetch(this.baseURL, {
+      method: 'POST',
+      body: JSON.stringify(persona),
+    });
+    return this.handleResponse(response, 'Erro ao criar persona');
+  }
+
+  /**
+   * Atualiza uma persona
+   * @param {string} personaId - ID da persona
+   * @param {Object} persona - Campos alterados
+   * @returns {Promise<Object>} Persona atualizada
+   */
+  async updatePersona(personaId, persona) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${personaId}`, {
+      method: 'PUT',
+      body: JSON.stringify(persona),
+    });
+    return this.handleResponse(response, 'Erro ao atualizar persona');
+  }
+
+  /**
+   * Exclui uma persona
+   * @param {string} personaId - ID da persona
+   */
+  async deletePersona(personaId) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${personaId}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      await this.handleResponse(response, 'Erro ao excluir persona');
+    }
+  }
+
+  /**
+   * Pré-visualiza o prompt da persona com as variáveis preenchidas
+   * @param {string} personaId - ID da persona
+   * @param {Object} variables - Valores das variáveis personalizadas
+   * @returns {Promise<{content: string, missingVariables: string[]}>}
+   */
+  async renderPersona(personaId, variables = {}) {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/${personaId}/render`, {
+      method: 'POST',
+      body: JSON.stringify({ variables }),
+    });
+    return this.handleResponse(response, 'Erro ao pré-visualizar persona');
+  }
+
+  /**
+   * Busca uma persona pelo nome, ignorando maiúsculas, acentos e espaços
+   * (as personas do usuário têm prioridade sobre as compartilhadas)
+   * @param {Array} personas - Lista carregada
+   * @param {string} name - Nome digitado
+   * @returns {Object|null} Persona encontrada
+   */
+  findByName(personas, name) {
+    const target = PersonaService.normalizeName(name);
+    const matches = personas.filter(persona => PersonaService.normalizeName(persona.name) === target);
+    return matches.find(persona => persona.isOwner) || matches[0] || null;
+  }
+
+  /**
+   * Variáveis personalizadas usadas no texto (as automáticas ficam de fora)
+   * @param {string} content - Conteúdo da persona ou system prompt
+   * @returns {string[]} Nomes na ordem em que aparecem
+   */
+  getCustomVariables(content) {
+    const names = [...(content || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+    return [...new Set(names)].filter(name => !BUILT_IN_PROMPT_VARIABLES.includes(name));
+  }
+
+  static normalizeName(name) {
+    return (name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_-]+/g, '-');
+  }
+
+  async handleResponse(response, fallbackMessage) {
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+      throw new Error(message || fallbackMessage);
+    }
+    return response.json();
+  }
+}
+
+// Exporta uma instância singleton
+const personaService = new PersonaService();
+export default personaService;
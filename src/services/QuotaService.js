@@ -0,0 +1,29 @@
+import authService from './AuthService';
+
+/**
+ * Serviço das cotas de uso do usuário (tokens e imagens por dia, respostas simultâneas)
+ */
+class QuotaService {
+  constructor() {
+    // Use environment variable for API URL - supports network access
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1/quota`;
+  }
+
+  /**
+   * Obtém limites, uso de hoje e saldo do usuário autenticado.
+   * Limites e saldos null significam sem limite
+   * @returns {Promise<{limits: Object, usage: Object, remaining: Object, resetsAt: string}>}
+   */
+  async getMyQuota() {
+    const response = await authService.authenticatedFetch(`${this.baseURL}/me`);
+    if (!response.ok) {
+      throw new Error('Erro ao carregar cotas de uso');
+    }
+    return response.json();
+  }
+}
+
+// Exporta uma instância singleton
+const quotaService = new QuotaService();
+export default quotaService;
@@ -0,0 +1,104 @@
+import authService from './AuthService';
+
+const DEFAULT_SETTINGS = {
+  allowedModels: [],
+  defaultProvider: 'ollama',
+};
+
+/**
+ * Nome comparável de um modelo: "llama3.2" e "llama3.2:latest" são o mesmo modelo no Ollama,
+ * e modelos do Dynamic LLM (caminhos de arquivo) valem pelo nome do arquivo
+ * @param {string} model - Nome do modelo
+ * @returns {string}
+ */
+const normalizeModelName = (model) => model.trim().split(/[\\/]/).pop().replace(/:latest$/i, '').toLowerCase();
+
+/**
+ * Serviço das configurações globais definidas pelo administrador
+ * (modelos liberados e provedor padrão)
+ */
+class SystemSettingsService {
+  constructor() {
+    // Use environment variable for API URL - supports network access
+    const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    this.baseURL = `${API_BASE}/api/v1/settings`;
+    this.settings = null;
+    this.settingsPromise = null;
+  }
+
+  /**
+   * Obtém as configurações globais (carregadas uma vez e mantidas em memória).
+   * Em caso de falha usa os padrões: o backend continua recusando modelos não liberados
+   * @param {boolean} force - Recarrega do servidor
+   * @returns {Promise<{allowedModels: string[], defaultProvider: string}>}
+   */
+  async getSettings(force = false) {
+    if (!authService.isAuthenticated()) {
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    if (force || !this.settingsPromise) {
+      this.settingsPromise = authService.authenticatedFetch(this.baseURL)
+        .then(response => (response.ok ? response.json() : DEFAULT_SETTINGS))
+        .catch((error) => {
+          console.warn('Erro ao carregar configurações globais:', error);
+          this.settingsPromise = null;
+          return DEFAULT_SETTINGS;
+        })
+        .then((settings) => {
+          this.settings = { ...DEFAULT_SETTINGS, ...settings };
+          return this.settings;
+        });
+    }
+
+    return this.settingsPromise;
+  }
+
+  /**
+   * Atualiza as configurações globais (somente administradores)
+   * @param {Object} changes - { allowedModels, defaultProvider }
+   * @returns {Promise<Object>} Configurações salvas
+   */
+  async updateSettings(changes) {
+    const response = await authService.authenticatedFetch(this.baseURL, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = Array.isArray(error.message) ? error.message.join(', ') : error.message;
+      throw new Error(message || 'Erro ao salvar configurações');
+    }
+
+    this.settings = await response.json();
+    this.settingsPromise = Promise.resolve(this.settings);
+    return this.settings;
+  }
+
+  /**
+   * Provedor ativo: a escolha do usuário ou, se ele nunca escolheu, o padrão do administrador
+   * @returns {string}
+   */
+  getActiveProvider() {
+    return localStorage.getItem('active-provider') || this.settings?.defaultProvider || DEFAULT_SETTINGS.defaultProvider;
+  }
+
+  /**
+   * Remove da lista os modelos não liberados pelo administrador
+   * @param {Array} models - Modelos com a propriedade name (ou path, no Dynamic LLM)
+   * @returns {Promise<Array>}
+   */
+  async filterAllowedModels(models) {
+    const { allowedModels } = await this.getSettings();
+    if (!allowedModels.length) {
+      return models;
+    }
+
+    const allowed = new Set(allowedModels.map(normalizeModelName));
+    return models.filter(model => allowed.has(normalizeModelName(model.name || model.path || '')));
+  }
+}
+
+// Exporta uma instância singleton
+const systemSettingsService = new SystemSettingsService();
+export default systemSettingsService;
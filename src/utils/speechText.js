@@ -0,0 +1,80 @@
+/**
+ * Converts an assistant message into plain text to be read aloud.
+ * Thinking blocks and code blocks are dropped, markdown syntax is removed and links keep only their text.
+ * @param {string} content - Message content (markdown, may contain <think> tags)
+ * @returns {string} Text to speak
+ */
+export const toSpeechText = (content) => {
+  if (!content) return '';
+
+  return content
+    // Thinking blocks (also an unterminated one while the model is still reasoning)
+    .replace(/<think>[\s\S]*?(<\/think>|$)/gi, ' ')
+    // Fenced code blocks
+    .replace(/(```|~~~)[\s\S]*?(\1|$)/g, ' ')
+    // Images, then links (keep the link text)
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    // Inline code keeps its text
+    .replace(/`([^`]+)`/g, '$1')
+    // HTML tags and bare URLs
+    .replace(/<\/?[a-z][^>]*>/gi, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    // Table separator rows and horizontal rules
+    .replace(/^[ \t]*\|?[ \t]*:?-{3,}.*$/gm, '')
+    .replace(/^[ \t]*([*_][ \t]*){3,}$/gm, '')
+    // Table rows become comma separated cells
+    .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (_, row) => row.split('|').map(cell => cell.trim()).filter(Boolean).join(', '))
+    // Headings, blockquotes and list markers
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+    .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+    .replace(/^[ \t]*([-*+]|\d+[.)])[ \t]+/gm, '')
+    // Emphasis (underscores only at word boundaries, so snake_case survives)
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*/g, '$1$2')
+    .replace(/(^|\W)_(?!\s)([^_\n]+?)_(?=\W|$)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+};
+
+/**
+ * Splits text into sentence-aligned chunks, since long utterances get cut off by some
+ * browsers and local TTS servers take longer before the first audio
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Maximum chunk length
+ * @returns {string[]} Chunks in reading order
+ */
+export const splitIntoChunks = (text, maxLength = 250) => {
+  const sentences = (text || '').match(/[^.!?\n]+[.!?]*\s*|\n+/g) || [];
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  };
+
+  sentences.forEach((sentence) => {
+    if (current && (current + sentence).length > maxLength) {
+      flush();
+    }
+
+    if (sentence.length <= maxLength) {
+      current += sentence;
+      return;
+    }
+
+    // Sentence longer than a chunk: break it on word boundaries
+    sentence.split(/\s+/).forEach((word) => {
+      if (current && (current + word).length >= maxLength) {
+        flush();
+      }
+      current += `${word} `;
+    });
+  });
+
+  flush();
+  return chunks;
+};
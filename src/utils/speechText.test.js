@@ -0,0 +1,37 @@
+import { toSpeechText, splitIntoChunks } from './speechText';
+
+describe('toSpeechText', () => {
+  it('drops thinking blocks and code blocks', () => {
+    const content = '<think>planning the answer</think>Use this:\n```js\nconst x = 1;\n```\nDone.';
+    expect(toSpeechText(content)).toBe('Use this:\nDone.');
+  });
+
+  it('drops an unterminated thinking block while streaming', () => {
+    expect(toSpeechText('Answer <think>still reasoning')).toBe('Answer');
+  });
+
+  it('strips markdown syntax but keeps the words', () => {
+    const content = '# Title\n- **bold** and *italic*\n> see [docs](http://example.com) and `npm test`';
+    expect(toSpeechText(content)).toBe('Title\nbold and italic\nsee docs and npm test');
+  });
+
+  it('keeps snake_case identifiers intact', () => {
+    expect(toSpeechText('Set max_tokens to _512_')).toBe('Set max_tokens to 512');
+  });
+
+  it('reads tables as comma separated cells', () => {
+    expect(toSpeechText('| a | b |\n|---|---|\n| 1 | 2 |')).toBe('a, b\n1, 2');
+  });
+});
+
+describe('splitIntoChunks', () => {
+  it('groups sentences up to the maximum length', () => {
+    expect(splitIntoChunks('One. Two! Three?', 10)).toEqual(['One. Two!', 'Three?']);
+  });
+
+  it('breaks sentences longer than a chunk on word boundaries', () => {
+    const chunks = splitIntoChunks(`${'word '.repeat(30)}end.`, 50);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(50));
+  });
+});